@@ -0,0 +1,105 @@
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { GRIND } from '../src/config.js';
+import { sql } from '../src/database/connection.js';
+import { repos } from '../src/database/repositories/index.js';
+import { formatNumber } from '../src/utils/format.js';
+
+/**
+ * Grind anti-cheat report - guilds whose /grind clicking looked automated
+ *
+ * Usage:
+ *   bun run grind:report
+ *   bun run grind:report -- --days 30 --limit 50
+ */
+
+const USAGE = `Usage: bun scripts/grind-report.js [options]
+
+  --days <n>    Only count flags from the last N days (default ${GRIND.REPORT_DAYS})
+  --limit <n>   Maximum guilds to list (default 25)
+  --help        Show this message`;
+
+const REASONS = `Flags are raised when a session's clicking is too even (variation under ${GRIND.MIN_INTERVAL_VARIATION}),
+sustained at ${GRIND.SUSPICIOUS_CLICKS_PER_SECOND}+ presses a second, or a button shuffle challenge is failed.`;
+
+/**
+ * Parse a positive whole-number CLI option
+ * @param {string|undefined} value - Raw option value
+ * @param {string} name - Option name for error messages
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed number
+ */
+function toCount(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} must be a positive whole number (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * Lay rows out as a fixed-width text table
+ * @param {string[]} headers - Column headers
+ * @param {Array<string[]>} rows - Cell text per row
+ * @returns {string}
+ */
+function toTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      days: { type: 'string' },
+      limit: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const days = toCount(values.days, 'days', GRIND.REPORT_DAYS);
+  const limit = toCount(values.limit, 'limit', 25);
+
+  const flagged = await repos.grindFlags.getFlaggedGuilds(days, limit);
+
+  console.log(`Flagged grinders - last ${days} day${days !== 1 ? 's' : ''}\n`);
+  if (flagged.length === 0) {
+    console.log('No guilds were flagged.');
+    return;
+  }
+
+  const rows = flagged.map(entry => [
+    entry.name,
+    entry.discord_id,
+    String(entry.flags),
+    String(entry.failed_challenges),
+    Number(entry.peak_clicks_per_second).toFixed(1),
+    Number(entry.min_interval_variation).toFixed(3),
+    formatNumber(Number(entry.lifetime_grind_clicks)),
+    formatNumber(Number(entry.lifetime_grind_gold)),
+    new Date(entry.last_flagged_at).toISOString().replace('T', ' ').slice(0, 16),
+  ]);
+
+  console.log(toTable(
+    ['Guild', 'Discord ID', 'Flags', 'Failed', 'Peak/s', 'Min var', 'Grind clicks', 'Grind gold', 'Last flagged (UTC)'],
+    rows
+  ));
+  console.log(`\n${REASONS}`);
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error(`Report failed: ${error.message}\n`);
+  console.error(USAGE);
+  process.exitCode = 1;
+} finally {
+  await sql.close();
+}
@@ -5,6 +5,7 @@ import { REST, Routes } from 'discord.js';
 import * as startCommand from '../src/commands/start.js';
 import * as guildCommand from '../src/commands/guild.js';
 import * as collectCommand from '../src/commands/collect.js';
+import * as dailyCommand from '../src/commands/daily.js';
 import * as upgradesCommand from '../src/commands/upgrades.js';
 import * as buyCommand from '../src/commands/buy.js';
 import * as leaderboardCommand from '../src/commands/leaderboard.js';
@@ -16,6 +17,21 @@ import * as battleCommand from '../src/commands/battle.js';
 import * as battlesCommand from '../src/commands/battles.js';
 import * as watchCommand from '../src/commands/watch.js';
 import * as prestigeCommand from '../src/commands/prestige.js';
+import * as questCommand from '../src/commands/quest.js';
+import * as achievementsCommand from '../src/commands/achievements.js';
+import * as allianceCommand from '../src/commands/alliance.js';
+import * as warCommand from '../src/commands/war.js';
+import * as tradeCommand from '../src/commands/trade.js';
+import * as marketCommand from '../src/commands/market.js';
+import * as inventoryCommand from '../src/commands/inventory.js';
+import * as equipCommand from '../src/commands/equip.js';
+import * as craftCommand from '../src/commands/craft.js';
+import * as rosterCommand from '../src/commands/roster.js';
+import * as raidCommand from '../src/commands/raid.js';
+import * as seasonCommand from '../src/commands/season.js';
+import * as defenseCommand from '../src/commands/defense.js';
+import * as tournamentCommand from '../src/commands/tournament.js';
+import * as bountyCommand from '../src/commands/bounty.js';
 
 const BOT_TOKEN = process.env.DISCORD_TOKEN;
 const CLIENT_ID = process.env.DISCORD_CLIENT_ID;
@@ -25,6 +41,7 @@ const commands = [
   startCommand,
   guildCommand,
   collectCommand,
+  dailyCommand,
   upgradesCommand,
   buyCommand,
   leaderboardCommand,
@@ -36,6 +53,21 @@ const commands = [
   battlesCommand,
   watchCommand,
   prestigeCommand,
+  questCommand,
+  achievementsCommand,
+  allianceCommand,
+  warCommand,
+  tradeCommand,
+  marketCommand,
+  inventoryCommand,
+  equipCommand,
+  craftCommand,
+  rosterCommand,
+  raidCommand,
+  seasonCommand,
+  defenseCommand,
+  tournamentCommand,
+  bountyCommand,
 ];
 
 const rest = new REST({ version: '10' }).setToken(BOT_TOKEN);
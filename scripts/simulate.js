@@ -0,0 +1,172 @@
+import { parseArgs } from 'util';
+import { writeFileSync } from 'fs';
+import { simulate, DEFAULT_STRATEGY } from '../src/game/simulator.js';
+import { setRandomSource, createSeededRandom } from '../src/game/random.js';
+
+/**
+ * Balance simulator CLI
+ *
+ * Usage:
+ *   bun run simulate -- --interval 4 --grind 10 --prestiges 3
+ *   bun run simulate -- --format csv --table levels --out levels.csv
+ *
+ * Tables (CSV):
+ *   samples - gold curve, one row every --sample-every hours
+ *   levels  - hours to reach each level, per prestige run
+ *   runs    - one row per prestige run (time to prestige, points earned)
+ */
+
+const USAGE = `Usage: bun scripts/simulate.js [options]
+
+Strategy:
+  --interval <hours>      Hours between /collect (default ${DEFAULT_STRATEGY.collectIntervalHours})
+  --grind <minutes>       Minutes of /grind per day (default ${DEFAULT_STRATEGY.grindMinutesPerDay})
+  --cpm <clicks>          Grind clicks per minute (default ${DEFAULT_STRATEGY.grindClicksPerMinute})
+  --horizon <hours>       ROI horizon for recruitment upgrades (default ${DEFAULT_STRATEGY.roiHorizonHours})
+  --xp-weight <n>         Value of 1 XP relative to 1 gold (default ${DEFAULT_STRATEGY.xpWeight})
+  --prestiges <n>         Stop after this many prestiges (default ${DEFAULT_STRATEGY.prestiges})
+  --days <n>              Maximum simulated days (default ${DEFAULT_STRATEGY.maxDays})
+
+Output:
+  --format <json|csv>     Output format (default json)
+  --table <name>          CSV table: samples, levels or runs (default samples)
+  --sample-every <hours>  Gold curve resolution (default ${DEFAULT_STRATEGY.sampleEveryHours})
+  --seed <n>              Seed for Lucky Coin rolls (default 1)
+  --out <file>            Write to a file instead of stdout
+  --help                  Show this message`;
+
+const TABLES = ['samples', 'levels', 'runs'];
+
+/**
+ * Parse a numeric CLI option
+ * @param {string|undefined} value - Raw option value
+ * @param {string} name - Option name for error messages
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed number
+ */
+function toNumber(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`--${name} must be a non-negative number (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * Convert rows of objects to CSV (header from the first row's keys)
+ * @param {Array<Object>} rows - Rows to convert
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+  const headers = Object.keys(rows[0]);
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [headers.join(',')];
+  for (const row of rows) {
+    lines.push(headers.map(h => escape(row[h])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Flatten a simulation result into the requested CSV table
+ * @param {Object} result - Result from simulate()
+ * @param {string} table - samples, levels or runs
+ * @returns {Array<Object>} Table rows
+ */
+function buildTable(result, table) {
+  if (table === 'samples') {
+    return result.samples;
+  }
+
+  if (table === 'levels') {
+    return result.runs.flatMap(run =>
+      Object.entries(run.levelTimes).map(([level, hours]) => ({
+        prestige: run.prestige,
+        level: Number(level),
+        hours,
+        days: +(hours / 24).toFixed(2),
+      }))
+    );
+  }
+
+  return result.runs.map(run => ({
+    prestige: run.prestige,
+    startHours: run.startHours,
+    endHours: run.endHours,
+    daysToPrestige: run.durationHours === null ? null : +(run.durationHours / 24).toFixed(2),
+    finalLevel: run.finalLevel,
+    pointsEarned: run.pointsEarned,
+    prestigeUpgradesBought: run.prestigeUpgradesBought.join('; '),
+  }));
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      interval: { type: 'string' },
+      grind: { type: 'string' },
+      cpm: { type: 'string' },
+      horizon: { type: 'string' },
+      'xp-weight': { type: 'string' },
+      prestiges: { type: 'string' },
+      days: { type: 'string' },
+      format: { type: 'string', default: 'json' },
+      table: { type: 'string', default: 'samples' },
+      'sample-every': { type: 'string' },
+      seed: { type: 'string' },
+      out: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!['json', 'csv'].includes(values.format)) {
+    throw new Error(`--format must be json or csv (got "${values.format}")`);
+  }
+  if (!TABLES.includes(values.table)) {
+    throw new Error(`--table must be one of ${TABLES.join(', ')} (got "${values.table}")`);
+  }
+
+  const strategy = {
+    collectIntervalHours: toNumber(values.interval, 'interval', DEFAULT_STRATEGY.collectIntervalHours),
+    grindMinutesPerDay: toNumber(values.grind, 'grind', DEFAULT_STRATEGY.grindMinutesPerDay),
+    grindClicksPerMinute: toNumber(values.cpm, 'cpm', DEFAULT_STRATEGY.grindClicksPerMinute),
+    roiHorizonHours: toNumber(values.horizon, 'horizon', DEFAULT_STRATEGY.roiHorizonHours),
+    xpWeight: toNumber(values['xp-weight'], 'xp-weight', DEFAULT_STRATEGY.xpWeight),
+    prestiges: toNumber(values.prestiges, 'prestiges', DEFAULT_STRATEGY.prestiges),
+    maxDays: toNumber(values.days, 'days', DEFAULT_STRATEGY.maxDays),
+    sampleEveryHours: toNumber(values['sample-every'], 'sample-every', DEFAULT_STRATEGY.sampleEveryHours),
+  };
+
+  // Lucky Coin is the only random roll - seed it so runs are reproducible
+  setRandomSource(createSeededRandom(toNumber(values.seed, 'seed', 1)));
+
+  const result = simulate(strategy);
+  const output = values.format === 'json'
+    ? JSON.stringify(result, null, 2) + '\n'
+    : toCsv(buildTable(result, values.table));
+
+  if (values.out) {
+    writeFileSync(values.out, output);
+    console.error(`Wrote ${values.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Simulation failed: ${error.message}\n`);
+  console.error(USAGE);
+  process.exit(1);
+}
@@ -0,0 +1,138 @@
+import {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  MessageFlags,
+} from 'discord.js';
+import { repos } from '../database/repositories/index.js';
+import { checkAchievements, getAchievementProgress, formatAchievementReward } from '../game/achievements.js';
+import { COLORS, createErrorEmbed, addAchievementUnlocks } from '../utils/embeds.js';
+import { formatNumber, progressBar } from '../utils/format.js';
+
+// Achievements shown per page
+const PAGE_SIZE = 8;
+
+export const data = new SlashCommandBuilder()
+  .setName('achievements')
+  .setDescription('View your achievements and the permanent bonuses they grant');
+
+export async function execute(interaction) {
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+
+  if (!guild) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('You don\'t have a guild yet! Use `/start` to found one.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  // Catch up on anything earned by a stat that isn't hooked (or before achievements existed)
+  const unlocked = await checkAchievements(guild.id);
+
+  const { embed, components } = await buildAchievementsPage(interaction.user.id, guild.id, 0);
+  addAchievementUnlocks(embed, unlocked);
+
+  await interaction.reply({ embeds: [embed], components });
+}
+
+/**
+ * Build one page of the achievements list
+ * @param {string} discordId - Owner's Discord ID (carried in the button IDs)
+ * @param {number} guildId - Guild ID
+ * @param {number} page - Zero-based page number (clamped to the available pages)
+ * @returns {Promise<{embed: EmbedBuilder, components: ActionRowBuilder[]}>}
+ */
+async function buildAchievementsPage(discordId, guildId, page) {
+  const [guild, catalogue, owned] = await Promise.all([
+    repos.guilds.getGuildById(guildId),
+    repos.achievements.getAllAchievements(),
+    repos.achievements.getGuildAchievements(guildId),
+  ]);
+
+  const unlockedIds = new Set(owned.map(a => a.id));
+  const totalPages = Math.max(Math.ceil(catalogue.length / PAGE_SIZE), 1);
+  const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+  const pageItems = catalogue.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  let description = `**${owned.length}** / ${catalogue.length} unlocked`;
+  if (guild.title) {
+    description += ` | Title: **${guild.title}**`;
+  }
+  description += '\n*Rewards are permanent and survive prestige.*';
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.GOLD)
+    .setTitle(`🏆 ${guild.name}'s Achievements`)
+    .setDescription(description)
+    .setFooter({ text: `Page ${currentPage + 1} of ${totalPages}` })
+    .setTimestamp();
+
+  for (const achievement of pageItems) {
+    const isUnlocked = unlockedIds.has(achievement.id);
+    const reward = formatAchievementReward(achievement);
+    let value = `${achievement.description}\n*Reward: ${reward}*`;
+
+    if (!isUnlocked) {
+      const progress = getAchievementProgress(guild, achievement);
+      value += `\n${progressBar(progress.current, progress.threshold)} ${formatNumber(progress.current)}/${formatNumber(progress.threshold)}`;
+    }
+
+    embed.addFields({
+      name: `${isUnlocked ? '✅' : '🔒'} ${achievement.name}`,
+      value,
+      inline: false,
+    });
+  }
+
+  return { embed, components: buildPageButtons(discordId, currentPage, totalPages) };
+}
+
+/**
+ * Build the previous/next page buttons
+ */
+function buildPageButtons(discordId, page, totalPages) {
+  if (totalPages <= 1) return [];
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`achievements:${discordId}:${page - 1}`)
+      .setLabel('Previous')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`achievements:${discordId}:${page + 1}`)
+      .setLabel('Next')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(page >= totalPages - 1)
+  );
+
+  return [row];
+}
+
+/**
+ * Handle achievements page buttons
+ * Only the player who ran the command can flip through their list
+ */
+export async function handleAchievementsButton(interaction) {
+  const [, ownerId, pageStr] = interaction.customId.split(':');
+
+  if (interaction.user.id !== ownerId) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('These aren\'t your achievements! Use `/achievements` to see your own.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const guild = await repos.guilds.getGuildByDiscordId(ownerId);
+  if (!guild) {
+    return interaction.update({
+      embeds: [createErrorEmbed('Your guild was not found. Please try again.')],
+      components: [],
+    });
+  }
+
+  const { embed, components } = await buildAchievementsPage(ownerId, guild.id, parseInt(pageStr, 10) || 0);
+  await interaction.update({ embeds: [embed], components });
+}
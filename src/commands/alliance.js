@@ -0,0 +1,582 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { ALLIANCE } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { COLORS, createErrorEmbed, createSuccessEmbed } from '../utils/embeds.js';
+import { formatNumber } from '../utils/format.js';
+import {
+  calculateAllianceBonuses,
+  getBuffCost,
+  formatBuffEffect,
+  canManageAlliance,
+  canKick,
+  validateAllianceName,
+} from '../game/alliances.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('alliance')
+  .setDescription('Team up with other guilds in an alliance')
+  .addSubcommand((sub) =>
+    sub
+      .setName('create')
+      .setDescription(`Found a new alliance (costs ${formatNumber(ALLIANCE.CREATE_COST)} gold)`)
+      .addStringOption((option) =>
+        option
+          .setName('name')
+          .setDescription('Alliance name')
+          .setRequired(true)
+          .setMaxLength(ALLIANCE.NAME_MAX_LENGTH)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('info')
+      .setDescription('View an alliance (yours by default)')
+      .addStringOption((option) =>
+        option.setName('name').setDescription('Alliance to look up').setRequired(false)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('invite')
+      .setDescription('Invite a player to your alliance (leader/officers)')
+      .addUserOption((option) =>
+        option.setName('user').setDescription('Player to invite').setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('join')
+      .setDescription('Join an alliance that invited you')
+      .addStringOption((option) =>
+        option.setName('name').setDescription('Alliance name (defaults to your latest invite)').setRequired(false)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName('leave').setDescription('Leave your alliance')
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('kick')
+      .setDescription('Remove a member from your alliance (leader/officers)')
+      .addUserOption((option) =>
+        option.setName('user').setDescription('Member to remove').setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('promote')
+      .setDescription('Promote a member to officer, or an officer to leader (leader only)')
+      .addUserOption((option) =>
+        option.setName('user').setDescription('Member to promote').setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('demote')
+      .setDescription('Demote an officer to member (leader only)')
+      .addUserOption((option) =>
+        option.setName('user').setDescription('Officer to demote').setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('donate')
+      .setDescription('Donate gold to the alliance treasury')
+      .addIntegerOption((option) =>
+        option
+          .setName('amount')
+          .setDescription('Gold to donate')
+          .setRequired(true)
+          .setMinValue(ALLIANCE.MIN_DONATION)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName('buffs').setDescription('View treasury buffs and their costs')
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('upgrade')
+      .setDescription('Buy the next level of a treasury buff (leader/officers)')
+      .addStringOption((option) =>
+        option
+          .setName('buff')
+          .setDescription('Buff to upgrade')
+          .setRequired(true)
+          .addChoices(
+            ...Object.entries(ALLIANCE.BUFFS).map(([key, buff]) => ({ name: buff.label, value: key }))
+          )
+      )
+  );
+
+const SUBCOMMANDS = {
+  create: createAlliance,
+  info: showAllianceInfo,
+  invite: invitePlayer,
+  join: joinAlliance,
+  leave: leaveAlliance,
+  kick: kickMember,
+  promote: promoteMember,
+  demote: demoteMember,
+  donate: donateGold,
+  buffs: showBuffs,
+  upgrade: upgradeBuff,
+};
+
+// Subcommands that only make sense from inside an alliance
+const MEMBER_ONLY = ['invite', 'leave', 'kick', 'promote', 'demote', 'donate', 'buffs', 'upgrade'];
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  if (!guild) {
+    return replyError(interaction, 'You don\'t have a guild yet! Use `/start` to found one.');
+  }
+
+  if (MEMBER_ONLY.includes(subcommand) && !guild.alliance_id) {
+    return replyError(interaction, 'You\'re not in an alliance. Use `/alliance create` or ask a leader for an invite.');
+  }
+
+  await SUBCOMMANDS[subcommand](interaction, guild);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Look up the guild of a user option and check they're in the caller's alliance
+ * @returns {Promise<Object|null>} Target guild, or null after replying with an error
+ */
+async function getTargetMember(interaction, guild) {
+  const targetUser = interaction.options.getUser('user');
+  if (targetUser.id === interaction.user.id) {
+    await replyError(interaction, 'You can\'t do that to yourself!');
+    return null;
+  }
+
+  const target = await repos.guilds.getGuildByDiscordId(targetUser.id);
+  if (!target || target.alliance_id !== guild.alliance_id) {
+    await replyError(interaction, `**${targetUser.username}** isn't in your alliance.`);
+    return null;
+  }
+
+  return target;
+}
+
+/**
+ * Found a new alliance
+ */
+async function createAlliance(interaction, guild) {
+  const name = interaction.options.getString('name').trim();
+
+  const nameError = validateAllianceName(name);
+  if (nameError) {
+    return replyError(interaction, nameError);
+  }
+
+  if (guild.gold < ALLIANCE.CREATE_COST) {
+    return replyError(interaction, `Founding an alliance costs **${formatNumber(ALLIANCE.CREATE_COST)}** gold. You have **${formatNumber(guild.gold)}**.`);
+  }
+
+  const result = await repos.alliances.createAlliance(guild.id, name, ALLIANCE.CREATE_COST);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.SUCCESS)
+    .setTitle(`${ALLIANCE.ROLES.leader.emoji} Alliance Founded!`)
+    .setDescription(
+      `**${result.alliance.name}** has been founded with **${guild.name}** as its leader.\n\n` +
+      'Use `/alliance invite` to recruit other guilds and `/alliance donate` to fill the treasury.'
+    )
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Show an alliance's members, treasury and buffs
+ */
+async function showAllianceInfo(interaction, guild) {
+  const name = interaction.options.getString('name');
+
+  let alliance;
+  if (name) {
+    alliance = await repos.alliances.getAllianceByName(name);
+    if (!alliance) {
+      return replyError(interaction, `No alliance named **${name}** exists.`);
+    }
+  } else {
+    if (!guild.alliance_id) {
+      const invites = await repos.alliances.getGuildInvites(guild.id);
+      const inviteText = invites.length > 0
+        ? `\n\nOpen invites: ${invites.map(i => `**${i.alliance_name}**`).join(', ')} - use \`/alliance join\``
+        : '';
+      return replyError(interaction, `You're not in an alliance. Use \`/alliance create\` or ask a leader for an invite.${inviteText}`);
+    }
+    alliance = await repos.alliances.getAllianceById(guild.alliance_id);
+  }
+
+  const [members, buffs, standing] = await Promise.all([
+    repos.alliances.getAllianceMembers(alliance.id),
+    repos.alliances.getAllianceBuffs(alliance.id),
+    repos.alliances.getAllianceRank(alliance.id),
+  ]);
+
+  const totalEarned = members.reduce((sum, m) => sum + Number(m.lifetime_gold_earned || 0), 0);
+  const bonuses = calculateAllianceBonuses(buffs);
+
+  const memberLines = members.map(m => {
+    const role = ALLIANCE.ROLES[m.alliance_role];
+    return `${role.emoji} **${m.name}** (<@${m.discord_id}>) - Lv ${m.level}`;
+  });
+
+  const buffLines = buffs.map(b => {
+    const buff = ALLIANCE.BUFFS[b.buff_key];
+    return `${buff.emoji} ${buff.label} Lv ${b.level} (${formatBuffEffect(b.buff_key, b.level)})`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle(`🏰 ${alliance.name}`)
+    .setDescription(
+      `**${members.length}** / ${ALLIANCE.MAX_MEMBERS} members` +
+      (standing.rank ? ` | Rank **#${standing.rank}** of ${standing.total}` : '')
+    )
+    .addFields(
+      {
+        name: 'Treasury',
+        value: `**${formatNumber(Number(alliance.treasury))}** gold`,
+        inline: true,
+      },
+      {
+        name: 'Lifetime Gold Earned',
+        value: `**${formatNumber(totalEarned)}**`,
+        inline: true,
+      },
+      {
+        name: 'Member Bonus',
+        value: `Gold x${bonuses.goldMultiplier.toFixed(2)}, XP x${bonuses.xpMultiplier.toFixed(2)}`,
+        inline: true,
+      },
+      {
+        name: 'Members',
+        value: memberLines.join('\n') || '*None*',
+        inline: false,
+      },
+      {
+        name: 'Buffs',
+        value: buffLines.join('\n') || '*None yet - see `/alliance buffs`*',
+        inline: false,
+      }
+    )
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Invite a player (leader/officers)
+ */
+async function invitePlayer(interaction, guild) {
+  if (!canManageAlliance(guild.alliance_role)) {
+    return replyError(interaction, 'Only the leader and officers can invite players.');
+  }
+
+  const targetUser = interaction.options.getUser('user');
+  if (targetUser.id === interaction.user.id) {
+    return replyError(interaction, 'You\'re already in the alliance!');
+  }
+
+  const target = await repos.guilds.getGuildByDiscordId(targetUser.id);
+  if (!target) {
+    return replyError(interaction, `**${targetUser.username}** doesn't have a guild yet!`);
+  }
+  if (target.alliance_id === guild.alliance_id) {
+    return replyError(interaction, `**${target.name}** is already in your alliance.`);
+  }
+  if (target.alliance_id) {
+    return replyError(interaction, `**${target.name}** is already in another alliance.`);
+  }
+
+  const alliance = await repos.alliances.getAllianceById(guild.alliance_id);
+  if (alliance.member_count >= ALLIANCE.MAX_MEMBERS) {
+    return replyError(interaction, `Your alliance is full (${ALLIANCE.MAX_MEMBERS} members).`);
+  }
+
+  await repos.alliances.createInvite(alliance.id, target.id, guild.id);
+  await notifyInvite(interaction.client, targetUser.id, alliance.name, guild.name);
+
+  await interaction.reply({
+    embeds: [createSuccessEmbed(
+      `Invited **${target.name}** to **${alliance.name}**. ` +
+      `The invite lasts ${ALLIANCE.INVITE_EXPIRY_HOURS} hours - they can accept with \`/alliance join\`.`
+    )],
+  });
+}
+
+/**
+ * DM an invited player (best effort - DMs may be closed)
+ */
+async function notifyInvite(client, discordId, allianceName, inviterName) {
+  try {
+    const user = await client.users.fetch(discordId);
+    const embed = new EmbedBuilder()
+      .setColor(COLORS.INFO)
+      .setTitle('🏰 Alliance Invite')
+      .setDescription(
+        `**${inviterName}** invited you to join **${allianceName}**!\n\n` +
+        `Use \`/alliance join name:${allianceName}\` within ${ALLIANCE.INVITE_EXPIRY_HOURS} hours to accept.`
+      )
+      .setTimestamp();
+    await user.send({ embeds: [embed] });
+  } catch (error) {
+    console.log(`Could not DM alliance invite to ${discordId}:`, error.message);
+  }
+}
+
+/**
+ * Accept an invite
+ */
+async function joinAlliance(interaction, guild) {
+  if (guild.alliance_id) {
+    return replyError(interaction, 'You\'re already in an alliance. Use `/alliance leave` first.');
+  }
+
+  const invites = await repos.alliances.getGuildInvites(guild.id);
+  const name = interaction.options.getString('name');
+
+  const invite = name
+    ? invites.find(i => i.alliance_name.toLowerCase() === name.trim().toLowerCase())
+    : invites[0];
+
+  if (!invite) {
+    return replyError(interaction, name
+      ? `You don't have an open invite to **${name}**.`
+      : 'You don\'t have any open alliance invites.');
+  }
+
+  const result = await repos.alliances.acceptInvite(invite.alliance_id, guild.id);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  await interaction.reply({
+    embeds: [createSuccessEmbed(`**${guild.name}** has joined **${invite.alliance_name}**!`)],
+  });
+}
+
+/**
+ * Leave the alliance (hands over leadership or disbands)
+ */
+async function leaveAlliance(interaction, guild) {
+  const alliance = await repos.alliances.getAllianceById(guild.alliance_id);
+  const result = await repos.alliances.leaveAlliance(guild.id);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  let message = `**${guild.name}** has left **${alliance.name}**.`;
+  if (result.disbanded) {
+    message += ' It had no members left and has been disbanded.';
+  } else if (result.newLeaderId) {
+    const newLeader = await repos.guilds.getGuildById(result.newLeaderId);
+    message += ` **${newLeader.name}** is the new leader.`;
+  }
+
+  await interaction.reply({ embeds: [createSuccessEmbed(message)] });
+}
+
+/**
+ * Kick a member (leader/officers)
+ */
+async function kickMember(interaction, guild) {
+  const target = await getTargetMember(interaction, guild);
+  if (!target) return;
+
+  if (!canKick(guild.alliance_role, target.alliance_role)) {
+    return replyError(interaction, 'You can only kick members ranked below you.');
+  }
+
+  const removed = await repos.alliances.removeMember(guild.alliance_id, target.id);
+  if (!removed) {
+    return replyError(interaction, `**${target.name}** couldn't be removed.`);
+  }
+
+  await interaction.reply({
+    embeds: [createSuccessEmbed(`**${target.name}** has been removed from the alliance.`)],
+  });
+}
+
+/**
+ * Promote a member (leader only) - promoting an officer hands over leadership
+ */
+async function promoteMember(interaction, guild) {
+  if (guild.alliance_role !== 'leader') {
+    return replyError(interaction, 'Only the alliance leader can promote members.');
+  }
+
+  const target = await getTargetMember(interaction, guild);
+  if (!target) return;
+
+  const newRole = target.alliance_role === 'member' ? 'officer' : 'leader';
+  await repos.alliances.setMemberRole(guild.alliance_id, target.id, newRole);
+
+  const message = newRole === 'leader'
+    ? `${ALLIANCE.ROLES.leader.emoji} **${target.name}** is now the alliance leader. You have been made an officer.`
+    : `${ALLIANCE.ROLES.officer.emoji} **${target.name}** has been promoted to officer.`;
+
+  await interaction.reply({ embeds: [createSuccessEmbed(message)] });
+}
+
+/**
+ * Demote an officer to member (leader only)
+ */
+async function demoteMember(interaction, guild) {
+  if (guild.alliance_role !== 'leader') {
+    return replyError(interaction, 'Only the alliance leader can demote officers.');
+  }
+
+  const target = await getTargetMember(interaction, guild);
+  if (!target) return;
+
+  if (target.alliance_role !== 'officer') {
+    return replyError(interaction, `**${target.name}** isn't an officer.`);
+  }
+
+  await repos.alliances.setMemberRole(guild.alliance_id, target.id, 'member');
+
+  await interaction.reply({
+    embeds: [createSuccessEmbed(`**${target.name}** has been demoted to member.`)],
+  });
+}
+
+/**
+ * Donate gold to the treasury
+ */
+async function donateGold(interaction, guild) {
+  const amount = interaction.options.getInteger('amount');
+
+  if (amount < ALLIANCE.MIN_DONATION) {
+    return replyError(interaction, `The minimum donation is **${formatNumber(ALLIANCE.MIN_DONATION)}** gold.`);
+  }
+  if (guild.gold < amount) {
+    return replyError(interaction, `You don't have enough gold! You have **${formatNumber(guild.gold)}** gold.`);
+  }
+
+  const result = await repos.alliances.donateToTreasury(guild.id, amount);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.GOLD)
+    .setTitle('💰 Donation Received')
+    .setDescription(`**${guild.name}** donated **${formatNumber(amount)}** gold to **${result.alliance.name}**!`)
+    .addFields(
+      {
+        name: 'Treasury',
+        value: `**${formatNumber(Number(result.alliance.treasury))}** gold`,
+        inline: true,
+      },
+      {
+        name: 'Your Gold',
+        value: `**${formatNumber(result.guild.gold)}**`,
+        inline: true,
+      }
+    )
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * List treasury buffs with levels and next costs
+ */
+async function showBuffs(interaction, guild) {
+  const [alliance, buffs] = await Promise.all([
+    repos.alliances.getAllianceById(guild.alliance_id),
+    repos.alliances.getAllianceBuffs(guild.alliance_id),
+  ]);
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle(`📜 ${alliance.name} - Treasury Buffs`)
+    .setDescription(
+      `Treasury: **${formatNumber(Number(alliance.treasury))}** gold\n` +
+      '*Buffs multiply every member\'s idle gold/XP rates. Leaders and officers buy them with `/alliance upgrade`.*'
+    )
+    .setTimestamp();
+
+  for (const [key, buff] of Object.entries(ALLIANCE.BUFFS)) {
+    const level = buffs.find(b => b.buff_key === key)?.level || 0;
+    const cost = getBuffCost(key, level);
+    const current = level > 0 ? formatBuffEffect(key, level) : 'No bonus yet';
+    const next = cost === null
+      ? '*Max level*'
+      : `Next: ${formatBuffEffect(key, level + 1)} for **${formatNumber(cost)}** gold`;
+
+    embed.addFields({
+      name: `${buff.emoji} ${buff.label} (Lv ${level}/${buff.maxLevel})`,
+      value: `${current}\n${next}`,
+      inline: false,
+    });
+  }
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Buy the next level of a buff from the treasury (leader/officers)
+ */
+async function upgradeBuff(interaction, guild) {
+  if (!canManageAlliance(guild.alliance_role)) {
+    return replyError(interaction, 'Only the leader and officers can spend the treasury.');
+  }
+
+  const buffKey = interaction.options.getString('buff');
+  const buff = ALLIANCE.BUFFS[buffKey];
+
+  const [alliance, buffs] = await Promise.all([
+    repos.alliances.getAllianceById(guild.alliance_id),
+    repos.alliances.getAllianceBuffs(guild.alliance_id),
+  ]);
+  const level = buffs.find(b => b.buff_key === buffKey)?.level || 0;
+  const cost = getBuffCost(buffKey, level);
+
+  if (cost === null) {
+    return replyError(interaction, `**${buff.label}** is already at max level.`);
+  }
+  if (Number(alliance.treasury) < cost) {
+    return replyError(interaction, `**${buff.label}** Lv ${level + 1} costs **${formatNumber(cost)}** gold. The treasury has **${formatNumber(Number(alliance.treasury))}**.`);
+  }
+
+  const result = await repos.alliances.purchaseBuff(alliance.id, buffKey, level, cost);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.SUCCESS)
+    .setTitle(`${buff.emoji} ${buff.label} Upgraded!`)
+    .setDescription(
+      `**${alliance.name}** bought **${buff.label} Lv ${result.level}** - ` +
+      `every member now gets **${formatBuffEffect(buffKey, result.level)}**.`
+    )
+    .addFields({
+      name: 'Treasury',
+      value: `**${formatNumber(Number(result.alliance.treasury))}** gold (-${formatNumber(cost)})`,
+      inline: false,
+    })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
@@ -1,30 +1,27 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags, ButtonBuilder, ButtonStyle, ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
-import { getGuildByDiscordId, getGuildWithData } from '../database/guilds.js';
-import { getNotificationSettings } from '../database/notifications.js';
+import { repos } from '../database/repositories/index.js';
 import {
   calculatePower,
   calculatePowerRatio,
   getBattleType,
   calculateWinChance,
-  rollBattle,
   calculateBattleRewards,
   calculateFreeRevengeRewards,
   checkBattleCooldowns,
-  checkTargetCooldown,
-  getRandomTargetWithData,
-  recordBattle,
-  applyBattleResults,
-  applyFreeRevengeResults,
   getRemainingBattlesToday,
   getMinimumBet,
   getDailyBattleLimit,
   getConsentTimeout,
   getFreeRevengeTimeout,
   isFreeRevengeValid,
-  lockBetGold,
-  unlockBetGold,
 } from '../database/battles.js';
-import { createErrorEmbed, COLORS } from '../utils/embeds.js';
+import { createErrorEmbed, addAchievementUnlocks, addItemDrops, COLORS } from '../utils/embeds.js';
+import { checkAchievements } from '../game/achievements.js';
+import { rollItemDrops } from '../game/items.js';
+import { findRankedOpponent, getRating, formatRatingChange } from '../game/rating.js';
+import { calculateDefense } from '../game/defense.js';
+import { resolveCombat, formatCombatLog } from '../game/combat.js';
+import { claimBounties } from '../game/bounties.js';
 import { formatNumber } from '../utils/format.js';
 
 export const data = new SlashCommandBuilder()
@@ -48,12 +45,26 @@ export const data = new SlashCommandBuilder()
       .setName('random')
       .setDescription('Battle a random player')
       .setRequired(false)
+  )
+  .addBooleanOption(option =>
+    option
+      .setName('server_only')
+      .setDescription('With random: only match players from this server')
+      .setRequired(false)
+  )
+  .addBooleanOption(option =>
+    option
+      .setName('ranked')
+      .setDescription('With random: only match players near your battle rating and power')
+      .setRequired(false)
   );
 
 export async function execute(interaction) {
   const targetUser = interaction.options.getUser('user');
   const randomBattle = interaction.options.getBoolean('random');
   const betAmount = interaction.options.getInteger('bet');
+  const serverOnly = randomBattle && interaction.options.getBoolean('server_only');
+  const ranked = randomBattle && interaction.options.getBoolean('ranked');
   
   // Must specify either user or random
   if (!targetUser && !randomBattle) {
@@ -63,8 +74,15 @@ export async function execute(interaction) {
     });
   }
   
+  if (serverOnly && !interaction.guildId) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('Server-only matchmaking is only available inside a server.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  
   // Get attacker's guild with upgrades and prestige data (1 query instead of 3)
-  const { guild: attackerGuild, upgrades: attackerUpgrades, prestigeUpgrades: attackerPrestigeUpgrades } = await getGuildWithData(interaction.user.id);
+  const { guild: attackerGuild, upgrades: attackerUpgrades, prestigeUpgrades: attackerPrestigeUpgrades, achievements: attackerAchievements, equipment: attackerEquipment } = await repos.guilds.getGuildWithData(interaction.user.id);
   if (!attackerGuild) {
     return interaction.reply({
       embeds: [createErrorEmbed('You don\'t have a guild yet! Use `/start` to found one.')],
@@ -102,20 +120,38 @@ export async function execute(interaction) {
   let defenderGuild;
   let defenderUpgrades;
   let defenderPrestigeUpgrades;
+  let defenderAchievements;
+  let defenderEquipment;
   let defenderDiscordId;
   
   if (randomBattle) {
-    // Get random target with full data in one operation (avoids double-fetch)
-    const defenderData = await getRandomTargetWithData(attackerGuild.id);
+    // Ranked picks someone close in rating and power; otherwise any guild will do
+    // Both fetch the target with full data in one operation (avoids double-fetch)
+    const serverId = serverOnly ? interaction.guildId : null;
+    const defenderData = ranked
+      ? await findRankedOpponent(
+        attackerGuild,
+        await calculatePower(attackerGuild, attackerUpgrades, attackerPrestigeUpgrades, attackerAchievements, attackerEquipment),
+        serverId
+      ) || { guild: null }
+      : await repos.battles.getRandomTargetWithData(attackerGuild.id, serverId);
     if (!defenderData.guild) {
+      let message = serverOnly
+        ? 'No other guilds in this server to battle! Try a global random battle instead.'
+        : 'No other guilds to battle! Invite some friends to play.';
+      if (ranked) {
+        message = 'No guilds close to your rating and power right now. Try again later, or drop `ranked` for any opponent.';
+      }
       return interaction.reply({
-        embeds: [createErrorEmbed('No other guilds to battle! Invite some friends to play.')],
+        embeds: [createErrorEmbed(message)],
         flags: MessageFlags.Ephemeral,
       });
     }
     defenderGuild = defenderData.guild;
     defenderUpgrades = defenderData.upgrades;
     defenderPrestigeUpgrades = defenderData.prestigeUpgrades;
+    defenderAchievements = defenderData.achievements;
+    defenderEquipment = defenderData.equipment;
     defenderDiscordId = defenderGuild.discord_id;
   } else {
     // Can't battle yourself
@@ -126,10 +162,12 @@ export async function execute(interaction) {
       });
     }
     
-    const defenderData = await getGuildWithData(targetUser.id);
+    const defenderData = await repos.guilds.getGuildWithData(targetUser.id);
     defenderGuild = defenderData.guild;
     defenderUpgrades = defenderData.upgrades;
     defenderPrestigeUpgrades = defenderData.prestigeUpgrades;
+    defenderAchievements = defenderData.achievements;
+    defenderEquipment = defenderData.equipment;
     
     if (!defenderGuild) {
       return interaction.reply({
@@ -141,7 +179,7 @@ export async function execute(interaction) {
   }
   
   // Check per-target cooldown
-  const targetCooldownCheck = await checkTargetCooldown(attackerGuild.id, defenderGuild.id);
+  const targetCooldownCheck = await repos.battles.checkTargetCooldown(attackerGuild.id, defenderGuild.id);
   if (!targetCooldownCheck.canBattle) {
     return interaction.reply({
       embeds: [createErrorEmbed(targetCooldownCheck.reason)],
@@ -150,17 +188,24 @@ export async function execute(interaction) {
   }
   
   // Calculate power and determine battle type (using pre-loaded data - no extra queries)
-  const attackerPower = await calculatePower(attackerGuild, attackerUpgrades, attackerPrestigeUpgrades);
-  const defenderPower = await calculatePower(defenderGuild, defenderUpgrades, defenderPrestigeUpgrades);
+  const attackerPower = await calculatePower(attackerGuild, attackerUpgrades, attackerPrestigeUpgrades, attackerAchievements, attackerEquipment);
+  const defenderPower = await calculatePower(defenderGuild, defenderUpgrades, defenderPrestigeUpgrades, defenderAchievements, defenderEquipment);
   const powerRatio = calculatePowerRatio(attackerPower, defenderPower);
   const battleType = getBattleType(powerRatio);
-  const winChance = calculateWinChance(attackerPower, defenderPower);
+  const winChance = calculateWinChance(attackerPower, defenderPower, calculateDefense(defenderGuild));
   
   // If consent required (power ratio > 5), send challenge and wait for response
   if (battleType.type === 'consent') {
-    // Lock the attacker's bet
-    const locked = await lockBetGold(attackerGuild.id, betAmount);
-    if (!locked) {
+    // Lock the attacker's bet and save the challenge together, so the buttons and the refund survive a restart
+    const challenge = await repos.challenges.createChallenge({
+      attackerGuildId: attackerGuild.id,
+      defenderGuildId: defenderGuild.id,
+      attackerDiscordId: interaction.user.id,
+      defenderDiscordId,
+      betAmount,
+      timeoutMs: getConsentTimeout(),
+    });
+    if (!challenge) {
       return interaction.reply({
         embeds: [createErrorEmbed('Failed to lock your bet. Do you have enough gold?')],
         flags: MessageFlags.Ephemeral,
@@ -197,13 +242,13 @@ export async function execute(interaction) {
       .setTimestamp();
     
     const acceptButton = new ButtonBuilder()
-      .setCustomId(`battle_accept:${interaction.user.id}:${defenderDiscordId}:${betAmount}:${attackerGuild.id}:${defenderGuild.id}`)
+      .setCustomId(`battle_accept:${challenge.id}`)
       .setLabel('Accept Challenge')
       .setStyle(ButtonStyle.Success)
       .setEmoji('⚔️');
     
     const declineButton = new ButtonBuilder()
-      .setCustomId(`battle_decline:${interaction.user.id}:${betAmount}:${attackerGuild.id}`)
+      .setCustomId(`battle_decline:${challenge.id}`)
       .setLabel('Decline')
       .setStyle(ButtonStyle.Secondary);
     
@@ -215,20 +260,10 @@ export async function execute(interaction) {
       fetchReply: true,
     });
     
-    // Set up timeout to return bet if no response
-    const timeout = getConsentTimeout();
-    setTimeout(async () => {
-      try {
-        // Check if the message still has buttons (hasn't been handled)
-        const message = await reply.fetch();
-        if (message.components.length > 0) {
-          await handleChallengeTimeout(message, interaction.user.id, betAmount, attackerGuild.id);
-        }
-      } catch (error) {
-        // Message may have been deleted or already handled
-        console.log('Challenge timeout cleanup:', error.message);
-      }
-    }, timeout);
+    await repos.challenges.setChallengeMessage(challenge.id, interaction.channelId, reply.id);
+    
+    // Return the bet if the defender doesn't answer in time
+    scheduleChallengeExpiry(interaction.client, challenge, reply);
     
     return; // Wait for button interaction
   }
@@ -241,8 +276,9 @@ export async function execute(interaction) {
  * Execute the actual battle logic and send results
  */
 async function executeBattle(interaction, attackerGuild, defenderGuild, defenderDiscordId, betAmount, attackerPower, defenderPower, powerRatio, battleType, winChance, isConsent) {
-  // Roll for victory!
-  const attackerWon = rollBattle(winChance);
+  // Fight it out!
+  const combat = resolveCombat(winChance, attackerGuild, defenderGuild);
+  const attackerWon = combat.attackerWon;
   
   // Determine winner and loser
   const winnerId = attackerWon ? attackerGuild.id : defenderGuild.id;
@@ -266,7 +302,7 @@ async function executeBattle(interaction, attackerGuild, defenderGuild, defender
   
   // Apply battle results (wrapped in transaction for atomicity)
   try {
-    await applyBattleResults(winnerId, loserId, goldTransfer, xpBonus);
+    await repos.battles.applyBattleResults(winnerId, loserId, goldTransfer, xpBonus);
   } catch (error) {
     console.error('Battle result application failed:', error);
     const errorEmbed = createErrorEmbed('Battle completed but failed to transfer gold. Please contact an admin.');
@@ -279,7 +315,7 @@ async function executeBattle(interaction, attackerGuild, defenderGuild, defender
   }
   
   // Record the battle
-  await recordBattle({
+  const battle = await repos.battles.recordBattle({
     attackerGuild,
     defenderGuild,
     betAmount,
@@ -289,8 +325,21 @@ async function executeBattle(interaction, attackerGuild, defenderGuild, defender
     attackerPower,
     defenderPower,
     winChance,
+    combatLog: combat.rounds,
   });
   
+  // Beating a wanted guild claims every bounty on it
+  const bountyClaim = attackerWon ? await claimBounties(attackerGuild, defenderGuild, battle.id) : null;
+  
+  // The winner gets a chance at an item
+  const drops = await rollItemDrops(winnerId, 'battle');
+  
+  // Win/loss counts and gold swings can unlock achievements on either side
+  const [attackerUnlocks] = await Promise.all([
+    checkAchievements(attackerGuild.id),
+    checkAchievements(defenderGuild.id),
+  ]);
+  
   // Build result embed with clearer display
   const embed = buildBattleResultEmbed(
     interaction.user.id,
@@ -305,18 +354,24 @@ async function executeBattle(interaction, attackerGuild, defenderGuild, defender
     defenderPower,
     winChance,
     powerRatio,
-    wasCapped
+    wasCapped,
+    combat.rounds
   );
   
+  addRatingChanges(embed, attackerGuild, defenderGuild, battle);
+  addBountyClaim(embed, bountyClaim, attackerGuild);
+  addItemDrops(embed, drops, attackerWon ? attackerGuild.name : defenderGuild.name);
+  addAchievementUnlocks(embed, attackerUnlocks);
+  
   // Refresh attacker's guild to get updated battles_today
-  const updatedAttackerGuild = await getGuildByDiscordId(interaction.user.id);
+  const updatedAttackerGuild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   const remaining = getRemainingBattlesToday(updatedAttackerGuild);
   embed.setFooter({ text: `Battles remaining today: ${remaining}/${getDailyBattleLimit()}` });
   
   // Create counter-attack buttons for defender
   // Include free revenge if power ratio >= 5 and attacker was stronger
-  const timestamp = Date.now();
-  const row = createCounterAttackButtons(interaction.user.id, defenderDiscordId, betAmount, powerRatio, attackerIsStronger, timestamp);
+  const revengeToken = await openRevengeWindow(battle, attackerGuild, defenderGuild, interaction.user.id, defenderDiscordId, powerRatio, attackerIsStronger);
+  const row = createCounterAttackButtons(interaction.user.id, betAmount, revengeToken);
   
   // Send public battle result
   if (isConsent) {
@@ -335,10 +390,64 @@ async function executeBattle(interaction, attackerGuild, defenderGuild, defender
   await notifyDefender(interaction.client, defenderDiscordId, defenderGuild.id, attackerGuild.name, attackerWon, goldTransfer, xpBonus, betAmount);
 }
 
+/**
+ * Add both guilds' rating changes to a battle result embed
+ * @param {EmbedBuilder} embed - Result embed
+ * @param {Object} attackerGuild - Attacker's guild (as loaded before the battle)
+ * @param {Object} defenderGuild - Defender's guild (as loaded before the battle)
+ * @param {Object} battle - Battle record from recordBattle
+ */
+function addRatingChanges(embed, attackerGuild, defenderGuild, battle) {
+  embed.addFields({
+    name: 'Battle Rating',
+    value: [
+      `${attackerGuild.name}: **${formatRatingChange(getRating(attackerGuild), battle.attacker_rating_change)}**`,
+      `${defenderGuild.name}: **${formatRatingChange(getRating(defenderGuild), battle.defender_rating_change)}**`,
+    ].join('\n'),
+    inline: false,
+  });
+}
+
+/**
+ * Add the bounties a win claimed to a battle result embed
+ * @param {EmbedBuilder} embed - Result embed
+ * @param {Object|null} claim - Result of claimBounties (null if there was nothing to claim)
+ * @param {Object} winnerGuild - Guild that claimed them
+ */
+function addBountyClaim(embed, claim, winnerGuild) {
+  if (!claim) return;
+
+  const count = claim.bounties.length;
+  embed.addFields({
+    name: '🎯 Bounty Claimed',
+    value: `**${winnerGuild.name}** collects **${formatNumber(claim.total)}** gold from ${count} bount${count !== 1 ? 'ies' : 'y'}!`,
+    inline: false,
+  });
+}
+
+/**
+ * Battle Stats field text, with the defender's defense when it has any
+ */
+function getBattleStatsText(attackerPower, defenderPower, powerRatio, winChance, defenderGuild) {
+  const lines = [
+    `Attacker Power: **${attackerPower.toFixed(1)}**`,
+    `Defender Power: **${defenderPower.toFixed(1)}**`,
+    `Power Ratio: **${powerRatio.toFixed(1)}x**`,
+  ];
+
+  const defense = calculateDefense(defenderGuild);
+  if (defense > 0) {
+    lines.push(`Defender Defense: **-${defense.toFixed(1)}%**`);
+  }
+
+  lines.push(`Win Chance: **${winChance.toFixed(1)}%**`);
+  return lines.join('\n');
+}
+
 /**
  * Build a clear battle result embed
  */
-function buildBattleResultEmbed(attackerId, defenderId, attackerGuild, defenderGuild, attackerWon, betAmount, goldTransfer, xpBonus, attackerPower, defenderPower, winChance, powerRatio, wasCapped) {
+function buildBattleResultEmbed(attackerId, defenderId, attackerGuild, defenderGuild, attackerWon, betAmount, goldTransfer, xpBonus, attackerPower, defenderPower, winChance, powerRatio, wasCapped, combatRounds) {
   const embed = new EmbedBuilder()
     .setTitle('BATTLE RESULTS')
     .setDescription(`<@${attackerId}> vs <@${defenderId}>`)
@@ -364,12 +473,7 @@ function buildBattleResultEmbed(attackerId, defenderId, attackerGuild, defenderG
   // Battle stats
   embed.addFields({
     name: 'Battle Stats',
-    value: [
-      `Attacker Power: **${attackerPower.toFixed(1)}**`,
-      `Defender Power: **${defenderPower.toFixed(1)}**`,
-      `Power Ratio: **${powerRatio.toFixed(1)}x**`,
-      `Win Chance: **${winChance.toFixed(1)}%**`,
-    ].join('\n'),
+    value: getBattleStatsText(attackerPower, defenderPower, powerRatio, winChance, defenderGuild),
     inline: true,
   });
   
@@ -420,15 +524,32 @@ function buildBattleResultEmbed(attackerId, defenderId, attackerGuild, defenderG
     }
   );
   
+  addCombatLog(embed, combatRounds, attackerGuild, defenderGuild);
+  
   return embed;
 }
 
+/**
+ * Add the round-by-round combat log to a battle result embed
+ * @param {EmbedBuilder} embed - Result embed
+ * @param {Array} rounds - Rounds from resolveCombat
+ * @param {Object} attackerGuild - Attacker's guild
+ * @param {Object} defenderGuild - Defender's guild
+ */
+function addCombatLog(embed, rounds, attackerGuild, defenderGuild) {
+  embed.addFields({
+    name: 'Combat Log',
+    value: formatCombatLog(rounds, attackerGuild.name, defenderGuild.name),
+    inline: false,
+  });
+}
+
 /**
  * Notify defender of battle result
  */
 async function notifyDefender(client, defenderDiscordId, defenderGuildId, attackerName, attackerWon, goldTransfer, xpBonus, betAmount) {
   try {
-    const defenderSettings = await getNotificationSettings(defenderGuildId);
+    const defenderSettings = await repos.notifications.getNotificationSettings(defenderGuildId);
     
     if (defenderSettings?.battle_notifications_enabled) {
       const defenderUser = await client.users.fetch(defenderDiscordId);
@@ -453,27 +574,64 @@ async function notifyDefender(client, defenderDiscordId, defenderGuildId, attack
   }
 }
 
+/**
+ * Reply to a button on a challenge that's no longer waiting for an answer
+ */
+function replyChallengeClosed(interaction) {
+  return interaction.update({
+    embeds: [createErrorEmbed('This challenge has already been answered.')],
+    components: [],
+  });
+}
+
+/**
+ * Build the embed shown once a challenge expires
+ * @param {Object} challenge - Expired challenge
+ * @returns {EmbedBuilder}
+ */
+function buildChallengeExpiredEmbed(challenge) {
+  return new EmbedBuilder()
+    .setColor(COLORS.WARNING)
+    .setTitle('Challenge Expired')
+    .setDescription(`The battle challenge has expired.\n\n**${formatNumber(Number(challenge.bet_amount))}** gold has been returned to <@${challenge.attacker_discord_id}>.`)
+    .setTimestamp();
+}
+
 /**
  * Handle battle challenge acceptance
  */
 export async function handleBattleAccept(interaction) {
-  const [, attackerDiscordId, defenderDiscordId, betStr, attackerGuildIdStr, defenderGuildIdStr] = interaction.customId.split(':');
-  const betAmount = parseInt(betStr, 10);
-  const attackerGuildId = parseInt(attackerGuildIdStr, 10);
-  const defenderGuildId = parseInt(defenderGuildIdStr, 10);
+  const [, challengeIdStr] = interaction.customId.split(':');
+  const challenge = await repos.challenges.getChallengeById(parseInt(challengeIdStr, 10));
+  
+  if (!challenge || challenge.status !== 'pending') {
+    return replyChallengeClosed(interaction);
+  }
   
   // Only the defender can accept
-  if (interaction.user.id !== defenderDiscordId) {
+  if (interaction.user.id !== challenge.defender_discord_id) {
     return interaction.reply({
       embeds: [createErrorEmbed('Only the challenged player can accept this battle!')],
       flags: MessageFlags.Ephemeral,
     });
   }
   
+  // The timer may have been lost (e.g. the bot restarted) - expire it now instead
+  if (new Date(challenge.expires_at).getTime() <= Date.now()) {
+    const expired = await repos.challenges.closeChallenge(challenge.id, 'expired');
+    if (!expired) {
+      return replyChallengeClosed(interaction);
+    }
+    return interaction.update({
+      embeds: [buildChallengeExpiredEmbed(expired)],
+      components: [],
+    });
+  }
+  
   // Fetch fresh guild data with upgrades (1 query per guild instead of 3)
   const [attackerData, defenderData] = await Promise.all([
-    getGuildWithData(attackerDiscordId),
-    getGuildWithData(defenderDiscordId),
+    repos.guilds.getGuildWithData(challenge.attacker_discord_id),
+    repos.guilds.getGuildWithData(challenge.defender_discord_id),
   ]);
   
   const attackerGuild = attackerData.guild;
@@ -482,7 +640,7 @@ export async function handleBattleAccept(interaction) {
   if (!attackerGuild || !defenderGuild) {
     // Return bet to attacker if guild is missing
     if (attackerGuild) {
-      await unlockBetGold(attackerGuildId, betAmount);
+      await repos.challenges.closeChallenge(challenge.id, 'cancelled');
     }
     return interaction.update({
       embeds: [createErrorEmbed('One of the guilds no longer exists!')],
@@ -490,39 +648,68 @@ export async function handleBattleAccept(interaction) {
     });
   }
   
+  // Claim the challenge before fighting so a double click or the timeout can't settle it twice
+  const accepted = await repos.challenges.acceptChallenge(challenge.id, defenderGuild.id);
+  if (!accepted) {
+    return replyChallengeClosed(interaction);
+  }
+  
   // Calculate power and battle type (using pre-loaded data)
-  const attackerPower = await calculatePower(attackerGuild, attackerData.upgrades, attackerData.prestigeUpgrades);
-  const defenderPower = await calculatePower(defenderGuild, defenderData.upgrades, defenderData.prestigeUpgrades);
+  const attackerPower = await calculatePower(attackerGuild, attackerData.upgrades, attackerData.prestigeUpgrades, attackerData.achievements, attackerData.equipment);
+  const defenderPower = await calculatePower(defenderGuild, defenderData.upgrades, defenderData.prestigeUpgrades, defenderData.achievements, defenderData.equipment);
   const powerRatio = calculatePowerRatio(attackerPower, defenderPower);
   const battleType = getBattleType(powerRatio);
-  const winChance = calculateWinChance(attackerPower, defenderPower);
+  const winChance = calculateWinChance(attackerPower, defenderPower, calculateDefense(defenderGuild));
   
   // Create a fake interaction-like object with the attacker as user
   const fakeInteraction = {
-    user: { id: attackerDiscordId },
+    user: { id: accepted.attacker_discord_id },
     client: interaction.client,
     update: interaction.update.bind(interaction),
   };
   
   // Execute the battle (bet was already locked when challenge was sent)
-  await executeBattle(fakeInteraction, attackerGuild, defenderGuild, defenderDiscordId, betAmount, attackerPower, defenderPower, powerRatio, battleType, winChance, true);
+  await executeBattle(fakeInteraction, attackerGuild, defenderGuild, accepted.defender_discord_id, Number(accepted.bet_amount), attackerPower, defenderPower, powerRatio, battleType, winChance, true);
 }
 
 /**
- * Handle battle challenge decline
+ * Handle battle challenge decline - the defender declines, the challenger withdraws
  */
 export async function handleBattleDecline(interaction) {
-  const [, attackerDiscordId, betStr, attackerGuildIdStr] = interaction.customId.split(':');
-  const betAmount = parseInt(betStr, 10);
-  const attackerGuildId = parseInt(attackerGuildIdStr, 10);
+  const [, challengeIdStr] = interaction.customId.split(':');
+  const challenge = await repos.challenges.getChallengeById(parseInt(challengeIdStr, 10));
+  
+  if (!challenge || challenge.status !== 'pending') {
+    return replyChallengeClosed(interaction);
+  }
+  
+  let status = null;
+  if (interaction.user.id === challenge.defender_discord_id) {
+    status = 'declined';
+  } else if (interaction.user.id === challenge.attacker_discord_id) {
+    status = 'cancelled';
+  }
+  
+  if (!status) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('This challenge isn\'t yours to decline!')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
   
   // Return the locked bet to the attacker
-  await unlockBetGold(attackerGuildId, betAmount);
+  const closed = await repos.challenges.closeChallenge(challenge.id, status);
+  if (!closed) {
+    return replyChallengeClosed(interaction);
+  }
   
+  const refund = `**${formatNumber(Number(closed.bet_amount))}** gold has been returned to <@${closed.attacker_discord_id}>.`;
   const embed = new EmbedBuilder()
     .setColor(COLORS.WARNING)
-    .setTitle('Challenge Declined')
-    .setDescription(`<@${interaction.user.id}> declined the battle challenge.\n\n**${formatNumber(betAmount)}** gold has been returned to <@${attackerDiscordId}>.`)
+    .setTitle(status === 'declined' ? 'Challenge Declined' : 'Challenge Withdrawn')
+    .setDescription(status === 'declined'
+      ? `<@${interaction.user.id}> declined the battle challenge.\n\n${refund}`
+      : `<@${interaction.user.id}> withdrew the battle challenge.\n\n${refund}`)
     .setTimestamp();
   
   await interaction.update({
@@ -532,44 +719,117 @@ export async function handleBattleDecline(interaction) {
 }
 
 /**
- * Handle challenge timeout (called when collector ends)
+ * Expire a challenge nobody answered and return the bet
+ * @param {Object} client - Discord client
+ * @param {Object} challenge - Pending challenge
+ * @param {Object} [message] - Challenge message (fetched from the saved channel and message IDs if not given)
+ * @returns {Promise<boolean>} True if the challenge was expired, false if it had already been answered
  */
-export async function handleChallengeTimeout(message, attackerDiscordId, betAmount, attackerGuildId) {
+export async function handleChallengeTimeout(client, challenge, message = null) {
   // Return the locked bet to the attacker
-  await unlockBetGold(attackerGuildId, betAmount);
-  
-  const embed = new EmbedBuilder()
-    .setColor(COLORS.WARNING)
-    .setTitle('Challenge Expired')
-    .setDescription(`The battle challenge has expired.\n\n**${formatNumber(betAmount)}** gold has been returned to <@${attackerDiscordId}>.`)
-    .setTimestamp();
+  const expired = await repos.challenges.closeChallenge(challenge.id, 'expired');
+  if (!expired) {
+    return false;
+  }
   
   try {
-    await message.edit({
-      embeds: [embed],
+    if (!message && expired.channel_id && expired.message_id) {
+      const channel = await client.channels.fetch(expired.channel_id);
+      message = await channel.messages.fetch(expired.message_id);
+    }
+    await message?.edit({
+      embeds: [buildChallengeExpiredEmbed(expired)],
       components: [],
     });
   } catch (error) {
     console.log('Could not edit expired challenge message:', error.message);
   }
+  
+  return true;
+}
+
+/**
+ * Expire a challenge when its timer runs out, unless the defender answers first
+ * @param {Object} client - Discord client
+ * @param {Object} challenge - Pending challenge
+ * @param {Object} [message] - Challenge message
+ */
+function scheduleChallengeExpiry(client, challenge, message = null) {
+  const delay = Math.max(0, new Date(challenge.expires_at).getTime() - Date.now());
+  
+  setTimeout(async () => {
+    try {
+      await handleChallengeTimeout(client, challenge, message);
+    } catch (error) {
+      console.log('Challenge timeout cleanup:', error.message);
+    }
+  }, delay);
+}
+
+/**
+ * Pick up the challenges left pending when the bot stopped
+ * Ones that ran out while offline are refunded now; the rest get their expiry timers back
+ * @param {Object} client - Discord client
+ * @returns {Promise<{ restored: number, expired: number }>}
+ */
+export async function restorePendingChallenges(client) {
+  const challenges = await repos.challenges.getPendingChallenges();
+  let restored = 0;
+  let expired = 0;
+  
+  for (const challenge of challenges) {
+    if (new Date(challenge.expires_at).getTime() <= Date.now()) {
+      if (await handleChallengeTimeout(client, challenge)) {
+        expired++;
+      }
+    } else {
+      scheduleChallengeExpiry(client, challenge);
+      restored++;
+    }
+  }
+  
+  return { restored, expired };
+}
+
+/**
+ * Open a free revenge window for the defender of a lopsided battle
+ * @param {Object|null} battle - Battle record from recordBattle
+ * @param {Object} attackerGuild - Attacker's guild
+ * @param {Object} defenderGuild - Defender's guild
+ * @param {string} attackerId - Attacker's Discord ID
+ * @param {string} defenderId - Defender's Discord ID
+ * @param {number} powerRatio - Power ratio from the battle
+ * @param {boolean} attackerWasStronger - Whether attacker was the stronger player
+ * @returns {Promise<Object|null>} The revenge token, or null if the battle doesn't earn one
+ */
+async function openRevengeWindow(battle, attackerGuild, defenderGuild, attackerId, defenderId, powerRatio, attackerWasStronger) {
+  if (powerRatio < 5 || !attackerWasStronger) {
+    return null;
+  }
+  
+  return repos.challenges.createRevengeToken({
+    battleId: battle?.id ?? null,
+    attackerGuildId: attackerGuild.id,
+    defenderGuildId: defenderGuild.id,
+    attackerDiscordId: attackerId,
+    defenderDiscordId: defenderId,
+    timeoutMs: getFreeRevengeTimeout(),
+  });
 }
 
 /**
  * Create counter-attack buttons for battle results
  * @param {string} attackerId - Original attacker's Discord ID
- * @param {string} defenderId - Original defender's Discord ID
  * @param {number} betAmount - Original bet amount
- * @param {number} powerRatio - Power ratio from the battle
- * @param {boolean} attackerWasStronger - Whether attacker was the stronger player
- * @param {number} timestamp - Battle timestamp for free revenge expiry
+ * @param {Object|null} revengeToken - Free revenge window from openRevengeWindow (null for none)
  */
-function createCounterAttackButtons(attackerId, defenderId, betAmount, powerRatio, attackerWasStronger, timestamp) {
+function createCounterAttackButtons(attackerId, betAmount, revengeToken) {
   const buttons = [];
   
-  // Add Free Revenge button if power ratio >= 5 and attacker was stronger
-  if (powerRatio >= 5 && attackerWasStronger) {
+  // Add Free Revenge button if the battle opened a revenge window
+  if (revengeToken) {
     const freeRevengeButton = new ButtonBuilder()
-      .setCustomId(`battle_free_revenge:${attackerId}:${defenderId}:${timestamp}`)
+      .setCustomId(`battle_free_revenge:${revengeToken.id}`)
       .setLabel('Free Revenge!')
       .setStyle(ButtonStyle.Success)
       .setEmoji('🆓');
@@ -610,8 +870,8 @@ export async function handleCounterAttack(interaction) {
   
   // Fetch both guilds in parallel for faster response
   const [counterAttackerData, defenderData] = await Promise.all([
-    getGuildWithData(interaction.user.id),
-    getGuildWithData(originalAttackerId),
+    repos.guilds.getGuildWithData(interaction.user.id),
+    repos.guilds.getGuildWithData(originalAttackerId),
   ]);
   
   const { guild: counterAttackerGuild } = counterAttackerData;
@@ -640,7 +900,7 @@ export async function handleCounterAttack(interaction) {
   }
   
   // Check per-target cooldown
-  const targetCooldownCheck = await checkTargetCooldown(counterAttackerGuild.id, defenderGuild.id);
+  const targetCooldownCheck = await repos.battles.checkTargetCooldown(counterAttackerGuild.id, defenderGuild.id);
   if (!targetCooldownCheck.canBattle) {
     return interaction.reply({
       embeds: [createErrorEmbed(targetCooldownCheck.reason)],
@@ -691,7 +951,7 @@ export async function handleMatchBet(interaction) {
   }
   
   // Get counter-attacker's guild with data (combined query)
-  const { guild: counterAttackerGuild, upgrades: counterAttackerUpgrades, prestigeUpgrades: counterAttackerPrestigeUpgrades } = await getGuildWithData(interaction.user.id);
+  const { guild: counterAttackerGuild, upgrades: counterAttackerUpgrades, prestigeUpgrades: counterAttackerPrestigeUpgrades, achievements: counterAttackerAchievements, equipment: counterAttackerEquipment } = await repos.guilds.getGuildWithData(interaction.user.id);
   if (!counterAttackerGuild) {
     return interaction.reply({
       embeds: [createErrorEmbed('You don\'t have a guild yet! Use `/start` to found one.')],
@@ -702,7 +962,7 @@ export async function handleMatchBet(interaction) {
   // Determine bet amount (use same as original or max affordable)
   const betAmount = Math.min(suggestedBet, Number(counterAttackerGuild.gold));
   
-  await executeCounterAttack(interaction, betAmount, originalAttackerId, counterAttackerGuild, counterAttackerUpgrades, counterAttackerPrestigeUpgrades);
+  await executeCounterAttack(interaction, betAmount, originalAttackerId, counterAttackerGuild, counterAttackerUpgrades, counterAttackerPrestigeUpgrades, counterAttackerAchievements, counterAttackerEquipment);
 }
 
 /**
@@ -713,7 +973,7 @@ export async function handleCounterAttackModal(interaction) {
   const betInput = interaction.fields.getTextInputValue('bet_amount').trim().toLowerCase();
   
   // Get counter-attacker's guild with data (combined query)
-  const { guild: counterAttackerGuild, upgrades: counterAttackerUpgrades, prestigeUpgrades: counterAttackerPrestigeUpgrades } = await getGuildWithData(interaction.user.id);
+  const { guild: counterAttackerGuild, upgrades: counterAttackerUpgrades, prestigeUpgrades: counterAttackerPrestigeUpgrades, achievements: counterAttackerAchievements, equipment: counterAttackerEquipment } = await repos.guilds.getGuildWithData(interaction.user.id);
   if (!counterAttackerGuild) {
     return interaction.reply({
       embeds: [createErrorEmbed('Your guild was not found. Please try again.')],
@@ -738,13 +998,13 @@ export async function handleCounterAttackModal(interaction) {
   // Cap to available gold
   betAmount = Math.min(betAmount, Number(counterAttackerGuild.gold));
   
-  await executeCounterAttack(interaction, betAmount, originalAttackerId, counterAttackerGuild, counterAttackerUpgrades, counterAttackerPrestigeUpgrades);
+  await executeCounterAttack(interaction, betAmount, originalAttackerId, counterAttackerGuild, counterAttackerUpgrades, counterAttackerPrestigeUpgrades, counterAttackerAchievements, counterAttackerEquipment);
 }
 
 /**
  * Execute the counter-attack battle (shared logic)
  */
-async function executeCounterAttack(interaction, betAmount, originalAttackerId, counterAttackerGuild, counterAttackerUpgrades = null, counterAttackerPrestigeUpgrades = null) {
+async function executeCounterAttack(interaction, betAmount, originalAttackerId, counterAttackerGuild, counterAttackerUpgrades = null, counterAttackerPrestigeUpgrades = null, counterAttackerAchievements = [], counterAttackerEquipment = []) {
   // Check cooldowns
   const cooldownCheck = checkBattleCooldowns(counterAttackerGuild);
   if (!cooldownCheck.canBattle) {
@@ -755,7 +1015,7 @@ async function executeCounterAttack(interaction, betAmount, originalAttackerId,
   }
   
   // Get original attacker's guild (now the defender) with data
-  const { guild: defenderGuild, upgrades: defenderUpgrades, prestigeUpgrades: defenderPrestigeUpgrades } = await getGuildWithData(originalAttackerId);
+  const { guild: defenderGuild, upgrades: defenderUpgrades, prestigeUpgrades: defenderPrestigeUpgrades, achievements: defenderAchievements, equipment: defenderEquipment } = await repos.guilds.getGuildWithData(originalAttackerId);
   if (!defenderGuild) {
     return interaction.reply({
       embeds: [createErrorEmbed('The original attacker no longer has a guild!')],
@@ -764,7 +1024,7 @@ async function executeCounterAttack(interaction, betAmount, originalAttackerId,
   }
   
   // Check per-target cooldown
-  const targetCooldownCheck = await checkTargetCooldown(counterAttackerGuild.id, defenderGuild.id);
+  const targetCooldownCheck = await repos.battles.checkTargetCooldown(counterAttackerGuild.id, defenderGuild.id);
   if (!targetCooldownCheck.canBattle) {
     return interaction.reply({
       embeds: [createErrorEmbed(targetCooldownCheck.reason)],
@@ -782,17 +1042,18 @@ async function executeCounterAttack(interaction, betAmount, originalAttackerId,
   }
   
   // Calculate power and battle type (using pre-loaded data when available)
-  const attackerPower = await calculatePower(counterAttackerGuild, counterAttackerUpgrades, counterAttackerPrestigeUpgrades);
-  const defenderPower = await calculatePower(defenderGuild, defenderUpgrades, defenderPrestigeUpgrades);
+  const attackerPower = await calculatePower(counterAttackerGuild, counterAttackerUpgrades, counterAttackerPrestigeUpgrades, counterAttackerAchievements, counterAttackerEquipment);
+  const defenderPower = await calculatePower(defenderGuild, defenderUpgrades, defenderPrestigeUpgrades, defenderAchievements, defenderEquipment);
   const powerRatio = calculatePowerRatio(attackerPower, defenderPower);
   const battleType = getBattleType(powerRatio);
-  const winChance = calculateWinChance(attackerPower, defenderPower);
+  const winChance = calculateWinChance(attackerPower, defenderPower, calculateDefense(defenderGuild));
   
   // For counter-attacks, skip consent requirement (they chose to engage)
   // But still apply loss caps based on power ratio
   
-  // Roll for victory!
-  const attackerWon = rollBattle(winChance);
+  // Fight it out!
+  const combat = resolveCombat(winChance, counterAttackerGuild, defenderGuild);
+  const attackerWon = combat.attackerWon;
   
   // Determine winner and loser
   const winnerId = attackerWon ? counterAttackerGuild.id : defenderGuild.id;
@@ -816,7 +1077,7 @@ async function executeCounterAttack(interaction, betAmount, originalAttackerId,
   
   // Apply battle results (wrapped in transaction for atomicity)
   try {
-    await applyBattleResults(winnerId, loserId, goldTransfer, xpBonus);
+    await repos.battles.applyBattleResults(winnerId, loserId, goldTransfer, xpBonus);
   } catch (error) {
     console.error('Counter-attack result application failed:', error);
     return interaction.reply({
@@ -825,7 +1086,7 @@ async function executeCounterAttack(interaction, betAmount, originalAttackerId,
   }
   
   // Record the battle
-  await recordBattle({
+  const battle = await repos.battles.recordBattle({
     attackerGuild: counterAttackerGuild,
     defenderGuild,
     betAmount,
@@ -835,8 +1096,21 @@ async function executeCounterAttack(interaction, betAmount, originalAttackerId,
     attackerPower,
     defenderPower,
     winChance,
+    combatLog: combat.rounds,
   });
   
+  // Beating a wanted guild claims every bounty on it
+  const bountyClaim = attackerWon ? await claimBounties(counterAttackerGuild, defenderGuild, battle.id) : null;
+  
+  // The winner gets a chance at an item
+  const drops = await rollItemDrops(winnerId, 'battle');
+  
+  // Win/loss counts and gold swings can unlock achievements on either side
+  const [attackerUnlocks] = await Promise.all([
+    checkAchievements(counterAttackerGuild.id),
+    checkAchievements(defenderGuild.id),
+  ]);
+  
   // Build result embed
   const embed = new EmbedBuilder()
     .setTitle('COUNTER-ATTACK RESULTS')
@@ -877,12 +1151,7 @@ async function executeCounterAttack(interaction, betAmount, originalAttackerId,
   embed.addFields(
     {
       name: 'Battle Stats',
-      value: [
-        `Attacker Power: **${attackerPower.toFixed(1)}**`,
-        `Defender Power: **${defenderPower.toFixed(1)}**`,
-        `Power Ratio: **${powerRatio.toFixed(1)}x**`,
-        `Win Chance: **${winChance.toFixed(1)}%**`,
-      ].join('\n'),
+      value: getBattleStatsText(attackerPower, defenderPower, powerRatio, winChance, defenderGuild),
       inline: true,
     },
     {
@@ -912,14 +1181,20 @@ async function executeCounterAttack(interaction, betAmount, originalAttackerId,
     }
   );
   
+  addCombatLog(embed, combat.rounds, counterAttackerGuild, defenderGuild);
+  addRatingChanges(embed, counterAttackerGuild, defenderGuild, battle);
+  addBountyClaim(embed, bountyClaim, counterAttackerGuild);
+  addItemDrops(embed, drops, attackerWon ? counterAttackerGuild.name : defenderGuild.name);
+  addAchievementUnlocks(embed, attackerUnlocks);
+  
   // Refresh counter-attacker's guild to get updated battles_today
-  const updatedGuild = await getGuildByDiscordId(interaction.user.id);
+  const updatedGuild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   const remaining = getRemainingBattlesToday(updatedGuild);
   embed.setFooter({ text: `Battles remaining today: ${remaining}/${getDailyBattleLimit()}` });
   
   // Create counter-attack buttons (counter-attacker is now the "attacker" for the next round)
-  const timestamp = Date.now();
-  const row = createCounterAttackButtons(interaction.user.id, originalAttackerId, betAmount, powerRatio, attackerIsStronger, timestamp);
+  const revengeToken = await openRevengeWindow(battle, counterAttackerGuild, defenderGuild, interaction.user.id, originalAttackerId, powerRatio, attackerIsStronger);
+  const row = createCounterAttackButtons(interaction.user.id, betAmount, revengeToken);
   
   await interaction.reply({
     embeds: [embed],
@@ -934,19 +1209,27 @@ async function executeCounterAttack(interaction, betAmount, originalAttackerId,
  * Handle free revenge button - counter-attack with no bet required
  */
 export async function handleFreeRevenge(interaction) {
-  const [, originalAttackerId, originalDefenderId, timestampStr] = interaction.customId.split(':');
-  const battleTimestamp = parseInt(timestampStr, 10);
+  const [, tokenIdStr] = interaction.customId.split(':');
+  const token = await repos.challenges.getRevengeTokenById(parseInt(tokenIdStr, 10));
   
   // Only the original defender can use this button
-  if (interaction.user.id !== originalDefenderId) {
+  if (!token || interaction.user.id !== token.defender_discord_id) {
     return interaction.reply({
       embeds: [createErrorEmbed('Only the original defender can use Free Revenge!')],
       flags: MessageFlags.Ephemeral,
     });
   }
   
+  if (token.status === 'used') {
+    return interaction.reply({
+      embeds: [createErrorEmbed('You already took your Free Revenge! Use Counter-Attack or Match Bet instead.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  
   // Check if free revenge has expired (5 minute window)
-  if (!isFreeRevengeValid(battleTimestamp)) {
+  const originalAttackerId = token.attacker_discord_id;
+  if (!isFreeRevengeValid(new Date(token.created_at).getTime())) {
     return interaction.reply({
       embeds: [createErrorEmbed('Free Revenge has expired! Use Counter-Attack or Match Bet instead.')],
       flags: MessageFlags.Ephemeral,
@@ -955,8 +1238,8 @@ export async function handleFreeRevenge(interaction) {
   
   // Get both guilds with data in parallel (combined queries)
   const [counterAttackerData, defenderData] = await Promise.all([
-    getGuildWithData(interaction.user.id),
-    getGuildWithData(originalAttackerId),
+    repos.guilds.getGuildWithData(interaction.user.id),
+    repos.guilds.getGuildWithData(originalAttackerId),
   ]);
   
   const counterAttackerGuild = counterAttackerData.guild;
@@ -985,7 +1268,7 @@ export async function handleFreeRevenge(interaction) {
   }
   
   // Check per-target cooldown
-  const targetCooldownCheck = await checkTargetCooldown(counterAttackerGuild.id, defenderGuild.id);
+  const targetCooldownCheck = await repos.battles.checkTargetCooldown(counterAttackerGuild.id, defenderGuild.id);
   if (!targetCooldownCheck.canBattle) {
     return interaction.reply({
       embeds: [createErrorEmbed(targetCooldownCheck.reason)],
@@ -993,21 +1276,31 @@ export async function handleFreeRevenge(interaction) {
     });
   }
   
+  // Spend the token last, so a failed check above doesn't waste it (and a double click can't use it twice)
+  const used = await repos.challenges.useRevengeToken(token.id);
+  if (!used) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('Free Revenge is no longer available! Use Counter-Attack or Match Bet instead.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  
   // Calculate power and win chance (using pre-loaded data)
-  const attackerPower = await calculatePower(counterAttackerGuild, counterAttackerData.upgrades, counterAttackerData.prestigeUpgrades);
-  const defenderPower = await calculatePower(defenderGuild, defenderData.upgrades, defenderData.prestigeUpgrades);
+  const attackerPower = await calculatePower(counterAttackerGuild, counterAttackerData.upgrades, counterAttackerData.prestigeUpgrades, counterAttackerData.achievements, counterAttackerData.equipment);
+  const defenderPower = await calculatePower(defenderGuild, defenderData.upgrades, defenderData.prestigeUpgrades, defenderData.achievements, defenderData.equipment);
   const powerRatio = calculatePowerRatio(attackerPower, defenderPower);
-  const winChance = calculateWinChance(attackerPower, defenderPower);
+  const winChance = calculateWinChance(attackerPower, defenderPower, calculateDefense(defenderGuild));
   
-  // Roll for victory!
-  const defenderWon = rollBattle(winChance);
+  // Fight it out!
+  const combat = resolveCombat(winChance, counterAttackerGuild, defenderGuild);
+  const defenderWon = combat.attackerWon;
   
   // Calculate free revenge rewards (1-2% of original attacker's gold if defender wins)
   const { goldReward, xpBonus } = calculateFreeRevengeRewards(defenderGuild);
   
   // Apply results (wrapped in transaction for atomicity)
   try {
-    await applyFreeRevengeResults(counterAttackerGuild.id, defenderGuild.id, defenderWon, goldReward, xpBonus);
+    await repos.battles.applyFreeRevengeResults(counterAttackerGuild.id, defenderGuild.id, defenderWon, goldReward, xpBonus);
   } catch (error) {
     console.error('Free revenge result application failed:', error);
     return interaction.reply({
@@ -1016,7 +1309,7 @@ export async function handleFreeRevenge(interaction) {
   }
   
   // Record the battle (with 0 bet)
-  await recordBattle({
+  const battle = await repos.battles.recordBattle({
     attackerGuild: counterAttackerGuild,
     defenderGuild,
     betAmount: 0,
@@ -1026,8 +1319,19 @@ export async function handleFreeRevenge(interaction) {
     attackerPower,
     defenderPower,
     winChance,
+    rated: false, // The original attacker risks nothing else here, so neither should their rating
+    combatLog: combat.rounds,
   });
   
+  // The winner gets a chance at an item
+  const drops = await rollItemDrops(defenderWon ? counterAttackerGuild.id : defenderGuild.id, 'battle');
+  
+  // Win/loss counts and gold swings can unlock achievements on either side
+  const [attackerUnlocks] = await Promise.all([
+    checkAchievements(counterAttackerGuild.id),
+    checkAchievements(defenderGuild.id),
+  ]);
+  
   // Build result embed
   const embed = new EmbedBuilder()
     .setTitle('FREE REVENGE RESULTS')
@@ -1053,12 +1357,7 @@ export async function handleFreeRevenge(interaction) {
   embed.addFields(
     {
       name: 'Battle Stats',
-      value: [
-        `Attacker Power: **${attackerPower.toFixed(1)}**`,
-        `Defender Power: **${defenderPower.toFixed(1)}**`,
-        `Power Ratio: **${powerRatio.toFixed(1)}x**`,
-        `Win Chance: **${winChance.toFixed(1)}%**`,
-      ].join('\n'),
+      value: getBattleStatsText(attackerPower, defenderPower, powerRatio, winChance, defenderGuild),
       inline: true,
     },
     {
@@ -1100,15 +1399,19 @@ export async function handleFreeRevenge(interaction) {
     );
   }
   
+  addCombatLog(embed, combat.rounds, counterAttackerGuild, defenderGuild);
+  addItemDrops(embed, drops, defenderWon ? counterAttackerGuild.name : defenderGuild.name);
+  addAchievementUnlocks(embed, attackerUnlocks);
+  
   // Refresh counter-attacker's guild to get updated battles_today
-  const updatedGuild = await getGuildByDiscordId(interaction.user.id);
+  const updatedGuild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   const remaining = getRemainingBattlesToday(updatedGuild);
   embed.setFooter({ text: `Battles remaining today: ${remaining}/${getDailyBattleLimit()}` });
   
   // Create regular counter-attack buttons (no free revenge on the result of a free revenge)
-  const timestamp = Date.now();
   const attackerIsStronger = attackerPower > defenderPower;
-  const row = createCounterAttackButtons(interaction.user.id, originalAttackerId, 0, powerRatio, attackerIsStronger, timestamp);
+  const revengeToken = await openRevengeWindow(battle, counterAttackerGuild, defenderGuild, interaction.user.id, originalAttackerId, powerRatio, attackerIsStronger);
+  const row = createCounterAttackButtons(interaction.user.id, 0, revengeToken);
   
   await interaction.reply({
     embeds: [embed],
@@ -1117,7 +1420,7 @@ export async function handleFreeRevenge(interaction) {
   
   // Notify the original attacker
   try {
-    const attackerSettings = await getNotificationSettings(defenderGuild.id);
+    const attackerSettings = await repos.notifications.getNotificationSettings(defenderGuild.id);
     
     if (attackerSettings?.battle_notifications_enabled) {
       const attackerUser = await interaction.client.users.fetch(originalAttackerId);
@@ -1,15 +1,27 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
-import { getGuildByDiscordId } from '../database/guilds.js';
-import { getBattleHistory } from '../database/battles.js';
+import { repos } from '../database/repositories/index.js';
 import { createErrorEmbed, COLORS } from '../utils/embeds.js';
 import { formatNumber, formatRelativeTime } from '../utils/format.js';
+import { formatCombatLog } from '../game/combat.js';
 
 export const data = new SlashCommandBuilder()
   .setName('battles')
-  .setDescription('View your recent battle history');
+  .setDescription('View your recent battle history')
+  .addIntegerOption(option =>
+    option
+      .setName('replay')
+      .setDescription('Battle ID to replay round by round (shown as #id in your history)')
+      .setRequired(false)
+      .setMinValue(1)
+  );
 
 export async function execute(interaction) {
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const replayId = interaction.options.getInteger('replay');
+  if (replayId) {
+    return showReplay(interaction, replayId);
+  }
+  
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   
   if (!guild) {
     return interaction.reply({
@@ -18,7 +30,7 @@ export async function execute(interaction) {
     });
   }
   
-  const battles = await getBattleHistory(guild.id, 10);
+  const battles = await repos.battles.getBattleHistory(guild.id, 10);
   
   if (battles.length === 0) {
     return interaction.reply({
@@ -67,7 +79,7 @@ export async function execute(interaction) {
       }
     }
     
-    return `${resultEmoji} \`${roleText}\` vs **${opponent}** - ${goldChange} gold, ${xpChange} XP *(${timeAgo})*`;
+    return `${resultEmoji} \`#${battle.id}\` \`${roleText}\` vs **${opponent}** - ${goldChange} gold, ${xpChange} XP *(${timeAgo})*`;
   });
   
   embed.setDescription(historyLines.join('\n'));
@@ -83,7 +95,52 @@ export async function execute(interaction) {
     inline: false,
   });
   
-  embed.setFooter({ text: 'Showing last 10 battles | ATK = Attacker, DEF = Defender' });
+  embed.setFooter({ text: 'Showing last 10 battles | ATK = Attacker, DEF = Defender | /battles replay:<id> to watch one again' });
+  
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Replay a past battle from its stored combat log
+ * @param {Object} interaction - Discord interaction
+ * @param {number} battleId - Battle ID
+ */
+async function showReplay(interaction, battleId) {
+  const battle = await repos.battles.getBattleById(battleId);
+  
+  if (!battle) {
+    return interaction.reply({
+      embeds: [createErrorEmbed(`There is no battle **#${battleId}**.`)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  
+  const attackerWon = battle.winner_id === battle.attacker_id;
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.INFO)
+    .setTitle(`⚔️ Battle #${battle.id} Replay`)
+    .setDescription(`<@${battle.attacker_discord_id}> (${battle.attacker_name}) attacked <@${battle.defender_discord_id}> (${battle.defender_name})`)
+    .addFields(
+      {
+        name: 'Combat Log',
+        value: battle.combat_log?.length
+          ? formatCombatLog(battle.combat_log, battle.attacker_name, battle.defender_name)
+          : '*This battle was fought before combat logs were kept.*',
+        inline: false,
+      },
+      {
+        name: 'Result',
+        value: [
+          `Winner: **${battle.winner_name}** (${attackerWon ? 'attacker' : 'defender'})`,
+          `Win Chance: **${Number(battle.win_chance).toFixed(1)}%**`,
+          `Bet: **${formatNumber(Number(battle.bet_amount))}** gold`,
+          `Gold won: **${formatNumber(Number(battle.gold_transferred))}** gold`,
+          `XP bonus: **${formatNumber(Number(battle.xp_transferred))}** XP`,
+        ].join('\n'),
+        inline: false,
+      }
+    )
+    .setTimestamp(new Date(battle.created_at));
   
   await interaction.reply({ embeds: [embed] });
 }
@@ -0,0 +1,262 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { BOUNTY, TRADE } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { placeBounty, closeBounty, calculateBountyFee, getBountyTimeRemaining } from '../game/bounties.js';
+import { getDailyTradeLimit, getRemainingTradeAllowance } from '../game/trades.js';
+import { COLORS, createErrorEmbed } from '../utils/embeds.js';
+import { formatNumber, formatDuration } from '../utils/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('bounty')
+  .setDescription('Put gold on another guild\'s head - whoever beats them in battle claims it')
+  .addSubcommand((sub) =>
+    sub
+      .setName('place')
+      .setDescription('Escrow gold as a bounty on another player\'s guild')
+      .addUserOption((opt) =>
+        opt.setName('user').setDescription('The player to put a bounty on').setRequired(true)
+      )
+      .addIntegerOption((opt) =>
+        opt.setName('amount').setDescription('Gold to put up').setRequired(true)
+          .setMinValue(BOUNTY.MIN_AMOUNT).setMaxValue(BOUNTY.MAX_AMOUNT)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('list')
+      .setDescription('Show the most wanted guilds, or the bounties on one player')
+      .addUserOption((opt) =>
+        opt.setName('user').setDescription('Only show bounties on this player').setRequired(false)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('cancel')
+      .setDescription('Take down one of your bounties and get the gold back')
+      .addIntegerOption((opt) =>
+        opt.setName('id').setDescription('Bounty ID (see /bounty list)').setRequired(true).setMinValue(1)
+      )
+  );
+
+const SUBCOMMANDS = {
+  place: postBounty,
+  list: listBounties,
+  cancel: cancelBounty,
+};
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  if (!guild) {
+    return replyError(interaction, 'You don\'t have a guild yet! Use `/start` to found one.');
+  }
+
+  await SUBCOMMANDS[subcommand](interaction, guild);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Describe how long a bounty has left, e.g. "47h 59m left"
+ * @param {Object} bounty - Bounty row (or board entry with expires_at)
+ * @returns {string}
+ */
+function formatTimeLeft(bounty) {
+  return `${formatDuration(getBountyTimeRemaining(bounty) / 1000)} left`;
+}
+
+/**
+ * Let the target know there's a price on their head (if battle notifications are on)
+ * @param {Object} client - Discord client
+ * @param {Object} targetGuild - Target's guild
+ * @param {string} posterName - Poster's guild name
+ * @param {number} amount - Bounty amount
+ */
+async function notifyTarget(client, targetGuild, posterName, amount) {
+  try {
+    const settings = await repos.notifications.getNotificationSettings(targetGuild.id);
+
+    // Bounty DMs follow the battle notification setting
+    if (settings?.battle_notifications_enabled === false) {
+      return;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(COLORS.WARNING)
+      .setTitle('🎯 A Bounty Is On Your Head')
+      .setDescription(
+        `**${posterName}** put **${formatNumber(amount)}** gold on **${targetGuild.name}**.\n\n` +
+        'The next player to beat you in battle claims it. Consider `/defense` to make yourself a harder target.'
+      )
+      .setFooter({ text: 'Use /notify type:battle action:off to disable these messages' })
+      .setTimestamp();
+
+    const user = await client.users.fetch(targetGuild.discord_id);
+    await user.send({ embeds: [embed] });
+  } catch (error) {
+    console.log(`Could not DM bounty notice to ${targetGuild.discord_id}:`, error.message);
+  }
+}
+
+/**
+ * Put a bounty on another guild
+ */
+async function postBounty(interaction, guild) {
+  const targetUser = interaction.options.getUser('user');
+  const amount = interaction.options.getInteger('amount');
+
+  if (targetUser.id === interaction.user.id) {
+    return replyError(interaction, 'You can\'t put a bounty on your own guild.');
+  }
+  if (guild.level < TRADE.MIN_LEVEL) {
+    return replyError(interaction, `You need to reach level **${TRADE.MIN_LEVEL}** before you can post bounties.`);
+  }
+
+  const target = await repos.guilds.getGuildByDiscordId(targetUser.id);
+  if (!target) {
+    return replyError(interaction, `**${targetUser.username}** doesn't have a guild yet!`);
+  }
+
+  const fee = calculateBountyFee(amount);
+  if (Number(guild.gold) < amount + fee) {
+    return replyError(interaction,
+      `You need **${formatNumber(amount + fee)}** gold (including the **${formatNumber(fee)}** posting fee). ` +
+      `You have **${formatNumber(Number(guild.gold))}** gold.`
+    );
+  }
+
+  // Bounties share the /trade allowance, otherwise they'd be a way to hand gold past it
+  const { sent } = await repos.trades.getTradeTotals(guild.id);
+  const canSend = getRemainingTradeAllowance(guild.level, sent);
+  if (amount > canSend) {
+    return replyError(interaction,
+      `That's over your daily trading limit. You can put up **${formatNumber(canSend)}** more gold in the next 24 hours ` +
+      `(limit **${formatNumber(getDailyTradeLimit(guild.level))}** at level ${guild.level}).`
+    );
+  }
+
+  const [onTarget, posted] = await Promise.all([
+    repos.bounties.countBountiesOnTarget(target.id),
+    repos.bounties.countBountiesByPoster(guild.id),
+  ]);
+  if (onTarget >= BOUNTY.MAX_PER_TARGET) {
+    return replyError(interaction, `**${target.name}** already has ${BOUNTY.MAX_PER_TARGET} bounties on it - wait for one to be claimed or expire.`);
+  }
+  if (posted >= BOUNTY.MAX_PER_POSTER) {
+    return replyError(interaction, `You already have ${BOUNTY.MAX_PER_POSTER} bounties posted. Take one down with \`/bounty cancel\` first.`);
+  }
+
+  const result = await placeBounty(guild, target, amount);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.WARNING)
+    .setTitle('🎯 Bounty Posted')
+    .setDescription(
+      `<@${interaction.user.id}> put **${formatNumber(amount)}** gold on **${target.name}** (<@${targetUser.id}>)!\n\n` +
+      `Beat them in \`/battle\` within ${BOUNTY.DURATION_HOURS} hours to claim it. ` +
+      `If nobody does, the gold goes back to the poster (the **${formatNumber(fee)}** posting fee isn't refunded).`
+    )
+    .setFooter({ text: `Bounty #${result.bounty.id} · /bounty cancel id:${result.bounty.id} to take it down` })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+  await notifyTarget(interaction.client, target, guild.name, amount);
+}
+
+/**
+ * Show the bounty board, or the bounties on one player
+ */
+async function listBounties(interaction, guild) {
+  const targetUser = interaction.options.getUser('user');
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.WARNING)
+    .setTimestamp();
+
+  if (targetUser) {
+    const target = await repos.guilds.getGuildByDiscordId(targetUser.id);
+    if (!target) {
+      return replyError(interaction, `**${targetUser.username}** doesn't have a guild yet!`);
+    }
+
+    const bounties = await repos.bounties.getBountiesOnTarget(target.id);
+    const total = bounties.reduce((sum, b) => sum + Number(b.amount), 0);
+    const lines = bounties.map(b =>
+      `\`#${b.id}\` **${formatNumber(Number(b.amount))}** gold from ${b.poster_name} · ${formatTimeLeft(b)}`
+    );
+
+    embed
+      .setTitle(`🎯 Bounties on ${target.name}`)
+      .setDescription(
+        bounties.length > 0
+          ? `Total: **${formatNumber(total)}** gold\n\n${lines.join('\n')}`
+          : '*Nobody has put a bounty on this guild.*'
+      );
+  } else {
+    const board = await repos.bounties.getBountyBoard(BOUNTY.LIST_LIMIT);
+    const lines = board.map((entry, index) =>
+      `\`${`${index + 1}.`.padStart(3, ' ')}\` **${entry.name}** — **${formatNumber(Number(entry.total))}** gold` +
+      ` (${entry.bounty_count} bount${entry.bounty_count !== 1 ? 'ies' : 'y'}, next expires in ${formatDuration(getBountyTimeRemaining(entry) / 1000)})`
+    );
+
+    embed
+      .setTitle('🎯 Most Wanted')
+      .setDescription(lines.join('\n') || '*The bounty board is empty. Post one with `/bounty place`.*');
+  }
+
+  const posted = await repos.bounties.getPostedBounties(guild.id);
+  if (posted.length > 0) {
+    embed.addFields({
+      name: `Your Bounties (${posted.length}/${BOUNTY.MAX_PER_POSTER})`,
+      value: posted.map(b =>
+        `\`#${b.id}\` **${formatNumber(Number(b.amount))}** gold on ${b.target_name} · ${formatTimeLeft(b)}`
+      ).join('\n'),
+      inline: false,
+    });
+  }
+
+  embed.setFooter({ text: 'Beat a wanted guild with /battle to claim every bounty on it' });
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Take down one of your bounties
+ */
+async function cancelBounty(interaction, guild) {
+  const bountyId = interaction.options.getInteger('id');
+
+  const bounty = await repos.bounties.getBountyById(bountyId);
+  if (!bounty || bounty.poster_guild_id !== guild.id) {
+    return replyError(interaction, `You haven't posted a bounty #${bountyId}.`);
+  }
+  if (bounty.status !== 'active') {
+    return replyError(interaction, `Bounty #${bountyId} has already been ${bounty.status}.`);
+  }
+
+  const closed = await closeBounty(bounty, 'cancelled', guild.id);
+  if (!closed) {
+    return replyError(interaction, `Bounty #${bountyId} was claimed or expired in the meantime.`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.SUCCESS)
+    .setTitle('🎯 Bounty Cancelled')
+    .setDescription(
+      `Bounty #${closed.id} is off the board and **${formatNumber(Number(closed.amount))}** gold is back in your treasury. ` +
+      'The posting fee isn\'t refunded.'
+    );
+
+  await interaction.reply({ embeds: [embed] });
+}
@@ -10,17 +10,17 @@ import {
   EmbedBuilder,
   MessageFlags,
 } from 'discord.js';
-import { getGuildByDiscordId } from '../database/guilds.js';
+import { repos } from '../database/repositories/index.js';
 import {
-  getGuildUpgradeLevelsBatch,
   calculateUpgradeCost,
   calculateBulkPurchaseCost,
   calculateMaxAffordable,
-  purchaseUpgradeMultiple,
-  getAvailableUpgrades,
 } from '../database/upgrades.js';
 import { getCachedUpgradesByNames } from '../database/cache.js';
-import { createErrorEmbed, COLORS } from '../utils/embeds.js';
+import { createErrorEmbed, addAchievementUnlocks, COLORS } from '../utils/embeds.js';
+import { checkAchievements } from '../game/achievements.js';
+import { restoreMorale, getMoraleAt, formatMorale } from '../game/morale.js';
+import { MORALE } from '../config.js';
 import { formatNumber } from '../utils/format.js';
 
 const CATEGORIES = [
@@ -57,7 +57,7 @@ export const data = new SlashCommandBuilder()
  */
 async function buildBuyMenu(guild, category = 'all') {
   // Get available upgrades
-  let upgrades = await getAvailableUpgrades(
+  let upgrades = await repos.upgrades.getAvailableUpgrades(
     guild.id,
     guild.level,
     guild.adventurer_count
@@ -134,7 +134,7 @@ async function buildBuyMenu(guild, category = 'all') {
  * Main command execution - shows the buy menu
  */
 export async function execute(interaction) {
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   
   if (!guild) {
     return interaction.reply({
@@ -158,7 +158,7 @@ export async function execute(interaction) {
  */
 export async function handleCategoryButton(interaction) {
   const category = interaction.customId.split(':')[1];
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   
   if (!guild) {
     return interaction.update({
@@ -193,12 +193,12 @@ export async function handleSelectMenu(interaction) {
     .setTitle('Purchase Quantities');
   
   // Get guild to show costs
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   
   // Get upgrades from cache (0 queries) and batch fetch levels (1 query)
   const upgradeMap = getCachedUpgradesByNames(selectedUpgrades);
   const upgradeIds = Array.from(upgradeMap.values()).map(u => u.id);
-  const levelMap = await getGuildUpgradeLevelsBatch(guild.id, upgradeIds);
+  const levelMap = await repos.upgrades.getGuildUpgradeLevelsBatch(guild.id, upgradeIds);
   
   for (let i = 0; i < selectedUpgrades.length && i < 5; i++) {
     const upgradeName = selectedUpgrades[i];
@@ -230,7 +230,7 @@ export async function handleModal(interaction) {
   await interaction.deferReply({ ephemeral: true });
   
   const upgradeNames = interaction.customId.split(':')[1].split(',');
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   
   if (!guild) {
     return interaction.editReply({
@@ -241,7 +241,7 @@ export async function handleModal(interaction) {
   // Get upgrades from cache (0 queries) and batch fetch levels (1 query)
   const upgradeMap = getCachedUpgradesByNames(upgradeNames);
   const upgradeIds = Array.from(upgradeMap.values()).map(u => u.id);
-  const levelMap = await getGuildUpgradeLevelsBatch(guild.id, upgradeIds);
+  const levelMap = await repos.upgrades.getGuildUpgradeLevelsBatch(guild.id, upgradeIds);
   
   let remainingGold = guild.gold;
   const results = [];
@@ -298,7 +298,7 @@ export async function handleModal(interaction) {
     
     // Execute purchase
     try {
-      const result = await purchaseUpgradeMultiple(
+      const result = await repos.upgrades.purchaseUpgradeMultiple(
         guild.id,
         upgrade.id,
         purchaseInfo.levelsBought,
@@ -309,6 +309,7 @@ export async function handleModal(interaction) {
       
       results.push({
         name: upgradeName,
+        category: upgrade.category,
         levelsBought: purchaseInfo.levelsBought,
         oldLevel: currentLevel,
         newLevel: purchaseInfo.finalLevel,
@@ -346,6 +347,23 @@ export async function handleModal(interaction) {
     });
   }
   
+  // New facilities lift the adventurers' spirits
+  const facilityLevels = results
+    .filter(r => r.category === 'facilities')
+    .reduce((sum, r) => sum + r.levelsBought, 0);
+  if (facilityLevels > 0) {
+    const updated = await restoreMorale(guild.id, facilityLevels * MORALE.FACILITIES_RESTORE_PER_LEVEL);
+    embed.addFields({
+      name: 'Morale',
+      value: `Your adventurers love the new facilities! Morale is now ${formatMorale(getMoraleAt(updated))}`,
+    });
+  }
+  
+  // Purchases and recruits count towards achievements
+  if (results.length > 0) {
+    addAchievementUnlocks(embed, await checkAchievements(guild.id));
+  }
+  
   if (skipped.length > 0) {
     const skippedLines = skipped.map(s => `${s.name}: ${s.reason}`);
     embed.addFields({
@@ -372,7 +390,7 @@ export async function handleModal(interaction) {
  * Handle "Buy Again" button - restarts the buy flow
  */
 export async function handleBuyAgain(interaction) {
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   
   if (!guild) {
     return interaction.update({
@@ -1,8 +1,13 @@
 import { SlashCommandBuilder, MessageFlags } from 'discord.js';
-import { getGuildWithData, collectResourcesFull } from '../database/guilds.js';
-import { createCollectEmbed, createErrorEmbed } from '../utils/embeds.js';
-import { calculateIdleEarningsWithData, calculateUpgradeBonuses, getEffectiveCapacity } from '../game/idle.js';
+import { ITEMS, MORALE } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { createCollectEmbed, createErrorEmbed, addAchievementUnlocks, addItemDrops, addMaterialsGathered } from '../utils/embeds.js';
+import { calculateIdleEarningsWithData, applyIdleEarnings } from '../game/idle.js';
 import { checkAndApplyLevelUp } from '../game/leveling.js';
+import { checkAchievements } from '../game/achievements.js';
+import { rollItemDrops } from '../game/items.js';
+import { calculateMaterialMultipliers, gatherMaterials } from '../game/crafting.js';
+import { restoreMorale, getMoraleAt, formatMorale } from '../game/morale.js';
 import { flushSession } from './grind.js';
 
 export const data = new SlashCommandBuilder()
@@ -14,7 +19,7 @@ export async function execute(interaction) {
   await flushSession(interaction.user.id, false);
   
   // Single combined query instead of 3 separate queries
-  const { guild, upgrades, prestigeUpgrades } = await getGuildWithData(interaction.user.id);
+  const { guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment } = await repos.guilds.getGuildWithData(interaction.user.id);
   
   if (!guild) {
     return interaction.reply({
@@ -24,7 +29,7 @@ export async function execute(interaction) {
   }
   
   // Calculate idle earnings using pre-loaded data (no extra queries)
-  const earnings = calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades);
+  const earnings = calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment);
   
   // Check minimum time (at least 1 minute)
   if (earnings.hoursElapsed < 1/60) {
@@ -34,36 +39,26 @@ export async function execute(interaction) {
     });
   }
   
-  // Calculate adventurer growth using pre-loaded bonuses
-  let adventurersRecruited = 0;
-  let newAdventurerCount = guild.adventurer_count;
-  
-  if (earnings.adventurersGained > 0) {
-    const bonuses = calculateUpgradeBonuses(upgrades);
-    const effectiveCapacity = getEffectiveCapacity(guild, bonuses);
-    
-    newAdventurerCount = Math.min(
-      guild.adventurer_count + earnings.adventurersGained,
-      effectiveCapacity
-    );
-    
-    if (newAdventurerCount > guild.adventurer_count) {
-      adventurersRecruited = newAdventurerCount - guild.adventurer_count;
-    }
-  }
+  // Recruit adventurers (capped at capacity) and apply everything in one query
+  const { guild: updatedGuild } = await applyIdleEarnings(guild, earnings);
   
-  // Single consolidated update query instead of 4 separate queries
-  const updatedGuild = await collectResourcesFull(
-    guild.id,
-    earnings.goldEarned,
-    earnings.xpEarned,
-    newAdventurerCount,
-    adventurersRecruited
-  );
+  // Coming home to a payday lifts everyone's spirits
+  const moraleGuild = await restoreMorale(guild.id, MORALE.COLLECT_RESTORE);
   
   // Check for level-ups
   const levelResult = await checkAndApplyLevelUp(updatedGuild);
   
+  // Longer trips give the adventurers a chance to bring back an item
+  const drops = earnings.hoursElapsed >= ITEMS.COLLECT_MIN_HOURS
+    ? await rollItemDrops(guild.id, 'collect')
+    : [];
+  
+  // Missions and magic upgrades speed up gathering
+  const gathered = await gatherMaterials(guild.id, calculateMaterialMultipliers(upgrades), earnings.hoursElapsed);
+  
+  // Gold, level and recruits may have crossed achievement thresholds
+  const unlocked = await checkAchievements(guild.id);
+  
   // Build response embed
   const embed = createCollectEmbed(
     levelResult.guild,
@@ -90,6 +85,17 @@ export async function execute(interaction) {
     });
   }
   
+  // Show what tired adventurers cost this stretch
+  if (earnings.moraleMultiplier < 1) {
+    embed.addFields({
+      name: 'Morale',
+      value: `Your adventurers worked at **${Math.round(earnings.moraleMultiplier * 100)}%** on average ` +
+        `(morale had dropped to ${formatMorale(earnings.morale)}). ` +
+        `Morale is back to ${formatMorale(getMoraleAt(moraleGuild))} - collect more often to keep it up!`,
+      inline: false,
+    });
+  }
+  
   // Add rank-up notification
   if (levelResult.rankChanged) {
     embed.addFields({
@@ -99,5 +105,9 @@ export async function execute(interaction) {
     });
   }
   
+  addMaterialsGathered(embed, gathered);
+  addItemDrops(embed, drops);
+  addAchievementUnlocks(embed, unlocked);
+  
   await interaction.reply({ embeds: [embed] });
 }
@@ -0,0 +1,147 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { repos } from '../database/repositories/index.js';
+import { recipes as recipeChoices } from '../database/seed.js';
+import { getActiveBoosts } from '../game/idle.js';
+import { craftRecipe, formatMaterials, getMissingMaterials } from '../game/crafting.js';
+import { COLORS, createErrorEmbed } from '../utils/embeds.js';
+import { formatDuration } from '../utils/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('craft')
+  .setDescription('Turn gathered materials into potions')
+  .addSubcommand((sub) =>
+    sub.setName('list').setDescription('See your materials, active boosts and every recipe')
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('make')
+      .setDescription('Craft a potion and use it straight away')
+      .addStringOption((option) =>
+        option
+          .setName('recipe')
+          .setDescription('What to craft')
+          .setRequired(true)
+          .addChoices(...recipeChoices.map(r => ({ name: r.name, value: r.name })))
+      )
+  );
+
+const SUBCOMMANDS = {
+  list: showRecipes,
+  make: makePotion,
+};
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  if (!guild) {
+    return replyError(interaction, 'You don\'t have a guild yet! Use `/start` to found one.');
+  }
+
+  await SUBCOMMANDS[subcommand](interaction, guild);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Describe the boosts a guild has running
+ * @param {Object} guild - Guild data
+ * @returns {string} One line per boost, or a placeholder
+ */
+function formatBoosts(guild) {
+  const now = new Date();
+  const boosts = getActiveBoosts(guild, now);
+  const lines = [];
+
+  if (boosts.gold > 0) {
+    const left = (new Date(guild.gold_boost_until) - now) / 1000;
+    lines.push(`💰 +${Math.round(boosts.gold * 100)}% gold - ${formatDuration(left)} left`);
+  }
+  if (boosts.xp > 0) {
+    const left = (new Date(guild.xp_boost_until) - now) / 1000;
+    lines.push(`📘 +${Math.round(boosts.xp * 100)}% XP - ${formatDuration(left)} left`);
+  }
+
+  return lines.join('\n') || '*No potions active*';
+}
+
+/**
+ * Show materials, active boosts and the recipe book
+ */
+async function showRecipes(interaction, guild) {
+  const recipes = await repos.crafting.getAllRecipes();
+
+  const lines = recipes.map(recipe => {
+    const locked = guild.level < recipe.required_level;
+    const ready = !locked && Object.keys(getMissingMaterials(guild, recipe)).length === 0;
+    const marker = locked ? '🔒' : ready ? '✅' : '⚗️';
+    return `${marker} **${recipe.name}** - ${recipe.description}\n` +
+      `   ${formatMaterials(recipe)}${locked ? ` (level ${recipe.required_level})` : ''}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle('⚗️ Crafting')
+    .setDescription(lines.join('\n'))
+    .addFields(
+      { name: 'Your Materials', value: formatMaterials(guild, true), inline: false },
+      { name: 'Active Boosts', value: formatBoosts(guild), inline: false }
+    )
+    .setFooter({ text: 'Gather materials with /collect and /grind - missions and magic upgrades gather faster' });
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Craft a potion and apply it
+ */
+async function makePotion(interaction, guild) {
+  const name = interaction.options.getString('recipe');
+  const recipes = await repos.crafting.getAllRecipes();
+  const recipe = recipes.find(r => r.name === name);
+
+  if (!recipe) {
+    return replyError(interaction, `There's no recipe called **${name}**.`);
+  }
+  if (guild.level < recipe.required_level) {
+    return replyError(interaction, `You need to reach level **${recipe.required_level}** to craft ${recipe.name}.`);
+  }
+
+  const missing = getMissingMaterials(guild, recipe);
+  if (Object.keys(missing).length > 0) {
+    return replyError(interaction, `You need ${formatMaterials(missing)} more to craft **${recipe.name}**.`);
+  }
+
+  const result = await craftRecipe(guild.id, recipe);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  let effect;
+  if (recipe.effect_type === 'instant_recruit') {
+    effect = `**${result.recruited}** adventurer${result.recruited !== 1 ? 's' : ''} joined **${result.guild.name}**!`;
+  } else {
+    effect = formatBoosts(result.guild);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.SUCCESS)
+    .setTitle(`Crafted ${recipe.name}`)
+    .setDescription(effect)
+    .addFields({
+      name: 'Materials Left',
+      value: formatMaterials(result.guild, true),
+      inline: false,
+    })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
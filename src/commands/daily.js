@@ -0,0 +1,82 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { repos } from '../database/repositories/index.js';
+import { createDailyEmbed, createErrorEmbed, addAchievementUnlocks } from '../utils/embeds.js';
+import { formatDuration } from '../utils/format.js';
+import { calculateUpgradeBonuses, calculatePrestigeBonuses, calculateRates } from '../game/idle.js';
+import { getDailyStatus, calculateDailyReward } from '../game/daily.js';
+import { calculateAllianceBonuses } from '../game/alliances.js';
+import { checkAndApplyLevelUp } from '../game/leveling.js';
+import { checkAchievements } from '../game/achievements.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('daily')
+  .setDescription('Claim your daily reward and keep your streak alive');
+
+export async function execute(interaction) {
+  const { guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment } = await repos.guilds.getGuildWithData(interaction.user.id);
+
+  if (!guild) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('You don\'t have a guild yet! Use `/start` to found one.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const status = getDailyStatus(guild);
+
+  if (!status.canClaim) {
+    const secondsLeft = (status.nextClaimAt - Date.now()) / 1000;
+    let message = `You've already claimed your daily reward! Come back in **${formatDuration(secondsLeft)}**.`;
+    if (status.streakActive) {
+      message += `\nCurrent streak: **${status.currentStreak}** day${status.currentStreak !== 1 ? 's' : ''}`;
+    }
+    return interaction.reply({
+      embeds: [createErrorEmbed(message)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  // Reward scales with current idle income so it stays relevant as the guild grows
+  const bonuses = calculateUpgradeBonuses(upgrades, achievements, equipment);
+  const prestigeBonuses = calculatePrestigeBonuses(guild, prestigeUpgrades);
+  const rates = calculateRates(guild, bonuses, prestigeBonuses, calculateAllianceBonuses(allianceBuffs));
+  const reward = calculateDailyReward(guild, rates, status.nextStreak);
+
+  const updatedGuild = await repos.guilds.claimDailyReward(guild.id, reward.gold, reward.xp, status.nextStreak);
+
+  // Another claim got there first (e.g. double-submitted command)
+  if (!updatedGuild) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('You\'ve already claimed your daily reward!')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const levelResult = await checkAndApplyLevelUp(updatedGuild);
+
+  const streakReset = (guild.daily_streak || 0) > 0 && !status.streakActive;
+  const embed = createDailyEmbed(levelResult.guild, reward, status.nextStreak, streakReset);
+
+  if (levelResult.leveledUp) {
+    embed.addFields({
+      name: 'LEVEL UP!',
+      value: `${levelResult.newRank.emoji} Your guild is now **Level ${levelResult.newLevel}**!`,
+      inline: false,
+    });
+  }
+
+  if (levelResult.rankChanged) {
+    embed.addFields({
+      name: 'RANK UP!',
+      value: `${levelResult.newRank.emoji} Your adventurers have achieved **${levelResult.newRank.name}** rank!`,
+      inline: false,
+    });
+  }
+
+  // Streak achievements
+  addAchievementUnlocks(embed, await checkAchievements(guild.id));
+
+  embed.setFooter({ text: 'Claim again tomorrow - miss more than a day and your streak resets!' });
+
+  await interaction.reply({ embeds: [embed] });
+}
@@ -0,0 +1,178 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { DEFENSE } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { settleIdleEarnings } from '../game/idle.js';
+import {
+  getGuards,
+  getMaxGuards,
+  getGuardDefense,
+  getBuiltFortifications,
+  getNextFortification,
+  getFortificationDefense,
+  calculateDefense,
+} from '../game/defense.js';
+import { COLORS, createErrorEmbed } from '../utils/embeds.js';
+import { formatNumber } from '../utils/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('defense')
+  .setDescription('Fortify your guild and post guards against attackers')
+  .addSubcommand((sub) =>
+    sub.setName('view').setDescription('See your guild\'s defenses and what they\'re worth in battle')
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('guards')
+      .setDescription('Set how many adventurers stand guard (they stop earning idle income)')
+      .addIntegerOption((option) =>
+        option.setName('count').setDescription('Number of guards (0 sends them all back to work)').setRequired(true).setMinValue(0)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName('fortify').setDescription('Spend gold on your next fortification')
+  );
+
+const SUBCOMMANDS = {
+  view: showDefense,
+  guards: setGuards,
+  fortify: buildFortification,
+};
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  if (!guild) {
+    return replyError(interaction, 'You don\'t have a guild yet! Use `/start` to found one.');
+  }
+
+  await SUBCOMMANDS[subcommand](interaction, guild);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Describe the guild's fortifications and what's next
+ * @param {Object} guild - Guild data
+ * @returns {string}
+ */
+function formatFortifications(guild) {
+  const built = getBuiltFortifications(guild);
+  const next = getNextFortification(guild);
+
+  const lines = built.length > 0
+    ? built.map(f => `${f.emoji} **${f.name}** · -${f.defense}%`)
+    : ['None built yet'];
+
+  if (next) {
+    lines.push(`\nNext: ${next.emoji} **${next.name}** (-${next.defense}%) for **${formatNumber(next.cost)}** gold` +
+      (guild.level < next.requiredLevel ? ` · needs level ${next.requiredLevel}` : ''));
+  } else {
+    lines.push('\n*Fully fortified!*');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the defense overview embed
+ * @param {Object} guild - Guild data
+ * @returns {EmbedBuilder}
+ */
+function createDefenseEmbed(guild) {
+  const guards = getGuards(guild);
+  const maxGuards = getMaxGuards(guild);
+
+  return new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle(`🛡️ ${guild.name}'s Defenses`)
+    .setDescription(
+      `Attackers' win chance against you: **-${calculateDefense(guild).toFixed(1)}%**\n` +
+      `*(never below ${DEFENSE.MIN_WIN_CHANCE}%)*`
+    )
+    .addFields(
+      {
+        name: 'Fortifications',
+        value: `${formatFortifications(guild)}\n\nTotal: **-${getFortificationDefense(guild).toFixed(1)}%**`,
+        inline: true,
+      },
+      {
+        name: 'Guards',
+        value:
+          `**${guards}** / ${maxGuards} on guard\n` +
+          `Worth: **-${getGuardDefense(guild).toFixed(1)}%**\n\n` +
+          `Guards don't earn idle income. Posting ${maxGuards} gives the full -${DEFENSE.MAX_GUARD_DEFENSE}%.`,
+        inline: true,
+      }
+    )
+    .setFooter({ text: '/defense guards count:<n> · /defense fortify' });
+}
+
+/**
+ * Show the guild's defenses
+ */
+async function showDefense(interaction, guild) {
+  await interaction.reply({ embeds: [createDefenseEmbed(guild)] });
+}
+
+/**
+ * Post (or stand down) guards
+ */
+async function setGuards(interaction, guild) {
+  const count = interaction.options.getInteger('count');
+  const maxGuards = getMaxGuards(guild);
+
+  if (count > maxGuards) {
+    return replyError(interaction, `You can post at most **${maxGuards}** guard${maxGuards !== 1 ? 's' : ''} - half your adventurers have to keep working.`);
+  }
+  if (count === getGuards(guild)) {
+    return replyError(interaction, `You already have **${count}** guard${count !== 1 ? 's' : ''} posted.`);
+  }
+
+  // Pay out what was earned so far - the number of working adventurers is about to change
+  await settleIdleEarnings(guild.id);
+
+  const result = await repos.defense.setGuards(guild.id, count);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const embed = createDefenseEmbed(result.guild);
+  embed.setColor(COLORS.SUCCESS);
+  embed.setTitle(count > 0 ? `🛡️ ${count} Guard${count !== 1 ? 's' : ''} Posted` : '🛡️ Guards Stood Down');
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Build the next fortification
+ */
+async function buildFortification(interaction, guild) {
+  const next = getNextFortification(guild);
+  if (!next) {
+    return replyError(interaction, 'Your guild is already fully fortified!');
+  }
+  if (guild.level < next.requiredLevel) {
+    return replyError(interaction, `You need to reach level **${next.requiredLevel}** to build the ${next.emoji} **${next.name}**.`);
+  }
+  if (Number(guild.gold) < next.cost) {
+    return replyError(interaction, `The ${next.emoji} **${next.name}** costs **${formatNumber(next.cost)}** gold - you have **${formatNumber(Number(guild.gold))}**.`);
+  }
+
+  const result = await repos.defense.buildFortification(guild.id);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const embed = createDefenseEmbed(result.guild);
+  embed.setColor(COLORS.SUCCESS);
+  embed.setTitle(`${result.fortification.emoji} ${result.fortification.name} Built!`);
+  await interaction.reply({ embeds: [embed] });
+}
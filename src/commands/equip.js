@@ -0,0 +1,131 @@
+import {
+  SlashCommandBuilder,
+  ActionRowBuilder,
+  StringSelectMenuBuilder,
+  EmbedBuilder,
+  MessageFlags,
+} from 'discord.js';
+import { ITEMS } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { calculateEquipmentPower } from '../game/items.js';
+import { createErrorEmbed, COLORS } from '../utils/embeds.js';
+import { addEquipmentField } from './inventory.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('equip')
+  .setDescription('Equip an item from your inventory')
+  .addStringOption(option =>
+    option
+      .setName('slot')
+      .setDescription('Only show items for one slot')
+      .setRequired(false)
+      .addChoices(
+        ...Object.entries(ITEMS.SLOTS).map(([slot, { label }]) => ({ name: label, value: slot }))
+      )
+  );
+
+/**
+ * Build the equip embed and item menu
+ * @param {Object} guild - Guild data
+ * @param {string} slot - Slot to show items for, or 'all'
+ * @returns {Promise<{embed: EmbedBuilder, components: ActionRowBuilder[]}>}
+ */
+async function buildEquipMenu(guild, slot = 'all') {
+  const inventory = await repos.items.getInventory(guild.id);
+  const equipped = inventory.filter(gi => gi.equipped);
+  const choices = inventory.filter(gi => !gi.equipped && (slot === 'all' || gi.slot === slot));
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle('Equip Items')
+    .setDescription(
+      'One item can be equipped per slot - the item it replaces goes back to your inventory.\n' +
+      `Equipped items boost your income and add to your battle power (currently **+${calculateEquipmentPower(equipped)}**).`
+    );
+
+  addEquipmentField(embed, inventory);
+
+  if (choices.length === 0) {
+    embed.addFields({
+      name: 'Nothing to Equip',
+      value: slot === 'all'
+        ? 'You don\'t have any unequipped items. Items drop from `/collect`, `/grind` and winning battles!'
+        : `You don't have any unequipped ${ITEMS.SLOTS[slot].label.toLowerCase()}s.`,
+    });
+    return { embed, components: [] };
+  }
+
+  // Inventory is already sorted strongest first
+  const options = choices.slice(0, 25).map(gi => ({
+    label: `${gi.name} (${ITEMS.RARITIES[gi.rarity].label})`,
+    description: `${ITEMS.SLOTS[gi.slot].label} - ${gi.description}`.slice(0, 100),
+    value: String(gi.id),
+  }));
+
+  const selectMenu = new StringSelectMenuBuilder()
+    .setCustomId(`equip_select:${slot}`)
+    .setPlaceholder('Select an item to equip...')
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(options);
+
+  return { embed, components: [new ActionRowBuilder().addComponents(selectMenu)] };
+}
+
+/**
+ * Main command execution - shows the equip menu
+ */
+export async function execute(interaction) {
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+
+  if (!guild) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('You don\'t have a guild yet! Use `/start` to found one.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const slot = interaction.options.getString('slot') || 'all';
+  const { embed, components } = await buildEquipMenu(guild, slot);
+
+  await interaction.reply({
+    embeds: [embed],
+    components,
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Handle item selection - equips it and refreshes the menu in place
+ */
+export async function handleSelectMenu(interaction) {
+  const slot = interaction.customId.split(':')[1] || 'all';
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+
+  if (!guild) {
+    return interaction.update({
+      embeds: [createErrorEmbed('Your guild was not found. Please try again.')],
+      components: [],
+    });
+  }
+
+  const result = await repos.items.equipItem(guild.id, Number(interaction.values[0]));
+  const { embed, components } = await buildEquipMenu(guild, slot);
+
+  if (result.success) {
+    embed.setColor(COLORS.SUCCESS);
+    embed.addFields({
+      name: 'Equipped!',
+      value: `**${result.item.name}** is now your ${ITEMS.SLOTS[result.item.slot].label.toLowerCase()}` +
+        (result.replaced ? ` - **${result.replaced.name}** went back to your inventory.` : '.'),
+    });
+  } else {
+    embed.setColor(COLORS.ERROR);
+    embed.addFields({ name: 'Could Not Equip', value: result.error });
+  }
+
+  await interaction.update({
+    embeds: [embed],
+    components,
+  });
+}
@@ -4,44 +4,42 @@ import {
   ButtonStyle,
   ActionRowBuilder,
   EmbedBuilder,
-  ComponentType,
   MessageFlags,
 } from 'discord.js';
-import { getGuildWithData, flushGrindData, incrementStats } from '../database/guilds.js';
-import { calculateUpgradeBonuses } from '../game/idle.js';
+import { repos } from '../database/repositories/index.js';
+import { calculateUpgradeBonuses, calculateClickRewards } from '../game/idle.js';
 import { checkAndApplyLevelUp } from '../game/leveling.js';
-import { GAME, getRankForLevel } from '../config.js';
-import { createErrorEmbed, COLORS } from '../utils/embeds.js';
+import { checkAchievements } from '../game/achievements.js';
+import { rollItemDrops } from '../game/items.js';
+import { calculateMaterialMultipliers, gatherMaterials, formatMaterials } from '../game/crafting.js';
+import { restoreMorale } from '../game/morale.js';
+import { getSessionStore, getSessionEarnings, getPaidClicks } from '../game/grindSessions.js';
+import {
+  analyzeCadence,
+  getCadenceFlag,
+  getClickWeight,
+  canChallenge,
+  shuffleChallengeChoices,
+  rollChallengeAnswer,
+} from '../game/grindAntiCheat.js';
+import { getRankForLevel, ITEMS, CRAFTING, MORALE, GRIND } from '../config.js';
+import { createErrorEmbed, addAchievementUnlocks, addItemDrops, COLORS } from '../utils/embeds.js';
 import { formatNumber } from '../utils/format.js';
 
-// In-memory cache for grind sessions
-// Map<odId, GrindSession>
-const grindSessions = new Map();
-
-// Flush timeout duration in milliseconds
-const FLUSH_DELAY_MS = 3000;
+// Per-process handles for the sessions this process started or recovered
+// The click counters themselves live in the session store, so any shard can count a click
+// Map<odId, LocalSession>
+const localSessions = new Map();
 
 // Discord interaction tokens expire after 15 minutes
 const INTERACTION_TOKEN_LIFETIME_MS = 15 * 60 * 1000;
 
 /**
- * @typedef {Object} GrindSession
- * @property {string} odId - Discord user ID
- * @property {number} guildId - Database guild ID
- * @property {number} goldPerClick - Gold earned per click
- * @property {number} xpPerClick - XP earned per click
- * @property {number} baseGold - Gold when session started
- * @property {number} baseXp - XP when session started
- * @property {number} baseLevel - Level when session started
- * @property {number} sessionGold - Total gold earned this session
- * @property {number} sessionXp - Total XP earned this session
- * @property {number} totalClicks - Total clicks this session
- * @property {number} flushedGold - Gold already written to DB
- * @property {number} flushedXp - XP already written to DB
- * @property {number} lastClickTime - Timestamp of last click
+ * @typedef {Object} LocalSession
+ * @property {number} sessionId - Session store ID
  * @property {NodeJS.Timeout|null} flushTimeout - Pending flush timeout
- * @property {Function|null} updateEmbed - Function to update the embed
- * @property {number} interactionCreatedAt - Timestamp when interaction was created
+ * @property {NodeJS.Timeout|null} endTimeout - Timer that closes the session when it runs out
+ * @property {Function|null} updateEmbed - Function to update the embed (null for recovered sessions)
  */
 
 export const data = new SlashCommandBuilder()
@@ -52,7 +50,7 @@ export async function execute(interaction) {
   const odId = interaction.user.id;
   
   // Check if player has a guild (combined query - 1 query instead of 2)
-  const { guild, upgrades } = await getGuildWithData(odId);
+  const { guild, upgrades, achievements, equipment } = await repos.guilds.getGuildWithData(odId);
   
   if (!guild) {
     return interaction.reply({
@@ -61,79 +59,49 @@ export async function execute(interaction) {
     });
   }
   
-  // Flush any existing session for this user
-  await flushSession(odId, true);
+  // Close any existing session for this user - it may have been started on another shard
+  await endSession(odId);
   
   // Calculate click rates using pre-loaded upgrades
-  const bonuses = calculateUpgradeBonuses(upgrades);
-  const rank = getRankForLevel(guild.level);
-  
-  // Gold per click = 40 seconds of idle income
-  const goldPerClick = Math.max(1, Math.floor(
-    (GAME.BASE_GOLD_PER_HOUR / 90) * guild.adventurer_count * rank.multiplier * bonuses.goldMultiplier
-  ));
+  const bonuses = calculateUpgradeBonuses(upgrades, achievements, equipment);
+  const { goldPerClick, xpPerClick } = calculateClickRewards(guild, bonuses);
   
-  const xpPerClick = Math.max(1, Math.floor(
-    (GAME.BASE_XP_PER_HOUR / 90) * guild.adventurer_count * bonuses.xpMultiplier
-  ));
-  
-  // Create new session
-  const session = {
-    odId,
+  const session = await getSessionStore().createGrindSession({
+    discordId: odId,
     guildId: guild.id,
     goldPerClick,
     xpPerClick,
     baseGold: Number(guild.gold),
     baseXp: Number(guild.xp),
-    baseLevel: guild.level,
-    sessionGold: 0,
-    sessionXp: 0,
-    totalClicks: 0,
-    flushedGold: 0,
-    flushedXp: 0,
-    flushedClicks: 0, // Track clicks that have been flushed to DB
-    lastClickTime: Date.now(),
-    flushTimeout: null,
-    updateEmbed: null,
-    interactionCreatedAt: Date.now(), // Track when interaction was created for token expiry
-  };
-  
-  grindSessions.set(odId, session);
+    materialMultipliers: calculateMaterialMultipliers(upgrades),
+    durationMs: GRIND.SESSION_MINUTES * 60 * 1000,
+  });
   
   // Track that a new grind session was started
-  await incrementStats(guild.id, { lifetime_grind_sessions: 1 });
-  
-  // Create the embed and button
-  const embed = createGrindEmbed(session);
-  const row = createGrindButton();
+  await repos.guilds.incrementStats(guild.id, { lifetime_grind_sessions: 1 });
   
   // Send ephemeral message
-  const response = await interaction.reply({
-    embeds: [embed],
-    components: [row],
+  await interaction.reply({
+    embeds: [createGrindEmbed(session)],
+    components: [createGrindButton(session.id)],
     flags: MessageFlags.Ephemeral,
   });
   
-  // Set up button collector
-  const collector = response.createMessageComponentCollector({
-    componentType: ComponentType.Button,
-    time: 15 * 60 * 1000, // 15 minutes max
-  });
+  const createdAt = Date.now();
+  const local = trackSession(odId, session);
   
-  // Store the update function in the session
-  session.updateEmbed = async (newEmbed, disableButton = false) => {
+  local.updateEmbed = async (newEmbed, disableButton = false) => {
     // Check if interaction token is still valid (expires after 15 minutes)
-    const tokenAge = Date.now() - session.interactionCreatedAt;
+    const tokenAge = Date.now() - createdAt;
     if (tokenAge >= INTERACTION_TOKEN_LIFETIME_MS - 5000) {
       // Token expired or about to expire, skip update
       return;
     }
     
     try {
-      const components = disableButton ? [createGrindButton(true)] : [row];
       await interaction.editReply({
         embeds: [newEmbed],
-        components,
+        components: [createGrindButton(session.id, disableButton)],
       });
     } catch (error) {
       // Interaction may have expired unexpectedly
@@ -144,65 +112,142 @@ export async function execute(interaction) {
       console.error('Failed to update grind embed:', error.message);
     }
   };
+}
+
+/**
+ * Remember a session in this process and arm the timer that closes it
+ * @param {string} odId - Discord user ID
+ * @param {Object} session - Session record
+ * @returns {LocalSession}
+ */
+function trackSession(odId, session) {
+  const previous = localSessions.get(odId);
+  if (previous) {
+    clearTimeout(previous.flushTimeout);
+    clearTimeout(previous.endTimeout);
+  }
   
-  collector.on('collect', async (buttonInteraction) => {
-    await handleGrindClick(buttonInteraction, odId);
-  });
+  const local = { sessionId: session.id, flushTimeout: null, endTimeout: null, updateEmbed: null };
+  const remaining = Math.max(0, new Date(session.expires_at).getTime() - Date.now());
+  local.endTimeout = setTimeout(() => {
+    endSession(odId, session.id).catch(error => console.error('Failed to end grind session:', error.message));
+  }, remaining);
   
-  collector.on('end', async () => {
-    // Flush any remaining resources when collector ends
-    await flushSession(odId, true);
-    
-    // Update embed to show session ended
-    const finalSession = grindSessions.get(odId);
-    if (finalSession && finalSession.updateEmbed) {
-      const finalEmbed = createGrindEmbed(finalSession, true);
-      await finalSession.updateEmbed(finalEmbed, true);
+  localSessions.set(odId, local);
+  return local;
+}
+
+/**
+ * Flush a session's last clicks, show the final embed and remove it from the store
+ * @param {string} odId - Discord user ID
+ * @param {number|null} sessionId - Only end this session (null for whichever the player has)
+ */
+async function endSession(odId, sessionId = null) {
+  const store = getSessionStore();
+  const session = await store.getGrindSession(odId);
+  const local = localSessions.get(odId);
+  
+  // A newer /grind replaced this session - it's already been closed
+  if (sessionId !== null && session?.id !== sessionId) {
+    if (local?.sessionId === sessionId) {
+      clearTimeout(local.flushTimeout);
+      localSessions.delete(odId);
     }
+    return;
+  }
+  
+  await flushSession(odId, true);
+  
+  if (session) {
+    // Re-read after the flush so the final embed shows every click and material
+    const finalSession = (await store.getGrindSession(odId)) || session;
+    await store.deleteGrindSession(session.id);
     
-    // Clean up session
-    grindSessions.delete(odId);
-  });
+    if (local?.updateEmbed) {
+      await local.updateEmbed(createGrindEmbed(finalSession, true), true);
+    }
+  }
+  
+  if (local) {
+    clearTimeout(local.flushTimeout);
+    clearTimeout(local.endTimeout);
+    localSessions.delete(odId);
+  }
 }
 
 /**
- * Handle a grind button click
+ * Handle a grind button click - routed from the global button handler so clicks keep working
+ * after a restart and on whichever shard receives them
  * @param {ButtonInteraction} interaction 
- * @param {string} odId 
  */
-async function handleGrindClick(interaction, odId) {
-  const session = grindSessions.get(odId);
-  
-  if (!session) {
-    // Session expired or doesn't exist
-    await interaction.update({
-      embeds: [createErrorEmbed('Session expired. Use `/grind` to start a new session.')],
-      components: [createGrindButton(true)],
-    });
-    return;
+export async function handleGrindClick(interaction) {
+  const odId = interaction.user.id;
+  const sessionId = parseInt(interaction.customId.split(':')[1], 10);
+  const store = getSessionStore();
+  
+  const stored = await store.getGrindSession(odId);
+  if (stored?.id !== sessionId) {
+    return replySessionExpired(interaction, sessionId);
+  }
+  
+  // Clicks don't count again until the pending challenge is answered
+  if (stored.challenge_answer !== null) {
+    return interaction.update(createChallengeMessage(stored, stored.challenge_answer));
   }
   
-  // Increment session counters
-  session.sessionGold += session.goldPerClick;
-  session.sessionXp += session.xpPerClick;
-  session.totalClicks += 1;
-  session.lastClickTime = Date.now();
+  // What this click is worth depends on how fast the player has been clicking
+  const weight = getClickWeight(analyzeCadence(stored.click_intervals));
+  const result = await store.recordGrindClick(sessionId, {
+    windowMs: GRIND.RATE_WINDOW_MS,
+    maxClicks: GRIND.MAX_CLICKS_PER_WINDOW,
+    weight,
+    maxSamples: GRIND.CADENCE_SAMPLES,
+  });
   
-  // Clear existing flush timeout and set a new one
-  if (session.flushTimeout) {
-    clearTimeout(session.flushTimeout);
+  if (!result) {
+    // Session ran out
+    await endSession(odId, sessionId);
+    return replySessionExpired(interaction, sessionId);
   }
   
-  session.flushTimeout = setTimeout(() => {
-    flushSession(odId, false);
-  }, FLUSH_DELAY_MS);
+  const { session, throttled } = result;
+  
+  // Recovered sessions, or clicks that landed on another shard, get a local handle here
+  const local = localSessions.get(odId)?.sessionId === sessionId
+    ? localSessions.get(odId)
+    : trackSession(odId, session);
+  
+  // Throttled clicks aren't counted, so there's nothing new to flush
+  if (!throttled) {
+    // Clear existing flush timeout and set a new one
+    if (local.flushTimeout) {
+      clearTimeout(local.flushTimeout);
+    }
+    
+    local.flushTimeout = setTimeout(() => {
+      flushSession(odId, false);
+    }, GRIND.FLUSH_DELAY_MS);
+  }
+  
+  // Clicking that looks automated gets a button shuffle challenge
+  const cadence = analyzeCadence(session.click_intervals);
+  const flag = getCadenceFlag(cadence);
+  if (flag && canChallenge(session)) {
+    const challenged = await challengeSession(session, flag, cadence);
+    return interaction.update(createChallengeMessage(challenged, challenged.challenge_answer));
+  }
   
   // Update the embed in place (fire-and-forget for faster response)
   const embed = createGrindEmbed(session);
+  if (throttled) {
+    embed.setFooter({ text: `Slow down! Only ${GRIND.MAX_CLICKS_PER_WINDOW} clicks per second count.` });
+  } else if (weight < 1) {
+    embed.setFooter({ text: `Clicking faster than ${GRIND.HUMAN_CLICKS_PER_SECOND} a second - each click is worth ${Math.round(weight * 100)}%.` });
+  }
   
   interaction.update({
     embeds: [embed],
-    components: [createGrindButton()],
+    components: [createGrindButton(sessionId)],
   }).catch(error => {
     // Only log if it's not a known "interaction expired" error
     if (error.code !== 10062 && error.code !== 40060) {
@@ -211,6 +256,80 @@ async function handleGrindClick(interaction, odId) {
   });
 }
 
+/**
+ * Handle a press on one of the challenge buttons
+ * @param {ButtonInteraction} interaction 
+ */
+export async function handleGrindVerify(interaction) {
+  const odId = interaction.user.id;
+  const [, sessionIdStr, choiceStr] = interaction.customId.split(':');
+  const sessionId = parseInt(sessionIdStr, 10);
+  const store = getSessionStore();
+  
+  const stored = await store.getGrindSession(odId);
+  if (stored?.id !== sessionId) {
+    return replySessionExpired(interaction, sessionId);
+  }
+  if (new Date(stored.expires_at).getTime() <= Date.now()) {
+    await endSession(odId, sessionId);
+    return replySessionExpired(interaction, sessionId);
+  }
+  
+  const result = await store.answerGrindChallenge(sessionId, parseInt(choiceStr, 10));
+  
+  // Already answered (e.g. a double press) - just carry on
+  if (!result) {
+    return interaction.update({
+      embeds: [createGrindEmbed(stored)],
+      components: [createGrindButton(sessionId)],
+    });
+  }
+  
+  if (result.passed) {
+    const embed = createGrindEmbed(result.session);
+    embed.setFooter({ text: 'Thanks! Back to work.' });
+    return interaction.update({
+      embeds: [embed],
+      components: [createGrindButton(sessionId)],
+    });
+  }
+  
+  // A wrong answer is flagged and gets a fresh shuffle
+  const challenged = await challengeSession(result.session, 'failed_challenge', analyzeCadence(result.session.click_intervals));
+  await interaction.update(createChallengeMessage(challenged, challenged.challenge_answer, true));
+}
+
+/**
+ * Flag a session for the anti-cheat report and lock it behind a new challenge
+ * @param {Object} session - Session record
+ * @param {string} reason - 'regular', 'fast' or 'failed_challenge'
+ * @param {Object} cadence - Result of analyzeCadence()
+ * @returns {Promise<Object>} The challenged session
+ */
+async function challengeSession(session, reason, cadence) {
+  await repos.grindFlags.recordGrindFlag({
+    guildId: session.guild_id,
+    discordId: session.discord_id,
+    reason,
+    clicksPerSecond: cadence.clicksPerSecond,
+    intervalVariation: cadence.variation,
+  });
+  
+  return (await getSessionStore().startGrindChallenge(session.id, rollChallengeAnswer())) || session;
+}
+
+/**
+ * Tell the player their session is over and disable the button
+ * @param {ButtonInteraction} interaction 
+ * @param {number} sessionId - Session the pressed button belonged to
+ */
+function replySessionExpired(interaction, sessionId) {
+  return interaction.update({
+    embeds: [createErrorEmbed('Session expired. Use `/grind` to start a new session.')],
+    components: [createGrindButton(sessionId, true)],
+  });
+}
+
 /**
  * Flush pending resources to the database
  * @param {string} odId - Discord user ID
@@ -218,48 +337,56 @@ async function handleGrindClick(interaction, odId) {
  * @returns {Promise<{leveledUp: boolean, newLevel: number|null}>}
  */
 export async function flushSession(odId, final = false) {
-  const session = grindSessions.get(odId);
-  
-  if (!session) {
-    return { leveledUp: false, newLevel: null };
-  }
+  const local = localSessions.get(odId);
   
   // Clear any pending flush timeout
-  if (session.flushTimeout) {
-    clearTimeout(session.flushTimeout);
-    session.flushTimeout = null;
-  }
-  
-  // Calculate how much to flush
-  const goldToFlush = session.sessionGold - session.flushedGold;
-  const xpToFlush = session.sessionXp - session.flushedXp;
-  const clicksToFlush = session.totalClicks - session.flushedClicks;
-  
-  // Nothing to flush
-  if (goldToFlush <= 0 && xpToFlush <= 0) {
-    return { leveledUp: false, newLevel: null };
+  if (local?.flushTimeout) {
+    clearTimeout(local.flushTimeout);
+    local.flushTimeout = null;
   }
   
   try {
-    // Write to database in a single combined operation
-    const updatedGuild = await flushGrindData(session.guildId, goldToFlush, xpToFlush, clicksToFlush);
+    const store = getSessionStore();
+    const stored = await store.getGrindSession(odId);
+    if (!stored) {
+      return { leveledUp: false, newLevel: null };
+    }
+    
+    // Moves the unflushed clicks onto the guild in one step - null when there's nothing to flush
+    const flushed = await store.flushGrindSession(stored.id);
+    if (!flushed) {
+      return { leveledUp: false, newLevel: null };
+    }
     
-    // Update flushed tracking
-    session.flushedGold = session.sessionGold;
-    session.flushedXp = session.sessionXp;
-    session.flushedClicks = session.totalClicks;
+    const { guild: updatedGuild, clicks, previousClicks } = flushed;
+    const guildId = stored.guild_id;
+    
+    // One item roll for every GRIND_CLICKS_PER_ROLL clicks crossed since the last flush
+    const rolls = Math.floor((previousClicks + clicks) / ITEMS.GRIND_CLICKS_PER_ROLL) -
+      Math.floor(previousClicks / ITEMS.GRIND_CLICKS_PER_ROLL);
     
     // Check for level-up
     const levelResult = await checkAndApplyLevelUp(updatedGuild);
     
-    if (levelResult.leveledUp) {
-      session.baseLevel = levelResult.newLevel;
-      
-      // Update the embed to show level-up (only case where we need to update)
-      if (session.updateEmbed) {
-        const embed = createGrindEmbed(session, final, levelResult);
-        await session.updateEmbed(embed, final);
-      }
+    const drops = rolls > 0 ? await rollItemDrops(guildId, 'grind', rolls) : [];
+    
+    const gathered = await gatherMaterials(
+      guildId, stored.material_multipliers, clicks / CRAFTING.GRIND_CLICKS_PER_HOUR
+    );
+    const session = Object.keys(gathered).length > 0
+      ? (await store.addGrindMaterials(stored.id, gathered)) || flushed.session
+      : flushed.session;
+    
+    // Working alongside the adventurers keeps their spirits up
+    await restoreMorale(guildId, clicks * MORALE.GRIND_RESTORE_PER_CLICK);
+    
+    // Clicks, gold and levels all feed achievements
+    const unlocked = await checkAchievements(guildId);
+    
+    // Update the embed to show level-ups, unlocks and drops (only cases where we need to update)
+    if ((levelResult.leveledUp || unlocked.length > 0 || drops.length > 0) && local?.updateEmbed) {
+      const embed = createGrindEmbed(session, final, levelResult, unlocked, drops);
+      await local.updateEmbed(embed, final);
     }
     
     return {
@@ -273,36 +400,70 @@ export async function flushSession(odId, final = false) {
 }
 
 /**
- * Flush all active sessions (for graceful shutdown)
+ * Flush every session this process is handling (for graceful shutdown)
+ * The sessions stay in the store, so a Postgres-backed store picks them back up with recoverSessions()
  */
 export async function flushAllSessions() {
   const promises = [];
-  for (const odId of grindSessions.keys()) {
+  for (const [odId, local] of localSessions) {
+    clearTimeout(local.endTimeout);
     promises.push(flushSession(odId, true));
   }
   await Promise.all(promises);
-  grindSessions.clear();
+  localSessions.clear();
+}
+
+/**
+ * Pick up sessions left in the store by a restart - unflushed clicks are applied,
+ * sessions that ran out are closed and the rest are re-armed so their buttons keep working
+ * @returns {Promise<{flushed: number, closed: number, resumed: number}>}
+ */
+export async function recoverSessions() {
+  const sessions = await getSessionStore().getGrindSessions();
+  let flushed = 0;
+  let closed = 0;
+  let resumed = 0;
+  
+  for (const session of sessions) {
+    if (getPaidClicks(session) > session.flushed_clicks) {
+      await flushSession(session.discord_id, false);
+      flushed++;
+    }
+    
+    if (new Date(session.expires_at).getTime() <= Date.now()) {
+      await endSession(session.discord_id, session.id);
+      closed++;
+    } else {
+      trackSession(session.discord_id, session);
+      resumed++;
+    }
+  }
+  
+  return { flushed, closed, resumed };
 }
 
 /**
- * Check if a user has an active grind session
+ * Check if a user has an active grind session in this process
  * @param {string} odId 
  * @returns {boolean}
  */
 export function hasActiveSession(odId) {
-  return grindSessions.has(odId);
+  return localSessions.has(odId);
 }
 
 /**
  * Create the grind embed
- * @param {GrindSession} session 
+ * @param {Object} session - Session record from the session store
  * @param {boolean} ended - Whether the session has ended
  * @param {Object} levelResult - Level-up result if applicable
+ * @param {Array} unlocked - Achievements unlocked by the latest flush
+ * @param {Array} drops - Items found by the latest flush
  * @returns {EmbedBuilder}
  */
-function createGrindEmbed(session, ended = false, levelResult = null) {
-  const totalGold = session.baseGold + session.sessionGold;
-  const totalXp = session.baseXp + session.sessionXp;
+function createGrindEmbed(session, ended = false, levelResult = null, unlocked = [], drops = []) {
+  const earnings = getSessionEarnings(session);
+  const totalGold = Number(session.base_gold) + earnings.gold;
+  const totalXp = Number(session.base_xp) + earnings.xp;
   
   const embed = new EmbedBuilder()
     .setColor(ended ? COLORS.WARNING : COLORS.SUCCESS)
@@ -315,12 +476,12 @@ function createGrindEmbed(session, ended = false, levelResult = null) {
     .addFields(
       {
         name: 'Per Click',
-        value: `+${session.goldPerClick} gold, +${session.xpPerClick} XP`,
+        value: `+${session.gold_per_click} gold, +${session.xp_per_click} XP`,
         inline: true,
       },
       {
         name: 'Clicks',
-        value: `${session.totalClicks}`,
+        value: `${session.total_clicks}`,
         inline: true,
       },
       {
@@ -330,7 +491,7 @@ function createGrindEmbed(session, ended = false, levelResult = null) {
       },
       {
         name: 'Session Earnings',
-        value: `${formatNumber(session.sessionGold)} gold, ${formatNumber(session.sessionXp)} XP`,
+        value: `${formatNumber(earnings.gold)} gold, ${formatNumber(earnings.xp)} XP`,
         inline: true,
       },
       {
@@ -345,6 +506,15 @@ function createGrindEmbed(session, ended = false, levelResult = null) {
       }
     );
   
+  const materials = formatMaterials(session.materials);
+  if (materials) {
+    embed.addFields({
+      name: 'Materials Gathered',
+      value: materials,
+      inline: false,
+    });
+  }
+  
   // Add level-up notification if applicable
   if (levelResult && levelResult.leveledUp) {
     const newRank = getRankForLevel(levelResult.newLevel);
@@ -356,6 +526,9 @@ function createGrindEmbed(session, ended = false, levelResult = null) {
     embed.setColor(COLORS.GOLD);
   }
   
+  addItemDrops(embed, drops);
+  addAchievementUnlocks(embed, unlocked);
+  
   if (ended) {
     embed.setFooter({ text: 'Use /grind to start a new session' });
   }
@@ -365,12 +538,13 @@ function createGrindEmbed(session, ended = false, levelResult = null) {
 
 /**
  * Create the grind button
+ * @param {number} sessionId - Session store ID
  * @param {boolean} disabled 
  * @returns {ActionRowBuilder}
  */
-function createGrindButton(disabled = false) {
+function createGrindButton(sessionId, disabled = false) {
   const button = new ButtonBuilder()
-    .setCustomId('grind_button')
+    .setCustomId(`grind_click:${sessionId}`)
     .setLabel('Grind!')
     .setStyle(ButtonStyle.Success)
     .setEmoji('⚒️')
@@ -378,3 +552,34 @@ function createGrindButton(disabled = false) {
   
   return new ActionRowBuilder().addComponents(button);
 }
+
+/**
+ * Build the button shuffle challenge - the grind button is swapped for a shuffled row
+ * and only the named button lets the player carry on
+ * @param {Object} session - Session record
+ * @param {number} answer - Index into GRIND.CHALLENGE_CHOICES the player has to press
+ * @param {boolean} retry - Whether the player just pressed the wrong button
+ * @returns {{ embeds: EmbedBuilder[], components: ActionRowBuilder[] }}
+ */
+function createChallengeMessage(session, answer, retry = false) {
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.WARNING)
+    .setTitle('Still There?')
+    .setDescription(
+      `${retry ? 'That wasn\'t it. ' : ''}Press the ${GRIND.CHALLENGE_CHOICES[answer]} button to keep grinding.\n\n` +
+      '*Your clicking looks automated - grind clicks won\'t count until you answer.*'
+    )
+    .setFooter({ text: `Clicks so far: ${session.total_clicks}` });
+  
+  const buttons = shuffleChallengeChoices().map(choice =>
+    new ButtonBuilder()
+      .setCustomId(`grind_verify:${session.id}:${choice}`)
+      .setEmoji(GRIND.CHALLENGE_CHOICES[choice])
+      .setStyle(ButtonStyle.Secondary)
+  );
+  
+  return {
+    embeds: [embed],
+    components: [new ActionRowBuilder().addComponents(buttons)],
+  };
+}
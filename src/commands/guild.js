@@ -1,7 +1,8 @@
 import { SlashCommandBuilder, MessageFlags } from 'discord.js';
-import { getGuildWithData } from '../database/guilds.js';
+import { repos } from '../database/repositories/index.js';
 import { createGuildEmbed, createErrorEmbed } from '../utils/embeds.js';
 import { calculateRates, calculateUpgradeBonuses, calculatePrestigeBonuses, getEffectiveCapacity, calculateIdleEarningsWithData } from '../game/idle.js';
+import { calculateAllianceBonuses } from '../game/alliances.js';
 
 export const data = new SlashCommandBuilder()
   .setName('guild')
@@ -9,7 +10,7 @@ export const data = new SlashCommandBuilder()
 
 export async function execute(interaction) {
   // Single combined query instead of 3 separate queries
-  const { guild, upgrades, prestigeUpgrades } = await getGuildWithData(interaction.user.id);
+  const { guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment } = await repos.guilds.getGuildWithData(interaction.user.id);
   
   if (!guild) {
     return interaction.reply({
@@ -19,12 +20,12 @@ export async function execute(interaction) {
   }
   
   // Calculate bonuses using pre-loaded data
-  const bonuses = calculateUpgradeBonuses(upgrades);
+  const bonuses = calculateUpgradeBonuses(upgrades, achievements, equipment);
   const prestigeBonuses = calculatePrestigeBonuses(guild, prestigeUpgrades);
-  const rates = calculateRates(guild, bonuses, prestigeBonuses);
+  const rates = calculateRates(guild, bonuses, prestigeBonuses, calculateAllianceBonuses(allianceBuffs));
   
   // Calculate pending earnings using pre-loaded data (no extra queries)
-  const pendingEarnings = calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades);
+  const pendingEarnings = calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment);
   
   // Update capacity display with bonus
   const effectiveCapacity = getEffectiveCapacity(guild, bonuses);
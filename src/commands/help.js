@@ -21,7 +21,9 @@ export async function execute(interaction) {
           '`/start` - Found your guild and begin your adventure\n' +
           '`/guild` - View your guild\'s stats and progress\n' +
           '`/collect` - Claim gold and XP earned by your adventurers\n' +
-          '`/grind` - Put in manual labor to earn extra gold',
+          '`/daily` - Claim a daily reward - build a streak for bigger bonuses\n' +
+          '`/grind` - Put in manual labor to earn extra gold\n' +
+          '`/quest start` - Send adventurers on a timed expedition for loot',
         inline: false,
       },
       {
@@ -29,7 +31,13 @@ export async function execute(interaction) {
         value:
           '`/upgrades [category]` - Browse available upgrades\n' +
           '`/buy` - Purchase upgrades with gold\n' +
-          '`/leaderboard [type]` - See the top guilds\n' +
+          '`/inventory` - View found items and salvage the spares\n' +
+          '`/equip [slot]` - Equip a weapon, armor or trinket\n' +
+          '`/craft list|make` - Brew potions from gathered materials\n' +
+          '`/roster view|promote|dismiss` - Manage your named adventurers\n' +
+          '`/achievements` - Track achievements and their permanent bonuses\n' +
+          '`/leaderboard [scope]` - See the top guilds, globally or in this server\n' +
+          '`/season standings|history` - This season\'s ladder, or a past season\'s final standings\n' +
           '`/notify type:all action:status` - Manage notification settings\n' +
           '`/nerdstats` - View detailed lifetime statistics',
         inline: false,
@@ -39,10 +47,41 @@ export async function execute(interaction) {
         value:
           '`/battle user:@player bet:amount` - Battle another player\n' +
           '`/battle random:true bet:amount` - Battle a random player\n' +
-          '`/battles` - View your recent battle history\n\n' +
+          '`/battle random:true ranked:true bet:amount` - Battle someone near your rating and power\n' +
+          '`/defense view|guards|fortify` - Fortify your guild and post guards against attackers\n' +
+          '`/battles [replay:id]` - View your recent battle history or replay a battle\n' +
+          '`/raid status|attack` - Team up with everyone against world bosses\n' +
+          '`/bounty place|list|cancel` - Put gold on a guild\'s head for others to claim\n' +
+          '`/tournament create|join|start|status|history` - Run a bracket tournament for this server\n\n' +
           '*Win to claim gold and XP from your opponent!*',
         inline: false,
       },
+      {
+        name: 'Trading',
+        value:
+          '`/trade offer user:@player amount:<gold>` - Offer gold to another player\n' +
+          '`/trade history` - Your recent trades and daily limits',
+        inline: false,
+      },
+      {
+        name: 'Adventurer Market',
+        value:
+          '`/market list quantity:<n> price:<gold>` - Sell adventurers to other guilds\n' +
+          '`/market browse` - Cheapest listings and your own\n' +
+          '`/market buy listing:<id>` - Buy a listing\n' +
+          '`/market cancel listing:<id>` - Take a listing down',
+        inline: false,
+      },
+      {
+        name: 'Alliances',
+        value:
+          '`/alliance create name:<name>` - Found an alliance with other guilds\n' +
+          '`/alliance invite|join|leave` - Grow your ranks or move on\n' +
+          '`/alliance donate amount:<gold>` - Fill the shared treasury\n' +
+          '`/alliance buffs` - Treasury buffs that boost every member\'s income\n' +
+          '`/war declare|attack|status` - Wage 24h wars against other alliances',
+        inline: false,
+      },
       {
         name: 'Prestige System',
         value:
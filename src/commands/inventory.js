@@ -0,0 +1,151 @@
+import {
+  SlashCommandBuilder,
+  ActionRowBuilder,
+  StringSelectMenuBuilder,
+  EmbedBuilder,
+  MessageFlags,
+} from 'discord.js';
+import { ITEMS } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import {
+  getItemSalvageValue,
+  calculateEquipmentPower,
+  formatItemName,
+  salvageItems,
+} from '../game/items.js';
+import { createErrorEmbed, COLORS } from '../utils/embeds.js';
+import { formatNumber } from '../utils/format.js';
+
+// Unequipped items listed in the embed (the salvage menu holds up to 25)
+const BACKPACK_LINES = 15;
+
+export const data = new SlashCommandBuilder()
+  .setName('inventory')
+  .setDescription('View the items your guild has found and salvage the ones you don\'t need');
+
+export async function execute(interaction) {
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+
+  if (!guild) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('You don\'t have a guild yet! Use `/start` to found one.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const { embed, components } = await buildInventoryView(guild);
+
+  await interaction.reply({
+    embeds: [embed],
+    components,
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Add an "Equipped" field with one line per slot
+ * @param {EmbedBuilder} embed - Embed to add the field to
+ * @param {Array} inventory - Guild's inventory (only equipped entries are shown)
+ * @returns {EmbedBuilder}
+ */
+export function addEquipmentField(embed, inventory) {
+  const lines = Object.entries(ITEMS.SLOTS).map(([slot, { label, emoji }]) => {
+    const item = inventory.find(gi => gi.equipped && gi.slot === slot);
+    return item
+      ? `${emoji} ${label}: ${ITEMS.RARITIES[item.rarity].emoji} **${item.name}** - ${item.description}`
+      : `${emoji} ${label}: *empty*`;
+  });
+
+  embed.addFields({ name: 'Equipped', value: lines.join('\n'), inline: false });
+  return embed;
+}
+
+/**
+ * Build the inventory embed and salvage menu
+ * @param {Object} guild - Guild data
+ * @returns {Promise<{embed: EmbedBuilder, components: ActionRowBuilder[]}>}
+ */
+async function buildInventoryView(guild) {
+  const inventory = await repos.items.getInventory(guild.id);
+  const equipped = inventory.filter(gi => gi.equipped);
+  const backpack = inventory.filter(gi => !gi.equipped);
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle(`🎒 ${guild.name}'s Inventory`)
+    .setDescription(
+      `**${inventory.length}** / ${ITEMS.INVENTORY_LIMIT} items - drops beyond the limit are salvaged automatically.\n` +
+      'Items drop from `/collect`, `/grind` and winning battles.'
+    );
+
+  addEquipmentField(embed, inventory);
+
+  let backpackValue = backpack
+    .slice(0, BACKPACK_LINES)
+    .map(gi => `${formatItemName(gi)} - ${gi.description}`)
+    .join('\n');
+  if (backpack.length > BACKPACK_LINES) {
+    backpackValue += `\n*...and ${backpack.length - BACKPACK_LINES} more*`;
+  }
+  embed.addFields({
+    name: `Backpack (${backpack.length})`,
+    value: backpackValue || '*Nothing yet - go find some loot!*',
+    inline: false,
+  });
+
+  embed.setFooter({ text: `Item power: +${calculateEquipmentPower(equipped)} - use /equip to change your gear` });
+
+  const components = [];
+  if (backpack.length > 0) {
+    // Cheapest first so the junk is at the top of the menu
+    const options = [...backpack]
+      .sort((a, b) => getItemSalvageValue(a) - getItemSalvageValue(b) || a.power - b.power)
+      .slice(0, 25)
+      .map(gi => ({
+        label: gi.name,
+        description: `${ITEMS.RARITIES[gi.rarity].label} ${ITEMS.SLOTS[gi.slot].label.toLowerCase()} - ${formatNumber(getItemSalvageValue(gi))} gold`,
+        value: String(gi.id),
+      }));
+
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId('inventory_salvage')
+      .setPlaceholder('Select items to salvage for gold...')
+      .setMinValues(1)
+      .setMaxValues(options.length)
+      .addOptions(options);
+
+    components.push(new ActionRowBuilder().addComponents(selectMenu));
+  }
+
+  return { embed, components };
+}
+
+/**
+ * Handle the salvage menu - scraps the selected items and refreshes the inventory in place
+ */
+export async function handleSalvageSelect(interaction) {
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+
+  if (!guild) {
+    return interaction.update({
+      embeds: [createErrorEmbed('Your guild was not found. Please try again.')],
+      components: [],
+    });
+  }
+
+  const { salvaged, gold } = await salvageItems(guild.id, interaction.values.map(Number));
+  const { embed, components } = await buildInventoryView(guild);
+
+  embed.addFields({
+    name: 'Salvaged',
+    value: salvaged.length > 0
+      ? `Scrapped **${salvaged.length}** item${salvaged.length !== 1 ? 's' : ''} for **${formatNumber(gold)}** gold.`
+      : 'Those items are no longer in your backpack.',
+    inline: false,
+  });
+
+  await interaction.update({
+    embeds: [embed],
+    components,
+  });
+}
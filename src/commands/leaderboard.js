@@ -3,11 +3,13 @@ import {
   EmbedBuilder, 
   ActionRowBuilder, 
   ButtonBuilder, 
-  ButtonStyle 
+  ButtonStyle,
+  MessageFlags,
 } from 'discord.js';
-import { getGuildByDiscordId, getLeaderboard, getPlayerRank, getTotalGuildCount } from '../database/guilds.js';
-import { COLORS } from '../utils/embeds.js';
+import { repos } from '../database/repositories/index.js';
+import { COLORS, createErrorEmbed } from '../utils/embeds.js';
 import { formatNumber } from '../utils/format.js';
+import { getRating, formatRating } from '../game/rating.js';
 
 // Category configurations
 const CATEGORIES = {
@@ -52,6 +54,14 @@ const CATEGORIES = {
     unit: '',
     emptyMessage: 'No battles fought yet!',
   },
+  rating: {
+    field: 'rating',
+    emoji: '🎖️',
+    title: 'Top Duelists',
+    subtitle: 'Battle rating',
+    formatValue: (guild) => formatRating(getRating(guild)),
+    unit: '',
+  },
   prestige_level: {
     field: 'prestige_level',
     emoji: '🌟',
@@ -66,16 +76,61 @@ const CATEGORIES = {
     unit: '',
     emptyMessage: 'No one has prestiged yet!',
   },
+  best_daily_streak: {
+    field: 'best_daily_streak',
+    emoji: '🔥',
+    title: 'Most Dedicated',
+    subtitle: 'Longest daily streak',
+    formatValue: (guild) => `${guild.best_daily_streak || 0} day${guild.best_daily_streak === 1 ? '' : 's'}`,
+    unit: '',
+    emptyMessage: 'No daily rewards claimed yet!',
+  },
+  // Ranks alliances rather than guilds
+  alliance: {
+    field: 'total_gold_earned',
+    emoji: '🏰',
+    title: 'Mightiest Alliances',
+    subtitle: 'Combined lifetime gold earned by members',
+    formatValue: (alliance) => `${formatNumber(Number(alliance.total_gold_earned))} (${alliance.member_count} member${alliance.member_count === 1 ? '' : 's'})`,
+    unit: '',
+    emptyMessage: 'No alliances founded yet!',
+    alliances: true,
+  },
 };
 
-const CATEGORY_ORDER = ['gold', 'level', 'adventurer_count', 'lifetime_gold_earned', 'lifetime_battles_won', 'prestige_level'];
+const CATEGORY_ORDER = ['gold', 'level', 'adventurer_count', 'lifetime_gold_earned', 'lifetime_battles_won', 'rating', 'prestige_level', 'best_daily_streak', 'alliance'];
+
+// Scopes: every guild, or only guilds seen in the Discord server the command was used in
+const SCOPES = {
+  global: { label: 'Global', emoji: '🌍' },
+  server: { label: 'This Server', emoji: '🏰' },
+};
 
 export const data = new SlashCommandBuilder()
   .setName('leaderboard')
-  .setDescription('View the top guilds across different categories');
+  .setDescription('View the top guilds across different categories')
+  .addStringOption(option =>
+    option
+      .setName('scope')
+      .setDescription('Rank every guild, or only players in this server')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Global', value: 'global' },
+        { name: 'This server', value: 'server' },
+      )
+  );
 
 export async function execute(interaction) {
-  await showLeaderboard(interaction, 'gold', false);
+  const scope = interaction.options.getString('scope') || 'global';
+  
+  if (scope === 'server' && !interaction.guildId) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('Server leaderboards are only available inside a server.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  
+  await showLeaderboard(interaction, 'gold', false, scope);
 }
 
 /**
@@ -83,35 +138,40 @@ export async function execute(interaction) {
  * @param {Interaction} interaction 
  * @param {string} categoryKey 
  * @param {boolean} isUpdate - Whether this is an update to an existing message
+ * @param {string} scope - 'global' or 'server'
  */
-async function showLeaderboard(interaction, categoryKey, isUpdate = false) {
+async function showLeaderboard(interaction, categoryKey, isUpdate = false, scope = 'global') {
   const category = CATEGORIES[categoryKey];
+  const serverId = scope === 'server' ? interaction.guildId : null;
+  
+  if (category.alliances) {
+    return showAllianceLeaderboard(interaction, category, categoryKey, isUpdate, scope, serverId);
+  }
   
   // Run independent queries in parallel for faster response
   const [playerGuild, topGuilds, totalGuilds] = await Promise.all([
-    getGuildByDiscordId(interaction.user.id),
-    getLeaderboard(category.field, 10),
-    getTotalGuildCount(),
+    repos.guilds.getGuildByDiscordId(interaction.user.id),
+    repos.guilds.getLeaderboard(category.field, 10, serverId),
+    repos.guilds.getTotalGuildCount(serverId),
   ]);
   
   // Get player's rank if they have a guild (depends on playerGuild result)
   let playerRank = null;
   if (playerGuild) {
-    playerRank = await getPlayerRank(interaction.user.id, category.field);
+    playerRank = await repos.guilds.getPlayerRank(interaction.user.id, category.field, serverId);
   }
   
-  // Check if this category has any data (for conquest and prestige)
+  // Check if this category has any data (categories with an empty message start at zero for everyone)
   const hasData = topGuilds.length > 0 && (
-    (categoryKey !== 'lifetime_battles_won' && categoryKey !== 'prestige_level') || 
-    (categoryKey === 'lifetime_battles_won' && topGuilds.some(g => (g.lifetime_battles_won || 0) > 0)) ||
-    (categoryKey === 'prestige_level' && topGuilds.some(g => (g.prestige_level || 0) > 0))
+    !category.emptyMessage || topGuilds.some(g => (g[category.field] || 0) > 0)
   );
   
   // Build the embed
-  const embed = buildLeaderboardEmbed(category, categoryKey, topGuilds, playerGuild, playerRank, totalGuilds, hasData);
+  const scopeLabel = scope === 'server' ? (interaction.guild?.name || SCOPES.server.label) : SCOPES.global.label;
+  const embed = buildLeaderboardEmbed(category, categoryKey, topGuilds, playerGuild, playerRank, totalGuilds, hasData, scopeLabel);
   
-  // Build the buttons
-  const buttons = buildCategoryButtons(categoryKey);
+  // Build the buttons (scope toggle only makes sense inside a server)
+  const buttons = buildCategoryButtons(categoryKey, scope, Boolean(interaction.guildId));
   
   // Send or update the message
   if (isUpdate) {
@@ -127,21 +187,50 @@ async function showLeaderboard(interaction, categoryKey, isUpdate = false) {
   }
 }
 
+/**
+ * Show the alliance leaderboard (ranks alliances, not guilds)
+ */
+async function showAllianceLeaderboard(interaction, category, categoryKey, isUpdate, scope, serverId) {
+  const [playerGuild, topAlliances] = await Promise.all([
+    repos.guilds.getGuildByDiscordId(interaction.user.id),
+    repos.alliances.getAllianceLeaderboard(10, serverId),
+  ]);
+  
+  let standing = { rank: null, total: topAlliances.length };
+  if (playerGuild?.alliance_id) {
+    standing = await repos.alliances.getAllianceRank(playerGuild.alliance_id, serverId);
+  }
+  
+  const scopeLabel = scope === 'server' ? (interaction.guild?.name || SCOPES.server.label) : SCOPES.global.label;
+  const embed = buildLeaderboardEmbed(category, categoryKey, topAlliances, playerGuild, standing.rank, standing.total, topAlliances.length > 0, scopeLabel);
+  const buttons = buildCategoryButtons(categoryKey, scope, Boolean(interaction.guildId));
+  
+  const payload = { embeds: [embed], components: buttons };
+  if (isUpdate) {
+    await interaction.update(payload);
+  } else {
+    await interaction.reply(payload);
+  }
+}
+
 /**
  * Build the leaderboard embed
  */
-function buildLeaderboardEmbed(category, categoryKey, topGuilds, playerGuild, playerRank, totalGuilds, hasData) {
+function buildLeaderboardEmbed(category, categoryKey, topGuilds, playerGuild, playerRank, totalGuilds, hasData, scopeLabel) {
   const embed = new EmbedBuilder()
     .setColor(COLORS.GOLD)
     .setTitle(`${category.emoji} LEADERBOARD`)
     .setTimestamp();
   
-  // Subtitle with category name
-  let description = `**${category.title}**\n*${category.subtitle}*\n\n`;
+  // Subtitle with category name and scope
+  let description = `**${category.title}** — ${scopeLabel}\n*${category.subtitle}*\n\n`;
   
   // Player rank info
   if (playerGuild && playerRank) {
-    description += `Your Rank: **#${playerRank}** of ${totalGuilds}\n\n`;
+    const label = category.alliances ? 'Your Alliance' : 'Your Rank';
+    description += `${label}: **#${playerRank}** of ${totalGuilds}\n\n`;
+  } else if (category.alliances) {
+    description += `*Use /alliance to found or join an alliance!*\n\n`;
   } else {
     description += `*Use /start to join the rankings!*\n\n`;
   }
@@ -150,7 +239,7 @@ function buildLeaderboardEmbed(category, categoryKey, topGuilds, playerGuild, pl
   if (!hasData && category.emptyMessage) {
     description += `\`\`\`\n${category.emptyMessage}\n\`\`\``;
     embed.setDescription(description);
-    embed.setFooter({ text: 'Click a button to view other rankings' });
+    embed.setFooter({ text: 'Click a button to view other rankings · /season for this season\'s ladder' });
     return embed;
   }
   
@@ -160,7 +249,9 @@ function buildLeaderboardEmbed(category, categoryKey, topGuilds, playerGuild, pl
   
   topGuilds.forEach((guild, index) => {
     const rank = index + 1;
-    const isPlayer = playerGuild && guild.discord_id === playerGuild.discord_id;
+    const isPlayer = playerGuild && (category.alliances
+      ? guild.id === playerGuild.alliance_id
+      : guild.discord_id === playerGuild.discord_id);
     
     // Format the rank indicator
     let rankIndicator;
@@ -198,7 +289,7 @@ function buildLeaderboardEmbed(category, categoryKey, topGuilds, playerGuild, pl
   
   description += rankings;
   embed.setDescription(description);
-  embed.setFooter({ text: 'Click a button to view other rankings' });
+  embed.setFooter({ text: 'Click a button to view other rankings · /season for this season\'s ladder' });
   
   return embed;
 }
@@ -206,15 +297,19 @@ function buildLeaderboardEmbed(category, categoryKey, topGuilds, playerGuild, pl
 /**
  * Build the category navigation buttons
  * Discord limits action rows to 5 buttons max, so we split into multiple rows
+ * Button IDs carry the scope so switching category keeps the current scope
  */
-function buildCategoryButtons(activeCategory) {
+function buildCategoryButtons(activeCategory, scope = 'global', inServer = false) {
   const buttonLabels = {
     gold: 'Gold',
     level: 'Level',
     adventurer_count: 'Size',
     lifetime_gold_earned: 'Earnings',
     lifetime_battles_won: 'Conquest',
+    rating: 'Rating',
     prestige_level: 'Prestige',
+    best_daily_streak: 'Streak',
+    alliance: 'Alliances',
   };
   
   const rows = [];
@@ -226,7 +321,7 @@ function buildCategoryButtons(activeCategory) {
     const isActive = key === activeCategory;
     
     const button = new ButtonBuilder()
-      .setCustomId(`leaderboard:${key}`)
+      .setCustomId(`leaderboard:${key}:${scope}`)
       .setLabel(buttonLabels[key])
       .setEmoji(category.emoji)
       .setStyle(isActive ? ButtonStyle.Primary : ButtonStyle.Secondary);
@@ -240,6 +335,18 @@ function buildCategoryButtons(activeCategory) {
     }
   }
   
+  // Scope toggle - switches between global and this server for the active category
+  if (inServer) {
+    const otherScope = scope === 'server' ? 'global' : 'server';
+    currentRow.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`leaderboard:${activeCategory}:${otherScope}`)
+        .setLabel(SCOPES[otherScope].label)
+        .setEmoji(SCOPES[otherScope].emoji)
+        .setStyle(ButtonStyle.Success)
+    );
+  }
+  
   // Add the last row if it has any buttons
   if (currentRow.components.length > 0) {
     rows.push(currentRow);
@@ -252,11 +359,14 @@ function buildCategoryButtons(activeCategory) {
  * Handle leaderboard button click
  */
 export async function handleLeaderboardButton(interaction) {
-  const [, categoryKey] = interaction.customId.split(':');
+  const [, categoryKey, scopeKey] = interaction.customId.split(':');
   
   if (!CATEGORIES[categoryKey]) {
     return;
   }
   
-  await showLeaderboard(interaction, categoryKey, true);
+  // Older messages have no scope in their button IDs - treat them as global
+  const scope = scopeKey === 'server' && interaction.guildId ? 'server' : 'global';
+  
+  await showLeaderboard(interaction, categoryKey, true, scope);
 }
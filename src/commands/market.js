@@ -0,0 +1,274 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { MARKET } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { calculateUpgradeBonuses, getEffectiveCapacity, getWorkingAdventurers } from '../game/idle.js';
+import { getDailyTradeLimit, getRemainingTradeAllowance } from '../game/trades.js';
+import {
+  calculateListingFee,
+  calculateSaleTax,
+  getPriceRange,
+  listAdventurers,
+  buyListing,
+  closeListing,
+} from '../game/market.js';
+import { COLORS, createErrorEmbed } from '../utils/embeds.js';
+import { formatNumber, formatDuration } from '../utils/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('market')
+  .setDescription('Buy and sell adventurers with other guilds')
+  .addSubcommand((sub) =>
+    sub
+      .setName('list')
+      .setDescription('Put adventurers up for sale')
+      .addIntegerOption((option) =>
+        option
+          .setName('quantity')
+          .setDescription('How many adventurers to sell')
+          .setRequired(true)
+          .setMinValue(1)
+          .setMaxValue(MARKET.MAX_QUANTITY)
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName('price')
+          .setDescription('Total asking price in gold')
+          .setRequired(true)
+          .setMinValue(MARKET.MIN_PRICE_PER_ADVENTURER)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName('browse').setDescription('See the cheapest listings and your own')
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('buy')
+      .setDescription('Buy a listing')
+      .addIntegerOption((option) =>
+        option.setName('listing').setDescription('Listing number from /market browse').setRequired(true).setMinValue(1)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('cancel')
+      .setDescription('Take one of your listings down - the adventurers go back to work')
+      .addIntegerOption((option) =>
+        option.setName('listing').setDescription('Listing number from /market browse').setRequired(true).setMinValue(1)
+      )
+  );
+
+const SUBCOMMANDS = {
+  list: createListing,
+  browse: showListings,
+  buy: purchase,
+  cancel: cancelListing,
+};
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  if (!guild) {
+    return replyError(interaction, 'You don\'t have a guild yet! Use `/start` to found one.');
+  }
+
+  await SUBCOMMANDS[subcommand](interaction, guild);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Format a listing as one line
+ * @param {Object} listing - Listing row
+ * @returns {string}
+ */
+function formatListing(listing) {
+  const price = Number(listing.price);
+  const each = Math.floor(price / listing.quantity);
+  const timeLeft = Math.max(0, (new Date(listing.expires_at).getTime() - Date.now()) / 1000);
+  return `**#${listing.id}** - **${listing.quantity}** adventurer${listing.quantity !== 1 ? 's' : ''} ` +
+    `for **${formatNumber(price)}** gold (${formatNumber(each)} each) - ${formatDuration(timeLeft)} left`;
+}
+
+/**
+ * List adventurers for sale
+ */
+async function createListing(interaction, guild) {
+  const quantity = interaction.options.getInteger('quantity');
+  const price = interaction.options.getInteger('price');
+
+  if (guild.level < MARKET.MIN_LEVEL) {
+    return replyError(interaction, `You need to reach level **${MARKET.MIN_LEVEL}** before you can use the market.`);
+  }
+  if (quantity > MARKET.MAX_QUANTITY) {
+    return replyError(interaction, `You can list at most **${MARKET.MAX_QUANTITY}** adventurers at once.`);
+  }
+
+  const range = getPriceRange(quantity);
+  if (price < range.min || price > range.max) {
+    return replyError(interaction,
+      `The price for ${quantity} adventurer${quantity !== 1 ? 's' : ''} must be between ` +
+      `**${formatNumber(range.min)}** and **${formatNumber(range.max)}** gold.`
+    );
+  }
+
+  const available = getWorkingAdventurers(guild);
+  if (quantity > available) {
+    return replyError(interaction, `You only have **${available}** adventurer${available !== 1 ? 's' : ''} available to sell.`);
+  }
+
+  const fee = calculateListingFee(price);
+  if (guild.gold < fee) {
+    return replyError(interaction, `You need **${formatNumber(fee)}** gold for the listing fee.`);
+  }
+
+  const result = await listAdventurers(guild.id, quantity, price);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const listing = result.listing;
+  const tax = calculateSaleTax(price);
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.GOLD)
+    .setTitle('🏪 Adventurers Listed')
+    .setDescription(
+      `**${quantity}** adventurer${quantity !== 1 ? 's' : ''} from **${guild.name}** are on the market as listing **#${listing.id}**.\n` +
+      'They won\'t work for your guild while listed.'
+    )
+    .addFields(
+      { name: 'Asking Price', value: `${formatNumber(price)} gold`, inline: true },
+      { name: 'Listing Fee', value: `${formatNumber(fee)} gold`, inline: true },
+      { name: 'You\'ll Receive', value: `${formatNumber(price - tax)} gold`, inline: true }
+    )
+    .setFooter({
+      text: `Expires in ${MARKET.LISTING_HOURS} hours - ${Math.round(MARKET.SALE_TAX_RATE * 100)}% sale tax - /market cancel to take it down`,
+    })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Show the cheapest listings plus the player's own
+ */
+async function showListings(interaction, guild) {
+  const [listings, ownListings] = await Promise.all([
+    repos.market.getActiveListings(MARKET.BROWSE_LIMIT),
+    repos.market.getSellerListings(guild.id),
+  ]);
+
+  const lines = listings.map(l => `${formatListing(l)}\n   Seller: **${l.seller_name}**`);
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.GOLD)
+    .setTitle('🏪 Adventurer Market')
+    .setDescription(lines.join('\n') || '*Nothing for sale right now. Use `/market list` to sell adventurers.*')
+    .setFooter({ text: 'Cheapest per adventurer first - use /market buy listing:<number>' })
+    .setTimestamp();
+
+  if (ownListings.length > 0) {
+    embed.addFields({
+      name: 'Your Listings',
+      value: ownListings.map(formatListing).join('\n'),
+      inline: false,
+    });
+  }
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Buy a listing
+ */
+async function purchase(interaction, guild) {
+  const listingId = interaction.options.getInteger('listing');
+
+  if (guild.level < MARKET.MIN_LEVEL) {
+    return replyError(interaction, `You need to reach level **${MARKET.MIN_LEVEL}** before you can use the market.`);
+  }
+
+  const listing = await repos.market.getListingById(listingId);
+  if (!listing || listing.status !== 'active' || new Date(listing.expires_at) <= new Date()) {
+    return replyError(interaction, `Listing **#${listingId}** isn't for sale.`);
+  }
+  if (listing.seller_id === guild.id) {
+    return replyError(interaction, 'You can\'t buy your own listing! Use `/market cancel` to take it down.');
+  }
+
+  const price = Number(listing.price);
+  if (Number(guild.gold) < price) {
+    return replyError(interaction, `You don't have enough gold! You have **${formatNumber(guild.gold)}** gold.`);
+  }
+
+  const { upgrades, achievements, equipment } = await repos.guilds.getGuildWithDataById(guild.id);
+  const room = getEffectiveCapacity(guild, calculateUpgradeBonuses(upgrades, achievements, equipment)) - guild.adventurer_count;
+  if (listing.quantity > room) {
+    return replyError(interaction, `You only have room for **${Math.max(room, 0)}** more adventurer${room !== 1 ? 's' : ''}.`);
+  }
+
+  // Market sales share the /trade allowance, otherwise a listing could be used to hand gold past it
+  const { sent } = await repos.trades.getTradeTotals(guild.id);
+  const canSend = getRemainingTradeAllowance(guild.level, sent);
+  if (price > canSend) {
+    return replyError(interaction,
+      `That's over your daily trading limit. You can spend **${formatNumber(canSend)}** more gold on trades and the market ` +
+      `in the next 24 hours (limit **${formatNumber(getDailyTradeLimit(guild.level))}** at level ${guild.level}).`
+    );
+  }
+
+  const result = await buyListing(listing.id, guild.id);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const seller = await repos.guilds.getGuildById(listing.seller_id);
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.SUCCESS)
+    .setTitle('🤝 Adventurers Hired')
+    .setDescription(
+      `**${guild.name}** bought **${listing.quantity}** adventurer${listing.quantity !== 1 ? 's' : ''} ` +
+      `from **${seller?.name || 'a former guild'}** for **${formatNumber(price)}** gold.`
+    )
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Take one of the player's listings down
+ */
+async function cancelListing(interaction, guild) {
+  const listingId = interaction.options.getInteger('listing');
+
+  const listing = await repos.market.getListingById(listingId);
+  if (!listing || listing.seller_id !== guild.id) {
+    return replyError(interaction, `You don't have a listing **#${listingId}**.`);
+  }
+
+  const closed = listing.status === 'active' ? await closeListing(listing, 'cancelled') : null;
+  if (!closed) {
+    return replyError(interaction, `Listing **#${listingId}** has already been ${listing.status === 'active' ? 'settled' : listing.status}.`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.WARNING)
+    .setTitle('Listing Cancelled')
+    .setDescription(
+      `**${closed.quantity}** adventurer${closed.quantity !== 1 ? 's are' : ' is'} back at work for **${guild.name}**. ` +
+      'The listing fee isn\'t refunded.'
+    )
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
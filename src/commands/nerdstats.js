@@ -1,14 +1,17 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
-import { getGuildByDiscordId } from '../database/guilds.js';
+import { repos } from '../database/repositories/index.js';
 import { createErrorEmbed, COLORS } from '../utils/embeds.js';
 import { formatNumber } from '../utils/format.js';
+import { getDailyStatus } from '../game/daily.js';
+import { formatMaterials } from '../game/crafting.js';
+import { getRating, formatRating } from '../game/rating.js';
 
 export const data = new SlashCommandBuilder()
   .setName('nerdstats')
   .setDescription('View detailed lifetime statistics for your guild');
 
 export async function execute(interaction) {
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   
   if (!guild) {
     return interaction.reply({
@@ -70,7 +73,42 @@ export async function execute(interaction) {
       },
       {
         name: 'RECRUITMENT',
-        value: `Adventurers Recruited: **${formatNumber(guild.lifetime_adventurers_recruited || 0)}**`,
+        value: [
+          `Adventurers Recruited: **${formatNumber(guild.lifetime_adventurers_recruited || 0)}**`,
+          `Promotions: **${formatNumber(guild.lifetime_promotions || 0)}**`,
+        ].join('\n'),
+        inline: false,
+      },
+      {
+        name: 'QUESTS',
+        value: (() => {
+          const completed = guild.lifetime_quests_completed || 0;
+          if (completed === 0) {
+            return '*No quests completed yet*';
+          }
+          
+          return [
+            `Quests Completed: **${formatNumber(completed)}**`,
+            `Gold from Quests: **${formatNumber(guild.lifetime_quest_gold || 0)}**`,
+          ].join('\n');
+        })(),
+        inline: false,
+      },
+      {
+        name: 'CRAFTING',
+        value: [
+          `Materials Gathered: **${formatNumber(guild.lifetime_materials_gathered || 0)}**`,
+          `Potions Crafted: **${formatNumber(guild.lifetime_potions_crafted || 0)}**`,
+          `In Stock: ${formatMaterials(guild, true)}`,
+        ].join('\n'),
+        inline: false,
+      },
+      {
+        name: 'TRADING',
+        value: [
+          `Gold Sent: **${formatNumber(guild.lifetime_trade_gold_sent || 0)}**`,
+          `Gold Received: **${formatNumber(guild.lifetime_trade_gold_received || 0)}**`,
+        ].join('\n'),
         inline: false,
       },
       {
@@ -84,6 +122,7 @@ export async function execute(interaction) {
             `Battles Won: **${formatNumber(wins)}**`,
             `Battles Lost: **${formatNumber(losses)}**`,
             `Win Rate: **${winRate}%**`,
+            `Rating: **${formatRating(getRating(guild))}** (peak ${guild.peak_rating ?? getRating(guild)})`,
             `Gold Looted: **${formatNumber(guild.lifetime_battle_gold_won || 0)}**`,
             `Gold Lost: **${formatNumber(guild.lifetime_battle_gold_lost || 0)}**`,
             `XP Looted: **${formatNumber(guild.lifetime_battle_xp_won || 0)}**`,
@@ -92,6 +131,35 @@ export async function execute(interaction) {
         })(),
         inline: false,
       },
+      {
+        name: 'WORLD BOSSES',
+        value: [
+          `Damage Dealt: **${formatNumber(guild.lifetime_boss_damage || 0)}**`,
+          `Bosses Defeated: **${formatNumber(guild.lifetime_bosses_defeated || 0)}**`,
+        ].join('\n'),
+        inline: false,
+      },
+      {
+        name: 'SEASONS',
+        value: `Season Rewards Won: **${formatNumber(guild.lifetime_season_rewards || 0)}**`,
+        inline: false,
+      },
+      {
+        name: 'TOURNAMENTS',
+        value: [
+          `Tournaments Won: **${formatNumber(guild.lifetime_tournaments_won || 0)}**`,
+          `Prize Gold: **${formatNumber(Number(guild.lifetime_tournament_gold || 0))}**`,
+        ].join('\n'),
+        inline: false,
+      },
+      {
+        name: 'BOUNTIES',
+        value: [
+          `Bounties Claimed: **${formatNumber(guild.lifetime_bounties_claimed || 0)}**`,
+          `Bounty Gold: **${formatNumber(Number(guild.lifetime_bounty_gold || 0))}**`,
+        ].join('\n'),
+        inline: false,
+      },
       {
         name: 'PRESTIGE',
         value: (() => {
@@ -113,6 +181,24 @@ export async function execute(interaction) {
         })(),
         inline: false,
       },
+      {
+        name: 'DAILY REWARDS',
+        value: (() => {
+          const claims = guild.lifetime_daily_claims || 0;
+          if (claims === 0) {
+            return '*No daily rewards claimed yet*';
+          }
+          
+          const status = getDailyStatus(guild);
+          return [
+            `Current Streak: **${status.currentStreak}** day${status.currentStreak !== 1 ? 's' : ''}`,
+            `Best Streak: **${formatNumber(guild.best_daily_streak || 0)}** days`,
+            `Days Claimed: **${formatNumber(claims)}**`,
+            `Gold from Dailies: **${formatNumber(guild.lifetime_daily_gold || 0)}**`,
+          ].join('\n');
+        })(),
+        inline: false,
+      },
       {
         name: 'TIME',
         value: [
@@ -1,13 +1,5 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
-import { getGuildByDiscordId } from '../database/guilds.js';
-import {
-  getNotificationSettings,
-  enableReminders,
-  disableReminders,
-  enableBattleNotifications,
-  disableBattleNotifications,
-  updateAllNotificationSettings,
-} from '../database/notifications.js';
+import { repos } from '../database/repositories/index.js';
 import { createSuccessEmbed, createErrorEmbed, COLORS } from '../utils/embeds.js';
 
 export const data = new SlashCommandBuilder()
@@ -21,6 +13,7 @@ export const data = new SlashCommandBuilder()
       .addChoices(
         { name: 'Collection Reminders', value: 'collection' },
         { name: 'Battle Notifications', value: 'battle' },
+        { name: 'Quest Notifications', value: 'quest' },
         { name: 'All Notifications', value: 'all' }
       )
   )
@@ -37,7 +30,7 @@ export const data = new SlashCommandBuilder()
   );
 
 export async function execute(interaction) {
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   
   if (!guild) {
     return interaction.reply({
@@ -62,6 +55,8 @@ export async function execute(interaction) {
       return handleCollectionToggle(interaction, guild, enable);
     case 'battle':
       return handleBattleToggle(interaction, guild, enable);
+    case 'quest':
+      return handleQuestToggle(interaction, guild, enable);
     case 'all':
       return handleAllToggle(interaction, guild, enable);
   }
@@ -69,7 +64,7 @@ export async function execute(interaction) {
 
 async function handleCollectionToggle(interaction, guild, enable) {
   if (enable) {
-    await enableReminders(guild.id);
+    await repos.notifications.enableReminders(guild.id);
     
     const embed = new EmbedBuilder()
       .setColor(COLORS.SUCCESS)
@@ -86,7 +81,7 @@ async function handleCollectionToggle(interaction, guild, enable) {
       flags: MessageFlags.Ephemeral,
     });
   } else {
-    await disableReminders(guild.id);
+    await repos.notifications.disableReminders(guild.id);
     
     await interaction.reply({
       embeds: [createSuccessEmbed('Collection reminders have been **disabled**.')],
@@ -97,7 +92,7 @@ async function handleCollectionToggle(interaction, guild, enable) {
 
 async function handleBattleToggle(interaction, guild, enable) {
   if (enable) {
-    await enableBattleNotifications(guild.id);
+    await repos.notifications.enableBattleNotifications(guild.id);
     
     const embed = new EmbedBuilder()
       .setColor(COLORS.SUCCESS)
@@ -113,7 +108,7 @@ async function handleBattleToggle(interaction, guild, enable) {
       flags: MessageFlags.Ephemeral,
     });
   } else {
-    await disableBattleNotifications(guild.id);
+    await repos.notifications.disableBattleNotifications(guild.id);
     
     await interaction.reply({
       embeds: [createSuccessEmbed('Battle notifications have been **disabled**.')],
@@ -122,8 +117,32 @@ async function handleBattleToggle(interaction, guild, enable) {
   }
 }
 
+async function handleQuestToggle(interaction, guild, enable) {
+  if (enable) {
+    await repos.notifications.enableQuestNotifications(guild.id);
+    
+    const embed = new EmbedBuilder()
+      .setColor(COLORS.SUCCESS)
+      .setTitle('✅ Quest Notifications Enabled')
+      .setDescription('You will receive a DM with the loot when your **questing party returns**.')
+      .setFooter({ text: 'Make sure your DMs are open to receive notifications!' });
+    
+    await interaction.reply({
+      embeds: [embed],
+      flags: MessageFlags.Ephemeral,
+    });
+  } else {
+    await repos.notifications.disableQuestNotifications(guild.id);
+    
+    await interaction.reply({
+      embeds: [createSuccessEmbed('Quest notifications have been **disabled**. Use `/quest status` to check on your party.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
+
 async function handleAllToggle(interaction, guild, enable) {
-  await updateAllNotificationSettings(guild.id, enable, enable);
+  await repos.notifications.updateAllNotificationSettings(guild.id, enable, enable, enable);
   
   if (enable) {
     const embed = new EmbedBuilder()
@@ -131,8 +150,9 @@ async function handleAllToggle(interaction, guild, enable) {
       .setTitle('✅ All Notifications Enabled')
       .setDescription(
         '**Collection Reminders:** Enabled\n' +
-        '**Battle Notifications:** Enabled\n\n' +
-        'You will receive DMs for both collection reminders and battle results.'
+        '**Battle Notifications:** Enabled\n' +
+        '**Quest Notifications:** Enabled\n\n' +
+        'You will receive DMs for collection reminders, battle results and returning quests.'
       )
       .setFooter({ text: 'Make sure your DMs are open to receive notifications!' });
     
@@ -149,10 +169,12 @@ async function handleAllToggle(interaction, guild, enable) {
 }
 
 async function handleStatus(interaction, guild, type) {
-  const settings = await getNotificationSettings(guild.id);
+  const settings = await repos.notifications.getNotificationSettings(guild.id);
   
   const collectionEnabled = settings?.dm_reminders_enabled || false;
   const battleEnabled = settings?.battle_notifications_enabled || false;
+  // Quest DMs default to on (the column defaults to TRUE)
+  const questEnabled = settings?.quest_notifications_enabled !== false;
   
   const embed = new EmbedBuilder()
     .setColor(COLORS.INFO)
@@ -197,6 +219,20 @@ async function handleStatus(interaction, guild, type) {
     });
   }
   
+  if (type === 'all' || type === 'quest') {
+    let questStatus = questEnabled ? '✅ **Enabled**' : '❌ **Disabled**';
+    
+    if (questEnabled) {
+      questStatus += '\n• DM when your questing party returns';
+    }
+    
+    embed.addFields({
+      name: '🗺️ Quest Notifications',
+      value: questStatus,
+      inline: type === 'all',
+    });
+  }
+  
   // Add footer with toggle hints
   if (type === 'all') {
     embed.setFooter({ text: 'Use /notify type:<type> action:on/off to change settings' });
@@ -210,6 +246,11 @@ async function handleStatus(interaction, guild, type) {
       ? 'Use /notify type:battle action:off to disable' 
       : 'Use /notify type:battle action:on to enable' 
     });
+  } else if (type === 'quest') {
+    embed.setFooter({ text: questEnabled 
+      ? 'Use /notify type:quest action:off to disable' 
+      : 'Use /notify type:quest action:on to enable' 
+    });
   }
   
   // Warn if there have been DM failures
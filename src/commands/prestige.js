@@ -10,19 +10,16 @@ import {
   TextInputStyle,
   MessageFlags,
 } from 'discord.js';
-import { getGuildByDiscordId, getGuildWithData } from '../database/guilds.js';
+import { repos } from '../database/repositories/index.js';
 import {
-  getGuildPrestigeUpgrades,
-  getOwnedPrestigeUpgrades,
   canPrestige,
   getPrestigeRequirement,
   calculatePrestigeRewards,
-  executePrestige,
-  purchasePrestigeUpgrade,
-  toggleAutoPrestige,
 } from '../database/prestige.js';
 import { calculatePrestigeBonuses, formatPrestigeBonus } from '../game/idle.js';
-import { COLORS } from '../utils/embeds.js';
+import { COLORS, addAchievementUnlocks } from '../utils/embeds.js';
+import { checkAchievements } from '../game/achievements.js';
+import { syncRoster } from '../game/roster.js';
 import { formatNumber } from '../utils/format.js';
 
 export const data = new SlashCommandBuilder()
@@ -38,7 +35,7 @@ export const data = new SlashCommandBuilder()
 export async function execute(interaction) {
   const subcommand = interaction.options.getSubcommand();
 
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   if (!guild) {
     return interaction.reply({
       embeds: [
@@ -61,7 +58,7 @@ export async function execute(interaction) {
  * Show prestige status and info
  */
 async function showPrestigeStatus(interaction, guild) {
-  const prestigeUpgrades = await getOwnedPrestigeUpgrades(guild.id);
+  const prestigeUpgrades = await repos.prestige.getOwnedPrestigeUpgrades(guild.id);
   const prestigeBonuses = calculatePrestigeBonuses(guild, prestigeUpgrades);
   const eligibility = canPrestige(guild);
   const rewards = calculatePrestigeRewards(guild);
@@ -171,7 +168,7 @@ function buildPrestigeDescription(guild, prestigeBonuses, eligibility, rewards)
   desc += '\n';
 
   // Warning
-  desc += '*Prestiging resets your level, gold, XP, adventurers, and upgrades.*\n';
+  desc += '*Prestiging resets your level, gold, XP, adventurers, upgrades and fortifications. Gold held in trade offers, battle challenges, bounties and unstarted tournament entries is forfeited.*\n';
   desc += '*You keep prestige bonuses and permanent shop upgrades.*';
 
   return desc;
@@ -181,7 +178,7 @@ function buildPrestigeDescription(guild, prestigeBonuses, eligibility, rewards)
  * Show the prestige shop
  */
 async function showPrestigeShop(interaction, guild, isUpdate = false) {
-  const allUpgrades = await getGuildPrestigeUpgrades(guild.id);
+  const allUpgrades = await repos.prestige.getGuildPrestigeUpgrades(guild.id);
 
   const embed = new EmbedBuilder()
     .setColor(COLORS.GOLD)
@@ -271,7 +268,7 @@ async function showPrestigeShop(interaction, guild, isUpdate = false) {
  * Handle prestige now button - show confirmation modal
  */
 export async function handlePrestigeNow(interaction) {
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   if (!guild) return;
 
   const eligibility = canPrestige(guild);
@@ -289,7 +286,8 @@ export async function handlePrestigeNow(interaction) {
 
   const confirmInput = new TextInputBuilder()
     .setCustomId('confirm_name')
-    .setLabel(`Type your guild name to confirm: "${guild.name}"`)
+    // Labels are capped at 45 characters, so the name itself goes in the placeholder
+    .setLabel('Type your guild name to confirm')
     .setPlaceholder(guild.name)
     .setStyle(TextInputStyle.Short)
     .setRequired(true)
@@ -305,7 +303,7 @@ export async function handlePrestigeNow(interaction) {
  */
 export async function handlePrestigeConfirmModal(interaction) {
   // Get guild with prestige upgrades in one query (instead of 2)
-  const { guild, prestigeUpgrades } = await getGuildWithData(interaction.user.id);
+  const { guild, prestigeUpgrades } = await repos.guilds.getGuildWithData(interaction.user.id);
   if (!guild) return;
 
   const confirmName = interaction.fields.getTextInputValue('confirm_name');
@@ -318,7 +316,7 @@ export async function handlePrestigeConfirmModal(interaction) {
   }
 
   // Execute prestige using pre-loaded prestige upgrades
-  const result = await executePrestige(guild.id, prestigeUpgrades);
+  const result = await repos.prestige.executePrestige(guild.id, prestigeUpgrades);
 
   if (!result.success) {
     return interaction.reply({
@@ -327,6 +325,9 @@ export async function handlePrestigeConfirmModal(interaction) {
     });
   }
 
+  // Only the strongest named adventurers stay for the fresh start
+  await syncRoster(guild.id);
+
   const embed = new EmbedBuilder()
     .setColor(COLORS.SUCCESS)
     .setTitle('✨ PRESTIGE SUCCESSFUL! ✨')
@@ -341,6 +342,9 @@ export async function handlePrestigeConfirmModal(interaction) {
       `Your journey begins anew, stronger than before!`
     );
 
+  // Prestige count achievements (and their titles) survive the reset
+  addAchievementUnlocks(embed, await checkAchievements(guild.id));
+
   await interaction.reply({ embeds: [embed] });
 }
 
@@ -348,10 +352,10 @@ export async function handlePrestigeConfirmModal(interaction) {
  * Handle auto-prestige toggle
  */
 export async function handleAutoPrestigeToggle(interaction) {
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   if (!guild) return;
 
-  const newStatus = await toggleAutoPrestige(guild.id);
+  const newStatus = await repos.prestige.toggleAutoPrestige(guild.id);
 
   // Update the button
   const row = ActionRowBuilder.from(interaction.message.components[0]);
@@ -372,7 +376,7 @@ export async function handleAutoPrestigeToggle(interaction) {
  * Handle shop view button
  */
 export async function handleShopView(interaction) {
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   if (!guild) return;
 
   await showPrestigeShop(interaction, guild, true);
@@ -383,7 +387,7 @@ export async function handleShopView(interaction) {
  */
 export async function handleBackToStatus(interaction) {
   // Get guild with prestige upgrades in one query (instead of 2)
-  const { guild, prestigeUpgrades } = await getGuildWithData(interaction.user.id);
+  const { guild, prestigeUpgrades } = await repos.guilds.getGuildWithData(interaction.user.id);
   if (!guild) return;
 
   const prestigeBonuses = calculatePrestigeBonuses(guild, prestigeUpgrades);
@@ -443,12 +447,12 @@ export async function handleBackToStatus(interaction) {
  * Handle prestige upgrade purchase from select menu
  */
 export async function handlePrestigeBuySelect(interaction) {
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   if (!guild) return;
 
   const upgradeId = parseInt(interaction.values[0]);
 
-  const result = await purchasePrestigeUpgrade(guild.id, upgradeId);
+  const result = await repos.prestige.purchasePrestigeUpgrade(guild.id, upgradeId);
 
   if (!result.success) {
     return interaction.reply({
@@ -458,7 +462,7 @@ export async function handlePrestigeBuySelect(interaction) {
   }
 
   // Refresh the shop view
-  const updatedGuild = await getGuildByDiscordId(interaction.user.id);
+  const updatedGuild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
 
   // Send success message and refresh
   await interaction.reply({
@@ -474,7 +478,7 @@ export async function handlePrestigeBuySelect(interaction) {
  * Refresh the shop display after a purchase (edit the original message)
  */
 async function showPrestigeShopRefresh(interaction, guild) {
-  const allUpgrades = await getGuildPrestigeUpgrades(guild.id);
+  const allUpgrades = await repos.prestige.getGuildPrestigeUpgrades(guild.id);
 
   const embed = new EmbedBuilder()
     .setColor(COLORS.GOLD)
@@ -0,0 +1,211 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { QUEST } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { COLORS, createErrorEmbed, createQuestResultEmbed, addAchievementUnlocks } from '../utils/embeds.js';
+import { formatNumber, formatDuration, progressBar } from '../utils/format.js';
+import {
+  calculateUpgradeBonuses,
+  calculatePrestigeBonuses,
+  getWorkingAdventurers,
+  settleIdleEarnings,
+} from '../game/idle.js';
+import { estimateQuestLoot, resolveQuest } from '../game/quests.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('quest')
+  .setDescription('Send adventurers on timed expeditions')
+  .addSubcommand((sub) =>
+    sub
+      .setName('start')
+      .setDescription('Send a party of adventurers on a quest')
+      .addStringOption((option) =>
+        option
+          .setName('duration')
+          .setDescription('How long the party is away')
+          .setRequired(true)
+          .addChoices(
+            ...Object.entries(QUEST.DURATIONS).map(([key, duration]) => ({ name: duration.label, value: key }))
+          )
+      )
+      .addStringOption((option) =>
+        option
+          .setName('risk')
+          .setDescription('Riskier quests pay more but injure more adventurers')
+          .setRequired(true)
+          .addChoices(
+            ...Object.entries(QUEST.RISKS).map(([key, risk]) => ({ name: risk.label, value: key }))
+          )
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName('adventurers')
+          .setDescription('How many adventurers to send')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName('status').setDescription('Check on your questing party')
+  );
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  const { guild, upgrades, prestigeUpgrades, achievements, equipment } = await repos.guilds.getGuildWithData(interaction.user.id);
+  if (!guild) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('You don\'t have a guild yet! Use `/start` to found one.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  if (subcommand === 'start') {
+    await startQuest(interaction, guild, upgrades, prestigeUpgrades, achievements, equipment);
+  } else {
+    await showQuestStatus(interaction, guild, upgrades, prestigeUpgrades, achievements, equipment);
+  }
+}
+
+/**
+ * Send a party out on a quest
+ */
+async function startQuest(interaction, guild, upgrades, prestigeUpgrades, achievements, equipment) {
+  const durationKey = interaction.options.getString('duration');
+  const riskKey = interaction.options.getString('risk');
+  const adventurers = interaction.options.getInteger('adventurers');
+  const duration = QUEST.DURATIONS[durationKey];
+  const risk = QUEST.RISKS[riskKey];
+
+  const activeQuest = await repos.quests.getActiveQuest(guild.id);
+  if (activeQuest) {
+    return interaction.reply({
+      embeds: [createErrorEmbed('Your adventurers are already on a quest! Use `/quest status` to check on them.')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const available = getWorkingAdventurers(guild);
+  if (adventurers > available) {
+    return interaction.reply({
+      embeds: [createErrorEmbed(`You only have **${available}** adventurer${available !== 1 ? 's' : ''} available to send.`)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  // Pay out what the party earned at home so far - they stop producing once they leave
+  const settled = await settleIdleEarnings(guild.id);
+
+  const result = await repos.quests.startQuest(guild.id, {
+    durationKey,
+    riskKey,
+    hours: duration.hours,
+    adventurers,
+  });
+
+  if (!result.success) {
+    return interaction.reply({
+      embeds: [createErrorEmbed(result.error)],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const bonuses = calculateUpgradeBonuses(upgrades, achievements, equipment);
+  const prestigeBonuses = calculatePrestigeBonuses(guild, prestigeUpgrades);
+  const expected = estimateQuestLoot(guild, bonuses, prestigeBonuses, adventurers, duration.hours, riskKey);
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle('Quest Started!')
+    .setDescription(
+      `**${adventurers}** adventurer${adventurers !== 1 ? 's' : ''} set out on a ${risk.emoji} **${risk.label}** expedition.\n` +
+      `They'll be back in **${duration.label}** - they won't earn idle gold while away.`
+    )
+    .addFields(
+      {
+        name: 'Expected Loot',
+        value: `~${formatNumber(expected.gold)} gold\n~${formatNumber(expected.xp)} XP`,
+        inline: true,
+      },
+      {
+        name: 'Injury Risk',
+        value: `~${Math.round(risk.injuryRate * 100)}% of the party`,
+        inline: true,
+      }
+    )
+    .setFooter({ text: 'You\'ll get a DM when they return (/notify type:quest to change)' })
+    .setTimestamp();
+
+  if (settled && settled.goldEarned > 0) {
+    embed.addFields({
+      name: 'Collected Before Departure',
+      value: `+${formatNumber(settled.goldEarned)} gold, +${formatNumber(settled.xpEarned)} XP`,
+      inline: false,
+    });
+  }
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Show the active quest, resolving it if the party is already due back
+ */
+async function showQuestStatus(interaction, guild, upgrades, prestigeUpgrades, achievements, equipment) {
+  const activeQuest = await repos.quests.getActiveQuest(guild.id);
+
+  if (!activeQuest) {
+    return interaction.reply({
+      embeds: [
+        new EmbedBuilder()
+          .setColor(COLORS.INFO)
+          .setTitle('No Active Quest')
+          .setDescription(
+            `You have **${getWorkingAdventurers(guild)}** adventurers ready to go.\n` +
+            'Use `/quest start` to send a party out.'
+          ),
+      ],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  // Party is back but the resolver job hasn't picked it up yet - resolve it now
+  const endsAt = new Date(activeQuest.ends_at);
+  if (endsAt <= new Date()) {
+    const resolved = await resolveQuest(activeQuest);
+    if (resolved) {
+      const embed = createQuestResultEmbed(resolved.quest, resolved.outcome);
+      addAchievementUnlocks(embed, resolved.unlocked);
+      return interaction.reply({ embeds: [embed] });
+    }
+    return interaction.reply({
+      embeds: [createErrorEmbed('Your party just returned - check your DMs for the results!')],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const risk = QUEST.RISKS[activeQuest.risk_key];
+  const duration = QUEST.DURATIONS[activeQuest.duration_key];
+  const totalMs = activeQuest.hours * 60 * 60 * 1000;
+  const remainingMs = endsAt - Date.now();
+
+  const bonuses = calculateUpgradeBonuses(upgrades, achievements, equipment);
+  const prestigeBonuses = calculatePrestigeBonuses(guild, prestigeUpgrades);
+  const expected = estimateQuestLoot(
+    guild, bonuses, prestigeBonuses, activeQuest.adventurers_sent, activeQuest.hours, activeQuest.risk_key
+  );
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle('Quest In Progress')
+    .setDescription(
+      `**${activeQuest.adventurers_sent}** adventurers on a ${risk.emoji} **${risk.label}** ${duration.label} expedition.\n\n` +
+      `${progressBar(totalMs - remainingMs, totalMs)} **${formatDuration(remainingMs / 1000)}** left`
+    )
+    .addFields({
+      name: 'Expected Loot',
+      value: `~${formatNumber(expected.gold)} gold, ~${formatNumber(expected.xp)} XP`,
+      inline: false,
+    })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
@@ -0,0 +1,215 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { RAID } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { attackWorldBoss, getBossDefinition, getNextSpawnTime, getAttackCooldownRemaining } from '../game/raids.js';
+import { notifyBossRewards } from '../jobs/raidScheduler.js';
+import { COLORS, createErrorEmbed, createBossEmbed, addItemDrops } from '../utils/embeds.js';
+import { formatNumber, formatDuration, progressBar } from '../utils/format.js';
+
+// Live boss embeds: channel ID -> { intervalId, interaction, bossId, startTime }
+const liveTrackers = new Map();
+
+export const data = new SlashCommandBuilder()
+  .setName('raid')
+  .setDescription('World bosses - the whole server fights together for tiered rewards')
+  .addSubcommand((sub) =>
+    sub.setName('status').setDescription('Post the current world boss with live HP and top raiders')
+  )
+  .addSubcommand((sub) =>
+    sub.setName('attack').setDescription(`Strike the world boss (every ${RAID.ATTACK_COOLDOWN_MINUTES} minutes)`)
+  );
+
+const SUBCOMMANDS = {
+  status: showBossStatus,
+  attack: attackBoss,
+};
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  if (!guild) {
+    return replyError(interaction, 'You don\'t have a guild yet! Use `/start` to found one.');
+  }
+
+  await SUBCOMMANDS[subcommand](interaction, guild);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Load a boss's standings, with rewards attached once it's resolved
+ * @param {Object} boss - World boss row
+ * @returns {Promise<Array>}
+ */
+async function getStandings(boss) {
+  const contributions = await repos.raids.getBossContributions(boss.id);
+  if (boss.status === 'active') return contributions;
+
+  return contributions.map(c => ({
+    ...c,
+    reward: c.reward_tier ? { tier: c.reward_tier, gold: Number(c.reward_gold), xp: Number(c.reward_xp) } : null,
+  }));
+}
+
+/**
+ * Stop a channel's live boss embed
+ * @param {string} channelId - Channel the embed was posted in
+ */
+function stopTracker(channelId) {
+  const tracker = liveTrackers.get(channelId);
+  if (tracker) {
+    clearInterval(tracker.intervalId);
+    liveTrackers.delete(channelId);
+  }
+}
+
+/**
+ * Stop every live boss embed (used on shutdown)
+ */
+export function stopAllRaidTrackers() {
+  const count = liveTrackers.size;
+  for (const [channelId] of liveTrackers) {
+    stopTracker(channelId);
+  }
+  if (count > 0) {
+    console.log(`Stopped ${count} live raid tracker(s)`);
+  }
+}
+
+/**
+ * Keep a posted boss embed up to date until the boss is resolved or the interaction token runs out
+ * Same edit loop as /earnings - one live embed per channel, a newer /raid status replaces the old one
+ * @param {string} channelId - Channel key
+ * @param {Object} interaction - Interaction whose reply is edited
+ * @param {Object} boss - Boss being shown
+ */
+function startTracker(channelId, interaction, boss) {
+  stopTracker(channelId);
+
+  const startTime = Date.now();
+
+  const update = async () => {
+    try {
+      const current = await repos.raids.getBossById(boss.id);
+      if (!current) {
+        stopTracker(channelId);
+        return;
+      }
+
+      const embed = createBossEmbed(current, await getStandings(current));
+      const expired = Date.now() - startTime >= RAID.LIVE_UPDATE_DURATION_MS;
+
+      if (current.status !== 'active' || expired) {
+        stopTracker(channelId);
+        if (current.status === 'active') {
+          embed.setFooter({ text: 'Live updates ended - use /raid status to follow the fight again' });
+        }
+      }
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      // Interaction expired or the message was deleted
+      console.log('Raid tracker stopped:', error.message);
+      stopTracker(channelId);
+    }
+  };
+
+  const intervalId = setInterval(update, RAID.LIVE_UPDATE_INTERVAL_MS);
+  liveTrackers.set(channelId, { intervalId, interaction, bossId: boss.id, startTime });
+}
+
+/**
+ * Post the current boss (live-updating), or the last result and when the next boss appears
+ */
+async function showBossStatus(interaction, guild) {
+  const boss = await repos.raids.getActiveBoss();
+
+  if (!boss) {
+    const lastBoss = await repos.raids.getLastBoss();
+    const nextIn = Math.max(0, (getNextSpawnTime(lastBoss).getTime() - Date.now()) / 1000);
+    const quiet = `No world boss is out right now. The next one appears in about **${formatDuration(nextIn)}**.`;
+
+    if (!lastBoss) {
+      const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle('🌍 World Bosses')
+        .setDescription(`${quiet}\n\nWhen it does, everyone attacks it with \`/raid attack\` - the bigger your share of the damage, the better your reward.`);
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    const embed = createBossEmbed(lastBoss, await getStandings(lastBoss));
+    embed.setDescription(`${embed.data.description}\n\n${quiet}`);
+    return interaction.reply({ embeds: [embed] });
+  }
+
+  const standings = await getStandings(boss);
+  const embed = createBossEmbed(boss, standings);
+
+  const mine = standings.find(s => s.guild_id === guild.id);
+  const cooldown = getAttackCooldownRemaining(mine);
+  embed.addFields({
+    name: 'Your Guild',
+    value: (mine ? `**${formatNumber(Number(mine.damage))}** damage in ${mine.attacks} attack${mine.attacks !== 1 ? 's' : ''}` : 'You haven\'t attacked yet') +
+      (cooldown > 0 ? ` · next attack in **${formatDuration(cooldown / 1000)}**` : ' · ready to attack!'),
+    inline: false,
+  });
+
+  await interaction.reply({ embeds: [embed] });
+  startTracker(interaction.channelId || interaction.user.id, interaction, boss);
+}
+
+/**
+ * Strike the world boss
+ */
+async function attackBoss(interaction, guild) {
+  const result = await attackWorldBoss(guild.id);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const { boss, contribution, damage, power, resolution } = result;
+  const definition = getBossDefinition(boss);
+  const hp = Math.max(0, Number(boss.hp));
+
+  const embed = new EmbedBuilder()
+    .setColor(resolution ? COLORS.SUCCESS : COLORS.ERROR)
+    .setTitle(resolution ? `${definition.emoji} Killing Blow!` : `${definition.emoji} Attack Landed!`)
+    .setDescription(
+      `**${guild.name}** struck **${definition.name}** for **${formatNumber(damage)}** damage!\n\n` +
+      `${progressBar(hp, Number(boss.max_hp), 20)}\n` +
+      `**${formatNumber(hp)}** / ${formatNumber(Number(boss.max_hp))} HP`
+    )
+    .addFields(
+      { name: 'Your Power', value: formatNumber(Math.round(power)), inline: true },
+      { name: 'Your Damage', value: `${formatNumber(Number(contribution.damage))} (${contribution.attacks} attack${contribution.attacks !== 1 ? 's' : ''})`, inline: true }
+    )
+    .setTimestamp();
+
+  if (resolution) {
+    const standing = resolution.standings.find(s => s.guild_id === guild.id);
+    const tier = RAID.REWARD_TIERS.find(t => t.key === standing.reward.tier);
+    embed.addFields({
+      name: 'Victory!',
+      value: `The boss has fallen and **${resolution.standings.length}** guild${resolution.standings.length !== 1 ? 's' : ''} share the spoils. ` +
+        `You earned the ${tier.emoji} **${tier.label}** reward: **+${formatNumber(standing.reward.gold)}** gold, **+${formatNumber(standing.reward.xp)}** XP.`,
+      inline: false,
+    });
+    addItemDrops(embed, resolution.drops, resolution.standings[0].name);
+
+    await interaction.reply({ embeds: [embed] });
+    await notifyBossRewards(interaction.client, resolution);
+    return;
+  }
+
+  embed.setFooter({ text: `Attack again in ${RAID.ATTACK_COOLDOWN_MINUTES} minutes · /raid status for the leaderboard` });
+  await interaction.reply({ embeds: [embed] });
+}
@@ -0,0 +1,252 @@
+import {
+  SlashCommandBuilder,
+  ActionRowBuilder,
+  StringSelectMenuBuilder,
+  EmbedBuilder,
+  MessageFlags,
+} from 'discord.js';
+import { ROSTER } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import {
+  syncRoster,
+  calculateRosterBonuses,
+  getPromotionRequirements,
+  isReadyForPromotion,
+  formatAdventurer,
+  promoteAdventurer,
+  dismissAdventurer,
+} from '../game/roster.js';
+import { COLORS, createErrorEmbed } from '../utils/embeds.js';
+import { formatNumber } from '../utils/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('roster')
+  .setDescription('Browse, promote and dismiss your named adventurers')
+  .addSubcommand((sub) =>
+    sub
+      .setName('view')
+      .setDescription('See your named adventurers and what they add to your guild')
+      .addIntegerOption((option) =>
+        option.setName('page').setDescription('Page number').setRequired(false).setMinValue(1)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName('promote').setDescription('Spend gold to level up an adventurer with enough XP')
+  )
+  .addSubcommand((sub) =>
+    sub.setName('dismiss').setDescription('Send an adventurer away for good')
+  );
+
+const SUBCOMMANDS = {
+  view: showRoster,
+  promote: showPromoteMenu,
+  dismiss: showDismissMenu,
+};
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  if (!guild) {
+    return replyError(interaction, 'You don\'t have a guild yet! Use `/start` to found one.');
+  }
+
+  await SUBCOMMANDS[subcommand](interaction, guild);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Describe what a roster adds to the guild
+ * @param {Array} roster - Named adventurers
+ * @returns {string}
+ */
+function formatComposition(roster) {
+  const { goldBonus, power, classCounts, balanced } = calculateRosterBonuses(roster);
+  const classes = Object.entries(ROSTER.CLASSES)
+    .map(([key, { emoji, label }]) => `${emoji} ${classCounts[key]} ${label}${classCounts[key] !== 1 ? 's' : ''}`)
+    .join(' · ');
+
+  return `${classes}\n` +
+    `💰 **+${(goldBonus * 100).toFixed(1)}%** idle gold · ⚔️ **+${power}** battle power` +
+    (balanced ? '\n🤝 Balanced party: every class is represented!' : '');
+}
+
+/**
+ * Show a page of the roster
+ */
+async function showRoster(interaction, guild) {
+  const roster = await syncRoster(guild.id);
+  const totalPages = Math.max(1, Math.ceil(roster.length / ROSTER.PAGE_SIZE));
+  const page = Math.min(interaction.options.getInteger('page') || 1, totalPages);
+  const start = (page - 1) * ROSTER.PAGE_SIZE;
+
+  const lines = roster.slice(start, start + ROSTER.PAGE_SIZE).map(adventurer => {
+    const marker = isReadyForPromotion(adventurer) ? ' ⬆️' : '';
+    const xpText = adventurer.level >= ROSTER.MAX_LEVEL
+      ? 'max level'
+      : `${adventurer.xp}/${getPromotionRequirements(adventurer.level).xp} XP`;
+    return `${formatAdventurer(adventurer)}${marker}\n   ${xpText}`;
+  });
+
+  const unnamed = guild.adventurer_count - roster.length;
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle(`📜 ${guild.name} Roster`)
+    .setDescription(lines.join('\n') || '*Nobody here yet - recruit some adventurers!*')
+    .addFields({ name: 'Composition', value: formatComposition(roster), inline: false })
+    .setFooter({
+      text: `Page ${page}/${totalPages}` +
+        (unnamed > 0 ? ` · ${unnamed} more unnamed recruit${unnamed !== 1 ? 's' : ''}` : '') +
+        ' · ⬆️ ready for /roster promote',
+    });
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Build the select menu for promoting or dismissing an adventurer
+ * @param {string} action - 'promote' or 'dismiss'
+ * @param {Array} choices - Adventurers to offer
+ * @returns {ActionRowBuilder[]}
+ */
+function buildAdventurerMenu(action, choices) {
+  if (choices.length === 0) return [];
+
+  const options = choices.slice(0, 25).map(adventurer => {
+    const { label } = ROSTER.CLASSES[adventurer.class];
+    const description = action === 'promote'
+      ? `Lv ${adventurer.level} ${label} - costs ${formatNumber(getPromotionRequirements(adventurer.level).gold)} gold`
+      : `Lv ${adventurer.level} ${label}, ${ROSTER.TRAITS[adventurer.trait].label}`;
+    return {
+      label: adventurer.name,
+      description,
+      value: String(adventurer.id),
+    };
+  });
+
+  const selectMenu = new StringSelectMenuBuilder()
+    .setCustomId(`roster_select:${action}`)
+    .setPlaceholder(action === 'promote' ? 'Select an adventurer to promote...' : 'Select an adventurer to dismiss...')
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(options);
+
+  return [new ActionRowBuilder().addComponents(selectMenu)];
+}
+
+/**
+ * Build the promote embed and menu
+ * @param {Object} guild - Guild data
+ * @returns {Promise<{embed: EmbedBuilder, components: ActionRowBuilder[]}>}
+ */
+async function buildPromoteMenu(guild) {
+  const roster = await syncRoster(guild.id);
+  const ready = roster.filter(isReadyForPromotion);
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle('Promote Adventurers')
+    .setDescription(
+      'Adventurers earn XP while your guild idles. Once they have enough, promoting them raises their level ' +
+      `(up to ${ROSTER.MAX_LEVEL}) and what they add to your gold and battle power.\n\n` +
+      `You have **${formatNumber(guild.gold)}** gold.`
+    );
+
+  if (ready.length === 0) {
+    embed.addFields({
+      name: 'Nobody Is Ready',
+      value: 'None of your adventurers have enough XP yet - check back after a few `/collect`s.',
+    });
+  }
+
+  return { embed, components: buildAdventurerMenu('promote', ready) };
+}
+
+/**
+ * Build the dismiss embed and menu
+ * @param {Object} guild - Guild data
+ * @returns {Promise<{embed: EmbedBuilder, components: ActionRowBuilder[]}>}
+ */
+async function buildDismissMenu(guild) {
+  const roster = await syncRoster(guild.id);
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.PRIMARY)
+    .setTitle('Dismiss Adventurers')
+    .setDescription(
+      'A dismissed adventurer leaves your guild for good - your adventurer count drops by one. ' +
+      'If you have unnamed recruits, one of them steps up to take the empty spot on the roster.'
+    );
+
+  // Weakest first - they're the usual candidates
+  return { embed, components: buildAdventurerMenu('dismiss', [...roster].reverse()) };
+}
+
+/**
+ * Show the promote menu
+ */
+async function showPromoteMenu(interaction, guild) {
+  const { embed, components } = await buildPromoteMenu(guild);
+  await interaction.reply({ embeds: [embed], components, flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Show the dismiss menu
+ */
+async function showDismissMenu(interaction, guild) {
+  const { embed, components } = await buildDismissMenu(guild);
+  await interaction.reply({ embeds: [embed], components, flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Handle an adventurer selection - promotes or dismisses them and refreshes the menu in place
+ */
+export async function handleSelectMenu(interaction) {
+  const action = interaction.customId.split(':')[1];
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+
+  if (!guild) {
+    return interaction.update({
+      embeds: [createErrorEmbed('Your guild was not found. Please try again.')],
+      components: [],
+    });
+  }
+
+  const adventurerId = Number(interaction.values[0]);
+  const result = action === 'promote'
+    ? await promoteAdventurer(guild.id, adventurerId)
+    : await dismissAdventurer(guild.id, adventurerId);
+
+  const refreshedGuild = result.success ? result.guild : guild;
+  const { embed, components } = action === 'promote'
+    ? await buildPromoteMenu(refreshedGuild)
+    : await buildDismissMenu(refreshedGuild);
+
+  if (!result.success) {
+    embed.setColor(COLORS.ERROR);
+    embed.addFields({ name: action === 'promote' ? 'Could Not Promote' : 'Could Not Dismiss', value: result.error });
+  } else if (action === 'promote') {
+    embed.setColor(COLORS.SUCCESS);
+    embed.addFields({
+      name: 'Promoted!',
+      value: `${formatAdventurer(result.adventurer)} for **${formatNumber(result.cost)}** gold.`,
+    });
+  } else {
+    embed.setColor(COLORS.SUCCESS);
+    embed.addFields({
+      name: 'Dismissed',
+      value: `**${result.adventurer.name}** packed their bags and left **${result.guild.name}**.`,
+    });
+  }
+
+  await interaction.update({ embeds: [embed], components });
+}
@@ -0,0 +1,140 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { SEASON } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { COLORS, createErrorEmbed, createSeasonEmbed, formatSeasonValue } from '../utils/embeds.js';
+import { formatNumber } from '../utils/format.js';
+
+const LADDER_CHOICES = Object.entries(SEASON.CATEGORIES).map(([key, ladder]) => ({
+  name: ladder.label,
+  value: key,
+}));
+
+export const data = new SlashCommandBuilder()
+  .setName('season')
+  .setDescription('Seasonal ladder - everyone starts from zero each season')
+  .addSubcommand((sub) =>
+    sub
+      .setName('standings')
+      .setDescription('Show the current season\'s standings and time remaining')
+      .addStringOption((opt) =>
+        opt.setName('ladder').setDescription('Which ladder to show').setRequired(false).addChoices(...LADDER_CHOICES)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('history')
+      .setDescription('Show the final standings of a past season')
+      .addIntegerOption((opt) =>
+        opt.setName('season').setDescription('Season number').setRequired(true).setMinValue(1)
+      )
+      .addStringOption((opt) =>
+        opt.setName('ladder').setDescription('Which ladder to show').setRequired(false).addChoices(...LADDER_CHOICES)
+      )
+  );
+
+const SUBCOMMANDS = {
+  standings: showCurrentSeason,
+  history: showPastSeason,
+};
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  await SUBCOMMANDS[subcommand](interaction);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Describe the player's guild's placing on each ladder
+ * @param {Object} season - Season row
+ * @param {Object|null} standing - The guild's season stats with ranks, or null if it hasn't scored
+ * @returns {string}
+ */
+function describeStanding(season, standing) {
+  if (!standing) {
+    return season.status === 'active'
+      ? 'Not on the ladder yet - collect, quest, raid and win battles to climb it.'
+      : 'Your guild didn\'t take part in this season.';
+  }
+
+  const lines = Object.entries(SEASON.CATEGORIES).map(([key, ladder]) => {
+    const rank = standing[`${key}_rank`];
+    return `${ladder.emoji} ${ladder.label}: ${rank ? `**#${rank}**` : 'unranked'} · ${formatSeasonValue(key, standing)}`;
+  });
+
+  if (Number(standing.reward_gold) > 0) {
+    lines.push(`🎁 Reward: **+${formatNumber(Number(standing.reward_gold))}** gold, **+${formatNumber(Number(standing.reward_xp))}** XP`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Reply with a season's ladder, plus the player's own placing if they have a guild
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} season - Season row
+ * @param {string} category - Key into SEASON.CATEGORIES
+ */
+async function replyWithSeason(interaction, season, category) {
+  const [standings, entries, guild] = await Promise.all([
+    repos.seasons.getSeasonStandings(season.id, category, SEASON.STANDINGS_SHOWN),
+    repos.seasons.countSeasonEntries(season.id, category),
+    repos.guilds.getGuildByDiscordId(interaction.user.id),
+  ]);
+
+  const embed = createSeasonEmbed(season, category, standings, entries);
+
+  if (guild) {
+    const standing = await repos.seasons.getSeasonStanding(season.id, guild.id);
+    embed.addFields({ name: 'Your Guild', value: describeStanding(season, standing), inline: false });
+  }
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Show the running season (or the last one, in the moment between seasons)
+ */
+async function showCurrentSeason(interaction) {
+  const category = interaction.options.getString('ladder') || 'gold';
+  const season = await repos.seasons.getActiveSeason() || await repos.seasons.getLastSeason();
+
+  if (!season) {
+    const embed = new EmbedBuilder()
+      .setColor(COLORS.INFO)
+      .setTitle('🏆 Seasons')
+      .setDescription(
+        'The first season hasn\'t started yet - check back in a few minutes.\n\n' +
+        `Each season lasts ${SEASON.LENGTH_DAYS} days and ranks guilds on gold earned and battles won from zero, so everyone has a shot at the top.`
+      );
+    return interaction.reply({ embeds: [embed] });
+  }
+
+  await replyWithSeason(interaction, season, category);
+}
+
+/**
+ * Show the archived standings of a season by number
+ */
+async function showPastSeason(interaction) {
+  const number = interaction.options.getInteger('season');
+  const category = interaction.options.getString('ladder') || 'gold';
+
+  const season = await repos.seasons.getSeasonById(number);
+  if (!season) {
+    return replyError(interaction, `There is no Season ${number}.`);
+  }
+  if (season.status === 'active') {
+    return replyError(interaction, `Season ${number} is still running - use \`/season standings\` to follow it.`);
+  }
+
+  await replyWithSeason(interaction, season, category);
+}
@@ -9,12 +9,7 @@ import {
   EmbedBuilder,
   MessageFlags,
 } from 'discord.js';
-import { getGuildByDiscordId, createGuild, updateGuildName } from '../database/guilds.js';
-import { 
-  getNotificationSettings, 
-  updateAllNotificationSettings,
-  createDefaultNotificationSettings,
-} from '../database/notifications.js';
+import { repos } from '../database/repositories/index.js';
 import { createGuildEmbed, createErrorEmbed, COLORS } from '../utils/embeds.js';
 import { calculateRates, calculateUpgradeBonuses } from '../game/idle.js';
 
@@ -35,11 +30,11 @@ export async function execute(interaction) {
   clearSession(discordId);
   
   // Check if player already has a guild
-  const existingGuild = await getGuildByDiscordId(discordId);
+  const existingGuild = await repos.guilds.getGuildByDiscordId(discordId);
   
   if (existingGuild) {
     // Existing user - show current settings and ask if they want to reconfigure
-    const settings = await getNotificationSettings(existingGuild.id);
+    const settings = await repos.notifications.getNotificationSettings(existingGuild.id);
     
     const embed = new EmbedBuilder()
       .setColor(COLORS.INFO)
@@ -287,19 +282,19 @@ async function showFinalSummary(interaction, session) {
     
     if (session.isNewUser) {
       // Create new guild
-      guild = await createGuild(session.odId, session.guildName);
+      guild = await repos.guilds.createGuild(session.odId, session.guildName);
       session.guildId = guild.id;
     } else {
       // Update existing guild name if changed
       if (session.guildName !== session.originalSettings.guildName) {
-        guild = await updateGuildName(session.guildId, session.guildName);
+        guild = await repos.guilds.updateGuildName(session.guildId, session.guildName);
       } else {
-        guild = await getGuildByDiscordId(session.odId);
+        guild = await repos.guilds.getGuildByDiscordId(session.odId);
       }
     }
     
     // Update notification settings
-    await updateAllNotificationSettings(
+    await repos.notifications.updateAllNotificationSettings(
       session.guildId || guild.id,
       session.collectionReminders || false,
       session.battleNotifications || false
@@ -361,8 +356,8 @@ async function handleSkipSetup(interaction, session) {
   try {
     if (session.isNewUser) {
       // Create guild with default settings (all notifications OFF)
-      const guild = await createGuild(session.odId, session.guildName);
-      await createDefaultNotificationSettings(guild.id);
+      const guild = await repos.guilds.createGuild(session.odId, session.guildName);
+      await repos.notifications.createDefaultNotificationSettings(guild.id);
       
       const embed = new EmbedBuilder()
         .setColor(COLORS.SUCCESS)
@@ -0,0 +1,270 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { TOURNAMENT, TRADE } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { beginTournament } from '../game/tournaments.js';
+import { getDailyTradeLimit, getRemainingTradeAllowance } from '../game/trades.js';
+import { COLORS, createErrorEmbed, createTournamentEmbed } from '../utils/embeds.js';
+import { formatNumber } from '../utils/format.js';
+
+const FORMAT_CHOICES = Object.entries(TOURNAMENT.FORMATS).map(([key, format]) => ({
+  name: format.label,
+  value: key,
+}));
+
+export const data = new SlashCommandBuilder()
+  .setName('tournament')
+  .setDescription('Run a PvP tournament for this server')
+  .addSubcommand((sub) =>
+    sub
+      .setName('create')
+      .setDescription('Open a tournament - you\'re entered as its first guild')
+      .addStringOption((opt) =>
+        opt.setName('name').setDescription('Tournament name').setRequired(true).setMaxLength(TOURNAMENT.NAME_MAX_LENGTH)
+      )
+      .addStringOption((opt) =>
+        opt.setName('format').setDescription('Bracket format (default: single elimination)').setRequired(false).addChoices(...FORMAT_CHOICES)
+      )
+      .addIntegerOption((opt) =>
+        opt.setName('entry_fee').setDescription('Gold each guild pays into the prize pool (default: free)').setRequired(false)
+          .setMinValue(0).setMaxValue(TOURNAMENT.MAX_ENTRY_FEE)
+      )
+      .addIntegerOption((opt) =>
+        opt.setName('max_entrants').setDescription(`Entrant cap (default: ${TOURNAMENT.MAX_ENTRANTS})`).setRequired(false)
+          .setMinValue(TOURNAMENT.MIN_ENTRANTS).setMaxValue(TOURNAMENT.MAX_ENTRANTS)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName('join').setDescription('Pay the entry fee and join this server\'s open tournament')
+  )
+  .addSubcommand((sub) =>
+    sub.setName('start').setDescription('Seed the bracket and play the first round (host only)')
+  )
+  .addSubcommand((sub) =>
+    sub.setName('status').setDescription('Show the bracket of this server\'s tournament')
+  )
+  .addSubcommand((sub) =>
+    sub.setName('history').setDescription('Show this server\'s past tournament winners')
+  );
+
+const SUBCOMMANDS = {
+  create: createTournament,
+  join: joinTournament,
+  start: startTournament,
+  status: showStatus,
+  history: showHistory,
+};
+
+// Subcommands that don't need the player to have a guild
+const NO_GUILD_NEEDED = new Set(['status', 'history']);
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  if (!interaction.guildId) {
+    return replyError(interaction, 'Tournaments are only available inside a server.');
+  }
+
+  let guild = null;
+  if (!NO_GUILD_NEEDED.has(subcommand)) {
+    guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+    if (!guild) {
+      return replyError(interaction, 'You don\'t have a guild yet! Use `/start` to found one.');
+    }
+  }
+
+  await SUBCOMMANDS[subcommand](interaction, guild);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Build the bracket embed for a tournament - a finished one shows its final placings
+ * @param {Object} tournament - Tournament row
+ * @returns {Promise<EmbedBuilder>}
+ */
+async function buildBracketEmbed(tournament) {
+  const [entrants, matches] = await Promise.all([
+    repos.tournaments.getTournamentEntrants(tournament.id),
+    repos.tournaments.getTournamentMatches(tournament.id),
+  ]);
+
+  const standings = tournament.status === 'completed'
+    ? entrants.filter(e => e.placement).sort((a, b) => a.placement - b.placement)
+    : null;
+  return createTournamentEmbed(tournament, entrants, matches, standings);
+}
+
+/**
+ * Explain why a guild can't enter a tournament with this entry fee
+ * Fees are paid out to other guilds, so entering follows the /trade level and daily sending limit
+ * @param {Object} guild - Entrant's guild
+ * @param {number} fee - Entry fee
+ * @returns {Promise<string|null>} Error message, or null if the guild can enter
+ */
+async function getEntryProblem(guild, fee) {
+  if (guild.level < TRADE.MIN_LEVEL) {
+    return `You need to reach level **${TRADE.MIN_LEVEL}** before you can enter tournaments.`;
+  }
+
+  const { sent } = await repos.trades.getTradeTotals(guild.id);
+  const canSend = getRemainingTradeAllowance(guild.level, sent);
+  if (fee > canSend) {
+    return `That entry fee is over your daily trading limit. You can pay **${formatNumber(canSend)}** more gold in the next 24 hours ` +
+      `(limit **${formatNumber(getDailyTradeLimit(guild.level))}** at level ${guild.level}).`;
+  }
+
+  return null;
+}
+
+/**
+ * Open a tournament in this server
+ */
+async function createTournament(interaction, guild) {
+  const name = interaction.options.getString('name').trim();
+  const format = interaction.options.getString('format') || 'single';
+  const entryFee = interaction.options.getInteger('entry_fee') ?? 0;
+  const maxEntrants = interaction.options.getInteger('max_entrants') ?? TOURNAMENT.MAX_ENTRANTS;
+
+  if (!name) {
+    return replyError(interaction, 'Give your tournament a name.');
+  }
+  if (Number(guild.gold) < entryFee) {
+    return replyError(interaction, `You need **${formatNumber(entryFee)}** gold to pay your own entry fee - you have **${formatNumber(Number(guild.gold))}**.`);
+  }
+  const entryProblem = await getEntryProblem(guild, entryFee);
+  if (entryProblem) {
+    return replyError(interaction, entryProblem);
+  }
+
+  const result = await repos.tournaments.createTournament({
+    serverId: interaction.guildId,
+    channelId: interaction.channelId ?? null,
+    name,
+    format,
+    entryFee,
+    maxEntrants,
+    hostGuildId: guild.id,
+  });
+  if (!result.success) {
+    return replyError(interaction, `${result.error}. Use \`/tournament status\` to see it.`);
+  }
+
+  const embed = await buildBracketEmbed(result.tournament);
+  embed.setColor(COLORS.SUCCESS);
+  await interaction.reply({
+    content: `📣 **${guild.name}** is hosting a tournament! It needs at least ${TOURNAMENT.MIN_ENTRANTS} guilds to start and is cancelled (with refunds) if it hasn't started within ${TOURNAMENT.OPEN_HOURS} hours.`,
+    embeds: [embed],
+  });
+}
+
+/**
+ * Join this server's open tournament
+ */
+async function joinTournament(interaction, guild) {
+  const tournament = await repos.tournaments.getActiveTournament(interaction.guildId);
+  if (!tournament) {
+    return replyError(interaction, 'There\'s no tournament open in this server. Start one with `/tournament create`!');
+  }
+  if (tournament.status !== 'open') {
+    return replyError(interaction, `**${tournament.name}** has already started.`);
+  }
+
+  const fee = Number(tournament.entry_fee);
+  if (Number(guild.gold) < fee) {
+    return replyError(interaction, `The entry fee is **${formatNumber(fee)}** gold - you have **${formatNumber(Number(guild.gold))}**.`);
+  }
+  const entryProblem = await getEntryProblem(guild, fee);
+  if (entryProblem) {
+    return replyError(interaction, entryProblem);
+  }
+
+  const result = await repos.tournaments.joinTournament(tournament.id, guild.id);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const embed = await buildBracketEmbed(result.tournament);
+  embed.setColor(COLORS.SUCCESS);
+  await interaction.reply({
+    content: `⚔️ **${guild.name}** entered **${tournament.name}**${fee > 0 ? ` for ${formatNumber(fee)} gold` : ''}!`,
+    embeds: [embed],
+  });
+}
+
+/**
+ * Seed the bracket and play the first round
+ */
+async function startTournament(interaction, guild) {
+  const tournament = await repos.tournaments.getActiveTournament(interaction.guildId);
+  if (!tournament) {
+    return replyError(interaction, 'There\'s no tournament open in this server.');
+  }
+  if (tournament.host_guild_id !== guild.id) {
+    return replyError(interaction, 'Only the host can start the tournament.');
+  }
+  if (tournament.status !== 'open') {
+    return replyError(interaction, `**${tournament.name}** has already started.`);
+  }
+
+  const result = await beginTournament(tournament);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const embed = createTournamentEmbed(result.tournament, result.entrants, result.matches, result.standings);
+  await interaction.reply({
+    content: `🔔 **${tournament.name}** has begun! A new round is played every ${TOURNAMENT.ROUND_INTERVAL_MINUTES} minutes.`,
+    embeds: [embed],
+  });
+}
+
+/**
+ * Show the bracket of this server's current (or most recent) tournament
+ */
+async function showStatus(interaction) {
+  const tournament = await repos.tournaments.getActiveTournament(interaction.guildId)
+    || (await repos.tournaments.getRecentTournaments(interaction.guildId, 1))[0];
+
+  if (!tournament) {
+    const embed = new EmbedBuilder()
+      .setColor(COLORS.INFO)
+      .setTitle('🏆 Tournaments')
+      .setDescription(
+        'No tournament has been run in this server yet.\n\n' +
+        'Open one with `/tournament create` - guilds pay an entry fee into the prize pool, ' +
+        'and matches are fought with `/battle` odds but no gold changes hands until the winners are paid.'
+      );
+    return interaction.reply({ embeds: [embed] });
+  }
+
+  await interaction.reply({ embeds: [await buildBracketEmbed(tournament)] });
+}
+
+/**
+ * Show this server's past tournament winners
+ */
+async function showHistory(interaction) {
+  const tournaments = await repos.tournaments.getRecentTournaments(interaction.guildId, TOURNAMENT.HISTORY_LIMIT);
+
+  const lines = tournaments.map(t => {
+    const format = TOURNAMENT.FORMATS[t.format];
+    return `${format.emoji} **${t.name}** · 🏆 **${t.winner_name ?? 'Unknown'}**\n` +
+      `${t.entrant_count} guilds · ${formatNumber(Number(t.prize_pool))} gold pool · ${new Date(t.resolved_at).toDateString()}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.INFO)
+    .setTitle('🏆 Tournament History')
+    .setDescription(lines.join('\n\n') || '*No tournaments have finished in this server yet.*')
+    .setFooter({ text: 'Career tournament wins are on /nerdstats' });
+
+  await interaction.reply({ embeds: [embed] });
+}
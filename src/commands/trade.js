@@ -0,0 +1,321 @@
+import {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  MessageFlags,
+} from 'discord.js';
+import { TRADE } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { getDailyTradeLimit, getRemainingTradeAllowance } from '../game/trades.js';
+import { COLORS, createErrorEmbed } from '../utils/embeds.js';
+import { formatNumber, formatRelativeTime } from '../utils/format.js';
+
+// How each trade status is shown in the history
+const STATUS_DISPLAY = {
+  pending:   { emoji: '⏳', label: 'Pending' },
+  accepted:  { emoji: '✅', label: 'Accepted' },
+  declined:  { emoji: '❌', label: 'Declined' },
+  cancelled: { emoji: '🚫', label: 'Cancelled' },
+  expired:   { emoji: '⌛', label: 'Expired' },
+  forfeited: { emoji: '🔥', label: 'Forfeited (prestiged)' },
+};
+
+export const data = new SlashCommandBuilder()
+  .setName('trade')
+  .setDescription('Send gold to other players')
+  .addSubcommand((sub) =>
+    sub
+      .setName('offer')
+      .setDescription('Offer gold to another player - they have to accept it')
+      .addUserOption((option) =>
+        option.setName('user').setDescription('Player to send gold to').setRequired(true)
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName('amount')
+          .setDescription('Gold to offer')
+          .setRequired(true)
+          .setMinValue(TRADE.MIN_AMOUNT)
+      )
+      .addStringOption((option) =>
+        option.setName('note').setDescription('Message for the recipient').setRequired(false).setMaxLength(100)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName('history').setDescription('View your recent trades and daily limits')
+  );
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  if (!guild) {
+    return replyError(interaction, 'You don\'t have a guild yet! Use `/start` to found one.');
+  }
+
+  if (subcommand === 'history') {
+    return showHistory(interaction, guild);
+  }
+
+  await sendOffer(interaction, guild);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Create a gold offer and post it with accept/decline buttons
+ * The gold is held from the sender's balance until the offer is settled
+ */
+async function sendOffer(interaction, guild) {
+  const targetUser = interaction.options.getUser('user');
+  const amount = interaction.options.getInteger('amount');
+  const note = interaction.options.getString('note');
+
+  if (targetUser.id === interaction.user.id) {
+    return replyError(interaction, 'You can\'t trade with yourself!');
+  }
+
+  const recipient = await repos.guilds.getGuildByDiscordId(targetUser.id);
+  if (!recipient) {
+    return replyError(interaction, `**${targetUser.username}** doesn't have a guild yet!`);
+  }
+
+  if (guild.level < TRADE.MIN_LEVEL) {
+    return replyError(interaction, `You need to reach level **${TRADE.MIN_LEVEL}** before you can send gold.`);
+  }
+  if (amount < TRADE.MIN_AMOUNT) {
+    return replyError(interaction, `The minimum offer is **${formatNumber(TRADE.MIN_AMOUNT)}** gold.`);
+  }
+  if (guild.gold < amount) {
+    return replyError(interaction, `You don't have enough gold! You have **${formatNumber(guild.gold)}** gold.`);
+  }
+
+  const [senderTotals, recipientTotals] = await Promise.all([
+    repos.trades.getTradeTotals(guild.id),
+    repos.trades.getTradeTotals(recipient.id),
+  ]);
+
+  const canSend = getRemainingTradeAllowance(guild.level, senderTotals.sent);
+  if (amount > canSend) {
+    return replyError(interaction,
+      `That's over your daily sending limit. You can send **${formatNumber(canSend)}** more gold in the next 24 hours ` +
+      `(limit **${formatNumber(getDailyTradeLimit(guild.level))}** at level ${guild.level}).`
+    );
+  }
+
+  const canReceive = getRemainingTradeAllowance(recipient.level, recipientTotals.received);
+  if (amount > canReceive) {
+    return replyError(interaction,
+      `**${recipient.name}** can only receive **${formatNumber(canReceive)}** more gold in the next 24 hours.`
+    );
+  }
+
+  const result = await repos.trades.createTradeOffer(guild.id, recipient.id, amount, note);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const trade = result.trade;
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.GOLD)
+    .setTitle('💰 Gold Offer')
+    .setDescription(`<@${interaction.user.id}> is offering <@${targetUser.id}> **${formatNumber(amount)}** gold!`)
+    .addFields(
+      { name: 'From', value: `**${guild.name}**`, inline: true },
+      { name: 'To', value: `**${recipient.name}**`, inline: true }
+    )
+    .setFooter({ text: `Offer expires in ${TRADE.OFFER_TIMEOUT_MS / 1000} seconds` })
+    .setTimestamp();
+
+  if (note) {
+    embed.addFields({ name: 'Note', value: note, inline: false });
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`trade_accept:${trade.id}`)
+      .setLabel('Accept')
+      .setStyle(ButtonStyle.Success)
+      .setEmoji('💰'),
+    new ButtonBuilder()
+      .setCustomId(`trade_decline:${trade.id}`)
+      .setLabel('Decline')
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  const reply = await interaction.reply({
+    embeds: [embed],
+    components: [row],
+    fetchReply: true,
+  });
+
+  // Return the gold if nobody answers in time
+  setTimeout(async () => {
+    try {
+      const expired = await repos.trades.closeTrade(trade.id, 'expired');
+      if (expired) {
+        await reply.edit({ embeds: [buildClosedEmbed(expired, 'expired')], components: [] });
+      }
+    } catch (error) {
+      // Message may have been deleted
+      console.log('Trade offer timeout cleanup:', error.message);
+    }
+  }, TRADE.OFFER_TIMEOUT_MS);
+}
+
+/**
+ * Build the embed shown once an offer is declined, cancelled or expired
+ * @param {Object} trade - Closed trade
+ * @param {string} status - 'declined', 'cancelled' or 'expired'
+ * @returns {EmbedBuilder}
+ */
+function buildClosedEmbed(trade, status) {
+  const titles = {
+    declined: 'Offer Declined',
+    cancelled: 'Offer Cancelled',
+    expired: 'Offer Expired',
+  };
+
+  return new EmbedBuilder()
+    .setColor(COLORS.WARNING)
+    .setTitle(titles[status])
+    .setDescription(`**${formatNumber(Number(trade.gold))}** gold has been returned to the sender.`)
+    .setTimestamp();
+}
+
+/**
+ * Handle the accept button - only the recipient can accept
+ */
+export async function handleTradeAccept(interaction) {
+  const [, tradeIdStr] = interaction.customId.split(':');
+  const trade = await repos.trades.getTradeById(parseInt(tradeIdStr, 10));
+
+  if (!trade || trade.status !== 'pending') {
+    return interaction.update({
+      embeds: [createErrorEmbed('This offer has already been settled.')],
+      components: [],
+    });
+  }
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  if (!guild || guild.id !== trade.recipient_id) {
+    return replyError(interaction, 'Only the player this offer was made to can accept it!');
+  }
+
+  const result = await repos.trades.acceptTrade(trade.id, guild.id);
+  if (!result.success) {
+    if (Date.now() - new Date(trade.created_at).getTime() >= TRADE.OFFER_TIMEOUT_MS) {
+      const expired = await repos.trades.closeTrade(trade.id, 'expired');
+      return interaction.update({ embeds: [buildClosedEmbed(expired || trade, 'expired')], components: [] });
+    }
+    return replyError(interaction, result.error);
+  }
+
+  const sender = await repos.guilds.getGuildById(trade.sender_id);
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.SUCCESS)
+    .setTitle('🤝 Trade Complete')
+    .setDescription(
+      `**${guild.name}** accepted **${formatNumber(Number(trade.gold))}** gold from **${sender?.name || 'a former guild'}**.`
+    )
+    .setTimestamp();
+
+  if (trade.note) {
+    embed.addFields({ name: 'Note', value: trade.note, inline: false });
+  }
+
+  await interaction.update({ embeds: [embed], components: [] });
+}
+
+/**
+ * Handle the decline button - the recipient declines, the sender cancels
+ */
+export async function handleTradeDecline(interaction) {
+  const [, tradeIdStr] = interaction.customId.split(':');
+  const trade = await repos.trades.getTradeById(parseInt(tradeIdStr, 10));
+
+  if (!trade || trade.status !== 'pending') {
+    return interaction.update({
+      embeds: [createErrorEmbed('This offer has already been settled.')],
+      components: [],
+    });
+  }
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  let status = null;
+  if (guild?.id === trade.recipient_id) {
+    status = 'declined';
+  } else if (guild?.id === trade.sender_id) {
+    status = 'cancelled';
+  }
+
+  if (!status) {
+    return replyError(interaction, 'This offer isn\'t yours to decline!');
+  }
+
+  const closed = await repos.trades.closeTrade(trade.id, status);
+  if (!closed) {
+    return interaction.update({
+      embeds: [createErrorEmbed('This offer has already been settled.')],
+      components: [],
+    });
+  }
+
+  await interaction.update({ embeds: [buildClosedEmbed(closed, status)], components: [] });
+}
+
+/**
+ * Show recent trades plus today's sending/receiving allowance
+ */
+async function showHistory(interaction, guild) {
+  const [trades, totals] = await Promise.all([
+    repos.trades.getTradeHistory(guild.id, TRADE.HISTORY_LIMIT),
+    repos.trades.getTradeTotals(guild.id),
+  ]);
+
+  const limit = getDailyTradeLimit(guild.level);
+
+  const lines = trades.map(t => {
+    const display = STATUS_DISPLAY[t.status];
+    const amount = `**${formatNumber(Number(t.gold))}** gold`;
+    const direction = t.sender_id === guild.id
+      ? `Sent ${amount} to **${t.recipient_name}**`
+      : `Received ${amount} from **${t.sender_name}**`;
+    return `${display.emoji} ${direction} - ${display.label}, ${formatRelativeTime(t.created_at)}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.GOLD)
+    .setTitle(`💰 ${guild.name}'s Trades`)
+    .setDescription(lines.join('\n') || '*No trades yet. Use `/trade offer` to send gold to another player.*')
+    .addFields(
+      {
+        name: 'Last 24 Hours',
+        value:
+          `Sent: **${formatNumber(totals.sent)}** / ${formatNumber(limit)}\n` +
+          `Received: **${formatNumber(totals.received)}** / ${formatNumber(limit)}`,
+        inline: true,
+      },
+      {
+        name: 'Lifetime',
+        value:
+          `Sent: **${formatNumber(Number(guild.lifetime_trade_gold_sent || 0))}**\n` +
+          `Received: **${formatNumber(Number(guild.lifetime_trade_gold_received || 0))}**`,
+        inline: true,
+      }
+    )
+    .setFooter({ text: `Daily limits grow with your guild level and include market sales (min level ${TRADE.MIN_LEVEL} to send)` })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
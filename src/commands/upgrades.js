@@ -1,6 +1,5 @@
 import { SlashCommandBuilder, MessageFlags } from 'discord.js';
-import { getGuildByDiscordId } from '../database/guilds.js';
-import { getAvailableUpgrades } from '../database/upgrades.js';
+import { repos } from '../database/repositories/index.js';
 import { createUpgradesEmbed, createErrorEmbed } from '../utils/embeds.js';
 
 const CATEGORIES = ['recruitment', 'equipment', 'facilities', 'missions', 'magic', 'trade'];
@@ -24,7 +23,7 @@ export const data = new SlashCommandBuilder()
   );
 
 export async function execute(interaction) {
-  const guild = await getGuildByDiscordId(interaction.user.id);
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
   
   if (!guild) {
     return interaction.reply({
@@ -36,7 +35,7 @@ export async function execute(interaction) {
   const category = interaction.options.getString('category');
   
   // Get available upgrades
-  let upgrades = await getAvailableUpgrades(
+  let upgrades = await repos.upgrades.getAvailableUpgrades(
     guild.id,
     guild.level,
     guild.adventurer_count
@@ -0,0 +1,272 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { WAR } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { canManageAlliance } from '../game/alliances.js';
+import { performWarAttack, getWarSides } from '../game/wars.js';
+import { COLORS, createErrorEmbed } from '../utils/embeds.js';
+import { formatNumber, formatDuration } from '../utils/format.js';
+
+// Rows shown in the status embed lists
+const TOP_FIGHTERS = 5;
+const RECENT_ATTACKS = 5;
+
+export const data = new SlashCommandBuilder()
+  .setName('war')
+  .setDescription('Alliance wars - fight another alliance for its glory and a treasury payout')
+  .addSubcommand((sub) =>
+    sub.setName('status').setDescription('View your alliance\'s current war')
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('declare')
+      .setDescription(`Declare war on another alliance (leader/officers, costs ${formatNumber(WAR.DECLARE_COST)} treasury gold)`)
+      .addStringOption((option) =>
+        option.setName('alliance').setDescription('Alliance to declare war on').setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('attack')
+      .setDescription(`Attack an enemy alliance member (${WAR.ATTACKS_PER_MEMBER} attacks per war)`)
+      .addUserOption((option) =>
+        option.setName('target').setDescription('Enemy to attack (random if not chosen)').setRequired(false)
+      )
+  );
+
+const SUBCOMMANDS = {
+  status: showWarStatus,
+  declare: declareWar,
+  attack: attackEnemy,
+};
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  const guild = await repos.guilds.getGuildByDiscordId(interaction.user.id);
+  if (!guild) {
+    return replyError(interaction, 'You don\'t have a guild yet! Use `/start` to found one.');
+  }
+
+  if (!guild.alliance_id) {
+    return replyError(interaction, 'Wars are fought between alliances. Use `/alliance create` or ask a leader for an invite.');
+  }
+
+  await SUBCOMMANDS[subcommand](interaction, guild);
+}
+
+/**
+ * Reply with an ephemeral error embed
+ */
+function replyError(interaction, message) {
+  return interaction.reply({
+    embeds: [createErrorEmbed(message)],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+/**
+ * Show the current war's score, roster and recent attacks (or the last result if not at war)
+ */
+async function showWarStatus(interaction, guild) {
+  const war = await repos.wars.getOpenWar(guild.alliance_id);
+  if (!war) {
+    return showPeaceStatus(interaction, guild);
+  }
+
+  const sides = getWarSides(war, guild.alliance_id);
+  const now = Date.now();
+
+  let timing;
+  if (war.status === 'scheduled') {
+    const startsIn = (new Date(war.starts_at).getTime() - now) / 1000;
+    timing = `🛡️ Preparing - attacks open in **${formatDuration(Math.max(startsIn, 0))}**`;
+  } else {
+    const endsIn = (new Date(war.ends_at).getTime() - now) / 1000;
+    timing = `⚔️ Underway - ends in **${formatDuration(Math.max(endsIn, 0))}**`;
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.ERROR)
+    .setTitle(`⚔️ ${sides.ownName} vs ${sides.enemyName}`)
+    .setDescription(timing)
+    .addFields(
+      { name: sides.ownName, value: `**${sides.ownScore}** points`, inline: true },
+      { name: sides.enemyName, value: `**${sides.enemyScore}** points`, inline: true }
+    )
+    .setTimestamp();
+
+  if (war.status === 'active') {
+    const [participants, attacks] = await Promise.all([
+      repos.wars.getWarParticipants(war.id),
+      repos.wars.getRecentWarAttacks(war.id, RECENT_ATTACKS),
+    ]);
+
+    const me = participants.find(p => p.guild_id === guild.id);
+    embed.addFields({
+      name: 'Your Attacks',
+      value: me
+        ? `**${WAR.ATTACKS_PER_MEMBER - me.attacks_used}** of ${WAR.ATTACKS_PER_MEMBER} left`
+        : '*You joined after the war started*',
+      inline: true,
+    });
+
+    const fighterLines = participants
+      .filter(p => p.attacks_used > 0)
+      .slice(0, TOP_FIGHTERS)
+      .map(p => {
+        const marker = p.alliance_id === guild.alliance_id ? '🔵' : '🔴';
+        return `${marker} **${p.name}** - ${p.points} pts (${p.attacks_won}/${p.attacks_used} won)`;
+      });
+
+    const attackLines = attacks.map(a =>
+      `${a.won ? '✅' : '❌'} **${a.attacker_name}** → **${a.defender_name}**${a.points > 0 ? ` (+${a.points})` : ''}`
+    );
+
+    embed.addFields(
+      { name: 'Top Fighters', value: fighterLines.join('\n') || '*No attacks yet*', inline: false },
+      { name: 'Recent Attacks', value: attackLines.join('\n') || '*No attacks yet*', inline: false }
+    );
+  }
+
+  embed.setFooter({
+    text: `Winner takes up to ${formatNumber(WAR.PAYOUT_BASE)} + ${formatNumber(WAR.PAYOUT_PER_POINT)} per point from the loser's treasury`,
+  });
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Show the alliance's war record and last result when it isn't at war
+ */
+async function showPeaceStatus(interaction, guild) {
+  const [alliance, lastWar] = await Promise.all([
+    repos.alliances.getAllianceById(guild.alliance_id),
+    repos.wars.getLastWar(guild.alliance_id),
+  ]);
+
+  let description = `**${alliance.name}** is not at war.\n` +
+    `Record: **${alliance.wars_won || 0}** won, **${alliance.wars_lost || 0}** lost`;
+
+  if (lastWar) {
+    const sides = getWarSides(lastWar, guild.alliance_id);
+    let result = 'Draw';
+    if (lastWar.winner_alliance_id === guild.alliance_id) {
+      result = `Victory (+${formatNumber(Number(lastWar.payout))} treasury gold)`;
+    } else if (lastWar.winner_alliance_id) {
+      result = 'Defeat';
+    }
+    description += `\n\nLast war: **${sides.ownScore}** - **${sides.enemyScore}** vs **${sides.enemyName}** - ${result}`;
+  }
+
+  description += '\n\nLeaders and officers can start one with `/war declare`.';
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.INFO)
+    .setTitle('🕊️ At Peace')
+    .setDescription(description)
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Declare war on another alliance (leader/officers)
+ */
+async function declareWar(interaction, guild) {
+  if (!canManageAlliance(guild.alliance_role)) {
+    return replyError(interaction, 'Only the leader and officers can declare war.');
+  }
+
+  const name = interaction.options.getString('alliance');
+  const target = await repos.alliances.getAllianceByName(name);
+  if (!target) {
+    return replyError(interaction, `No alliance named **${name}** exists.`);
+  }
+  if (target.id === guild.alliance_id) {
+    return replyError(interaction, 'You can\'t declare war on your own alliance!');
+  }
+
+  const alliance = await repos.alliances.getAllianceById(guild.alliance_id);
+  if (alliance.treasury < WAR.DECLARE_COST) {
+    return replyError(interaction,
+      `Declaring war costs **${formatNumber(WAR.DECLARE_COST)}** treasury gold. ` +
+      `Your treasury has **${formatNumber(Number(alliance.treasury))}**.`
+    );
+  }
+
+  const result = await repos.wars.declareWar(guild.alliance_id, target.id, guild.id, WAR.DECLARE_COST);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(COLORS.ERROR)
+    .setTitle('📯 War Declared!')
+    .setDescription(
+      `**${alliance.name}** has declared war on **${target.name}**!\n\n` +
+      `Attacks open in **${WAR.PREP_HOURS}h** and the war lasts **${WAR.DURATION_HOURS}h**. ` +
+      `Every member on either roster when it starts gets **${WAR.ATTACKS_PER_MEMBER}** attacks.`
+    )
+    .setFooter({ text: `${formatNumber(WAR.DECLARE_COST)} gold was paid from the treasury` })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Attack an enemy war participant
+ */
+async function attackEnemy(interaction, guild) {
+  const targetUser = interaction.options.getUser('target');
+
+  let targetGuildId = null;
+  if (targetUser) {
+    const target = await repos.guilds.getGuildByDiscordId(targetUser.id);
+    if (!target) {
+      return replyError(interaction, `**${targetUser.username}** doesn't have a guild.`);
+    }
+    targetGuildId = target.id;
+  }
+
+  const result = await performWarAttack(guild.id, targetGuildId);
+  if (!result.success) {
+    return replyError(interaction, result.error);
+  }
+
+  const sides = getWarSides(result.war, guild.alliance_id);
+  const attacksLeft = WAR.ATTACKS_PER_MEMBER - result.participant.attacks_used;
+
+  const embed = new EmbedBuilder()
+    .setColor(result.won ? COLORS.SUCCESS : COLORS.ERROR)
+    .setTitle(result.won ? '⚔️ War Attack - Victory!' : '⚔️ War Attack - Defeat')
+    .setDescription(
+      result.won
+        ? `**${guild.name}** defeated **${result.defender.name}** and earned **${result.points}** points for **${sides.ownName}**!`
+        : `**${guild.name}** was driven back by **${result.defender.name}**.`
+    )
+    .addFields(
+      {
+        name: 'Power',
+        value: `${result.attackerPower.toFixed(1)} vs ${result.defenderPower.toFixed(1)}`,
+        inline: true,
+      },
+      {
+        name: 'Win Chance',
+        value: `${result.winChance.toFixed(1)}%`,
+        inline: true,
+      },
+      {
+        name: 'Attacks Left',
+        value: `**${attacksLeft}** of ${WAR.ATTACKS_PER_MEMBER}`,
+        inline: true,
+      },
+      {
+        name: 'War Score',
+        value: `**${sides.ownName}** ${sides.ownScore} - ${sides.enemyScore} **${sides.enemyName}**`,
+        inline: false,
+      }
+    )
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
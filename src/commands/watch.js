@@ -1,7 +1,8 @@
 import { SlashCommandBuilder, EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder, MessageFlags } from 'discord.js';
-import { getGuildByDiscordId, getGuildWithData } from '../database/guilds.js';
+import { repos } from '../database/repositories/index.js';
 import { calculateIdleEarnings, calculateIdleEarningsWithData } from '../game/idle.js';
 import { createErrorEmbed, COLORS } from '../utils/embeds.js';
+import { formatMorale, getMoraleMultiplier } from '../game/morale.js';
 import { formatNumber } from '../utils/format.js';
 
 // Constants
@@ -50,10 +51,12 @@ function formatRate(perHour) {
 
 /**
  * Build the watch embed
+ * Rates are shown at the current morale
  */
-function buildWatchEmbed(guildName, bankedGold, bankedXp, uncollectedGold, uncollectedXp, deltaGold, deltaXp, goldPerHour, xpPerHour, adventurerCount, elapsedMs, collectionDetected) {
+function buildWatchEmbed(guildName, bankedGold, bankedXp, uncollectedGold, uncollectedXp, deltaGold, deltaXp, goldPerHour, xpPerHour, adventurerCount, elapsedMs, collectionDetected, morale) {
   const totalGold = bankedGold + uncollectedGold;
   const totalXp = bankedXp + uncollectedXp;
+  const moraleMultiplier = getMoraleMultiplier(morale);
   
   const embed = new EmbedBuilder()
     .setColor(COLORS.PRIMARY)
@@ -81,9 +84,10 @@ function buildWatchEmbed(guildName, bankedGold, bankedXp, uncollectedGold, uncol
       {
         name: 'Rate',
         value: [
-          `Gold: **${formatRate(goldPerHour)}**`,
-          `XP: **${formatRate(xpPerHour)}**`,
+          `Gold: **${formatRate(goldPerHour * moraleMultiplier)}**`,
+          `XP: **${formatRate(xpPerHour * moraleMultiplier)}**`,
           `Adventurers: **${formatNumber(adventurerCount)}**`,
+          `Morale: **${formatMorale(morale)}** (x${moraleMultiplier.toFixed(2)})`,
         ].join('\n'),
         inline: true,
       }
@@ -145,7 +149,7 @@ export async function execute(interaction) {
   }
   
   // Get guild data with upgrades (combined query)
-  const { guild, upgrades, prestigeUpgrades } = await getGuildWithData(userId);
+  const { guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment } = await repos.guilds.getGuildWithData(userId);
   if (!guild) {
     return interaction.reply({
       embeds: [createErrorEmbed('You don\'t have a guild yet! Use `/start` to found one.')],
@@ -154,7 +158,7 @@ export async function execute(interaction) {
   }
   
   // Calculate initial idle earnings using pre-loaded data
-  const initialEarnings = calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades);
+  const initialEarnings = calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment);
   
   // Store baseline values
   const baseline = {
@@ -177,7 +181,8 @@ export async function execute(interaction) {
     initialEarnings.rates.xpPerHour,
     guild.adventurer_count,
     0, // elapsed time
-    false // collection detected
+    false, // collection detected
+    initialEarnings.morale
   );
   
   const row = buildStopButton(userId);
@@ -206,7 +211,7 @@ export async function execute(interaction) {
         stopWatcher(userId);
         
         // Final update
-        const finalGuild = await getGuildByDiscordId(userId);
+        const finalGuild = await repos.guilds.getGuildByDiscordId(userId);
         if (!finalGuild) return;
         
         const finalEarnings = await calculateIdleEarnings(finalGuild);
@@ -227,7 +232,8 @@ export async function execute(interaction) {
           finalEarnings.rates.xpPerHour,
           finalGuild.adventurer_count,
           elapsedMs,
-          false
+          false,
+          finalEarnings.morale
         );
         finalEmbed.setTitle(`WATCH ENDED - ${finalGuild.name}`);
         finalEmbed.setColor(COLORS.WARNING);
@@ -248,14 +254,14 @@ export async function execute(interaction) {
       }
       
       // Get current guild data with upgrades (combined query for better performance)
-      const currentData = await getGuildWithData(userId);
+      const currentData = await repos.guilds.getGuildWithData(userId);
       const currentGuild = currentData.guild;
       if (!currentGuild) {
         stopWatcher(userId);
         return;
       }
       
-      const currentEarnings = calculateIdleEarningsWithData(currentGuild, currentData.upgrades, currentData.prestigeUpgrades);
+      const currentEarnings = calculateIdleEarningsWithData(currentGuild, currentData.upgrades, currentData.prestigeUpgrades, currentData.achievements, currentData.allianceBuffs, currentData.equipment);
       const currentUncollectedGold = currentEarnings.goldEarned;
       const currentUncollectedXp = currentEarnings.xpEarned;
       const currentBankedGold = Number(currentGuild.gold);
@@ -291,7 +297,8 @@ export async function execute(interaction) {
         currentEarnings.rates.xpPerHour,
         currentGuild.adventurer_count,
         elapsedMs,
-        collectionDetected
+        collectionDetected,
+        currentEarnings.morale
       );
       
       // Clear collection detected flag after showing it once
@@ -403,7 +410,7 @@ export async function handleStopButton(interaction) {
   stopWatcher(targetUserId);
   
   // Get final guild data with upgrades (combined query)
-  const { guild, upgrades, prestigeUpgrades } = await getGuildWithData(targetUserId);
+  const { guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment } = await repos.guilds.getGuildWithData(targetUserId);
   if (!guild) {
     return interaction.update({
       embeds: [createErrorEmbed('Guild not found.')],
@@ -411,7 +418,7 @@ export async function handleStopButton(interaction) {
     });
   }
   
-  const finalEarnings = calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades);
+  const finalEarnings = calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment);
   const elapsedMs = Date.now() - watcher.startTime;
   
   const finalUncollectedGold = finalEarnings.goldEarned;
@@ -431,7 +438,8 @@ export async function handleStopButton(interaction) {
     finalEarnings.rates.xpPerHour,
     guild.adventurer_count,
     elapsedMs,
-    false
+    false,
+    finalEarnings.morale
   );
   finalEmbed.setTitle(`WATCH STOPPED - ${guild.name}`);
   finalEmbed.setColor(COLORS.WARNING);
@@ -40,6 +40,367 @@ export const PRESTIGE = {
   RECRUIT_BONUS_PER_LEVEL: 0.08,  // +8% recruitment rate per prestige (compounds)
 };
 
+// Daily Reward Constants
+export const DAILY = {
+  COOLDOWN_HOURS: 20,             // Claimable 20h after the last claim (lets players drift earlier)
+  STREAK_GRACE_HOURS: 48,         // Streak survives if the next claim is within 48h of the last
+  REWARD_HOURS: 2,                // Base reward = 2 hours of current idle income
+  BASE_GOLD: 100,                 // Flat gold (x rank multiplier) so new guilds still get something
+  BASE_XP: 50,                    // Flat XP (x rank multiplier)
+  STREAK_BONUS_PER_DAY: 0.1,      // +10% per consecutive day after the first
+  MAX_STREAK_BONUS: 1.0,          // Capped at +100% (day 11 onwards)
+  MILESTONE_DAYS: 7,              // Every 7th day in a row is a milestone...
+  MILESTONE_MULTIPLIER: 2,        // ...and pays double
+};
+
+// Quest Constants
+export const QUEST = {
+  // Expedition lengths (/quest start duration:<key>)
+  DURATIONS: {
+    '1h':  { label: '1 hour',   hours: 1 },
+    '4h':  { label: '4 hours',  hours: 4 },
+    '12h': { label: '12 hours', hours: 12 },
+  },
+
+  // Risk tiers - loot is a multiple of what the party would have earned idling
+  RISKS: {
+    safe:     { label: 'Safe',     emoji: '🟢', rewardMultiplier: 1.1, injuryRate: 0.05 },
+    risky:    { label: 'Risky',    emoji: '🟡', rewardMultiplier: 1.4, injuryRate: 0.15 },
+    perilous: { label: 'Perilous', emoji: '🔴', rewardMultiplier: 1.8, injuryRate: 0.30 },
+  },
+
+  REWARD_VARIANCE: 0.25,          // Loot rolls between 75% and 125% of the expected amount
+  INJURY_RECOVERY_PER_HOUR: 1,    // Injured adventurers rest 1 hour per quest hour
+};
+
+// Alliance configuration
+export const ALLIANCE = {
+  CREATE_COST: 25000,             // Gold to found an alliance
+  MAX_MEMBERS: 20,
+  MIN_DONATION: 100,
+  INVITE_EXPIRY_HOURS: 48,
+  NAME_MAX_LENGTH: 32,
+
+  // Roles in order of authority
+  ROLES: {
+    leader:  { label: 'Leader',  emoji: '👑', rank: 3 },
+    officer: { label: 'Officer', emoji: '🛡️', rank: 2 },
+    member:  { label: 'Member',  emoji: '⚔️', rank: 1 },
+  },
+
+  // Treasury buffs - each level multiplies every member's idle gold/XP rates
+  // Cost of the next level = baseCost * costMultiplier^currentLevel
+  BUFFS: {
+    gilded_banners: { label: 'Gilded Banners', emoji: '💰', effect: 'gold', valuePerLevel: 0.02, maxLevel: 10, baseCost: 50000, costMultiplier: 1.8 },
+    war_college:    { label: 'War College',    emoji: '📚', effect: 'xp',   valuePerLevel: 0.02, maxLevel: 10, baseCost: 50000, costMultiplier: 1.8 },
+    grand_charter:  { label: 'Grand Charter',  emoji: '📜', effect: 'all',  valuePerLevel: 0.01, maxLevel: 5,  baseCost: 250000, costMultiplier: 2.5 },
+  },
+};
+
+// Alliance war configuration
+export const WAR = {
+  DECLARE_COST: 10000,            // Treasury gold the declaring alliance pays
+  PREP_HOURS: 1,                  // Time between declaring and the war opening
+  DURATION_HOURS: 24,             // Attack window once the war is open
+  ATTACKS_PER_MEMBER: 3,          // Attacks each member gets per war
+
+  WIN_POINTS: 2,                  // War score for a winning attack
+  UPSET_BONUS_POINTS: 1,          // Extra score for beating a stronger opponent
+
+  // The winner takes this from the loser's treasury (as much as it holds) - no new gold is made,
+  // so alliances can't farm treasury gold by declaring wars on each other back to back
+  PAYOUT_BASE: 20000,             // Spoils taken from the losing alliance...
+  PAYOUT_PER_POINT: 1000,         // ...plus this much per point of the winner's war score
+};
+
+// Player trading configuration
+export const TRADE = {
+  MIN_LEVEL: 5,                   // Guild level needed to send gold
+  MIN_AMOUNT: 100,
+  OFFER_TIMEOUT_MS: 60 * 1000,    // Offers expire (and the gold is returned) after 60 seconds
+
+  // Gold a guild can send - and receive - in any 24 hours: base + perLevel * guild level
+  DAILY_LIMIT_BASE: 5000,
+  DAILY_LIMIT_PER_LEVEL: 1000,
+
+  HISTORY_LIMIT: 10,
+};
+
+// Adventurer market configuration
+export const MARKET = {
+  MIN_LEVEL: 5,                   // Guild level needed to list or buy
+  LISTING_HOURS: 24,              // Unsold listings expire and the adventurers go home
+  MAX_ACTIVE_LISTINGS: 3,         // Per seller
+  MAX_QUANTITY: 50,               // Adventurers per listing
+
+  // Asking price per adventurer - sales also count against both sides' /trade daily allowance
+  MIN_PRICE_PER_ADVENTURER: 100,
+  MAX_PRICE_PER_ADVENTURER: 25000,
+
+  // Gold sinks
+  LISTING_FEE_RATE: 0.02,         // 2% of the asking price, paid up front and not refunded
+  MIN_LISTING_FEE: 50,
+  SALE_TAX_RATE: 0.10,            // 10% of the sale price is taken from the seller's proceeds
+
+  BROWSE_LIMIT: 10,
+};
+
+// Equipment item configuration
+export const ITEMS = {
+  // One item can be equipped per slot
+  SLOTS: {
+    weapon:  { label: 'Weapon',  emoji: '⚔️' },
+    armor:   { label: 'Armor',   emoji: '🛡️' },
+    trinket: { label: 'Trinket', emoji: '💍' },
+  },
+
+  // Drop weights decide how often each rarity is rolled; salvageGold is paid for scrapping one
+  RARITIES: {
+    common:    { label: 'Common',    emoji: '⚪', weight: 60, salvageGold: 100 },
+    uncommon:  { label: 'Uncommon',  emoji: '🟢', weight: 25, salvageGold: 500 },
+    rare:      { label: 'Rare',      emoji: '🔵', weight: 10, salvageGold: 2500 },
+    epic:      { label: 'Epic',      emoji: '🟣', weight: 4,  salvageGold: 10000 },
+    legendary: { label: 'Legendary', emoji: '🟠', weight: 1,  salvageGold: 50000 },
+  },
+
+  // Chance of a drop per roll
+  DROP_CHANCES: {
+    collect: 0.10,                // One roll per /collect of at least COLLECT_MIN_HOURS
+    grind: 0.15,                  // One roll per GRIND_CLICKS_PER_ROLL clicks
+    battle: 0.25,                 // One roll for the winner of each battle
+    raid: 1,                      // One roll for the top damage dealer on a defeated world boss
+  },
+  COLLECT_MIN_HOURS: 1,
+  GRIND_CLICKS_PER_ROLL: 50,
+
+  INVENTORY_LIMIT: 50,            // Drops beyond this are salvaged automatically
+};
+
+// Crafting configuration
+export const CRAFTING = {
+  // Gathered on /collect and /grind - each material's yield grows with the guild's upgrades in its category
+  MATERIALS: {
+    herbs:       { label: 'Herbs',       emoji: '🌿', perHour: 3, category: 'missions' },
+    ore:         { label: 'Ore',         emoji: '⛏️', perHour: 2, category: 'missions' },
+    arcane_dust: { label: 'Arcane Dust', emoji: '✨', perHour: 1, category: 'magic' },
+  },
+  YIELD_PER_UPGRADE_LEVEL: 0.02,  // +2% yield per owned upgrade level in the material's category
+  GRIND_CLICKS_PER_HOUR: 90,      // Clicks worth an hour of gathering (same as grind gold)
+};
+
+// Morale configuration
+export const MORALE = {
+  MAX: 100,
+  MIN: 25,
+  GRACE_HOURS: 2,                 // Morale holds for 2 hours before it starts to slip
+  DECAY_PER_HOUR: 5,              // Then drops 5 points an hour (100 -> 25 in 15 hours)
+  MIN_EFFICIENCY: 0.6,            // Gold/XP multiplier at 0 morale - 100 morale produces at full rate
+
+  // Ways to lift it back up
+  COLLECT_RESTORE: 100,           // /collect fully restores morale
+  GRIND_RESTORE_PER_CLICK: 0.5,   // 40 grind clicks = +20 morale
+  FACILITIES_RESTORE_PER_LEVEL: 10, // Per facilities upgrade level bought
+};
+
+// Grind session configuration (/grind)
+export const GRIND = {
+  // 'memory' keeps sessions in the bot process; 'postgres' shares them between shards and keeps unflushed clicks through a crash
+  SESSION_STORE: process.env.GRIND_SESSION_STORE || 'memory',
+  SESSION_MINUTES: 15,            // Matches the lifetime of the interaction token
+  FLUSH_DELAY_MS: 3000,           // Clicks are written to the guild once the player pauses this long
+  RATE_WINDOW_MS: 1000,           // Click rate limit window
+  MAX_CLICKS_PER_WINDOW: 6,       // Clicks counted per window - anything faster is ignored
+
+  // Click cadence checks - the gaps between a session's recent presses are compared against how people click
+  CADENCE_SAMPLES: 20,            // Recent click intervals kept per session
+  MIN_CADENCE_SAMPLES: 10,        // Intervals needed before a session is judged
+  MIN_INTERVAL_VARIATION: 0.08,   // People's click gaps vary by more than this (std dev / mean) - steadier looks scripted
+  HUMAN_CLICKS_PER_SECOND: 4,     // Sustained rate above this pays diminishing returns
+  MIN_CLICK_WEIGHT: 0.25,         // Floor on what a click is worth at any rate
+  SUSPICIOUS_CLICKS_PER_SECOND: 10, // Presses (throttled or not) sustained above this look automated
+  CHALLENGE_COOLDOWN_MINUTES: 3,  // Minimum gap between button shuffle challenges in one session
+  CHALLENGE_CHOICES: ['⚒️', '🪓', '⛏️', '🔨'], // Buttons shuffled into the challenge row
+  REPORT_DAYS: 7,                 // How far back the flagged guild report looks by default
+};
+
+// Named adventurer (roster) configuration
+export const ROSTER = {
+  // Only the first MAX_NAMED adventurers get a name - the rest of adventurer_count are anonymous recruits
+  MAX_NAMED: 25,
+  MAX_LEVEL: 20,
+  PAGE_SIZE: 10,
+
+  // Bonuses per adventurer level - gold is added to the idle gold multiplier, power to battle power
+  CLASSES: {
+    warrior: { label: 'Warrior', emoji: '⚔️', goldPerLevel: 0,     powerPerLevel: 0.5 },
+    mage:    { label: 'Mage',    emoji: '🔮', goldPerLevel: 0.001, powerPerLevel: 0.3 },
+    rogue:   { label: 'Rogue',   emoji: '🗡️', goldPerLevel: 0.003, powerPerLevel: 0.1 },
+    cleric:  { label: 'Cleric',  emoji: '🕯️', goldPerLevel: 0.002, powerPerLevel: 0.2 },
+  },
+  BALANCED_PARTY_GOLD_BONUS: 0.05, // +5% gold with at least one of every class
+
+  // Multipliers on an adventurer's own gold, power and XP gain
+  TRAITS: {
+    brave:    { label: 'Brave',    description: '+50% battle power',        gold: 1,    power: 1.5,  xp: 1 },
+    greedy:   { label: 'Greedy',   description: '+50% gold, -25% power',    gold: 1.5,  power: 0.75, xp: 1 },
+    lucky:    { label: 'Lucky',    description: '+25% gold',                gold: 1.25, power: 1,    xp: 1 },
+    stalwart: { label: 'Stalwart', description: '+25% battle power',        gold: 1,    power: 1.25, xp: 1 },
+    studious: { label: 'Studious', description: '+50% XP',                  gold: 1,    power: 1,    xp: 1.5 },
+    lazy:     { label: 'Lazy',     description: '-50% XP',                  gold: 1,    power: 1,    xp: 0.5 },
+  },
+
+  // Adventurers earn XP while the guild idles; promoting spends it plus gold
+  XP_PER_HOUR: 10,
+  PROMOTE_XP_PER_LEVEL: 50,        // XP needed = 50 * current level
+  PROMOTE_GOLD_PER_LEVEL: 500,     // Gold cost = 500 * current level^2
+
+  FIRST_NAMES: [
+    'Aldric', 'Brenna', 'Cedric', 'Dagna', 'Edric', 'Freya', 'Gareth', 'Hilde',
+    'Ivor', 'Jorunn', 'Kael', 'Lysa', 'Magnus', 'Nessa', 'Osric', 'Perrin',
+    'Quinn', 'Rowena', 'Sigrid', 'Tobin', 'Ulric', 'Vanya', 'Wren', 'Yrsa',
+  ],
+  LAST_NAMES: [
+    'Ashford', 'Blackwood', 'Copperkettle', 'Dunmore', 'Emberfall', 'Fairwind',
+    'Greymane', 'Hollowell', 'Ironside', 'Kestrel', 'Longstride', 'Marsh',
+    'Nightingale', 'Oakheart', 'Stormrider', 'Thorne',
+  ],
+};
+
+// World boss (raid) configuration
+export const RAID = {
+  SPAWN_INTERVAL_HOURS: 12,       // Quiet time between one boss leaving and the next appearing
+  DURATION_HOURS: 6,              // A boss escapes if it isn't killed in time
+  ATTACK_COOLDOWN_MINUTES: 30,    // Time between a guild's attacks on the same boss
+
+  // Boss HP scales with how many guilds collected recently, so it takes the server working together
+  MIN_HP: 5000,
+  HP_PER_ACTIVE_GUILD: 1500,
+  ACTIVE_GUILD_HOURS: 24,
+
+  DAMAGE_PER_POWER: 10,           // An attack deals power * this...
+  DAMAGE_VARIANCE: 0.2,           // ...give or take 20%
+
+  BOSSES: {
+    dragon:   { name: 'Ashmaw the Elder Dragon', emoji: '🐉', hpMultiplier: 1.5, rewardMultiplier: 1.5 },
+    lich:     { name: 'The Hollow King',         emoji: '💀', hpMultiplier: 1.2, rewardMultiplier: 1.2 },
+    kraken:   { name: 'Kraken of the Deep Mere', emoji: '🐙', hpMultiplier: 1,   rewardMultiplier: 1 },
+    colossus: { name: 'Ironbound Colossus',      emoji: '🗿', hpMultiplier: 0.8, rewardMultiplier: 0.8 },
+  },
+
+  // Contributors earn the best tier their share of the damage reaches (scaled by the boss's rewardMultiplier)
+  REWARD_TIERS: [
+    { key: 'champion', label: 'Champion', emoji: '🥇', minShare: 0.10, gold: 20000, xp: 5000 },
+    { key: 'veteran',  label: 'Veteran',  emoji: '🥈', minShare: 0.03, gold: 8000,  xp: 2000 },
+    { key: 'raider',   label: 'Raider',   emoji: '🥉', minShare: 0,    gold: 2000,  xp: 500 },
+  ],
+  ESCAPED_REWARD_MULTIPLIER: 0.25, // Rewards if the boss escapes instead of dying
+
+  LIVE_UPDATE_INTERVAL_MS: 15 * 1000,
+  LIVE_UPDATE_DURATION_MS: 14 * 60 * 1000, // Stop before the 15-minute interaction token expires
+};
+
+// Seasonal ladder configuration
+export const SEASON = {
+  LENGTH_DAYS: 28,                // A new season starts as soon as the last one is closed
+  STANDINGS_SHOWN: 10,
+
+  // Guilds are ranked separately on each ladder; placing on both pays both rewards
+  CATEGORIES: {
+    gold:    { field: 'gold_earned', label: 'Gold Earned', emoji: '💰' },
+    battles: { field: 'battles_won', label: 'Battles Won', emoji: '⚔️' },
+  },
+
+  // Each guild earns the best tier its rank reaches on a ladder
+  REWARD_TIERS: [
+    { key: 'champion', label: 'Champion', emoji: '🥇', maxRank: 1,  gold: 100000, xp: 25000 },
+    { key: 'podium',   label: 'Podium',   emoji: '🥈', maxRank: 3,  gold: 50000,  xp: 12000 },
+    { key: 'top10',    label: 'Top 10',   emoji: '🏅', maxRank: 10, gold: 15000,  xp: 4000 },
+  ],
+};
+
+// Battle rating (ELO) configuration
+export const RATING = {
+  STARTING: 1000,
+  K_FACTOR: 32,                   // Most a single battle can move a rating
+  FLOOR: 100,                     // Ratings never drop below this
+
+  // Badges by rating - each tier starts at its min
+  TIERS: [
+    { name: 'Legend',    min: 1600, emoji: '🏆' },
+    { name: 'Warlord',   min: 1400, emoji: '⚜️' },
+    { name: 'Gladiator', min: 1250, emoji: '🛡️' },
+    { name: 'Duelist',   min: 1100, emoji: '🎖️' },
+    { name: 'Recruit',   min: 0,    emoji: '🔰' },
+  ],
+
+  // Ranked matchmaking (/battle random:true ranked:true)
+  RANKED_BANDS: [100, 250, 500],  // Rating gap searched, widening until an opponent turns up...
+  RANKED_MAX_POWER_RATIO: 2,      // ...who is also within 2x power either way
+  RANKED_CANDIDATES: 10,          // Guilds sampled per band
+};
+
+// Combat log configuration - every battle is fought out over a few rounds
+export const COMBAT = {
+  MIN_ROUNDS: 3,
+  MAX_ROUNDS: 5,
+  LINE_HP: 100,                   // Each side's battle line - the loser's breaks in the last round
+  LOSER_DAMAGE_MIN: 0.3,          // The loser still knocks 30-90% off the winner's line
+  LOSER_DAMAGE_MAX: 0.9,
+  CRIT_CHANCE: 0.15,              // Chance a side's hit in a round is a critical...
+  CRIT_MULTIPLIER: 2,             // ...hitting twice as hard
+  KNOCKOUT_SHARE: 0.3,            // A broken line means 30% of that side's adventurers knocked out (for the story only)
+};
+
+// Defense configuration (/defense)
+export const DEFENSE = {
+  // Built in order, each adding to the ones before it - defense is win chance taken off attackers
+  FORTIFICATIONS: [
+    { name: 'Palisade',    emoji: '🪵', cost: 5000,    requiredLevel: 5,  defense: 1 },
+    { name: 'Watchtower',  emoji: '🗼', cost: 25000,   requiredLevel: 10, defense: 1.5 },
+    { name: 'Stone Walls', emoji: '🧱', cost: 100000,  requiredLevel: 20, defense: 2 },
+    { name: 'Moat',        emoji: '🌊', cost: 400000,  requiredLevel: 30, defense: 2.5 },
+    { name: 'Citadel',     emoji: '🏰', cost: 1500000, requiredLevel: 40, defense: 3 },
+  ],
+
+  // Guards stay home instead of producing idle income
+  MAX_GUARD_SHARE: 0.5,           // At most half the guild's adventurers can stand guard...
+  MAX_GUARD_DEFENSE: 5,           // ...which is worth the full 5 points (a quarter of them is worth 2.5)
+
+  MIN_WIN_CHANCE: 25,             // Defense can push attackers below the usual 35% floor, but not below this
+};
+
+// Tournament configuration (/tournament)
+export const TOURNAMENT = {
+  FORMATS: {
+    single: { label: 'Single Elimination', emoji: '🏆' },
+    swiss:  { label: 'Swiss',              emoji: '♟️' },
+  },
+  MIN_ENTRANTS: 4,
+  MAX_ENTRANTS: 16,
+  MAX_ENTRY_FEE: 1000000,
+  NAME_MAX_LENGTH: 48,
+
+  OPEN_HOURS: 24,                 // Tournaments the host hasn't started by then are cancelled and refunded
+  ROUND_INTERVAL_MINUTES: 10,     // Time between rounds once it starts
+
+  PRIZE_SPLIT: [0.6, 0.3, 0.1],   // Share of the entry fee pool for 1st, 2nd and 3rd
+  HISTORY_LIMIT: 5,
+};
+
+// Bounty board configuration (/bounty)
+// Posting needs TRADE.MIN_LEVEL, and bounties count against the /trade daily allowance -
+// the amount as sent by the poster, and as received by whoever claims it
+export const BOUNTY = {
+  MIN_AMOUNT: 500,
+  MAX_AMOUNT: 1000000,
+  POSTING_FEE_RATE: 0.05,         // Taken on top of the amount when posting - never refunded
+  MIN_POSTING_FEE: 50,
+  DURATION_HOURS: 48,             // Unclaimed bounties are refunded to the poster after this
+  MAX_PER_TARGET: 5,              // Open bounties on one guild at a time
+  MAX_PER_POSTER: 3,              // Open bounties one guild can have posted at a time
+  LIST_LIMIT: 10,                 // Targets shown on /bounty list
+};
+
 // Adventurer Ranks - unlock at certain guild levels
 export const RANKS = [
   { name: 'Bronze',   level: 1,   multiplier: 1.0,  emoji: '🥉' },
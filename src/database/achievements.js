@@ -0,0 +1,62 @@
+import { sql } from './connection.js';
+
+/**
+ * Get all achievement definitions
+ * @returns {Promise<Array>} All achievements
+ */
+export async function getAllAchievements() {
+  const result = await sql`SELECT * FROM achievements ORDER BY category, threshold, id`;
+  return result;
+}
+
+/**
+ * Get the achievements a guild has unlocked, joined with their definitions
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Array>} Unlocked achievements with unlocked_at
+ */
+export async function getGuildAchievements(guildId) {
+  const result = await sql`
+    SELECT a.*, ga.unlocked_at
+    FROM guild_achievements ga
+    JOIN achievements a ON ga.achievement_id = a.id
+    WHERE ga.guild_id = ${guildId}
+    ORDER BY ga.unlocked_at
+  `;
+  return result;
+}
+
+/**
+ * Unlock achievements for a guild
+ * Already-unlocked achievements are skipped, so concurrent checks can't grant a reward twice
+ * The guild's title is set to the last titled achievement that was newly unlocked
+ * @param {number} guildId - Guild ID
+ * @param {number[]} achievementIds - Achievements to unlock
+ * @returns {Promise<Array>} Achievements that were newly unlocked (with definitions)
+ */
+export async function unlockAchievements(guildId, achievementIds) {
+  if (!achievementIds || achievementIds.length === 0) return [];
+
+  return await sql.begin(async (tx) => {
+    const inserted = await tx`
+      INSERT INTO guild_achievements ${tx(achievementIds.map(id => ({ guild_id: guildId, achievement_id: id })))}
+      ON CONFLICT (guild_id, achievement_id) DO NOTHING
+      RETURNING achievement_id, unlocked_at
+    `;
+    if (inserted.length === 0) return [];
+
+    const unlocked = await tx`
+      SELECT a.*, ga.unlocked_at
+      FROM guild_achievements ga
+      JOIN achievements a ON ga.achievement_id = a.id
+      WHERE ga.guild_id = ${guildId} AND ga.achievement_id IN ${tx(inserted.map(row => row.achievement_id))}
+      ORDER BY a.threshold
+    `;
+
+    const titled = unlocked.filter(a => a.title).at(-1);
+    if (titled) {
+      await tx`UPDATE guilds SET title = ${titled.title} WHERE id = ${guildId}`;
+    }
+
+    return unlocked;
+  });
+}
@@ -0,0 +1,455 @@
+import { sql } from './connection.js';
+import { ALLIANCE } from '../config.js';
+
+/**
+ * Get an alliance by ID
+ * @param {number} id - Alliance ID
+ * @returns {Promise<Object|null>} Alliance with member_count
+ */
+export async function getAllianceById(id) {
+  const [alliance] = await sql`
+    SELECT a.*, (SELECT COUNT(*)::int FROM guilds g WHERE g.alliance_id = a.id) AS member_count
+    FROM alliances a
+    WHERE a.id = ${id}
+  `;
+  return alliance || null;
+}
+
+/**
+ * Get an alliance by name (case-insensitive)
+ * @param {string} name - Alliance name
+ * @returns {Promise<Object|null>} Alliance with member_count
+ */
+export async function getAllianceByName(name) {
+  const [alliance] = await sql`
+    SELECT a.*, (SELECT COUNT(*)::int FROM guilds g WHERE g.alliance_id = a.id) AS member_count
+    FROM alliances a
+    WHERE LOWER(a.name) = LOWER(${name.trim()})
+  `;
+  return alliance || null;
+}
+
+/**
+ * Get an alliance's members, highest role first, then by join date
+ * @param {number} allianceId - Alliance ID
+ * @returns {Promise<Array>} Member guilds
+ */
+export async function getAllianceMembers(allianceId) {
+  return await sql`
+    SELECT id, discord_id, name, level, prestige_level, lifetime_gold_earned,
+           alliance_role, alliance_joined_at, lifetime_alliance_donations
+    FROM guilds
+    WHERE alliance_id = ${allianceId}
+    ORDER BY CASE alliance_role WHEN 'leader' THEN 0 WHEN 'officer' THEN 1 ELSE 2 END,
+             alliance_joined_at
+  `;
+}
+
+/**
+ * Get the treasury buffs an alliance has bought
+ * @param {number} allianceId - Alliance ID
+ * @returns {Promise<Array>} Buffs ({ buff_key, level })
+ */
+export async function getAllianceBuffs(allianceId) {
+  return await sql`
+    SELECT buff_key, level FROM alliance_buffs
+    WHERE alliance_id = ${allianceId} AND level > 0
+    ORDER BY buff_key
+  `;
+}
+
+/**
+ * Found an alliance - the founder pays the creation cost and becomes its leader
+ * @param {number} guildId - Founding guild ID
+ * @param {string} name - Alliance name
+ * @param {number} cost - Gold cost
+ * @returns {Promise<Object>} { success, alliance } or { success: false, error }
+ */
+export async function createAlliance(guildId, name, cost) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [guild] = await tx`SELECT * FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+      if (!guild) {
+        throw new Error('Guild not found');
+      }
+      if (guild.alliance_id) {
+        throw new Error('You are already in an alliance. Leave it first.');
+      }
+      if (guild.gold < cost) {
+        throw new Error('Not enough gold');
+      }
+
+      const [existing] = await tx`SELECT id FROM alliances WHERE LOWER(name) = LOWER(${name})`;
+      if (existing) {
+        throw new Error('An alliance with that name already exists');
+      }
+
+      const [alliance] = await tx`INSERT INTO alliances (name) VALUES (${name}) RETURNING *`;
+
+      await tx`
+        UPDATE guilds
+        SET gold = gold - ${cost},
+            lifetime_gold_spent = lifetime_gold_spent + ${cost},
+            alliance_id = ${alliance.id},
+            alliance_role = 'leader',
+            alliance_joined_at = NOW()
+        WHERE id = ${guildId}
+      `;
+      await tx`DELETE FROM alliance_invites WHERE guild_id = ${guildId}`;
+
+      return { success: true, alliance: { ...alliance, member_count: 1 } };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Invite a guild to an alliance (re-inviting refreshes the invite)
+ * @param {number} allianceId - Alliance ID
+ * @param {number} guildId - Invited guild ID
+ * @param {number} invitedBy - Inviting guild ID
+ * @returns {Promise<Object>} The invite
+ */
+export async function createInvite(allianceId, guildId, invitedBy) {
+  const [invite] = await sql`
+    INSERT INTO alliance_invites (alliance_id, guild_id, invited_by)
+    VALUES (${allianceId}, ${guildId}, ${invitedBy})
+    ON CONFLICT (alliance_id, guild_id)
+    DO UPDATE SET invited_by = EXCLUDED.invited_by, created_at = NOW()
+    RETURNING *
+  `;
+  return invite;
+}
+
+/**
+ * Get the alliances that have an open (unexpired) invite for a guild
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Array>} Invites with alliance_name
+ */
+export async function getGuildInvites(guildId) {
+  return await sql`
+    SELECT ai.*, a.name AS alliance_name
+    FROM alliance_invites ai
+    JOIN alliances a ON ai.alliance_id = a.id
+    WHERE ai.guild_id = ${guildId}
+      AND ai.created_at > NOW() - make_interval(hours => ${ALLIANCE.INVITE_EXPIRY_HOURS})
+    ORDER BY ai.created_at DESC
+  `;
+}
+
+/**
+ * Join an alliance using an open invite
+ * Locks the alliance row so two joins can't push it past the member cap
+ * @param {number} allianceId - Alliance ID
+ * @param {number} guildId - Joining guild ID
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function acceptInvite(allianceId, guildId) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [alliance] = await tx`SELECT * FROM alliances WHERE id = ${allianceId} FOR UPDATE`;
+      if (!alliance) {
+        throw new Error('That alliance no longer exists');
+      }
+
+      const [invite] = await tx`
+        SELECT * FROM alliance_invites
+        WHERE alliance_id = ${allianceId} AND guild_id = ${guildId}
+          AND created_at > NOW() - make_interval(hours => ${ALLIANCE.INVITE_EXPIRY_HOURS})
+      `;
+      if (!invite) {
+        throw new Error('You don\'t have an invite to that alliance (or it expired)');
+      }
+
+      const [guild] = await tx`SELECT alliance_id FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+      if (guild.alliance_id) {
+        throw new Error('You are already in an alliance. Leave it first.');
+      }
+
+      const [{ count }] = await tx`SELECT COUNT(*)::int AS count FROM guilds WHERE alliance_id = ${allianceId}`;
+      if (count >= ALLIANCE.MAX_MEMBERS) {
+        throw new Error(`That alliance is full (${ALLIANCE.MAX_MEMBERS} members)`);
+      }
+
+      await tx`
+        UPDATE guilds
+        SET alliance_id = ${allianceId}, alliance_role = 'member', alliance_joined_at = NOW()
+        WHERE id = ${guildId}
+      `;
+      await tx`DELETE FROM alliance_invites WHERE guild_id = ${guildId}`;
+
+      return { success: true, alliance };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Leave an alliance
+ * A departing leader hands over to the longest-serving officer (or member);
+ * the last member leaving disbands the alliance and its treasury
+ * @param {number} guildId - Leaving guild ID
+ * @returns {Promise<Object>} { success, disbanded, newLeaderId } or { success: false, error }
+ */
+export async function leaveAlliance(guildId) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [guild] = await tx`SELECT * FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+      if (!guild?.alliance_id) {
+        throw new Error('You are not in an alliance');
+      }
+      const allianceId = guild.alliance_id;
+
+      await tx`SELECT id FROM alliances WHERE id = ${allianceId} FOR UPDATE`;
+      await tx`
+        UPDATE guilds
+        SET alliance_id = NULL, alliance_role = NULL, alliance_joined_at = NULL
+        WHERE id = ${guildId}
+      `;
+
+      const [successor] = await tx`
+        SELECT id FROM guilds
+        WHERE alliance_id = ${allianceId}
+        ORDER BY CASE alliance_role WHEN 'leader' THEN 0 WHEN 'officer' THEN 1 ELSE 2 END,
+                 alliance_joined_at
+        LIMIT 1
+      `;
+
+      if (!successor) {
+        await tx`DELETE FROM alliances WHERE id = ${allianceId}`;
+        return { success: true, disbanded: true, newLeaderId: null };
+      }
+
+      let newLeaderId = null;
+      if (guild.alliance_role === 'leader') {
+        await tx`UPDATE guilds SET alliance_role = 'leader' WHERE id = ${successor.id}`;
+        newLeaderId = successor.id;
+      }
+
+      return { success: true, disbanded: false, newLeaderId };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Remove a member from an alliance (kick)
+ * @param {number} allianceId - Alliance ID
+ * @param {number} guildId - Guild being removed
+ * @returns {Promise<boolean>} Whether the guild was a member and was removed
+ */
+export async function removeMember(allianceId, guildId) {
+  const result = await sql`
+    UPDATE guilds
+    SET alliance_id = NULL, alliance_role = NULL, alliance_joined_at = NULL
+    WHERE id = ${guildId} AND alliance_id = ${allianceId} AND alliance_role <> 'leader'
+    RETURNING id
+  `;
+  return result.length > 0;
+}
+
+/**
+ * Change a member's role
+ * Passing leadership demotes the current leader to officer in the same transaction
+ * @param {number} allianceId - Alliance ID
+ * @param {number} guildId - Member guild ID
+ * @param {string} role - New role (leader, officer or member)
+ * @returns {Promise<boolean>} Whether the member was found and updated
+ */
+export async function setMemberRole(allianceId, guildId, role) {
+  return await sql.begin(async (tx) => {
+    if (role === 'leader') {
+      await tx`
+        UPDATE guilds SET alliance_role = 'officer'
+        WHERE alliance_id = ${allianceId} AND alliance_role = 'leader'
+      `;
+    }
+    const result = await tx`
+      UPDATE guilds SET alliance_role = ${role}
+      WHERE id = ${guildId} AND alliance_id = ${allianceId}
+      RETURNING id
+    `;
+    return result.length > 0;
+  });
+}
+
+/**
+ * Donate gold from a member into the alliance treasury
+ * @param {number} guildId - Donating guild ID
+ * @param {number} amount - Gold to donate
+ * @returns {Promise<Object>} { success, guild, alliance } or { success: false, error }
+ */
+export async function donateToTreasury(guildId, amount) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [guild] = await tx`SELECT * FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+      if (!guild?.alliance_id) {
+        throw new Error('You are not in an alliance');
+      }
+      if (guild.gold < amount) {
+        throw new Error('Not enough gold');
+      }
+
+      const [updatedGuild] = await tx`
+        UPDATE guilds
+        SET gold = gold - ${amount},
+            lifetime_alliance_donations = lifetime_alliance_donations + ${amount}
+        WHERE id = ${guildId}
+        RETURNING *
+      `;
+      const [alliance] = await tx`
+        UPDATE alliances
+        SET treasury = treasury + ${amount},
+            lifetime_donations = lifetime_donations + ${amount}
+        WHERE id = ${guild.alliance_id}
+        RETURNING *
+      `;
+
+      return { success: true, guild: updatedGuild, alliance };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Buy the next level of a treasury buff
+ * The expected level guards against two officers buying the same level at once
+ * @param {number} allianceId - Alliance ID
+ * @param {string} buffKey - Key of ALLIANCE.BUFFS
+ * @param {number} expectedLevel - Level the buyer saw before buying
+ * @param {number} cost - Treasury cost
+ * @returns {Promise<Object>} { success, level, alliance } or { success: false, error }
+ */
+export async function purchaseBuff(allianceId, buffKey, expectedLevel, cost) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [alliance] = await tx`SELECT * FROM alliances WHERE id = ${allianceId} FOR UPDATE`;
+      if (!alliance) {
+        throw new Error('Alliance not found');
+      }
+      if (alliance.treasury < cost) {
+        throw new Error('Not enough gold in the treasury');
+      }
+
+      const [buff] = await tx`
+        SELECT level FROM alliance_buffs WHERE alliance_id = ${allianceId} AND buff_key = ${buffKey}
+      `;
+      if ((buff?.level || 0) !== expectedLevel) {
+        throw new Error('That buff was just upgraded by someone else. Try again.');
+      }
+
+      await tx`
+        INSERT INTO alliance_buffs (alliance_id, buff_key, level)
+        VALUES (${allianceId}, ${buffKey}, 1)
+        ON CONFLICT (alliance_id, buff_key)
+        DO UPDATE SET level = alliance_buffs.level + 1
+      `;
+      const [updated] = await tx`
+        UPDATE alliances SET treasury = treasury - ${cost}
+        WHERE id = ${allianceId}
+        RETURNING *
+      `;
+
+      return { success: true, level: expectedLevel + 1, alliance: updated };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get the top alliances by combined member lifetime gold earned
+ * @param {number} limit - Number of alliances to return
+ * @param {string|null} serverId - Only alliances with a member seen in this Discord server (null for global)
+ * @returns {Promise<Array>} Alliances with total_gold_earned and member_count
+ */
+export async function getAllianceLeaderboard(limit = 10, serverId = null) {
+  if (serverId) {
+    return await sql`
+      SELECT a.id, a.name, COUNT(g.id)::int AS member_count,
+             COALESCE(SUM(g.lifetime_gold_earned), 0)::bigint AS total_gold_earned
+      FROM alliances a
+      JOIN guilds g ON g.alliance_id = a.id
+      GROUP BY a.id
+      HAVING BOOL_OR(g.id IN (SELECT guild_id FROM guild_servers WHERE server_id = ${serverId}))
+      ORDER BY total_gold_earned DESC, a.id
+      LIMIT ${limit}
+    `;
+  }
+
+  return await sql`
+    SELECT a.id, a.name, COUNT(g.id)::int AS member_count,
+           COALESCE(SUM(g.lifetime_gold_earned), 0)::bigint AS total_gold_earned
+    FROM alliances a
+    JOIN guilds g ON g.alliance_id = a.id
+    GROUP BY a.id
+    ORDER BY total_gold_earned DESC, a.id
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Get an alliance's rank on the alliance leaderboard
+ * @param {number} allianceId - Alliance ID
+ * @param {string|null} serverId - Rank among alliances with a member in this Discord server (null for global)
+ * @returns {Promise<{rank: number|null, total: number}>} Rank (null if unranked) and number of ranked alliances
+ */
+export async function getAllianceRank(allianceId, serverId = null) {
+  const serverFilter = serverId
+    ? 'HAVING BOOL_OR(g.id IN (SELECT guild_id FROM guild_servers WHERE server_id = $2))'
+    : '';
+  const params = serverId ? [allianceId, serverId] : [allianceId];
+
+  const [rankResult, totalResult] = await Promise.all([
+    sql.unsafe(
+      `SELECT rank FROM (
+         SELECT a.id, RANK() OVER (ORDER BY SUM(g.lifetime_gold_earned) DESC) AS rank
+         FROM alliances a
+         JOIN guilds g ON g.alliance_id = a.id
+         GROUP BY a.id
+         ${serverFilter}
+       ) ranked
+       WHERE id = $1`,
+      params
+    ),
+    getAllianceLeaderboardCount(serverId),
+  ]);
+
+  return { rank: rankResult[0] ? parseInt(rankResult[0].rank) : null, total: totalResult };
+}
+
+/**
+ * Count the alliances on the leaderboard (alliances with at least one member)
+ * @param {string|null} serverId - Only alliances with a member seen in this Discord server (null for global)
+ * @returns {Promise<number>}
+ */
+async function getAllianceLeaderboardCount(serverId = null) {
+  const [result] = serverId
+    ? await sql`
+        SELECT COUNT(DISTINCT g.alliance_id) AS count
+        FROM guilds g
+        JOIN guild_servers gs ON gs.guild_id = g.id
+        WHERE g.alliance_id IS NOT NULL AND gs.server_id = ${serverId}
+      `
+    : await sql`SELECT COUNT(DISTINCT alliance_id) AS count FROM guilds WHERE alliance_id IS NOT NULL`;
+  return parseInt(result?.count || 0);
+}
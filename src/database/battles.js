@@ -1,8 +1,12 @@
 import { sql } from './connection.js';
-import { getRankForLevel } from '../config.js';
-import { getGuildUpgrades } from './upgrades.js';
-import { getOwnedPrestigeUpgrades } from './prestige.js';
+import { getGuildWithDataById } from './guilds.js';
+import { recordSeasonProgress } from './seasons.js';
+import { DEFENSE, getRankForLevel } from '../config.js';
+import { repos } from './repositories/index.js';
 import { calculateUpgradeBonuses, calculateRates, calculatePrestigeBonuses } from '../game/idle.js';
+import { calculateEquipmentPower } from '../game/items.js';
+import { calculateRatingChanges, getRating } from '../game/rating.js';
+import { random } from '../game/random.js';
 
 // TODO: Re-enable for production
 // const GLOBAL_COOLDOWN_MS = 2 * 60 * 1000; // 2 minutes
@@ -28,23 +32,25 @@ const FREE_REVENGE_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
 
 /**
  * Calculate guild power for battle
- * Power = adventurers + (goldPerHour / 500) + (xp / 5000)
- * Uses actual production rates (with upgrades/prestige) instead of held gold
+ * Power = adventurers + (goldPerHour / 500) + (xp / 5000) + equipped item power + roster power
+ * Uses actual production rates (with upgrades/prestige/achievements/equipment) instead of held gold
  * @param {Object} guild - Guild object
  * @param {Array} [upgrades] - Pre-loaded upgrades (optional, will fetch if not provided)
  * @param {Array} [prestigeUpgrades] - Pre-loaded prestige upgrades (optional, will fetch if not provided)
+ * @param {Array} [achievements] - Unlocked achievements (optional, loaded with the guild by getGuildWithData)
+ * @param {Array} [equipment] - Equipped items (optional, loaded with the guild by getGuildWithData)
  * @returns {Promise<number>} Power value
  */
-export async function calculatePower(guild, upgrades = null, prestigeUpgrades = null) {
+export async function calculatePower(guild, upgrades = null, prestigeUpgrades = null, achievements = [], equipment = []) {
   // Use provided data or fetch if not provided
   if (upgrades === null) {
-    upgrades = await getGuildUpgrades(guild.id);
+    upgrades = await repos.upgrades.getGuildUpgrades(guild.id);
   }
   if (prestigeUpgrades === null) {
-    prestigeUpgrades = await getOwnedPrestigeUpgrades(guild.id);
+    prestigeUpgrades = await repos.prestige.getOwnedPrestigeUpgrades(guild.id);
   }
   
-  const bonuses = calculateUpgradeBonuses(upgrades);
+  const bonuses = calculateUpgradeBonuses(upgrades, achievements, equipment);
   const prestigeBonuses = calculatePrestigeBonuses(guild, prestigeUpgrades);
   
   // Calculate rates with all bonuses applied
@@ -53,28 +59,32 @@ export async function calculatePower(guild, upgrades = null, prestigeUpgrades =
   const adventurerPower = guild.adventurer_count;
   const goldRatePower = rates.goldPerHour / 500;
   const xpPower = Number(guild.xp) / 5000;
+  const itemPower = calculateEquipmentPower(equipment);
+  const rosterPower = Number(guild.roster_power || 0);
   
-  return adventurerPower + goldRatePower + xpPower;
+  return adventurerPower + goldRatePower + xpPower + itemPower + rosterPower;
 }
 
 /**
  * Calculate win chance with super gentle weighting
  * Base: 50% +/- up to 15% based on power difference
- * Clamped to 35%-65% range
+ * Clamped to 35%-65% range, then the defender's defense is taken off (down to DEFENSE.MIN_WIN_CHANCE)
  * @param {number} attackerPower - Attacker's power
  * @param {number} defenderPower - Defender's power
+ * @param {number} defense - Defender's defense from calculateDefense() (optional)
  * @returns {number} Win chance as percentage (0-100)
  */
-export function calculateWinChance(attackerPower, defenderPower) {
+export function calculateWinChance(attackerPower, defenderPower, defense = 0) {
   const totalPower = attackerPower + defenderPower;
-  if (totalPower === 0) return 50;
-  
   const powerDiff = attackerPower - defenderPower;
-  const adjustment = (powerDiff / totalPower) * 15;
+  const adjustment = totalPower === 0 ? 0 : (powerDiff / totalPower) * 15;
   const winChance = 50 + adjustment;
   
   // Clamp to 35%-65% range
-  return Math.min(65, Math.max(35, winChance));
+  const clamped = Math.min(65, Math.max(35, winChance));
+  if (defense <= 0) return clamped;
+  
+  return Math.max(DEFENSE.MIN_WIN_CHANCE, clamped - defense);
 }
 
 /**
@@ -83,7 +93,7 @@ export function calculateWinChance(attackerPower, defenderPower) {
  * @returns {boolean} True if attacker wins
  */
 export function rollBattle(winChance) {
-  const roll = Math.random() * 100;
+  const roll = random() * 100;
   return roll < winChance;
 }
 
@@ -131,7 +141,7 @@ export function getBattleType(powerRatio) {
  */
 export function calculateBattleRewards({ betAmount, loserGuild, strongerWon, isCapped, attackerLost }) {
   // XP bonus for winner: flat 1-5%
-  const xpPercent = 1 + Math.random() * 4; // 1-5%
+  const xpPercent = 1 + random() * 4; // 1-5%
   const xpBonus = Math.floor(Number(loserGuild.xp) * (xpPercent / 100));
   
   // Gold transfer: normally the bet amount
@@ -145,7 +155,7 @@ export function calculateBattleRewards({ betAmount, loserGuild, strongerWon, isC
     goldTransfer = betAmount;
   } else if (strongerWon && isCapped) {
     // Defender loses to stronger attacker: cap winnings to 1-5% of loser's gold
-    const cappedPercent = 1 + Math.random() * 4; // 1-5%
+    const cappedPercent = 1 + random() * 4; // 1-5%
     const cappedAmount = Math.floor(Number(loserGuild.gold) * (cappedPercent / 100));
     
     if (cappedAmount < betAmount) {
@@ -168,11 +178,11 @@ export function calculateBattleRewards({ betAmount, loserGuild, strongerWon, isC
  * @returns {{ goldReward: number, xpBonus: number }}
  */
 export function calculateFreeRevengeRewards(attackerGuild) {
-  const goldPercent = 1 + Math.random(); // 1-2%
+  const goldPercent = 1 + random(); // 1-2%
   const goldReward = Math.floor(Number(attackerGuild.gold) * (goldPercent / 100));
   
   // Small XP bonus
-  const xpPercent = 1 + Math.random(); // 1-2%
+  const xpPercent = 1 + random(); // 1-2%
   const xpBonus = Math.floor(Number(attackerGuild.xp) * (xpPercent / 100));
   
   return { goldReward, xpBonus };
@@ -249,9 +259,18 @@ export async function checkTargetCooldown(attackerId, defenderId) {
     ORDER BY created_at DESC LIMIT 1
   `;
   
-  if (result.length === 0) return { canBattle: true };
+  return evaluateTargetCooldown(result[0]?.created_at || null);
+}
+
+/**
+ * Evaluate the per-target cooldown given the last battle against that target
+ * @param {Date|string|null} lastBattleAt - When the attacker last battled this target (null if never)
+ * @returns {{ canBattle: boolean, reason?: string }}
+ */
+export function evaluateTargetCooldown(lastBattleAt) {
+  if (TARGET_COOLDOWN_MS === 0 || !lastBattleAt) return { canBattle: true };
   
-  const lastBattle = new Date(result[0].created_at);
+  const lastBattle = new Date(lastBattleAt);
   const now = new Date();
   const timeSince = now - lastBattle;
   
@@ -281,7 +300,7 @@ export async function getRandomTarget(attackerId) {
   if (count === 0) return null;
   
   // Pick a random offset and fetch that single row
-  const randomOffset = Math.floor(Math.random() * count);
+  const randomOffset = Math.floor(random() * count);
   const [guild] = await sql`SELECT * FROM guilds WHERE id != ${attackerId} LIMIT 1 OFFSET ${randomOffset}`;
   return guild || null;
 }
@@ -290,17 +309,22 @@ export async function getRandomTarget(attackerId) {
  * Get a random guild to battle with full upgrade data (excluding the attacker)
  * Combines getRandomTarget + getGuildWithData into fewer queries
  * @param {number} attackerId - Attacker's guild ID
- * @returns {Promise<{guild: Object|null, upgrades: Array, prestigeUpgrades: Array}>}
+ * @param {string|null} serverId - Only pick guilds seen in this Discord server (null for any guild)
+ * @returns {Promise<{guild: Object|null, upgrades: Array, prestigeUpgrades: Array, achievements: Array, equipment: Array}>}
  */
-export async function getRandomTargetWithData(attackerId) {
+export async function getRandomTargetWithData(attackerId, serverId = null) {
+  if (serverId) {
+    return getRandomServerTargetWithData(attackerId, serverId);
+  }
+
   // First get the count of eligible guilds (fast with index)
   const [countResult] = await sql`SELECT COUNT(*)::int as count FROM guilds WHERE id != ${attackerId}`;
   const count = countResult?.count || 0;
   
-  if (count === 0) return { guild: null, upgrades: [], prestigeUpgrades: [] };
+  if (count === 0) return { guild: null, upgrades: [], prestigeUpgrades: [], achievements: [], equipment: [] };
   
   // Pick a random offset and fetch with full data using JSON aggregation
-  const randomOffset = Math.floor(Math.random() * count);
+  const randomOffset = Math.floor(random() * count);
   const [result] = await sql`
     SELECT 
       g.*,
@@ -323,25 +347,112 @@ export async function getRandomTargetWithData(attackerId) {
            WHERE gpu.guild_id = g.id
          ) p
         ), '[]'::json
-      ) as prestige_upgrades
+      ) as prestige_upgrades,
+      COALESCE(
+        (SELECT json_agg(row_to_json(a))
+         FROM (
+           SELECT ach.*, ga.unlocked_at
+           FROM guild_achievements ga
+           JOIN achievements ach ON ga.achievement_id = ach.id
+           WHERE ga.guild_id = g.id
+         ) a
+        ), '[]'::json
+      ) as achievements,
+      COALESCE(
+        (SELECT json_agg(row_to_json(e))
+         FROM (
+           SELECT gi.id, gi.item_id, i.name, i.slot, i.rarity, i.effect_type, i.effect_value, i.power
+           FROM guild_items gi
+           JOIN items i ON gi.item_id = i.id
+           WHERE gi.guild_id = g.id AND gi.equipped = TRUE
+         ) e
+        ), '[]'::json
+      ) as equipment
     FROM guilds g
     WHERE g.id != ${attackerId}
     LIMIT 1 OFFSET ${randomOffset}
   `;
   
-  if (!result) return { guild: null, upgrades: [], prestigeUpgrades: [] };
+  if (!result) return { guild: null, upgrades: [], prestigeUpgrades: [], achievements: [], equipment: [] };
   
   const upgrades = result.upgrades || [];
   const prestigeUpgrades = result.prestige_upgrades || [];
-  const { upgrades: _, prestige_upgrades: __, ...guild } = result;
+  const achievements = result.achievements || [];
+  const equipment = result.equipment || [];
+  const { upgrades: _, prestige_upgrades: __, achievements: ___, equipment: ____, ...guild } = result;
   
-  return { guild, upgrades, prestigeUpgrades };
+  return { guild, upgrades, prestigeUpgrades, achievements, equipment };
+}
+
+/**
+ * Pick a random guild seen in a Discord server, then load its full data
+ * @param {number} attackerId - Attacker's guild ID
+ * @param {string} serverId - Discord server ID
+ * @returns {Promise<{guild: Object|null, upgrades: Array, prestigeUpgrades: Array, achievements: Array, equipment: Array}>}
+ */
+async function getRandomServerTargetWithData(attackerId, serverId) {
+  const [countResult] = await sql`
+    SELECT COUNT(*)::int as count FROM guild_servers 
+    WHERE server_id = ${serverId} AND guild_id != ${attackerId}
+  `;
+  const count = countResult?.count || 0;
+  
+  if (count === 0) return { guild: null, upgrades: [], prestigeUpgrades: [], achievements: [], equipment: [] };
+  
+  const randomOffset = Math.floor(random() * count);
+  const [member] = await sql`
+    SELECT guild_id FROM guild_servers 
+    WHERE server_id = ${serverId} AND guild_id != ${attackerId}
+    ORDER BY guild_id
+    LIMIT 1 OFFSET ${randomOffset}
+  `;
+  
+  if (!member) return { guild: null, upgrades: [], prestigeUpgrades: [], achievements: [], equipment: [] };
+  
+  return getGuildWithDataById(member.guild_id);
+}
+
+/**
+ * Pick guilds within a rating band for ranked matchmaking, then load their full data
+ * Starts at a random offset into the band so the same opponent isn't always first
+ * @param {number} attackerId - Attacker's guild ID
+ * @param {number} minRating - Lowest rating to match
+ * @param {number} maxRating - Highest rating to match
+ * @param {number} limit - Most candidates to return
+ * @param {string|null} serverId - Only pick guilds seen in this Discord server (null for any guild)
+ * @returns {Promise<Array>} { guild, upgrades, prestigeUpgrades, achievements, equipment } per candidate
+ */
+export async function getRankedTargetsWithData(attackerId, minRating, maxRating, limit, serverId = null) {
+  const [countResult] = await sql`
+    SELECT COUNT(*)::int as count FROM guilds
+    WHERE id != ${attackerId} AND rating BETWEEN ${minRating} AND ${maxRating}
+      AND (${serverId}::text IS NULL OR id IN (SELECT guild_id FROM guild_servers WHERE server_id = ${serverId}))
+  `;
+  const count = countResult?.count || 0;
+  if (count === 0) return [];
+
+  const randomOffset = Math.floor(random() * Math.max(1, count - limit + 1));
+  const rows = await sql`
+    SELECT id FROM guilds
+    WHERE id != ${attackerId} AND rating BETWEEN ${minRating} AND ${maxRating}
+      AND (${serverId}::text IS NULL OR id IN (SELECT guild_id FROM guild_servers WHERE server_id = ${serverId}))
+    ORDER BY rating, id
+    LIMIT ${limit} OFFSET ${randomOffset}
+  `;
+
+  const candidates = [];
+  for (const { id } of rows) {
+    const data = await getGuildWithDataById(id);
+    if (data.guild) candidates.push(data);
+  }
+  return candidates;
 }
 
 /**
  * Record a battle and apply results
- * @param {Object} params - Battle parameters
- * @returns {Promise<Object>} Battle record
+ * Rated battles also move both guilds' battle ratings (rows are locked so concurrent battles can't lose an update)
+ * @param {Object} params - Battle parameters (rated defaults to true; free revenge isn't rated; combatLog is resolveCombat's rounds)
+ * @returns {Promise<Object>} Battle record, with attacker_rating_change and defender_rating_change
  */
 export async function recordBattle({
   attackerGuild,
@@ -353,6 +464,8 @@ export async function recordBattle({
   attackerPower,
   defenderPower,
   winChance,
+  rated = true,
+  combatLog = null,
 }) {
   const today = new Date().toISOString().split('T')[0];
   
@@ -360,21 +473,45 @@ export async function recordBattle({
   const lastReset = attackerGuild.last_battle_reset;
   const currentBattles = lastReset === today ? (attackerGuild.battles_today || 0) : 0;
   
-  // Record the battle
-  const [battle] = await sql`
-    INSERT INTO battles (attacker_id, defender_id, bet_amount, winner_id, gold_transferred, xp_transferred, attacker_power, defender_power, win_chance)
-    VALUES (${attackerGuild.id}, ${defenderGuild.id}, ${betAmount}, ${winnerId}, ${goldTransferred}, ${xpTransferred}, ${attackerPower}, ${defenderPower}, ${winChance})
-    RETURNING *
-  `;
-  
-  // Update attacker's cooldown tracking
-  await sql`
-    UPDATE guilds 
-    SET last_battle_at = NOW(), battles_today = ${currentBattles + 1}, last_battle_reset = ${today} 
-    WHERE id = ${attackerGuild.id}
-  `;
-  
-  return battle;
+  return await sql.begin(async (tx) => {
+    let attackerRatingChange = 0;
+    let defenderRatingChange = 0;
+    
+    if (rated) {
+      const ratings = await tx`
+        SELECT id, rating FROM guilds WHERE id IN (${attackerGuild.id}, ${defenderGuild.id}) ORDER BY id FOR UPDATE
+      `;
+      const ratingOf = (id) => getRating(ratings.find(r => r.id === id));
+      const loserId = winnerId === attackerGuild.id ? defenderGuild.id : attackerGuild.id;
+      const { winnerChange, loserChange } = calculateRatingChanges(ratingOf(winnerId), ratingOf(loserId));
+      
+      attackerRatingChange = winnerId === attackerGuild.id ? winnerChange : loserChange;
+      defenderRatingChange = winnerId === attackerGuild.id ? loserChange : winnerChange;
+      
+      await tx`
+        UPDATE guilds SET rating = rating + ${defenderRatingChange}, peak_rating = GREATEST(peak_rating, rating + ${defenderRatingChange})
+        WHERE id = ${defenderGuild.id}
+      `;
+    }
+    
+    // Record the battle
+    const [battle] = await tx`
+      INSERT INTO battles (attacker_id, defender_id, bet_amount, winner_id, gold_transferred, xp_transferred, attacker_power, defender_power, win_chance, attacker_rating_change, defender_rating_change, combat_log)
+      VALUES (${attackerGuild.id}, ${defenderGuild.id}, ${betAmount}, ${winnerId}, ${goldTransferred}, ${xpTransferred}, ${attackerPower}, ${defenderPower}, ${winChance}, ${attackerRatingChange}, ${defenderRatingChange}, ${combatLog ? JSON.stringify(combatLog) : null}::jsonb)
+      RETURNING *
+    `;
+    
+    // Update attacker's cooldown tracking (and rating)
+    await tx`
+      UPDATE guilds 
+      SET last_battle_at = NOW(), battles_today = ${currentBattles + 1}, last_battle_reset = ${today},
+          rating = rating + ${attackerRatingChange},
+          peak_rating = GREATEST(peak_rating, rating + ${attackerRatingChange})
+      WHERE id = ${attackerGuild.id}
+    `;
+    
+    return battle;
+  });
 }
 
 /**
@@ -398,6 +535,7 @@ export async function applyBattleResults(winnerId, loserId, goldTransfer, xpBonu
         lifetime_battle_xp_won = lifetime_battle_xp_won + ${xpBonus}
       WHERE id = ${winnerId}
     `;
+    await recordSeasonProgress(tx, winnerId, { battlesWon: 1 });
     
     // Loser: loses gold and update lifetime stats (1 query instead of 2)
     await tx`
@@ -436,6 +574,7 @@ export async function applyFreeRevengeResults(defenderId, attackerId, defenderWo
           lifetime_battle_xp_won = lifetime_battle_xp_won + ${xpBonus}
         WHERE id = ${defenderId}
       `;
+      await recordSeasonProgress(tx, defenderId, { battlesWon: 1 });
       
       await tx`
         UPDATE guilds SET 
@@ -447,6 +586,7 @@ export async function applyFreeRevengeResults(defenderId, attackerId, defenderWo
       // Defender loses: nothing happens (free revenge), but still count as a loss
       await tx`UPDATE guilds SET lifetime_battles_lost = lifetime_battles_lost + 1 WHERE id = ${defenderId}`;
       await tx`UPDATE guilds SET lifetime_battles_won = lifetime_battles_won + 1 WHERE id = ${attackerId}`;
+      await recordSeasonProgress(tx, attackerId, { battlesWon: 1 });
     }
   });
 }
@@ -478,6 +618,30 @@ export async function getBattleHistory(guildId, limit = 10) {
   return result;
 }
 
+/**
+ * Get a single battle with both guilds' names, for replays
+ * @param {number} battleId - Battle ID
+ * @returns {Promise<Object|null>} Battle record (with combat_log), or null if there's no such battle
+ */
+export async function getBattleById(battleId) {
+  const [battle] = await sql`
+    SELECT 
+      b.*,
+      att.name as attacker_name,
+      att.discord_id as attacker_discord_id,
+      def.name as defender_name,
+      def.discord_id as defender_discord_id,
+      win.name as winner_name,
+      win.discord_id as winner_discord_id
+    FROM battles b
+    JOIN guilds att ON b.attacker_id = att.id
+    JOIN guilds def ON b.defender_id = def.id
+    JOIN guilds win ON b.winner_id = win.id
+    WHERE b.id = ${battleId}
+  `;
+  return battle || null;
+}
+
 /**
  * Get remaining battles today for a guild
  * @param {Object} guild - Guild object
@@ -0,0 +1,234 @@
+import { sql } from './connection.js';
+import { getDailyTradeLimit } from '../game/trades.js';
+import { getGoldSentToday, getGoldReceivedToday } from './trades.js';
+
+/**
+ * Get a bounty by ID
+ * @param {number} bountyId - Bounty ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getBountyById(bountyId) {
+  const [bounty] = await sql`SELECT * FROM bounties WHERE id = ${bountyId}`;
+  return bounty || null;
+}
+
+/**
+ * Count the open bounties on a guild
+ * @param {number} targetGuildId - Target guild ID
+ * @returns {Promise<number>}
+ */
+export async function countBountiesOnTarget(targetGuildId) {
+  const [{ count }] = await sql`
+    SELECT COUNT(*)::int AS count FROM bounties
+    WHERE target_guild_id = ${targetGuildId} AND status = 'active'
+  `;
+  return count;
+}
+
+/**
+ * Count the open bounties a guild has posted
+ * @param {number} posterGuildId - Poster guild ID
+ * @returns {Promise<number>}
+ */
+export async function countBountiesByPoster(posterGuildId) {
+  const [{ count }] = await sql`
+    SELECT COUNT(*)::int AS count FROM bounties
+    WHERE poster_guild_id = ${posterGuildId} AND status = 'active'
+  `;
+  return count;
+}
+
+/**
+ * Post a bounty - escrows the amount, spends the posting fee and puts it on the board in one transaction
+ * The amount counts against the poster's daily trade allowance, checked here so parallel posts can't exceed it
+ * The board limits are checked in the insert itself, so two bounties posted at once can't both squeeze under them
+ * @param {Object} options - Bounty options
+ * @param {number} options.posterGuildId - Poster guild ID
+ * @param {number} options.targetGuildId - Target guild ID
+ * @param {number} options.amount - Gold to escrow
+ * @param {number} options.fee - Posting fee (not refunded)
+ * @param {number} options.durationHours - Time before it expires
+ * @param {number} options.maxPerTarget - Open bounties allowed on the target
+ * @param {number} options.maxPerPoster - Open bounties allowed per poster
+ * @returns {Promise<Object>} { success, bounty } or { success: false, error }
+ */
+export async function createBounty({ posterGuildId, targetGuildId, amount, fee, durationHours, maxPerTarget, maxPerPoster }) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [poster] = await tx`SELECT * FROM guilds WHERE id = ${posterGuildId} FOR UPDATE`;
+      if (!poster) {
+        throw new Error('Guild not found');
+      }
+
+      if (await getGoldSentToday(tx, posterGuildId) + amount > getDailyTradeLimit(poster.level)) {
+        throw new Error('That would put you over your daily sending limit');
+      }
+
+      const [debited] = await tx`
+        UPDATE guilds SET gold = gold - ${amount + fee}
+        WHERE id = ${posterGuildId} AND gold >= ${amount + fee}
+        RETURNING id
+      `;
+      if (!debited) {
+        throw new Error('You don\'t have enough gold to cover the bounty and its posting fee.');
+      }
+
+      const [bounty] = await tx`
+        INSERT INTO bounties (poster_guild_id, target_guild_id, amount, expires_at)
+        SELECT ${posterGuildId}, ${targetGuildId}, ${amount}, NOW() + make_interval(hours => ${durationHours})
+        WHERE (SELECT COUNT(*) FROM bounties WHERE target_guild_id = ${targetGuildId} AND status = 'active') < ${maxPerTarget}
+          AND (SELECT COUNT(*) FROM bounties WHERE poster_guild_id = ${posterGuildId} AND status = 'active') < ${maxPerPoster}
+        RETURNING *
+      `;
+      // Another bounty filled the last slot in the meantime - rolling back returns the gold
+      if (!bounty) {
+        throw new Error('The bounty board filled up before yours went on it - your gold was returned.');
+      }
+
+      return { success: true, bounty };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get the open bounties on a guild
+ * @param {number} targetGuildId - Target guild ID
+ * @returns {Promise<Array>} Bounties with poster_name, biggest first
+ */
+export async function getBountiesOnTarget(targetGuildId) {
+  return await sql`
+    SELECT b.*, g.name AS poster_name
+    FROM bounties b
+    JOIN guilds g ON g.id = b.poster_guild_id
+    WHERE b.target_guild_id = ${targetGuildId} AND b.status = 'active'
+    ORDER BY b.amount DESC, b.created_at
+  `;
+}
+
+/**
+ * Get the open bounties a guild has posted
+ * @param {number} posterGuildId - Poster guild ID
+ * @returns {Promise<Array>} Bounties with target_name and target_discord_id, oldest first
+ */
+export async function getPostedBounties(posterGuildId) {
+  return await sql`
+    SELECT b.*, g.name AS target_name, g.discord_id AS target_discord_id
+    FROM bounties b
+    JOIN guilds g ON g.id = b.target_guild_id
+    WHERE b.poster_guild_id = ${posterGuildId} AND b.status = 'active'
+    ORDER BY b.created_at
+  `;
+}
+
+/**
+ * Get the most wanted guilds - open bounties totalled per target
+ * @param {number} limit - Number of targets to return
+ * @returns {Promise<Array>} { target_guild_id, name, discord_id, total, bounty_count, expires_at } per target, biggest total first
+ */
+export async function getBountyBoard(limit = 10) {
+  return await sql`
+    SELECT b.target_guild_id, g.name, g.discord_id,
+           SUM(b.amount)::bigint AS total,
+           COUNT(*)::int AS bounty_count,
+           MIN(b.expires_at) AS expires_at
+    FROM bounties b
+    JOIN guilds g ON g.id = b.target_guild_id
+    WHERE b.status = 'active'
+    GROUP BY b.target_guild_id, g.name, g.discord_id
+    ORDER BY total DESC, b.target_guild_id
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Pay a battle winner every open bounty on the guild they beat
+ * Bounties the winner posted themselves stay on the board, as do any that would take the winner
+ * past their daily trade receiving allowance (biggest bounties are claimed first)
+ * @param {number} targetGuildId - Beaten guild ID
+ * @param {number} claimantGuildId - Winner's guild ID
+ * @param {number|null} battleId - Battle that claimed them
+ * @returns {Promise<Object|null>} { bounties, total, guild } or null if there was nothing to claim
+ */
+export async function claimBounties(targetGuildId, claimantGuildId, battleId) {
+  return await sql.begin(async (tx) => {
+    const [claimant] = await tx`SELECT level FROM guilds WHERE id = ${claimantGuildId} FOR UPDATE`;
+    if (!claimant) return null;
+
+    const open = await tx`
+      SELECT id, amount FROM bounties
+      WHERE target_guild_id = ${targetGuildId}
+        AND poster_guild_id <> ${claimantGuildId}
+        AND status = 'active'
+        AND expires_at > NOW()
+      ORDER BY amount DESC, created_at
+      FOR UPDATE
+    `;
+
+    let allowance = getDailyTradeLimit(claimant.level) - await getGoldReceivedToday(tx, claimantGuildId);
+    const claimableIds = [];
+    for (const bounty of open) {
+      if (Number(bounty.amount) > allowance) continue;
+      allowance -= Number(bounty.amount);
+      claimableIds.push(bounty.id);
+    }
+    if (claimableIds.length === 0) return null;
+
+    const bounties = await tx`
+      UPDATE bounties
+      SET status = 'claimed', claimed_by_guild_id = ${claimantGuildId}, battle_id = ${battleId}, resolved_at = NOW()
+      WHERE id IN ${tx(claimableIds)}
+      RETURNING *
+    `;
+
+    const total = bounties.reduce((sum, b) => sum + Number(b.amount), 0);
+
+    // Bounty gold is the posters' escrow changing hands, so it isn't counted as gold earned
+    const [guild] = await tx`
+      UPDATE guilds
+      SET gold = gold + ${total},
+          lifetime_bounties_claimed = lifetime_bounties_claimed + ${bounties.length},
+          lifetime_bounty_gold = lifetime_bounty_gold + ${total},
+          peak_gold_balance = GREATEST(peak_gold_balance, gold + ${total})
+      WHERE id = ${claimantGuildId}
+      RETURNING *
+    `;
+
+    return { bounties, total, guild };
+  });
+}
+
+/**
+ * Take a bounty off the board - the escrow is returned with unlockBetGold by the caller
+ * @param {number} bountyId - Bounty ID
+ * @param {string} status - 'cancelled' or 'expired'
+ * @param {number|null} posterGuildId - Only close it if this guild posted it (null for any)
+ * @returns {Promise<Object|null>} The closed bounty, or null if it was no longer open
+ */
+export async function closeBounty(bountyId, status, posterGuildId = null) {
+  const [bounty] = await sql`
+    UPDATE bounties
+    SET status = ${status}, resolved_at = NOW()
+    WHERE id = ${bountyId}
+      AND status = 'active'
+      AND (${posterGuildId}::int IS NULL OR poster_guild_id = ${posterGuildId})
+    RETURNING *
+  `;
+  return bounty || null;
+}
+
+/**
+ * Get open bounties whose time is up
+ * @returns {Promise<Array>}
+ */
+export async function getExpiredBounties() {
+  return await sql`
+    SELECT * FROM bounties
+    WHERE status = 'active' AND expires_at <= NOW()
+    ORDER BY expires_at
+  `;
+}
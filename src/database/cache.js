@@ -1,4 +1,4 @@
-import { sql } from './connection.js';
+import { repos } from './repositories/index.js';
 
 /**
  * In-memory cache for static game data (upgrades, prestige upgrades)
@@ -30,7 +30,7 @@ export async function initializeCache() {
  * Load upgrades into cache
  */
 async function loadUpgradesCache() {
-  const upgrades = await sql`SELECT * FROM upgrades ORDER BY category, required_guild_level, base_cost`;
+  const upgrades = await repos.upgrades.getAllUpgrades();
   
   upgradesCache = upgrades;
   upgradesByIdCache = new Map();
@@ -46,7 +46,7 @@ async function loadUpgradesCache() {
  * Load prestige upgrades into cache
  */
 async function loadPrestigeUpgradesCache() {
-  const upgrades = await sql`SELECT * FROM prestige_upgrades ORDER BY id`;
+  const upgrades = await repos.prestige.getAllPrestigeUpgrades();
   
   prestigeUpgradesCache = upgrades;
   prestigeUpgradesByIdCache = new Map();
@@ -0,0 +1,163 @@
+import { sql } from './connection.js';
+
+/**
+ * Lock the attacker's bet and save a consent challenge in one transaction
+ * Once the bet leaves the attacker's gold the challenge row exists to refund it, so a crash can't lose it
+ * @param {Object} options - Challenge options
+ * @param {number} options.attackerGuildId - Challenger's guild ID
+ * @param {number} options.defenderGuildId - Challenged guild ID
+ * @param {string} options.attackerDiscordId - Challenger's Discord ID
+ * @param {string} options.defenderDiscordId - Challenged player's Discord ID
+ * @param {number} options.betAmount - Bet to lock
+ * @param {number} options.timeoutMs - Time the defender has to answer
+ * @returns {Promise<Object|null>} The new challenge, or null if the attacker can't cover the bet
+ */
+export async function createChallenge({ attackerGuildId, defenderGuildId, attackerDiscordId, defenderDiscordId, betAmount, timeoutMs }) {
+  return await sql.begin(async (tx) => {
+    const [locked] = await tx`
+      UPDATE guilds SET gold = gold - ${betAmount}
+      WHERE id = ${attackerGuildId} AND gold >= ${betAmount}
+      RETURNING id
+    `;
+    if (!locked) return null;
+
+    const [challenge] = await tx`
+      INSERT INTO battle_challenges (attacker_guild_id, defender_guild_id, attacker_discord_id, defender_discord_id, bet_amount, expires_at)
+      VALUES (${attackerGuildId}, ${defenderGuildId}, ${attackerDiscordId}, ${defenderDiscordId}, ${betAmount},
+              NOW() + make_interval(secs => ${timeoutMs / 1000}))
+      RETURNING *
+    `;
+    return challenge;
+  });
+}
+
+/**
+ * Remember where a challenge was posted so it can be edited after a restart
+ * @param {number} challengeId - Challenge ID
+ * @param {string|null} channelId - Channel ID
+ * @param {string|null} messageId - Message ID
+ */
+export async function setChallengeMessage(challengeId, channelId, messageId) {
+  await sql`
+    UPDATE battle_challenges SET channel_id = ${channelId}, message_id = ${messageId}
+    WHERE id = ${challengeId}
+  `;
+}
+
+/**
+ * Get a challenge by ID
+ * @param {number} challengeId - Challenge ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getChallengeById(challengeId) {
+  const [challenge] = await sql`SELECT * FROM battle_challenges WHERE id = ${challengeId}`;
+  return challenge || null;
+}
+
+/**
+ * Accept a pending challenge - the locked bet stays out for the battle
+ * @param {number} challengeId - Challenge ID
+ * @param {number} defenderGuildId - Guild accepting (must be the challenged guild)
+ * @returns {Promise<Object|null>} The accepted challenge, or null if it was answered, expired or isn't theirs
+ */
+export async function acceptChallenge(challengeId, defenderGuildId) {
+  const [challenge] = await sql`
+    UPDATE battle_challenges SET status = 'accepted', resolved_at = NOW()
+    WHERE id = ${challengeId}
+      AND defender_guild_id = ${defenderGuildId}
+      AND status = 'pending'
+      AND expires_at > NOW()
+    RETURNING *
+  `;
+  return challenge || null;
+}
+
+/**
+ * Close a pending challenge without a battle (declined, cancelled or expired) and return the bet
+ * @param {number} challengeId - Challenge ID
+ * @param {string} status - 'declined', 'cancelled' or 'expired'
+ * @returns {Promise<Object|null>} The closed challenge, or null if it was already answered
+ */
+export async function closeChallenge(challengeId, status) {
+  return await sql.begin(async (tx) => {
+    const [challenge] = await tx`
+      UPDATE battle_challenges SET status = ${status}, resolved_at = NOW()
+      WHERE id = ${challengeId} AND status = 'pending'
+      RETURNING *
+    `;
+    if (!challenge) return null;
+
+    await tx`UPDATE guilds SET gold = gold + ${challenge.bet_amount} WHERE id = ${challenge.attacker_guild_id}`;
+    return challenge;
+  });
+}
+
+/**
+ * Get every challenge still waiting on an answer
+ * @returns {Promise<Array>} Pending challenges, soonest to expire first
+ */
+export async function getPendingChallenges() {
+  return await sql`
+    SELECT * FROM battle_challenges
+    WHERE status = 'pending'
+    ORDER BY expires_at
+  `;
+}
+
+/**
+ * Open a free revenge window for the defender of a lopsided battle
+ * @param {Object} options - Token options
+ * @param {number|null} options.battleId - Battle that opened it
+ * @param {number} options.attackerGuildId - Original attacker's guild ID
+ * @param {number} options.defenderGuildId - Original defender's guild ID
+ * @param {string} options.attackerDiscordId - Original attacker's Discord ID
+ * @param {string} options.defenderDiscordId - Original defender's Discord ID
+ * @param {number} options.timeoutMs - How long the window stays open
+ * @returns {Promise<Object>} The new token
+ */
+export async function createRevengeToken({ battleId, attackerGuildId, defenderGuildId, attackerDiscordId, defenderDiscordId, timeoutMs }) {
+  const [token] = await sql`
+    INSERT INTO revenge_tokens (battle_id, attacker_guild_id, defender_guild_id, attacker_discord_id, defender_discord_id, expires_at)
+    VALUES (${battleId}, ${attackerGuildId}, ${defenderGuildId}, ${attackerDiscordId}, ${defenderDiscordId},
+            NOW() + make_interval(secs => ${timeoutMs / 1000}))
+    RETURNING *
+  `;
+  return token;
+}
+
+/**
+ * Get a free revenge token by ID
+ * @param {number} tokenId - Token ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getRevengeTokenById(tokenId) {
+  const [token] = await sql`SELECT * FROM revenge_tokens WHERE id = ${tokenId}`;
+  return token || null;
+}
+
+/**
+ * Spend a free revenge token
+ * @param {number} tokenId - Token ID
+ * @returns {Promise<Object|null>} The used token, or null if it was already used or has expired
+ */
+export async function useRevengeToken(tokenId) {
+  const [token] = await sql`
+    UPDATE revenge_tokens SET status = 'used', used_at = NOW()
+    WHERE id = ${tokenId} AND status = 'open' AND expires_at > NOW()
+    RETURNING *
+  `;
+  return token || null;
+}
+
+/**
+ * Close every free revenge window that ran out unused
+ * @returns {Promise<number>} Number of tokens expired
+ */
+export async function expireStaleRevengeTokens() {
+  const expired = await sql`
+    UPDATE revenge_tokens SET status = 'expired'
+    WHERE status = 'open' AND expires_at <= NOW()
+    RETURNING id
+  `;
+  return expired.length;
+}
@@ -0,0 +1,96 @@
+import { sql } from './connection.js';
+import { stackBoost } from '../game/crafting.js';
+
+/**
+ * Get all recipe definitions
+ * @returns {Promise<Array>} All recipes, lowest level first
+ */
+export async function getAllRecipes() {
+  return await sql`SELECT * FROM recipes ORDER BY required_level, id`;
+}
+
+/**
+ * Add gathered materials to a guild
+ * @param {number} guildId - Guild ID
+ * @param {Object} amounts - { herbs, ore, arcane_dust }
+ * @returns {Promise<Object>} Updated guild
+ */
+export async function addMaterials(guildId, { herbs = 0, ore = 0, arcane_dust = 0 }) {
+  const [guild] = await sql`
+    UPDATE guilds
+    SET herbs = herbs + ${herbs},
+        ore = ore + ${ore},
+        arcane_dust = arcane_dust + ${arcane_dust},
+        lifetime_materials_gathered = lifetime_materials_gathered + ${herbs + ore + arcane_dust}
+    WHERE id = ${guildId}
+    RETURNING *
+  `;
+  return guild;
+}
+
+/**
+ * Spend a recipe's materials and apply its effect
+ * The guild row is locked so the same materials can't be spent twice
+ * @param {number} guildId - Guild ID
+ * @param {Object} recipe - Recipe definition
+ * @param {number} capacity - Guild's effective adventurer capacity (for recruitment)
+ * @returns {Promise<Object>} { success, guild, recruited } or { success: false, error }
+ */
+export async function craftRecipe(guildId, recipe, capacity) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [guild] = await tx`SELECT * FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+      if (!guild) {
+        throw new Error('Guild not found');
+      }
+      if (guild.level < recipe.required_level) {
+        throw new Error(`You need to reach level ${recipe.required_level} to craft ${recipe.name}`);
+      }
+      if (guild.herbs < recipe.herbs || guild.ore < recipe.ore || guild.arcane_dust < recipe.arcane_dust) {
+        throw new Error('Not enough materials');
+      }
+
+      const now = new Date();
+      const value = parseFloat(recipe.effect_value);
+      let goldBoost = { value: guild.gold_boost, until: guild.gold_boost_until };
+      let xpBoost = { value: guild.xp_boost, until: guild.xp_boost_until };
+      let recruited = 0;
+
+      if (recipe.effect_type === 'gold_boost' || recipe.effect_type === 'all_boost') {
+        goldBoost = stackBoost(guild.gold_boost, guild.gold_boost_until, value, recipe.duration_minutes, now);
+        if (!goldBoost) throw new Error('A stronger gold boost is already running');
+      }
+      if (recipe.effect_type === 'xp_boost' || recipe.effect_type === 'all_boost') {
+        xpBoost = stackBoost(guild.xp_boost, guild.xp_boost_until, value, recipe.duration_minutes, now);
+        if (!xpBoost) throw new Error('A stronger XP boost is already running');
+      }
+      if (recipe.effect_type === 'instant_recruit') {
+        recruited = Math.min(value, capacity - guild.adventurer_count);
+        if (recruited <= 0) throw new Error('You don\'t have room for more adventurers');
+      }
+
+      const [updated] = await tx`
+        UPDATE guilds
+        SET herbs = herbs - ${recipe.herbs},
+            ore = ore - ${recipe.ore},
+            arcane_dust = arcane_dust - ${recipe.arcane_dust},
+            gold_boost = ${goldBoost.value},
+            gold_boost_until = ${goldBoost.until},
+            xp_boost = ${xpBoost.value},
+            xp_boost_until = ${xpBoost.until},
+            adventurer_count = adventurer_count + ${recruited},
+            lifetime_adventurers_recruited = lifetime_adventurers_recruited + ${recruited},
+            lifetime_potions_crafted = lifetime_potions_crafted + 1
+        WHERE id = ${guildId}
+        RETURNING *
+      `;
+
+      return { success: true, guild: updated, recruited };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
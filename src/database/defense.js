@@ -0,0 +1,90 @@
+import { sql } from './connection.js';
+import { getMaxGuards, getNextFortification } from '../game/defense.js';
+
+/**
+ * Build the guild's next fortification
+ * The guild row is locked so the same gold can't pay for two fortifications
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object>} { success, guild, fortification } or { success: false, error }
+ */
+export async function buildFortification(guildId) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [guild] = await tx`SELECT * FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+      if (!guild) {
+        throw new Error('Guild not found');
+      }
+
+      const fortification = getNextFortification(guild);
+      if (!fortification) {
+        throw new Error('Your guild is already fully fortified');
+      }
+      if (guild.level < fortification.requiredLevel) {
+        throw new Error(`You need to reach level ${fortification.requiredLevel} to build the ${fortification.name}`);
+      }
+      if (Number(guild.gold) < fortification.cost) {
+        throw new Error('Not enough gold');
+      }
+
+      const [updated] = await tx`
+        UPDATE guilds
+        SET gold = gold - ${fortification.cost},
+            lifetime_gold_spent = lifetime_gold_spent + ${fortification.cost},
+            fortification_level = fortification_level + 1
+        WHERE id = ${guildId}
+        RETURNING *
+      `;
+
+      return { success: true, guild: updated, fortification };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Set how many adventurers stand guard
+ * Guards have to be home - adventurers on a quest, listed or recovering can't be posted
+ * @param {number} guildId - Guild ID
+ * @param {number} count - Number of guards
+ * @returns {Promise<Object>} { success, guild } or { success: false, error }
+ */
+export async function setGuards(guildId, count) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [guild] = await tx`SELECT * FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+      if (!guild) {
+        throw new Error('Guild not found');
+      }
+
+      const maxGuards = getMaxGuards(guild);
+      if (count > maxGuards) {
+        throw new Error(`You can post at most ${maxGuards} guard${maxGuards !== 1 ? 's' : ''}`);
+      }
+
+      const injured = guild.injured_until && new Date(guild.injured_until) > new Date()
+        ? guild.injured_adventurers
+        : 0;
+      const home = guild.adventurer_count - guild.adventurers_on_quest - guild.adventurers_listed - injured;
+      if (count > home) {
+        throw new Error(`Only ${home} adventurer${home !== 1 ? 's are' : ' is'} home`);
+      }
+
+      const [updated] = await tx`
+        UPDATE guilds SET adventurers_guarding = ${count}
+        WHERE id = ${guildId}
+        RETURNING *
+      `;
+
+      return { success: true, guild: updated };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
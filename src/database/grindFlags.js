@@ -0,0 +1,43 @@
+import { sql } from './connection.js';
+
+/**
+ * Record a grind session whose clicking looked automated
+ * @param {Object} options - Flag options
+ * @param {number} options.guildId - Guild ID
+ * @param {string} options.discordId - Player's Discord ID
+ * @param {string} options.reason - 'regular', 'fast' or 'failed_challenge'
+ * @param {number} options.clicksPerSecond - Sustained press rate when flagged
+ * @param {number} options.intervalVariation - Click gap variation (std dev / mean) when flagged
+ * @returns {Promise<Object>} The new flag
+ */
+export async function recordGrindFlag({ guildId, discordId, reason, clicksPerSecond, intervalVariation }) {
+  const [flag] = await sql`
+    INSERT INTO grind_flags (guild_id, discord_id, reason, clicks_per_second, interval_variation)
+    VALUES (${guildId}, ${discordId}, ${reason}, ${clicksPerSecond}, ${intervalVariation})
+    RETURNING *
+  `;
+  return flag;
+}
+
+/**
+ * Get the guilds flagged for automated grinding, most failed challenges first
+ * @param {number} sinceDays - Only count flags from the last N days
+ * @param {number} limit - Number of guilds to return
+ * @returns {Promise<Array>} { guild_id, name, discord_id, lifetime_grind_clicks, lifetime_grind_gold, flags, failed_challenges, peak_clicks_per_second, min_interval_variation, last_flagged_at } per guild
+ */
+export async function getFlaggedGuilds(sinceDays, limit = 25) {
+  return await sql`
+    SELECT f.guild_id, g.name, g.discord_id, g.lifetime_grind_clicks, g.lifetime_grind_gold,
+           COUNT(*)::int AS flags,
+           COUNT(*) FILTER (WHERE f.reason = 'failed_challenge')::int AS failed_challenges,
+           MAX(f.clicks_per_second) AS peak_clicks_per_second,
+           MIN(f.interval_variation) AS min_interval_variation,
+           MAX(f.created_at) AS last_flagged_at
+    FROM grind_flags f
+    JOIN guilds g ON g.id = f.guild_id
+    WHERE f.created_at > NOW() - make_interval(days => ${sinceDays})
+    GROUP BY f.guild_id, g.name, g.discord_id, g.lifetime_grind_clicks, g.lifetime_grind_gold
+    ORDER BY failed_challenges DESC, flags DESC, last_flagged_at DESC
+    LIMIT ${limit}
+  `;
+}
@@ -0,0 +1,222 @@
+import { sql } from './connection.js';
+
+/**
+ * Postgres-backed /grind session store (GRIND_SESSION_STORE=postgres)
+ * Every click is counted here before the bot answers it, so a crash or a click landing on another shard loses nothing
+ * Same interface as createMemorySessionStore() in game/grindSessions.js
+ */
+
+/**
+ * Start a session, replacing any the player already had
+ * @param {Object} options - Session options
+ * @param {string} options.discordId - Player's Discord ID
+ * @param {number} options.guildId - Guild ID
+ * @param {number} options.goldPerClick - Gold per click
+ * @param {number} options.xpPerClick - XP per click
+ * @param {number} options.baseGold - Guild gold when the session started
+ * @param {number} options.baseXp - Guild XP when the session started
+ * @param {Object} options.materialMultipliers - Material yield multipliers
+ * @param {number} options.durationMs - Session lifetime
+ * @returns {Promise<Object>} The new session
+ */
+export async function createGrindSession({ discordId, guildId, goldPerClick, xpPerClick, baseGold, baseXp, materialMultipliers, durationMs }) {
+  return await sql.begin(async (tx) => {
+    await tx`DELETE FROM grind_sessions WHERE discord_id = ${discordId}`;
+
+    const [session] = await tx`
+      INSERT INTO grind_sessions (discord_id, guild_id, gold_per_click, xp_per_click, base_gold, base_xp, material_multipliers, expires_at)
+      VALUES (${discordId}, ${guildId}, ${goldPerClick}, ${xpPerClick}, ${baseGold}, ${baseXp},
+              ${JSON.stringify(materialMultipliers)}::jsonb, NOW() + make_interval(secs => ${durationMs / 1000}))
+      RETURNING *
+    `;
+    return session;
+  });
+}
+
+/**
+ * Get a player's session
+ * @param {string} discordId - Player's Discord ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getGrindSession(discordId) {
+  const [session] = await sql`SELECT * FROM grind_sessions WHERE discord_id = ${discordId}`;
+  return session || null;
+}
+
+/**
+ * Get every stored session (for recovery on startup)
+ * @returns {Promise<Array>}
+ */
+export async function getGrindSessions() {
+  return await sql`SELECT * FROM grind_sessions ORDER BY started_at`;
+}
+
+/**
+ * Count a click - clicks past the rate limit are tallied as throttled instead
+ * Every press (throttled or not) adds its gap since the last press to the session's recent intervals
+ * @param {number} sessionId - Session ID
+ * @param {Object} options - Click options
+ * @param {number} options.windowMs - Rate limit window
+ * @param {number} options.maxClicks - Clicks counted per window
+ * @param {number} [options.weight] - What the click is worth (below 1 past a human-plausible rate)
+ * @param {number} options.maxSamples - Recent intervals to keep
+ * @returns {Promise<Object|null>} { session, throttled }, or null if the session is gone or has run out
+ */
+export async function recordGrindClick(sessionId, { windowMs, maxClicks, weight = 1, maxSamples }) {
+  const [row] = await sql`
+    WITH current AS (
+      SELECT id,
+             window_started_at <= NOW() - make_interval(secs => ${windowMs / 1000}) AS fresh_window,
+             window_clicks,
+             total_clicks + throttled_clicks > 0 AS has_previous,
+             LEAST(EXTRACT(EPOCH FROM NOW() - last_click_at) * 1000, 2147483647)::int AS interval_ms
+      FROM grind_sessions
+      WHERE id = ${sessionId} AND expires_at > NOW()
+      FOR UPDATE
+    ), counted AS (
+      SELECT *, fresh_window OR window_clicks < ${maxClicks} AS counts FROM current
+    )
+    UPDATE grind_sessions s
+    SET window_started_at = CASE WHEN c.fresh_window THEN NOW() ELSE s.window_started_at END,
+        window_clicks = CASE
+          WHEN c.fresh_window THEN 1
+          WHEN c.counts THEN s.window_clicks + 1
+          ELSE s.window_clicks
+        END,
+        total_clicks = s.total_clicks + CASE WHEN c.counts THEN 1 ELSE 0 END,
+        credited_clicks = s.credited_clicks + CASE WHEN c.counts THEN ${weight} ELSE 0 END,
+        throttled_clicks = s.throttled_clicks + CASE WHEN c.counts THEN 0 ELSE 1 END,
+        click_intervals = CASE
+          WHEN c.has_previous
+            THEN (s.click_intervals || c.interval_ms)[GREATEST(1, cardinality(s.click_intervals) + 2 - ${maxSamples}):]
+          ELSE s.click_intervals
+        END,
+        last_click_at = NOW()
+    FROM counted c
+    WHERE s.id = c.id
+    RETURNING s.*, NOT c.counts AS throttled
+  `;
+  if (!row) return null;
+
+  const { throttled, ...session } = row;
+  return { session, throttled };
+}
+
+/**
+ * Write a session's unflushed clicks to its guild - the counter and the guild move together, so clicks are applied exactly once
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object|null>} { session, guild, clicks, previousClicks }, or null if there was nothing to flush
+ */
+export async function flushGrindSession(sessionId) {
+  return await sql.begin(async (tx) => {
+    const [current] = await tx`SELECT * FROM grind_sessions WHERE id = ${sessionId} FOR UPDATE`;
+    if (!current) return null;
+
+    // Only whole clicks are paid - fractions from diminishing returns wait until they add up
+    const paidClicks = Math.floor(current.credited_clicks + 1e-9);
+    const clicks = paidClicks - current.flushed_clicks;
+    if (clicks <= 0) return null;
+
+    const gold = clicks * current.gold_per_click;
+    const xp = clicks * current.xp_per_click;
+
+    const [session] = await tx`
+      UPDATE grind_sessions SET flushed_clicks = ${paidClicks}
+      WHERE id = ${sessionId}
+      RETURNING *
+    `;
+
+    const [guild] = await tx`
+      UPDATE guilds
+      SET gold = gold + ${gold},
+          xp = xp + ${xp},
+          lifetime_grind_gold = lifetime_grind_gold + ${gold},
+          lifetime_grind_clicks = lifetime_grind_clicks + ${clicks},
+          peak_gold_balance = GREATEST(peak_gold_balance, gold + ${gold})
+      WHERE id = ${current.guild_id}
+      RETURNING *
+    `;
+
+    return { session, guild, clicks, previousClicks: current.flushed_clicks };
+  });
+}
+
+/**
+ * Add gathered materials to a session's running total (for display - the materials themselves go to the guild)
+ * @param {number} sessionId - Session ID
+ * @param {Object} materials - Amounts per material key
+ * @returns {Promise<Object|null>} The updated session
+ */
+export async function addGrindMaterials(sessionId, materials) {
+  const [session] = await sql`
+    UPDATE grind_sessions
+    SET materials = (
+      SELECT COALESCE(jsonb_object_agg(key, total), '{}'::jsonb)
+      FROM (
+        SELECT key, SUM(value::numeric) AS total
+        FROM (
+          SELECT * FROM jsonb_each_text(materials)
+          UNION ALL
+          SELECT * FROM jsonb_each_text(${JSON.stringify(materials)}::jsonb)
+        ) amounts
+        GROUP BY key
+      ) totals
+    )
+    WHERE id = ${sessionId}
+    RETURNING *
+  `;
+  return session || null;
+}
+
+/**
+ * Lock a session behind a button shuffle challenge
+ * @param {number} sessionId - Session ID
+ * @param {number} answer - Index into GRIND.CHALLENGE_CHOICES the player has to press
+ * @returns {Promise<Object|null>} The updated session
+ */
+export async function startGrindChallenge(sessionId, answer) {
+  const [session] = await sql`
+    UPDATE grind_sessions
+    SET challenge_answer = ${answer}, last_challenge_at = NOW()
+    WHERE id = ${sessionId}
+    RETURNING *
+  `;
+  return session || null;
+}
+
+/**
+ * Answer a session's pending challenge - a right answer unlocks it and starts the cadence checks afresh
+ * @param {number} sessionId - Session ID
+ * @param {number} choice - Index into GRIND.CHALLENGE_CHOICES that was pressed
+ * @returns {Promise<Object|null>} { session, passed }, or null if no challenge was pending
+ */
+export async function answerGrindChallenge(sessionId, choice) {
+  const [row] = await sql`
+    WITH current AS (
+      SELECT id, challenge_answer = ${choice} AS passed
+      FROM grind_sessions
+      WHERE id = ${sessionId} AND challenge_answer IS NOT NULL
+      FOR UPDATE
+    )
+    UPDATE grind_sessions s
+    SET challenge_answer = CASE WHEN c.passed THEN NULL ELSE s.challenge_answer END,
+        challenges_passed = s.challenges_passed + CASE WHEN c.passed THEN 1 ELSE 0 END,
+        challenges_failed = s.challenges_failed + CASE WHEN c.passed THEN 0 ELSE 1 END,
+        click_intervals = CASE WHEN c.passed THEN '{}' ELSE s.click_intervals END
+    FROM current c
+    WHERE s.id = c.id
+    RETURNING s.*, c.passed
+  `;
+  if (!row) return null;
+
+  const { passed, ...session } = row;
+  return { session, passed };
+}
+
+/**
+ * End a session
+ * @param {number} sessionId - Session ID
+ */
+export async function deleteGrindSession(sessionId) {
+  await sql`DELETE FROM grind_sessions WHERE id = ${sessionId}`;
+}
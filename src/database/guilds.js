@@ -1,11 +1,15 @@
 import { sql } from './connection.js';
-import { GAME } from '../config.js';
+import { GAME, DAILY } from '../config.js';
+import { recordSeasonProgress } from './seasons.js';
+
+// Columns that can be ranked on the leaderboard (whitelisted to prevent SQL injection)
+const LEADERBOARD_FIELDS = ['gold', 'level', 'adventurer_count', 'xp', 'lifetime_gold_earned', 'lifetime_battles_won', 'prestige_level', 'best_daily_streak', 'rating'];
 
 /**
- * Get guild with all related data (upgrades and prestige upgrades) in a single query
- * This combines 3 separate queries into 1 for major performance improvement
+ * Get guild with all related data (upgrades, prestige upgrades, achievements, alliance buffs and equipped items) in a single query
+ * This combines 6 separate queries into 1 for major performance improvement
  * @param {string} discordId - Discord user ID
- * @returns {Promise<{guild: Object|null, upgrades: Array, prestigeUpgrades: Array}>}
+ * @returns {Promise<{guild: Object|null, upgrades: Array, prestigeUpgrades: Array, achievements: Array, allianceBuffs: Array, equipment: Array}>}
  */
 export async function getGuildWithData(discordId) {
   // Use a single query with JSON aggregation to fetch all data at once
@@ -31,29 +35,61 @@ export async function getGuildWithData(discordId) {
            WHERE gpu.guild_id = g.id
          ) p
         ), '[]'::json
-      ) as prestige_upgrades
+      ) as prestige_upgrades,
+      COALESCE(
+        (SELECT json_agg(row_to_json(a))
+         FROM (
+           SELECT ach.*, ga.unlocked_at
+           FROM guild_achievements ga
+           JOIN achievements ach ON ga.achievement_id = ach.id
+           WHERE ga.guild_id = g.id
+         ) a
+        ), '[]'::json
+      ) as achievements,
+      COALESCE(
+        (SELECT json_agg(row_to_json(b))
+         FROM (
+           SELECT ab.buff_key, ab.level
+           FROM alliance_buffs ab
+           WHERE ab.alliance_id = g.alliance_id
+         ) b
+        ), '[]'::json
+      ) as alliance_buffs,
+      COALESCE(
+        (SELECT json_agg(row_to_json(e))
+         FROM (
+           SELECT gi.id, gi.item_id, i.name, i.slot, i.rarity, i.effect_type, i.effect_value, i.power
+           FROM guild_items gi
+           JOIN items i ON gi.item_id = i.id
+           WHERE gi.guild_id = g.id AND gi.equipped = TRUE
+         ) e
+        ), '[]'::json
+      ) as equipment
     FROM guilds g
     WHERE g.discord_id = ${discordId}
   `;
 
   if (!result) {
-    return { guild: null, upgrades: [], prestigeUpgrades: [] };
+    return { guild: null, upgrades: [], prestigeUpgrades: [], achievements: [], allianceBuffs: [], equipment: [] };
   }
 
   // Extract and parse the JSON arrays
   const upgrades = result.upgrades || [];
   const prestigeUpgrades = result.prestige_upgrades || [];
+  const achievements = result.achievements || [];
+  const allianceBuffs = result.alliance_buffs || [];
+  const equipment = result.equipment || [];
 
   // Remove the JSON fields from the guild object to keep it clean
-  const { upgrades: _, prestige_upgrades: __, ...guild } = result;
+  const { upgrades: _, prestige_upgrades: __, achievements: ___, alliance_buffs: ____, equipment: _____, ...guild } = result;
 
-  return { guild, upgrades, prestigeUpgrades };
+  return { guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment };
 }
 
 /**
  * Get guild with all related data by guild ID
  * @param {number} id - Guild ID
- * @returns {Promise<{guild: Object|null, upgrades: Array, prestigeUpgrades: Array}>}
+ * @returns {Promise<{guild: Object|null, upgrades: Array, prestigeUpgrades: Array, achievements: Array, allianceBuffs: Array, equipment: Array}>}
  */
 export async function getGuildWithDataById(id) {
   const [result] = await sql`
@@ -78,20 +114,52 @@ export async function getGuildWithDataById(id) {
            WHERE gpu.guild_id = g.id
          ) p
         ), '[]'::json
-      ) as prestige_upgrades
+      ) as prestige_upgrades,
+      COALESCE(
+        (SELECT json_agg(row_to_json(a))
+         FROM (
+           SELECT ach.*, ga.unlocked_at
+           FROM guild_achievements ga
+           JOIN achievements ach ON ga.achievement_id = ach.id
+           WHERE ga.guild_id = g.id
+         ) a
+        ), '[]'::json
+      ) as achievements,
+      COALESCE(
+        (SELECT json_agg(row_to_json(b))
+         FROM (
+           SELECT ab.buff_key, ab.level
+           FROM alliance_buffs ab
+           WHERE ab.alliance_id = g.alliance_id
+         ) b
+        ), '[]'::json
+      ) as alliance_buffs,
+      COALESCE(
+        (SELECT json_agg(row_to_json(e))
+         FROM (
+           SELECT gi.id, gi.item_id, i.name, i.slot, i.rarity, i.effect_type, i.effect_value, i.power
+           FROM guild_items gi
+           JOIN items i ON gi.item_id = i.id
+           WHERE gi.guild_id = g.id AND gi.equipped = TRUE
+         ) e
+        ), '[]'::json
+      ) as equipment
     FROM guilds g
     WHERE g.id = ${id}
   `;
 
   if (!result) {
-    return { guild: null, upgrades: [], prestigeUpgrades: [] };
+    return { guild: null, upgrades: [], prestigeUpgrades: [], achievements: [], allianceBuffs: [], equipment: [] };
   }
 
   const upgrades = result.upgrades || [];
   const prestigeUpgrades = result.prestige_upgrades || [];
-  const { upgrades: _, prestige_upgrades: __, ...guild } = result;
+  const achievements = result.achievements || [];
+  const allianceBuffs = result.alliance_buffs || [];
+  const equipment = result.equipment || [];
+  const { upgrades: _, prestige_upgrades: __, achievements: ___, alliance_buffs: ____, equipment: _____, ...guild } = result;
 
-  return { guild, upgrades, prestigeUpgrades };
+  return { guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment };
 }
 
 /**
@@ -151,6 +219,7 @@ export async function collectResources(id, goldToAdd, xpToAdd) {
 /**
  * Full collection update - combines collectResources, updateAdventurerCount, 
  * incrementStats, and updatePeakGold into a single query
+ * Morale lost before this collection has been paid for, so its banked penalty is cleared
  * @param {number} id - Guild ID
  * @param {number} goldToAdd - Gold to add
  * @param {number} xpToAdd - XP to add
@@ -165,6 +234,7 @@ export async function collectResourcesFull(id, goldToAdd, xpToAdd, newAdventurer
         xp = xp + ${xpToAdd},
         adventurer_count = ${newAdventurerCount},
         last_collected_at = NOW(),
+        morale_penalty_hours = 0,
         lifetime_gold_earned = lifetime_gold_earned + ${goldToAdd},
         lifetime_xp_earned = lifetime_xp_earned + ${xpToAdd},
         lifetime_adventurers_recruited = lifetime_adventurers_recruited + ${adventurersRecruited},
@@ -172,6 +242,28 @@ export async function collectResourcesFull(id, goldToAdd, xpToAdd, newAdventurer
     WHERE id = ${id}
     RETURNING *
   `;
+  if (guild) {
+    await recordSeasonProgress(sql, id, { gold: goldToAdd });
+  }
+  return guild;
+}
+
+/**
+ * Set a guild's morale from now on
+ * @param {number} id - Guild ID
+ * @param {number} morale - New morale
+ * @param {number} penaltyHours - Production lost to low morale since the last collection
+ * @returns {Promise<Object>} Updated guild
+ */
+export async function setMorale(id, morale, penaltyHours) {
+  const [guild] = await sql`
+    UPDATE guilds
+    SET morale = ${morale},
+        morale_updated_at = NOW(),
+        morale_penalty_hours = ${penaltyHours}
+    WHERE id = ${id}
+    RETURNING *
+  `;
   return guild;
 }
 
@@ -226,21 +318,32 @@ export async function updateAdventurerCapacity(id, capacity) {
 
 /**
  * Get leaderboard by a specific field
- * @param {string} field - Field to sort by (gold, level, adventurer_count, lifetime_gold_earned, lifetime_battles_won, prestige_level)
+ * @param {string} field - Field to sort by (see LEADERBOARD_FIELDS)
  * @param {number} limit - Number of results
+ * @param {string|null} serverId - Only include guilds seen in this Discord server (null for global)
  * @returns {Promise<Array>} Top guilds
  */
-export async function getLeaderboard(field = 'gold', limit = 10) {
+export async function getLeaderboard(field = 'gold', limit = 10, serverId = null) {
   // Whitelist allowed fields to prevent SQL injection
-  const allowedFields = ['gold', 'level', 'adventurer_count', 'xp', 'lifetime_gold_earned', 'lifetime_battles_won', 'prestige_level'];
-  if (!allowedFields.includes(field)) {
+  if (!LEADERBOARD_FIELDS.includes(field)) {
     field = 'gold';
   }
 
+  if (serverId) {
+    return await sql`
+      SELECT id, discord_id, name, level, gold, adventurer_count, xp, 
+             lifetime_gold_earned, lifetime_battles_won, prestige_level, best_daily_streak, rating
+      FROM guilds 
+      WHERE id IN (SELECT guild_id FROM guild_servers WHERE server_id = ${serverId})
+      ORDER BY ${sql(field)} DESC 
+      LIMIT ${limit}
+    `;
+  }
+
   // Use sql() helper for safe dynamic identifier
   const result = await sql`
     SELECT id, discord_id, name, level, gold, adventurer_count, xp, 
-           lifetime_gold_earned, lifetime_battles_won, prestige_level
+           lifetime_gold_earned, lifetime_battles_won, prestige_level, best_daily_streak, rating
     FROM guilds 
     ORDER BY ${sql(field)} DESC 
     LIMIT ${limit}
@@ -253,32 +356,42 @@ export async function getLeaderboard(field = 'gold', limit = 10) {
  * More efficient than correlated subquery for large tables
  * @param {string} discordId - Discord user ID
  * @param {string} field - Field to rank by
+ * @param {string|null} serverId - Rank only against guilds seen in this Discord server (null for global)
  * @returns {Promise<number>} Rank (1-based)
  */
-export async function getPlayerRank(discordId, field = 'gold') {
-  const allowedFields = ['gold', 'level', 'adventurer_count', 'xp', 'lifetime_gold_earned', 'lifetime_battles_won', 'prestige_level'];
-  if (!allowedFields.includes(field)) {
+export async function getPlayerRank(discordId, field = 'gold', serverId = null) {
+  if (!LEADERBOARD_FIELDS.includes(field)) {
     field = 'gold';
   }
 
+  // Server scope ranks within the server's members only
+  const serverFilter = serverId
+    ? 'WHERE id IN (SELECT guild_id FROM guild_servers WHERE server_id = $2)'
+    : '';
+  const params = serverId ? [discordId, serverId] : [discordId];
+
   // Use window function for O(n) ranking instead of O(n*n) correlated subquery
   const result = await sql.unsafe(
     `SELECT rank FROM (
        SELECT discord_id, RANK() OVER (ORDER BY ${field} DESC) as rank 
        FROM guilds
+       ${serverFilter}
      ) ranked 
      WHERE discord_id = $1`,
-    [discordId]
+    params
   );
   return parseInt(result[0]?.rank || 1);
 }
 
 /**
  * Get total count of guilds
+ * @param {string|null} serverId - Only count guilds seen in this Discord server (null for global)
  * @returns {Promise<number>} Total guild count
  */
-export async function getTotalGuildCount() {
-  const [result] = await sql`SELECT COUNT(*) as count FROM guilds`;
+export async function getTotalGuildCount(serverId = null) {
+  const [result] = serverId
+    ? await sql`SELECT COUNT(*) as count FROM guild_servers WHERE server_id = ${serverId}`
+    : await sql`SELECT COUNT(*) as count FROM guilds`;
   return parseInt(result?.count || 0);
 }
 
@@ -400,3 +513,35 @@ export async function flushGrindData(id, goldToAdd, xpToAdd, clicksToAdd) {
   `;
   return guild;
 }
+
+/**
+ * Claim the daily reward - adds gold/XP and updates streak stats in one query
+ * Guarded by the cooldown so double-clicks can't claim twice
+ * @param {number} id - Guild ID
+ * @param {number} goldToAdd - Gold reward
+ * @param {number} xpToAdd - XP reward
+ * @param {number} streak - New streak value
+ * @returns {Promise<Object|null>} Updated guild or null if already claimed
+ */
+export async function claimDailyReward(id, goldToAdd, xpToAdd, streak) {
+  const [guild] = await sql`
+    UPDATE guilds 
+    SET gold = gold + ${goldToAdd},
+        xp = xp + ${xpToAdd},
+        last_daily_at = NOW(),
+        daily_streak = ${streak},
+        best_daily_streak = GREATEST(best_daily_streak, ${streak}),
+        lifetime_daily_claims = lifetime_daily_claims + 1,
+        lifetime_daily_gold = lifetime_daily_gold + ${goldToAdd},
+        lifetime_gold_earned = lifetime_gold_earned + ${goldToAdd},
+        lifetime_xp_earned = lifetime_xp_earned + ${xpToAdd},
+        peak_gold_balance = GREATEST(peak_gold_balance, gold + ${goldToAdd})
+    WHERE id = ${id}
+      AND (last_daily_at IS NULL OR last_daily_at <= NOW() - make_interval(hours => ${DAILY.COOLDOWN_HOURS}))
+    RETURNING *
+  `;
+  if (guild) {
+    await recordSeasonProgress(sql, id, { gold: goldToAdd });
+  }
+  return guild || null;
+}
@@ -0,0 +1,128 @@
+import { sql } from './connection.js';
+
+/**
+ * Get all item definitions
+ * @returns {Promise<Array>} All items
+ */
+export async function getAllItems() {
+  return await sql`SELECT * FROM items ORDER BY slot, power, id`;
+}
+
+/**
+ * Get a guild's inventory, joined with the item definitions
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Array>} Owned items (id is the inventory entry, item_id the definition) - equipped first, then strongest
+ */
+export async function getInventory(guildId) {
+  return await sql`
+    SELECT gi.id, gi.guild_id, gi.item_id, gi.equipped, gi.source, gi.acquired_at,
+           i.name, i.description, i.slot, i.rarity, i.effect_type, i.effect_value, i.power
+    FROM guild_items gi
+    JOIN items i ON gi.item_id = i.id
+    WHERE gi.guild_id = ${guildId}
+    ORDER BY gi.equipped DESC, i.power DESC, gi.acquired_at DESC, gi.id DESC
+  `;
+}
+
+/**
+ * Add a dropped item to a guild's inventory
+ * The guild row is locked so parallel drops can't overfill the inventory - a full inventory salvages the drop instead
+ * @param {number} guildId - Guild ID
+ * @param {number} itemId - Item definition ID
+ * @param {string} source - Where it dropped ('collect', 'grind' or 'battle')
+ * @param {number} inventoryLimit - Maximum items a guild can hold
+ * @param {number} salvageGold - Gold paid instead if the inventory is full
+ * @returns {Promise<{guildItem: Object|null, salvaged: number}>}
+ */
+export async function addItem(guildId, itemId, source, inventoryLimit, salvageGold) {
+  return await sql.begin(async (tx) => {
+    await tx`SELECT id FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+
+    const [{ count }] = await tx`SELECT COUNT(*)::int AS count FROM guild_items WHERE guild_id = ${guildId}`;
+    if (count >= inventoryLimit) {
+      await tx`
+        UPDATE guilds
+        SET gold = gold + ${salvageGold},
+            lifetime_items_found = lifetime_items_found + 1
+        WHERE id = ${guildId}
+      `;
+      return { guildItem: null, salvaged: salvageGold };
+    }
+
+    const [guildItem] = await tx`
+      INSERT INTO guild_items (guild_id, item_id, source)
+      VALUES (${guildId}, ${itemId}, ${source})
+      RETURNING *
+    `;
+    await tx`UPDATE guilds SET lifetime_items_found = lifetime_items_found + 1 WHERE id = ${guildId}`;
+
+    return { guildItem, salvaged: 0 };
+  });
+}
+
+/**
+ * Equip an owned item - whatever was in the same slot goes back to the inventory
+ * @param {number} guildId - Guild ID
+ * @param {number} guildItemId - Inventory entry ID
+ * @returns {Promise<Object>} { success, item, replaced } or { success: false, error }
+ */
+export async function equipItem(guildId, guildItemId) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [item] = await tx`
+        SELECT gi.*, i.name, i.slot, i.rarity, i.effect_type, i.effect_value, i.power
+        FROM guild_items gi
+        JOIN items i ON gi.item_id = i.id
+        WHERE gi.id = ${guildItemId} AND gi.guild_id = ${guildId}
+        FOR UPDATE OF gi
+      `;
+      if (!item) {
+        throw new Error('You don\'t own that item');
+      }
+      if (item.equipped) {
+        throw new Error(`${item.name} is already equipped`);
+      }
+
+      const [replaced] = await tx`
+        UPDATE guild_items gi
+        SET equipped = FALSE
+        FROM items i
+        WHERE gi.item_id = i.id
+          AND gi.guild_id = ${guildId}
+          AND gi.equipped = TRUE
+          AND i.slot = ${item.slot}
+        RETURNING gi.id, i.name
+      `;
+
+      await tx`UPDATE guild_items SET equipped = TRUE WHERE id = ${guildItemId}`;
+
+      return { success: true, item: { ...item, equipped: true }, replaced: replaced || null };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Scrap an owned, unequipped item for gold
+ * @param {number} guildId - Guild ID
+ * @param {number} guildItemId - Inventory entry ID
+ * @param {number} gold - Gold paid for it
+ * @returns {Promise<Object|null>} The scrapped item, or null if the guild doesn't own it or has it equipped
+ */
+export async function salvageItem(guildId, guildItemId, gold) {
+  return await sql.begin(async (tx) => {
+    const [item] = await tx`
+      DELETE FROM guild_items
+      WHERE id = ${guildItemId} AND guild_id = ${guildId} AND equipped = FALSE
+      RETURNING *
+    `;
+    if (!item) return null;
+
+    await tx`UPDATE guilds SET gold = gold + ${gold} WHERE id = ${guildId}`;
+    return item;
+  });
+}
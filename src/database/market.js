@@ -0,0 +1,221 @@
+import { sql } from './connection.js';
+import { MARKET } from '../config.js';
+import { calculateSaleTax } from '../game/market.js';
+import { getDailyTradeLimit } from '../game/trades.js';
+import { getGoldSentToday, getGoldReceivedToday } from './trades.js';
+
+/**
+ * Get a listing by ID
+ * @param {number} listingId - Listing ID
+ * @returns {Promise<Object|null>} Listing or null
+ */
+export async function getListingById(listingId) {
+  const [listing] = await sql`SELECT * FROM market_listings WHERE id = ${listingId}`;
+  return listing || null;
+}
+
+/**
+ * Get listings that can still be bought, cheapest per adventurer first
+ * @param {number} limit - Number of listings to return
+ * @returns {Promise<Array>} Listings with the seller's name and discord_id
+ */
+export async function getActiveListings(limit = MARKET.BROWSE_LIMIT) {
+  return await sql`
+    SELECT l.*, g.name AS seller_name, g.discord_id AS seller_discord_id
+    FROM market_listings l
+    JOIN guilds g ON l.seller_id = g.id
+    WHERE l.status = 'active' AND l.expires_at > NOW()
+    ORDER BY l.price::float / l.quantity ASC, l.created_at ASC
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Get a guild's active listings
+ * @param {number} guildId - Seller's guild ID
+ * @returns {Promise<Array>} Listings, newest first
+ */
+export async function getSellerListings(guildId) {
+  return await sql`
+    SELECT * FROM market_listings
+    WHERE seller_id = ${guildId} AND status = 'active'
+    ORDER BY created_at DESC
+  `;
+}
+
+/**
+ * List adventurers for sale - they stop working for the seller and the listing fee is paid
+ * @param {number} sellerId - Seller's guild ID
+ * @param {number} quantity - Adventurers to sell
+ * @param {number} price - Total asking price
+ * @param {number} fee - Listing fee
+ * @param {number} hours - Hours until the listing expires
+ * @returns {Promise<Object>} { success, listing } or { success: false, error }
+ */
+export async function createListing(sellerId, quantity, price, fee, hours) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [seller] = await tx`SELECT * FROM guilds WHERE id = ${sellerId} FOR UPDATE`;
+      if (!seller) {
+        throw new Error('Guild not found');
+      }
+
+      const [{ count }] = await tx`
+        SELECT COUNT(*)::int AS count FROM market_listings
+        WHERE seller_id = ${sellerId} AND status = 'active'
+      `;
+      if (count >= MARKET.MAX_ACTIVE_LISTINGS) {
+        throw new Error(`You can only have ${MARKET.MAX_ACTIVE_LISTINGS} listings at a time`);
+      }
+
+      // Same rule as getWorkingAdventurers - adventurers on a quest, already listed, on guard or recovering can't be sold
+      const injured = seller.injured_until && new Date(seller.injured_until) > new Date()
+        ? seller.injured_adventurers
+        : 0;
+      const available = seller.adventurer_count - seller.adventurers_on_quest - seller.adventurers_listed - seller.adventurers_guarding - injured;
+      if (quantity > available) {
+        throw new Error(`Only ${available} adventurer${available !== 1 ? 's are' : ' is'} available`);
+      }
+
+      if (seller.gold < fee) {
+        throw new Error('Not enough gold for the listing fee');
+      }
+
+      await tx`
+        UPDATE guilds
+        SET gold = gold - ${fee},
+            adventurers_listed = adventurers_listed + ${quantity}
+        WHERE id = ${sellerId}
+      `;
+
+      const [listing] = await tx`
+        INSERT INTO market_listings (seller_id, quantity, price, listing_fee, expires_at)
+        VALUES (${sellerId}, ${quantity}, ${price}, ${fee}, NOW() + make_interval(hours => ${hours}))
+        RETURNING *
+      `;
+
+      return { success: true, listing };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Buy a listing - the adventurers move from the seller's roster to the buyer's
+ * The listing row is locked so two buyers can't both win it
+ * The price counts against both sides' daily trade allowance, checked here so parallel sales can't exceed it
+ * @param {number} listingId - Listing ID
+ * @param {number} buyerId - Buyer's guild ID
+ * @param {number} capacity - Buyer's effective adventurer capacity
+ * @returns {Promise<Object>} { success, listing } or { success: false, error }
+ */
+export async function purchaseListing(listingId, buyerId, capacity) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [listing] = await tx`SELECT * FROM market_listings WHERE id = ${listingId} FOR UPDATE`;
+      if (!listing || listing.status !== 'active' || new Date(listing.expires_at) <= new Date()) {
+        throw new Error('This listing is no longer available');
+      }
+      if (listing.seller_id === buyerId) {
+        throw new Error('You can\'t buy your own listing');
+      }
+
+      // BIGINT columns come back as strings - compare them as numbers, not text
+      const price = Number(listing.price);
+
+      const [buyer] = await tx`SELECT * FROM guilds WHERE id = ${buyerId} FOR UPDATE`;
+      if (Number(buyer.gold) < price) {
+        throw new Error('Not enough gold');
+      }
+      if (buyer.adventurer_count + listing.quantity > capacity) {
+        throw new Error('You don\'t have room for that many adventurers');
+      }
+
+      const tax = calculateSaleTax(price);
+
+      if (await getGoldSentToday(tx, buyerId) + price > getDailyTradeLimit(buyer.level)) {
+        throw new Error('That would put you over your daily sending limit');
+      }
+      const [seller] = await tx`SELECT level FROM guilds WHERE id = ${listing.seller_id} FOR UPDATE`;
+      if (seller && await getGoldReceivedToday(tx, listing.seller_id) + price - tax > getDailyTradeLimit(seller.level)) {
+        throw new Error('The seller can\'t receive that much gold today');
+      }
+
+      // Guarded like lockBetGold so the balance can never go negative
+      const [debited] = await tx`
+        UPDATE guilds
+        SET gold = gold - ${price},
+            adventurer_count = adventurer_count + ${listing.quantity}
+        WHERE id = ${buyerId} AND gold >= ${price}
+        RETURNING id
+      `;
+      if (!debited) {
+        throw new Error('Not enough gold');
+      }
+
+      const [sold] = await tx`
+        UPDATE market_listings
+        SET status = 'sold', buyer_id = ${buyerId}, sale_tax = ${tax}, resolved_at = NOW()
+        WHERE id = ${listingId}
+        RETURNING *
+      `;
+
+      await tx`
+        UPDATE guilds
+        SET gold = gold + ${price - tax},
+            adventurer_count = GREATEST(adventurer_count - ${listing.quantity}, 0),
+            adventurers_listed = GREATEST(adventurers_listed - ${listing.quantity}, 0)
+        WHERE id = ${listing.seller_id}
+      `;
+
+      return { success: true, listing: sold };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Take an active listing off the market and put the adventurers back to work
+ * @param {number} listingId - Listing ID
+ * @param {string} status - 'cancelled' or 'expired'
+ * @returns {Promise<Object|null>} The closed listing, or null if it was already settled
+ */
+export async function closeListing(listingId, status) {
+  return await sql.begin(async (tx) => {
+    const [listing] = await tx`
+      UPDATE market_listings SET status = ${status}, resolved_at = NOW()
+      WHERE id = ${listingId} AND status = 'active'
+      RETURNING *
+    `;
+    if (!listing) return null;
+
+    await tx`
+      UPDATE guilds
+      SET adventurers_listed = GREATEST(adventurers_listed - ${listing.quantity}, 0)
+      WHERE id = ${listing.seller_id}
+    `;
+    return listing;
+  });
+}
+
+/**
+ * Get active listings past their expiry time
+ * @param {number} limit - Maximum listings to return
+ * @returns {Promise<Array>} Listings
+ */
+export async function getExpiredListings(limit = 100) {
+  return await sql`
+    SELECT * FROM market_listings
+    WHERE status = 'active' AND expires_at <= NOW()
+    ORDER BY expires_at ASC
+    LIMIT ${limit}
+  `;
+}
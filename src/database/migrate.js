@@ -196,6 +196,622 @@ const migrations = [
       CREATE INDEX IF NOT EXISTS idx_guilds_adventurers ON guilds(adventurer_count DESC);
     `,
   },
+  {
+    name: '008_server_membership',
+    sql: `
+      -- Discord servers each player has used the bot in (for server-scoped leaderboards/battles)
+      CREATE TABLE IF NOT EXISTS guild_servers (
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        server_id VARCHAR(32) NOT NULL,
+        first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (guild_id, server_id)
+      );
+
+      -- Speeds up: WHERE server_id = X (server leaderboards and random targets)
+      CREATE INDEX IF NOT EXISTS idx_guild_servers_server ON guild_servers(server_id);
+    `,
+  },
+  {
+    name: '009_daily_rewards',
+    sql: `
+      -- Daily reward streaks
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS last_daily_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS daily_streak INTEGER DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS best_daily_streak INTEGER DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_daily_claims INTEGER DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_daily_gold BIGINT DEFAULT 0;
+
+      -- Speeds up: ORDER BY best_daily_streak DESC (streak leaderboard)
+      CREATE INDEX IF NOT EXISTS idx_guilds_best_daily_streak ON guilds(best_daily_streak DESC);
+    `,
+  },
+  {
+    name: '010_quests',
+    sql: `
+      -- Timed expeditions (/quest)
+      CREATE TABLE IF NOT EXISTS quests (
+        id SERIAL PRIMARY KEY,
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        duration_key VARCHAR(8) NOT NULL,
+        risk_key VARCHAR(16) NOT NULL,
+        hours INTEGER NOT NULL,
+        adventurers_sent INTEGER NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'active',
+        started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        resolved_at TIMESTAMP WITH TIME ZONE,
+        gold_earned BIGINT DEFAULT 0,
+        xp_earned BIGINT DEFAULT 0,
+        adventurers_injured INTEGER DEFAULT 0
+      );
+
+      -- Speeds up: WHERE status = 'active' AND ends_at <= NOW() (quest resolver job)
+      CREATE INDEX IF NOT EXISTS idx_quests_status_ends ON quests(status, ends_at);
+      -- Speeds up: WHERE guild_id = X AND status = 'active'
+      CREATE INDEX IF NOT EXISTS idx_quests_guild_status ON quests(guild_id, status);
+
+      -- Adventurers away from idle production
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS adventurers_on_quest INTEGER DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS injured_adventurers INTEGER DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS injured_until TIMESTAMP WITH TIME ZONE;
+
+      -- Quest stats
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_quests_completed INTEGER DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_quest_gold BIGINT DEFAULT 0;
+
+      -- Quest return DMs default to on - the player asked for the quest
+      ALTER TABLE notification_settings ADD COLUMN IF NOT EXISTS quest_notifications_enabled BOOLEAN DEFAULT TRUE;
+    `,
+  },
+  {
+    name: '011_achievements',
+    sql: `
+      -- Achievement definitions (seeded like upgrades)
+      CREATE TABLE IF NOT EXISTS achievements (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(64) UNIQUE NOT NULL,
+        description TEXT,
+        category VARCHAR(32) NOT NULL,
+        stat_field VARCHAR(64) NOT NULL,
+        threshold BIGINT NOT NULL,
+        effect_type VARCHAR(32),
+        effect_value DECIMAL(10,4) DEFAULT 0,
+        title VARCHAR(64)
+      );
+
+      -- Achievements each guild has unlocked (kept through prestige)
+      CREATE TABLE IF NOT EXISTS guild_achievements (
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        achievement_id INTEGER REFERENCES achievements(id) ON DELETE CASCADE,
+        unlocked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (guild_id, achievement_id)
+      );
+
+      -- Title shown on the guild profile (latest titled achievement)
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS title VARCHAR(64);
+    `,
+  },
+  {
+    name: '012_alliances',
+    sql: `
+      CREATE TABLE IF NOT EXISTS alliances (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(32) NOT NULL,
+        treasury BIGINT DEFAULT 0,
+        lifetime_donations BIGINT DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Alliance names are unique regardless of case
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_alliances_name ON alliances (LOWER(name));
+
+      -- Membership lives on the guild row - a guild is in at most one alliance
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS alliance_id INTEGER REFERENCES alliances(id) ON DELETE SET NULL;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS alliance_role VARCHAR(16);
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS alliance_joined_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_alliance_donations BIGINT DEFAULT 0;
+      CREATE INDEX IF NOT EXISTS idx_guilds_alliance ON guilds (alliance_id);
+
+      CREATE TABLE IF NOT EXISTS alliance_invites (
+        alliance_id INTEGER REFERENCES alliances(id) ON DELETE CASCADE,
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        invited_by INTEGER REFERENCES guilds(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (alliance_id, guild_id)
+      );
+
+      -- Treasury buffs bought by the alliance (definitions live in config ALLIANCE.BUFFS)
+      CREATE TABLE IF NOT EXISTS alliance_buffs (
+        alliance_id INTEGER REFERENCES alliances(id) ON DELETE CASCADE,
+        buff_key VARCHAR(32) NOT NULL,
+        level INTEGER DEFAULT 0,
+        PRIMARY KEY (alliance_id, buff_key)
+      );
+    `,
+  },
+  {
+    name: '013_wars',
+    sql: `
+      -- Alliance vs alliance wars (/war)
+      CREATE TABLE IF NOT EXISTS wars (
+        id SERIAL PRIMARY KEY,
+        alliance_a_id INTEGER REFERENCES alliances(id) ON DELETE CASCADE,
+        alliance_b_id INTEGER REFERENCES alliances(id) ON DELETE CASCADE,
+        declared_by INTEGER REFERENCES guilds(id) ON DELETE SET NULL,
+        status VARCHAR(16) DEFAULT 'scheduled',
+        alliance_a_score INTEGER DEFAULT 0,
+        alliance_b_score INTEGER DEFAULT 0,
+        winner_alliance_id INTEGER REFERENCES alliances(id) ON DELETE SET NULL,
+        payout BIGINT DEFAULT 0,
+        starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        resolved_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Speeds up the war scheduler (scheduled wars to open, active wars to close)
+      CREATE INDEX IF NOT EXISTS idx_wars_status ON wars(status, starts_at, ends_at);
+      CREATE INDEX IF NOT EXISTS idx_wars_alliance_a ON wars(alliance_a_id, status);
+      CREATE INDEX IF NOT EXISTS idx_wars_alliance_b ON wars(alliance_b_id, status);
+
+      -- Roster snapshot taken when the war opens - only these guilds can attack or be attacked
+      CREATE TABLE IF NOT EXISTS war_participants (
+        war_id INTEGER REFERENCES wars(id) ON DELETE CASCADE,
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        alliance_id INTEGER REFERENCES alliances(id) ON DELETE CASCADE,
+        attacks_used INTEGER DEFAULT 0,
+        attacks_won INTEGER DEFAULT 0,
+        points INTEGER DEFAULT 0,
+        PRIMARY KEY (war_id, guild_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS war_attacks (
+        id SERIAL PRIMARY KEY,
+        war_id INTEGER REFERENCES wars(id) ON DELETE CASCADE,
+        attacker_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        defender_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        attacker_power DECIMAL(12,2),
+        defender_power DECIMAL(12,2),
+        win_chance DECIMAL(5,2),
+        won BOOLEAN NOT NULL,
+        points INTEGER DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_war_attacks_war ON war_attacks(war_id, created_at DESC);
+
+      -- War stats
+      ALTER TABLE alliances ADD COLUMN IF NOT EXISTS wars_won INTEGER DEFAULT 0;
+      ALTER TABLE alliances ADD COLUMN IF NOT EXISTS wars_lost INTEGER DEFAULT 0;
+    `,
+  },
+  {
+    name: '014_trades',
+    sql: `
+      -- Gold offers between players (/trade) - the sender's gold is held until the offer is settled
+      CREATE TABLE IF NOT EXISTS trades (
+        id SERIAL PRIMARY KEY,
+        sender_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        recipient_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        gold BIGINT NOT NULL,
+        note VARCHAR(100),
+        status VARCHAR(16) DEFAULT 'pending',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        resolved_at TIMESTAMP WITH TIME ZONE
+      );
+
+      -- Speeds up the rolling 24h limit checks and trade history
+      CREATE INDEX IF NOT EXISTS idx_trades_sender_created ON trades(sender_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_trades_recipient_created ON trades(recipient_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_trades_status_created ON trades(status, created_at);
+
+      -- Trade stats
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_trade_gold_sent BIGINT DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_trade_gold_received BIGINT DEFAULT 0;
+    `,
+  },
+  {
+    name: '015_market',
+    sql: `
+      -- Adventurers listed for sale (/market) - they stop working for the seller until sold, cancelled or expired
+      CREATE TABLE IF NOT EXISTS market_listings (
+        id SERIAL PRIMARY KEY,
+        seller_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        buyer_id INTEGER REFERENCES guilds(id) ON DELETE SET NULL,
+        quantity INTEGER NOT NULL,
+        price BIGINT NOT NULL,
+        listing_fee BIGINT DEFAULT 0,
+        sale_tax BIGINT DEFAULT 0,
+        status VARCHAR(16) DEFAULT 'active',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        resolved_at TIMESTAMP WITH TIME ZONE
+      );
+
+      -- Speeds up browsing (cheapest first), the expiry job and per-seller listing limits
+      CREATE INDEX IF NOT EXISTS idx_market_listings_status_expires ON market_listings(status, expires_at);
+      CREATE INDEX IF NOT EXISTS idx_market_listings_seller_status ON market_listings(seller_id, status);
+
+      -- Listed adventurers stay on the seller's roster (and count towards capacity) but don't work
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS adventurers_listed INTEGER DEFAULT 0;
+    `,
+  },
+  {
+    name: '016_items',
+    sql: `
+      -- Equipment definitions (seeded like upgrades)
+      CREATE TABLE IF NOT EXISTS items (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(64) UNIQUE NOT NULL,
+        description TEXT,
+        slot VARCHAR(16) NOT NULL,
+        rarity VARCHAR(16) NOT NULL,
+        effect_type VARCHAR(32),
+        effect_value DECIMAL(10,4) DEFAULT 0,
+        power INTEGER DEFAULT 0
+      );
+
+      -- Items each guild owns (kept through prestige) - one equipped per slot
+      CREATE TABLE IF NOT EXISTS guild_items (
+        id SERIAL PRIMARY KEY,
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        item_id INTEGER REFERENCES items(id) ON DELETE CASCADE,
+        equipped BOOLEAN DEFAULT FALSE,
+        source VARCHAR(16),
+        acquired_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_guild_items_guild ON guild_items(guild_id, equipped);
+
+      -- Item stats
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_items_found INTEGER DEFAULT 0;
+    `,
+  },
+  {
+    name: '017_crafting',
+    sql: `
+      -- Potion recipes (seeded like upgrades)
+      CREATE TABLE IF NOT EXISTS recipes (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(64) UNIQUE NOT NULL,
+        description TEXT,
+        effect_type VARCHAR(32) NOT NULL,
+        effect_value DECIMAL(10,4) DEFAULT 0,
+        duration_minutes INTEGER DEFAULT 0,
+        herbs INTEGER DEFAULT 0,
+        ore INTEGER DEFAULT 0,
+        arcane_dust INTEGER DEFAULT 0,
+        required_level INTEGER DEFAULT 1
+      );
+
+      -- Crafting materials
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS herbs INTEGER DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS ore INTEGER DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS arcane_dust INTEGER DEFAULT 0;
+
+      -- Active potion boosts (one gold and one XP boost at a time)
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS gold_boost DECIMAL(6,4) DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS gold_boost_until TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS xp_boost DECIMAL(6,4) DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS xp_boost_until TIMESTAMP WITH TIME ZONE;
+
+      -- Crafting stats
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_materials_gathered BIGINT DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_potions_crafted INTEGER DEFAULT 0;
+    `,
+  },
+  {
+    name: '018_roster',
+    sql: `
+      -- Named adventurers - up to ROSTER.MAX_NAMED per guild, adventurer_count stays the real total
+      CREATE TABLE IF NOT EXISTS adventurers (
+        id SERIAL PRIMARY KEY,
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        name VARCHAR(64) NOT NULL,
+        class VARCHAR(16) NOT NULL,
+        trait VARCHAR(16) NOT NULL,
+        level INTEGER DEFAULT 1,
+        xp INTEGER DEFAULT 0,
+        recruited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_adventurers_guild ON adventurers(guild_id, level DESC);
+
+      -- Roster composition bonuses, recalculated whenever the roster changes
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS roster_gold_bonus DECIMAL(8,4) DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS roster_power DECIMAL(10,2) DEFAULT 0;
+
+      -- Roster stats
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_promotions INTEGER DEFAULT 0;
+    `,
+  },
+  {
+    name: '019_morale',
+    sql: `
+      -- Morale at morale_updated_at (it decays from there)
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS morale DECIMAL(5,2) DEFAULT 100;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS morale_updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+      -- Production lost to low morale between last_collected_at and morale_updated_at, in hours
+      -- Lets /grind and facilities lift morale without settling idle earnings first
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS morale_penalty_hours DECIMAL(10,4) DEFAULT 0;
+    `,
+  },
+  {
+    name: '020_world_bosses',
+    sql: `
+      -- Server-wide raid bosses (/raid)
+      CREATE TABLE IF NOT EXISTS world_bosses (
+        id SERIAL PRIMARY KEY,
+        boss_key VARCHAR(32) NOT NULL,
+        max_hp BIGINT NOT NULL,
+        hp BIGINT NOT NULL,
+        status VARCHAR(16) DEFAULT 'active',
+        ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        resolved_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Only one boss is out at a time
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_world_bosses_one_active ON world_bosses ((status)) WHERE status = 'active';
+      CREATE INDEX IF NOT EXISTS idx_world_bosses_resolved ON world_bosses(resolved_at DESC);
+
+      -- Damage each guild dealt, and what it earned once the boss was resolved
+      CREATE TABLE IF NOT EXISTS boss_contributions (
+        boss_id INTEGER REFERENCES world_bosses(id) ON DELETE CASCADE,
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        damage BIGINT DEFAULT 0,
+        attacks INTEGER DEFAULT 0,
+        last_attack_at TIMESTAMP WITH TIME ZONE,
+        reward_tier VARCHAR(16),
+        reward_gold BIGINT DEFAULT 0,
+        reward_xp BIGINT DEFAULT 0,
+        PRIMARY KEY (boss_id, guild_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_boss_contributions_damage ON boss_contributions(boss_id, damage DESC);
+
+      -- Raid stats
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_boss_damage BIGINT DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_bosses_defeated INTEGER DEFAULT 0;
+    `,
+  },
+  {
+    name: '021_seasons',
+    sql: `
+      -- Seasonal ladder (/season) - the season's ID is its number
+      CREATE TABLE IF NOT EXISTS seasons (
+        id SERIAL PRIMARY KEY,
+        status VARCHAR(16) DEFAULT 'active',
+        starts_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        resolved_at TIMESTAMP WITH TIME ZONE
+      );
+
+      -- Only one season runs at a time
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_one_active ON seasons ((status)) WHERE status = 'active';
+
+      -- Per-season counters - they stop moving when the season ends, so a closed season's rows are its archived standings
+      CREATE TABLE IF NOT EXISTS season_stats (
+        season_id INTEGER REFERENCES seasons(id) ON DELETE CASCADE,
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        gold_earned BIGINT DEFAULT 0,
+        battles_won INTEGER DEFAULT 0,
+        reward_gold BIGINT DEFAULT 0,
+        reward_xp BIGINT DEFAULT 0,
+        PRIMARY KEY (season_id, guild_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_season_stats_gold ON season_stats(season_id, gold_earned DESC);
+      CREATE INDEX IF NOT EXISTS idx_season_stats_battles ON season_stats(season_id, battles_won DESC);
+
+      -- Season stats
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_season_rewards INTEGER DEFAULT 0;
+    `,
+  },
+  {
+    name: '022_battle_rating',
+    sql: `
+      -- ELO-style battle rating, used for ranked matchmaking and the rating leaderboard
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS rating INTEGER DEFAULT 1000;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS peak_rating INTEGER DEFAULT 1000;
+      CREATE INDEX IF NOT EXISTS idx_guilds_rating ON guilds(rating DESC);
+
+      -- How much each battle moved both sides' ratings
+      ALTER TABLE battles ADD COLUMN IF NOT EXISTS attacker_rating_change INTEGER DEFAULT 0;
+      ALTER TABLE battles ADD COLUMN IF NOT EXISTS defender_rating_change INTEGER DEFAULT 0;
+    `,
+  },
+  {
+    name: '023_defense',
+    sql: `
+      -- Adventurers standing guard (/defense guards) - they stay home instead of producing idle income
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS adventurers_guarding INTEGER DEFAULT 0;
+
+      -- Fortifications built, in DEFENSE.FORTIFICATIONS order
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS fortification_level INTEGER DEFAULT 0;
+    `,
+  },
+  {
+    name: '024_battle_replays',
+    sql: `
+      -- Round-by-round combat log from resolveCombat, replayed with /battles replay:<id>
+      ALTER TABLE battles ADD COLUMN IF NOT EXISTS combat_log JSONB;
+    `,
+  },
+  {
+    name: '025_tournaments',
+    sql: `
+      -- Player-run PvP tournaments (/tournament) - one open or running per Discord server
+      CREATE TABLE IF NOT EXISTS tournaments (
+        id SERIAL PRIMARY KEY,
+        server_id VARCHAR(20) NOT NULL,
+        channel_id VARCHAR(20),
+        name VARCHAR(64) NOT NULL,
+        format VARCHAR(16) NOT NULL,
+        entry_fee BIGINT DEFAULT 0,
+        max_entrants INTEGER NOT NULL,
+        prize_pool BIGINT DEFAULT 0,
+        host_guild_id INTEGER REFERENCES guilds(id) ON DELETE SET NULL,
+        status VARCHAR(16) DEFAULT 'open',
+        current_round INTEGER DEFAULT 0,
+        total_rounds INTEGER DEFAULT 0,
+        next_round_at TIMESTAMP WITH TIME ZONE,
+        winner_guild_id INTEGER REFERENCES guilds(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        started_at TIMESTAMP WITH TIME ZONE,
+        resolved_at TIMESTAMP WITH TIME ZONE
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_tournaments_one_open ON tournaments (server_id) WHERE status IN ('open', 'running');
+      CREATE INDEX IF NOT EXISTS idx_tournaments_server ON tournaments (server_id, resolved_at DESC);
+
+      -- Entrants - seed is set when the tournament starts, placement and prize when it ends
+      CREATE TABLE IF NOT EXISTS tournament_entrants (
+        tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        seed INTEGER,
+        points INTEGER DEFAULT 0,
+        eliminated_round INTEGER,
+        placement INTEGER,
+        prize BIGINT DEFAULT 0,
+        joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (tournament_id, guild_id)
+      );
+
+      -- One row per pairing; guild_b_id is NULL for a bye
+      CREATE TABLE IF NOT EXISTS tournament_matches (
+        id SERIAL PRIMARY KEY,
+        tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+        round INTEGER NOT NULL,
+        slot INTEGER NOT NULL,
+        guild_a_id INTEGER REFERENCES guilds(id) ON DELETE SET NULL,
+        guild_b_id INTEGER REFERENCES guilds(id) ON DELETE SET NULL,
+        winner_id INTEGER REFERENCES guilds(id) ON DELETE SET NULL,
+        guild_a_power DECIMAL(12,2),
+        guild_b_power DECIMAL(12,2),
+        win_chance DECIMAL(5,2),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_tournament_matches_round ON tournament_matches (tournament_id, round, slot);
+
+      -- Tournament stats
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_tournaments_won INTEGER DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_tournament_gold BIGINT DEFAULT 0;
+    `,
+  },
+  {
+    name: '026_bounties',
+    sql: `
+      -- Bounty board (/bounty) - the amount is held in escrow until it's claimed, cancelled or expires
+      CREATE TABLE IF NOT EXISTS bounties (
+        id SERIAL PRIMARY KEY,
+        poster_guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        target_guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        amount BIGINT NOT NULL,
+        status VARCHAR(16) DEFAULT 'active',
+        claimed_by_guild_id INTEGER REFERENCES guilds(id) ON DELETE SET NULL,
+        battle_id INTEGER REFERENCES battles(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        resolved_at TIMESTAMP WITH TIME ZONE
+      );
+      CREATE INDEX IF NOT EXISTS idx_bounties_target ON bounties(target_guild_id) WHERE status = 'active';
+      CREATE INDEX IF NOT EXISTS idx_bounties_poster ON bounties(poster_guild_id) WHERE status = 'active';
+      CREATE INDEX IF NOT EXISTS idx_bounties_expires ON bounties(expires_at) WHERE status = 'active';
+
+      -- Bounty stats
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_bounties_claimed INTEGER DEFAULT 0;
+      ALTER TABLE guilds ADD COLUMN IF NOT EXISTS lifetime_bounty_gold BIGINT DEFAULT 0;
+    `,
+  },
+  {
+    name: '027_battle_challenges',
+    sql: `
+      -- Consent challenges waiting on the defender - the bet is held until it's accepted, declined or expires
+      CREATE TABLE IF NOT EXISTS battle_challenges (
+        id SERIAL PRIMARY KEY,
+        attacker_guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        defender_guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        attacker_discord_id VARCHAR(32) NOT NULL,
+        defender_discord_id VARCHAR(32) NOT NULL,
+        bet_amount BIGINT NOT NULL,
+        channel_id VARCHAR(20),
+        message_id VARCHAR(20),
+        status VARCHAR(16) DEFAULT 'pending',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        resolved_at TIMESTAMP WITH TIME ZONE
+      );
+      CREATE INDEX IF NOT EXISTS idx_battle_challenges_pending ON battle_challenges(expires_at) WHERE status = 'pending';
+
+      -- Free revenge windows opened by lopsided battles - each can be used once
+      CREATE TABLE IF NOT EXISTS revenge_tokens (
+        id SERIAL PRIMARY KEY,
+        battle_id INTEGER REFERENCES battles(id) ON DELETE SET NULL,
+        attacker_guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        defender_guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        attacker_discord_id VARCHAR(32) NOT NULL,
+        defender_discord_id VARCHAR(32) NOT NULL,
+        status VARCHAR(16) DEFAULT 'open',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE
+      );
+      CREATE INDEX IF NOT EXISTS idx_revenge_tokens_open ON revenge_tokens(expires_at) WHERE status = 'open';
+    `,
+  },
+  {
+    name: '028_grind_sessions',
+    sql: `
+      -- Shared /grind sessions (GRIND_SESSION_STORE=postgres) - clicks are counted here before they're flushed to the guild
+      CREATE TABLE IF NOT EXISTS grind_sessions (
+        id SERIAL PRIMARY KEY,
+        discord_id VARCHAR(32) UNIQUE NOT NULL,
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        gold_per_click INTEGER NOT NULL,
+        xp_per_click INTEGER NOT NULL,
+        base_gold BIGINT NOT NULL,
+        base_xp BIGINT NOT NULL,
+        total_clicks INTEGER DEFAULT 0,
+        flushed_clicks INTEGER DEFAULT 0,
+        throttled_clicks INTEGER DEFAULT 0,
+        window_started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        window_clicks INTEGER DEFAULT 0,
+        material_multipliers JSONB DEFAULT '{}',
+        materials JSONB DEFAULT '{}',
+        started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_click_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+      );
+    `,
+  },
+  {
+    name: '029_grind_anticheat',
+    sql: `
+      -- Click cadence checks - weighted clicks, recent click gaps and button shuffle challenges
+      ALTER TABLE grind_sessions ADD COLUMN IF NOT EXISTS credited_clicks DOUBLE PRECISION DEFAULT 0;
+      ALTER TABLE grind_sessions ADD COLUMN IF NOT EXISTS click_intervals INTEGER[] DEFAULT '{}';
+      ALTER TABLE grind_sessions ADD COLUMN IF NOT EXISTS challenge_answer SMALLINT;
+      ALTER TABLE grind_sessions ADD COLUMN IF NOT EXISTS last_challenge_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE grind_sessions ADD COLUMN IF NOT EXISTS challenges_passed INTEGER DEFAULT 0;
+      ALTER TABLE grind_sessions ADD COLUMN IF NOT EXISTS challenges_failed INTEGER DEFAULT 0;
+
+      -- Sessions counted before weighting was added were paid per click
+      UPDATE grind_sessions SET credited_clicks = total_clicks WHERE credited_clicks = 0;
+
+      -- Grind sessions whose clicking looked automated, kept after the session ends for the report
+      CREATE TABLE IF NOT EXISTS grind_flags (
+        id SERIAL PRIMARY KEY,
+        guild_id INTEGER REFERENCES guilds(id) ON DELETE CASCADE,
+        discord_id VARCHAR(32) NOT NULL,
+        reason VARCHAR(32) NOT NULL,
+        clicks_per_second REAL,
+        interval_variation REAL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_grind_flags_guild ON grind_flags(guild_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_grind_flags_created ON grind_flags(created_at);
+    `,
+  },
 ];
 
 async function migrate() {
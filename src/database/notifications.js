@@ -116,7 +116,36 @@ export async function getGuildsEligibleForReminder() {
            WHERE gpu.guild_id = g.id
          ) p
         ), '[]'::json
-      ) as prestige_upgrades
+      ) as prestige_upgrades,
+      COALESCE(
+        (SELECT json_agg(row_to_json(a))
+         FROM (
+           SELECT ach.effect_type, ach.effect_value
+           FROM guild_achievements ga
+           JOIN achievements ach ON ga.achievement_id = ach.id
+           WHERE ga.guild_id = g.id
+         ) a
+        ), '[]'::json
+      ) as achievements,
+      COALESCE(
+        (SELECT json_agg(row_to_json(b))
+         FROM (
+           SELECT ab.buff_key, ab.level
+           FROM alliance_buffs ab
+           WHERE ab.alliance_id = g.alliance_id
+         ) b
+        ), '[]'::json
+      ) as alliance_buffs,
+      COALESCE(
+        (SELECT json_agg(row_to_json(e))
+         FROM (
+           SELECT i.effect_type, i.effect_value
+           FROM guild_items gi
+           JOIN items i ON gi.item_id = i.id
+           WHERE gi.guild_id = g.id AND gi.equipped = TRUE
+         ) e
+        ), '[]'::json
+      ) as equipment
     FROM guilds g
     JOIN notification_settings ns ON g.id = ns.guild_id
     WHERE ns.dm_reminders_enabled = TRUE
@@ -158,21 +187,55 @@ export async function disableBattleNotifications(guildId) {
   return settings;
 }
 
+/**
+ * Enable quest return notifications for a guild
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object>} Updated settings
+ */
+export async function enableQuestNotifications(guildId) {
+  const [settings] = await sql`
+    INSERT INTO notification_settings (guild_id, quest_notifications_enabled)
+    VALUES (${guildId}, TRUE)
+    ON CONFLICT (guild_id) 
+    DO UPDATE SET quest_notifications_enabled = TRUE
+    RETURNING *
+  `;
+  return settings;
+}
+
+/**
+ * Disable quest return notifications for a guild
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object>} Updated settings
+ */
+export async function disableQuestNotifications(guildId) {
+  const [settings] = await sql`
+    INSERT INTO notification_settings (guild_id, quest_notifications_enabled)
+    VALUES (${guildId}, FALSE)
+    ON CONFLICT (guild_id) 
+    DO UPDATE SET quest_notifications_enabled = FALSE
+    RETURNING *
+  `;
+  return settings;
+}
+
 /**
  * Update all notification settings at once (for onboarding flow)
  * @param {number} guildId - Guild ID
  * @param {boolean} collectionReminders - Enable collection reminders
  * @param {boolean} battleNotifications - Enable battle notifications
+ * @param {boolean|null} questNotifications - Enable quest notifications (null leaves it unchanged)
  * @returns {Promise<Object>} Updated settings
  */
-export async function updateAllNotificationSettings(guildId, collectionReminders, battleNotifications) {
+export async function updateAllNotificationSettings(guildId, collectionReminders, battleNotifications, questNotifications = null) {
   const [settings] = await sql`
-    INSERT INTO notification_settings (guild_id, dm_reminders_enabled, battle_notifications_enabled, dm_failures)
-    VALUES (${guildId}, ${collectionReminders}, ${battleNotifications}, 0)
+    INSERT INTO notification_settings (guild_id, dm_reminders_enabled, battle_notifications_enabled, quest_notifications_enabled, dm_failures)
+    VALUES (${guildId}, ${collectionReminders}, ${battleNotifications}, COALESCE(${questNotifications}::boolean, TRUE), 0)
     ON CONFLICT (guild_id) 
     DO UPDATE SET 
       dm_reminders_enabled = ${collectionReminders}, 
       battle_notifications_enabled = ${battleNotifications},
+      quest_notifications_enabled = COALESCE(${questNotifications}::boolean, notification_settings.quest_notifications_enabled),
       dm_failures = 0
     RETURNING *
   `;
@@ -232,13 +232,61 @@ export async function executePrestige(guildId, prestigeUpgrades = []) {
           prestige_level = prestige_level + 1,
           prestige_points = prestige_points + ${totalPoints},
           total_prestige_points_earned = total_prestige_points_earned + ${totalPoints},
-          lifetime_prestiges = lifetime_prestiges + 1
+          lifetime_prestiges = lifetime_prestiges + 1,
+          adventurers_on_quest = 0,
+          adventurers_listed = 0,
+          adventurers_guarding = 0,
+          fortification_level = 0,
+          injured_adventurers = 0,
+          injured_until = NULL
         WHERE id = ${guildId}
       `;
       
       // Clear all regular upgrades
       await tx`DELETE FROM guild_upgrades WHERE guild_id = ${guildId}`;
       
+      // The roster starts over, so any party still out on a quest never comes back
+      await tx`
+        UPDATE quests SET status = 'abandoned', resolved_at = NOW()
+        WHERE guild_id = ${guildId} AND status = 'active'
+      `;
+      
+      // Listed adventurers were part of that roster too, so their listings come off the market
+      await tx`
+        UPDATE market_listings SET status = 'cancelled', resolved_at = NOW()
+        WHERE seller_id = ${guildId} AND status = 'active'
+      `;
+      
+      // Escrowed bounty gold is part of the gold being reset - it's forfeited, not refunded
+      await tx`
+        UPDATE bounties SET status = 'forfeited', resolved_at = NOW()
+        WHERE poster_guild_id = ${guildId} AND status = 'active'
+      `;
+      
+      // Gold held in pending trade offers goes the same way
+      await tx`
+        UPDATE trades SET status = 'forfeited', resolved_at = NOW()
+        WHERE sender_id = ${guildId} AND status = 'pending'
+      `;
+      
+      // And bets locked in battle challenges nobody has answered yet
+      await tx`
+        UPDATE battle_challenges SET status = 'forfeited', resolved_at = NOW()
+        WHERE attacker_guild_id = ${guildId} AND status = 'pending'
+      `;
+      
+      // Same for entry fees in tournaments still taking signups - the guild withdraws and its fee leaves the pool,
+      // so a later cancellation can't refund it into the new run
+      const withdrawn = await tx`
+        DELETE FROM tournament_entrants te
+        USING tournaments t
+        WHERE te.tournament_id = t.id AND te.guild_id = ${guildId} AND t.status = 'open'
+        RETURNING te.tournament_id
+      `;
+      for (const { tournament_id: tournamentId } of withdrawn) {
+        await tx`UPDATE tournaments SET prize_pool = prize_pool - entry_fee WHERE id = ${tournamentId}`;
+      }
+      
       // Get updated guild before committing (still in transaction)
       const [updatedGuild] = await tx`SELECT * FROM guilds WHERE id = ${guildId}`;
       
@@ -0,0 +1,137 @@
+import { sql } from './connection.js';
+import { recordSeasonProgress } from './seasons.js';
+
+/**
+ * Get a guild's active quest (one at a time)
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object|null>} Active quest or null
+ */
+export async function getActiveQuest(guildId) {
+  const [quest] = await sql`
+    SELECT * FROM quests
+    WHERE guild_id = ${guildId} AND status = 'active'
+    LIMIT 1
+  `;
+  return quest || null;
+}
+
+/**
+ * Send adventurers on a quest
+ * Locks the guild row so the party can't be double-booked by concurrent commands
+ * @param {number} guildId - Guild ID
+ * @param {Object} params - Quest parameters
+ * @param {string} params.durationKey - Key of QUEST.DURATIONS
+ * @param {string} params.riskKey - Key of QUEST.RISKS
+ * @param {number} params.hours - Quest length in hours
+ * @param {number} params.adventurers - Adventurers to send
+ * @returns {Promise<Object>} { success, quest } or { success: false, error }
+ */
+export async function startQuest(guildId, { durationKey, riskKey, hours, adventurers }) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [guild] = await tx`SELECT * FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+      if (!guild) {
+        throw new Error('Guild not found');
+      }
+
+      const [active] = await tx`SELECT id FROM quests WHERE guild_id = ${guildId} AND status = 'active'`;
+      if (active) {
+        throw new Error('Your adventurers are already on a quest');
+      }
+
+      // Same rule as getWorkingAdventurers - injured adventurers and guards can't go
+      const injured = guild.injured_until && new Date(guild.injured_until) > new Date()
+        ? guild.injured_adventurers
+        : 0;
+      const available = guild.adventurer_count - guild.adventurers_on_quest - guild.adventurers_listed - guild.adventurers_guarding - injured;
+      if (adventurers > available) {
+        throw new Error(`Only ${available} adventurer${available !== 1 ? 's are' : ' is'} available`);
+      }
+
+      const [quest] = await tx`
+        INSERT INTO quests (guild_id, duration_key, risk_key, hours, adventurers_sent, ends_at)
+        VALUES (${guildId}, ${durationKey}, ${riskKey}, ${hours}, ${adventurers}, NOW() + make_interval(hours => ${hours}))
+        RETURNING *
+      `;
+
+      await tx`
+        UPDATE guilds
+        SET adventurers_on_quest = adventurers_on_quest + ${adventurers}
+        WHERE id = ${guildId}
+      `;
+
+      return { success: true, quest };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get active quests that have finished and are waiting to be resolved
+ * @param {number} limit - Maximum quests to return
+ * @returns {Promise<Array>} Quests with the owner's discord_id and guild name
+ */
+export async function getDueQuests(limit = 100) {
+  return await sql`
+    SELECT q.*, g.discord_id, g.name AS guild_name
+    FROM quests q
+    JOIN guilds g ON g.id = q.guild_id
+    WHERE q.status = 'active' AND q.ends_at <= NOW()
+    ORDER BY q.ends_at
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Complete a quest - records the outcome, pays loot and brings the party home
+ * Injured adventurers are added to any still recovering, and the recovery timer restarts
+ * @param {number} questId - Quest ID
+ * @param {Object} outcome - { gold, xp, injured }
+ * @param {number} recoveryHours - How long injured adventurers are out of action
+ * @returns {Promise<Object|null>} { quest, guild } or null if the quest was already resolved
+ */
+export async function completeQuest(questId, { gold, xp, injured }, recoveryHours) {
+  return await sql.begin(async (tx) => {
+    const [quest] = await tx`
+      UPDATE quests
+      SET status = 'completed',
+          gold_earned = ${gold},
+          xp_earned = ${xp},
+          adventurers_injured = ${injured},
+          resolved_at = NOW()
+      WHERE id = ${questId} AND status = 'active'
+      RETURNING *
+    `;
+    if (!quest) return null;
+
+    const [guild] = await tx`
+      UPDATE guilds
+      SET gold = gold + ${gold},
+          xp = xp + ${xp},
+          adventurers_on_quest = GREATEST(adventurers_on_quest - ${quest.adventurers_sent}, 0),
+          injured_adventurers = CASE
+            WHEN ${injured} = 0 THEN injured_adventurers
+            WHEN injured_until > NOW() THEN injured_adventurers + ${injured}
+            ELSE ${injured}
+          END,
+          injured_until = CASE
+            WHEN ${injured} = 0 THEN injured_until
+            ELSE NOW() + make_interval(hours => ${recoveryHours})
+          END,
+          lifetime_gold_earned = lifetime_gold_earned + ${gold},
+          lifetime_xp_earned = lifetime_xp_earned + ${xp},
+          lifetime_quests_completed = lifetime_quests_completed + 1,
+          lifetime_quest_gold = lifetime_quest_gold + ${gold},
+          peak_gold_balance = GREATEST(peak_gold_balance, gold + ${gold})
+      WHERE id = ${quest.guild_id}
+      RETURNING *
+    `;
+    await recordSeasonProgress(tx, quest.guild_id, { gold });
+
+    return { quest, guild };
+  });
+}
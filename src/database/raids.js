@@ -0,0 +1,208 @@
+import { sql } from './connection.js';
+import { recordSeasonProgress } from './seasons.js';
+
+/**
+ * Get the world boss that is currently out
+ * @returns {Promise<Object|null>} Active boss, or null
+ */
+export async function getActiveBoss() {
+  const [boss] = await sql`
+    SELECT * FROM world_bosses WHERE status = 'active' LIMIT 1
+  `;
+  return boss || null;
+}
+
+/**
+ * Get a world boss by ID
+ * @param {number} bossId - Boss ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getBossById(bossId) {
+  const [boss] = await sql`SELECT * FROM world_bosses WHERE id = ${bossId}`;
+  return boss || null;
+}
+
+/**
+ * Get the most recently resolved world boss
+ * @returns {Promise<Object|null>} Defeated or escaped boss, or null if there hasn't been one
+ */
+export async function getLastBoss() {
+  const [boss] = await sql`
+    SELECT * FROM world_bosses
+    WHERE status IN ('defeated', 'escaped')
+    ORDER BY resolved_at DESC
+    LIMIT 1
+  `;
+  return boss || null;
+}
+
+/**
+ * Count guilds that collected recently - sizes a new boss's HP
+ * @param {number} hours - How far back counts as recent
+ * @returns {Promise<number>}
+ */
+export async function countActiveGuilds(hours) {
+  const [{ count }] = await sql`
+    SELECT COUNT(*)::int AS count FROM guilds
+    WHERE last_collected_at > NOW() - make_interval(hours => ${hours})
+  `;
+  return count;
+}
+
+/**
+ * Spawn a world boss unless one is already out
+ * @param {string} bossKey - Key into RAID.BOSSES
+ * @param {number} hp - Starting HP
+ * @param {number} durationHours - Time before it escapes
+ * @returns {Promise<Object|null>} The new boss, or null if another boss is active
+ */
+export async function spawnBoss(bossKey, hp, durationHours) {
+  const [boss] = await sql`
+    INSERT INTO world_bosses (boss_key, max_hp, hp, ends_at)
+    SELECT ${bossKey}, ${hp}, ${hp}, NOW() + make_interval(hours => ${durationHours})
+    WHERE NOT EXISTS (SELECT 1 FROM world_bosses WHERE status = 'active')
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `;
+  return boss || null;
+}
+
+/**
+ * Get active bosses that have been killed or whose time is up
+ * @returns {Promise<Array>}
+ */
+export async function getBossesToClose() {
+  return await sql`
+    SELECT * FROM world_bosses
+    WHERE status = 'active' AND (hp <= 0 OR ends_at <= NOW())
+    ORDER BY ends_at
+  `;
+}
+
+/**
+ * Get every guild's contribution to a boss, biggest damage first
+ * @param {number} bossId - Boss ID
+ * @returns {Promise<Array>} Contributions with the guild's discord_id and name
+ */
+export async function getBossContributions(bossId) {
+  return await sql`
+    SELECT bc.*, g.discord_id, g.name
+    FROM boss_contributions bc
+    JOIN guilds g ON g.id = bc.guild_id
+    WHERE bc.boss_id = ${bossId}
+    ORDER BY bc.damage DESC, bc.last_attack_at
+  `;
+}
+
+/**
+ * Get one guild's contribution to a boss
+ * @param {number} bossId - Boss ID
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object|null>} Contribution, or null if the guild hasn't attacked it
+ */
+export async function getBossContribution(bossId, guildId) {
+  const [contribution] = await sql`
+    SELECT * FROM boss_contributions WHERE boss_id = ${bossId} AND guild_id = ${guildId}
+  `;
+  return contribution || null;
+}
+
+/**
+ * Record an attack on a boss - takes the damage off its HP and adds it to the guild's contribution
+ * The boss row is locked so the killing blow can only land once and nothing lands after the timer
+ * @param {number} bossId - Boss ID
+ * @param {number} guildId - Attacking guild ID
+ * @param {number} damage - Damage rolled (only what's left of the boss's HP counts)
+ * @param {number} cooldownMinutes - Time a guild must wait between attacks
+ * @returns {Promise<Object>} { success, boss, contribution, damage } or { success: false, error }
+ */
+export async function recordBossAttack(bossId, guildId, damage, cooldownMinutes) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [boss] = await tx`SELECT * FROM world_bosses WHERE id = ${bossId} FOR UPDATE`;
+      if (!boss || boss.status !== 'active' || boss.hp <= 0 || new Date(boss.ends_at) <= new Date()) {
+        throw new Error('This boss is no longer taking hits');
+      }
+
+      const [recent] = await tx`
+        SELECT 1 FROM boss_contributions
+        WHERE boss_id = ${bossId} AND guild_id = ${guildId}
+          AND last_attack_at > NOW() - make_interval(mins => ${cooldownMinutes})
+      `;
+      if (recent) {
+        throw new Error('Your adventurers are still catching their breath');
+      }
+
+      const dealt = Math.min(damage, Number(boss.hp));
+
+      const [updatedBoss] = await tx`
+        UPDATE world_bosses SET hp = hp - ${dealt} WHERE id = ${bossId} RETURNING *
+      `;
+
+      const [contribution] = await tx`
+        INSERT INTO boss_contributions (boss_id, guild_id, damage, attacks, last_attack_at)
+        VALUES (${bossId}, ${guildId}, ${dealt}, 1, NOW())
+        ON CONFLICT (boss_id, guild_id)
+        DO UPDATE SET damage = boss_contributions.damage + ${dealt},
+                      attacks = boss_contributions.attacks + 1,
+                      last_attack_at = NOW()
+        RETURNING *
+      `;
+
+      await tx`UPDATE guilds SET lifetime_boss_damage = lifetime_boss_damage + ${dealt} WHERE id = ${guildId}`;
+
+      return { success: true, boss: updatedBoss, contribution, damage: dealt };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Close a boss and pay its contributors
+ * @param {number} bossId - Boss ID
+ * @param {string} status - 'defeated' or 'escaped'
+ * @param {Array} rewards - { guildId, tier, gold, xp } per contributor
+ * @returns {Promise<Object|null>} { boss, guilds } (updated guild rows) or null if it was already closed
+ */
+export async function completeBoss(bossId, status, rewards) {
+  return await sql.begin(async (tx) => {
+    const [boss] = await tx`
+      UPDATE world_bosses
+      SET status = ${status}, resolved_at = NOW()
+      WHERE id = ${bossId} AND status = 'active'
+      RETURNING *
+    `;
+    if (!boss) return null;
+
+    const guilds = [];
+    for (const { guildId, tier, gold, xp } of rewards) {
+      await tx`
+        UPDATE boss_contributions
+        SET reward_tier = ${tier}, reward_gold = ${gold}, reward_xp = ${xp}
+        WHERE boss_id = ${bossId} AND guild_id = ${guildId}
+      `;
+
+      const [guild] = await tx`
+        UPDATE guilds
+        SET gold = gold + ${gold},
+            xp = xp + ${xp},
+            lifetime_gold_earned = lifetime_gold_earned + ${gold},
+            lifetime_xp_earned = lifetime_xp_earned + ${xp},
+            lifetime_bosses_defeated = lifetime_bosses_defeated + ${status === 'defeated' ? 1 : 0},
+            peak_gold_balance = GREATEST(peak_gold_balance, gold + ${gold})
+        WHERE id = ${guildId}
+        RETURNING *
+      `;
+      if (guild) {
+        await recordSeasonProgress(tx, guildId, { gold });
+        guilds.push(guild);
+      }
+    }
+
+    return { boss, guilds };
+  });
+}
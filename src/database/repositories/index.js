@@ -0,0 +1,109 @@
+import { postgresRepositories } from './postgres.js';
+
+/**
+ * Repository layer - every database read/write in commands, jobs and game logic goes through here
+ * Defaults to Postgres; tests swap in createMemoryRepositories() to run command flows offline
+ *
+ * Usage: await repos.guilds.getGuildWithData(discordId)
+ */
+
+let activeRepositories = null;
+
+/**
+ * Get the active repository implementation
+ * @returns {{guilds: Object, upgrades: Object, battles: Object, prestige: Object, notifications: Object, servers: Object, quests: Object, achievements: Object, alliances: Object, wars: Object, trades: Object, market: Object, items: Object, crafting: Object, roster: Object, raids: Object, seasons: Object, defense: Object, tournaments: Object, bounties: Object, challenges: Object, grindSessions: Object, grindFlags: Object}}
+ */
+export function getRepositories() {
+  return activeRepositories || postgresRepositories;
+}
+
+/**
+ * Replace the active repository implementation
+ * @param {Object} repositories - Object with guilds, upgrades, battles, prestige, notifications, servers, quests, achievements, alliances, wars, trades, market, items, crafting, roster, raids, seasons, defense, tournaments, bounties, challenges, grindSessions and grindFlags repositories
+ */
+export function setRepositories(repositories) {
+  activeRepositories = repositories;
+}
+
+/**
+ * Restore the default Postgres repositories
+ */
+export function resetRepositories() {
+  activeRepositories = null;
+}
+
+/**
+ * Live view of the active repositories
+ * Property access is resolved on every call, so swapping implementations takes effect immediately
+ */
+export const repos = {
+  get guilds() {
+    return getRepositories().guilds;
+  },
+  get upgrades() {
+    return getRepositories().upgrades;
+  },
+  get battles() {
+    return getRepositories().battles;
+  },
+  get prestige() {
+    return getRepositories().prestige;
+  },
+  get notifications() {
+    return getRepositories().notifications;
+  },
+  get servers() {
+    return getRepositories().servers;
+  },
+  get quests() {
+    return getRepositories().quests;
+  },
+  get achievements() {
+    return getRepositories().achievements;
+  },
+  get alliances() {
+    return getRepositories().alliances;
+  },
+  get wars() {
+    return getRepositories().wars;
+  },
+  get trades() {
+    return getRepositories().trades;
+  },
+  get market() {
+    return getRepositories().market;
+  },
+  get items() {
+    return getRepositories().items;
+  },
+  get crafting() {
+    return getRepositories().crafting;
+  },
+  get roster() {
+    return getRepositories().roster;
+  },
+  get raids() {
+    return getRepositories().raids;
+  },
+  get seasons() {
+    return getRepositories().seasons;
+  },
+  get defense() {
+    return getRepositories().defense;
+  },
+  get tournaments() {
+    return getRepositories().tournaments;
+  },
+  get bounties() {
+    return getRepositories().bounties;
+  },
+  get challenges() {
+    return getRepositories().challenges;
+  },
+  get grindSessions() {
+    return getRepositories().grindSessions;
+  },
+  get grindFlags() {
+    return getRepositories().grindFlags;
+  },
+};
@@ -0,0 +1,3141 @@
+import { GAME, DAILY, ALLIANCE, WAR, TRADE, MARKET, ROSTER, MORALE } from '../../config.js';
+import {
+  upgrades as seedUpgrades,
+  prestigeUpgrades as seedPrestigeUpgrades,
+  achievements as seedAchievements,
+  items as seedItems,
+  recipes as seedRecipes,
+} from '../seed.js';
+import { evaluateTargetCooldown } from '../battles.js';
+import {
+  canPrestige,
+  calculatePrestigeRewards,
+  calculateStartingValues,
+  getPrestigeUpgradeEffect,
+} from '../prestige.js';
+import { random } from '../../game/random.js';
+import { getDailyTradeLimit } from '../../game/trades.js';
+import { calculateSaleTax } from '../../game/market.js';
+import { stackBoost } from '../../game/crafting.js';
+import { calculateRosterBonuses, getPromotionRequirements } from '../../game/roster.js';
+import { createMemorySessionStore } from '../../game/grindSessions.js';
+import { calculateRatingChanges } from '../../game/rating.js';
+import { getMaxGuards, getNextFortification } from '../../game/defense.js';
+
+/**
+ * In-memory repositories - same function signatures as the Postgres query modules
+ * Used by tests (and anything else that needs the game without a database)
+ *
+ * Rows are returned as copies so callers can't mutate the store by accident
+ */
+
+const LEADERBOARD_FIELDS = ['gold', 'level', 'adventurer_count', 'xp', 'lifetime_gold_earned', 'lifetime_battles_won', 'prestige_level', 'best_daily_streak', 'rating'];
+
+const STAT_FIELDS = [
+  'lifetime_gold_earned',
+  'lifetime_xp_earned',
+  'lifetime_gold_spent',
+  'lifetime_upgrades_purchased',
+  'lifetime_grind_clicks',
+  'lifetime_grind_sessions',
+  'lifetime_grind_gold',
+  'lifetime_adventurers_recruited',
+  'lifetime_battles_won',
+  'lifetime_battles_lost',
+  'lifetime_battle_gold_won',
+  'lifetime_battle_gold_lost',
+  'lifetime_battle_xp_won',
+  'lifetime_battle_xp_lost',
+];
+
+// Reminders are sent at most once every 4 hours (matches getGuildsEligibleForReminder)
+const REMINDER_INTERVAL_MS = 4 * 60 * 60 * 1000;
+
+/**
+ * Build a guild row with the same defaults as the guilds table
+ * @param {number} id - Guild ID
+ * @param {Object} overrides - Column values to override
+ * @returns {Object} Guild row
+ */
+function buildGuildRow(id, overrides = {}) {
+  return {
+    id,
+    discord_id: String(id),
+    name: `Guild ${id}`,
+    level: 1,
+    xp: GAME.STARTING_XP,
+    gold: GAME.STARTING_GOLD,
+    adventurer_count: GAME.STARTING_ADVENTURERS,
+    adventurer_capacity: GAME.STARTING_ADVENTURER_CAPACITY,
+    last_collected_at: new Date(),
+    created_at: new Date(),
+    ...Object.fromEntries(STAT_FIELDS.map(field => [field, 0])),
+    peak_gold_balance: 0,
+    last_battle_at: null,
+    battles_today: 0,
+    last_battle_reset: null,
+    prestige_level: 0,
+    prestige_points: 0,
+    total_prestige_points_earned: 0,
+    lifetime_prestiges: 0,
+    auto_prestige_enabled: false,
+    last_daily_at: null,
+    daily_streak: 0,
+    best_daily_streak: 0,
+    lifetime_daily_claims: 0,
+    lifetime_daily_gold: 0,
+    adventurers_on_quest: 0,
+    adventurers_listed: 0,
+    adventurers_guarding: 0,
+    fortification_level: 0,
+    injured_adventurers: 0,
+    injured_until: null,
+    lifetime_quests_completed: 0,
+    lifetime_quest_gold: 0,
+    title: null,
+    alliance_id: null,
+    alliance_role: null,
+    alliance_joined_at: null,
+    lifetime_alliance_donations: 0,
+    lifetime_trade_gold_sent: 0,
+    lifetime_trade_gold_received: 0,
+    lifetime_items_found: 0,
+    herbs: 0,
+    ore: 0,
+    arcane_dust: 0,
+    gold_boost: 0,
+    gold_boost_until: null,
+    xp_boost: 0,
+    xp_boost_until: null,
+    lifetime_materials_gathered: 0,
+    lifetime_potions_crafted: 0,
+    roster_gold_bonus: 0,
+    roster_power: 0,
+    lifetime_promotions: 0,
+    morale: MORALE.MAX,
+    morale_updated_at: new Date(),
+    morale_penalty_hours: 0,
+    lifetime_boss_damage: 0,
+    lifetime_bosses_defeated: 0,
+    lifetime_season_rewards: 0,
+    rating: 1000,
+    peak_rating: 1000,
+    lifetime_tournaments_won: 0,
+    lifetime_tournament_gold: 0,
+    lifetime_bounties_claimed: 0,
+    lifetime_bounty_gold: 0,
+    ...overrides,
+  };
+}
+
+/**
+ * Create a fresh in-memory store with its own repositories
+ * @param {Object} options - Store options
+ * @param {Array} options.upgrades - Upgrade definitions (defaults to the seed data)
+ * @param {Array} options.prestigeUpgrades - Prestige upgrade definitions (defaults to the seed data)
+ * @param {Array} options.achievements - Achievement definitions (defaults to the seed data)
+ * @param {Array} options.items - Item definitions (defaults to the seed data)
+ * @param {Array} options.recipes - Recipe definitions (defaults to the seed data)
+ * @returns {{guilds: Object, upgrades: Object, battles: Object, prestige: Object, notifications: Object, servers: Object, quests: Object, achievements: Object, alliances: Object, wars: Object, trades: Object, market: Object, items: Object, crafting: Object, roster: Object, raids: Object, seasons: Object, defense: Object, tournaments: Object, bounties: Object, challenges: Object, grindSessions: Object, grindFlags: Object, store: Object, insertGuild: Function}}
+ */
+export function createMemoryRepositories({
+  upgrades = seedUpgrades,
+  prestigeUpgrades = seedPrestigeUpgrades,
+  achievements = seedAchievements,
+  items = seedItems,
+  recipes = seedRecipes,
+} = {}) {
+  const store = {
+    guilds: [],
+    upgrades: upgrades.map((upgrade, index) => ({
+      required_upgrade_id: null,
+      ...upgrade,
+      id: index + 1,
+    })),
+    guildUpgrades: [],
+    prestigeUpgrades: prestigeUpgrades.map((upgrade, index) => ({ ...upgrade, id: index + 1 })),
+    guildPrestigeUpgrades: [],
+    battles: [],
+    notificationSettings: [],
+    guildServers: [],
+    quests: [],
+    achievements: achievements.map((achievement, index) => ({
+      effect_type: null,
+      effect_value: 0,
+      title: null,
+      ...achievement,
+      id: index + 1,
+    })),
+    guildAchievements: [],
+    alliances: [],
+    allianceInvites: [],
+    allianceBuffs: [],
+    wars: [],
+    warParticipants: [],
+    warAttacks: [],
+    trades: [],
+    marketListings: [],
+    items: items.map((item, index) => ({ ...item, id: index + 1 })),
+    guildItems: [],
+    recipes: recipes.map((recipe, index) => ({ ...recipe, id: index + 1 })),
+    adventurers: [],
+    worldBosses: [],
+    bossContributions: [],
+    seasons: [],
+    seasonStats: [],
+    tournaments: [],
+    tournamentEntrants: [],
+    tournamentMatches: [],
+    bounties: [],
+    battleChallenges: [],
+    revengeTokens: [],
+    grindFlags: [],
+    nextGuildId: 1,
+    nextBattleId: 1,
+    nextQuestId: 1,
+    nextAllianceId: 1,
+    nextWarId: 1,
+    nextWarAttackId: 1,
+    nextTradeId: 1,
+    nextListingId: 1,
+    nextGuildItemId: 1,
+    nextAdventurerId: 1,
+    nextBossId: 1,
+    nextSeasonId: 1,
+    nextTournamentId: 1,
+    nextTournamentMatchId: 1,
+    nextBountyId: 1,
+    nextChallengeId: 1,
+    nextRevengeTokenId: 1,
+    nextGrindFlagId: 1,
+  };
+
+  // ==========================================================================
+  // Internal helpers
+  // ==========================================================================
+
+  const copy = (row) => (row ? { ...row } : null);
+
+  const findGuild = (id) => store.guilds.find(g => g.id === id) || null;
+
+  const isServerMember = (guildId, serverId) =>
+    store.guildServers.some(m => m.guild_id === guildId && m.server_id === serverId);
+
+  /**
+   * Guilds visible in a scope - every guild, or only members of a Discord server
+   */
+  const guildsInScope = (serverId) => (serverId
+    ? store.guilds.filter(g => isServerMember(g.id, serverId))
+    : store.guilds);
+
+  const findSettings = (guildId) => store.notificationSettings.find(s => s.guild_id === guildId) || null;
+
+  const findGuildUpgrade = (guildId, upgradeId) =>
+    store.guildUpgrades.find(gu => gu.guild_id === guildId && gu.upgrade_id === upgradeId) || null;
+
+  const findGuildPrestigeUpgrade = (guildId, upgradeId) =>
+    store.guildPrestigeUpgrades.find(gpu => gpu.guild_id === guildId && gpu.prestige_upgrade_id === upgradeId) || null;
+
+  const sortUpgrades = (list) => [...list].sort((a, b) =>
+    a.category.localeCompare(b.category) ||
+    a.required_guild_level - b.required_guild_level ||
+    a.base_cost - b.base_cost
+  );
+
+  /**
+   * Guild upgrades joined with their definitions (same shape as getGuildUpgrades)
+   */
+  const joinedUpgrades = (guildId) => store.guildUpgrades
+    .filter(gu => gu.guild_id === guildId)
+    .map(gu => {
+      const upgrade = store.upgrades.find(u => u.id === gu.upgrade_id);
+      return {
+        ...gu,
+        name: upgrade.name,
+        description: upgrade.description,
+        category: upgrade.category,
+        effect_type: upgrade.effect_type,
+        effect_value: upgrade.effect_value,
+        max_level: upgrade.max_level,
+      };
+    });
+
+  /**
+   * Owned prestige upgrades joined with their definitions (same shape as getOwnedPrestigeUpgrades)
+   */
+  const joinedPrestigeUpgrades = (guildId) => store.guildPrestigeUpgrades
+    .filter(gpu => gpu.guild_id === guildId)
+    .map(gpu => ({
+      ...store.prestigeUpgrades.find(pu => pu.id === gpu.prestige_upgrade_id),
+      level: gpu.level,
+    }));
+
+  /**
+   * Unlocked achievements joined with their definitions (same shape as getGuildAchievements)
+   */
+  const joinedAchievements = (guildId) => store.guildAchievements
+    .filter(ga => ga.guild_id === guildId)
+    .map(ga => ({
+      ...store.achievements.find(a => a.id === ga.achievement_id),
+      unlocked_at: ga.unlocked_at,
+    }));
+
+  /**
+   * Inventory entries joined with their definitions (same shape as getInventory)
+   */
+  const joinedInventory = (guildId) => store.guildItems
+    .filter(gi => gi.guild_id === guildId)
+    .map(gi => {
+      const item = store.items.find(i => i.id === gi.item_id);
+      return {
+        ...gi,
+        name: item.name,
+        description: item.description,
+        slot: item.slot,
+        rarity: item.rarity,
+        effect_type: item.effect_type,
+        effect_value: item.effect_value,
+        power: item.power,
+      };
+    })
+    .sort((a, b) =>
+      Number(b.equipped) - Number(a.equipped) ||
+      b.power - a.power ||
+      b.acquired_at - a.acquired_at ||
+      b.id - a.id
+    );
+
+  /**
+   * Equipped items (same shape as the equipment loaded by getGuildWithData)
+   */
+  const equippedItems = (guildId) => joinedInventory(guildId)
+    .filter(gi => gi.equipped)
+    .map(({ id, item_id, name, slot, rarity, effect_type, effect_value, power }) =>
+      ({ id, item_id, name, slot, rarity, effect_type, effect_value, power }));
+
+  /**
+   * Treasury buffs of an alliance (same shape as getAllianceBuffs)
+   */
+  const allianceBuffsFor = (allianceId) => store.allianceBuffs
+    .filter(b => b.alliance_id === allianceId && b.level > 0)
+    .sort((a, b) => a.buff_key.localeCompare(b.buff_key))
+    .map(b => ({ buff_key: b.buff_key, level: b.level }));
+
+  const withData = (guild) => {
+    if (!guild) return { guild: null, upgrades: [], prestigeUpgrades: [], achievements: [], allianceBuffs: [], equipment: [] };
+    return {
+      guild: copy(guild),
+      upgrades: joinedUpgrades(guild.id),
+      prestigeUpgrades: joinedPrestigeUpgrades(guild.id),
+      achievements: joinedAchievements(guild.id),
+      allianceBuffs: guild.alliance_id ? allianceBuffsFor(guild.alliance_id) : [],
+      equipment: equippedItems(guild.id),
+    };
+  };
+
+  const upsertSettings = (guildId, values) => {
+    let settings = findSettings(guildId);
+    if (!settings) {
+      settings = {
+        guild_id: guildId,
+        dm_reminders_enabled: false,
+        battle_notifications_enabled: false,
+        quest_notifications_enabled: true,
+        last_reminder_at: null,
+        dm_failures: 0,
+        created_at: new Date(),
+      };
+      store.notificationSettings.push(settings);
+    }
+    Object.assign(settings, values);
+    return copy(settings);
+  };
+
+  /**
+   * Add to a guild's counters for the running season (mirrors recordSeasonProgress in database/seasons.js)
+   * @param {number} guildId - Guild ID
+   * @param {Object} progress - { gold, battlesWon } to add
+   */
+  const recordSeasonProgress = (guildId, { gold = 0, battlesWon = 0 }) => {
+    const season = store.seasons.find(s => s.status === 'active' && s.ends_at.getTime() > Date.now());
+    if (!season || (gold <= 0 && battlesWon <= 0)) return;
+
+    let stats = store.seasonStats.find(s => s.season_id === season.id && s.guild_id === guildId);
+    if (!stats) {
+      stats = { season_id: season.id, guild_id: guildId, gold_earned: 0, battles_won: 0, reward_gold: 0, reward_xp: 0 };
+      store.seasonStats.push(stats);
+    }
+    stats.gold_earned += gold;
+    stats.battles_won += battlesWon;
+  };
+
+  /**
+   * Insert a guild directly (test setup shortcut - createGuild only sets starting values)
+   * @param {Object} overrides - Column values to override
+   * @returns {Object} The inserted guild
+   */
+  const insertGuild = (overrides = {}) => {
+    const id = store.nextGuildId++;
+    const guild = buildGuildRow(id, overrides);
+    store.guilds.push(guild);
+    return copy(guild);
+  };
+
+  // ==========================================================================
+  // Guilds
+  // ==========================================================================
+
+  const guilds = {
+    async getGuildWithData(discordId) {
+      return withData(store.guilds.find(g => g.discord_id === discordId));
+    },
+
+    async getGuildWithDataById(id) {
+      return withData(findGuild(id));
+    },
+
+    async createGuild(discordId, name) {
+      return insertGuild({ discord_id: discordId, name });
+    },
+
+    async getGuildByDiscordId(discordId) {
+      return copy(store.guilds.find(g => g.discord_id === discordId));
+    },
+
+    async getGuildById(id) {
+      return copy(findGuild(id));
+    },
+
+    async collectResources(id, goldToAdd, xpToAdd) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      guild.gold += goldToAdd;
+      guild.xp += xpToAdd;
+      guild.last_collected_at = new Date();
+      return copy(guild);
+    },
+
+    async collectResourcesFull(id, goldToAdd, xpToAdd, newAdventurerCount, adventurersRecruited = 0) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      guild.gold += goldToAdd;
+      guild.xp += xpToAdd;
+      guild.adventurer_count = newAdventurerCount;
+      guild.last_collected_at = new Date();
+      guild.morale_penalty_hours = 0;
+      guild.lifetime_gold_earned += goldToAdd;
+      guild.lifetime_xp_earned += xpToAdd;
+      guild.lifetime_adventurers_recruited += adventurersRecruited;
+      guild.peak_gold_balance = Math.max(guild.peak_gold_balance, guild.gold);
+      recordSeasonProgress(id, { gold: goldToAdd });
+      return copy(guild);
+    },
+
+    async setMorale(id, morale, penaltyHours) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      guild.morale = morale;
+      guild.morale_updated_at = new Date();
+      guild.morale_penalty_hours = penaltyHours;
+      return copy(guild);
+    },
+
+    async updateLevel(id, newLevel) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      guild.level = newLevel;
+      return copy(guild);
+    },
+
+    async spendGold(id, amount) {
+      const guild = findGuild(id);
+      if (!guild || guild.gold < amount) return null;
+      guild.gold -= amount;
+      return copy(guild);
+    },
+
+    async updateAdventurerCount(id, count) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      guild.adventurer_count = count;
+      return copy(guild);
+    },
+
+    async updateAdventurerCapacity(id, capacity) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      guild.adventurer_capacity = capacity;
+      return copy(guild);
+    },
+
+    async getLeaderboard(field = 'gold', limit = 10, serverId = null) {
+      if (!LEADERBOARD_FIELDS.includes(field)) {
+        field = 'gold';
+      }
+      return [...guildsInScope(serverId)]
+        .sort((a, b) => b[field] - a[field])
+        .slice(0, limit)
+        .map(g => ({
+          id: g.id,
+          discord_id: g.discord_id,
+          name: g.name,
+          level: g.level,
+          gold: g.gold,
+          adventurer_count: g.adventurer_count,
+          xp: g.xp,
+          lifetime_gold_earned: g.lifetime_gold_earned,
+          lifetime_battles_won: g.lifetime_battles_won,
+          prestige_level: g.prestige_level,
+          best_daily_streak: g.best_daily_streak,
+          rating: g.rating,
+        }));
+    },
+
+    async getPlayerRank(discordId, field = 'gold', serverId = null) {
+      if (!LEADERBOARD_FIELDS.includes(field)) {
+        field = 'gold';
+      }
+      const ranked = guildsInScope(serverId);
+      const guild = ranked.find(g => g.discord_id === discordId);
+      if (!guild) return 1;
+      // RANK() semantics: ties share a rank
+      return ranked.filter(g => g[field] > guild[field]).length + 1;
+    },
+
+    async getTotalGuildCount(serverId = null) {
+      return guildsInScope(serverId).length;
+    },
+
+    async addResources(id, goldToAdd, xpToAdd) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      guild.gold += goldToAdd;
+      guild.xp += xpToAdd;
+      return copy(guild);
+    },
+
+    async incrementStats(id, stats) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      for (const [key, value] of Object.entries(stats)) {
+        if (STAT_FIELDS.includes(key) && typeof value === 'number') {
+          guild[key] += value;
+        }
+      }
+      return copy(guild);
+    },
+
+    async updatePeakGold(id, currentGold) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      guild.peak_gold_balance = Math.max(guild.peak_gold_balance, currentGold);
+      return copy(guild);
+    },
+
+    async updateGuildName(id, name) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      guild.name = name;
+      return copy(guild);
+    },
+
+    async flushGrindData(id, goldToAdd, xpToAdd, clicksToAdd) {
+      const guild = findGuild(id);
+      if (!guild) return undefined;
+      guild.gold += goldToAdd;
+      guild.xp += xpToAdd;
+      guild.lifetime_grind_gold += goldToAdd;
+      guild.lifetime_grind_clicks += clicksToAdd;
+      guild.peak_gold_balance = Math.max(guild.peak_gold_balance, guild.gold);
+      return copy(guild);
+    },
+
+    async claimDailyReward(id, goldToAdd, xpToAdd, streak) {
+      const guild = findGuild(id);
+      if (!guild) return null;
+      const cooldownMs = DAILY.COOLDOWN_HOURS * 60 * 60 * 1000;
+      if (guild.last_daily_at && Date.now() - new Date(guild.last_daily_at).getTime() < cooldownMs) {
+        return null;
+      }
+      guild.gold += goldToAdd;
+      guild.xp += xpToAdd;
+      guild.last_daily_at = new Date();
+      guild.daily_streak = streak;
+      guild.best_daily_streak = Math.max(guild.best_daily_streak, streak);
+      guild.lifetime_daily_claims += 1;
+      guild.lifetime_daily_gold += goldToAdd;
+      guild.lifetime_gold_earned += goldToAdd;
+      guild.lifetime_xp_earned += xpToAdd;
+      guild.peak_gold_balance = Math.max(guild.peak_gold_balance, guild.gold);
+      recordSeasonProgress(id, { gold: goldToAdd });
+      return copy(guild);
+    },
+  };
+
+  // ==========================================================================
+  // Upgrades
+  // ==========================================================================
+
+  const upgradesRepo = {
+    async getAllUpgrades() {
+      return sortUpgrades(store.upgrades).map(copy);
+    },
+
+    async getUpgradesByCategory(category) {
+      return sortUpgrades(store.upgrades.filter(u => u.category === category)).map(copy);
+    },
+
+    async getUpgradeById(upgradeId) {
+      return copy(store.upgrades.find(u => u.id === upgradeId));
+    },
+
+    async getUpgradeByName(name) {
+      return copy(store.upgrades.find(u => u.name.toLowerCase() === name.toLowerCase()));
+    },
+
+    async getUpgradesByNames(names) {
+      const nameArray = Array.isArray(names) ? names : [names];
+      const lowerNames = nameArray.filter(n => typeof n === 'string').map(n => n.toLowerCase());
+      const upgradeMap = new Map();
+      for (const upgrade of store.upgrades) {
+        if (lowerNames.includes(upgrade.name.toLowerCase())) {
+          upgradeMap.set(upgrade.name.toLowerCase(), copy(upgrade));
+        }
+      }
+      return upgradeMap;
+    },
+
+    async getGuildUpgradeLevelsBatch(guildId, upgradeIds) {
+      const levelMap = new Map();
+      if (!upgradeIds || upgradeIds.length === 0) return levelMap;
+      for (const gu of store.guildUpgrades) {
+        if (gu.guild_id === guildId && upgradeIds.includes(gu.upgrade_id)) {
+          levelMap.set(gu.upgrade_id, gu.level);
+        }
+      }
+      return levelMap;
+    },
+
+    async getGuildUpgrades(guildId) {
+      return joinedUpgrades(guildId);
+    },
+
+    async getGuildUpgradeLevel(guildId, upgradeId) {
+      return findGuildUpgrade(guildId, upgradeId)?.level || 0;
+    },
+
+    async purchaseUpgrade(guildId, upgradeId, cost) {
+      const guild = findGuild(guildId);
+      if (!guild || guild.gold < cost) {
+        throw new Error('Insufficient gold');
+      }
+      guild.gold -= cost;
+
+      let owned = findGuildUpgrade(guildId, upgradeId);
+      if (owned) {
+        owned.level += 1;
+        owned.purchased_at = new Date();
+      } else {
+        owned = { guild_id: guildId, upgrade_id: upgradeId, level: 1, purchased_at: new Date() };
+        store.guildUpgrades.push(owned);
+      }
+      return copy(owned);
+    },
+
+    async purchaseUpgradeMultiple(guildId, upgradeId, levelsToBuy, totalCost) {
+      const guild = findGuild(guildId);
+      if (!guild || guild.gold < totalCost) {
+        throw new Error('Insufficient gold');
+      }
+      guild.gold -= totalCost;
+      guild.lifetime_gold_spent += totalCost;
+      guild.lifetime_upgrades_purchased += levelsToBuy;
+      guild.peak_gold_balance = Math.max(guild.peak_gold_balance, guild.gold);
+
+      let owned = findGuildUpgrade(guildId, upgradeId);
+      if (owned) {
+        owned.level += levelsToBuy;
+        owned.purchased_at = new Date();
+      } else {
+        owned = { guild_id: guildId, upgrade_id: upgradeId, level: levelsToBuy, purchased_at: new Date() };
+        store.guildUpgrades.push(owned);
+      }
+      return { ...owned, remainingGold: guild.gold };
+    },
+
+    async getAvailableUpgrades(guildId, guildLevel, adventurerCount) {
+      const available = store.upgrades.filter(u => {
+        const currentLevel = findGuildUpgrade(guildId, u.id)?.level || 0;
+        return u.required_guild_level <= guildLevel &&
+          u.required_adventurer_count <= adventurerCount &&
+          (u.required_upgrade_id === null || findGuildUpgrade(guildId, u.required_upgrade_id)) &&
+          (u.max_level === null || currentLevel < u.max_level);
+      });
+      return sortUpgrades(available).map(u => ({
+        ...u,
+        current_level: findGuildUpgrade(guildId, u.id)?.level || 0,
+      }));
+    },
+  };
+
+  // ==========================================================================
+  // Battles
+  // ==========================================================================
+
+  // Battle row joined with both guilds' (and the winner's) names, like the Postgres queries
+  const withBattleNames = (b) => {
+    const attacker = findGuild(b.attacker_id);
+    const defender = findGuild(b.defender_id);
+    const winner = findGuild(b.winner_id);
+    return {
+      ...b,
+      attacker_name: attacker.name,
+      attacker_discord_id: attacker.discord_id,
+      defender_name: defender.name,
+      defender_discord_id: defender.discord_id,
+      winner_name: winner.name,
+      winner_discord_id: winner.discord_id,
+    };
+  };
+
+  const battles = {
+    async checkTargetCooldown(attackerId, defenderId) {
+      const last = store.battles
+        .filter(b => b.attacker_id === attackerId && b.defender_id === defenderId)
+        .at(-1);
+      return evaluateTargetCooldown(last?.created_at || null);
+    },
+
+    async getRandomTarget(attackerId) {
+      const candidates = store.guilds.filter(g => g.id !== attackerId);
+      if (candidates.length === 0) return null;
+      return copy(candidates[Math.floor(random() * candidates.length)]);
+    },
+
+    async getRandomTargetWithData(attackerId, serverId = null) {
+      const candidates = guildsInScope(serverId).filter(g => g.id !== attackerId);
+      if (candidates.length === 0) return withData(null);
+      return withData(candidates[Math.floor(random() * candidates.length)]);
+    },
+
+    async getRankedTargetsWithData(attackerId, minRating, maxRating, limit, serverId = null) {
+      const candidates = guildsInScope(serverId)
+        .filter(g => g.id !== attackerId && g.rating >= minRating && g.rating <= maxRating)
+        .sort((a, b) => a.rating - b.rating || a.id - b.id);
+      if (candidates.length === 0) return [];
+
+      const offset = Math.floor(random() * Math.max(1, candidates.length - limit + 1));
+      return candidates.slice(offset, offset + limit).map(withData);
+    },
+
+    async recordBattle({
+      attackerGuild,
+      defenderGuild,
+      betAmount,
+      winnerId,
+      goldTransferred,
+      xpTransferred,
+      attackerPower,
+      defenderPower,
+      winChance,
+      rated = true,
+      combatLog = null,
+    }) {
+      const today = new Date().toISOString().split('T')[0];
+      const lastReset = attackerGuild.last_battle_reset;
+      const currentBattles = lastReset === today ? (attackerGuild.battles_today || 0) : 0;
+
+      const attacker = findGuild(attackerGuild.id);
+      const defender = findGuild(defenderGuild.id);
+      let attackerRatingChange = 0;
+      let defenderRatingChange = 0;
+      if (rated) {
+        const [winner, loser] = winnerId === attacker.id ? [attacker, defender] : [defender, attacker];
+        const { winnerChange, loserChange } = calculateRatingChanges(winner.rating, loser.rating);
+        attackerRatingChange = winner === attacker ? winnerChange : loserChange;
+        defenderRatingChange = winner === attacker ? loserChange : winnerChange;
+        for (const [guild, change] of [[attacker, attackerRatingChange], [defender, defenderRatingChange]]) {
+          guild.rating += change;
+          guild.peak_rating = Math.max(guild.peak_rating, guild.rating);
+        }
+      }
+
+      const battle = {
+        id: store.nextBattleId++,
+        attacker_id: attackerGuild.id,
+        defender_id: defenderGuild.id,
+        bet_amount: betAmount,
+        winner_id: winnerId,
+        gold_transferred: goldTransferred,
+        xp_transferred: xpTransferred,
+        attacker_power: attackerPower,
+        defender_power: defenderPower,
+        win_chance: winChance,
+        attacker_rating_change: attackerRatingChange,
+        defender_rating_change: defenderRatingChange,
+        combat_log: combatLog,
+        created_at: new Date(),
+      };
+      store.battles.push(battle);
+
+      attacker.last_battle_at = new Date();
+      attacker.battles_today = currentBattles + 1;
+      attacker.last_battle_reset = today;
+
+      return copy(battle);
+    },
+
+    async applyBattleResults(winnerId, loserId, goldTransfer, xpBonus) {
+      const winner = findGuild(winnerId);
+      const loser = findGuild(loserId);
+
+      winner.gold += goldTransfer;
+      winner.xp += xpBonus;
+      winner.lifetime_battles_won += 1;
+      winner.lifetime_battle_gold_won += goldTransfer;
+      winner.lifetime_battle_xp_won += xpBonus;
+      recordSeasonProgress(winnerId, { battlesWon: 1 });
+
+      loser.gold = Math.max(0, loser.gold - goldTransfer);
+      loser.lifetime_battles_lost += 1;
+      loser.lifetime_battle_gold_lost += goldTransfer;
+    },
+
+    async applyFreeRevengeResults(defenderId, attackerId, defenderWon, goldReward, xpBonus) {
+      const defender = findGuild(defenderId);
+      const attacker = findGuild(attackerId);
+
+      if (defenderWon) {
+        defender.gold += goldReward;
+        defender.xp += xpBonus;
+        defender.lifetime_battles_won += 1;
+        defender.lifetime_battle_gold_won += goldReward;
+        defender.lifetime_battle_xp_won += xpBonus;
+        recordSeasonProgress(defenderId, { battlesWon: 1 });
+
+        attacker.gold = Math.max(0, attacker.gold - goldReward);
+        attacker.lifetime_battles_lost += 1;
+        attacker.lifetime_battle_gold_lost += goldReward;
+      } else {
+        defender.lifetime_battles_lost += 1;
+        attacker.lifetime_battles_won += 1;
+        recordSeasonProgress(attackerId, { battlesWon: 1 });
+      }
+    },
+
+    async getBattleHistory(guildId, limit = 10) {
+      return store.battles
+        .filter(b => b.attacker_id === guildId || b.defender_id === guildId)
+        .reverse()
+        .slice(0, limit)
+        .map(withBattleNames);
+    },
+
+    async getBattleById(battleId) {
+      const battle = store.battles.find(b => b.id === battleId);
+      return battle ? withBattleNames(battle) : null;
+    },
+
+    async lockBetGold(guildId, amount) {
+      const guild = findGuild(guildId);
+      if (!guild || guild.gold < amount) return false;
+      guild.gold -= amount;
+      return true;
+    },
+
+    async unlockBetGold(guildId, amount) {
+      const guild = findGuild(guildId);
+      if (guild) guild.gold += amount;
+    },
+  };
+
+  // ==========================================================================
+  // Prestige
+  // ==========================================================================
+
+  const prestige = {
+    async getAllPrestigeUpgrades() {
+      return store.prestigeUpgrades.map(copy);
+    },
+
+    async getPrestigeUpgradeById(upgradeId) {
+      return copy(store.prestigeUpgrades.find(pu => pu.id === upgradeId));
+    },
+
+    async getGuildPrestigeUpgrades(guildId) {
+      return store.prestigeUpgrades.map(pu => ({
+        ...pu,
+        current_level: findGuildPrestigeUpgrade(guildId, pu.id)?.level ?? null,
+      }));
+    },
+
+    async getOwnedPrestigeUpgrades(guildId) {
+      return joinedPrestigeUpgrades(guildId);
+    },
+
+    async getGuildPrestigeUpgradeLevel(guildId, upgradeId) {
+      return findGuildPrestigeUpgrade(guildId, upgradeId)?.level || 0;
+    },
+
+    async purchasePrestigeUpgrade(guildId, upgradeId) {
+      const upgrade = store.prestigeUpgrades.find(pu => pu.id === upgradeId);
+      if (!upgrade) {
+        return { success: false, error: 'Prestige upgrade not found' };
+      }
+
+      const owned = findGuildPrestigeUpgrade(guildId, upgradeId);
+      const currentLevel = owned?.level || 0;
+      if (currentLevel >= upgrade.max_level) {
+        return { success: false, error: 'Upgrade already at max level' };
+      }
+
+      const cost = upgrade.point_costs[currentLevel];
+      const guild = findGuild(guildId);
+      if (guild.prestige_points < cost) {
+        return { success: false, error: `Not enough prestige points (need ${cost}, have ${guild.prestige_points})` };
+      }
+
+      guild.prestige_points -= cost;
+      if (owned) {
+        owned.level += 1;
+        owned.purchased_at = new Date();
+      } else {
+        store.guildPrestigeUpgrades.push({
+          guild_id: guildId,
+          prestige_upgrade_id: upgradeId,
+          level: 1,
+          purchased_at: new Date(),
+        });
+      }
+
+      return {
+        success: true,
+        newLevel: currentLevel + 1,
+        pointsSpent: cost,
+        upgradeName: upgrade.name,
+      };
+    },
+
+    async executePrestige(guildId, prestigeUpgrades = []) {
+      const guild = findGuild(guildId);
+      if (!guild) {
+        return { success: false, error: 'Guild not found' };
+      }
+
+      const eligibility = canPrestige(guild);
+      if (!eligibility.eligible) {
+        return { success: false, error: `Must be level ${eligibility.requiredLevel} to prestige` };
+      }
+
+      const rewards = calculatePrestigeRewards(guild);
+      const startingValues = calculateStartingValues(prestigeUpgrades);
+      const goldKeepPercent = getPrestigeUpgradeEffect(prestigeUpgrades, 'gold_keep_percent');
+      const goldToKeep = Math.floor(guild.gold * goldKeepPercent);
+
+      Object.assign(guild, {
+        level: 1,
+        xp: 0,
+        gold: startingValues.gold + goldToKeep,
+        adventurer_count: startingValues.adventurers,
+        adventurer_capacity: startingValues.capacity,
+        last_collected_at: new Date(),
+        prestige_level: guild.prestige_level + 1,
+        prestige_points: guild.prestige_points + rewards.totalPoints,
+        total_prestige_points_earned: guild.total_prestige_points_earned + rewards.totalPoints,
+        lifetime_prestiges: guild.lifetime_prestiges + 1,
+        adventurers_on_quest: 0,
+        adventurers_listed: 0,
+        adventurers_guarding: 0,
+        fortification_level: 0,
+        injured_adventurers: 0,
+        injured_until: null,
+      });
+      store.guildUpgrades = store.guildUpgrades.filter(gu => gu.guild_id !== guildId);
+      for (const quest of store.quests) {
+        if (quest.guild_id === guildId && quest.status === 'active') {
+          Object.assign(quest, { status: 'abandoned', resolved_at: new Date() });
+        }
+      }
+      for (const listing of store.marketListings) {
+        if (listing.seller_id === guildId && listing.status === 'active') {
+          Object.assign(listing, { status: 'cancelled', resolved_at: new Date() });
+        }
+      }
+      for (const bounty of store.bounties) {
+        if (bounty.poster_guild_id === guildId && bounty.status === 'active') {
+          Object.assign(bounty, { status: 'forfeited', resolved_at: new Date() });
+        }
+      }
+      for (const trade of store.trades) {
+        if (trade.sender_id === guildId && trade.status === 'pending') {
+          Object.assign(trade, { status: 'forfeited', resolved_at: new Date() });
+        }
+      }
+      for (const challenge of store.battleChallenges) {
+        if (challenge.attacker_guild_id === guildId && challenge.status === 'pending') {
+          Object.assign(challenge, { status: 'forfeited', resolved_at: new Date() });
+        }
+      }
+      store.tournamentEntrants = store.tournamentEntrants.filter(entrant => {
+        const tournament = store.tournaments.find(t => t.id === entrant.tournament_id);
+        if (entrant.guild_id !== guildId || tournament.status !== 'open') return true;
+        tournament.prize_pool -= tournament.entry_fee;
+        return false;
+      });
+
+      return {
+        success: true,
+        pointsEarned: rewards.totalPoints,
+        newPrestigeLevel: rewards.newPrestigeLevel,
+        startingGold: startingValues.gold + goldToKeep,
+        startingAdventurers: startingValues.adventurers,
+        startingCapacity: startingValues.capacity,
+        goldKept: goldToKeep,
+        guild: copy(guild),
+      };
+    },
+
+    async toggleAutoPrestige(guildId) {
+      const guild = findGuild(guildId);
+      if (!guild) return false;
+      guild.auto_prestige_enabled = !guild.auto_prestige_enabled;
+      return guild.auto_prestige_enabled;
+    },
+
+    async checkAutoPrestige(guild, prestigeUpgrades) {
+      if (!guild.auto_prestige_enabled || !canPrestige(guild).eligible) {
+        return null;
+      }
+      return prestige.executePrestige(guild.id, prestigeUpgrades);
+    },
+  };
+
+  // ==========================================================================
+  // Notifications
+  // ==========================================================================
+
+  const notifications = {
+    async getNotificationSettings(guildId) {
+      return copy(findSettings(guildId));
+    },
+
+    async enableReminders(guildId) {
+      return upsertSettings(guildId, { dm_reminders_enabled: true, dm_failures: 0 });
+    },
+
+    async disableReminders(guildId) {
+      return upsertSettings(guildId, { dm_reminders_enabled: false });
+    },
+
+    async updateLastReminderTime(guildId) {
+      const settings = findSettings(guildId);
+      if (!settings) return undefined;
+      settings.last_reminder_at = new Date();
+      return copy(settings);
+    },
+
+    async recordDmFailure(guildId, maxFailures = 3) {
+      const settings = findSettings(guildId);
+      if (!settings) return { wasDisabled: false };
+      settings.dm_failures += 1;
+      if (settings.dm_failures >= maxFailures) {
+        const before = copy(settings);
+        settings.dm_reminders_enabled = false;
+        return { ...before, wasDisabled: true };
+      }
+      return { ...settings, wasDisabled: false };
+    },
+
+    async getGuildsEligibleForReminder() {
+      const cutoff = Date.now() - REMINDER_INTERVAL_MS;
+      return store.notificationSettings
+        .filter(s => s.dm_reminders_enabled &&
+          (s.last_reminder_at === null || new Date(s.last_reminder_at).getTime() < cutoff))
+        .map(s => ({
+          ...findGuild(s.guild_id),
+          last_reminder_at: s.last_reminder_at,
+          dm_failures: s.dm_failures,
+          upgrades: joinedUpgrades(s.guild_id),
+          prestige_upgrades: joinedPrestigeUpgrades(s.guild_id),
+          achievements: joinedAchievements(s.guild_id),
+          alliance_buffs: findGuild(s.guild_id).alliance_id ? allianceBuffsFor(findGuild(s.guild_id).alliance_id) : [],
+          equipment: equippedItems(s.guild_id),
+        }));
+    },
+
+    async enableBattleNotifications(guildId) {
+      return upsertSettings(guildId, { battle_notifications_enabled: true });
+    },
+
+    async disableBattleNotifications(guildId) {
+      return upsertSettings(guildId, { battle_notifications_enabled: false });
+    },
+
+    async enableQuestNotifications(guildId) {
+      return upsertSettings(guildId, { quest_notifications_enabled: true });
+    },
+
+    async disableQuestNotifications(guildId) {
+      return upsertSettings(guildId, { quest_notifications_enabled: false });
+    },
+
+    async updateAllNotificationSettings(guildId, collectionReminders, battleNotifications, questNotifications = null) {
+      return upsertSettings(guildId, {
+        dm_reminders_enabled: collectionReminders,
+        battle_notifications_enabled: battleNotifications,
+        ...(questNotifications === null ? {} : { quest_notifications_enabled: questNotifications }),
+        dm_failures: 0,
+      });
+    },
+
+    async createDefaultNotificationSettings(guildId) {
+      // ON CONFLICT DO NOTHING - returns undefined when settings already exist
+      if (findSettings(guildId)) return undefined;
+      return upsertSettings(guildId, {});
+    },
+  };
+
+  // ==========================================================================
+  // Servers
+  // ==========================================================================
+
+  const servers = {
+    async recordServerMembership(discordId, serverId) {
+      const guild = store.guilds.find(g => g.discord_id === discordId);
+      if (!guild) return null;
+
+      let membership = store.guildServers.find(m => m.guild_id === guild.id && m.server_id === serverId);
+      if (membership) {
+        membership.last_seen_at = new Date();
+      } else {
+        membership = { guild_id: guild.id, server_id: serverId, first_seen_at: new Date(), last_seen_at: new Date() };
+        store.guildServers.push(membership);
+      }
+      return copy(membership);
+    },
+
+    async getGuildServers(guildId) {
+      return store.guildServers
+        .filter(m => m.guild_id === guildId)
+        .sort((a, b) => b.last_seen_at - a.last_seen_at)
+        .map(m => m.server_id);
+    },
+  };
+
+  // ==========================================================================
+  // Quests
+  // ==========================================================================
+
+  const quests = {
+    async getActiveQuest(guildId) {
+      return copy(store.quests.find(q => q.guild_id === guildId && q.status === 'active'));
+    },
+
+    async startQuest(guildId, { durationKey, riskKey, hours, adventurers }) {
+      const guild = findGuild(guildId);
+      if (!guild) {
+        return { success: false, error: 'Guild not found' };
+      }
+      if (store.quests.some(q => q.guild_id === guildId && q.status === 'active')) {
+        return { success: false, error: 'Your adventurers are already on a quest' };
+      }
+
+      const injured = guild.injured_until && new Date(guild.injured_until) > new Date()
+        ? guild.injured_adventurers
+        : 0;
+      const available = guild.adventurer_count - guild.adventurers_on_quest - guild.adventurers_listed - guild.adventurers_guarding - injured;
+      if (adventurers > available) {
+        return { success: false, error: `Only ${available} adventurer${available !== 1 ? 's are' : ' is'} available` };
+      }
+
+      const startedAt = new Date();
+      const quest = {
+        id: store.nextQuestId++,
+        guild_id: guildId,
+        duration_key: durationKey,
+        risk_key: riskKey,
+        hours,
+        adventurers_sent: adventurers,
+        status: 'active',
+        started_at: startedAt,
+        ends_at: new Date(startedAt.getTime() + hours * 60 * 60 * 1000),
+        resolved_at: null,
+        gold_earned: 0,
+        xp_earned: 0,
+        adventurers_injured: 0,
+      };
+      store.quests.push(quest);
+      guild.adventurers_on_quest += adventurers;
+
+      return { success: true, quest: copy(quest) };
+    },
+
+    async getDueQuests(limit = 100) {
+      const now = Date.now();
+      return store.quests
+        .filter(q => q.status === 'active' && q.ends_at.getTime() <= now)
+        .sort((a, b) => a.ends_at - b.ends_at)
+        .slice(0, limit)
+        .map(q => {
+          const guild = findGuild(q.guild_id);
+          return { ...q, discord_id: guild.discord_id, guild_name: guild.name };
+        });
+    },
+
+    async completeQuest(questId, { gold, xp, injured }, recoveryHours) {
+      const quest = store.quests.find(q => q.id === questId && q.status === 'active');
+      if (!quest) return null;
+
+      Object.assign(quest, {
+        status: 'completed',
+        gold_earned: gold,
+        xp_earned: xp,
+        adventurers_injured: injured,
+        resolved_at: new Date(),
+      });
+
+      const guild = findGuild(quest.guild_id);
+      const now = new Date();
+      guild.gold += gold;
+      guild.xp += xp;
+      guild.adventurers_on_quest = Math.max(guild.adventurers_on_quest - quest.adventurers_sent, 0);
+      if (injured > 0) {
+        const stillRecovering = guild.injured_until && new Date(guild.injured_until) > now;
+        guild.injured_adventurers = stillRecovering ? guild.injured_adventurers + injured : injured;
+        guild.injured_until = new Date(now.getTime() + recoveryHours * 60 * 60 * 1000);
+      }
+      guild.lifetime_gold_earned += gold;
+      guild.lifetime_xp_earned += xp;
+      guild.lifetime_quests_completed += 1;
+      guild.lifetime_quest_gold += gold;
+      guild.peak_gold_balance = Math.max(guild.peak_gold_balance, guild.gold);
+      recordSeasonProgress(guild.id, { gold });
+
+      return { quest: copy(quest), guild: copy(guild) };
+    },
+  };
+
+  // ==========================================================================
+  // Achievements
+  // ==========================================================================
+
+  const achievementsRepo = {
+    async getAllAchievements() {
+      return [...store.achievements]
+        .sort((a, b) => a.category.localeCompare(b.category) || a.threshold - b.threshold || a.id - b.id)
+        .map(copy);
+    },
+
+    async getGuildAchievements(guildId) {
+      return joinedAchievements(guildId);
+    },
+
+    async unlockAchievements(guildId, achievementIds) {
+      if (!achievementIds || achievementIds.length === 0) return [];
+
+      const now = new Date();
+      const newIds = [...new Set(achievementIds)].filter(id =>
+        !store.guildAchievements.some(ga => ga.guild_id === guildId && ga.achievement_id === id));
+      for (const id of newIds) {
+        store.guildAchievements.push({ guild_id: guildId, achievement_id: id, unlocked_at: now });
+      }
+
+      const unlocked = newIds
+        .map(id => ({ ...store.achievements.find(a => a.id === id), unlocked_at: now }))
+        .sort((a, b) => a.threshold - b.threshold);
+
+      const titled = unlocked.filter(a => a.title).at(-1);
+      const guild = findGuild(guildId);
+      if (titled && guild) {
+        guild.title = titled.title;
+      }
+
+      return unlocked;
+    },
+  };
+
+  // ==========================================================================
+  // Alliances
+  // ==========================================================================
+
+  const ROLE_ORDER = { leader: 0, officer: 1, member: 2 };
+  const INVITE_EXPIRY_MS = ALLIANCE.INVITE_EXPIRY_HOURS * 60 * 60 * 1000;
+
+  const findAlliance = (id) => store.alliances.find(a => a.id === id) || null;
+
+  const membersOf = (allianceId) => store.guilds
+    .filter(g => g.alliance_id === allianceId)
+    .sort((a, b) => ROLE_ORDER[a.alliance_role] - ROLE_ORDER[b.alliance_role] || a.alliance_joined_at - b.alliance_joined_at);
+
+  const withMemberCount = (alliance) => (alliance
+    ? { ...alliance, member_count: membersOf(alliance.id).length }
+    : null);
+
+  const isOpenInvite = (invite) => Date.now() - invite.created_at.getTime() < INVITE_EXPIRY_MS;
+
+  const clearMembership = (guild) => {
+    guild.alliance_id = null;
+    guild.alliance_role = null;
+    guild.alliance_joined_at = null;
+  };
+
+  /**
+   * Alliances ranked by combined member lifetime gold (same order as getAllianceLeaderboard)
+   */
+  const rankedAlliances = (serverId) => store.alliances
+    .map(a => {
+      const members = membersOf(a.id);
+      return {
+        id: a.id,
+        name: a.name,
+        member_count: members.length,
+        total_gold_earned: members.reduce((sum, g) => sum + g.lifetime_gold_earned, 0),
+        inScope: !serverId || members.some(g => isServerMember(g.id, serverId)),
+      };
+    })
+    .filter(a => a.member_count > 0 && a.inScope)
+    .sort((a, b) => b.total_gold_earned - a.total_gold_earned || a.id - b.id)
+    .map(({ inScope, ...a }) => a);
+
+  const alliances = {
+    async getAllianceById(id) {
+      return withMemberCount(findAlliance(id));
+    },
+
+    async getAllianceByName(name) {
+      const lower = name.trim().toLowerCase();
+      return withMemberCount(store.alliances.find(a => a.name.toLowerCase() === lower));
+    },
+
+    async getAllianceMembers(allianceId) {
+      return membersOf(allianceId).map(copy);
+    },
+
+    async getAllianceBuffs(allianceId) {
+      return allianceBuffsFor(allianceId);
+    },
+
+    async createAlliance(guildId, name, cost) {
+      const guild = findGuild(guildId);
+      if (!guild) {
+        return { success: false, error: 'Guild not found' };
+      }
+      if (guild.alliance_id) {
+        return { success: false, error: 'You are already in an alliance. Leave it first.' };
+      }
+      if (guild.gold < cost) {
+        return { success: false, error: 'Not enough gold' };
+      }
+      if (store.alliances.some(a => a.name.toLowerCase() === name.toLowerCase())) {
+        return { success: false, error: 'An alliance with that name already exists' };
+      }
+
+      const alliance = {
+        id: store.nextAllianceId++,
+        name,
+        treasury: 0,
+        lifetime_donations: 0,
+        wars_won: 0,
+        wars_lost: 0,
+        created_at: new Date(),
+      };
+      store.alliances.push(alliance);
+
+      guild.gold -= cost;
+      guild.lifetime_gold_spent += cost;
+      guild.alliance_id = alliance.id;
+      guild.alliance_role = 'leader';
+      guild.alliance_joined_at = new Date();
+      store.allianceInvites = store.allianceInvites.filter(i => i.guild_id !== guildId);
+
+      return { success: true, alliance: { ...alliance, member_count: 1 } };
+    },
+
+    async createInvite(allianceId, guildId, invitedBy) {
+      let invite = store.allianceInvites.find(i => i.alliance_id === allianceId && i.guild_id === guildId);
+      if (!invite) {
+        invite = { alliance_id: allianceId, guild_id: guildId };
+        store.allianceInvites.push(invite);
+      }
+      Object.assign(invite, { invited_by: invitedBy, created_at: new Date() });
+      return copy(invite);
+    },
+
+    async getGuildInvites(guildId) {
+      return store.allianceInvites
+        .filter(i => i.guild_id === guildId && isOpenInvite(i))
+        .sort((a, b) => b.created_at - a.created_at)
+        .map(i => ({ ...i, alliance_name: findAlliance(i.alliance_id).name }));
+    },
+
+    async acceptInvite(allianceId, guildId) {
+      const alliance = findAlliance(allianceId);
+      if (!alliance) {
+        return { success: false, error: 'That alliance no longer exists' };
+      }
+      const invite = store.allianceInvites.find(i => i.alliance_id === allianceId && i.guild_id === guildId);
+      if (!invite || !isOpenInvite(invite)) {
+        return { success: false, error: 'You don\'t have an invite to that alliance (or it expired)' };
+      }
+      const guild = findGuild(guildId);
+      if (guild.alliance_id) {
+        return { success: false, error: 'You are already in an alliance. Leave it first.' };
+      }
+      if (membersOf(allianceId).length >= ALLIANCE.MAX_MEMBERS) {
+        return { success: false, error: `That alliance is full (${ALLIANCE.MAX_MEMBERS} members)` };
+      }
+
+      guild.alliance_id = allianceId;
+      guild.alliance_role = 'member';
+      guild.alliance_joined_at = new Date();
+      store.allianceInvites = store.allianceInvites.filter(i => i.guild_id !== guildId);
+
+      return { success: true, alliance: copy(alliance) };
+    },
+
+    async leaveAlliance(guildId) {
+      const guild = findGuild(guildId);
+      if (!guild?.alliance_id) {
+        return { success: false, error: 'You are not in an alliance' };
+      }
+      const allianceId = guild.alliance_id;
+      const wasLeader = guild.alliance_role === 'leader';
+      clearMembership(guild);
+
+      const [successor] = membersOf(allianceId);
+      if (!successor) {
+        store.alliances = store.alliances.filter(a => a.id !== allianceId);
+        store.allianceInvites = store.allianceInvites.filter(i => i.alliance_id !== allianceId);
+        store.allianceBuffs = store.allianceBuffs.filter(b => b.alliance_id !== allianceId);
+        const warIds = store.wars
+          .filter(w => w.alliance_a_id === allianceId || w.alliance_b_id === allianceId)
+          .map(w => w.id);
+        store.wars = store.wars.filter(w => !warIds.includes(w.id));
+        store.warParticipants = store.warParticipants.filter(p => !warIds.includes(p.war_id));
+        store.warAttacks = store.warAttacks.filter(a => !warIds.includes(a.war_id));
+        return { success: true, disbanded: true, newLeaderId: null };
+      }
+
+      let newLeaderId = null;
+      if (wasLeader) {
+        successor.alliance_role = 'leader';
+        newLeaderId = successor.id;
+      }
+
+      return { success: true, disbanded: false, newLeaderId };
+    },
+
+    async removeMember(allianceId, guildId) {
+      const guild = findGuild(guildId);
+      if (!guild || guild.alliance_id !== allianceId || guild.alliance_role === 'leader') return false;
+      clearMembership(guild);
+      return true;
+    },
+
+    async setMemberRole(allianceId, guildId, role) {
+      const guild = findGuild(guildId);
+      if (!guild || guild.alliance_id !== allianceId) return false;
+      if (role === 'leader') {
+        for (const member of membersOf(allianceId)) {
+          if (member.alliance_role === 'leader') member.alliance_role = 'officer';
+        }
+      }
+      guild.alliance_role = role;
+      return true;
+    },
+
+    async donateToTreasury(guildId, amount) {
+      const guild = findGuild(guildId);
+      if (!guild?.alliance_id) {
+        return { success: false, error: 'You are not in an alliance' };
+      }
+      if (guild.gold < amount) {
+        return { success: false, error: 'Not enough gold' };
+      }
+
+      const alliance = findAlliance(guild.alliance_id);
+      guild.gold -= amount;
+      guild.lifetime_alliance_donations += amount;
+      alliance.treasury += amount;
+      alliance.lifetime_donations += amount;
+
+      return { success: true, guild: copy(guild), alliance: copy(alliance) };
+    },
+
+    async purchaseBuff(allianceId, buffKey, expectedLevel, cost) {
+      const alliance = findAlliance(allianceId);
+      if (!alliance) {
+        return { success: false, error: 'Alliance not found' };
+      }
+      if (alliance.treasury < cost) {
+        return { success: false, error: 'Not enough gold in the treasury' };
+      }
+
+      let buff = store.allianceBuffs.find(b => b.alliance_id === allianceId && b.buff_key === buffKey);
+      if ((buff?.level || 0) !== expectedLevel) {
+        return { success: false, error: 'That buff was just upgraded by someone else. Try again.' };
+      }
+      if (!buff) {
+        buff = { alliance_id: allianceId, buff_key: buffKey, level: 0 };
+        store.allianceBuffs.push(buff);
+      }
+      buff.level += 1;
+      alliance.treasury -= cost;
+
+      return { success: true, level: buff.level, alliance: copy(alliance) };
+    },
+
+    async getAllianceLeaderboard(limit = 10, serverId = null) {
+      return rankedAlliances(serverId).slice(0, limit);
+    },
+
+    async getAllianceRank(allianceId, serverId = null) {
+      const ranked = rankedAlliances(serverId);
+      const index = ranked.findIndex(a => a.id === allianceId);
+      return { rank: index === -1 ? null : index + 1, total: ranked.length };
+    },
+  };
+
+  // ==========================================================================
+  // Wars
+  // ==========================================================================
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const isOpenWar = (war) => war.status === 'scheduled' || war.status === 'active';
+
+  const involves = (war, allianceId) => war.alliance_a_id === allianceId || war.alliance_b_id === allianceId;
+
+  const withAllianceNames = (war) => (war
+    ? {
+      ...war,
+      alliance_a_name: findAlliance(war.alliance_a_id).name,
+      alliance_b_name: findAlliance(war.alliance_b_id).name,
+    }
+    : null);
+
+  const wars = {
+    async getWarById(warId) {
+      return withAllianceNames(store.wars.find(w => w.id === warId));
+    },
+
+    async getOpenWar(allianceId) {
+      return withAllianceNames(store.wars.find(w => isOpenWar(w) && involves(w, allianceId)));
+    },
+
+    async getLastWar(allianceId) {
+      const [war] = store.wars
+        .filter(w => w.status === 'completed' && involves(w, allianceId))
+        .sort((a, b) => b.resolved_at - a.resolved_at);
+      return withAllianceNames(war);
+    },
+
+    async declareWar(allianceId, targetAllianceId, declaredBy, cost) {
+      const alliance = findAlliance(allianceId);
+      const target = findAlliance(targetAllianceId);
+      if (!alliance || !target) {
+        return { success: false, error: 'That alliance no longer exists' };
+      }
+
+      const busy = store.wars.find(w => isOpenWar(w) && (involves(w, allianceId) || involves(w, targetAllianceId)));
+      if (busy) {
+        return {
+          success: false,
+          error: involves(busy, allianceId) ? 'Your alliance is already at war' : `**${target.name}** is already at war`,
+        };
+      }
+
+      if (alliance.treasury < cost) {
+        return { success: false, error: 'Not enough gold in the treasury' };
+      }
+      alliance.treasury -= cost;
+
+      const now = Date.now();
+      const war = {
+        id: store.nextWarId++,
+        alliance_a_id: allianceId,
+        alliance_b_id: targetAllianceId,
+        declared_by: declaredBy,
+        status: 'scheduled',
+        alliance_a_score: 0,
+        alliance_b_score: 0,
+        winner_alliance_id: null,
+        payout: 0,
+        starts_at: new Date(now + WAR.PREP_HOURS * HOUR_MS),
+        ends_at: new Date(now + (WAR.PREP_HOURS + WAR.DURATION_HOURS) * HOUR_MS),
+        resolved_at: null,
+        created_at: new Date(now),
+      };
+      store.wars.push(war);
+
+      return { success: true, war: withAllianceNames(war) };
+    },
+
+    async getWarsToOpen(limit = 50) {
+      const now = Date.now();
+      return store.wars
+        .filter(w => w.status === 'scheduled' && w.starts_at.getTime() <= now)
+        .sort((a, b) => a.starts_at - b.starts_at)
+        .slice(0, limit)
+        .map(withAllianceNames);
+    },
+
+    async getWarsToClose(limit = 50) {
+      const now = Date.now();
+      return store.wars
+        .filter(w => w.status === 'active' && w.ends_at.getTime() <= now)
+        .sort((a, b) => a.ends_at - b.ends_at)
+        .slice(0, limit)
+        .map(withAllianceNames);
+    },
+
+    async openWar(warId) {
+      const war = store.wars.find(w => w.id === warId && w.status === 'scheduled');
+      if (!war) return null;
+
+      war.status = 'active';
+      const participants = store.guilds
+        .filter(g => g.alliance_id === war.alliance_a_id || g.alliance_id === war.alliance_b_id)
+        .map(g => ({
+          war_id: warId,
+          guild_id: g.id,
+          alliance_id: g.alliance_id,
+          attacks_used: 0,
+          attacks_won: 0,
+          points: 0,
+        }));
+      store.warParticipants.push(...participants);
+
+      return { war: copy(war), participants: participants.map(copy) };
+    },
+
+    async getWarParticipants(warId) {
+      return store.warParticipants
+        .filter(p => p.war_id === warId)
+        .map(p => {
+          const guild = findGuild(p.guild_id);
+          return { ...p, discord_id: guild.discord_id, name: guild.name };
+        })
+        .sort((a, b) => b.points - a.points || b.attacks_won - a.attacks_won || a.name.localeCompare(b.name));
+    },
+
+    async getWarParticipant(warId, guildId) {
+      return copy(store.warParticipants.find(p => p.war_id === warId && p.guild_id === guildId));
+    },
+
+    async recordWarAttack(warId, attackerId, defenderId, { attackerPower, defenderPower, winChance, won, points }, maxAttacks) {
+      const war = store.wars.find(w => w.id === warId);
+      if (!war || war.status !== 'active' || war.ends_at.getTime() <= Date.now()) {
+        return { success: false, error: 'This war is not accepting attacks' };
+      }
+
+      const participant = store.warParticipants.find(p => p.war_id === warId && p.guild_id === attackerId);
+      if (!participant) {
+        return { success: false, error: 'You are not on this war\'s roster' };
+      }
+      if (participant.attacks_used >= maxAttacks) {
+        return { success: false, error: 'You have used all your attacks for this war' };
+      }
+
+      const attack = {
+        id: store.nextWarAttackId++,
+        war_id: warId,
+        attacker_id: attackerId,
+        defender_id: defenderId,
+        attacker_power: attackerPower,
+        defender_power: defenderPower,
+        win_chance: winChance,
+        won,
+        points,
+        created_at: new Date(),
+      };
+      store.warAttacks.push(attack);
+
+      participant.attacks_used += 1;
+      participant.attacks_won += won ? 1 : 0;
+      participant.points += points;
+      if (participant.alliance_id === war.alliance_a_id) {
+        war.alliance_a_score += points;
+      } else {
+        war.alliance_b_score += points;
+      }
+
+      return { success: true, war: copy(war), participant: copy(participant), attack: copy(attack) };
+    },
+
+    async getRecentWarAttacks(warId, limit = 5) {
+      return store.warAttacks
+        .filter(a => a.war_id === warId)
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .slice(0, limit)
+        .map(a => ({
+          ...a,
+          attacker_name: findGuild(a.attacker_id).name,
+          defender_name: findGuild(a.defender_id).name,
+        }));
+    },
+
+    async completeWar(warId, winnerAllianceId, spoils) {
+      const war = store.wars.find(w => w.id === warId && w.status === 'active');
+      if (!war) return null;
+
+      Object.assign(war, {
+        status: 'completed',
+        winner_alliance_id: winnerAllianceId,
+        payout: 0,
+        resolved_at: new Date(),
+      });
+
+      if (winnerAllianceId) {
+        const loserAllianceId = winnerAllianceId === war.alliance_a_id ? war.alliance_b_id : war.alliance_a_id;
+        const winner = findAlliance(winnerAllianceId);
+        const loser = findAlliance(loserAllianceId);
+        const payout = Math.min(spoils, Math.max(loser?.treasury ?? 0, 0));
+
+        if (loser) {
+          loser.treasury -= payout;
+          loser.wars_lost += 1;
+        }
+        winner.treasury += payout;
+        winner.wars_won += 1;
+        war.payout = payout;
+      }
+
+      return copy(war);
+    },
+  };
+
+  // ==========================================================================
+  // Trades
+  // ==========================================================================
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const isWithinDay = (date) => date && Date.now() - date.getTime() < DAY_MS;
+
+  /**
+   * Gold paid to other players in the last 24 hours (mirrors getGoldSentToday in database/trades.js)
+   */
+  const sentToday = (guildId) =>
+    store.trades
+      .filter(t => t.sender_id === guildId && (t.status === 'pending' || t.status === 'accepted') && isWithinDay(t.created_at))
+      .reduce((sum, t) => sum + t.gold, 0) +
+    store.marketListings
+      .filter(l => l.buyer_id === guildId && l.status === 'sold' && isWithinDay(l.resolved_at))
+      .reduce((sum, l) => sum + l.price, 0) +
+    store.bounties
+      .filter(b => b.poster_guild_id === guildId && (b.status === 'active' || b.status === 'claimed') && isWithinDay(b.created_at))
+      .reduce((sum, b) => sum + b.amount, 0) +
+    store.tournamentEntrants
+      .filter(e => e.guild_id === guildId && isWithinDay(e.joined_at))
+      .map(e => store.tournaments.find(t => t.id === e.tournament_id))
+      .filter(t => t.status !== 'cancelled')
+      .reduce((sum, t) => sum + t.entry_fee, 0);
+
+  /**
+   * Gold paid by other players in the last 24 hours (mirrors getGoldReceivedToday in database/trades.js)
+   */
+  const receivedToday = (guildId) =>
+    store.trades
+      .filter(t => t.recipient_id === guildId && t.status === 'accepted' && isWithinDay(t.created_at))
+      .reduce((sum, t) => sum + t.gold, 0) +
+    store.marketListings
+      .filter(l => l.seller_id === guildId && l.status === 'sold' && isWithinDay(l.resolved_at))
+      .reduce((sum, l) => sum + l.price - l.sale_tax, 0) +
+    store.bounties
+      .filter(b => b.claimed_by_guild_id === guildId && b.status === 'claimed' && isWithinDay(b.resolved_at))
+      .reduce((sum, b) => sum + b.amount, 0) +
+    store.tournamentEntrants
+      .filter(e => e.guild_id === guildId)
+      .filter(e => {
+        const tournament = store.tournaments.find(t => t.id === e.tournament_id);
+        return tournament.status === 'completed' && isWithinDay(tournament.resolved_at);
+      })
+      .reduce((sum, e) => sum + e.prize, 0);
+
+  const settleTrade = (trade, status) => {
+    Object.assign(trade, { status, resolved_at: new Date() });
+    findGuild(trade.sender_id).gold += trade.gold;
+  };
+
+  const trades = {
+    async getTradeById(tradeId) {
+      return copy(store.trades.find(t => t.id === tradeId));
+    },
+
+    async getTradeTotals(guildId) {
+      return { sent: sentToday(guildId), received: receivedToday(guildId) };
+    },
+
+    async createTradeOffer(senderId, recipientId, gold, note = null) {
+      const sender = findGuild(senderId);
+      if (!sender) {
+        return { success: false, error: 'Guild not found' };
+      }
+      if (store.trades.some(t => t.sender_id === senderId && t.status === 'pending')) {
+        return { success: false, error: 'You already have an offer waiting for an answer' };
+      }
+      if (sender.gold < gold) {
+        return { success: false, error: 'Not enough gold' };
+      }
+      if (sentToday(senderId) + gold > getDailyTradeLimit(sender.level)) {
+        return { success: false, error: 'That would put you over your daily sending limit' };
+      }
+
+      sender.gold -= gold;
+      const trade = {
+        id: store.nextTradeId++,
+        sender_id: senderId,
+        recipient_id: recipientId,
+        gold,
+        note,
+        status: 'pending',
+        created_at: new Date(),
+        resolved_at: null,
+      };
+      store.trades.push(trade);
+
+      return { success: true, trade: copy(trade) };
+    },
+
+    async acceptTrade(tradeId, recipientId) {
+      const trade = store.trades.find(t => t.id === tradeId);
+      if (!trade || trade.status !== 'pending') {
+        return { success: false, error: 'This offer is no longer available' };
+      }
+      if (trade.recipient_id !== recipientId) {
+        return { success: false, error: 'This offer isn\'t for you' };
+      }
+      if (Date.now() - trade.created_at.getTime() >= TRADE.OFFER_TIMEOUT_MS) {
+        return { success: false, error: 'This offer has expired' };
+      }
+
+      const recipient = findGuild(recipientId);
+      if (receivedToday(recipientId) + trade.gold > getDailyTradeLimit(recipient.level)) {
+        return { success: false, error: 'Accepting would put you over your daily receiving limit' };
+      }
+
+      Object.assign(trade, { status: 'accepted', resolved_at: new Date() });
+      recipient.gold += trade.gold;
+      recipient.lifetime_trade_gold_received += trade.gold;
+      findGuild(trade.sender_id).lifetime_trade_gold_sent += trade.gold;
+
+      return { success: true, trade: copy(trade) };
+    },
+
+    async closeTrade(tradeId, status) {
+      const trade = store.trades.find(t => t.id === tradeId && t.status === 'pending');
+      if (!trade) return null;
+      settleTrade(trade, status);
+      return copy(trade);
+    },
+
+    async expireStaleTrades() {
+      const stale = store.trades.filter(t =>
+        t.status === 'pending' && Date.now() - t.created_at.getTime() >= TRADE.OFFER_TIMEOUT_MS
+      );
+      for (const trade of stale) {
+        settleTrade(trade, 'expired');
+      }
+      return stale.length;
+    },
+
+    async getTradeHistory(guildId, limit = TRADE.HISTORY_LIMIT) {
+      return store.trades
+        .filter(t => t.sender_id === guildId || t.recipient_id === guildId)
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .slice(0, limit)
+        .map(t => {
+          const sender = findGuild(t.sender_id);
+          const recipient = findGuild(t.recipient_id);
+          return {
+            ...t,
+            sender_name: sender.name,
+            sender_discord_id: sender.discord_id,
+            recipient_name: recipient.name,
+            recipient_discord_id: recipient.discord_id,
+          };
+        });
+    },
+  };
+
+  // ==========================================================================
+  // Market
+  // ==========================================================================
+
+  const isListed = (listing) => listing.status === 'active' && listing.expires_at > new Date();
+
+  const market = {
+    async getListingById(listingId) {
+      return copy(store.marketListings.find(l => l.id === listingId));
+    },
+
+    async getActiveListings(limit = MARKET.BROWSE_LIMIT) {
+      return store.marketListings
+        .filter(isListed)
+        .sort((a, b) => a.price / a.quantity - b.price / b.quantity || a.created_at - b.created_at)
+        .slice(0, limit)
+        .map(l => {
+          const seller = findGuild(l.seller_id);
+          return { ...l, seller_name: seller.name, seller_discord_id: seller.discord_id };
+        });
+    },
+
+    async getSellerListings(guildId) {
+      return store.marketListings
+        .filter(l => l.seller_id === guildId && l.status === 'active')
+        .sort((a, b) => b.created_at - a.created_at)
+        .map(copy);
+    },
+
+    async createListing(sellerId, quantity, price, fee, hours) {
+      const seller = findGuild(sellerId);
+      if (!seller) {
+        return { success: false, error: 'Guild not found' };
+      }
+
+      const active = store.marketListings.filter(l => l.seller_id === sellerId && l.status === 'active').length;
+      if (active >= MARKET.MAX_ACTIVE_LISTINGS) {
+        return { success: false, error: `You can only have ${MARKET.MAX_ACTIVE_LISTINGS} listings at a time` };
+      }
+
+      const injured = seller.injured_until && new Date(seller.injured_until) > new Date()
+        ? seller.injured_adventurers
+        : 0;
+      const available = seller.adventurer_count - seller.adventurers_on_quest - seller.adventurers_listed - seller.adventurers_guarding - injured;
+      if (quantity > available) {
+        return { success: false, error: `Only ${available} adventurer${available !== 1 ? 's are' : ' is'} available` };
+      }
+
+      if (seller.gold < fee) {
+        return { success: false, error: 'Not enough gold for the listing fee' };
+      }
+
+      seller.gold -= fee;
+      seller.adventurers_listed += quantity;
+
+      const now = new Date();
+      const listing = {
+        id: store.nextListingId++,
+        seller_id: sellerId,
+        buyer_id: null,
+        quantity,
+        price,
+        listing_fee: fee,
+        sale_tax: 0,
+        status: 'active',
+        created_at: now,
+        expires_at: new Date(now.getTime() + hours * 60 * 60 * 1000),
+        resolved_at: null,
+      };
+      store.marketListings.push(listing);
+
+      return { success: true, listing: copy(listing) };
+    },
+
+    async purchaseListing(listingId, buyerId, capacity) {
+      const listing = store.marketListings.find(l => l.id === listingId);
+      if (!listing || !isListed(listing)) {
+        return { success: false, error: 'This listing is no longer available' };
+      }
+      if (listing.seller_id === buyerId) {
+        return { success: false, error: 'You can\'t buy your own listing' };
+      }
+
+      const buyer = findGuild(buyerId);
+      if (buyer.gold < listing.price) {
+        return { success: false, error: 'Not enough gold' };
+      }
+      if (buyer.adventurer_count + listing.quantity > capacity) {
+        return { success: false, error: 'You don\'t have room for that many adventurers' };
+      }
+
+      const tax = calculateSaleTax(listing.price);
+
+      if (sentToday(buyerId) + listing.price > getDailyTradeLimit(buyer.level)) {
+        return { success: false, error: 'That would put you over your daily sending limit' };
+      }
+      const seller = findGuild(listing.seller_id);
+      if (receivedToday(seller.id) + listing.price - tax > getDailyTradeLimit(seller.level)) {
+        return { success: false, error: 'The seller can\'t receive that much gold today' };
+      }
+
+      Object.assign(listing, { status: 'sold', buyer_id: buyerId, sale_tax: tax, resolved_at: new Date() });
+
+      buyer.gold -= listing.price;
+      buyer.adventurer_count += listing.quantity;
+      seller.gold += listing.price - tax;
+      seller.adventurer_count = Math.max(seller.adventurer_count - listing.quantity, 0);
+      seller.adventurers_listed = Math.max(seller.adventurers_listed - listing.quantity, 0);
+
+      return { success: true, listing: copy(listing) };
+    },
+
+    async closeListing(listingId, status) {
+      const listing = store.marketListings.find(l => l.id === listingId && l.status === 'active');
+      if (!listing) return null;
+
+      Object.assign(listing, { status, resolved_at: new Date() });
+      const seller = findGuild(listing.seller_id);
+      seller.adventurers_listed = Math.max(seller.adventurers_listed - listing.quantity, 0);
+      return copy(listing);
+    },
+
+    async getExpiredListings(limit = 100) {
+      return store.marketListings
+        .filter(l => l.status === 'active' && l.expires_at <= new Date())
+        .sort((a, b) => a.expires_at - b.expires_at)
+        .slice(0, limit)
+        .map(copy);
+    },
+  };
+
+  // ==========================================================================
+  // Items
+  // ==========================================================================
+
+  const itemsRepo = {
+    async getAllItems() {
+      return [...store.items]
+        .sort((a, b) => a.slot.localeCompare(b.slot) || a.power - b.power || a.id - b.id)
+        .map(copy);
+    },
+
+    async getInventory(guildId) {
+      return joinedInventory(guildId);
+    },
+
+    async addItem(guildId, itemId, source, inventoryLimit, salvageGold) {
+      const guild = findGuild(guildId);
+      guild.lifetime_items_found += 1;
+
+      if (store.guildItems.filter(gi => gi.guild_id === guildId).length >= inventoryLimit) {
+        guild.gold += salvageGold;
+        return { guildItem: null, salvaged: salvageGold };
+      }
+
+      const guildItem = {
+        id: store.nextGuildItemId++,
+        guild_id: guildId,
+        item_id: itemId,
+        equipped: false,
+        source,
+        acquired_at: new Date(),
+      };
+      store.guildItems.push(guildItem);
+      return { guildItem: copy(guildItem), salvaged: 0 };
+    },
+
+    async equipItem(guildId, guildItemId) {
+      const item = joinedInventory(guildId).find(gi => gi.id === guildItemId);
+      if (!item) {
+        return { success: false, error: 'You don\'t own that item' };
+      }
+      if (item.equipped) {
+        return { success: false, error: `${item.name} is already equipped` };
+      }
+
+      const replaced = joinedInventory(guildId).find(gi => gi.equipped && gi.slot === item.slot) || null;
+      if (replaced) {
+        store.guildItems.find(gi => gi.id === replaced.id).equipped = false;
+      }
+      store.guildItems.find(gi => gi.id === guildItemId).equipped = true;
+
+      return {
+        success: true,
+        item: { ...item, equipped: true },
+        replaced: replaced ? { id: replaced.id, name: replaced.name } : null,
+      };
+    },
+
+    async salvageItem(guildId, guildItemId, gold) {
+      const index = store.guildItems.findIndex(gi =>
+        gi.id === guildItemId && gi.guild_id === guildId && !gi.equipped);
+      if (index === -1) return null;
+
+      const [item] = store.guildItems.splice(index, 1);
+      findGuild(guildId).gold += gold;
+      return copy(item);
+    },
+  };
+
+  // ==========================================================================
+  // Crafting
+  // ==========================================================================
+
+  const crafting = {
+    async getAllRecipes() {
+      return [...store.recipes]
+        .sort((a, b) => a.required_level - b.required_level || a.id - b.id)
+        .map(copy);
+    },
+
+    async addMaterials(guildId, { herbs = 0, ore = 0, arcane_dust = 0 }) {
+      const guild = findGuild(guildId);
+      guild.herbs += herbs;
+      guild.ore += ore;
+      guild.arcane_dust += arcane_dust;
+      guild.lifetime_materials_gathered += herbs + ore + arcane_dust;
+      return copy(guild);
+    },
+
+    async craftRecipe(guildId, recipe, capacity) {
+      const guild = findGuild(guildId);
+      if (!guild) {
+        return { success: false, error: 'Guild not found' };
+      }
+      if (guild.level < recipe.required_level) {
+        return { success: false, error: `You need to reach level ${recipe.required_level} to craft ${recipe.name}` };
+      }
+      if (guild.herbs < recipe.herbs || guild.ore < recipe.ore || guild.arcane_dust < recipe.arcane_dust) {
+        return { success: false, error: 'Not enough materials' };
+      }
+
+      const now = new Date();
+      const value = parseFloat(recipe.effect_value);
+      let goldBoost = { value: guild.gold_boost, until: guild.gold_boost_until };
+      let xpBoost = { value: guild.xp_boost, until: guild.xp_boost_until };
+      let recruited = 0;
+
+      if (recipe.effect_type === 'gold_boost' || recipe.effect_type === 'all_boost') {
+        goldBoost = stackBoost(guild.gold_boost, guild.gold_boost_until, value, recipe.duration_minutes, now);
+        if (!goldBoost) return { success: false, error: 'A stronger gold boost is already running' };
+      }
+      if (recipe.effect_type === 'xp_boost' || recipe.effect_type === 'all_boost') {
+        xpBoost = stackBoost(guild.xp_boost, guild.xp_boost_until, value, recipe.duration_minutes, now);
+        if (!xpBoost) return { success: false, error: 'A stronger XP boost is already running' };
+      }
+      if (recipe.effect_type === 'instant_recruit') {
+        recruited = Math.min(value, capacity - guild.adventurer_count);
+        if (recruited <= 0) return { success: false, error: 'You don\'t have room for more adventurers' };
+      }
+
+      Object.assign(guild, {
+        herbs: guild.herbs - recipe.herbs,
+        ore: guild.ore - recipe.ore,
+        arcane_dust: guild.arcane_dust - recipe.arcane_dust,
+        gold_boost: goldBoost.value,
+        gold_boost_until: goldBoost.until,
+        xp_boost: xpBoost.value,
+        xp_boost_until: xpBoost.until,
+        adventurer_count: guild.adventurer_count + recruited,
+        lifetime_adventurers_recruited: guild.lifetime_adventurers_recruited + recruited,
+        lifetime_potions_crafted: guild.lifetime_potions_crafted + 1,
+      });
+
+      return { success: true, guild: copy(guild), recruited };
+    },
+  };
+
+  // ==========================================================================
+  // Roster
+  // ==========================================================================
+
+  const rosterOf = (guildId) => store.adventurers
+    .filter(a => a.guild_id === guildId)
+    .sort((a, b) => b.level - a.level || b.xp - a.xp || a.id - b.id);
+
+  const refreshRosterBonuses = (guild) => {
+    const { goldBonus, power } = calculateRosterBonuses(rosterOf(guild.id));
+    guild.roster_gold_bonus = goldBonus;
+    guild.roster_power = power;
+  };
+
+  const roster = {
+    async getRoster(guildId) {
+      return rosterOf(guildId).map(copy);
+    },
+
+    async syncRoster(guildId, target, recruits) {
+      const guild = findGuild(guildId);
+      const current = rosterOf(guildId);
+
+      if (current.length < target) {
+        for (const recruit of recruits.slice(0, target - current.length)) {
+          store.adventurers.push({
+            id: store.nextAdventurerId++,
+            guild_id: guildId,
+            name: recruit.name,
+            class: recruit.class,
+            trait: recruit.trait,
+            level: 1,
+            xp: 0,
+            recruited_at: new Date(),
+          });
+        }
+      } else if (current.length > target) {
+        // The weakest, newest adventurers leave first
+        const leaving = new Set(
+          [...current]
+            .sort((a, b) => a.level - b.level || a.xp - b.xp || b.id - a.id)
+            .slice(0, current.length - target)
+            .map(a => a.id)
+        );
+        store.adventurers = store.adventurers.filter(a => !leaving.has(a.id));
+      }
+
+      if (current.length !== target && guild) {
+        refreshRosterBonuses(guild);
+      }
+      return rosterOf(guildId).map(copy);
+    },
+
+    async trainAdventurers(guildId, xp) {
+      for (const adventurer of rosterOf(guildId)) {
+        if (adventurer.level >= ROSTER.MAX_LEVEL) continue;
+        adventurer.xp += Math.floor(xp * ROSTER.TRAITS[adventurer.trait].xp);
+      }
+    },
+
+    async promoteAdventurer(guildId, adventurerId) {
+      const guild = findGuild(guildId);
+      if (!guild) {
+        return { success: false, error: 'Guild not found' };
+      }
+
+      const adventurer = store.adventurers.find(a => a.id === adventurerId && a.guild_id === guildId);
+      if (!adventurer) {
+        return { success: false, error: 'That adventurer isn\'t in your guild' };
+      }
+      if (adventurer.level >= ROSTER.MAX_LEVEL) {
+        return { success: false, error: `${adventurer.name} is already at the maximum level` };
+      }
+
+      const { xp, gold } = getPromotionRequirements(adventurer.level);
+      if (adventurer.xp < xp) {
+        return { success: false, error: `${adventurer.name} needs ${xp - adventurer.xp} more XP` };
+      }
+      if (guild.gold < gold) {
+        return { success: false, error: `Promoting ${adventurer.name} costs ${gold} gold` };
+      }
+
+      adventurer.level += 1;
+      adventurer.xp -= xp;
+      guild.gold -= gold;
+      guild.lifetime_gold_spent += gold;
+      guild.lifetime_promotions += 1;
+      refreshRosterBonuses(guild);
+
+      return { success: true, adventurer: copy(adventurer), guild: copy(guild), cost: gold };
+    },
+
+    async dismissAdventurer(guildId, adventurerId) {
+      const guild = findGuild(guildId);
+      if (!guild) {
+        return { success: false, error: 'Guild not found' };
+      }
+
+      const adventurer = store.adventurers.find(a => a.id === adventurerId && a.guild_id === guildId);
+      if (!adventurer) {
+        return { success: false, error: 'That adventurer isn\'t in your guild' };
+      }
+
+      const injured = guild.injured_until && new Date(guild.injured_until) > new Date()
+        ? guild.injured_adventurers
+        : 0;
+      const available = guild.adventurer_count - guild.adventurers_on_quest - guild.adventurers_listed - guild.adventurers_guarding - injured;
+      if (available < 1) {
+        return { success: false, error: 'All your adventurers are busy - wait for them to return' };
+      }
+
+      store.adventurers = store.adventurers.filter(a => a.id !== adventurerId);
+      guild.adventurer_count -= 1;
+      refreshRosterBonuses(guild);
+
+      return { success: true, adventurer: copy(adventurer), guild: copy(guild) };
+    },
+  };
+
+  // ==========================================================================
+  // Raids
+  // ==========================================================================
+
+  const MINUTE_MS = 60 * 1000;
+
+  const findActiveBoss = () => store.worldBosses.find(b => b.status === 'active') || null;
+
+  const findContribution = (bossId, guildId) =>
+    store.bossContributions.find(c => c.boss_id === bossId && c.guild_id === guildId) || null;
+
+  const raids = {
+    async getActiveBoss() {
+      return copy(findActiveBoss());
+    },
+
+    async getBossById(bossId) {
+      return copy(store.worldBosses.find(b => b.id === bossId));
+    },
+
+    async getLastBoss() {
+      const [boss] = store.worldBosses
+        .filter(b => b.status === 'defeated' || b.status === 'escaped')
+        .sort((a, b) => b.resolved_at - a.resolved_at);
+      return copy(boss);
+    },
+
+    async countActiveGuilds(hours) {
+      const since = Date.now() - hours * HOUR_MS;
+      return store.guilds.filter(g => new Date(g.last_collected_at).getTime() > since).length;
+    },
+
+    async spawnBoss(bossKey, hp, durationHours) {
+      if (findActiveBoss()) return null;
+
+      const now = Date.now();
+      const boss = {
+        id: store.nextBossId++,
+        boss_key: bossKey,
+        max_hp: hp,
+        hp,
+        status: 'active',
+        ends_at: new Date(now + durationHours * HOUR_MS),
+        resolved_at: null,
+        created_at: new Date(now),
+      };
+      store.worldBosses.push(boss);
+      return copy(boss);
+    },
+
+    async getBossesToClose() {
+      const now = Date.now();
+      return store.worldBosses
+        .filter(b => b.status === 'active' && (b.hp <= 0 || b.ends_at.getTime() <= now))
+        .sort((a, b) => a.ends_at - b.ends_at)
+        .map(copy);
+    },
+
+    async getBossContributions(bossId) {
+      return store.bossContributions
+        .filter(c => c.boss_id === bossId)
+        .map(c => {
+          const guild = findGuild(c.guild_id);
+          return { ...c, discord_id: guild.discord_id, name: guild.name };
+        })
+        .sort((a, b) => b.damage - a.damage || a.last_attack_at - b.last_attack_at);
+    },
+
+    async getBossContribution(bossId, guildId) {
+      return copy(findContribution(bossId, guildId));
+    },
+
+    async recordBossAttack(bossId, guildId, damage, cooldownMinutes) {
+      const boss = store.worldBosses.find(b => b.id === bossId);
+      if (!boss || boss.status !== 'active' || boss.hp <= 0 || boss.ends_at.getTime() <= Date.now()) {
+        return { success: false, error: 'This boss is no longer taking hits' };
+      }
+
+      let contribution = findContribution(bossId, guildId);
+      if (contribution && Date.now() - contribution.last_attack_at.getTime() < cooldownMinutes * MINUTE_MS) {
+        return { success: false, error: 'Your adventurers are still catching their breath' };
+      }
+
+      const dealt = Math.min(damage, boss.hp);
+      boss.hp -= dealt;
+
+      if (!contribution) {
+        contribution = {
+          boss_id: bossId,
+          guild_id: guildId,
+          damage: 0,
+          attacks: 0,
+          last_attack_at: null,
+          reward_tier: null,
+          reward_gold: 0,
+          reward_xp: 0,
+        };
+        store.bossContributions.push(contribution);
+      }
+      contribution.damage += dealt;
+      contribution.attacks += 1;
+      contribution.last_attack_at = new Date();
+
+      findGuild(guildId).lifetime_boss_damage += dealt;
+
+      return { success: true, boss: copy(boss), contribution: copy(contribution), damage: dealt };
+    },
+
+    async completeBoss(bossId, status, rewards) {
+      const boss = store.worldBosses.find(b => b.id === bossId && b.status === 'active');
+      if (!boss) return null;
+
+      Object.assign(boss, { status, resolved_at: new Date() });
+
+      const updatedGuilds = [];
+      for (const { guildId, tier, gold, xp } of rewards) {
+        Object.assign(findContribution(bossId, guildId), { reward_tier: tier, reward_gold: gold, reward_xp: xp });
+
+        const guild = findGuild(guildId);
+        if (!guild) continue;
+        guild.gold += gold;
+        guild.xp += xp;
+        guild.lifetime_gold_earned += gold;
+        guild.lifetime_xp_earned += xp;
+        guild.lifetime_bosses_defeated += status === 'defeated' ? 1 : 0;
+        guild.peak_gold_balance = Math.max(guild.peak_gold_balance, guild.gold);
+        recordSeasonProgress(guildId, { gold });
+        updatedGuilds.push(copy(guild));
+      }
+
+      return { boss: copy(boss), guilds: updatedGuilds };
+    },
+  };
+
+  // ==========================================================================
+  // Seasons
+  // ==========================================================================
+
+  const SEASON_FIELDS = { gold: 'gold_earned', battles: 'battles_won' };
+
+  const findActiveSeason = () => store.seasons.find(s => s.status === 'active') || null;
+
+  // Ladder order for a category - ties go to the other counter, then the older guild
+  const rankedSeasonStats = (seasonId, category) => {
+    const field = SEASON_FIELDS[category] || SEASON_FIELDS.gold;
+    const other = field === SEASON_FIELDS.gold ? SEASON_FIELDS.battles : SEASON_FIELDS.gold;
+    return store.seasonStats
+      .filter(s => s.season_id === seasonId && s[field] > 0)
+      .sort((a, b) => b[field] - a[field] || b[other] - a[other] || a.guild_id - b.guild_id);
+  };
+
+  const seasons = {
+    async getActiveSeason() {
+      return copy(findActiveSeason());
+    },
+
+    async getSeasonById(seasonId) {
+      return copy(store.seasons.find(s => s.id === seasonId));
+    },
+
+    async getLastSeason() {
+      const [season] = store.seasons
+        .filter(s => s.status === 'completed')
+        .sort((a, b) => b.id - a.id);
+      return copy(season);
+    },
+
+    async startSeason(lengthDays) {
+      if (findActiveSeason()) return null;
+
+      const now = Date.now();
+      const season = {
+        id: store.nextSeasonId++,
+        status: 'active',
+        starts_at: new Date(now),
+        ends_at: new Date(now + lengthDays * 24 * HOUR_MS),
+        resolved_at: null,
+      };
+      store.seasons.push(season);
+      return copy(season);
+    },
+
+    async getSeasonsToClose() {
+      const now = Date.now();
+      return store.seasons
+        .filter(s => s.status === 'active' && s.ends_at.getTime() <= now)
+        .sort((a, b) => a.id - b.id)
+        .map(copy);
+    },
+
+    async getSeasonStandings(seasonId, category = 'gold', limit = 10) {
+      return rankedSeasonStats(seasonId, category)
+        .slice(0, limit)
+        .map((s, index) => {
+          const guild = findGuild(s.guild_id);
+          return { ...s, discord_id: guild.discord_id, name: guild.name, rank: index + 1 };
+        });
+    },
+
+    async getSeasonStanding(seasonId, guildId) {
+      const stats = store.seasonStats.find(s => s.season_id === seasonId && s.guild_id === guildId);
+      if (!stats) return null;
+
+      const rankIn = (category) => {
+        const index = rankedSeasonStats(seasonId, category).indexOf(stats);
+        return index === -1 ? null : index + 1;
+      };
+      return { ...stats, gold_rank: rankIn('gold'), battles_rank: rankIn('battles') };
+    },
+
+    async countSeasonEntries(seasonId, category = 'gold') {
+      return rankedSeasonStats(seasonId, category).length;
+    },
+
+    async completeSeason(seasonId, rewards) {
+      const season = store.seasons.find(s => s.id === seasonId && s.status === 'active');
+      if (!season) return null;
+
+      Object.assign(season, { status: 'completed', resolved_at: new Date() });
+
+      const updatedGuilds = [];
+      for (const { guildId, gold, xp } of rewards) {
+        const stats = store.seasonStats.find(s => s.season_id === seasonId && s.guild_id === guildId);
+        if (stats) Object.assign(stats, { reward_gold: gold, reward_xp: xp });
+
+        const guild = findGuild(guildId);
+        if (!guild) continue;
+        guild.gold += gold;
+        guild.xp += xp;
+        guild.lifetime_gold_earned += gold;
+        guild.lifetime_xp_earned += xp;
+        guild.lifetime_season_rewards += 1;
+        guild.peak_gold_balance = Math.max(guild.peak_gold_balance, guild.gold);
+        updatedGuilds.push(copy(guild));
+      }
+
+      return { season: copy(season), guilds: updatedGuilds };
+    },
+  };
+
+  // ==========================================================================
+  // Defense
+  // ==========================================================================
+
+  const defense = {
+    async buildFortification(guildId) {
+      const guild = findGuild(guildId);
+      if (!guild) {
+        return { success: false, error: 'Guild not found' };
+      }
+
+      const fortification = getNextFortification(guild);
+      if (!fortification) {
+        return { success: false, error: 'Your guild is already fully fortified' };
+      }
+      if (guild.level < fortification.requiredLevel) {
+        return { success: false, error: `You need to reach level ${fortification.requiredLevel} to build the ${fortification.name}` };
+      }
+      if (guild.gold < fortification.cost) {
+        return { success: false, error: 'Not enough gold' };
+      }
+
+      guild.gold -= fortification.cost;
+      guild.lifetime_gold_spent += fortification.cost;
+      guild.fortification_level += 1;
+
+      return { success: true, guild: copy(guild), fortification };
+    },
+
+    async setGuards(guildId, count) {
+      const guild = findGuild(guildId);
+      if (!guild) {
+        return { success: false, error: 'Guild not found' };
+      }
+
+      const maxGuards = getMaxGuards(guild);
+      if (count > maxGuards) {
+        return { success: false, error: `You can post at most ${maxGuards} guard${maxGuards !== 1 ? 's' : ''}` };
+      }
+
+      const injured = guild.injured_until && new Date(guild.injured_until) > new Date()
+        ? guild.injured_adventurers
+        : 0;
+      const home = guild.adventurer_count - guild.adventurers_on_quest - guild.adventurers_listed - injured;
+      if (count > home) {
+        return { success: false, error: `Only ${home} adventurer${home !== 1 ? 's are' : ' is'} home` };
+      }
+
+      guild.adventurers_guarding = count;
+      return { success: true, guild: copy(guild) };
+    },
+  };
+
+  // ==========================================================================
+  // Tournaments
+  // ==========================================================================
+
+  const isActiveTournament = (t) => t.status === 'open' || t.status === 'running';
+
+  const findTournament = (id) => store.tournaments.find(t => t.id === id) || null;
+
+  const entrantsOf = (tournamentId) => store.tournamentEntrants.filter(e => e.tournament_id === tournamentId);
+
+  const findEntrant = (tournamentId, guildId) =>
+    store.tournamentEntrants.find(e => e.tournament_id === tournamentId && e.guild_id === guildId) || null;
+
+  // Why a guild can't pay an entry fee (mirrors the checks in enterTournament in database/tournaments.js), or null if it can
+  const entryError = (guildId, fee) => {
+    const guild = findGuild(guildId);
+    if (!guild) return 'Guild not found';
+    if (guild.level < TRADE.MIN_LEVEL) return `You need to reach level ${TRADE.MIN_LEVEL} to enter tournaments`;
+    if (sentToday(guildId) + fee > getDailyTradeLimit(guild.level)) {
+      return 'That entry fee would put you over your daily sending limit';
+    }
+    if (guild.gold < fee) return 'Not enough gold for the entry fee';
+    return null;
+  };
+
+  // Pays the entry fee, adds the entrant and grows the prize pool - returns an error message if the guild can't enter
+  const enterTournament = (tournament, guildId) => {
+    const fee = tournament.entry_fee;
+    const error = entryError(guildId, fee);
+    if (error) return error;
+
+    findGuild(guildId).gold -= fee;
+    store.tournamentEntrants.push({
+      tournament_id: tournament.id,
+      guild_id: guildId,
+      seed: null,
+      points: 0,
+      eliminated_round: null,
+      placement: null,
+      prize: 0,
+      joined_at: new Date(),
+    });
+    tournament.prize_pool += fee;
+    return null;
+  };
+
+  const tournaments = {
+    async getActiveTournament(serverId) {
+      return copy(store.tournaments.find(t => t.server_id === serverId && isActiveTournament(t)));
+    },
+
+    async getTournamentById(tournamentId) {
+      return copy(findTournament(tournamentId));
+    },
+
+    async createTournament({ serverId, channelId, name, format, entryFee, maxEntrants, hostGuildId }) {
+      if (store.tournaments.some(t => t.server_id === serverId && isActiveTournament(t))) {
+        return { success: false, error: 'This server already has a tournament open' };
+      }
+      const error = entryError(hostGuildId, entryFee);
+      if (error) {
+        return { success: false, error };
+      }
+
+      const tournament = {
+        id: store.nextTournamentId++,
+        server_id: serverId,
+        channel_id: channelId,
+        name,
+        format,
+        entry_fee: entryFee,
+        max_entrants: maxEntrants,
+        prize_pool: 0,
+        host_guild_id: hostGuildId,
+        status: 'open',
+        current_round: 0,
+        total_rounds: 0,
+        next_round_at: null,
+        winner_guild_id: null,
+        created_at: new Date(),
+        started_at: null,
+        resolved_at: null,
+      };
+      store.tournaments.push(tournament);
+      enterTournament(tournament, hostGuildId);
+
+      return { success: true, tournament: copy(tournament) };
+    },
+
+    async joinTournament(tournamentId, guildId) {
+      const tournament = findTournament(tournamentId);
+      if (!tournament || tournament.status !== 'open') {
+        return { success: false, error: 'This tournament is no longer taking entrants' };
+      }
+      if (entrantsOf(tournamentId).length >= tournament.max_entrants) {
+        return { success: false, error: 'This tournament is full' };
+      }
+      if (findEntrant(tournamentId, guildId)) {
+        return { success: false, error: 'Your guild is already entered' };
+      }
+
+      const error = enterTournament(tournament, guildId);
+      if (error) {
+        return { success: false, error };
+      }
+
+      return { success: true, tournament: copy(tournament) };
+    },
+
+    async getTournamentEntrants(tournamentId) {
+      return entrantsOf(tournamentId)
+        .map(e => {
+          const guild = findGuild(e.guild_id);
+          return { ...e, discord_id: guild.discord_id, name: guild.name };
+        })
+        .sort((a, b) =>
+          (a.seed ?? Infinity) - (b.seed ?? Infinity) || a.joined_at - b.joined_at || a.guild_id - b.guild_id
+        );
+    },
+
+    async startTournament(tournamentId, seeds, totalRounds) {
+      const tournament = findTournament(tournamentId);
+      if (!tournament || tournament.status !== 'open') return null;
+
+      const now = new Date();
+      Object.assign(tournament, { status: 'running', started_at: now, next_round_at: now, total_rounds: totalRounds });
+      for (const { guildId, seed } of seeds) {
+        const entrant = findEntrant(tournamentId, guildId);
+        if (entrant) entrant.seed = seed;
+      }
+
+      return copy(tournament);
+    },
+
+    async recordTournamentRound(tournamentId, round, matches, nextRoundMinutes) {
+      const tournament = findTournament(tournamentId);
+      if (!tournament || tournament.status !== 'running' || tournament.current_round !== round - 1) return null;
+
+      tournament.current_round = round;
+      tournament.next_round_at = new Date(Date.now() + nextRoundMinutes * MINUTE_MS);
+
+      for (const match of matches) {
+        store.tournamentMatches.push({
+          id: store.nextTournamentMatchId++,
+          tournament_id: tournamentId,
+          round,
+          slot: match.slot,
+          guild_a_id: match.guildAId,
+          guild_b_id: match.guildBId,
+          winner_id: match.winnerId,
+          guild_a_power: match.guildAPower,
+          guild_b_power: match.guildBPower,
+          win_chance: match.winChance,
+          created_at: new Date(),
+        });
+
+        findEntrant(tournamentId, match.winnerId).points += 1;
+
+        const loserId = match.winnerId === match.guildAId ? match.guildBId : match.guildAId;
+        if (tournament.format === 'single' && loserId) {
+          findEntrant(tournamentId, loserId).eliminated_round = round;
+        }
+      }
+
+      return copy(tournament);
+    },
+
+    async getTournamentMatches(tournamentId) {
+      return store.tournamentMatches
+        .filter(m => m.tournament_id === tournamentId)
+        .sort((a, b) => a.round - b.round || a.slot - b.slot)
+        .map(m => ({
+          ...m,
+          guild_a_name: findGuild(m.guild_a_id)?.name ?? null,
+          guild_b_name: findGuild(m.guild_b_id)?.name ?? null,
+        }));
+    },
+
+    async getTournamentsDue() {
+      const now = Date.now();
+      return store.tournaments
+        .filter(t => t.status === 'running' && t.next_round_at.getTime() <= now)
+        .sort((a, b) => a.next_round_at - b.next_round_at)
+        .map(copy);
+    },
+
+    async getExpiredTournaments(hours) {
+      const cutoff = Date.now() - hours * HOUR_MS;
+      return store.tournaments
+        .filter(t => t.status === 'open' && t.created_at.getTime() <= cutoff)
+        .sort((a, b) => a.created_at - b.created_at)
+        .map(copy);
+    },
+
+    async completeTournament(tournamentId, placements) {
+      const tournament = findTournament(tournamentId);
+      if (!tournament || tournament.status !== 'running') return null;
+
+      Object.assign(tournament, {
+        status: 'completed',
+        resolved_at: new Date(),
+        next_round_at: null,
+        winner_guild_id: placements[0]?.guildId ?? null,
+      });
+
+      const updatedGuilds = [];
+      for (const { guildId, placement, prize } of placements) {
+        Object.assign(findEntrant(tournamentId, guildId), { placement, prize });
+
+        if (prize <= 0 && placement !== 1) continue;
+
+        const guild = findGuild(guildId);
+        if (!guild) continue;
+        guild.gold += prize;
+        guild.lifetime_tournament_gold += prize;
+        guild.lifetime_tournaments_won += placement === 1 ? 1 : 0;
+        guild.peak_gold_balance = Math.max(guild.peak_gold_balance, guild.gold);
+        updatedGuilds.push(copy(guild));
+      }
+
+      return { tournament: copy(tournament), guilds: updatedGuilds };
+    },
+
+    async cancelTournament(tournamentId) {
+      const tournament = findTournament(tournamentId);
+      if (!tournament || tournament.status !== 'open') return null;
+
+      Object.assign(tournament, { status: 'cancelled', resolved_at: new Date() });
+
+      const refunded = [];
+      for (const entrant of entrantsOf(tournamentId)) {
+        const guild = findGuild(entrant.guild_id);
+        if (!guild) continue;
+        guild.gold += tournament.entry_fee;
+        refunded.push({ guild_id: guild.id, discord_id: guild.discord_id, name: guild.name });
+      }
+
+      return { tournament: copy(tournament), refunded };
+    },
+
+    async getRecentTournaments(serverId, limit = 5) {
+      return store.tournaments
+        .filter(t => t.server_id === serverId && t.status === 'completed')
+        .sort((a, b) => b.resolved_at - a.resolved_at || b.id - a.id)
+        .slice(0, limit)
+        .map(t => ({
+          ...t,
+          winner_name: findGuild(t.winner_guild_id)?.name ?? null,
+          entrant_count: entrantsOf(t.id).length,
+        }));
+    },
+  };
+
+  // ==========================================================================
+  // Bounties
+  // ==========================================================================
+
+  const isOpenBounty = (bounty) => bounty.status === 'active';
+
+  const bounties = {
+    async getBountyById(bountyId) {
+      return copy(store.bounties.find(b => b.id === bountyId));
+    },
+
+    async countBountiesOnTarget(targetGuildId) {
+      return store.bounties.filter(b => b.target_guild_id === targetGuildId && isOpenBounty(b)).length;
+    },
+
+    async countBountiesByPoster(posterGuildId) {
+      return store.bounties.filter(b => b.poster_guild_id === posterGuildId && isOpenBounty(b)).length;
+    },
+
+    async createBounty({ posterGuildId, targetGuildId, amount, fee, durationHours, maxPerTarget, maxPerPoster }) {
+      const poster = findGuild(posterGuildId);
+      if (!poster) {
+        return { success: false, error: 'Guild not found' };
+      }
+      if (sentToday(posterGuildId) + amount > getDailyTradeLimit(poster.level)) {
+        return { success: false, error: 'That would put you over your daily sending limit' };
+      }
+      if (poster.gold < amount + fee) {
+        return { success: false, error: 'You don\'t have enough gold to cover the bounty and its posting fee.' };
+      }
+      if (await bounties.countBountiesOnTarget(targetGuildId) >= maxPerTarget ||
+          await bounties.countBountiesByPoster(posterGuildId) >= maxPerPoster) {
+        return { success: false, error: 'The bounty board filled up before yours went on it - your gold was returned.' };
+      }
+
+      poster.gold -= amount + fee;
+      const now = Date.now();
+      const bounty = {
+        id: store.nextBountyId++,
+        poster_guild_id: posterGuildId,
+        target_guild_id: targetGuildId,
+        amount,
+        status: 'active',
+        claimed_by_guild_id: null,
+        battle_id: null,
+        created_at: new Date(now),
+        expires_at: new Date(now + durationHours * HOUR_MS),
+        resolved_at: null,
+      };
+      store.bounties.push(bounty);
+      return { success: true, bounty: copy(bounty) };
+    },
+
+    async getBountiesOnTarget(targetGuildId) {
+      return store.bounties
+        .filter(b => b.target_guild_id === targetGuildId && isOpenBounty(b))
+        .sort((a, b) => b.amount - a.amount || a.created_at - b.created_at)
+        .map(b => ({ ...b, poster_name: findGuild(b.poster_guild_id).name }));
+    },
+
+    async getPostedBounties(posterGuildId) {
+      return store.bounties
+        .filter(b => b.poster_guild_id === posterGuildId && isOpenBounty(b))
+        .sort((a, b) => a.created_at - b.created_at)
+        .map(b => {
+          const target = findGuild(b.target_guild_id);
+          return { ...b, target_name: target.name, target_discord_id: target.discord_id };
+        });
+    },
+
+    async getBountyBoard(limit = 10) {
+      const board = new Map();
+      for (const bounty of store.bounties.filter(isOpenBounty)) {
+        if (!board.has(bounty.target_guild_id)) {
+          const target = findGuild(bounty.target_guild_id);
+          board.set(target.id, {
+            target_guild_id: target.id,
+            name: target.name,
+            discord_id: target.discord_id,
+            total: 0,
+            bounty_count: 0,
+            expires_at: bounty.expires_at,
+          });
+        }
+
+        const entry = board.get(bounty.target_guild_id);
+        entry.total += bounty.amount;
+        entry.bounty_count += 1;
+        if (bounty.expires_at < entry.expires_at) entry.expires_at = bounty.expires_at;
+      }
+
+      return [...board.values()]
+        .sort((a, b) => b.total - a.total || a.target_guild_id - b.target_guild_id)
+        .slice(0, limit);
+    },
+
+    async claimBounties(targetGuildId, claimantGuildId, battleId) {
+      const guild = findGuild(claimantGuildId);
+      if (!guild) return null;
+
+      const now = Date.now();
+      const open = store.bounties
+        .filter(b =>
+          b.target_guild_id === targetGuildId &&
+          b.poster_guild_id !== claimantGuildId &&
+          isOpenBounty(b) &&
+          b.expires_at.getTime() > now
+        )
+        .sort((a, b) => b.amount - a.amount || a.created_at - b.created_at);
+
+      let allowance = getDailyTradeLimit(guild.level) - receivedToday(claimantGuildId);
+      const claimed = [];
+      for (const bounty of open) {
+        if (bounty.amount > allowance) continue;
+        allowance -= bounty.amount;
+        claimed.push(bounty);
+      }
+      if (claimed.length === 0) return null;
+
+      for (const bounty of claimed) {
+        Object.assign(bounty, { status: 'claimed', claimed_by_guild_id: claimantGuildId, battle_id: battleId, resolved_at: new Date(now) });
+      }
+
+      const total = claimed.reduce((sum, b) => sum + b.amount, 0);
+      guild.gold += total;
+      guild.lifetime_bounties_claimed += claimed.length;
+      guild.lifetime_bounty_gold += total;
+      guild.peak_gold_balance = Math.max(guild.peak_gold_balance, guild.gold);
+
+      return { bounties: claimed.map(copy), total, guild: copy(guild) };
+    },
+
+    async closeBounty(bountyId, status, posterGuildId = null) {
+      const bounty = store.bounties.find(b =>
+        b.id === bountyId && isOpenBounty(b) && (posterGuildId === null || b.poster_guild_id === posterGuildId)
+      );
+      if (!bounty) return null;
+
+      Object.assign(bounty, { status, resolved_at: new Date() });
+      return copy(bounty);
+    },
+
+    async getExpiredBounties() {
+      const now = Date.now();
+      return store.bounties
+        .filter(b => isOpenBounty(b) && b.expires_at.getTime() <= now)
+        .sort((a, b) => a.expires_at - b.expires_at)
+        .map(copy);
+    },
+  };
+
+  // ==========================================================================
+  // Battle challenges & free revenge
+  // ==========================================================================
+
+  const challenges = {
+    async createChallenge({ attackerGuildId, defenderGuildId, attackerDiscordId, defenderDiscordId, betAmount, timeoutMs }) {
+      const attacker = findGuild(attackerGuildId);
+      if (!attacker || attacker.gold < betAmount) return null;
+
+      attacker.gold -= betAmount;
+      const now = Date.now();
+      const challenge = {
+        id: store.nextChallengeId++,
+        attacker_guild_id: attackerGuildId,
+        defender_guild_id: defenderGuildId,
+        attacker_discord_id: attackerDiscordId,
+        defender_discord_id: defenderDiscordId,
+        bet_amount: betAmount,
+        channel_id: null,
+        message_id: null,
+        status: 'pending',
+        created_at: new Date(now),
+        expires_at: new Date(now + timeoutMs),
+        resolved_at: null,
+      };
+      store.battleChallenges.push(challenge);
+      return copy(challenge);
+    },
+
+    async setChallengeMessage(challengeId, channelId, messageId) {
+      const challenge = store.battleChallenges.find(c => c.id === challengeId);
+      if (challenge) {
+        Object.assign(challenge, { channel_id: channelId, message_id: messageId });
+      }
+    },
+
+    async getChallengeById(challengeId) {
+      return copy(store.battleChallenges.find(c => c.id === challengeId));
+    },
+
+    async acceptChallenge(challengeId, defenderGuildId) {
+      const challenge = store.battleChallenges.find(c =>
+        c.id === challengeId &&
+        c.defender_guild_id === defenderGuildId &&
+        c.status === 'pending' &&
+        c.expires_at.getTime() > Date.now()
+      );
+      if (!challenge) return null;
+
+      Object.assign(challenge, { status: 'accepted', resolved_at: new Date() });
+      return copy(challenge);
+    },
+
+    async closeChallenge(challengeId, status) {
+      const challenge = store.battleChallenges.find(c => c.id === challengeId && c.status === 'pending');
+      if (!challenge) return null;
+
+      Object.assign(challenge, { status, resolved_at: new Date() });
+      findGuild(challenge.attacker_guild_id).gold += challenge.bet_amount;
+      return copy(challenge);
+    },
+
+    async getPendingChallenges() {
+      return store.battleChallenges
+        .filter(c => c.status === 'pending')
+        .sort((a, b) => a.expires_at - b.expires_at)
+        .map(copy);
+    },
+
+    async createRevengeToken({ battleId, attackerGuildId, defenderGuildId, attackerDiscordId, defenderDiscordId, timeoutMs }) {
+      const now = Date.now();
+      const token = {
+        id: store.nextRevengeTokenId++,
+        battle_id: battleId,
+        attacker_guild_id: attackerGuildId,
+        defender_guild_id: defenderGuildId,
+        attacker_discord_id: attackerDiscordId,
+        defender_discord_id: defenderDiscordId,
+        status: 'open',
+        created_at: new Date(now),
+        expires_at: new Date(now + timeoutMs),
+        used_at: null,
+      };
+      store.revengeTokens.push(token);
+      return copy(token);
+    },
+
+    async getRevengeTokenById(tokenId) {
+      return copy(store.revengeTokens.find(t => t.id === tokenId));
+    },
+
+    async useRevengeToken(tokenId) {
+      const token = store.revengeTokens.find(t =>
+        t.id === tokenId && t.status === 'open' && t.expires_at.getTime() > Date.now()
+      );
+      if (!token) return null;
+
+      Object.assign(token, { status: 'used', used_at: new Date() });
+      return copy(token);
+    },
+
+    async expireStaleRevengeTokens() {
+      const stale = store.revengeTokens.filter(t => t.status === 'open' && t.expires_at.getTime() <= Date.now());
+      for (const token of stale) {
+        token.status = 'expired';
+      }
+      return stale.length;
+    },
+  };
+
+  // ==========================================================================
+  // Grind sessions & anti-cheat flags
+  // ==========================================================================
+
+  // The shared-store interface, backed by the same in-memory store /grind uses by default
+  const grindSessions = createMemorySessionStore((...args) => guilds.flushGrindData(...args));
+
+  const grindFlags = {
+    async recordGrindFlag({ guildId, discordId, reason, clicksPerSecond, intervalVariation }) {
+      const flag = {
+        id: store.nextGrindFlagId++,
+        guild_id: guildId,
+        discord_id: discordId,
+        reason,
+        clicks_per_second: clicksPerSecond,
+        interval_variation: intervalVariation,
+        created_at: new Date(),
+      };
+      store.grindFlags.push(flag);
+      return copy(flag);
+    },
+
+    async getFlaggedGuilds(sinceDays, limit = 25) {
+      const since = Date.now() - sinceDays * 24 * 60 * 60 * 1000;
+      const report = new Map();
+      for (const flag of store.grindFlags.filter(f => f.created_at.getTime() > since)) {
+        const guild = findGuild(flag.guild_id);
+        if (!guild) continue;
+
+        if (!report.has(guild.id)) {
+          report.set(guild.id, {
+            guild_id: guild.id,
+            name: guild.name,
+            discord_id: guild.discord_id,
+            lifetime_grind_clicks: guild.lifetime_grind_clicks,
+            lifetime_grind_gold: guild.lifetime_grind_gold,
+            flags: 0,
+            failed_challenges: 0,
+            peak_clicks_per_second: flag.clicks_per_second,
+            min_interval_variation: flag.interval_variation,
+            last_flagged_at: flag.created_at,
+          });
+        }
+
+        const entry = report.get(guild.id);
+        entry.flags += 1;
+        if (flag.reason === 'failed_challenge') entry.failed_challenges += 1;
+        entry.peak_clicks_per_second = Math.max(entry.peak_clicks_per_second, flag.clicks_per_second);
+        entry.min_interval_variation = Math.min(entry.min_interval_variation, flag.interval_variation);
+        if (flag.created_at > entry.last_flagged_at) entry.last_flagged_at = flag.created_at;
+      }
+
+      return [...report.values()]
+        .sort((a, b) => b.failed_challenges - a.failed_challenges || b.flags - a.flags || b.last_flagged_at - a.last_flagged_at)
+        .slice(0, limit);
+    },
+  };
+
+  return {
+    guilds,
+    upgrades: upgradesRepo,
+    battles,
+    prestige,
+    notifications,
+    servers,
+    quests,
+    achievements: achievementsRepo,
+    alliances,
+    wars,
+    trades,
+    market,
+    items: itemsRepo,
+    crafting,
+    roster,
+    raids,
+    seasons,
+    defense,
+    tournaments,
+    bounties,
+    challenges,
+    grindSessions,
+    grindFlags,
+    store,
+    insertGuild,
+  };
+}
@@ -0,0 +1,53 @@
+import * as guilds from '../guilds.js';
+import * as upgrades from '../upgrades.js';
+import * as battles from '../battles.js';
+import * as prestige from '../prestige.js';
+import * as notifications from '../notifications.js';
+import * as servers from '../servers.js';
+import * as quests from '../quests.js';
+import * as achievements from '../achievements.js';
+import * as alliances from '../alliances.js';
+import * as wars from '../wars.js';
+import * as trades from '../trades.js';
+import * as market from '../market.js';
+import * as items from '../items.js';
+import * as crafting from '../crafting.js';
+import * as roster from '../roster.js';
+import * as raids from '../raids.js';
+import * as seasons from '../seasons.js';
+import * as defense from '../defense.js';
+import * as tournaments from '../tournaments.js';
+import * as bounties from '../bounties.js';
+import * as challenges from '../challenges.js';
+import * as grindSessions from '../grindSessions.js';
+import * as grindFlags from '../grindFlags.js';
+
+/**
+ * Postgres-backed repositories - the existing query modules, grouped by domain
+ * This is the default implementation used by the bot
+ */
+export const postgresRepositories = {
+  guilds,
+  upgrades,
+  battles,
+  prestige,
+  notifications,
+  servers,
+  quests,
+  achievements,
+  alliances,
+  wars,
+  trades,
+  market,
+  items,
+  crafting,
+  roster,
+  raids,
+  seasons,
+  defense,
+  tournaments,
+  bounties,
+  challenges,
+  grindSessions,
+  grindFlags,
+};
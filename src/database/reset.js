@@ -17,12 +17,96 @@ async function reset() {
     await db.unsafe('DROP TABLE IF EXISTS guild_upgrades CASCADE');
     console.log('  - Dropped guild_upgrades');
     
+    await db.unsafe('DROP TABLE IF EXISTS guild_servers CASCADE');
+    console.log('  - Dropped guild_servers');
+    
+    await db.unsafe('DROP TABLE IF EXISTS quests CASCADE');
+    console.log('  - Dropped quests');
+    
+    await db.unsafe('DROP TABLE IF EXISTS guild_achievements CASCADE');
+    console.log('  - Dropped guild_achievements');
+    
+    await db.unsafe('DROP TABLE IF EXISTS trades CASCADE');
+    console.log('  - Dropped trades');
+    
+    await db.unsafe('DROP TABLE IF EXISTS market_listings CASCADE');
+    console.log('  - Dropped market_listings');
+    
+    await db.unsafe('DROP TABLE IF EXISTS guild_items CASCADE');
+    console.log('  - Dropped guild_items');
+    
+    await db.unsafe('DROP TABLE IF EXISTS adventurers CASCADE');
+    console.log('  - Dropped adventurers');
+    
+    await db.unsafe('DROP TABLE IF EXISTS grind_flags CASCADE');
+    console.log('  - Dropped grind_flags');
+    
+    await db.unsafe('DROP TABLE IF EXISTS grind_sessions CASCADE');
+    console.log('  - Dropped grind_sessions');
+    
+    await db.unsafe('DROP TABLE IF EXISTS revenge_tokens CASCADE');
+    console.log('  - Dropped revenge_tokens');
+    
+    await db.unsafe('DROP TABLE IF EXISTS battle_challenges CASCADE');
+    console.log('  - Dropped battle_challenges');
+    
+    await db.unsafe('DROP TABLE IF EXISTS bounties CASCADE');
+    console.log('  - Dropped bounties');
+    
+    await db.unsafe('DROP TABLE IF EXISTS tournament_matches CASCADE');
+    console.log('  - Dropped tournament_matches');
+    
+    await db.unsafe('DROP TABLE IF EXISTS tournament_entrants CASCADE');
+    console.log('  - Dropped tournament_entrants');
+    
+    await db.unsafe('DROP TABLE IF EXISTS tournaments CASCADE');
+    console.log('  - Dropped tournaments');
+    
+    await db.unsafe('DROP TABLE IF EXISTS season_stats CASCADE');
+    console.log('  - Dropped season_stats');
+    
+    await db.unsafe('DROP TABLE IF EXISTS seasons CASCADE');
+    console.log('  - Dropped seasons');
+    
+    await db.unsafe('DROP TABLE IF EXISTS boss_contributions CASCADE');
+    console.log('  - Dropped boss_contributions');
+    
+    await db.unsafe('DROP TABLE IF EXISTS world_bosses CASCADE');
+    console.log('  - Dropped world_bosses');
+    
+    await db.unsafe('DROP TABLE IF EXISTS war_attacks CASCADE');
+    console.log('  - Dropped war_attacks');
+    
+    await db.unsafe('DROP TABLE IF EXISTS war_participants CASCADE');
+    console.log('  - Dropped war_participants');
+    
+    await db.unsafe('DROP TABLE IF EXISTS wars CASCADE');
+    console.log('  - Dropped wars');
+    
+    await db.unsafe('DROP TABLE IF EXISTS alliance_invites CASCADE');
+    console.log('  - Dropped alliance_invites');
+    
+    await db.unsafe('DROP TABLE IF EXISTS alliance_buffs CASCADE');
+    console.log('  - Dropped alliance_buffs');
+    
     await db.unsafe('DROP TABLE IF EXISTS guilds CASCADE');
     console.log('  - Dropped guilds');
     
+    await db.unsafe('DROP TABLE IF EXISTS alliances CASCADE');
+    console.log('  - Dropped alliances');
+    
     await db.unsafe('DROP TABLE IF EXISTS upgrades CASCADE');
     console.log('  - Dropped upgrades');
     
+    await db.unsafe('DROP TABLE IF EXISTS achievements CASCADE');
+    console.log('  - Dropped achievements');
+    
+    await db.unsafe('DROP TABLE IF EXISTS items CASCADE');
+    console.log('  - Dropped items');
+    
+    await db.unsafe('DROP TABLE IF EXISTS recipes CASCADE');
+    console.log('  - Dropped recipes');
+    
     await db.unsafe('DROP TABLE IF EXISTS migrations CASCADE');
     console.log('  - Dropped migrations');
 
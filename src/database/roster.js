@@ -0,0 +1,201 @@
+import { sql } from './connection.js';
+import { ROSTER } from '../config.js';
+import { calculateRosterBonuses, getPromotionRequirements } from '../game/roster.js';
+
+/**
+ * Recalculate the roster bonuses cached on the guild row
+ * calculateRates and calculatePower read these instead of loading the roster
+ * @param {Function} tx - Transaction
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object>} Updated guild
+ */
+async function refreshRosterBonuses(tx, guildId) {
+  const roster = await tx`SELECT class, trait, level FROM adventurers WHERE guild_id = ${guildId}`;
+  const { goldBonus, power } = calculateRosterBonuses(roster);
+
+  const [guild] = await tx`
+    UPDATE guilds
+    SET roster_gold_bonus = ${goldBonus},
+        roster_power = ${power}
+    WHERE id = ${guildId}
+    RETURNING *
+  `;
+  return guild;
+}
+
+/**
+ * Get a guild's named adventurers
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Array>} Adventurers, strongest first
+ */
+export async function getRoster(guildId) {
+  return await sql`
+    SELECT * FROM adventurers
+    WHERE guild_id = ${guildId}
+    ORDER BY level DESC, xp DESC, id
+  `;
+}
+
+/**
+ * Resize a guild's roster
+ * The guild row is locked so parallel syncs can't name the same recruits twice
+ * @param {number} guildId - Guild ID
+ * @param {number} target - Roster size to reach
+ * @param {Array} recruits - New adventurers ({ name, class, trait }) to add if the roster is short
+ * @returns {Promise<Array>} The roster, strongest first
+ */
+export async function syncRoster(guildId, target, recruits) {
+  return await sql.begin(async (tx) => {
+    await tx`SELECT id FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+
+    const [{ count }] = await tx`SELECT COUNT(*)::int AS count FROM adventurers WHERE guild_id = ${guildId}`;
+
+    if (count < target) {
+      for (const recruit of recruits.slice(0, target - count)) {
+        await tx`
+          INSERT INTO adventurers (guild_id, name, class, trait)
+          VALUES (${guildId}, ${recruit.name}, ${recruit.class}, ${recruit.trait})
+        `;
+      }
+    } else if (count > target) {
+      // The weakest, newest adventurers leave first
+      await tx`
+        DELETE FROM adventurers
+        WHERE id IN (
+          SELECT id FROM adventurers
+          WHERE guild_id = ${guildId}
+          ORDER BY level, xp, id DESC
+          LIMIT ${count - target}
+        )
+      `;
+    }
+
+    if (count !== target) {
+      await refreshRosterBonuses(tx, guildId);
+    }
+
+    return await tx`
+      SELECT * FROM adventurers
+      WHERE guild_id = ${guildId}
+      ORDER BY level DESC, xp DESC, id
+    `;
+  });
+}
+
+/**
+ * Give every adventurer on a roster XP, scaled by their trait
+ * Adventurers at the maximum level don't gain any more
+ * @param {number} guildId - Guild ID
+ * @param {number} xp - Base XP per adventurer
+ */
+export async function trainAdventurers(guildId, xp) {
+  for (const [trait, { xp: multiplier }] of Object.entries(ROSTER.TRAITS)) {
+    const gained = Math.floor(xp * multiplier);
+    if (gained <= 0) continue;
+
+    await sql`
+      UPDATE adventurers
+      SET xp = xp + ${gained}
+      WHERE guild_id = ${guildId} AND trait = ${trait} AND level < ${ROSTER.MAX_LEVEL}
+    `;
+  }
+}
+
+/**
+ * Promote an adventurer, spending their XP and the guild's gold
+ * @param {number} guildId - Guild ID
+ * @param {number} adventurerId - Adventurer ID
+ * @returns {Promise<Object>} { success, adventurer, guild, cost } or { success: false, error }
+ */
+export async function promoteAdventurer(guildId, adventurerId) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [guild] = await tx`SELECT * FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+      if (!guild) {
+        throw new Error('Guild not found');
+      }
+
+      const [adventurer] = await tx`SELECT * FROM adventurers WHERE id = ${adventurerId} AND guild_id = ${guildId}`;
+      if (!adventurer) {
+        throw new Error('That adventurer isn\'t in your guild');
+      }
+      if (adventurer.level >= ROSTER.MAX_LEVEL) {
+        throw new Error(`${adventurer.name} is already at the maximum level`);
+      }
+
+      const { xp, gold } = getPromotionRequirements(adventurer.level);
+      if (adventurer.xp < xp) {
+        throw new Error(`${adventurer.name} needs ${xp - adventurer.xp} more XP`);
+      }
+      if (Number(guild.gold) < gold) {
+        throw new Error(`Promoting ${adventurer.name} costs ${gold} gold`);
+      }
+
+      const [promoted] = await tx`
+        UPDATE adventurers
+        SET level = level + 1,
+            xp = xp - ${xp}
+        WHERE id = ${adventurerId}
+        RETURNING *
+      `;
+
+      await tx`
+        UPDATE guilds
+        SET gold = gold - ${gold},
+            lifetime_gold_spent = lifetime_gold_spent + ${gold},
+            lifetime_promotions = lifetime_promotions + 1
+        WHERE id = ${guildId}
+      `;
+
+      const updatedGuild = await refreshRosterBonuses(tx, guildId);
+      return { success: true, adventurer: promoted, guild: updatedGuild, cost: gold };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Dismiss an adventurer - they leave the roster and the guild's adventurer count
+ * @param {number} guildId - Guild ID
+ * @param {number} adventurerId - Adventurer ID
+ * @returns {Promise<Object>} { success, adventurer, guild } or { success: false, error }
+ */
+export async function dismissAdventurer(guildId, adventurerId) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [guild] = await tx`SELECT * FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+      if (!guild) {
+        throw new Error('Guild not found');
+      }
+
+      const [adventurer] = await tx`SELECT * FROM adventurers WHERE id = ${adventurerId} AND guild_id = ${guildId}`;
+      if (!adventurer) {
+        throw new Error('That adventurer isn\'t in your guild');
+      }
+
+      // Same rule as getWorkingAdventurers - someone has to be home to hand in their badge
+      const injured = guild.injured_until && new Date(guild.injured_until) > new Date()
+        ? guild.injured_adventurers
+        : 0;
+      const available = guild.adventurer_count - guild.adventurers_on_quest - guild.adventurers_listed - guild.adventurers_guarding - injured;
+      if (available < 1) {
+        throw new Error('All your adventurers are busy - wait for them to return');
+      }
+
+      await tx`DELETE FROM adventurers WHERE id = ${adventurerId}`;
+      await tx`UPDATE guilds SET adventurer_count = adventurer_count - 1 WHERE id = ${guildId}`;
+
+      const updatedGuild = await refreshRosterBonuses(tx, guildId);
+      return { success: true, adventurer, guild: updatedGuild };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
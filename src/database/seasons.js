@@ -0,0 +1,195 @@
+import { sql } from './connection.js';
+
+// Whitelisted ladder columns - category keys match SEASON.CATEGORIES
+const SEASON_FIELDS = {
+  gold: 'gold_earned',
+  battles: 'battles_won',
+};
+
+/**
+ * Add to a guild's counters for the running season
+ * Called from the same queries that bump lifetime_gold_earned / lifetime_battles_won
+ * Nothing is counted once the season's time is up, so its standings are frozen until it closes
+ * @param {Function} db - sql or an open transaction
+ * @param {number} guildId - Guild ID
+ * @param {Object} progress - { gold, battlesWon } to add
+ */
+export async function recordSeasonProgress(db, guildId, { gold = 0, battlesWon = 0 }) {
+  if (gold <= 0 && battlesWon <= 0) return;
+
+  await db`
+    INSERT INTO season_stats (season_id, guild_id, gold_earned, battles_won)
+    SELECT id, ${guildId}, ${gold}, ${battlesWon}
+    FROM seasons
+    WHERE status = 'active' AND ends_at > NOW()
+    ON CONFLICT (season_id, guild_id)
+    DO UPDATE SET gold_earned = season_stats.gold_earned + ${gold},
+                  battles_won = season_stats.battles_won + ${battlesWon}
+  `;
+}
+
+/**
+ * Get the season that is currently running
+ * @returns {Promise<Object|null>} Active season, or null between seasons
+ */
+export async function getActiveSeason() {
+  const [season] = await sql`SELECT * FROM seasons WHERE status = 'active' LIMIT 1`;
+  return season || null;
+}
+
+/**
+ * Get a season by its number
+ * @param {number} seasonId - Season number
+ * @returns {Promise<Object|null>}
+ */
+export async function getSeasonById(seasonId) {
+  const [season] = await sql`SELECT * FROM seasons WHERE id = ${seasonId}`;
+  return season || null;
+}
+
+/**
+ * Get the most recently closed season
+ * @returns {Promise<Object|null>} Completed season, or null if there hasn't been one
+ */
+export async function getLastSeason() {
+  const [season] = await sql`
+    SELECT * FROM seasons
+    WHERE status = 'completed'
+    ORDER BY id DESC
+    LIMIT 1
+  `;
+  return season || null;
+}
+
+/**
+ * Start a season unless one is already running
+ * @param {number} lengthDays - How long the season lasts
+ * @returns {Promise<Object|null>} The new season, or null if another season is active
+ */
+export async function startSeason(lengthDays) {
+  const [season] = await sql`
+    INSERT INTO seasons (ends_at)
+    SELECT NOW() + make_interval(days => ${lengthDays})
+    WHERE NOT EXISTS (SELECT 1 FROM seasons WHERE status = 'active')
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `;
+  return season || null;
+}
+
+/**
+ * Get active seasons whose time is up
+ * @returns {Promise<Array>}
+ */
+export async function getSeasonsToClose() {
+  return await sql`
+    SELECT * FROM seasons
+    WHERE status = 'active' AND ends_at <= NOW()
+    ORDER BY id
+  `;
+}
+
+/**
+ * Get a season's ladder for one category
+ * Ties go to whoever also did better on the other ladder, then to the older guild
+ * @param {number} seasonId - Season number
+ * @param {string} category - 'gold' or 'battles'
+ * @param {number} limit - Number of guilds to return
+ * @returns {Promise<Array>} Season stats with rank, discord_id and name, best first
+ */
+export async function getSeasonStandings(seasonId, category = 'gold', limit = 10) {
+  const field = SEASON_FIELDS[category] || SEASON_FIELDS.gold;
+  const other = field === SEASON_FIELDS.gold ? SEASON_FIELDS.battles : SEASON_FIELDS.gold;
+
+  return await sql`
+    SELECT ss.*, g.discord_id, g.name,
+           ROW_NUMBER() OVER (ORDER BY ss.${sql(field)} DESC, ss.${sql(other)} DESC, ss.guild_id)::int AS rank
+    FROM season_stats ss
+    JOIN guilds g ON g.id = ss.guild_id
+    WHERE ss.season_id = ${seasonId} AND ss.${sql(field)} > 0
+    ORDER BY rank
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Get one guild's counters and ranks for a season
+ * @param {number} seasonId - Season number
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object|null>} Season stats with gold_rank and battles_rank (null when it has none of that counter), or null if it hasn't scored
+ */
+export async function getSeasonStanding(seasonId, guildId) {
+  const [standing] = await sql`
+    SELECT * FROM (
+      SELECT ss.*,
+             CASE WHEN gold_earned > 0
+               THEN ROW_NUMBER() OVER (ORDER BY gold_earned DESC, battles_won DESC, guild_id)::int
+             END AS gold_rank,
+             CASE WHEN battles_won > 0
+               THEN ROW_NUMBER() OVER (ORDER BY battles_won DESC, gold_earned DESC, guild_id)::int
+             END AS battles_rank
+      FROM season_stats ss
+      WHERE season_id = ${seasonId}
+    ) ranked
+    WHERE guild_id = ${guildId}
+  `;
+  return standing || null;
+}
+
+/**
+ * Count the guilds on a season's ladder
+ * @param {number} seasonId - Season number
+ * @param {string} category - 'gold' or 'battles'
+ * @returns {Promise<number>}
+ */
+export async function countSeasonEntries(seasonId, category = 'gold') {
+  const field = SEASON_FIELDS[category] || SEASON_FIELDS.gold;
+  const [{ count }] = await sql`
+    SELECT COUNT(*)::int AS count FROM season_stats
+    WHERE season_id = ${seasonId} AND ${sql(field)} > 0
+  `;
+  return count;
+}
+
+/**
+ * Close a season and pay its top guilds
+ * @param {number} seasonId - Season number
+ * @param {Array} rewards - { guildId, gold, xp } per rewarded guild
+ * @returns {Promise<Object|null>} { season, guilds } (updated guild rows) or null if it was already closed
+ */
+export async function completeSeason(seasonId, rewards) {
+  return await sql.begin(async (tx) => {
+    const [season] = await tx`
+      UPDATE seasons
+      SET status = 'completed', resolved_at = NOW()
+      WHERE id = ${seasonId} AND status = 'active'
+      RETURNING *
+    `;
+    if (!season) return null;
+
+    const guilds = [];
+    for (const { guildId, gold, xp } of rewards) {
+      await tx`
+        UPDATE season_stats
+        SET reward_gold = ${gold}, reward_xp = ${xp}
+        WHERE season_id = ${seasonId} AND guild_id = ${guildId}
+      `;
+
+      // Rewards land after the season closed, so they don't count toward the next one
+      const [guild] = await tx`
+        UPDATE guilds
+        SET gold = gold + ${gold},
+            xp = xp + ${xp},
+            lifetime_gold_earned = lifetime_gold_earned + ${gold},
+            lifetime_xp_earned = lifetime_xp_earned + ${xp},
+            lifetime_season_rewards = lifetime_season_rewards + 1,
+            peak_gold_balance = GREATEST(peak_gold_balance, gold + ${gold})
+        WHERE id = ${guildId}
+        RETURNING *
+      `;
+      if (guild) guilds.push(guild);
+    }
+
+    return { season, guilds };
+  });
+}
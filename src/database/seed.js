@@ -1,8 +1,6 @@
 import 'dotenv/config';
 import { SQL } from 'bun';
 
-const db = new SQL(process.env.DATABASE_URL);
-
 // ============================================================================
 // UPGRADE DEFINITIONS (52 total)
 // ============================================================================
@@ -12,7 +10,7 @@ const db = new SQL(process.env.DATABASE_URL);
 // Late game (31-50): unlock every 3-4 levels
 // Endgame (51-75): unlock every 4-5 levels
 
-const upgrades = [
+export const upgrades = [
   // ============================================================================
   // RECRUITMENT CATEGORY (9 upgrades)
   // ============================================================================
@@ -665,7 +663,7 @@ const upgrades = [
 // ============================================================================
 // PRESTIGE UPGRADE DEFINITIONS (10 upgrades)
 // ============================================================================
-const prestigeUpgrades = [
+export const prestigeUpgrades = [
   {
     name: 'Head Start',
     description: 'Start with bonus gold after prestige',
@@ -748,7 +746,505 @@ const prestigeUpgrades = [
   },
 ];
 
+// ============================================================================
+// ACHIEVEMENT DEFINITIONS (24 achievements)
+// ============================================================================
+// Unlocked when a lifetime stat column reaches the threshold
+// Rewards use the upgrade effect types (applied once, kept through prestige)
+// Achievements with a title also set the guild's profile title
+
+export const achievements = [
+  // Wealth
+  {
+    name: 'Pocket Change',
+    description: 'Hold 10,000 gold at once',
+    category: 'wealth',
+    stat_field: 'peak_gold_balance',
+    threshold: 10000,
+    effect_type: 'gold_multiplier',
+    effect_value: 0.01,
+    title: null,
+  },
+  {
+    name: 'Treasure Hoard',
+    description: 'Hold 1,000,000 gold at once',
+    category: 'wealth',
+    stat_field: 'peak_gold_balance',
+    threshold: 1000000,
+    effect_type: 'gold_multiplier',
+    effect_value: 0.02,
+    title: 'the Wealthy',
+  },
+  {
+    name: 'Dragon Hoard',
+    description: 'Hold 100,000,000 gold at once',
+    category: 'wealth',
+    stat_field: 'peak_gold_balance',
+    threshold: 100000000,
+    effect_type: 'gold_multiplier',
+    effect_value: 0.03,
+    title: 'Dragon-Rich',
+  },
+  {
+    name: 'First Fortune',
+    description: 'Earn 100,000 gold in total',
+    category: 'wealth',
+    stat_field: 'lifetime_gold_earned',
+    threshold: 100000,
+    effect_type: 'base_gold_per_hour',
+    effect_value: 25,
+    title: null,
+  },
+  {
+    name: 'Merchant Prince',
+    description: 'Earn 100,000,000 gold in total',
+    category: 'wealth',
+    stat_field: 'lifetime_gold_earned',
+    threshold: 100000000,
+    effect_type: 'gold_multiplier',
+    effect_value: 0.03,
+    title: 'Merchant Prince',
+  },
+
+  // Grinding
+  {
+    name: 'Calloused Hands',
+    description: 'Grind 1,000 times',
+    category: 'grinding',
+    stat_field: 'lifetime_grind_clicks',
+    threshold: 1000,
+    effect_type: 'xp_multiplier',
+    effect_value: 0.01,
+    title: null,
+  },
+  {
+    name: 'Tireless Worker',
+    description: 'Grind 10,000 times',
+    category: 'grinding',
+    stat_field: 'lifetime_grind_clicks',
+    threshold: 10000,
+    effect_type: 'xp_multiplier',
+    effect_value: 0.02,
+    title: 'the Tireless',
+  },
+  {
+    name: 'Living Legend of Labor',
+    description: 'Grind 100,000 times',
+    category: 'grinding',
+    stat_field: 'lifetime_grind_clicks',
+    threshold: 100000,
+    effect_type: 'all_multiplier',
+    effect_value: 0.02,
+    title: 'Grindmaster',
+  },
+
+  // Battles
+  {
+    name: 'First Blood',
+    description: 'Win your first battle',
+    category: 'battle',
+    stat_field: 'lifetime_battles_won',
+    threshold: 1,
+    effect_type: null,
+    effect_value: 0,
+    title: 'the Bold',
+  },
+  {
+    name: 'Veteran Warband',
+    description: 'Win 25 battles',
+    category: 'battle',
+    stat_field: 'lifetime_battles_won',
+    threshold: 25,
+    effect_type: 'gold_multiplier',
+    effect_value: 0.02,
+    title: null,
+  },
+  {
+    name: 'Warlord',
+    description: 'Win 100 battles',
+    category: 'battle',
+    stat_field: 'lifetime_battles_won',
+    threshold: 100,
+    effect_type: 'gold_multiplier',
+    effect_value: 0.03,
+    title: 'Warlord',
+  },
+  {
+    name: 'Unbroken',
+    description: 'Win 500 battles',
+    category: 'battle',
+    stat_field: 'lifetime_battles_won',
+    threshold: 500,
+    effect_type: 'all_multiplier',
+    effect_value: 0.03,
+    title: 'the Unbroken',
+  },
+
+  // Progression
+  {
+    name: 'Shopaholic',
+    description: 'Buy 100 upgrade levels',
+    category: 'progression',
+    stat_field: 'lifetime_upgrades_purchased',
+    threshold: 100,
+    effect_type: 'adventurer_capacity',
+    effect_value: 5,
+    title: null,
+  },
+  {
+    name: 'Master Builder',
+    description: 'Buy 1,000 upgrade levels',
+    category: 'progression',
+    stat_field: 'lifetime_upgrades_purchased',
+    threshold: 1000,
+    effect_type: 'adventurer_capacity',
+    effect_value: 15,
+    title: 'Master Builder',
+  },
+  {
+    name: 'Full House',
+    description: 'Recruit 100 adventurers',
+    category: 'progression',
+    stat_field: 'lifetime_adventurers_recruited',
+    threshold: 100,
+    effect_type: 'adventurer_capacity',
+    effect_value: 5,
+    title: null,
+  },
+  {
+    name: 'Army of Heroes',
+    description: 'Recruit 1,000 adventurers',
+    category: 'progression',
+    stat_field: 'lifetime_adventurers_recruited',
+    threshold: 1000,
+    effect_type: 'adventurer_capacity',
+    effect_value: 15,
+    title: 'Commander',
+  },
+  {
+    name: 'Seasoned Guild',
+    description: 'Reach guild level 25',
+    category: 'progression',
+    stat_field: 'level',
+    threshold: 25,
+    effect_type: 'xp_multiplier',
+    effect_value: 0.02,
+    title: null,
+  },
+
+  // Quests
+  {
+    name: 'Pathfinder',
+    description: 'Complete 10 quests',
+    category: 'quests',
+    stat_field: 'lifetime_quests_completed',
+    threshold: 10,
+    effect_type: 'xp_multiplier',
+    effect_value: 0.01,
+    title: null,
+  },
+  {
+    name: 'Explorer',
+    description: 'Complete 100 quests',
+    category: 'quests',
+    stat_field: 'lifetime_quests_completed',
+    threshold: 100,
+    effect_type: 'all_multiplier',
+    effect_value: 0.02,
+    title: 'the Explorer',
+  },
+
+  // Dedication
+  {
+    name: 'Creature of Habit',
+    description: 'Reach a 7 day daily streak',
+    category: 'dedication',
+    stat_field: 'best_daily_streak',
+    threshold: 7,
+    effect_type: 'base_gold_per_hour',
+    effect_value: 50,
+    title: null,
+  },
+  {
+    name: 'Devoted',
+    description: 'Reach a 30 day daily streak',
+    category: 'dedication',
+    stat_field: 'best_daily_streak',
+    threshold: 30,
+    effect_type: 'all_multiplier',
+    effect_value: 0.02,
+    title: 'the Devoted',
+  },
+
+  // Prestige
+  {
+    name: 'Reborn',
+    description: 'Prestige for the first time',
+    category: 'prestige',
+    stat_field: 'lifetime_prestiges',
+    threshold: 1,
+    effect_type: 'all_multiplier',
+    effect_value: 0.02,
+    title: 'the Reborn',
+  },
+  {
+    name: 'Cycle of Ages',
+    description: 'Prestige 5 times',
+    category: 'prestige',
+    stat_field: 'lifetime_prestiges',
+    threshold: 5,
+    effect_type: 'all_multiplier',
+    effect_value: 0.03,
+    title: 'Timeless',
+  },
+  {
+    name: 'Eternal Guild',
+    description: 'Prestige 20 times',
+    category: 'prestige',
+    stat_field: 'lifetime_prestiges',
+    threshold: 20,
+    effect_type: 'all_multiplier',
+    effect_value: 0.05,
+    title: 'the Eternal',
+  },
+];
+
+// ============================================================================
+// ITEM DEFINITIONS (15 items)
+// ============================================================================
+// Dropped by collecting, grinding and winning battles - one of each rarity per slot
+// Equipped items use the upgrade effect types (applied once) and add flat battle power
+
+export const items = [
+  // Weapons
+  {
+    name: 'Rusty Shortsword',
+    description: '+2% gold, +2 power',
+    slot: 'weapon',
+    rarity: 'common',
+    effect_type: 'gold_multiplier',
+    effect_value: 0.02,
+    power: 2,
+  },
+  {
+    name: 'Iron Longsword',
+    description: '+4% gold, +5 power',
+    slot: 'weapon',
+    rarity: 'uncommon',
+    effect_type: 'gold_multiplier',
+    effect_value: 0.04,
+    power: 5,
+  },
+  {
+    name: 'Runed Warblade',
+    description: '+7% gold, +10 power',
+    slot: 'weapon',
+    rarity: 'rare',
+    effect_type: 'gold_multiplier',
+    effect_value: 0.07,
+    power: 10,
+  },
+  {
+    name: 'Dragonbone Axe',
+    description: '+12% gold, +20 power',
+    slot: 'weapon',
+    rarity: 'epic',
+    effect_type: 'gold_multiplier',
+    effect_value: 0.12,
+    power: 20,
+  },
+  {
+    name: 'Sunforged Blade',
+    description: '+20% gold, +40 power',
+    slot: 'weapon',
+    rarity: 'legendary',
+    effect_type: 'gold_multiplier',
+    effect_value: 0.2,
+    power: 40,
+  },
+  // Armor
+  {
+    name: 'Padded Vest',
+    description: '+2% XP, +3 power',
+    slot: 'armor',
+    rarity: 'common',
+    effect_type: 'xp_multiplier',
+    effect_value: 0.02,
+    power: 3,
+  },
+  {
+    name: 'Chainmail Hauberk',
+    description: '+4% XP, +7 power',
+    slot: 'armor',
+    rarity: 'uncommon',
+    effect_type: 'xp_multiplier',
+    effect_value: 0.04,
+    power: 7,
+  },
+  {
+    name: 'Knight\'s Plate',
+    description: '+7% XP, +14 power',
+    slot: 'armor',
+    rarity: 'rare',
+    effect_type: 'xp_multiplier',
+    effect_value: 0.07,
+    power: 14,
+  },
+  {
+    name: 'Wyrmscale Mail',
+    description: '+12% XP, +28 power',
+    slot: 'armor',
+    rarity: 'epic',
+    effect_type: 'xp_multiplier',
+    effect_value: 0.12,
+    power: 28,
+  },
+  {
+    name: 'Aegis of the Ancients',
+    description: '+20% XP, +55 power',
+    slot: 'armor',
+    rarity: 'legendary',
+    effect_type: 'xp_multiplier',
+    effect_value: 0.2,
+    power: 55,
+  },
+  // Trinkets
+  {
+    name: 'Lucky Copper',
+    description: '+10 gold/hr, +1 power',
+    slot: 'trinket',
+    rarity: 'common',
+    effect_type: 'base_gold_per_hour',
+    effect_value: 10,
+    power: 1,
+  },
+  {
+    name: 'Scholar\'s Quill',
+    description: '+5% XP, +1 power',
+    slot: 'trinket',
+    rarity: 'uncommon',
+    effect_type: 'xp_multiplier',
+    effect_value: 0.05,
+    power: 1,
+  },
+  {
+    name: 'Recruiter\'s Badge',
+    description: '+5 capacity, +2 power',
+    slot: 'trinket',
+    rarity: 'rare',
+    effect_type: 'adventurer_capacity',
+    effect_value: 5,
+    power: 2,
+  },
+  {
+    name: 'Guildmaster\'s Signet',
+    description: '+8% gold & XP, +5 power',
+    slot: 'trinket',
+    rarity: 'epic',
+    effect_type: 'all_multiplier',
+    effect_value: 0.08,
+    power: 5,
+  },
+  {
+    name: 'Crown of Zanathor',
+    description: '+15% gold & XP, +10 power',
+    slot: 'trinket',
+    rarity: 'legendary',
+    effect_type: 'all_multiplier',
+    effect_value: 0.15,
+    power: 10,
+  },
+];
+
+// ============================================================================
+// RECIPE DEFINITIONS (7 recipes)
+// ============================================================================
+// Crafted with /craft from herbs, ore and arcane dust gathered on /collect and /grind
+// Boosts add to the gold/XP multiplier for their duration - a guild has one gold and one XP boost at a time
+
+export const recipes = [
+  {
+    name: 'Minor Gold Tonic',
+    description: '+25% gold for 1 hour',
+    effect_type: 'gold_boost',
+    effect_value: 0.25,
+    duration_minutes: 60,
+    herbs: 12,
+    ore: 4,
+    arcane_dust: 0,
+    required_level: 1,
+  },
+  {
+    name: 'Minor Focus Draught',
+    description: '+25% XP for 1 hour',
+    effect_type: 'xp_boost',
+    effect_value: 0.25,
+    duration_minutes: 60,
+    herbs: 12,
+    ore: 0,
+    arcane_dust: 3,
+    required_level: 1,
+  },
+  {
+    name: 'Recruiter\'s Banner',
+    description: 'Instantly recruit 5 adventurers (up to capacity)',
+    effect_type: 'instant_recruit',
+    effect_value: 5,
+    duration_minutes: 0,
+    herbs: 5,
+    ore: 20,
+    arcane_dust: 2,
+    required_level: 5,
+  },
+  {
+    name: 'Greater Gold Elixir',
+    description: '+50% gold for 4 hours',
+    effect_type: 'gold_boost',
+    effect_value: 0.50,
+    duration_minutes: 240,
+    herbs: 40,
+    ore: 25,
+    arcane_dust: 5,
+    required_level: 15,
+  },
+  {
+    name: 'Greater Insight Elixir',
+    description: '+50% XP for 4 hours',
+    effect_type: 'xp_boost',
+    effect_value: 0.50,
+    duration_minutes: 240,
+    herbs: 40,
+    ore: 5,
+    arcane_dust: 20,
+    required_level: 15,
+  },
+  {
+    name: 'War Horn',
+    description: 'Instantly recruit 25 adventurers (up to capacity)',
+    effect_type: 'instant_recruit',
+    effect_value: 25,
+    duration_minutes: 0,
+    herbs: 20,
+    ore: 80,
+    arcane_dust: 10,
+    required_level: 25,
+  },
+  {
+    name: 'Philosopher\'s Brew',
+    description: '+75% gold & XP for 8 hours',
+    effect_type: 'all_boost',
+    effect_value: 0.75,
+    duration_minutes: 480,
+    herbs: 120,
+    ore: 80,
+    arcane_dust: 60,
+    required_level: 40,
+  },
+];
+
 async function seed() {
+  const db = new SQL(process.env.DATABASE_URL);
+
   console.log('Seeding upgrade data...\n');
 
   try {
@@ -789,7 +1285,64 @@ async function seed() {
       const totalCost = upgrade.point_costs.reduce((a, b) => a + b, 0);
       console.log(`  + ${upgrade.name} (${upgrade.max_level} levels, ${totalCost} points total)`);
     }
-    console.log(`\nSeeded ${prestigeUpgrades.length} prestige upgrades successfully!`);
+    console.log(`\nSeeded ${prestigeUpgrades.length} prestige upgrades successfully!\n`);
+
+    // Seed achievements
+    console.log('=== Achievements ===');
+    for (const achievement of achievements) {
+      await db`
+        INSERT INTO achievements (name, description, category, stat_field, threshold, effect_type, effect_value, title)
+        VALUES (${achievement.name}, ${achievement.description}, ${achievement.category}, ${achievement.stat_field}, ${achievement.threshold}, ${achievement.effect_type}, ${achievement.effect_value}, ${achievement.title})
+        ON CONFLICT (name) DO UPDATE SET
+          description = EXCLUDED.description,
+          category = EXCLUDED.category,
+          stat_field = EXCLUDED.stat_field,
+          threshold = EXCLUDED.threshold,
+          effect_type = EXCLUDED.effect_type,
+          effect_value = EXCLUDED.effect_value,
+          title = EXCLUDED.title
+      `;
+      console.log(`  + ${achievement.name} (${achievement.stat_field} >= ${achievement.threshold})`);
+    }
+    console.log(`\nSeeded ${achievements.length} achievements successfully!\n`);
+
+    // Seed items
+    console.log('=== Items ===');
+    for (const item of items) {
+      await db`
+        INSERT INTO items (name, description, slot, rarity, effect_type, effect_value, power)
+        VALUES (${item.name}, ${item.description}, ${item.slot}, ${item.rarity}, ${item.effect_type}, ${item.effect_value}, ${item.power})
+        ON CONFLICT (name) DO UPDATE SET
+          description = EXCLUDED.description,
+          slot = EXCLUDED.slot,
+          rarity = EXCLUDED.rarity,
+          effect_type = EXCLUDED.effect_type,
+          effect_value = EXCLUDED.effect_value,
+          power = EXCLUDED.power
+      `;
+      console.log(`  + ${item.name} (${item.rarity} ${item.slot})`);
+    }
+    console.log(`\nSeeded ${items.length} items successfully!\n`);
+
+    // Seed recipes
+    console.log('=== Recipes ===');
+    for (const recipe of recipes) {
+      await db`
+        INSERT INTO recipes (name, description, effect_type, effect_value, duration_minutes, herbs, ore, arcane_dust, required_level)
+        VALUES (${recipe.name}, ${recipe.description}, ${recipe.effect_type}, ${recipe.effect_value}, ${recipe.duration_minutes}, ${recipe.herbs}, ${recipe.ore}, ${recipe.arcane_dust}, ${recipe.required_level})
+        ON CONFLICT (name) DO UPDATE SET
+          description = EXCLUDED.description,
+          effect_type = EXCLUDED.effect_type,
+          effect_value = EXCLUDED.effect_value,
+          duration_minutes = EXCLUDED.duration_minutes,
+          herbs = EXCLUDED.herbs,
+          ore = EXCLUDED.ore,
+          arcane_dust = EXCLUDED.arcane_dust,
+          required_level = EXCLUDED.required_level
+      `;
+      console.log(`  + ${recipe.name} (level ${recipe.required_level})`);
+    }
+    console.log(`\nSeeded ${recipes.length} recipes successfully!`);
 
   } catch (error) {
     console.error('Seeding failed:', error.message);
@@ -799,4 +1352,7 @@ async function seed() {
   }
 }
 
-seed();
+// Only seed when run directly - the definitions are also imported by the in-memory store
+if (import.meta.main) {
+  seed();
+}
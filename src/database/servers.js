@@ -0,0 +1,38 @@
+import { sql } from './connection.js';
+
+/**
+ * Discord server membership - which servers a player has used the bot in
+ * "Server" always means a Discord server here; "guild" is the player's in-game guild
+ */
+
+/**
+ * Record that a player was seen in a Discord server
+ * Does nothing if the player has no guild yet
+ * @param {string} discordId - Discord user ID
+ * @param {string} serverId - Discord server ID
+ * @returns {Promise<Object|null>} The membership record or null if the player has no guild
+ */
+export async function recordServerMembership(discordId, serverId) {
+  const [membership] = await sql`
+    INSERT INTO guild_servers (guild_id, server_id)
+    SELECT id, ${serverId} FROM guilds WHERE discord_id = ${discordId}
+    ON CONFLICT (guild_id, server_id)
+    DO UPDATE SET last_seen_at = NOW()
+    RETURNING *
+  `;
+  return membership || null;
+}
+
+/**
+ * Get the Discord servers a guild has been seen in
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<string[]>} Server IDs, most recently seen first
+ */
+export async function getGuildServers(guildId) {
+  const result = await sql`
+    SELECT server_id FROM guild_servers 
+    WHERE guild_id = ${guildId} 
+    ORDER BY last_seen_at DESC
+  `;
+  return result.map(row => row.server_id);
+}
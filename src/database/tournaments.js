@@ -0,0 +1,367 @@
+import { sql } from './connection.js';
+import { TRADE } from '../config.js';
+import { getDailyTradeLimit } from '../game/trades.js';
+import { getGoldSentToday } from './trades.js';
+
+/**
+ * Get the tournament that is open or running in a Discord server
+ * @param {string} serverId - Discord server ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getActiveTournament(serverId) {
+  const [tournament] = await sql`
+    SELECT * FROM tournaments
+    WHERE server_id = ${serverId} AND status IN ('open', 'running')
+    LIMIT 1
+  `;
+  return tournament || null;
+}
+
+/**
+ * Get a tournament by ID
+ * @param {number} tournamentId - Tournament ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getTournamentById(tournamentId) {
+  const [tournament] = await sql`SELECT * FROM tournaments WHERE id = ${tournamentId}`;
+  return tournament || null;
+}
+
+/**
+ * Pay a tournament's entry fee and add the guild to its entrants
+ * Entering needs the trading level, and the fee counts against the guild's daily trade allowance -
+ * the pool is paid out to other guilds, so it's checked here like any other gold sent
+ * @param {Function} tx - Open transaction
+ * @param {Object} tournament - Locked tournament row
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object>} Updated tournament row
+ */
+async function enterTournament(tx, tournament, guildId) {
+  const fee = Number(tournament.entry_fee);
+
+  const [guild] = await tx`SELECT level FROM guilds WHERE id = ${guildId} FOR UPDATE`;
+  if (!guild) {
+    throw new Error('Guild not found');
+  }
+  if (guild.level < TRADE.MIN_LEVEL) {
+    throw new Error(`You need to reach level ${TRADE.MIN_LEVEL} to enter tournaments`);
+  }
+  if (await getGoldSentToday(tx, guildId) + fee > getDailyTradeLimit(guild.level)) {
+    throw new Error('That entry fee would put you over your daily sending limit');
+  }
+
+  if (fee > 0) {
+    const [paid] = await tx`
+      UPDATE guilds SET gold = gold - ${fee}
+      WHERE id = ${guildId} AND gold >= ${fee}
+      RETURNING id
+    `;
+    if (!paid) {
+      throw new Error('Not enough gold for the entry fee');
+    }
+  }
+
+  await tx`INSERT INTO tournament_entrants (tournament_id, guild_id) VALUES (${tournament.id}, ${guildId})`;
+
+  const [updated] = await tx`
+    UPDATE tournaments SET prize_pool = prize_pool + ${fee}
+    WHERE id = ${tournament.id}
+    RETURNING *
+  `;
+  return updated;
+}
+
+/**
+ * Open a tournament in a Discord server - the host is entered (and pays the fee) straight away
+ * @param {Object} options - Tournament options
+ * @param {string} options.serverId - Discord server ID
+ * @param {string|null} options.channelId - Channel bracket updates are posted to
+ * @param {string} options.name - Tournament name
+ * @param {string} options.format - Key into TOURNAMENT.FORMATS
+ * @param {number} options.entryFee - Gold each entrant pays into the prize pool
+ * @param {number} options.maxEntrants - Entrant cap
+ * @param {number} options.hostGuildId - Host's guild ID
+ * @returns {Promise<Object>} { success, tournament } or { success: false, error }
+ */
+export async function createTournament({ serverId, channelId, name, format, entryFee, maxEntrants, hostGuildId }) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [created] = await tx`
+        INSERT INTO tournaments (server_id, channel_id, name, format, entry_fee, max_entrants, host_guild_id)
+        SELECT ${serverId}, ${channelId}, ${name}, ${format}, ${entryFee}, ${maxEntrants}, ${hostGuildId}
+        WHERE NOT EXISTS (
+          SELECT 1 FROM tournaments WHERE server_id = ${serverId} AND status IN ('open', 'running')
+        )
+        ON CONFLICT DO NOTHING
+        RETURNING *
+      `;
+      if (!created) {
+        throw new Error('This server already has a tournament open');
+      }
+
+      const tournament = await enterTournament(tx, created, hostGuildId);
+      return { success: true, tournament };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Enter a guild into an open tournament and take its entry fee
+ * @param {number} tournamentId - Tournament ID
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object>} { success, tournament } or { success: false, error }
+ */
+export async function joinTournament(tournamentId, guildId) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [tournament] = await tx`SELECT * FROM tournaments WHERE id = ${tournamentId} FOR UPDATE`;
+      if (!tournament || tournament.status !== 'open') {
+        throw new Error('This tournament is no longer taking entrants');
+      }
+
+      const [{ count }] = await tx`
+        SELECT COUNT(*)::int AS count FROM tournament_entrants WHERE tournament_id = ${tournamentId}
+      `;
+      if (count >= tournament.max_entrants) {
+        throw new Error('This tournament is full');
+      }
+
+      const [entered] = await tx`
+        SELECT 1 FROM tournament_entrants WHERE tournament_id = ${tournamentId} AND guild_id = ${guildId}
+      `;
+      if (entered) {
+        throw new Error('Your guild is already entered');
+      }
+
+      return { success: true, tournament: await enterTournament(tx, tournament, guildId) };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get a tournament's entrants
+ * @param {number} tournamentId - Tournament ID
+ * @returns {Promise<Array>} Entrants with the guild's discord_id and name, by seed (or join order before seeding)
+ */
+export async function getTournamentEntrants(tournamentId) {
+  return await sql`
+    SELECT te.*, g.discord_id, g.name
+    FROM tournament_entrants te
+    JOIN guilds g ON g.id = te.guild_id
+    WHERE te.tournament_id = ${tournamentId}
+    ORDER BY te.seed NULLS LAST, te.joined_at, te.guild_id
+  `;
+}
+
+/**
+ * Seed an open tournament and set it running
+ * @param {number} tournamentId - Tournament ID
+ * @param {Array} seeds - { guildId, seed } per entrant
+ * @param {number} totalRounds - Rounds the bracket needs
+ * @returns {Promise<Object|null>} Running tournament, or null if it wasn't open
+ */
+export async function startTournament(tournamentId, seeds, totalRounds) {
+  return await sql.begin(async (tx) => {
+    const [tournament] = await tx`
+      UPDATE tournaments
+      SET status = 'running', started_at = NOW(), next_round_at = NOW(), total_rounds = ${totalRounds}
+      WHERE id = ${tournamentId} AND status = 'open'
+      RETURNING *
+    `;
+    if (!tournament) return null;
+
+    for (const { guildId, seed } of seeds) {
+      await tx`
+        UPDATE tournament_entrants SET seed = ${seed}
+        WHERE tournament_id = ${tournamentId} AND guild_id = ${guildId}
+      `;
+    }
+
+    return tournament;
+  });
+}
+
+/**
+ * Record a played round - saves its matches, scores the winners and knocks out the losers (single elimination)
+ * Only the round after current_round can be recorded, so two schedulers can't both play it
+ * @param {number} tournamentId - Tournament ID
+ * @param {number} round - Round number
+ * @param {Array} matches - { slot, guildAId, guildBId, winnerId, guildAPower, guildBPower, winChance } per pairing
+ * @param {number} nextRoundMinutes - Time until the following round
+ * @returns {Promise<Object|null>} Updated tournament, or null if the round was already played
+ */
+export async function recordTournamentRound(tournamentId, round, matches, nextRoundMinutes) {
+  return await sql.begin(async (tx) => {
+    const [tournament] = await tx`
+      UPDATE tournaments
+      SET current_round = ${round},
+          next_round_at = NOW() + make_interval(mins => ${nextRoundMinutes})
+      WHERE id = ${tournamentId} AND status = 'running' AND current_round = ${round - 1}
+      RETURNING *
+    `;
+    if (!tournament) return null;
+
+    for (const match of matches) {
+      await tx`
+        INSERT INTO tournament_matches
+          (tournament_id, round, slot, guild_a_id, guild_b_id, winner_id, guild_a_power, guild_b_power, win_chance)
+        VALUES
+          (${tournamentId}, ${round}, ${match.slot}, ${match.guildAId}, ${match.guildBId}, ${match.winnerId},
+           ${match.guildAPower}, ${match.guildBPower}, ${match.winChance})
+      `;
+
+      await tx`
+        UPDATE tournament_entrants SET points = points + 1
+        WHERE tournament_id = ${tournamentId} AND guild_id = ${match.winnerId}
+      `;
+
+      const loserId = match.winnerId === match.guildAId ? match.guildBId : match.guildAId;
+      if (tournament.format === 'single' && loserId) {
+        await tx`
+          UPDATE tournament_entrants SET eliminated_round = ${round}
+          WHERE tournament_id = ${tournamentId} AND guild_id = ${loserId}
+        `;
+      }
+    }
+
+    return tournament;
+  });
+}
+
+/**
+ * Get every match a tournament has played
+ * @param {number} tournamentId - Tournament ID
+ * @returns {Promise<Array>} Matches with guild_a_name and guild_b_name, by round then bracket slot
+ */
+export async function getTournamentMatches(tournamentId) {
+  return await sql`
+    SELECT tm.*, ga.name AS guild_a_name, gb.name AS guild_b_name
+    FROM tournament_matches tm
+    LEFT JOIN guilds ga ON ga.id = tm.guild_a_id
+    LEFT JOIN guilds gb ON gb.id = tm.guild_b_id
+    WHERE tm.tournament_id = ${tournamentId}
+    ORDER BY tm.round, tm.slot
+  `;
+}
+
+/**
+ * Get running tournaments whose next round is due
+ * @returns {Promise<Array>}
+ */
+export async function getTournamentsDue() {
+  return await sql`
+    SELECT * FROM tournaments
+    WHERE status = 'running' AND next_round_at <= NOW()
+    ORDER BY next_round_at
+  `;
+}
+
+/**
+ * Get open tournaments nobody started in time
+ * @param {number} hours - How long a tournament may stay open
+ * @returns {Promise<Array>}
+ */
+export async function getExpiredTournaments(hours) {
+  return await sql`
+    SELECT * FROM tournaments
+    WHERE status = 'open' AND created_at <= NOW() - make_interval(hours => ${hours})
+    ORDER BY created_at
+  `;
+}
+
+/**
+ * Close a finished tournament and pay out its prize pool
+ * @param {number} tournamentId - Tournament ID
+ * @param {Array} placements - { guildId, placement, prize } per entrant, winner first
+ * @returns {Promise<Object|null>} { tournament, guilds } (updated prize winners) or null if it was already closed
+ */
+export async function completeTournament(tournamentId, placements) {
+  return await sql.begin(async (tx) => {
+    const [tournament] = await tx`
+      UPDATE tournaments
+      SET status = 'completed', resolved_at = NOW(), next_round_at = NULL, winner_guild_id = ${placements[0]?.guildId ?? null}
+      WHERE id = ${tournamentId} AND status = 'running'
+      RETURNING *
+    `;
+    if (!tournament) return null;
+
+    const guilds = [];
+    for (const { guildId, placement, prize } of placements) {
+      await tx`
+        UPDATE tournament_entrants SET placement = ${placement}, prize = ${prize}
+        WHERE tournament_id = ${tournamentId} AND guild_id = ${guildId}
+      `;
+
+      if (prize <= 0 && placement !== 1) continue;
+
+      // Prizes are other guilds' entry fees changing hands, so they aren't counted as gold earned
+      const [guild] = await tx`
+        UPDATE guilds
+        SET gold = gold + ${prize},
+            lifetime_tournament_gold = lifetime_tournament_gold + ${prize},
+            lifetime_tournaments_won = lifetime_tournaments_won + ${placement === 1 ? 1 : 0},
+            peak_gold_balance = GREATEST(peak_gold_balance, gold + ${prize})
+        WHERE id = ${guildId}
+        RETURNING *
+      `;
+      if (guild) guilds.push(guild);
+    }
+
+    return { tournament, guilds };
+  });
+}
+
+/**
+ * Cancel an open tournament and refund every entry fee
+ * @param {number} tournamentId - Tournament ID
+ * @returns {Promise<Object|null>} { tournament, refunded } (entrants with discord_id) or null if it wasn't open
+ */
+export async function cancelTournament(tournamentId) {
+  return await sql.begin(async (tx) => {
+    const [tournament] = await tx`
+      UPDATE tournaments
+      SET status = 'cancelled', resolved_at = NOW()
+      WHERE id = ${tournamentId} AND status = 'open'
+      RETURNING *
+    `;
+    if (!tournament) return null;
+
+    const refunded = await tx`
+      UPDATE guilds g
+      SET gold = g.gold + ${tournament.entry_fee}
+      FROM tournament_entrants te
+      WHERE te.tournament_id = ${tournamentId} AND te.guild_id = g.id
+      RETURNING g.id AS guild_id, g.discord_id, g.name
+    `;
+
+    return { tournament, refunded };
+  });
+}
+
+/**
+ * Get a server's most recently finished tournaments
+ * @param {string} serverId - Discord server ID
+ * @param {number} limit - Number of tournaments to return
+ * @returns {Promise<Array>} Completed tournaments with the winner's name and entrant count, newest first
+ */
+export async function getRecentTournaments(serverId, limit = 5) {
+  return await sql`
+    SELECT t.*, g.name AS winner_name,
+           (SELECT COUNT(*)::int FROM tournament_entrants te WHERE te.tournament_id = t.id) AS entrant_count
+    FROM tournaments t
+    LEFT JOIN guilds g ON g.id = t.winner_guild_id
+    WHERE t.server_id = ${serverId} AND t.status = 'completed'
+    ORDER BY t.resolved_at DESC
+    LIMIT ${limit}
+  `;
+}
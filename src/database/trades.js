@@ -0,0 +1,250 @@
+import { sql } from './connection.js';
+import { TRADE } from '../config.js';
+import { getDailyTradeLimit } from '../game/trades.js';
+
+/**
+ * Get a trade by ID
+ * @param {number} tradeId - Trade ID
+ * @returns {Promise<Object|null>} Trade or null
+ */
+export async function getTradeById(tradeId) {
+  const [trade] = await sql`SELECT * FROM trades WHERE id = ${tradeId}`;
+  return trade || null;
+}
+
+/**
+ * Get the gold a guild has paid to other players in the last 24 hours - trade offers, market purchases,
+ * bounties posted and tournament entry fees
+ * Pending offers, open bounties and fees in tournaments that haven't finished count (their gold is already held)
+ * @param {Function} db - sql or an open transaction
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<number>}
+ */
+export async function getGoldSentToday(db, guildId) {
+  const [{ sent }] = await db`
+    SELECT
+      (SELECT COALESCE(SUM(gold), 0) FROM trades
+        WHERE sender_id = ${guildId} AND status IN ('pending', 'accepted')
+          AND created_at > NOW() - INTERVAL '24 hours')
+      + (SELECT COALESCE(SUM(price), 0) FROM market_listings
+        WHERE buyer_id = ${guildId} AND status = 'sold'
+          AND resolved_at > NOW() - INTERVAL '24 hours')
+      + (SELECT COALESCE(SUM(amount), 0) FROM bounties
+        WHERE poster_guild_id = ${guildId} AND status IN ('active', 'claimed')
+          AND created_at > NOW() - INTERVAL '24 hours')
+      + (SELECT COALESCE(SUM(t.entry_fee), 0) FROM tournament_entrants te
+        JOIN tournaments t ON t.id = te.tournament_id
+        WHERE te.guild_id = ${guildId} AND t.status <> 'cancelled'
+          AND te.joined_at > NOW() - INTERVAL '24 hours') AS sent
+  `;
+  return Number(sent);
+}
+
+/**
+ * Get the gold a guild has been paid by other players in the last 24 hours - accepted trades,
+ * market proceeds after tax, bounties claimed and tournament prizes
+ * @param {Function} db - sql or an open transaction
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<number>}
+ */
+export async function getGoldReceivedToday(db, guildId) {
+  const [{ received }] = await db`
+    SELECT
+      (SELECT COALESCE(SUM(gold), 0) FROM trades
+        WHERE recipient_id = ${guildId} AND status = 'accepted'
+          AND created_at > NOW() - INTERVAL '24 hours')
+      + (SELECT COALESCE(SUM(price - sale_tax), 0) FROM market_listings
+        WHERE seller_id = ${guildId} AND status = 'sold'
+          AND resolved_at > NOW() - INTERVAL '24 hours')
+      + (SELECT COALESCE(SUM(amount), 0) FROM bounties
+        WHERE claimed_by_guild_id = ${guildId} AND status = 'claimed'
+          AND resolved_at > NOW() - INTERVAL '24 hours')
+      + (SELECT COALESCE(SUM(te.prize), 0) FROM tournament_entrants te
+        JOIN tournaments t ON t.id = te.tournament_id
+        WHERE te.guild_id = ${guildId} AND t.status = 'completed'
+          AND t.resolved_at > NOW() - INTERVAL '24 hours') AS received
+  `;
+  return Number(received);
+}
+
+/**
+ * Get the gold a guild has moved in the last 24 hours
+ * Trades, market sales, bounties and tournaments share the one daily allowance, so none can be used to get around the others
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<{sent: number, received: number}>}
+ */
+export async function getTradeTotals(guildId) {
+  const [sent, received] = await Promise.all([
+    getGoldSentToday(sql, guildId),
+    getGoldReceivedToday(sql, guildId),
+  ]);
+  return { sent, received };
+}
+
+/**
+ * Offer gold to another player - the gold leaves the sender's balance until the offer is settled
+ * @param {number} senderId - Sending guild ID
+ * @param {number} recipientId - Receiving guild ID
+ * @param {number} gold - Gold offered
+ * @param {string|null} note - Optional message for the recipient
+ * @returns {Promise<Object>} { success, trade } or { success: false, error }
+ */
+export async function createTradeOffer(senderId, recipientId, gold, note = null) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [sender] = await tx`SELECT * FROM guilds WHERE id = ${senderId} FOR UPDATE`;
+      if (!sender) {
+        throw new Error('Guild not found');
+      }
+
+      const [pending] = await tx`SELECT id FROM trades WHERE sender_id = ${senderId} AND status = 'pending'`;
+      if (pending) {
+        throw new Error('You already have an offer waiting for an answer');
+      }
+
+      if (sender.gold < gold) {
+        throw new Error('Not enough gold');
+      }
+
+      const sent = await getGoldSentToday(tx, senderId);
+      if (sent + gold > getDailyTradeLimit(sender.level)) {
+        throw new Error('That would put you over your daily sending limit');
+      }
+
+      await tx`UPDATE guilds SET gold = gold - ${gold} WHERE id = ${senderId}`;
+
+      const [trade] = await tx`
+        INSERT INTO trades (sender_id, recipient_id, gold, note)
+        VALUES (${senderId}, ${recipientId}, ${gold}, ${note})
+        RETURNING *
+      `;
+
+      return { success: true, trade };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Accept a pending offer - moves the held gold to the recipient
+ * The recipient's daily receiving limit is checked inside the transaction so parallel accepts can't exceed it
+ * @param {number} tradeId - Trade ID
+ * @param {number} recipientId - Guild accepting (must be the offer's recipient)
+ * @returns {Promise<Object>} { success, trade } or { success: false, error }
+ */
+export async function acceptTrade(tradeId, recipientId) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [trade] = await tx`SELECT * FROM trades WHERE id = ${tradeId} FOR UPDATE`;
+      if (!trade || trade.status !== 'pending') {
+        throw new Error('This offer is no longer available');
+      }
+      if (trade.recipient_id !== recipientId) {
+        throw new Error('This offer isn\'t for you');
+      }
+      if (Date.now() - new Date(trade.created_at).getTime() >= TRADE.OFFER_TIMEOUT_MS) {
+        throw new Error('This offer has expired');
+      }
+
+      const [recipient] = await tx`SELECT * FROM guilds WHERE id = ${recipientId} FOR UPDATE`;
+      const received = await getGoldReceivedToday(tx, recipientId);
+      if (received + Number(trade.gold) > getDailyTradeLimit(recipient.level)) {
+        throw new Error('Accepting would put you over your daily receiving limit');
+      }
+
+      const [accepted] = await tx`
+        UPDATE trades SET status = 'accepted', resolved_at = NOW()
+        WHERE id = ${tradeId}
+        RETURNING *
+      `;
+
+      await tx`
+        UPDATE guilds
+        SET gold = gold + ${trade.gold},
+            lifetime_trade_gold_received = lifetime_trade_gold_received + ${trade.gold}
+        WHERE id = ${recipientId}
+      `;
+      await tx`
+        UPDATE guilds
+        SET lifetime_trade_gold_sent = lifetime_trade_gold_sent + ${trade.gold}
+        WHERE id = ${trade.sender_id}
+      `;
+
+      return { success: true, trade: accepted };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Settle a pending offer without a transfer (declined, cancelled or expired) and return the gold to the sender
+ * @param {number} tradeId - Trade ID
+ * @param {string} status - 'declined', 'cancelled' or 'expired'
+ * @returns {Promise<Object|null>} The closed trade, or null if it was already settled
+ */
+export async function closeTrade(tradeId, status) {
+  return await sql.begin(async (tx) => {
+    const [trade] = await tx`
+      UPDATE trades SET status = ${status}, resolved_at = NOW()
+      WHERE id = ${tradeId} AND status = 'pending'
+      RETURNING *
+    `;
+    if (!trade) return null;
+
+    await tx`UPDATE guilds SET gold = gold + ${trade.gold} WHERE id = ${trade.sender_id}`;
+    return trade;
+  });
+}
+
+/**
+ * Expire every pending offer past its timeout and return the held gold
+ * Catches offers whose expiry timer was lost (e.g. the bot restarted)
+ * @returns {Promise<number>} Number of offers expired
+ */
+export async function expireStaleTrades() {
+  return await sql.begin(async (tx) => {
+    const expired = await tx`
+      UPDATE trades SET status = 'expired', resolved_at = NOW()
+      WHERE status = 'pending'
+        AND created_at <= NOW() - make_interval(secs => ${TRADE.OFFER_TIMEOUT_MS / 1000})
+      RETURNING sender_id, gold
+    `;
+
+    for (const trade of expired) {
+      await tx`UPDATE guilds SET gold = gold + ${trade.gold} WHERE id = ${trade.sender_id}`;
+    }
+
+    return expired.length;
+  });
+}
+
+/**
+ * Get a guild's recent trades (sent and received)
+ * @param {number} guildId - Guild ID
+ * @param {number} limit - Number of trades to return
+ * @returns {Promise<Array>} Trades with sender/recipient names and Discord IDs
+ */
+export async function getTradeHistory(guildId, limit = TRADE.HISTORY_LIMIT) {
+  return await sql`
+    SELECT
+      t.*,
+      s.name AS sender_name,
+      s.discord_id AS sender_discord_id,
+      r.name AS recipient_name,
+      r.discord_id AS recipient_discord_id
+    FROM trades t
+    JOIN guilds s ON t.sender_id = s.id
+    JOIN guilds r ON t.recipient_id = r.id
+    WHERE t.sender_id = ${guildId} OR t.recipient_id = ${guildId}
+    ORDER BY t.created_at DESC, t.id DESC
+    LIMIT ${limit}
+  `;
+}
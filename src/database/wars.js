@@ -0,0 +1,330 @@
+import { sql } from './connection.js';
+import { WAR } from '../config.js';
+
+/**
+ * Get a war by ID
+ * @param {number} warId - War ID
+ * @returns {Promise<Object|null>} War with alliance_a_name and alliance_b_name
+ */
+export async function getWarById(warId) {
+  const [war] = await sql`
+    SELECT w.*, a.name AS alliance_a_name, b.name AS alliance_b_name
+    FROM wars w
+    JOIN alliances a ON a.id = w.alliance_a_id
+    JOIN alliances b ON b.id = w.alliance_b_id
+    WHERE w.id = ${warId}
+  `;
+  return war || null;
+}
+
+/**
+ * Get an alliance's scheduled or active war (an alliance fights one war at a time)
+ * @param {number} allianceId - Alliance ID
+ * @returns {Promise<Object|null>} War with alliance names, or null
+ */
+export async function getOpenWar(allianceId) {
+  const [war] = await sql`
+    SELECT w.*, a.name AS alliance_a_name, b.name AS alliance_b_name
+    FROM wars w
+    JOIN alliances a ON a.id = w.alliance_a_id
+    JOIN alliances b ON b.id = w.alliance_b_id
+    WHERE (w.alliance_a_id = ${allianceId} OR w.alliance_b_id = ${allianceId})
+      AND w.status IN ('scheduled', 'active')
+    LIMIT 1
+  `;
+  return war || null;
+}
+
+/**
+ * Get an alliance's most recently finished war
+ * @param {number} allianceId - Alliance ID
+ * @returns {Promise<Object|null>} War with alliance names, or null
+ */
+export async function getLastWar(allianceId) {
+  const [war] = await sql`
+    SELECT w.*, a.name AS alliance_a_name, b.name AS alliance_b_name
+    FROM wars w
+    JOIN alliances a ON a.id = w.alliance_a_id
+    JOIN alliances b ON b.id = w.alliance_b_id
+    WHERE (w.alliance_a_id = ${allianceId} OR w.alliance_b_id = ${allianceId})
+      AND w.status = 'completed'
+    ORDER BY w.resolved_at DESC
+    LIMIT 1
+  `;
+  return war || null;
+}
+
+/**
+ * Declare war on another alliance - the declaring treasury pays the cost
+ * The war opens after WAR.PREP_HOURS and runs for WAR.DURATION_HOURS
+ * Both alliance rows are locked (lowest ID first) so neither can end up in two wars
+ * @param {number} allianceId - Declaring alliance ID
+ * @param {number} targetAllianceId - Alliance being declared on
+ * @param {number} declaredBy - Declaring guild ID
+ * @param {number} cost - Treasury cost
+ * @returns {Promise<Object>} { success, war } or { success: false, error }
+ */
+export async function declareWar(allianceId, targetAllianceId, declaredBy, cost) {
+  try {
+    return await sql.begin(async (tx) => {
+      const locked = await tx`
+        SELECT * FROM alliances
+        WHERE id IN (${allianceId}, ${targetAllianceId})
+        ORDER BY id
+        FOR UPDATE
+      `;
+      const alliance = locked.find(a => a.id === allianceId);
+      const target = locked.find(a => a.id === targetAllianceId);
+      if (!alliance || !target) {
+        throw new Error('That alliance no longer exists');
+      }
+
+      const [busy] = await tx`
+        SELECT alliance_a_id, alliance_b_id FROM wars
+        WHERE status IN ('scheduled', 'active')
+          AND (alliance_a_id IN (${allianceId}, ${targetAllianceId})
+            OR alliance_b_id IN (${allianceId}, ${targetAllianceId}))
+        LIMIT 1
+      `;
+      if (busy) {
+        const ownWar = busy.alliance_a_id === allianceId || busy.alliance_b_id === allianceId;
+        throw new Error(ownWar
+          ? 'Your alliance is already at war'
+          : `**${target.name}** is already at war`);
+      }
+
+      if (alliance.treasury < cost) {
+        throw new Error('Not enough gold in the treasury');
+      }
+
+      await tx`UPDATE alliances SET treasury = treasury - ${cost} WHERE id = ${allianceId}`;
+
+      const [war] = await tx`
+        INSERT INTO wars (alliance_a_id, alliance_b_id, declared_by, starts_at, ends_at)
+        VALUES (
+          ${allianceId}, ${targetAllianceId}, ${declaredBy},
+          NOW() + make_interval(hours => ${WAR.PREP_HOURS}),
+          NOW() + make_interval(hours => ${WAR.PREP_HOURS + WAR.DURATION_HOURS})
+        )
+        RETURNING *
+      `;
+
+      return {
+        success: true,
+        war: { ...war, alliance_a_name: alliance.name, alliance_b_name: target.name },
+      };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get scheduled wars whose preparation time is over
+ * @param {number} limit - Maximum wars to return
+ * @returns {Promise<Array>} Wars with alliance names
+ */
+export async function getWarsToOpen(limit = 50) {
+  return await sql`
+    SELECT w.*, a.name AS alliance_a_name, b.name AS alliance_b_name
+    FROM wars w
+    JOIN alliances a ON a.id = w.alliance_a_id
+    JOIN alliances b ON b.id = w.alliance_b_id
+    WHERE w.status = 'scheduled' AND w.starts_at <= NOW()
+    ORDER BY w.starts_at
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Get active wars whose attack window has ended
+ * @param {number} limit - Maximum wars to return
+ * @returns {Promise<Array>} Wars with alliance names
+ */
+export async function getWarsToClose(limit = 50) {
+  return await sql`
+    SELECT w.*, a.name AS alliance_a_name, b.name AS alliance_b_name
+    FROM wars w
+    JOIN alliances a ON a.id = w.alliance_a_id
+    JOIN alliances b ON b.id = w.alliance_b_id
+    WHERE w.status = 'active' AND w.ends_at <= NOW()
+    ORDER BY w.ends_at
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Open a scheduled war and snapshot both rosters as its participants
+ * Guilds that join either alliance later can't take part in this war
+ * @param {number} warId - War ID
+ * @returns {Promise<Object|null>} { war, participants } or null if the war was already opened
+ */
+export async function openWar(warId) {
+  return await sql.begin(async (tx) => {
+    const [war] = await tx`
+      UPDATE wars SET status = 'active'
+      WHERE id = ${warId} AND status = 'scheduled'
+      RETURNING *
+    `;
+    if (!war) return null;
+
+    const participants = await tx`
+      INSERT INTO war_participants (war_id, guild_id, alliance_id)
+      SELECT ${warId}, id, alliance_id FROM guilds
+      WHERE alliance_id IN (${war.alliance_a_id}, ${war.alliance_b_id})
+      RETURNING *
+    `;
+
+    return { war, participants };
+  });
+}
+
+/**
+ * Get a war's participants, best scorers first
+ * @param {number} warId - War ID
+ * @returns {Promise<Array>} Participants with the guild's discord_id and name
+ */
+export async function getWarParticipants(warId) {
+  return await sql`
+    SELECT wp.*, g.discord_id, g.name
+    FROM war_participants wp
+    JOIN guilds g ON g.id = wp.guild_id
+    WHERE wp.war_id = ${warId}
+    ORDER BY wp.points DESC, wp.attacks_won DESC, g.name
+  `;
+}
+
+/**
+ * Get one guild's participation in a war
+ * @param {number} warId - War ID
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object|null>} Participant row, or null if the guild isn't in the war
+ */
+export async function getWarParticipant(warId, guildId) {
+  const [participant] = await sql`
+    SELECT * FROM war_participants WHERE war_id = ${warId} AND guild_id = ${guildId}
+  `;
+  return participant || null;
+}
+
+/**
+ * Record a war attack - uses one of the attacker's attacks and adds its points to their alliance's score
+ * The war row is locked so attacks can't land after the window closes or race the scheduler
+ * @param {number} warId - War ID
+ * @param {number} attackerId - Attacking guild ID
+ * @param {number} defenderId - Defending guild ID
+ * @param {Object} result - { attackerPower, defenderPower, winChance, won, points }
+ * @param {number} maxAttacks - Attacks each participant gets
+ * @returns {Promise<Object>} { success, war, participant, attack } or { success: false, error }
+ */
+export async function recordWarAttack(warId, attackerId, defenderId, { attackerPower, defenderPower, winChance, won, points }, maxAttacks) {
+  try {
+    return await sql.begin(async (tx) => {
+      const [war] = await tx`SELECT * FROM wars WHERE id = ${warId} FOR UPDATE`;
+      if (!war || war.status !== 'active' || new Date(war.ends_at) <= new Date()) {
+        throw new Error('This war is not accepting attacks');
+      }
+
+      const [participant] = await tx`
+        SELECT * FROM war_participants
+        WHERE war_id = ${warId} AND guild_id = ${attackerId}
+        FOR UPDATE
+      `;
+      if (!participant) {
+        throw new Error('You are not on this war\'s roster');
+      }
+      if (participant.attacks_used >= maxAttacks) {
+        throw new Error('You have used all your attacks for this war');
+      }
+
+      const [attack] = await tx`
+        INSERT INTO war_attacks (war_id, attacker_id, defender_id, attacker_power, defender_power, win_chance, won, points)
+        VALUES (${warId}, ${attackerId}, ${defenderId}, ${attackerPower}, ${defenderPower}, ${winChance}, ${won}, ${points})
+        RETURNING *
+      `;
+
+      const [updatedParticipant] = await tx`
+        UPDATE war_participants
+        SET attacks_used = attacks_used + 1,
+            attacks_won = attacks_won + ${won ? 1 : 0},
+            points = points + ${points}
+        WHERE war_id = ${warId} AND guild_id = ${attackerId}
+        RETURNING *
+      `;
+
+      const [updatedWar] = participant.alliance_id === war.alliance_a_id
+        ? await tx`UPDATE wars SET alliance_a_score = alliance_a_score + ${points} WHERE id = ${warId} RETURNING *`
+        : await tx`UPDATE wars SET alliance_b_score = alliance_b_score + ${points} WHERE id = ${warId} RETURNING *`;
+
+      return { success: true, war: updatedWar, participant: updatedParticipant, attack };
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get a war's most recent attacks
+ * @param {number} warId - War ID
+ * @param {number} limit - Number of attacks to return
+ * @returns {Promise<Array>} Attacks with attacker_name and defender_name
+ */
+export async function getRecentWarAttacks(warId, limit = 5) {
+  return await sql`
+    SELECT wa.*, att.name AS attacker_name, def.name AS defender_name
+    FROM war_attacks wa
+    JOIN guilds att ON att.id = wa.attacker_id
+    JOIN guilds def ON def.id = wa.defender_id
+    WHERE wa.war_id = ${warId}
+    ORDER BY wa.created_at DESC, wa.id DESC
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Close a war - records the result and moves the spoils from the loser's treasury to the winner's
+ * The loser pays what it can, so the spoils are capped at its treasury and no gold is created
+ * @param {number} warId - War ID
+ * @param {number|null} winnerAllianceId - Winning alliance (null for a draw)
+ * @param {number} spoils - Most the winner can take
+ * @returns {Promise<Object|null>} The completed war (payout is what was actually taken), or null if it was already closed
+ */
+export async function completeWar(warId, winnerAllianceId, spoils) {
+  return await sql.begin(async (tx) => {
+    const [war] = await tx`
+      UPDATE wars
+      SET status = 'completed',
+          winner_alliance_id = ${winnerAllianceId},
+          payout = 0,
+          resolved_at = NOW()
+      WHERE id = ${warId} AND status = 'active'
+      RETURNING *
+    `;
+    if (!war) return null;
+    if (!winnerAllianceId) return war;
+
+    const loserAllianceId = winnerAllianceId === war.alliance_a_id ? war.alliance_b_id : war.alliance_a_id;
+    const [loser] = await tx`SELECT treasury FROM alliances WHERE id = ${loserAllianceId} FOR UPDATE`;
+    const payout = Math.min(spoils, Math.max(Number(loser?.treasury ?? 0), 0));
+
+    await tx`
+      UPDATE alliances
+      SET treasury = treasury - ${payout}, wars_lost = wars_lost + 1
+      WHERE id = ${loserAllianceId}
+    `;
+    await tx`
+      UPDATE alliances
+      SET treasury = treasury + ${payout}, wars_won = wars_won + 1
+      WHERE id = ${winnerAllianceId}
+    `;
+
+    const [completed] = await tx`UPDATE wars SET payout = ${payout} WHERE id = ${warId} RETURNING *`;
+    return completed;
+  });
+}
@@ -0,0 +1,97 @@
+import { repos } from '../database/repositories/index.js';
+
+/**
+ * Get a guild's current value for an achievement's tracked stat
+ * @param {Object} guild - Guild data
+ * @param {Object} achievement - Achievement definition (needs stat_field)
+ * @returns {number} Current stat value
+ */
+export function getAchievementStat(guild, achievement) {
+  return Number(guild[achievement.stat_field]) || 0;
+}
+
+/**
+ * Get progress towards an achievement
+ * @param {Object} guild - Guild data
+ * @param {Object} achievement - Achievement definition (needs stat_field, threshold)
+ * @returns {Object} { current, threshold, percent } - current is capped at the threshold
+ */
+export function getAchievementProgress(guild, achievement) {
+  const threshold = Number(achievement.threshold);
+  const current = Math.min(getAchievementStat(guild, achievement), threshold);
+  return {
+    current,
+    threshold,
+    percent: threshold > 0 ? (current / threshold) * 100 : 100,
+  };
+}
+
+/**
+ * Find the achievements a guild has earned but not yet unlocked
+ * @param {Object} guild - Guild data
+ * @param {Array} catalogue - All achievement definitions
+ * @param {Array<number>} unlockedIds - IDs of achievements the guild already has
+ * @returns {Array} Achievements that should be unlocked now
+ */
+export function findNewAchievements(guild, catalogue, unlockedIds = []) {
+  const owned = new Set(unlockedIds);
+  return catalogue.filter(achievement =>
+    !owned.has(achievement.id) &&
+    getAchievementStat(guild, achievement) >= Number(achievement.threshold)
+  );
+}
+
+/**
+ * Describe an achievement's permanent reward
+ * @param {Object} achievement - Achievement definition
+ * @returns {string} Reward description (e.g., "+2% gold, title: the Wealthy")
+ */
+export function formatAchievementReward(achievement) {
+  const value = parseFloat(achievement.effect_value);
+  const parts = [];
+
+  switch (achievement.effect_type) {
+    case 'gold_multiplier':
+      parts.push(`+${Math.round(value * 100)}% gold`);
+      break;
+    case 'xp_multiplier':
+      parts.push(`+${Math.round(value * 100)}% XP`);
+      break;
+    case 'all_multiplier':
+      parts.push(`+${Math.round(value * 100)}% gold & XP`);
+      break;
+    case 'adventurer_capacity':
+      parts.push(`+${value} capacity`);
+      break;
+    case 'base_gold_per_hour':
+      parts.push(`+${value} gold/hr`);
+      break;
+  }
+
+  if (achievement.title) {
+    parts.push(`title: ${achievement.title}`);
+  }
+
+  return parts.length > 0 ? parts.join(', ') : 'Bragging rights';
+}
+
+/**
+ * Check a guild's stats against the achievement catalogue and unlock anything newly earned
+ * Called after anything that moves a tracked stat (collect, grind, battles, purchases, prestige)
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Array>} Achievements that were unlocked by this check
+ */
+export async function checkAchievements(guildId) {
+  const guild = await repos.guilds.getGuildById(guildId);
+  if (!guild) return [];
+
+  const [catalogue, owned] = await Promise.all([
+    repos.achievements.getAllAchievements(),
+    repos.achievements.getGuildAchievements(guildId),
+  ]);
+
+  const earned = findNewAchievements(guild, catalogue, owned.map(a => a.id));
+  if (earned.length === 0) return [];
+
+  return repos.achievements.unlockAchievements(guildId, earned.map(a => a.id));
+}
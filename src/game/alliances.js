@@ -0,0 +1,106 @@
+import { ALLIANCE } from '../config.js';
+
+/**
+ * Calculate the rate multipliers an alliance's treasury buffs give its members
+ * @param {Array} allianceBuffs - Bought buffs ({ buff_key, level })
+ * @returns {{ goldMultiplier: number, xpMultiplier: number }}
+ */
+export function calculateAllianceBonuses(allianceBuffs = []) {
+  const bonuses = {
+    goldMultiplier: 1.0,
+    xpMultiplier: 1.0,
+  };
+
+  for (const buff of allianceBuffs) {
+    const definition = ALLIANCE.BUFFS[buff.buff_key];
+    if (!definition) continue;
+
+    const value = definition.valuePerLevel * buff.level;
+    switch (definition.effect) {
+      case 'gold':
+        bonuses.goldMultiplier += value;
+        break;
+      case 'xp':
+        bonuses.xpMultiplier += value;
+        break;
+      case 'all':
+        bonuses.goldMultiplier += value;
+        bonuses.xpMultiplier += value;
+        break;
+    }
+  }
+
+  return bonuses;
+}
+
+/**
+ * Get the treasury cost of a buff's next level
+ * @param {string} buffKey - Key of ALLIANCE.BUFFS
+ * @param {number} currentLevel - Level the alliance already has
+ * @returns {number|null} Cost, or null if the buff is maxed or unknown
+ */
+export function getBuffCost(buffKey, currentLevel) {
+  const definition = ALLIANCE.BUFFS[buffKey];
+  if (!definition || currentLevel >= definition.maxLevel) return null;
+  return Math.floor(definition.baseCost * Math.pow(definition.costMultiplier, currentLevel));
+}
+
+/**
+ * Describe a buff's effect at a level
+ * @param {string} buffKey - Key of ALLIANCE.BUFFS
+ * @param {number} level - Buff level
+ * @returns {string} Effect description (e.g., "+6% gold")
+ */
+export function formatBuffEffect(buffKey, level) {
+  const definition = ALLIANCE.BUFFS[buffKey];
+  const percent = Math.round(definition.valuePerLevel * level * 100);
+  const target = { gold: 'gold', xp: 'XP', all: 'gold & XP' }[definition.effect];
+  return `+${percent}% ${target}`;
+}
+
+/**
+ * Get the authority rank of an alliance role (0 for no role)
+ * @param {string|null} role - Alliance role
+ * @returns {number}
+ */
+export function getRoleRank(role) {
+  return ALLIANCE.ROLES[role]?.rank ?? 0;
+}
+
+/**
+ * Whether a role can invite players and spend the treasury
+ * @param {string|null} role - Alliance role
+ * @returns {boolean}
+ */
+export function canManageAlliance(role) {
+  return getRoleRank(role) >= ALLIANCE.ROLES.officer.rank;
+}
+
+/**
+ * Whether one member can kick another - officers can kick members, the leader can kick anyone
+ * @param {string} actorRole - Role of the member kicking
+ * @param {string} targetRole - Role of the member being kicked
+ * @returns {boolean}
+ */
+export function canKick(actorRole, targetRole) {
+  return canManageAlliance(actorRole) && getRoleRank(actorRole) > getRoleRank(targetRole);
+}
+
+/**
+ * Validate a new alliance name
+ * @param {string} name - Proposed name
+ * @returns {string|null} Error message, or null if the name is fine
+ */
+export function validateAllianceName(name) {
+  const trimmed = name.trim();
+  if (trimmed.length < 3) {
+    return 'Alliance names must be at least 3 characters.';
+  }
+  if (trimmed.length > ALLIANCE.NAME_MAX_LENGTH) {
+    return `Alliance names can be at most ${ALLIANCE.NAME_MAX_LENGTH} characters.`;
+  }
+  if (!/^[\w' -]+$/.test(trimmed)) {
+    return 'Alliance names can only use letters, numbers, spaces, apostrophes and dashes.';
+  }
+  return null;
+}
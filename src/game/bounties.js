@@ -0,0 +1,73 @@
+import { BOUNTY, TRADE } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+
+/**
+ * Get the posting fee for a bounty (not refunded)
+ * @param {number} amount - Bounty amount
+ * @returns {number} Posting fee
+ */
+export function calculateBountyFee(amount) {
+  return Math.max(BOUNTY.MIN_POSTING_FEE, Math.floor(amount * BOUNTY.POSTING_FEE_RATE));
+}
+
+/**
+ * Post a bounty on another guild - the amount is escrowed like a pending battle bet and the fee is spent
+ * The command checks the amount and limits first; they're checked again as the bounty goes on the board
+ * @param {Object} posterGuild - Poster's guild
+ * @param {Object} targetGuild - Target's guild
+ * @param {number} amount - Gold to put up
+ * @returns {Promise<Object>} { success, bounty } or { success: false, error }
+ */
+export async function placeBounty(posterGuild, targetGuild, amount) {
+  if (posterGuild.id === targetGuild.id) {
+    return { success: false, error: 'You can\'t put a bounty on your own guild.' };
+  }
+  if (posterGuild.level < TRADE.MIN_LEVEL) {
+    return { success: false, error: `You need to reach level **${TRADE.MIN_LEVEL}** before you can post bounties.` };
+  }
+
+  return repos.bounties.createBounty({
+    posterGuildId: posterGuild.id,
+    targetGuildId: targetGuild.id,
+    amount,
+    fee: calculateBountyFee(amount),
+    durationHours: BOUNTY.DURATION_HOURS,
+    maxPerTarget: BOUNTY.MAX_PER_TARGET,
+    maxPerPoster: BOUNTY.MAX_PER_POSTER,
+  });
+}
+
+/**
+ * Take a bounty down and return the poster's gold (the posting fee stays spent)
+ * @param {Object} bounty - Open bounty row
+ * @param {string} status - 'cancelled' or 'expired'
+ * @param {number|null} posterGuildId - Only close it if this guild posted it (null for any)
+ * @returns {Promise<Object|null>} The closed bounty, or null if it was already claimed or closed
+ */
+export async function closeBounty(bounty, status, posterGuildId = null) {
+  const closed = await repos.bounties.closeBounty(bounty.id, status, posterGuildId);
+  if (!closed) return null;
+
+  await repos.battles.unlockBetGold(closed.poster_guild_id, Number(closed.amount));
+  return closed;
+}
+
+/**
+ * Pay the winner of a battle every bounty on the guild they beat, as far as their daily trade allowance goes
+ * @param {Object} winnerGuild - Winning attacker's guild
+ * @param {Object} loserGuild - Beaten guild
+ * @param {number|null} battleId - Battle record ID
+ * @returns {Promise<Object|null>} { bounties, total, guild } or null if there were none
+ */
+export async function claimBounties(winnerGuild, loserGuild, battleId) {
+  return repos.bounties.claimBounties(loserGuild.id, winnerGuild.id, battleId);
+}
+
+/**
+ * Get how long a bounty has left
+ * @param {Object} bounty - Bounty row
+ * @returns {number} Milliseconds left (0 once it has expired)
+ */
+export function getBountyTimeRemaining(bounty) {
+  return Math.max(0, new Date(bounty.expires_at).getTime() - Date.now());
+}
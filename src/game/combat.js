@@ -0,0 +1,99 @@
+import { COMBAT } from '../config.js';
+import { rollBattle } from '../database/battles.js';
+import { random } from './random.js';
+
+/**
+ * Roll a side's hits for every round
+ * Hits are random shares of the total damage, so they always add up to exactly that total
+ * @param {number} rounds - Number of rounds
+ * @param {number} totalDamage - Damage the side deals over the whole battle
+ * @returns {Array<{damage: number, crit: boolean}>}
+ */
+function rollHits(rounds, totalDamage) {
+  const hits = Array.from({ length: rounds }, () => {
+    const crit = random() < COMBAT.CRIT_CHANCE;
+    return { crit, weight: (0.5 + random()) * (crit ? COMBAT.CRIT_MULTIPLIER : 1) };
+  });
+  const totalWeight = hits.reduce((sum, hit) => sum + hit.weight, 0);
+
+  let dealt = 0;
+  return hits.map((hit, index) => {
+    const damage = index === rounds - 1
+      ? totalDamage - dealt
+      : Math.floor(totalDamage * hit.weight / totalWeight);
+    dealt += damage;
+    return { damage, crit: hit.crit };
+  });
+}
+
+/**
+ * Fight a battle out round by round
+ * The winner is rolled first with the usual win chance, so the odds are exactly those of rollBattle -
+ * the rounds then tell the story of how it went
+ * @param {number} winChance - Attacker's win chance percentage (from calculateWinChance)
+ * @param {Object} attackerGuild - Attacker's guild
+ * @param {Object} defenderGuild - Defender's guild
+ * @returns {{attackerWon: boolean, rounds: Array}} Each round: attackerDamage, attackerCrit, defenderDamage,
+ *   defenderCrit (damage each side dealt), attackerHp, defenderHp (lines left) and attackerKnockouts, defenderKnockouts
+ */
+export function resolveCombat(winChance, attackerGuild, defenderGuild) {
+  const attackerWon = rollBattle(winChance);
+
+  const roundCount = COMBAT.MIN_ROUNDS + Math.floor(random() * (COMBAT.MAX_ROUNDS - COMBAT.MIN_ROUNDS + 1));
+  const loserShare = COMBAT.LOSER_DAMAGE_MIN + random() * (COMBAT.LOSER_DAMAGE_MAX - COMBAT.LOSER_DAMAGE_MIN);
+  const winnerHits = rollHits(roundCount, COMBAT.LINE_HP);
+  const loserHits = rollHits(roundCount, Math.floor(COMBAT.LINE_HP * loserShare));
+  const [attackerHits, defenderHits] = attackerWon ? [winnerHits, loserHits] : [loserHits, winnerHits];
+
+  // Knockouts follow the damage taken, so each side's total matches how badly its line was beaten
+  const knockouts = (guild, damage) => Math.round(guild.adventurer_count * COMBAT.KNOCKOUT_SHARE * damage / COMBAT.LINE_HP);
+
+  let attackerHp = COMBAT.LINE_HP;
+  let defenderHp = COMBAT.LINE_HP;
+  const rounds = attackerHits.map((attackerHit, index) => {
+    const defenderHit = defenderHits[index];
+    attackerHp -= defenderHit.damage;
+    defenderHp -= attackerHit.damage;
+
+    return {
+      attackerDamage: attackerHit.damage,
+      attackerCrit: attackerHit.crit,
+      defenderDamage: defenderHit.damage,
+      defenderCrit: defenderHit.crit,
+      attackerHp,
+      defenderHp,
+      attackerKnockouts: knockouts(attackerGuild, defenderHit.damage),
+      defenderKnockouts: knockouts(defenderGuild, attackerHit.damage),
+    };
+  });
+
+  return { attackerWon, rounds };
+}
+
+/**
+ * Write a battle's rounds out as a combat log
+ * @param {Array} rounds - Rounds from resolveCombat (or a stored battle's combat_log)
+ * @param {string} attackerName - Attacker's guild name
+ * @param {string} defenderName - Defender's guild name
+ * @returns {string}
+ */
+export function formatCombatLog(rounds, attackerName, defenderName) {
+  const hit = (damage, crit) => `**${damage}**${crit ? ' 💥' : ''}`;
+
+  const lines = rounds.map((round, index) =>
+    `\`R${index + 1}\` ⚔️ ${hit(round.attackerDamage, round.attackerCrit)} · 🛡️ ${hit(round.defenderDamage, round.defenderCrit)}` +
+    ` → ❤️ ${Math.max(0, round.attackerHp)} / ${Math.max(0, round.defenderHp)}`
+  );
+
+  const attackerKnockouts = rounds.reduce((sum, round) => sum + round.attackerKnockouts, 0);
+  const defenderKnockouts = rounds.reduce((sum, round) => sum + round.defenderKnockouts, 0);
+  const last = rounds[rounds.length - 1];
+  const broken = last.defenderHp <= 0 ? defenderName : attackerName;
+
+  return [
+    `⚔️ ${attackerName} vs 🛡️ ${defenderName}`,
+    ...lines,
+    `🤕 Knocked out: **${attackerKnockouts}** / **${defenderKnockouts}**`,
+    `🏁 **${broken}**'s line breaks in round ${rounds.length}!`,
+  ].join('\n');
+}
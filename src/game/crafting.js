@@ -0,0 +1,131 @@
+import { CRAFTING } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { calculateUpgradeBonuses, getEffectiveCapacity, settleIdleEarnings } from './idle.js';
+import { random } from './random.js';
+import { syncRoster } from './roster.js';
+
+/**
+ * Get how much faster each material is gathered, from the upgrades in its category
+ * @param {Array} upgrades - Guild's purchased upgrades (need category and level)
+ * @returns {Object} Yield multiplier per material key (1 = base rate)
+ */
+export function calculateMaterialMultipliers(upgrades = []) {
+  const levelsByCategory = {};
+  for (const upgrade of upgrades) {
+    levelsByCategory[upgrade.category] = (levelsByCategory[upgrade.category] || 0) + (upgrade.level || 0);
+  }
+
+  return Object.fromEntries(
+    Object.entries(CRAFTING.MATERIALS).map(([key, { category }]) => [
+      key,
+      1 + (levelsByCategory[category] || 0) * CRAFTING.YIELD_PER_UPGRADE_LEVEL,
+    ])
+  );
+}
+
+/**
+ * Roll the materials gathered over a stretch of time
+ * Fractional amounts round up by chance, so short trips still find something now and then
+ * @param {Object} multipliers - Result of calculateMaterialMultipliers()
+ * @param {number} hours - Hours of gathering
+ * @returns {Object} Amount per material key
+ */
+export function rollMaterialYield(multipliers, hours) {
+  return Object.fromEntries(
+    Object.entries(CRAFTING.MATERIALS).map(([key, { perHour }]) => {
+      const expected = Math.max(0, perHour * (multipliers[key] || 1) * hours);
+      const whole = Math.floor(expected);
+      return [key, whole + (random() < expected - whole ? 1 : 0)];
+    })
+  );
+}
+
+/**
+ * Roll and store the materials gathered over a stretch of time
+ * @param {number} guildId - Guild ID
+ * @param {Object} multipliers - Result of calculateMaterialMultipliers()
+ * @param {number} hours - Hours of gathering
+ * @returns {Promise<Object>} Amount gathered per material key
+ */
+export async function gatherMaterials(guildId, multipliers, hours) {
+  const gathered = rollMaterialYield(multipliers, hours);
+  if (Object.values(gathered).some(amount => amount > 0)) {
+    await repos.crafting.addMaterials(guildId, gathered);
+  }
+  return gathered;
+}
+
+/**
+ * Format material amounts as "🌿 12 Herbs, ⛏️ 4 Ore"
+ * @param {Object} amounts - Amount per material key (a guild row works too)
+ * @param {boolean} includeEmpty - Whether to list materials with an amount of 0
+ * @returns {string}
+ */
+export function formatMaterials(amounts, includeEmpty = false) {
+  return Object.entries(CRAFTING.MATERIALS)
+    .filter(([key]) => includeEmpty || (amounts[key] || 0) > 0)
+    .map(([key, { label, emoji }]) => `${emoji} ${amounts[key] || 0} ${label}`)
+    .join(', ');
+}
+
+/**
+ * Get the materials a guild is short of for a recipe
+ * @param {Object} guild - Guild data
+ * @param {Object} recipe - Recipe definition
+ * @returns {Object} Missing amount per material key (empty if the guild has enough)
+ */
+export function getMissingMaterials(guild, recipe) {
+  const missing = {};
+  for (const key of Object.keys(CRAFTING.MATERIALS)) {
+    const short = (recipe[key] || 0) - (guild[key] || 0);
+    if (short > 0) missing[key] = short;
+  }
+  return missing;
+}
+
+/**
+ * Work out a boost after drinking a potion
+ * A stronger boost that's still running can't be replaced, the same strength adds to its time,
+ * and anything weaker or expired is replaced outright
+ * @param {number} currentValue - Boost currently on the guild
+ * @param {Date|null} currentUntil - When the current boost runs out
+ * @param {number} value - Potion's boost
+ * @param {number} minutes - Potion's duration
+ * @param {Date} now - Current time
+ * @returns {{value: number, until: Date}|null} The new boost, or null if a stronger one is running
+ */
+export function stackBoost(currentValue, currentUntil, value, minutes, now = new Date()) {
+  const running = currentUntil && new Date(currentUntil) > now ? Number(currentValue) : 0;
+  const duration = minutes * 60 * 1000;
+
+  if (running > value) return null;
+  if (running === value) {
+    return { value, until: new Date(new Date(currentUntil).getTime() + duration) };
+  }
+  return { value, until: new Date(now.getTime() + duration) };
+}
+
+/**
+ * Craft a recipe and apply its effect
+ * Pending idle earnings are paid out first so a new boost only counts from now on
+ * @param {number} guildId - Guild ID
+ * @param {Object} recipe - Recipe definition
+ * @returns {Promise<Object>} { success, guild, recruited } or { success: false, error }
+ */
+export async function craftRecipe(guildId, recipe) {
+  await settleIdleEarnings(guildId);
+
+  const { guild, upgrades, achievements, equipment } = await repos.guilds.getGuildWithDataById(guildId);
+  if (!guild) {
+    return { success: false, error: 'Guild not found' };
+  }
+
+  const capacity = getEffectiveCapacity(guild, calculateUpgradeBonuses(upgrades, achievements, equipment));
+  const result = await repos.crafting.craftRecipe(guildId, recipe, capacity);
+
+  // New recruits join the named roster if there's room
+  if (result.success && result.recruited > 0) {
+    await syncRoster(guildId);
+  }
+  return result;
+}
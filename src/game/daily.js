@@ -0,0 +1,83 @@
+import { DAILY, getRankForLevel } from '../config.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Work out whether a guild can claim its daily reward and what happens to its streak
+ * @param {Object} guild - Guild data (needs last_daily_at, daily_streak)
+ * @param {Date} now - Current time
+ * @returns {Object} { canClaim, nextClaimAt, streakActive, currentStreak, nextStreak, streakExpiresAt }
+ */
+export function getDailyStatus(guild, now = new Date()) {
+  const streak = guild.daily_streak || 0;
+
+  // Never claimed - first claim starts a streak of 1
+  if (!guild.last_daily_at) {
+    return {
+      canClaim: true,
+      nextClaimAt: null,
+      streakActive: false,
+      currentStreak: 0,
+      nextStreak: 1,
+      streakExpiresAt: null,
+    };
+  }
+
+  const lastClaim = new Date(guild.last_daily_at);
+  const nextClaimAt = new Date(lastClaim.getTime() + DAILY.COOLDOWN_HOURS * HOUR_MS);
+  const streakExpiresAt = new Date(lastClaim.getTime() + DAILY.STREAK_GRACE_HOURS * HOUR_MS);
+  const streakActive = streak > 0 && now < streakExpiresAt;
+
+  return {
+    canClaim: now >= nextClaimAt,
+    nextClaimAt,
+    streakActive,
+    currentStreak: streakActive ? streak : 0,
+    nextStreak: streakActive ? streak + 1 : 1,
+    streakExpiresAt: streakActive ? streakExpiresAt : null,
+  };
+}
+
+/**
+ * Check whether a streak day is a milestone (every MILESTONE_DAYS days)
+ * @param {number} streak - Streak day being claimed
+ * @returns {boolean}
+ */
+export function isStreakMilestone(streak) {
+  return streak > 0 && streak % DAILY.MILESTONE_DAYS === 0;
+}
+
+/**
+ * Get the reward multiplier for a streak day
+ * Day 1 = 1.0x, +10% per day up to the cap, doubled on milestone days
+ * @param {number} streak - Streak day being claimed (1-based)
+ * @returns {number} Reward multiplier
+ */
+export function getStreakMultiplier(streak) {
+  const bonus = Math.min(Math.max(streak - 1, 0) * DAILY.STREAK_BONUS_PER_DAY, DAILY.MAX_STREAK_BONUS);
+  const multiplier = 1 + bonus;
+  return isStreakMilestone(streak) ? multiplier * DAILY.MILESTONE_MULTIPLIER : multiplier;
+}
+
+/**
+ * Calculate the daily reward for a guild
+ * Scales with current idle income (calculateRates) plus a flat amount scaled by rank
+ * @param {Object} guild - Guild data (needs level)
+ * @param {Object} rates - Output of calculateRates ({ goldPerHour, xpPerHour })
+ * @param {number} streak - Streak day being claimed (1-based)
+ * @returns {Object} { gold, xp, multiplier, isMilestone }
+ */
+export function calculateDailyReward(guild, rates, streak) {
+  const rank = getRankForLevel(guild.level);
+  const multiplier = getStreakMultiplier(streak);
+
+  const baseGold = rates.goldPerHour * DAILY.REWARD_HOURS + DAILY.BASE_GOLD * rank.multiplier;
+  const baseXp = rates.xpPerHour * DAILY.REWARD_HOURS + DAILY.BASE_XP * rank.multiplier;
+
+  return {
+    gold: Math.floor(baseGold * multiplier),
+    xp: Math.floor(baseXp * multiplier),
+    multiplier,
+    isMilestone: isStreakMilestone(streak),
+  };
+}
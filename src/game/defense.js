@@ -0,0 +1,67 @@
+import { DEFENSE } from '../config.js';
+
+/**
+ * Get how many adventurers are standing guard
+ * @param {Object} guild - Guild data (adventurers_guarding, adventurer_count)
+ * @returns {number}
+ */
+export function getGuards(guild) {
+  return Math.max(0, Math.min(guild.adventurers_guarding || 0, guild.adventurer_count));
+}
+
+/**
+ * Get the most adventurers a guild can post as guards
+ * @param {Object} guild - Guild data
+ * @returns {number}
+ */
+export function getMaxGuards(guild) {
+  return Math.floor(guild.adventurer_count * DEFENSE.MAX_GUARD_SHARE);
+}
+
+/**
+ * Defense from guards - grows with the share of the guild on guard, so it costs the same
+ * share of idle income at every size
+ * @param {Object} guild - Guild data
+ * @returns {number} Win chance points taken off attackers
+ */
+export function getGuardDefense(guild) {
+  if (!guild.adventurer_count) return 0;
+  const share = getGuards(guild) / guild.adventurer_count;
+  return Math.min(DEFENSE.MAX_GUARD_DEFENSE, DEFENSE.MAX_GUARD_DEFENSE * share / DEFENSE.MAX_GUARD_SHARE);
+}
+
+/**
+ * Get the fortifications a guild has built
+ * @param {Object} guild - Guild data (fortification_level)
+ * @returns {Array} Entries from DEFENSE.FORTIFICATIONS, in build order
+ */
+export function getBuiltFortifications(guild) {
+  return DEFENSE.FORTIFICATIONS.slice(0, guild.fortification_level || 0);
+}
+
+/**
+ * Get the next fortification a guild can build
+ * @param {Object} guild - Guild data
+ * @returns {Object|null} Entry from DEFENSE.FORTIFICATIONS, or null once every one is built
+ */
+export function getNextFortification(guild) {
+  return DEFENSE.FORTIFICATIONS[guild.fortification_level || 0] || null;
+}
+
+/**
+ * Defense from fortifications
+ * @param {Object} guild - Guild data
+ * @returns {number} Win chance points taken off attackers
+ */
+export function getFortificationDefense(guild) {
+  return getBuiltFortifications(guild).reduce((total, fortification) => total + fortification.defense, 0);
+}
+
+/**
+ * Calculate a guild's defense when it is attacked in /battle
+ * @param {Object} guild - Guild data
+ * @returns {number} Win chance points taken off attackers (passed to calculateWinChance)
+ */
+export function calculateDefense(guild) {
+  return getGuardDefense(guild) + getFortificationDefense(guild);
+}
@@ -0,0 +1,94 @@
+import { GRIND } from '../config.js';
+import { random } from './random.js';
+
+/**
+ * Grind anti-cheat - tells people apart from autoclickers by the gaps between presses
+ * Macros click fast and evenly; people are slower and jittery. Sessions that look automated
+ * pay less per click and get locked behind a button shuffle challenge
+ */
+
+/**
+ * Summarize a session's recent click intervals
+ * @param {number[]} intervals - Milliseconds between consecutive presses, oldest first
+ * @returns {{ samples: number, meanMs: number, clicksPerSecond: number, variation: number }}
+ *   variation is the coefficient of variation (std dev / mean) - 0 means perfectly even clicking
+ */
+export function analyzeCadence(intervals = []) {
+  const samples = intervals.length;
+  if (samples === 0) {
+    return { samples: 0, meanMs: 0, clicksPerSecond: 0, variation: 0 };
+  }
+
+  // Presses in the same millisecond count as 1ms apart, so the rate stays finite
+  const meanMs = Math.max(1, intervals.reduce((sum, ms) => sum + ms, 0) / samples);
+  const variance = intervals.reduce((sum, ms) => sum + (ms - meanMs) ** 2, 0) / samples;
+
+  return {
+    samples,
+    meanMs,
+    clicksPerSecond: 1000 / meanMs,
+    variation: Math.sqrt(variance) / meanMs,
+  };
+}
+
+/**
+ * Decide whether a cadence looks automated
+ * @param {Object} cadence - Result of analyzeCadence()
+ * @returns {string|null} 'regular' (too even), 'fast' (sustained beyond people) or null if it looks human
+ */
+export function getCadenceFlag(cadence) {
+  if (cadence.samples < GRIND.MIN_CADENCE_SAMPLES) return null;
+  if (cadence.variation < GRIND.MIN_INTERVAL_VARIATION) return 'regular';
+  if (cadence.clicksPerSecond >= GRIND.SUSPICIOUS_CLICKS_PER_SECOND) return 'fast';
+  return null;
+}
+
+/**
+ * Get what the next click is worth - full value up to a human-plausible rate, then diminishing
+ * @param {Object} cadence - Result of analyzeCadence()
+ * @returns {number} Multiplier between GRIND.MIN_CLICK_WEIGHT and 1
+ */
+export function getClickWeight(cadence) {
+  if (cadence.samples < GRIND.MIN_CADENCE_SAMPLES || cadence.clicksPerSecond <= GRIND.HUMAN_CLICKS_PER_SECOND) {
+    return 1;
+  }
+
+  return Math.max(GRIND.MIN_CLICK_WEIGHT, (GRIND.HUMAN_CLICKS_PER_SECOND / cadence.clicksPerSecond) ** 2);
+}
+
+/**
+ * Check whether a session may be challenged again
+ * @param {Object} session - Session record
+ * @returns {boolean}
+ */
+export function canChallenge(session) {
+  if (session.challenge_answer !== null && session.challenge_answer !== undefined) return false;
+  if (!session.last_challenge_at) return true;
+
+  const cooldownMs = GRIND.CHALLENGE_COOLDOWN_MINUTES * 60 * 1000;
+  return Date.now() - new Date(session.last_challenge_at).getTime() >= cooldownMs;
+}
+
+/**
+ * Shuffle the challenge buttons - a macro clicking where the grind button was lands on a random choice
+ * @returns {number[]} Indexes into GRIND.CHALLENGE_CHOICES in button order
+ */
+export function shuffleChallengeChoices() {
+  const order = GRIND.CHALLENGE_CHOICES.map((_, index) => index);
+
+  // Fisher-Yates
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  return order;
+}
+
+/**
+ * Pick which challenge button the player has to press
+ * @returns {number} Index into GRIND.CHALLENGE_CHOICES
+ */
+export function rollChallengeAnswer() {
+  return Math.floor(random() * GRIND.CHALLENGE_CHOICES.length);
+}
@@ -0,0 +1,211 @@
+import { GRIND } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+
+/**
+ * Session store for /grind - holds each player's click counters between flushes
+ * Defaults to an in-memory store; GRIND_SESSION_STORE=postgres uses repos.grindSessions so sessions
+ * survive a crash and every shard sees the same counters. Tests can swap in their own store.
+ *
+ * Usage: const { session, throttled } = await getSessionStore().recordGrindClick(sessionId, { windowMs, maxClicks, weight, maxSamples })
+ */
+
+let activeStore = null;
+let memoryStore = null;
+
+/**
+ * Get the active session store
+ * @returns {Object} Session store
+ */
+export function getSessionStore() {
+  if (activeStore) return activeStore;
+  if (GRIND.SESSION_STORE === 'postgres') return repos.grindSessions;
+
+  memoryStore ??= createMemorySessionStore();
+  return memoryStore;
+}
+
+/**
+ * Replace the active session store
+ * @param {Object} store - Store with the same interface as createMemorySessionStore()
+ */
+export function setSessionStore(store) {
+  activeStore = store;
+}
+
+/**
+ * Go back to the configured session store
+ */
+export function resetSessionStore() {
+  activeStore = null;
+}
+
+/**
+ * Whole clicks a session gets paid for - clicks past a human-plausible rate are worth a fraction,
+ * and the fractions are paid once they add up to a full click
+ * @param {Object} session - Session record
+ * @returns {number}
+ */
+export function getPaidClicks(session) {
+  return Math.floor(Number(session.credited_clicks) + 1e-9);
+}
+
+/**
+ * Gold and XP a session has earned so far
+ * @param {Object} session - Session record
+ * @returns {{ gold: number, xp: number }}
+ */
+export function getSessionEarnings(session) {
+  const clicks = getPaidClicks(session);
+  return {
+    gold: clicks * Number(session.gold_per_click),
+    xp: clicks * Number(session.xp_per_click),
+  };
+}
+
+/**
+ * Create an in-memory session store
+ * Clicks only live as long as the process, so a crash loses whatever hasn't been flushed yet
+ * @param {Function} [flushGrindData] - Writes flushed clicks to the guild (defaults to repos.guilds.flushGrindData)
+ * @returns {Object} Session store
+ */
+export function createMemorySessionStore(flushGrindData = (...args) => repos.guilds.flushGrindData(...args)) {
+  const sessions = new Map();
+  let nextId = 1;
+
+  const copy = (session) => (session ? { ...session, materials: { ...session.materials }, click_intervals: [...session.click_intervals] } : null);
+  const findById = (sessionId) => [...sessions.values()].find(s => s.id === sessionId);
+
+  return {
+    async createGrindSession({ discordId, guildId, goldPerClick, xpPerClick, baseGold, baseXp, materialMultipliers, durationMs }) {
+      const now = Date.now();
+      const session = {
+        id: nextId++,
+        discord_id: discordId,
+        guild_id: guildId,
+        gold_per_click: goldPerClick,
+        xp_per_click: xpPerClick,
+        base_gold: baseGold,
+        base_xp: baseXp,
+        total_clicks: 0,
+        credited_clicks: 0,
+        flushed_clicks: 0,
+        throttled_clicks: 0,
+        window_started_at: new Date(now),
+        window_clicks: 0,
+        click_intervals: [],
+        challenge_answer: null,
+        last_challenge_at: null,
+        challenges_passed: 0,
+        challenges_failed: 0,
+        material_multipliers: materialMultipliers,
+        materials: {},
+        started_at: new Date(now),
+        last_click_at: new Date(now),
+        expires_at: new Date(now + durationMs),
+      };
+      sessions.set(discordId, session);
+      return copy(session);
+    },
+
+    async getGrindSession(discordId) {
+      return copy(sessions.get(discordId));
+    },
+
+    async getGrindSessions() {
+      return [...sessions.values()].sort((a, b) => a.started_at - b.started_at).map(copy);
+    },
+
+    async recordGrindClick(sessionId, { windowMs, maxClicks, weight = 1, maxSamples }) {
+      const session = findById(sessionId);
+      const now = Date.now();
+      if (!session || session.expires_at.getTime() <= now) return null;
+
+      // The gap since the session started isn't a click interval
+      if (session.total_clicks + session.throttled_clicks > 0) {
+        session.click_intervals = [...session.click_intervals, now - session.last_click_at.getTime()].slice(-maxSamples);
+      }
+
+      if (now - session.window_started_at.getTime() >= windowMs) {
+        session.window_started_at = new Date(now);
+        session.window_clicks = 0;
+      }
+
+      const throttled = session.window_clicks >= maxClicks;
+      if (throttled) {
+        session.throttled_clicks += 1;
+      } else {
+        session.window_clicks += 1;
+        session.total_clicks += 1;
+        session.credited_clicks += weight;
+      }
+      session.last_click_at = new Date(now);
+
+      return { session: copy(session), throttled };
+    },
+
+    async flushGrindSession(sessionId) {
+      const session = findById(sessionId);
+      if (!session) return null;
+
+      const paidClicks = getPaidClicks(session);
+      const clicks = paidClicks - session.flushed_clicks;
+      if (clicks <= 0) return null;
+
+      // Claim the clicks before the write so an overlapping flush can't apply them too
+      const previousClicks = session.flushed_clicks;
+      session.flushed_clicks = paidClicks;
+
+      try {
+        const guild = await flushGrindData(session.guild_id, clicks * session.gold_per_click, clicks * session.xp_per_click, clicks);
+        return { session: copy(session), guild, clicks, previousClicks };
+      } catch (error) {
+        session.flushed_clicks -= clicks;
+        throw error;
+      }
+    },
+
+    async addGrindMaterials(sessionId, materials) {
+      const session = findById(sessionId);
+      if (!session) return null;
+
+      const totals = { ...session.materials };
+      for (const [key, amount] of Object.entries(materials)) {
+        totals[key] = (totals[key] || 0) + amount;
+      }
+      session.materials = totals;
+      return copy(session);
+    },
+
+    async startGrindChallenge(sessionId, answer) {
+      const session = findById(sessionId);
+      if (!session) return null;
+
+      session.challenge_answer = answer;
+      session.last_challenge_at = new Date();
+      return copy(session);
+    },
+
+    async answerGrindChallenge(sessionId, choice) {
+      const session = findById(sessionId);
+      if (!session || session.challenge_answer === null) return null;
+
+      const passed = session.challenge_answer === choice;
+      if (passed) {
+        session.challenge_answer = null;
+        session.challenges_passed += 1;
+        // Judge the player's clicking afresh from here
+        session.click_intervals = [];
+      } else {
+        session.challenges_failed += 1;
+      }
+      return { session: copy(session), passed };
+    },
+
+    async deleteGrindSession(sessionId) {
+      const session = findById(sessionId);
+      if (session) {
+        sessions.delete(session.discord_id);
+      }
+    },
+  };
+}
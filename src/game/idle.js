@@ -1,13 +1,20 @@
 import { GAME, PRESTIGE, getRankForLevel } from '../config.js';
-import { getGuildUpgrades } from '../database/upgrades.js';
-import { getOwnedPrestigeUpgrades, getPrestigeUpgradeEffect } from '../database/prestige.js';
+import { repos } from '../database/repositories/index.js';
+import { random } from './random.js';
+import { checkAndApplyLevelUp } from './leveling.js';
+import { calculateAllianceBonuses } from './alliances.js';
+import { syncRoster, trainRoster } from './roster.js';
+import { getMoraleAt, getAverageMoraleMultiplier } from './morale.js';
 
 /**
  * Calculate the bonuses from all upgrades a guild owns
+ * Achievement rewards and equipped items use the same effect types and count once each (no level)
  * @param {Array} upgrades - Guild's purchased upgrades
+ * @param {Array} achievements - Guild's unlocked achievements (optional)
+ * @param {Array} equipment - Guild's equipped items (optional)
  * @returns {Object} Bonus multipliers and flat bonuses
  */
-export function calculateUpgradeBonuses(upgrades) {
+export function calculateUpgradeBonuses(upgrades, achievements = [], equipment = []) {
   const bonuses = {
     goldMultiplier: 1.0,
     xpMultiplier: 1.0,
@@ -17,7 +24,7 @@ export function calculateUpgradeBonuses(upgrades) {
     baseXpPerHour: 0,
   };
 
-  for (const upgrade of upgrades) {
+  for (const upgrade of [...upgrades, ...achievements, ...equipment]) {
     const level = upgrade.level || 1;
     const value = parseFloat(upgrade.effect_value) * level;
 
@@ -125,19 +132,76 @@ export function calculatePrestigeBonuses(guild, prestigeUpgrades = []) {
   return bonuses;
 }
 
+/**
+ * Get how many adventurers are away from the guild hall
+ * Adventurers on a quest, listed on the market, standing guard or still recovering from injuries don't produce idle income
+ * @param {Object} guild - Guild data (adventurers_on_quest, adventurers_listed, adventurers_guarding, injured_adventurers, injured_until)
+ * @param {Date} now - Current time
+ * @returns {{ onQuest: number, listed: number, guarding: number, injured: number }}
+ */
+export function getAwayAdventurers(guild, now = new Date()) {
+  const onQuest = guild.adventurers_on_quest || 0;
+  const listed = guild.adventurers_listed || 0;
+  const guarding = guild.adventurers_guarding || 0;
+  const stillRecovering = guild.injured_until && new Date(guild.injured_until) > now;
+  const injured = stillRecovering ? (guild.injured_adventurers || 0) : 0;
+  return { onQuest, listed, guarding, injured };
+}
+
+/**
+ * Get how many adventurers are working (producing idle income)
+ * @param {Object} guild - Guild data
+ * @param {Date} now - Current time
+ * @returns {number} Working adventurers
+ */
+export function getWorkingAdventurers(guild, now = new Date()) {
+  const { onQuest, listed, guarding, injured } = getAwayAdventurers(guild, now);
+  return Math.max(0, guild.adventurer_count - onQuest - listed - guarding - injured);
+}
+
+/**
+ * Get the potion boosts a guild has running
+ * With `since`, each boost is scaled by the share of the period it covered - a boost that ran out
+ * halfway through an idle stretch only counts for half of it
+ * @param {Object} guild - Guild data (gold_boost, gold_boost_until, xp_boost, xp_boost_until)
+ * @param {Date} now - Current time
+ * @param {Date|null} since - Start of the period being paid out (optional)
+ * @returns {{ gold: number, xp: number }} Extra gold and XP multipliers (0.25 = +25%)
+ */
+export function getActiveBoosts(guild, now = new Date(), since = null) {
+  const boostFor = (value, until) => {
+    if (!until || !(Number(value) > 0)) return 0;
+    const end = Math.min(new Date(until).getTime(), now.getTime());
+    if (!since) return end < now.getTime() ? 0 : Number(value);
+
+    const period = now.getTime() - since.getTime();
+    if (period <= 0) return end < now.getTime() ? 0 : Number(value);
+    const covered = Math.min(Math.max(end - since.getTime(), 0), period);
+    return Number(value) * (covered / period);
+  };
+
+  return {
+    gold: boostFor(guild.gold_boost, guild.gold_boost_until),
+    xp: boostFor(guild.xp_boost, guild.xp_boost_until),
+  };
+}
+
 /**
  * Calculate gold and XP generation rates for a guild
  * @param {Object} guild - Guild data
  * @param {Object} bonuses - Calculated upgrade bonuses
  * @param {Object} prestigeBonuses - Calculated prestige bonuses (optional)
+ * @param {Object} allianceBonuses - Alliance treasury buff multipliers (optional)
+ * @param {Object} boosts - Potion boosts (defaults to the ones running now)
  * @returns {Object} Gold and XP per hour
  */
-export function calculateRates(guild, bonuses, prestigeBonuses = null) {
+export function calculateRates(guild, bonuses, prestigeBonuses = null, allianceBonuses = null, boosts = getActiveBoosts(guild)) {
   const rank = getRankForLevel(guild.level);
+  const workingAdventurers = getWorkingAdventurers(guild);
 
-  // Base gold = (adventurers * base rate * rank multiplier) + flat bonuses
+  // Base gold = (working adventurers * base rate * rank multiplier) + flat bonuses
   const baseGoldPerHour =
-    guild.adventurer_count * GAME.BASE_GOLD_PER_HOUR * rank.multiplier +
+    workingAdventurers * GAME.BASE_GOLD_PER_HOUR * rank.multiplier +
     bonuses.baseGoldPerHour;
 
   // Apply gold multiplier from upgrades
@@ -148,9 +212,20 @@ export function calculateRates(guild, bonuses, prestigeBonuses = null) {
     goldPerHour *= prestigeBonuses.goldMultiplier;
   }
 
-  // Base XP = (adventurers * base rate) + flat bonuses
+  // Apply alliance gold multiplier
+  if (allianceBonuses) {
+    goldPerHour *= allianceBonuses.goldMultiplier;
+  }
+
+  // Apply roster composition gold bonus (cached on the guild whenever the roster changes)
+  goldPerHour *= 1 + Number(guild.roster_gold_bonus || 0);
+
+  // Apply potion gold boost
+  goldPerHour *= 1 + boosts.gold;
+
+  // Base XP = (working adventurers * base rate) + flat bonuses
   const baseXpPerHour =
-    guild.adventurer_count * GAME.BASE_XP_PER_HOUR + bonuses.baseXpPerHour;
+    workingAdventurers * GAME.BASE_XP_PER_HOUR + bonuses.baseXpPerHour;
 
   // Apply XP multiplier from upgrades
   let xpPerHour = baseXpPerHour * bonuses.xpMultiplier;
@@ -160,12 +235,41 @@ export function calculateRates(guild, bonuses, prestigeBonuses = null) {
     xpPerHour *= prestigeBonuses.xpMultiplier;
   }
 
+  // Apply alliance XP multiplier
+  if (allianceBonuses) {
+    xpPerHour *= allianceBonuses.xpMultiplier;
+  }
+
+  // Apply potion XP boost
+  xpPerHour *= 1 + boosts.xp;
+
   return {
     goldPerHour: Math.floor(goldPerHour),
     xpPerHour: Math.floor(xpPerHour),
   };
 }
 
+/**
+ * Calculate gold and XP earned per /grind click
+ * Gold per click = 40 seconds of base idle income (no flat or prestige bonuses)
+ * @param {Object} guild - Guild data
+ * @param {Object} bonuses - Calculated upgrade bonuses
+ * @returns {{ goldPerClick: number, xpPerClick: number }}
+ */
+export function calculateClickRewards(guild, bonuses) {
+  const rank = getRankForLevel(guild.level);
+
+  const goldPerClick = Math.max(1, Math.floor(
+    (GAME.BASE_GOLD_PER_HOUR / 90) * guild.adventurer_count * rank.multiplier * bonuses.goldMultiplier
+  ));
+
+  const xpPerClick = Math.max(1, Math.floor(
+    (GAME.BASE_XP_PER_HOUR / 90) * guild.adventurer_count * bonuses.xpMultiplier
+  ));
+
+  return { goldPerClick, xpPerClick };
+}
+
 /**
  * Calculate idle earnings since last collection
  * @param {Object} guild - Guild data from database
@@ -173,10 +277,13 @@ export function calculateRates(guild, bonuses, prestigeBonuses = null) {
  */
 export async function calculateIdleEarnings(guild) {
   // Get guild's upgrades
-  const upgrades = await getGuildUpgrades(guild.id);
-  const prestigeUpgrades = await getOwnedPrestigeUpgrades(guild.id);
+  const upgrades = await repos.upgrades.getGuildUpgrades(guild.id);
+  const prestigeUpgrades = await repos.prestige.getOwnedPrestigeUpgrades(guild.id);
+  const achievements = await repos.achievements.getGuildAchievements(guild.id);
+  const allianceBuffs = guild.alliance_id ? await repos.alliances.getAllianceBuffs(guild.alliance_id) : [];
+  const equipment = (await repos.items.getInventory(guild.id)).filter(item => item.equipped);
 
-  return calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades);
+  return calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment);
 }
 
 /**
@@ -184,32 +291,41 @@ export async function calculateIdleEarnings(guild) {
  * @param {Object} guild - Guild data from database
  * @param {Array} upgrades - Pre-loaded guild upgrades
  * @param {Array} prestigeUpgrades - Pre-loaded prestige upgrades
+ * @param {Array} achievements - Pre-loaded unlocked achievements
+ * @param {Array} allianceBuffs - Pre-loaded treasury buffs of the guild's alliance
+ * @param {Array} equipment - Pre-loaded equipped items
  * @returns {Object} Earnings and time elapsed
  */
-export function calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades) {
-  const bonuses = calculateUpgradeBonuses(upgrades);
+export function calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades, achievements = [], allianceBuffs = [], equipment = []) {
+  const bonuses = calculateUpgradeBonuses(upgrades, achievements, equipment);
   const prestigeBonuses = calculatePrestigeBonuses(guild, prestigeUpgrades);
-
-  const rates = calculateRates(guild, bonuses, prestigeBonuses);
+  const allianceBonuses = calculateAllianceBonuses(allianceBuffs);
 
   // Calculate time since last collection
   const lastCollected = new Date(guild.last_collected_at);
   const now = new Date();
   const hoursElapsed = (now - lastCollected) / (1000 * 60 * 60);
 
+  // Potion boosts only count for the part of the idle stretch they were running
+  const rates = calculateRates(guild, bonuses, prestigeBonuses, allianceBonuses, getActiveBoosts(guild, now, lastCollected));
+
   // Calculate max idle hours (base + prestige bonus)
   const maxIdleHours = GAME.MAX_IDLE_HOURS + prestigeBonuses.maxIdleHoursBonus;
 
   // Cap at maximum idle hours
   const cappedHours = Math.min(hoursElapsed, maxIdleHours);
 
+  // Tired adventurers produce less - averaged over the whole stretch
+  const moraleMultiplier = getAverageMoraleMultiplier(guild, lastCollected, now);
+  const morale = getMoraleAt(guild, now);
+
   // Calculate earnings
-  let goldEarned = Math.floor(rates.goldPerHour * cappedHours);
-  const xpEarned = Math.floor(rates.xpPerHour * cappedHours);
+  let goldEarned = Math.floor(rates.goldPerHour * cappedHours * moraleMultiplier);
+  const xpEarned = Math.floor(rates.xpPerHour * cappedHours * moraleMultiplier);
 
   // Check for double gold (Lucky Coin)
   let doubledGold = false;
-  if (prestigeBonuses.doubleGoldChance > 0 && Math.random() < prestigeBonuses.doubleGoldChance) {
+  if (prestigeBonuses.doubleGoldChance > 0 && random() < prestigeBonuses.doubleGoldChance) {
     goldEarned *= 2;
     doubledGold = true;
   }
@@ -228,12 +344,71 @@ export function calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades)
     rates,
     bonuses,
     prestigeBonuses,
+    allianceBonuses,
     wasCapped: hoursElapsed > maxIdleHours,
     maxIdleHours,
     doubledGold,
+    morale,
+    moraleMultiplier,
   };
 }
 
+/**
+ * Apply calculated idle earnings to a guild (gold, XP and capped adventurer recruitment)
+ * The named roster trains for the time that passed, then names any new recruits
+ * @param {Object} guild - Guild data
+ * @param {Object} earnings - Result of calculateIdleEarningsWithData()
+ * @returns {Promise<{guild: Object, adventurersRecruited: number}>} Updated guild and recruits
+ */
+export async function applyIdleEarnings(guild, earnings) {
+  let adventurersRecruited = 0;
+  let newAdventurerCount = guild.adventurer_count;
+
+  if (earnings.adventurersGained > 0) {
+    const effectiveCapacity = getEffectiveCapacity(guild, earnings.bonuses);
+
+    newAdventurerCount = Math.min(
+      guild.adventurer_count + earnings.adventurersGained,
+      effectiveCapacity
+    );
+
+    if (newAdventurerCount > guild.adventurer_count) {
+      adventurersRecruited = newAdventurerCount - guild.adventurer_count;
+    }
+  }
+
+  const updatedGuild = await repos.guilds.collectResourcesFull(
+    guild.id,
+    earnings.goldEarned,
+    earnings.xpEarned,
+    newAdventurerCount,
+    adventurersRecruited
+  );
+
+  await trainRoster(guild.id, earnings.hoursElapsed);
+  await syncRoster(guild.id);
+
+  return { guild: updatedGuild, adventurersRecruited };
+}
+
+/**
+ * Collect a guild's pending idle earnings without a /collect
+ * Used before the number of working adventurers changes (e.g. a quest leaving or returning)
+ * so time already passed is paid at the rate that applied during it
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Object|null>} { goldEarned, xpEarned, levelResult } or null if the guild doesn't exist
+ */
+export async function settleIdleEarnings(guildId) {
+  const { guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment } = await repos.guilds.getGuildWithDataById(guildId);
+  if (!guild) return null;
+
+  const earnings = calculateIdleEarningsWithData(guild, upgrades, prestigeUpgrades, achievements, allianceBuffs, equipment);
+  const { guild: updatedGuild } = await applyIdleEarnings(guild, earnings);
+  const levelResult = await checkAndApplyLevelUp(updatedGuild);
+
+  return { goldEarned: earnings.goldEarned, xpEarned: earnings.xpEarned, levelResult };
+}
+
 /**
  * Get the effective adventurer capacity for a guild
  * @param {Object} guild - Guild data
@@ -0,0 +1,113 @@
+import { ITEMS } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { random } from './random.js';
+
+/**
+ * Get the gold paid for scrapping an item
+ * @param {Object} item - Item definition or inventory entry (needs rarity)
+ * @returns {number} Salvage value
+ */
+export function getItemSalvageValue(item) {
+  return ITEMS.RARITIES[item.rarity]?.salvageGold || 0;
+}
+
+/**
+ * Get the flat battle power from equipped items
+ * @param {Array} equipment - Equipped items
+ * @returns {number} Total item power
+ */
+export function calculateEquipmentPower(equipment = []) {
+  return equipment.reduce((total, item) => total + (Number(item.power) || 0), 0);
+}
+
+/**
+ * Pick the item for a drop - roll a rarity by weight, then any item of that rarity
+ * @param {Array} catalogue - All item definitions
+ * @returns {Object|null} Item definition, or null if the catalogue is empty
+ */
+export function pickDropItem(catalogue) {
+  const rarities = Object.entries(ITEMS.RARITIES)
+    .filter(([rarity]) => catalogue.some(item => item.rarity === rarity));
+  if (rarities.length === 0) return null;
+
+  const totalWeight = rarities.reduce((total, [, { weight }]) => total + weight, 0);
+  let roll = random() * totalWeight;
+  let rarity = rarities[rarities.length - 1][0];
+  for (const [key, { weight }] of rarities) {
+    if (roll < weight) {
+      rarity = key;
+      break;
+    }
+    roll -= weight;
+  }
+
+  const pool = catalogue.filter(item => item.rarity === rarity);
+  return pool[Math.floor(random() * pool.length)];
+}
+
+/**
+ * Roll for item drops and add them to a guild's inventory
+ * Drops that don't fit in a full inventory are salvaged for gold straight away
+ * @param {number} guildId - Guild ID
+ * @param {string} source - 'collect', 'grind', 'battle' or 'raid'
+ * @param {number} rolls - Number of rolls (each has the source's drop chance)
+ * @returns {Promise<Array>} Drops as { item, salvaged }
+ */
+export async function rollItemDrops(guildId, source, rolls = 1) {
+  const chance = ITEMS.DROP_CHANCES[source] || 0;
+  let hits = 0;
+  for (let i = 0; i < rolls; i++) {
+    if (random() < chance) hits++;
+  }
+  if (hits === 0) return [];
+
+  const catalogue = await repos.items.getAllItems();
+  const drops = [];
+  for (let i = 0; i < hits; i++) {
+    const item = pickDropItem(catalogue);
+    if (!item) break;
+
+    const { salvaged } = await repos.items.addItem(
+      guildId, item.id, source, ITEMS.INVENTORY_LIMIT, getItemSalvageValue(item)
+    );
+    drops.push({ item, salvaged });
+  }
+
+  return drops;
+}
+
+/**
+ * Format an item as "⚔️ 🔵 **Runed Warblade**"
+ * @param {Object} item - Item definition or inventory entry
+ * @returns {string}
+ */
+export function formatItemName(item) {
+  const slot = ITEMS.SLOTS[item.slot];
+  const rarity = ITEMS.RARITIES[item.rarity];
+  return `${slot?.emoji || ''} ${rarity?.emoji || ''} **${item.name}**`.trim();
+}
+
+/**
+ * Scrap inventory entries for gold - equipped items are skipped so a stray pick can't strip a slot
+ * @param {number} guildId - Guild ID
+ * @param {Array<number>} guildItemIds - Inventory entry IDs
+ * @returns {Promise<{salvaged: Array, gold: number}>} Items scrapped and the gold paid for them
+ */
+export async function salvageItems(guildId, guildItemIds) {
+  const inventory = await repos.items.getInventory(guildId);
+  const salvaged = [];
+  let gold = 0;
+
+  for (const guildItemId of guildItemIds) {
+    const item = inventory.find(gi => gi.id === guildItemId);
+    if (!item || item.equipped) continue;
+
+    const value = getItemSalvageValue(item);
+    if (await repos.items.salvageItem(guildId, item.id, value)) {
+      salvaged.push(item);
+      gold += value;
+    }
+  }
+
+  return { salvaged, gold };
+}
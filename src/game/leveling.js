@@ -1,5 +1,5 @@
 import { getTotalXpForLevel, getRankForLevel } from '../config.js';
-import { updateLevel } from '../database/guilds.js';
+import { repos } from '../database/repositories/index.js';
 
 /**
  * Check if a guild should level up and apply levels
@@ -19,7 +19,7 @@ export async function checkAndApplyLevelUp(guild) {
   
   // If levels were gained, update the database
   if (levelsGained > 0) {
-    const updatedGuild = await updateLevel(guild.id, currentLevel);
+    const updatedGuild = await repos.guilds.updateLevel(guild.id, currentLevel);
     const newRank = getRankForLevel(currentLevel);
     
     return {
@@ -0,0 +1,84 @@
+import { MARKET } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { calculateUpgradeBonuses, getEffectiveCapacity, settleIdleEarnings } from './idle.js';
+import { syncRoster } from './roster.js';
+
+/**
+ * Get the up-front fee for listing adventurers (not refunded)
+ * @param {number} price - Total asking price
+ * @returns {number} Listing fee
+ */
+export function calculateListingFee(price) {
+  return Math.max(MARKET.MIN_LISTING_FEE, Math.floor(price * MARKET.LISTING_FEE_RATE));
+}
+
+/**
+ * Get the tax taken from the seller's proceeds when a listing sells
+ * @param {number} price - Sale price
+ * @returns {number} Sale tax
+ */
+export function calculateSaleTax(price) {
+  return Math.floor(price * MARKET.SALE_TAX_RATE);
+}
+
+/**
+ * Get the allowed total price for a batch of adventurers
+ * @param {number} quantity - Adventurers in the listing
+ * @returns {{ min: number, max: number }}
+ */
+export function getPriceRange(quantity) {
+  return {
+    min: quantity * MARKET.MIN_PRICE_PER_ADVENTURER,
+    max: quantity * MARKET.MAX_PRICE_PER_ADVENTURER,
+  };
+}
+
+/**
+ * List adventurers for sale
+ * Pending idle earnings are paid out first - the listed adventurers stop working once they leave
+ * @param {number} guildId - Seller's guild ID
+ * @param {number} quantity - Adventurers to sell
+ * @param {number} price - Total asking price
+ * @returns {Promise<Object>} { success, listing } or { success: false, error }
+ */
+export async function listAdventurers(guildId, quantity, price) {
+  await settleIdleEarnings(guildId);
+  return repos.market.createListing(guildId, quantity, price, calculateListingFee(price), MARKET.LISTING_HOURS);
+}
+
+/**
+ * Buy a listing
+ * Pending idle earnings are paid out first so the new adventurers only earn from now on
+ * Both rosters are resized afterwards since the adventurer counts changed
+ * @param {number} listingId - Listing ID
+ * @param {number} buyerId - Buyer's guild ID
+ * @returns {Promise<Object>} { success, listing } or { success: false, error }
+ */
+export async function buyListing(listingId, buyerId) {
+  await settleIdleEarnings(buyerId);
+
+  const { guild, upgrades, achievements, equipment } = await repos.guilds.getGuildWithDataById(buyerId);
+  if (!guild) {
+    return { success: false, error: 'Guild not found' };
+  }
+
+  const capacity = getEffectiveCapacity(guild, calculateUpgradeBonuses(upgrades, achievements, equipment));
+  const result = await repos.market.purchaseListing(listingId, buyerId, capacity);
+
+  if (result.success) {
+    await syncRoster(buyerId);
+    await syncRoster(result.listing.seller_id);
+  }
+  return result;
+}
+
+/**
+ * Take a listing off the market and put the adventurers back to work
+ * @param {Object} listing - Active listing
+ * @param {string} status - 'cancelled' or 'expired'
+ * @returns {Promise<Object|null>} The closed listing, or null if it was already settled
+ */
+export async function closeListing(listing, status) {
+  await settleIdleEarnings(listing.seller_id);
+  return repos.market.closeListing(listing.id, status);
+}
@@ -0,0 +1,120 @@
+import { MORALE } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get a guild's morale at a point in time
+ * Morale holds for GRACE_HOURS after it was last set, then slips by DECAY_PER_HOUR down to MIN
+ * @param {Object} guild - Guild data (morale, morale_updated_at)
+ * @param {Date} time - When to read it (defaults to now)
+ * @returns {number} Morale between 0 and MORALE.MAX
+ */
+export function getMoraleAt(guild, time = new Date()) {
+  const morale = guild.morale == null ? MORALE.MAX : Number(guild.morale);
+  if (!guild.morale_updated_at) return morale;
+
+  const decayHours = (time - new Date(guild.morale_updated_at)) / HOUR_MS - MORALE.GRACE_HOURS;
+  if (decayHours <= 0) return morale;
+
+  return Math.max(Math.min(morale, MORALE.MIN), morale - decayHours * MORALE.DECAY_PER_HOUR);
+}
+
+/**
+ * Get the gold/XP multiplier for a morale level
+ * @param {number} morale - Morale between 0 and MORALE.MAX
+ * @returns {number} Multiplier between MIN_EFFICIENCY and 1
+ */
+export function getMoraleMultiplier(morale) {
+  return MORALE.MIN_EFFICIENCY + (1 - MORALE.MIN_EFFICIENCY) * (morale / MORALE.MAX);
+}
+
+/**
+ * Hours of production lost to low morale between two times
+ * Morale is piecewise linear (flat, slipping, flat at the floor), so the trapezoid rule over its bends is exact
+ * @param {Object} guild - Guild data
+ * @param {Date} from - Start of the stretch
+ * @param {Date} to - End of the stretch
+ * @returns {number} Lost hours
+ */
+export function getMoralePenaltyHours(guild, from, to) {
+  if (to <= from) return 0;
+
+  const points = [from.getTime(), to.getTime()];
+  if (guild.morale_updated_at) {
+    const morale = guild.morale == null ? MORALE.MAX : Number(guild.morale);
+    const decayStart = new Date(guild.morale_updated_at).getTime() + MORALE.GRACE_HOURS * HOUR_MS;
+    const floorAt = decayStart + Math.max(0, morale - MORALE.MIN) / MORALE.DECAY_PER_HOUR * HOUR_MS;
+    for (const bend of [decayStart, floorAt]) {
+      if (bend > points[0] && bend < points[points.length - 1]) points.splice(points.length - 1, 0, bend);
+    }
+  }
+
+  const lostAt = (time) => 1 - getMoraleMultiplier(getMoraleAt(guild, new Date(time)));
+  let lost = 0;
+  for (let i = 1; i < points.length; i++) {
+    lost += (lostAt(points[i - 1]) + lostAt(points[i])) / 2 * (points[i] - points[i - 1]) / HOUR_MS;
+  }
+  return lost;
+}
+
+/**
+ * Get the average gold/XP multiplier over an idle stretch
+ * Includes any production already lost before morale was last lifted (morale_penalty_hours)
+ * @param {Object} guild - Guild data
+ * @param {Date} since - Start of the stretch (last collection)
+ * @param {Date} until - End of the stretch
+ * @returns {number} Average multiplier between MIN_EFFICIENCY and 1
+ */
+export function getAverageMoraleMultiplier(guild, since, until = new Date()) {
+  const hours = (until - since) / HOUR_MS;
+  if (hours <= 0) return getMoraleMultiplier(getMoraleAt(guild, until));
+
+  const updatedAt = guild.morale_updated_at ? new Date(guild.morale_updated_at) : since;
+  const start = updatedAt > since ? updatedAt : since;
+  const banked = updatedAt > since ? Number(guild.morale_penalty_hours || 0) : 0;
+
+  const lost = banked + getMoralePenaltyHours(guild, start, until);
+  return Math.max(MORALE.MIN_EFFICIENCY, 1 - lost / hours);
+}
+
+/**
+ * Describe a morale level as "😊 82%"
+ * @param {number} morale - Morale between 0 and MORALE.MAX
+ * @returns {string}
+ */
+export function formatMorale(morale) {
+  const percent = Math.round((morale / MORALE.MAX) * 100);
+  let emoji = '😄';
+  if (percent < 40) emoji = '😫';
+  else if (percent < 60) emoji = '😟';
+  else if (percent < 85) emoji = '🙂';
+  return `${emoji} ${percent}%`;
+}
+
+/**
+ * Lift a guild's morale
+ * Production already lost this idle stretch is banked first so the boost only counts from now on
+ * @param {number} guildId - Guild ID
+ * @param {number} amount - Morale to add
+ * @returns {Promise<Object|null>} Updated guild, or null if it doesn't exist
+ */
+export async function restoreMorale(guildId, amount) {
+  const guild = await repos.guilds.getGuildById(guildId);
+  if (!guild || amount <= 0) return guild;
+
+  const now = new Date();
+  const lastCollected = new Date(guild.last_collected_at);
+  const updatedAt = guild.morale_updated_at ? new Date(guild.morale_updated_at) : lastCollected;
+  const start = updatedAt > lastCollected ? updatedAt : lastCollected;
+  const banked = updatedAt > lastCollected ? Number(guild.morale_penalty_hours || 0) : 0;
+
+  const current = getMoraleAt(guild, now);
+  if (current >= MORALE.MAX) return guild;
+
+  return repos.guilds.setMorale(
+    guildId,
+    Math.min(MORALE.MAX, current + amount),
+    banked + getMoralePenaltyHours(guild, start, now)
+  );
+}
@@ -0,0 +1,86 @@
+import { GAME, QUEST, getRankForLevel } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { calculateUpgradeBonuses, calculatePrestigeBonuses, settleIdleEarnings } from './idle.js';
+import { checkAndApplyLevelUp } from './leveling.js';
+import { checkAchievements } from './achievements.js';
+import { random } from './random.js';
+
+/**
+ * Calculate the expected loot for a quest (before the variance roll)
+ * Based on what the party would have earned idling, times the risk tier's multiplier
+ * @param {Object} guild - Guild data (needs level)
+ * @param {Object} bonuses - Upgrade bonuses from calculateUpgradeBonuses()
+ * @param {Object} prestigeBonuses - Prestige bonuses from calculatePrestigeBonuses()
+ * @param {number} adventurers - Adventurers sent
+ * @param {number} hours - Quest length in hours
+ * @param {string} riskKey - Key of QUEST.RISKS
+ * @returns {{ gold: number, xp: number }}
+ */
+export function estimateQuestLoot(guild, bonuses, prestigeBonuses, adventurers, hours, riskKey) {
+  const rank = getRankForLevel(guild.level);
+  const risk = QUEST.RISKS[riskKey];
+
+  const goldPerAdventurerHour =
+    GAME.BASE_GOLD_PER_HOUR * rank.multiplier * bonuses.goldMultiplier * prestigeBonuses.goldMultiplier;
+  const xpPerAdventurerHour =
+    GAME.BASE_XP_PER_HOUR * bonuses.xpMultiplier * prestigeBonuses.xpMultiplier;
+
+  return {
+    gold: Math.floor(goldPerAdventurerHour * adventurers * hours * risk.rewardMultiplier),
+    xp: Math.floor(xpPerAdventurerHour * adventurers * hours * risk.rewardMultiplier),
+  };
+}
+
+/**
+ * Roll the outcome of a finished quest
+ * @param {Object} quest - Quest row (adventurers_sent, hours, risk_key)
+ * @param {Object} guild - Guild data
+ * @param {Object} bonuses - Upgrade bonuses
+ * @param {Object} prestigeBonuses - Prestige bonuses
+ * @returns {{ gold: number, xp: number, injured: number }}
+ */
+export function rollQuestOutcome(quest, guild, bonuses, prestigeBonuses) {
+  const risk = QUEST.RISKS[quest.risk_key];
+  const expected = estimateQuestLoot(guild, bonuses, prestigeBonuses, quest.adventurers_sent, quest.hours, quest.risk_key);
+
+  // Loot roll: 1 +/- REWARD_VARIANCE
+  const lootRoll = 1 - QUEST.REWARD_VARIANCE + random() * QUEST.REWARD_VARIANCE * 2;
+
+  // Injury roll: 50%-150% of the tier's injury rate
+  const injured = Math.min(
+    quest.adventurers_sent,
+    Math.round(quest.adventurers_sent * risk.injuryRate * (0.5 + random()))
+  );
+
+  return {
+    gold: Math.floor(expected.gold * lootRoll),
+    xp: Math.floor(expected.xp * lootRoll),
+    injured,
+  };
+}
+
+/**
+ * Resolve a finished quest - pays out loot, returns the party and applies injuries
+ * Pending idle earnings are settled first so the time the party was away is paid without them
+ * @param {Object} quest - Active quest row
+ * @returns {Promise<Object|null>} { quest, outcome, levelResult, unlocked } or null if it was already resolved
+ */
+export async function resolveQuest(quest) {
+  await settleIdleEarnings(quest.guild_id);
+
+  const { guild, upgrades, prestigeUpgrades, achievements, equipment } = await repos.guilds.getGuildWithDataById(quest.guild_id);
+  if (!guild) return null;
+
+  const bonuses = calculateUpgradeBonuses(upgrades, achievements, equipment);
+  const prestigeBonuses = calculatePrestigeBonuses(guild, prestigeUpgrades);
+  const outcome = rollQuestOutcome(quest, guild, bonuses, prestigeBonuses);
+  const recoveryHours = quest.hours * QUEST.INJURY_RECOVERY_PER_HOUR;
+
+  const result = await repos.quests.completeQuest(quest.id, outcome, recoveryHours);
+  if (!result) return null;
+
+  const levelResult = await checkAndApplyLevelUp(result.guild);
+  const unlocked = await checkAchievements(quest.guild_id);
+
+  return { quest: result.quest, outcome, levelResult, unlocked };
+}
@@ -0,0 +1,184 @@
+import { RAID } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { calculatePower } from '../database/battles.js';
+import { checkAndApplyLevelUp } from './leveling.js';
+import { rollItemDrops } from './items.js';
+import { random } from './random.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Get the config entry for a boss
+ * @param {Object} boss - World boss row
+ * @returns {{name: string, emoji: string, hpMultiplier: number, rewardMultiplier: number}}
+ */
+export function getBossDefinition(boss) {
+  return RAID.BOSSES[boss.boss_key];
+}
+
+/**
+ * Calculate a new boss's HP from how many guilds are around to fight it
+ * @param {string} bossKey - Key into RAID.BOSSES
+ * @param {number} activeGuilds - Guilds that collected in the last RAID.ACTIVE_GUILD_HOURS
+ * @returns {number} HP
+ */
+export function calculateBossHp(bossKey, activeGuilds) {
+  const base = Math.max(RAID.MIN_HP, activeGuilds * RAID.HP_PER_ACTIVE_GUILD);
+  return Math.round(base * RAID.BOSSES[bossKey].hpMultiplier);
+}
+
+/**
+ * Roll the damage of one attack
+ * @param {number} power - Attacker's battle power (from calculatePower)
+ * @returns {number} Damage, at least 1
+ */
+export function rollBossDamage(power) {
+  const variance = 1 + (random() * 2 - 1) * RAID.DAMAGE_VARIANCE;
+  return Math.max(1, Math.round(power * RAID.DAMAGE_PER_POWER * variance));
+}
+
+/**
+ * Get the reward tier a share of the damage earns
+ * @param {number} share - Fraction of the boss's total damage (0-1)
+ * @returns {Object} Entry from RAID.REWARD_TIERS
+ */
+export function getRewardTier(share) {
+  return RAID.REWARD_TIERS.find(tier => share >= tier.minShare);
+}
+
+/**
+ * Calculate every contributor's reward
+ * Shares are of the damage actually dealt, so an escaped boss still has a full set of tiers
+ * @param {Object} boss - World boss row
+ * @param {Array} contributions - Contributions with guild_id and damage
+ * @param {string} status - 'defeated' or 'escaped'
+ * @returns {Array} { guildId, tier, gold, xp } per contributor
+ */
+export function calculateBossRewards(boss, contributions, status) {
+  const totalDamage = contributions.reduce((sum, c) => sum + Number(c.damage), 0);
+  if (totalDamage <= 0) return [];
+
+  const multiplier = getBossDefinition(boss).rewardMultiplier *
+    (status === 'defeated' ? 1 : RAID.ESCAPED_REWARD_MULTIPLIER);
+
+  return contributions
+    .filter(c => Number(c.damage) > 0)
+    .map(c => {
+      const tier = getRewardTier(Number(c.damage) / totalDamage);
+      return {
+        guildId: c.guild_id,
+        tier: tier.key,
+        gold: Math.floor(tier.gold * multiplier),
+        xp: Math.floor(tier.xp * multiplier),
+      };
+    });
+}
+
+/**
+ * Get when the next boss appears
+ * @param {Object|null} lastBoss - Most recently resolved boss
+ * @returns {Date} Spawn time (now or earlier if one is due)
+ */
+export function getNextSpawnTime(lastBoss) {
+  if (!lastBoss) return new Date();
+  return new Date(new Date(lastBoss.resolved_at).getTime() + RAID.SPAWN_INTERVAL_HOURS * HOUR_MS);
+}
+
+/**
+ * Get how long a guild has to wait before attacking a boss again
+ * @param {Object|null} contribution - Guild's contribution to the boss
+ * @returns {number} Milliseconds left (0 if it can attack now)
+ */
+export function getAttackCooldownRemaining(contribution) {
+  if (!contribution?.last_attack_at) return 0;
+  const readyAt = new Date(contribution.last_attack_at).getTime() + RAID.ATTACK_COOLDOWN_MINUTES * MINUTE_MS;
+  return Math.max(0, readyAt - Date.now());
+}
+
+/**
+ * Spawn a random world boss sized to the active player base
+ * @returns {Promise<Object|null>} The new boss, or null if one is already out
+ */
+export async function spawnWorldBoss() {
+  const keys = Object.keys(RAID.BOSSES);
+  const bossKey = keys[Math.floor(random() * keys.length)];
+  const activeGuilds = await repos.raids.countActiveGuilds(RAID.ACTIVE_GUILD_HOURS);
+
+  return repos.raids.spawnBoss(bossKey, calculateBossHp(bossKey, activeGuilds), RAID.DURATION_HOURS);
+}
+
+/**
+ * Attack the current world boss
+ * Damage comes from the guild's battle power; landing the killing blow resolves the boss straight away
+ * @param {number} guildId - Attacking guild ID
+ * @returns {Promise<Object>} { success, boss, contribution, damage, power, resolution } or { success: false, error }
+ */
+export async function attackWorldBoss(guildId) {
+  const boss = await repos.raids.getActiveBoss();
+  if (!boss) {
+    return { success: false, error: 'There\'s no world boss to fight right now.' };
+  }
+  if (boss.hp <= 0 || new Date(boss.ends_at) <= new Date()) {
+    return { success: false, error: `${getBossDefinition(boss).name} is no longer taking hits.` };
+  }
+
+  const contribution = await repos.raids.getBossContribution(boss.id, guildId);
+  const cooldown = getAttackCooldownRemaining(contribution);
+  if (cooldown > 0) {
+    return {
+      success: false,
+      error: `Your adventurers are still catching their breath - attack again in ${Math.ceil(cooldown / MINUTE_MS)} min.`,
+    };
+  }
+
+  const { guild, upgrades, prestigeUpgrades, achievements, equipment } = await repos.guilds.getGuildWithDataById(guildId);
+  const power = await calculatePower(guild, upgrades, prestigeUpgrades, achievements, equipment);
+  const rolled = rollBossDamage(power);
+
+  const result = await repos.raids.recordBossAttack(boss.id, guildId, rolled, RAID.ATTACK_COOLDOWN_MINUTES);
+  if (!result.success) {
+    return result;
+  }
+
+  const resolution = result.boss.hp <= 0 ? await resolveWorldBoss(result.boss) : null;
+
+  return {
+    success: true,
+    boss: resolution?.boss || result.boss,
+    contribution: result.contribution,
+    damage: result.damage,
+    power,
+    resolution,
+  };
+}
+
+/**
+ * Resolve a boss that was killed or ran out of time - pays every contributor their tier's rewards
+ * The top damage dealer on a defeated boss also gets an item roll
+ * @param {Object} boss - Active boss row
+ * @returns {Promise<Object|null>} { boss, status, standings, drops } or null if it was already resolved
+ */
+export async function resolveWorldBoss(boss) {
+  const status = boss.hp <= 0 ? 'defeated' : 'escaped';
+  const contributions = await repos.raids.getBossContributions(boss.id);
+  const rewards = calculateBossRewards(boss, contributions, status);
+
+  const result = await repos.raids.completeBoss(boss.id, status, rewards);
+  if (!result) return null;
+
+  for (const guild of result.guilds) {
+    await checkAndApplyLevelUp(guild);
+  }
+
+  const standings = contributions.map(c => ({
+    ...c,
+    reward: rewards.find(r => r.guildId === c.guild_id) || null,
+  }));
+
+  const drops = status === 'defeated' && standings.length > 0
+    ? await rollItemDrops(standings[0].guild_id, 'raid')
+    : [];
+
+  return { boss: result.boss, status, standings, drops };
+}
@@ -0,0 +1,67 @@
+/**
+ * Injectable random source for all game rolls (battles, Lucky Coin, reward percentages)
+ * Defaults to Math.random - tests and simulations can swap in a deterministic source
+ */
+
+let randomSource = Math.random;
+
+/**
+ * Get a random number in [0, 1) from the current source
+ * @returns {number} Random value
+ */
+export function random() {
+  return randomSource();
+}
+
+/**
+ * Replace the random source
+ * @param {Function} source - Function returning a number in [0, 1)
+ */
+export function setRandomSource(source) {
+  if (typeof source !== 'function') {
+    throw new Error('Random source must be a function');
+  }
+  randomSource = source;
+}
+
+/**
+ * Restore the default Math.random source
+ */
+export function resetRandomSource() {
+  randomSource = Math.random;
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * The same seed always produces the same sequence
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning a number in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create a source that replays a fixed list of values (wraps around when exhausted)
+ * Useful for forcing specific outcomes, e.g. createSequenceRandom([0.1, 0.9])
+ * @param {number[]} values - Values in [0, 1)
+ * @returns {Function} Function returning the next value
+ */
+export function createSequenceRandom(values) {
+  if (!values.length) {
+    throw new Error('Sequence must contain at least one value');
+  }
+  let index = 0;
+  return () => {
+    const value = values[index % values.length];
+    index++;
+    return value;
+  };
+}
@@ -0,0 +1,100 @@
+import { RATING } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { calculatePower, calculatePowerRatio } from '../database/battles.js';
+
+/**
+ * Get a guild's battle rating
+ * @param {Object} guild - Guild data
+ * @returns {number}
+ */
+export function getRating(guild) {
+  return guild?.rating == null ? RATING.STARTING : Number(guild.rating);
+}
+
+/**
+ * Chance a guild beats an opponent, going by ratings alone
+ * @param {number} rating - Guild's rating
+ * @param {number} opponentRating - Opponent's rating
+ * @returns {number} Expected score between 0 and 1
+ */
+export function getExpectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Calculate how a battle moves both ratings
+ * Beating a higher-rated guild is worth more than beating a lower-rated one; the winner's gain is the loser's loss
+ * @param {number} winnerRating - Winner's rating before the battle
+ * @param {number} loserRating - Loser's rating before the battle
+ * @returns {{winnerChange: number, loserChange: number}}
+ */
+export function calculateRatingChanges(winnerRating, loserRating) {
+  const gain = Math.max(1, Math.round(RATING.K_FACTOR * (1 - getExpectedScore(winnerRating, loserRating))));
+  const loss = Math.min(gain, Math.max(0, loserRating - RATING.FLOOR));
+  return { winnerChange: gain, loserChange: 0 - loss };
+}
+
+/**
+ * Get the badge tier for a rating
+ * @param {number} rating - Battle rating
+ * @returns {{name: string, min: number, emoji: string}}
+ */
+export function getRatingTier(rating) {
+  return RATING.TIERS.find(tier => rating >= tier.min) || RATING.TIERS[RATING.TIERS.length - 1];
+}
+
+/**
+ * Describe a rating with its badge, e.g. "🎖️ Duelist (1142)"
+ * @param {number} rating - Battle rating
+ * @returns {string}
+ */
+export function formatRating(rating) {
+  const tier = getRatingTier(rating);
+  return `${tier.emoji} ${tier.name} (${rating})`;
+}
+
+/**
+ * Describe a rating change, e.g. "1000 → 1016 (+16)"
+ * @param {number} before - Rating before the battle
+ * @param {number} change - Rating change
+ * @returns {string}
+ */
+export function formatRatingChange(before, change) {
+  const sign = change >= 0 ? '+' : '-';
+  return `${before} → ${before + change} (${sign}${Math.abs(change)})`;
+}
+
+/**
+ * Find a ranked opponent - close in rating and within RANKED_MAX_POWER_RATIO in power
+ * Searches the tightest rating band first and widens it until someone fits
+ * @param {Object} attackerGuild - Attacker's guild
+ * @param {number} attackerPower - Attacker's power (from calculatePower)
+ * @param {string|null} serverId - Only match guilds seen in this Discord server (null for any guild)
+ * @returns {Promise<Object|null>} { guild, upgrades, prestigeUpgrades, achievements, equipment, power } or null if nobody fits
+ */
+export async function findRankedOpponent(attackerGuild, attackerPower, serverId = null) {
+  const rating = getRating(attackerGuild);
+  const checked = new Set();
+
+  for (const band of RATING.RANKED_BANDS) {
+    const candidates = await repos.battles.getRankedTargetsWithData(
+      attackerGuild.id,
+      rating - band,
+      rating + band,
+      RATING.RANKED_CANDIDATES,
+      serverId
+    );
+
+    for (const candidate of candidates) {
+      if (checked.has(candidate.guild.id)) continue;
+      checked.add(candidate.guild.id);
+
+      const power = await calculatePower(candidate.guild, candidate.upgrades, candidate.prestigeUpgrades, candidate.achievements, candidate.equipment);
+      if (calculatePowerRatio(attackerPower, power) <= RATING.RANKED_MAX_POWER_RATIO) {
+        return { ...candidate, power };
+      }
+    }
+  }
+
+  return null;
+}
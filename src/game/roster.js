@@ -0,0 +1,164 @@
+import { ROSTER } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { settleIdleEarnings } from './idle.js';
+import { random } from './random.js';
+
+/**
+ * Pick a random entry from a list
+ * @param {Array} list - Options
+ * @returns {*} One of the options
+ */
+function pick(list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Roll a new named adventurer
+ * @param {Set<string>} takenNames - Names already on the roster (rerolled a few times to avoid duplicates)
+ * @returns {{name: string, class: string, trait: string}}
+ */
+export function generateAdventurer(takenNames = new Set()) {
+  let name;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    name = `${pick(ROSTER.FIRST_NAMES)} ${pick(ROSTER.LAST_NAMES)}`;
+    if (!takenNames.has(name)) break;
+  }
+
+  return {
+    name,
+    class: pick(Object.keys(ROSTER.CLASSES)),
+    trait: pick(Object.keys(ROSTER.TRAITS)),
+  };
+}
+
+/**
+ * Calculate what a roster adds to the guild
+ * Each adventurer adds its class's per-level gold and power, scaled by its trait
+ * @param {Array} roster - Named adventurers (need class, trait and level)
+ * @returns {{goldBonus: number, power: number, classCounts: Object, balanced: boolean}}
+ */
+export function calculateRosterBonuses(roster = []) {
+  const classCounts = Object.fromEntries(Object.keys(ROSTER.CLASSES).map(key => [key, 0]));
+  let goldBonus = 0;
+  let power = 0;
+
+  for (const adventurer of roster) {
+    const adventurerClass = ROSTER.CLASSES[adventurer.class];
+    const trait = ROSTER.TRAITS[adventurer.trait];
+    if (!adventurerClass || !trait) continue;
+
+    classCounts[adventurer.class]++;
+    goldBonus += adventurerClass.goldPerLevel * adventurer.level * trait.gold;
+    power += adventurerClass.powerPerLevel * adventurer.level * trait.power;
+  }
+
+  const balanced = Object.values(classCounts).every(count => count > 0);
+  if (balanced) {
+    goldBonus += ROSTER.BALANCED_PARTY_GOLD_BONUS;
+  }
+
+  return {
+    goldBonus: Math.round(goldBonus * 10000) / 10000,
+    power: Math.round(power * 100) / 100,
+    classCounts,
+    balanced,
+  };
+}
+
+/**
+ * Get the XP and gold needed to promote an adventurer
+ * @param {number} level - Adventurer's current level
+ * @returns {{xp: number, gold: number}}
+ */
+export function getPromotionRequirements(level) {
+  return {
+    xp: ROSTER.PROMOTE_XP_PER_LEVEL * level,
+    gold: ROSTER.PROMOTE_GOLD_PER_LEVEL * level * level,
+  };
+}
+
+/**
+ * Check whether an adventurer has the XP for a promotion
+ * @param {Object} adventurer - Named adventurer
+ * @returns {boolean}
+ */
+export function isReadyForPromotion(adventurer) {
+  return adventurer.level < ROSTER.MAX_LEVEL && adventurer.xp >= getPromotionRequirements(adventurer.level).xp;
+}
+
+/**
+ * Format an adventurer as "⚔️ **Aldric Thorne** - Lv 3 Warrior, Brave"
+ * @param {Object} adventurer - Named adventurer
+ * @returns {string}
+ */
+export function formatAdventurer(adventurer) {
+  const adventurerClass = ROSTER.CLASSES[adventurer.class];
+  const trait = ROSTER.TRAITS[adventurer.trait];
+  return `${adventurerClass.emoji} **${adventurer.name}** - Lv ${adventurer.level} ${adventurerClass.label}, ${trait.label}`;
+}
+
+/**
+ * Bring the named roster in line with the guild's adventurer count
+ * New recruits get names until the roster is full, and the weakest names leave when the count drops below it
+ * @param {number} guildId - Guild ID
+ * @returns {Promise<Array>} The roster, strongest first
+ */
+export async function syncRoster(guildId) {
+  const guild = await repos.guilds.getGuildById(guildId);
+  if (!guild) return [];
+
+  const target = Math.min(guild.adventurer_count, ROSTER.MAX_NAMED);
+  const roster = await repos.roster.getRoster(guildId);
+  if (roster.length === target) return roster;
+
+  const takenNames = new Set(roster.map(adventurer => adventurer.name));
+  const recruits = [];
+  for (let i = roster.length; i < target; i++) {
+    const recruit = generateAdventurer(takenNames);
+    takenNames.add(recruit.name);
+    recruits.push(recruit);
+  }
+
+  return repos.roster.syncRoster(guildId, target, recruits);
+}
+
+/**
+ * Give the roster XP for time spent idling
+ * @param {number} guildId - Guild ID
+ * @param {number} hours - Hours of idle time
+ */
+export async function trainRoster(guildId, hours) {
+  const xp = Math.floor(hours * ROSTER.XP_PER_HOUR);
+  if (xp > 0) {
+    await repos.roster.trainAdventurers(guildId, xp);
+  }
+}
+
+/**
+ * Promote an adventurer
+ * Pending idle earnings are paid out first since the roster's gold bonus changes
+ * @param {number} guildId - Guild ID
+ * @param {number} adventurerId - Adventurer ID
+ * @returns {Promise<Object>} { success, adventurer, guild, cost } or { success: false, error }
+ */
+export async function promoteAdventurer(guildId, adventurerId) {
+  await settleIdleEarnings(guildId);
+  return repos.roster.promoteAdventurer(guildId, adventurerId);
+}
+
+/**
+ * Dismiss an adventurer from the guild for good
+ * One of the anonymous recruits takes their place on the roster if there are any
+ * @param {number} guildId - Guild ID
+ * @param {number} adventurerId - Adventurer ID
+ * @returns {Promise<Object>} { success, adventurer, guild } or { success: false, error }
+ */
+export async function dismissAdventurer(guildId, adventurerId) {
+  await settleIdleEarnings(guildId);
+
+  const result = await repos.roster.dismissAdventurer(guildId, adventurerId);
+  if (result.success) {
+    await syncRoster(guildId);
+  }
+  return result;
+}
@@ -0,0 +1,87 @@
+import { SEASON } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { checkAndApplyLevelUp } from './leveling.js';
+
+/**
+ * Get the reward tier a ladder rank earns
+ * @param {number|null} rank - Rank on one ladder (1 = first)
+ * @returns {Object|null} Entry from SEASON.REWARD_TIERS, or null if the rank is outside the rewards
+ */
+export function getSeasonRewardTier(rank) {
+  if (!rank) return null;
+  return SEASON.REWARD_TIERS.find(tier => rank <= tier.maxRank) || null;
+}
+
+/**
+ * Get the deepest rank that still earns a reward
+ * @returns {number}
+ */
+export function getRewardedRanks() {
+  return Math.max(...SEASON.REWARD_TIERS.map(tier => tier.maxRank));
+}
+
+/**
+ * Calculate every rewarded guild's payout
+ * A guild that places on several ladders gets each ladder's reward added together
+ * @param {Object} standings - Category key -> ranked standings (guild_id and rank)
+ * @returns {Array} { guildId, gold, xp, placements: [{ category, rank, tier }] } per rewarded guild
+ */
+export function calculateSeasonRewards(standings) {
+  const rewards = new Map();
+
+  for (const [category, entries] of Object.entries(standings)) {
+    for (const entry of entries) {
+      const tier = getSeasonRewardTier(entry.rank);
+      if (!tier) continue;
+
+      const reward = rewards.get(entry.guild_id) || { guildId: entry.guild_id, gold: 0, xp: 0, placements: [] };
+      reward.gold += tier.gold;
+      reward.xp += tier.xp;
+      reward.placements.push({ category, rank: entry.rank, tier: tier.key });
+      rewards.set(entry.guild_id, reward);
+    }
+  }
+
+  return [...rewards.values()];
+}
+
+/**
+ * Get how long a season has left
+ * @param {Object} season - Season row
+ * @returns {number} Milliseconds left (0 once it has ended)
+ */
+export function getSeasonTimeRemaining(season) {
+  return Math.max(0, new Date(season.ends_at).getTime() - Date.now());
+}
+
+/**
+ * Start the next season
+ * @returns {Promise<Object|null>} The new season, or null if one is already running
+ */
+export async function startNewSeason() {
+  return repos.seasons.startSeason(SEASON.LENGTH_DAYS);
+}
+
+/**
+ * Close a season whose time is up and pay out its ladders
+ * Counters stop moving when the season ends, so the standings read here are final
+ * @param {Object} season - Active season row
+ * @returns {Promise<Object|null>} { season, standings, rewards } or null if it was already closed
+ */
+export async function resolveSeason(season) {
+  const standings = {};
+  for (const category of Object.keys(SEASON.CATEGORIES)) {
+    standings[category] = await repos.seasons.getSeasonStandings(season.id, category, getRewardedRanks());
+  }
+
+  const rewards = calculateSeasonRewards(standings);
+
+  const result = await repos.seasons.completeSeason(season.id, rewards);
+  if (!result) return null;
+
+  for (const guild of result.guilds) {
+    await checkAndApplyLevelUp(guild);
+  }
+
+  return { season: result.season, standings, rewards };
+}
@@ -0,0 +1,353 @@
+import { GAME, getXpForLevel } from '../config.js';
+import { upgrades as seedUpgrades, prestigeUpgrades as seedPrestigeUpgrades } from '../database/seed.js';
+import { calculateUpgradeCost } from '../database/upgrades.js';
+import {
+  canPrestige,
+  calculatePrestigeRewards,
+  calculateStartingValues,
+  getPrestigeUpgradeEffect,
+} from '../database/prestige.js';
+import {
+  calculateUpgradeBonuses,
+  calculatePrestigeBonuses,
+  calculateRates,
+  calculateClickRewards,
+  getEffectiveCapacity,
+} from './idle.js';
+import { random } from './random.js';
+
+/**
+ * Balance simulator - plays a single guild from level 1 through one or more prestiges
+ * using the same formulas as the bot, so config/seed changes can be compared offline
+ *
+ * Time is measured in simulated hours since the first guild was founded
+ */
+
+export const DEFAULT_STRATEGY = {
+  collectIntervalHours: 4,     // How often the player runs /collect
+  grindMinutesPerDay: 0,       // Minutes spent in /grind each simulated day
+  grindClicksPerMinute: 60,    // Click rate while grinding
+  roiHorizonHours: 24,         // How far ahead recruitment upgrades are valued
+  xpWeight: 1,                 // Value of 1 XP relative to 1 gold when ranking upgrades
+  prestiges: 1,                // Stop after this many prestiges (0 = never prestige)
+  maxDays: 365,                // Hard stop
+  sampleEveryHours: 24,        // Gold curve resolution
+};
+
+// Safety valve for the buy loop within a single collection
+const MAX_PURCHASES_PER_STEP = 500;
+
+/**
+ * Build the owned-upgrade rows calculateUpgradeBonuses expects
+ * @param {Map<number, number>} owned - Upgrade ID -> level
+ * @param {Map<number, Object>} catalogueById - Upgrade ID -> definition
+ * @returns {Array} Owned upgrades with levels
+ */
+function ownedUpgradeRows(owned, catalogueById) {
+  const rows = [];
+  for (const [id, level] of owned) {
+    rows.push({ ...catalogueById.get(id), level });
+  }
+  return rows;
+}
+
+/**
+ * Value of a guild state per hour, used to rank upgrades
+ * Recruitment upgrades are credited with the adventurers they would add over the horizon
+ * @param {Object} guild - Simulated guild
+ * @param {Array} upgradeRows - Owned upgrades
+ * @param {Object} prestigeBonuses - Prestige bonuses
+ * @param {Object} strategy - Simulation strategy
+ * @returns {number} Weighted gold + XP per hour
+ */
+function scoreState(guild, upgradeRows, prestigeBonuses, strategy) {
+  const bonuses = calculateUpgradeBonuses(upgradeRows);
+  const capacity = getEffectiveCapacity(guild, bonuses);
+  const projectedAdventurers = Math.min(
+    capacity,
+    guild.adventurer_count + bonuses.adventurerPerHour * prestigeBonuses.recruitmentMultiplier * strategy.roiHorizonHours
+  );
+  const rates = calculateRates({ ...guild, adventurer_count: projectedAdventurers }, bonuses, prestigeBonuses);
+  return rates.goldPerHour + strategy.xpWeight * rates.xpPerHour;
+}
+
+/**
+ * Find the purchasable upgrade with the shortest payback time
+ * @param {Object} state - Simulation state
+ * @param {Object} strategy - Simulation strategy
+ * @returns {{ upgrade: Object, cost: number, paybackHours: number }|null} Best candidate or null
+ */
+function pickBestUpgrade(state, strategy) {
+  const { guild, owned, catalogue, catalogueById, prestigeBonuses } = state;
+  const currentRows = ownedUpgradeRows(owned, catalogueById);
+  const baseScore = scoreState(guild, currentRows, prestigeBonuses, strategy);
+
+  let best = null;
+  for (const upgrade of catalogue) {
+    const currentLevel = owned.get(upgrade.id) || 0;
+    if (upgrade.required_guild_level > guild.level) continue;
+    if (upgrade.required_adventurer_count > guild.adventurer_count) continue;
+    if (upgrade.max_level && currentLevel >= upgrade.max_level) continue;
+
+    const nextOwned = new Map(owned);
+    nextOwned.set(upgrade.id, currentLevel + 1);
+    const gain = scoreState(guild, ownedUpgradeRows(nextOwned, catalogueById), prestigeBonuses, strategy) - baseScore;
+    if (gain <= 0) continue;
+
+    const cost = calculateUpgradeCost(upgrade, currentLevel);
+    const paybackHours = cost / gain;
+    if (!best || paybackHours < best.paybackHours) {
+      best = { upgrade, cost, paybackHours };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Spend prestige points on the cheapest next level available, repeatedly
+ * @param {Object} state - Simulation state
+ * @returns {Array<string>} Names of purchased levels
+ */
+function buyPrestigeUpgrades(state) {
+  const purchased = [];
+
+  while (true) {
+    let cheapest = null;
+    for (const upgrade of state.prestigeCatalogue) {
+      const level = state.prestigeOwned.get(upgrade.id) || 0;
+      if (level >= upgrade.max_level) continue;
+      const cost = upgrade.point_costs[level];
+      if (cost > state.guild.prestige_points) continue;
+      if (!cheapest || cost < cheapest.cost) {
+        cheapest = { upgrade, cost, level };
+      }
+    }
+    if (!cheapest) break;
+
+    state.guild.prestige_points -= cheapest.cost;
+    state.prestigeOwned.set(cheapest.upgrade.id, cheapest.level + 1);
+    purchased.push(`${cheapest.upgrade.name} ${cheapest.level + 1}`);
+  }
+
+  return purchased;
+}
+
+/**
+ * Owned prestige upgrades in the shape getOwnedPrestigeUpgrades returns
+ * @param {Object} state - Simulation state
+ * @returns {Array} Prestige upgrades with levels
+ */
+function ownedPrestigeRows(state) {
+  return state.prestigeCatalogue
+    .filter(u => state.prestigeOwned.has(u.id))
+    .map(u => ({ ...u, level: state.prestigeOwned.get(u.id) }));
+}
+
+/**
+ * Apply XP-driven level-ups (same thresholds as checkAndApplyLevelUp)
+ * @param {Object} state - Simulation state
+ * @param {number} hours - Current simulated time
+ */
+function applyLevelUps(state, hours) {
+  const { guild } = state;
+  while (guild.xp >= state.nextLevelXp) {
+    guild.level++;
+    state.nextLevelXp += getXpForLevel(guild.level + 1);
+    state.currentRun.levelTimes[guild.level] = hours - state.currentRun.startHours;
+  }
+}
+
+/**
+ * Reset the guild for a prestige, mirroring executePrestige
+ * @param {Object} state - Simulation state
+ * @param {number} hours - Current simulated time
+ */
+function applyPrestige(state, hours) {
+  const { guild } = state;
+  const prestigeRows = ownedPrestigeRows(state);
+  const rewards = calculatePrestigeRewards(guild);
+  const startingValues = calculateStartingValues(prestigeRows);
+  const goldKept = Math.floor(guild.gold * getPrestigeUpgradeEffect(prestigeRows, 'gold_keep_percent'));
+
+  Object.assign(state.currentRun, {
+    endHours: hours,
+    durationHours: hours - state.currentRun.startHours,
+    finalLevel: guild.level,
+    pointsEarned: rewards.totalPoints,
+  });
+
+  Object.assign(guild, {
+    level: 1,
+    xp: 0,
+    gold: startingValues.gold + goldKept,
+    adventurer_count: startingValues.adventurers,
+    adventurer_capacity: startingValues.capacity,
+    prestige_level: guild.prestige_level + 1,
+    prestige_points: guild.prestige_points + rewards.totalPoints,
+  });
+  state.owned.clear();
+  state.nextLevelXp = getXpForLevel(2);
+  state.currentRun.prestigeUpgradesBought = buyPrestigeUpgrades(state);
+}
+
+/**
+ * Record a point on the gold curve
+ * @param {Object} state - Simulation state
+ * @param {number} hours - Current simulated time
+ */
+function takeSample(state, hours) {
+  const { guild } = state;
+  const bonuses = calculateUpgradeBonuses(ownedUpgradeRows(state.owned, state.catalogueById));
+  const rates = calculateRates(guild, bonuses, calculatePrestigeBonuses(guild, ownedPrestigeRows(state)));
+  state.samples.push({
+    hours,
+    day: Math.floor(hours / 24),
+    prestige: guild.prestige_level,
+    level: guild.level,
+    gold: guild.gold,
+    xp: guild.xp,
+    adventurers: guild.adventurer_count,
+    capacity: getEffectiveCapacity(guild, bonuses),
+    goldPerHour: rates.goldPerHour,
+    xpPerHour: rates.xpPerHour,
+    upgradeLevels: [...state.owned.values()].reduce((sum, level) => sum + level, 0),
+  });
+}
+
+/**
+ * Start a new run (one prestige cycle)
+ * @param {Object} state - Simulation state
+ * @param {number} hours - Current simulated time
+ */
+function startRun(state, hours) {
+  state.currentRun = {
+    prestige: state.guild.prestige_level,
+    startHours: hours,
+    endHours: null,
+    durationHours: null,
+    finalLevel: null,
+    pointsEarned: 0,
+    levelTimes: { 1: 0 },
+    prestigeUpgradesBought: [],
+  };
+  state.runs.push(state.currentRun);
+}
+
+/**
+ * Simulate a guild with the given strategy
+ * @param {Object} strategy - Overrides for DEFAULT_STRATEGY
+ * @param {Object} options - Catalogue overrides
+ * @param {Array} options.upgrades - Upgrade definitions (defaults to the seed data)
+ * @param {Array} options.prestigeUpgrades - Prestige upgrade definitions (defaults to the seed data)
+ * @returns {{ strategy: Object, runs: Array, samples: Array, totalHours: number }}
+ */
+export function simulate(strategy = {}, { upgrades = seedUpgrades, prestigeUpgrades = seedPrestigeUpgrades } = {}) {
+  strategy = { ...DEFAULT_STRATEGY, ...strategy };
+  if (!(strategy.collectIntervalHours > 0)) {
+    throw new Error('Collect interval must be greater than 0 hours');
+  }
+
+  const catalogue = upgrades.map((upgrade, index) => ({ ...upgrade, id: index + 1 }));
+  const state = {
+    guild: {
+      level: 1,
+      xp: GAME.STARTING_XP,
+      gold: GAME.STARTING_GOLD,
+      adventurer_count: GAME.STARTING_ADVENTURERS,
+      adventurer_capacity: GAME.STARTING_ADVENTURER_CAPACITY,
+      prestige_level: 0,
+      prestige_points: 0,
+    },
+    catalogue,
+    catalogueById: new Map(catalogue.map(u => [u.id, u])),
+    owned: new Map(),
+    prestigeCatalogue: prestigeUpgrades.map((upgrade, index) => ({ ...upgrade, id: index + 1 })),
+    prestigeOwned: new Map(),
+    prestigeBonuses: null,
+    nextLevelXp: getXpForLevel(2),
+    runs: [],
+    currentRun: null,
+    samples: [],
+  };
+
+  const maxHours = strategy.maxDays * 24;
+  const grindClicksPerDay = Math.floor(strategy.grindMinutesPerDay * strategy.grindClicksPerMinute);
+  let hours = 0;
+  let nextGrindHours = 0;
+  let nextSampleHours = 0;
+
+  startRun(state, 0);
+
+  while (hours < maxHours) {
+    const { guild } = state;
+    const prestigeRows = ownedPrestigeRows(state);
+    state.prestigeBonuses = calculatePrestigeBonuses(guild, prestigeRows);
+
+    if (hours >= nextSampleHours) {
+      takeSample(state, hours);
+      nextSampleHours += strategy.sampleEveryHours;
+    }
+
+    // Idle earnings accrue at the rates in effect when the interval started
+    const bonuses = calculateUpgradeBonuses(ownedUpgradeRows(state.owned, state.catalogueById));
+    const rates = calculateRates(guild, bonuses, state.prestigeBonuses);
+    const maxIdleHours = GAME.MAX_IDLE_HOURS + state.prestigeBonuses.maxIdleHoursBonus;
+    const cappedHours = Math.min(strategy.collectIntervalHours, maxIdleHours);
+
+    hours += strategy.collectIntervalHours;
+
+    let goldEarned = Math.floor(rates.goldPerHour * cappedHours);
+    if (state.prestigeBonuses.doubleGoldChance > 0 && random() < state.prestigeBonuses.doubleGoldChance) {
+      goldEarned *= 2;
+    }
+    guild.gold += goldEarned;
+    guild.xp += Math.floor(rates.xpPerHour * cappedHours);
+
+    const adventurersGained = Math.floor(
+      bonuses.adventurerPerHour * cappedHours * state.prestigeBonuses.recruitmentMultiplier
+    );
+    if (adventurersGained > 0) {
+      guild.adventurer_count = Math.min(
+        guild.adventurer_count + adventurersGained,
+        getEffectiveCapacity(guild, bonuses)
+      );
+    }
+
+    // One grind session per simulated day
+    if (grindClicksPerDay > 0 && hours >= nextGrindHours) {
+      const { goldPerClick, xpPerClick } = calculateClickRewards(guild, bonuses);
+      guild.gold += goldPerClick * grindClicksPerDay;
+      guild.xp += xpPerClick * grindClicksPerDay;
+      nextGrindHours += 24;
+    }
+
+    applyLevelUps(state, hours);
+
+    for (let i = 0; i < MAX_PURCHASES_PER_STEP; i++) {
+      const best = pickBestUpgrade(state, strategy);
+      if (!best || best.cost > guild.gold) break;
+      guild.gold -= best.cost;
+      state.owned.set(best.upgrade.id, (state.owned.get(best.upgrade.id) || 0) + 1);
+    }
+
+    if (guild.prestige_level < strategy.prestiges && canPrestige(guild).eligible) {
+      applyPrestige(state, hours);
+      if (guild.prestige_level >= strategy.prestiges) break;
+      startRun(state, hours);
+    }
+  }
+
+  // A run cut short by maxDays never prestiged - record where it got to
+  if (state.currentRun.endHours === null) {
+    state.currentRun.finalLevel = state.guild.level;
+  }
+  takeSample(state, hours);
+
+  return {
+    strategy,
+    runs: state.runs,
+    samples: state.samples,
+    totalHours: hours,
+  };
+}
@@ -0,0 +1,317 @@
+import { TOURNAMENT } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { calculatePower, calculateWinChance, rollBattle } from '../database/battles.js';
+
+/**
+ * Get the smallest power-of-two bracket that fits every entrant
+ * @param {number} entrantCount - Number of entrants
+ * @returns {number}
+ */
+export function getBracketSize(entrantCount) {
+  let size = 2;
+  while (size < entrantCount) size *= 2;
+  return size;
+}
+
+/**
+ * Get how many rounds a tournament plays
+ * Single elimination runs until one guild is left; Swiss plays enough rounds to separate a clear winner
+ * @param {string} format - Key into TOURNAMENT.FORMATS
+ * @param {number} entrantCount - Number of entrants
+ * @returns {number}
+ */
+export function getTotalRounds(format, entrantCount) {
+  if (format === 'single') {
+    return Math.log2(getBracketSize(entrantCount));
+  }
+  return Math.max(1, Math.ceil(Math.log2(entrantCount)));
+}
+
+/**
+ * Get the seeds of a single-elimination bracket in slot order
+ * Adjacent pairs are first-round matches (1 v 8, 4 v 5, 2 v 7, 3 v 6 ...), so the top seeds can only meet late
+ * @param {number} size - Bracket size (a power of two)
+ * @returns {number[]}
+ */
+export function getBracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap(seed => [seed, n + 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * Seed entrants by battle power - strongest first
+ * @param {Array} entrants - Entrants with guild_id, in join order
+ * @returns {Promise<Array>} { guildId, seed, power } per entrant
+ */
+export async function seedEntrants(entrants) {
+  const powered = [];
+  for (const entrant of entrants) {
+    const { guild, upgrades, prestigeUpgrades, achievements, equipment } = await repos.guilds.getGuildWithDataById(entrant.guild_id);
+    powered.push({
+      guildId: entrant.guild_id,
+      power: await calculatePower(guild, upgrades, prestigeUpgrades, achievements, equipment),
+    });
+  }
+
+  // Stable sort - equal power keeps join order
+  return powered
+    .sort((a, b) => b.power - a.power)
+    .map((entrant, index) => ({ ...entrant, seed: index + 1 }));
+}
+
+/**
+ * Pair the first round of a single-elimination bracket - seeds past the entrant count are byes
+ * @param {Array} entrants - Seeded entrants
+ * @returns {Array} { slot, guildAId, guildBId } per match (guildBId null for a bye)
+ */
+function pairFirstEliminationRound(entrants) {
+  const bySeed = new Map(entrants.map(e => [e.seed, e.guild_id]));
+  const order = getBracketOrder(getBracketSize(entrants.length));
+
+  const pairings = [];
+  for (let i = 0; i < order.length; i += 2) {
+    pairings.push({
+      slot: i / 2,
+      guildAId: bySeed.get(order[i]),
+      guildBId: bySeed.get(order[i + 1]) ?? null,
+    });
+  }
+  return pairings;
+}
+
+/**
+ * Pair a later single-elimination round - the winners of neighbouring slots meet
+ * @param {Array} previousMatches - Matches of the round before, in slot order
+ * @returns {Array} { slot, guildAId, guildBId } per match
+ */
+function pairNextEliminationRound(previousMatches) {
+  const pairings = [];
+  for (let i = 0; i < previousMatches.length; i += 2) {
+    pairings.push({
+      slot: i / 2,
+      guildAId: previousMatches[i].winner_id,
+      guildBId: previousMatches[i + 1].winner_id,
+    });
+  }
+  return pairings;
+}
+
+/**
+ * Pair a Swiss round - guilds on the same score meet, avoiding rematches where possible
+ * With an odd field the lowest-ranked guild that hasn't had a bye yet sits out for a free point
+ * @param {Array} entrants - Seeded entrants with points
+ * @param {Array} matches - Every match played so far
+ * @returns {Array} { slot, guildAId, guildBId } per match (guildBId null for a bye)
+ */
+function pairSwissRound(entrants, matches) {
+  const ranked = [...entrants].sort((a, b) => b.points - a.points || a.seed - b.seed);
+  const met = (a, b) => matches.some(m =>
+    (m.guild_a_id === a && m.guild_b_id === b) || (m.guild_a_id === b && m.guild_b_id === a)
+  );
+
+  let bye = null;
+  if (ranked.length % 2 === 1) {
+    const hadBye = new Set(matches.filter(m => m.guild_b_id === null).map(m => m.guild_a_id));
+    bye = [...ranked].reverse().find(e => !hadBye.has(e.guild_id)) || ranked[ranked.length - 1];
+  }
+
+  // Pair the top remaining guild with the closest-ranked guild it hasn't met, backing up when that strands someone
+  const pairWithoutRematches = (remaining) => {
+    if (remaining.length === 0) return [];
+    const [top, ...rest] = remaining;
+    for (let i = 0; i < rest.length; i++) {
+      if (met(top.guild_id, rest[i].guild_id)) continue;
+      const others = pairWithoutRematches(rest.filter((_, j) => j !== i));
+      if (others) return [[top, rest[i]], ...others];
+    }
+    return null;
+  };
+
+  // Fall back to straight rank order if every arrangement repeats a match
+  const unpaired = ranked.filter(e => e !== bye);
+  const pairs = pairWithoutRematches(unpaired) ||
+    unpaired.filter((_, i) => i % 2 === 0).map((e, i) => [e, unpaired[i * 2 + 1]]);
+
+  const pairings = pairs.map(([a, b], slot) => ({ slot, guildAId: a.guild_id, guildBId: b.guild_id }));
+
+  if (bye) {
+    pairings.push({ slot: pairings.length, guildAId: bye.guild_id, guildBId: null });
+  }
+  return pairings;
+}
+
+/**
+ * Pair the next round of a tournament
+ * @param {Object} tournament - Running tournament row
+ * @param {Array} entrants - Seeded entrants with points
+ * @param {Array} matches - Every match played so far, by round then slot
+ * @returns {Array} { slot, guildAId, guildBId } per match (guildBId null for a bye)
+ */
+export function pairNextRound(tournament, entrants, matches) {
+  if (tournament.format === 'swiss') {
+    return pairSwissRound(entrants, matches);
+  }
+  if (tournament.current_round === 0) {
+    return pairFirstEliminationRound(entrants);
+  }
+  return pairNextEliminationRound(matches.filter(m => m.round === tournament.current_round));
+}
+
+/**
+ * Play one match - the same odds as a /battle on neutral ground (no defenses), with nothing at stake but the bracket
+ * @param {Object} pairing - { slot, guildAId, guildBId }
+ * @returns {Promise<Object>} { slot, guildAId, guildBId, winnerId, guildAPower, guildBPower, winChance }
+ */
+export async function playMatch(pairing) {
+  if (pairing.guildBId === null) {
+    return { ...pairing, winnerId: pairing.guildAId, guildAPower: null, guildBPower: null, winChance: null };
+  }
+
+  const powers = [];
+  for (const guildId of [pairing.guildAId, pairing.guildBId]) {
+    const { guild, upgrades, prestigeUpgrades, achievements, equipment } = await repos.guilds.getGuildWithDataById(guildId);
+    powers.push(await calculatePower(guild, upgrades, prestigeUpgrades, achievements, equipment));
+  }
+
+  const [guildAPower, guildBPower] = powers;
+  const winChance = calculateWinChance(guildAPower, guildBPower);
+  const winnerId = rollBattle(winChance) ? pairing.guildAId : pairing.guildBId;
+
+  return { ...pairing, winnerId, guildAPower, guildBPower, winChance };
+}
+
+/**
+ * Rank a tournament's entrants
+ * Single elimination: the champion, then by the round each guild went out in (ties to the better seed)
+ * Swiss: by points, then by opponents' points (Buchholz), then seed
+ * @param {Object} tournament - Tournament row
+ * @param {Array} entrants - Seeded entrants with points and eliminated_round
+ * @param {Array} matches - Every match played
+ * @returns {Array} Entrants with placement, best first
+ */
+export function calculateStandings(tournament, entrants, matches) {
+  let ranked;
+
+  if (tournament.format === 'swiss') {
+    const pointsOf = new Map(entrants.map(e => [e.guild_id, e.points]));
+    const buchholz = (guildId) => matches.reduce((sum, m) => {
+      if (m.guild_b_id === null) return sum;
+      if (m.guild_a_id === guildId) return sum + (pointsOf.get(m.guild_b_id) || 0);
+      if (m.guild_b_id === guildId) return sum + (pointsOf.get(m.guild_a_id) || 0);
+      return sum;
+    }, 0);
+
+    ranked = entrants
+      .map(e => ({ ...e, buchholz: buchholz(e.guild_id) }))
+      .sort((a, b) => b.points - a.points || b.buchholz - a.buchholz || a.seed - b.seed);
+  } else {
+    // Still in = outlasted everyone who was knocked out
+    const outlasted = (e) => e.eliminated_round ?? Infinity;
+    ranked = [...entrants].sort((a, b) => outlasted(b) - outlasted(a) || a.seed - b.seed);
+  }
+
+  return ranked.map((e, index) => ({ ...e, placement: index + 1 }));
+}
+
+/**
+ * Split the prize pool over the top placings
+ * Shares are rounded down and whatever is left over goes to the winner, so the whole pool is paid out
+ * @param {number} prizePool - Gold in the pool
+ * @param {Array} standings - Entrants with placement, best first
+ * @returns {Array} { guildId, placement, prize } per entrant
+ */
+export function calculatePrizes(prizePool, standings) {
+  const placements = standings.map((e, index) => ({
+    guildId: e.guild_id,
+    placement: e.placement,
+    prize: Math.floor(prizePool * (TOURNAMENT.PRIZE_SPLIT[index] || 0)),
+  }));
+
+  if (placements.length > 0) {
+    placements[0].prize += prizePool - placements.reduce((sum, p) => sum + p.prize, 0);
+  }
+  return placements;
+}
+
+/**
+ * Seed an open tournament, set it running and play its first round
+ * @param {Object} tournament - Open tournament row
+ * @returns {Promise<Object>} { success, ...playNextRound() } or { success: false, error }
+ */
+export async function beginTournament(tournament) {
+  const entrants = await repos.tournaments.getTournamentEntrants(tournament.id);
+  if (entrants.length < TOURNAMENT.MIN_ENTRANTS) {
+    return { success: false, error: `A tournament needs at least **${TOURNAMENT.MIN_ENTRANTS}** entrants - it has ${entrants.length}.` };
+  }
+
+  const seeds = await seedEntrants(entrants);
+  const started = await repos.tournaments.startTournament(
+    tournament.id,
+    seeds,
+    getTotalRounds(tournament.format, entrants.length)
+  );
+  if (!started) {
+    return { success: false, error: 'This tournament has already started.' };
+  }
+
+  const progress = await playNextRound(started);
+  if (!progress) {
+    return { success: false, error: 'The first round is already being played.' };
+  }
+  return { success: true, ...progress };
+}
+
+/**
+ * Play a running tournament's next round, and close it out if that was the last one
+ * @param {Object} tournament - Running tournament row
+ * @returns {Promise<Object|null>} { tournament, round, matches, entrants, standings, placements } or null if the round was already played
+ *   (standings and placements are only set once the tournament is over)
+ */
+export async function playNextRound(tournament) {
+  const round = tournament.current_round + 1;
+  const entrants = await repos.tournaments.getTournamentEntrants(tournament.id);
+  const played = await repos.tournaments.getTournamentMatches(tournament.id);
+
+  const results = [];
+  for (const pairing of pairNextRound(tournament, entrants, played)) {
+    results.push(await playMatch(pairing));
+  }
+
+  const recorded = await repos.tournaments.recordTournamentRound(
+    tournament.id,
+    round,
+    results,
+    TOURNAMENT.ROUND_INTERVAL_MINUTES
+  );
+  if (!recorded) return null;
+
+  const [updatedEntrants, matches] = await Promise.all([
+    repos.tournaments.getTournamentEntrants(tournament.id),
+    repos.tournaments.getTournamentMatches(tournament.id),
+  ]);
+
+  if (round < recorded.total_rounds) {
+    return { tournament: recorded, round, matches, entrants: updatedEntrants, standings: null, placements: null };
+  }
+
+  const standings = calculateStandings(recorded, updatedEntrants, matches);
+  const placements = calculatePrizes(Number(recorded.prize_pool), standings);
+  const completed = await repos.tournaments.completeTournament(tournament.id, placements);
+  if (!completed) return null;
+
+  return { tournament: completed.tournament, round, matches, entrants: updatedEntrants, standings, placements };
+}
+
+/**
+ * Get when a tournament's next round is played
+ * @param {Object} tournament - Running tournament row
+ * @returns {number} Milliseconds left (0 if it's due)
+ */
+export function getNextRoundRemaining(tournament) {
+  if (!tournament.next_round_at) return 0;
+  return Math.max(0, new Date(tournament.next_round_at).getTime() - Date.now());
+}
@@ -0,0 +1,21 @@
+import { TRADE } from '../config.js';
+
+/**
+ * Get how much gold a guild can send (or receive) in any 24 hours
+ * Scales with level so fresh alt accounts can't funnel much gold around
+ * @param {number} level - Guild level
+ * @returns {number} Daily gold limit
+ */
+export function getDailyTradeLimit(level) {
+  return TRADE.DAILY_LIMIT_BASE + TRADE.DAILY_LIMIT_PER_LEVEL * level;
+}
+
+/**
+ * Get how much more gold a guild can move today
+ * @param {number} level - Guild level
+ * @param {number} movedToday - Gold already sent (or received) in the last 24 hours
+ * @returns {number} Remaining allowance (never negative)
+ */
+export function getRemainingTradeAllowance(level, movedToday) {
+  return Math.max(getDailyTradeLimit(level) - movedToday, 0);
+}
@@ -0,0 +1,158 @@
+import { WAR } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { calculatePower, calculateWinChance, rollBattle } from '../database/battles.js';
+import { calculateDefense } from './defense.js';
+import { random } from './random.js';
+
+/**
+ * Calculate the war score an attack earns
+ * Beating a stronger opponent earns an upset bonus; losing earns nothing
+ * @param {boolean} won - Whether the attacker won
+ * @param {number} attackerPower - Attacker's power
+ * @param {number} defenderPower - Defender's power
+ * @returns {number} Points
+ */
+export function calculateWarPoints(won, attackerPower, defenderPower) {
+  if (!won) return 0;
+  return WAR.WIN_POINTS + (defenderPower > attackerPower ? WAR.UPSET_BONUS_POINTS : 0);
+}
+
+/**
+ * Get a war's winner from its scores
+ * @param {Object} war - War row
+ * @returns {number|null} Winning alliance ID, or null for a draw
+ */
+export function getWarWinner(war) {
+  if (war.alliance_a_score > war.alliance_b_score) return war.alliance_a_id;
+  if (war.alliance_b_score > war.alliance_a_score) return war.alliance_b_id;
+  return null;
+}
+
+/**
+ * Calculate the spoils for winning a war - the most the winner can take from the loser's treasury
+ * @param {number} winnerScore - Winning alliance's war score
+ * @returns {number} Spoils before they're capped at the loser's treasury
+ */
+export function calculateWarPayout(winnerScore) {
+  return WAR.PAYOUT_BASE + winnerScore * WAR.PAYOUT_PER_POINT;
+}
+
+/**
+ * Get one alliance's view of a war - its own and the enemy's name and score
+ * @param {Object} war - War row with alliance names
+ * @param {number} allianceId - Alliance looking at the war
+ * @returns {{ ownName: string, ownScore: number, enemyId: number, enemyName: string, enemyScore: number }}
+ */
+export function getWarSides(war, allianceId) {
+  const isA = war.alliance_a_id === allianceId;
+  return {
+    ownName: isA ? war.alliance_a_name : war.alliance_b_name,
+    ownScore: isA ? war.alliance_a_score : war.alliance_b_score,
+    enemyId: isA ? war.alliance_b_id : war.alliance_a_id,
+    enemyName: isA ? war.alliance_b_name : war.alliance_a_name,
+    enemyScore: isA ? war.alliance_b_score : war.alliance_a_score,
+  };
+}
+
+/**
+ * Attack an enemy alliance member in the guild's active war
+ * Uses the same power and win chance as /battle, but no gold changes hands - the result only moves the war score
+ * @param {number} guildId - Attacking guild ID
+ * @param {number|null} targetGuildId - Enemy to attack (null picks a random enemy participant)
+ * @returns {Promise<Object>} { success, war, participant, defender, attackerPower, defenderPower, winChance, won, points } or { success: false, error }
+ */
+export async function performWarAttack(guildId, targetGuildId = null) {
+  const { guild, upgrades, prestigeUpgrades, achievements, equipment } = await repos.guilds.getGuildWithDataById(guildId);
+  if (!guild?.alliance_id) {
+    return { success: false, error: 'You\'re not in an alliance.' };
+  }
+
+  const war = await repos.wars.getOpenWar(guild.alliance_id);
+  if (!war) {
+    return { success: false, error: 'Your alliance isn\'t at war.' };
+  }
+  if (war.status !== 'active') {
+    return { success: false, error: 'The war hasn\'t started yet - attacks open when the preparation time is over.' };
+  }
+
+  const participant = await repos.wars.getWarParticipant(war.id, guildId);
+  if (!participant || participant.alliance_id !== guild.alliance_id) {
+    return { success: false, error: 'You weren\'t on your alliance\'s roster when this war started.' };
+  }
+  if (participant.attacks_used >= WAR.ATTACKS_PER_MEMBER) {
+    return { success: false, error: `You've used all ${WAR.ATTACKS_PER_MEMBER} of your attacks in this war.` };
+  }
+
+  const roster = await repos.wars.getWarParticipants(war.id);
+  const enemies = roster.filter(p => p.alliance_id !== participant.alliance_id);
+
+  let target;
+  if (targetGuildId) {
+    target = enemies.find(p => p.guild_id === targetGuildId);
+    if (!target) {
+      return { success: false, error: 'That player isn\'t on the enemy roster.' };
+    }
+  } else {
+    if (enemies.length === 0) {
+      return { success: false, error: 'The enemy alliance has nobody left to attack.' };
+    }
+    target = enemies[Math.floor(random() * enemies.length)];
+  }
+
+  const defenderData = await repos.guilds.getGuildWithDataById(target.guild_id);
+  if (!defenderData.guild) {
+    return { success: false, error: 'That player\'s guild no longer exists.' };
+  }
+
+  const [attackerPower, defenderPower] = await Promise.all([
+    calculatePower(guild, upgrades, prestigeUpgrades, achievements, equipment),
+    calculatePower(defenderData.guild, defenderData.upgrades, defenderData.prestigeUpgrades, defenderData.achievements, defenderData.equipment),
+  ]);
+  const winChance = calculateWinChance(attackerPower, defenderPower, calculateDefense(defenderData.guild));
+  const won = rollBattle(winChance);
+  const points = calculateWarPoints(won, attackerPower, defenderPower);
+
+  const result = await repos.wars.recordWarAttack(
+    war.id,
+    guildId,
+    target.guild_id,
+    { attackerPower, defenderPower, winChance, won, points },
+    WAR.ATTACKS_PER_MEMBER
+  );
+  if (!result.success) {
+    return result;
+  }
+
+  return {
+    success: true,
+    war: { ...result.war, alliance_a_name: war.alliance_a_name, alliance_b_name: war.alliance_b_name },
+    participant: result.participant,
+    defender: defenderData.guild,
+    attackerPower,
+    defenderPower,
+    winChance,
+    won,
+    points,
+  };
+}
+
+/**
+ * Close a finished war - decides the winner from the scores and moves the spoils from the loser's treasury
+ * @param {Object} war - Active war row (with alliance names) whose window has ended
+ * @returns {Promise<Object|null>} { war, winnerAllianceId, payout } or null if it was already closed
+ */
+export async function resolveWar(war) {
+  const winnerAllianceId = getWarWinner(war);
+  const winnerScore = Math.max(war.alliance_a_score, war.alliance_b_score);
+  const spoils = winnerAllianceId ? calculateWarPayout(winnerScore) : 0;
+
+  const completed = await repos.wars.completeWar(war.id, winnerAllianceId, spoils);
+  if (!completed) return null;
+
+  return {
+    war: { ...completed, alliance_a_name: war.alliance_a_name, alliance_b_name: war.alliance_b_name },
+    winnerAllianceId,
+    // What was actually taken - capped at the loser's treasury
+    payout: Number(completed.payout),
+  };
+}
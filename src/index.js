@@ -10,11 +10,13 @@ import {
 } from 'discord.js';
 import { BOT_TOKEN, CLIENT_ID, DEV_GUILD_ID } from './config.js';
 import { testConnection } from './database/connection.js';
+import { repos } from './database/repositories/index.js';
 
 // Import commands
 import * as startCommand from './commands/start.js';
 import * as guildCommand from './commands/guild.js';
 import * as collectCommand from './commands/collect.js';
+import * as dailyCommand from './commands/daily.js';
 import * as upgradesCommand from './commands/upgrades.js';
 import * as buyCommand from './commands/buy.js';
 import * as leaderboardCommand from './commands/leaderboard.js';
@@ -26,9 +28,31 @@ import * as battleCommand from './commands/battle.js';
 import * as battlesCommand from './commands/battles.js';
 import * as watchCommand from './commands/watch.js';
 import * as prestigeCommand from './commands/prestige.js';
+import * as questCommand from './commands/quest.js';
+import * as achievementsCommand from './commands/achievements.js';
+import * as allianceCommand from './commands/alliance.js';
+import * as warCommand from './commands/war.js';
+import * as tradeCommand from './commands/trade.js';
+import * as marketCommand from './commands/market.js';
+import * as inventoryCommand from './commands/inventory.js';
+import * as equipCommand from './commands/equip.js';
+import * as craftCommand from './commands/craft.js';
+import * as rosterCommand from './commands/roster.js';
+import * as raidCommand from './commands/raid.js';
+import * as seasonCommand from './commands/season.js';
+import * as defenseCommand from './commands/defense.js';
+import * as tournamentCommand from './commands/tournament.js';
+import * as bountyCommand from './commands/bounty.js';
 
 // Import jobs
 import { startReminderChecker, stopReminderChecker } from './jobs/reminderChecker.js';
+import { startQuestResolver, stopQuestResolver } from './jobs/questResolver.js';
+import { startWarScheduler, stopWarScheduler } from './jobs/warScheduler.js';
+import { startMarketExpiry, stopMarketExpiry } from './jobs/marketExpiry.js';
+import { startRaidScheduler, stopRaidScheduler } from './jobs/raidScheduler.js';
+import { startSeasonScheduler, stopSeasonScheduler } from './jobs/seasonScheduler.js';
+import { startTournamentScheduler, stopTournamentScheduler } from './jobs/tournamentScheduler.js';
+import { startBountyExpiry, stopBountyExpiry } from './jobs/bountyExpiry.js';
 
 // Import cache
 import { initializeCache } from './database/cache.js';
@@ -56,6 +80,7 @@ const commands = [
   startCommand,
   guildCommand,
   collectCommand,
+  dailyCommand,
   upgradesCommand,
   buyCommand,
   leaderboardCommand,
@@ -67,6 +92,21 @@ const commands = [
   battlesCommand,
   watchCommand,
   prestigeCommand,
+  questCommand,
+  achievementsCommand,
+  allianceCommand,
+  warCommand,
+  tradeCommand,
+  marketCommand,
+  inventoryCommand,
+  equipCommand,
+  craftCommand,
+  rosterCommand,
+  raidCommand,
+  seasonCommand,
+  defenseCommand,
+  tournamentCommand,
+  bountyCommand,
 ];
 
 // Register commands in collection
@@ -103,6 +143,31 @@ async function deployCommands() {
   }
 }
 
+// Player/server pairs already recorded by this process - avoids a write on every command
+const recordedMemberships = new Set();
+
+/**
+ * Record the Discord server a command was used in (for server-scoped leaderboards and battles)
+ * Failures are logged and never block the command
+ * @param {Interaction} interaction - The incoming interaction
+ */
+async function trackServerMembership(interaction) {
+  if (!interaction.guildId) return; // DMs have no server
+
+  const key = `${interaction.user.id}:${interaction.guildId}`;
+  if (recordedMemberships.has(key)) return;
+
+  try {
+    // Returns null until the player has founded a guild, so /start users are picked up later
+    const membership = await repos.servers.recordServerMembership(interaction.user.id, interaction.guildId);
+    if (membership) {
+      recordedMemberships.add(key);
+    }
+  } catch (error) {
+    console.error('Failed to record server membership:', error.message);
+  }
+}
+
 // Handle slash command interactions
 client.on(Events.InteractionCreate, async (interaction) => {
   // Handle slash commands
@@ -114,6 +179,8 @@ client.on(Events.InteractionCreate, async (interaction) => {
       return;
     }
 
+    await trackServerMembership(interaction);
+
     try {
       await command.execute(interaction);
     } catch (error) {
@@ -230,6 +297,51 @@ client.on(Events.InteractionCreate, async (interaction) => {
       }
     }
     
+    if (interaction.customId.startsWith('equip_select:')) {
+      try {
+        await equipCommand.handleSelectMenu(interaction);
+      } catch (error) {
+        console.error('Error handling equip select menu:', error);
+        
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: 'There was an error equipping that item. Please try again.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+      }
+    }
+    
+    if (interaction.customId.startsWith('roster_select:')) {
+      try {
+        await rosterCommand.handleSelectMenu(interaction);
+      } catch (error) {
+        console.error('Error handling roster select menu:', error);
+        
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: 'There was an error with that adventurer. Please try again.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+      }
+    }
+    
+    if (interaction.customId === 'inventory_salvage') {
+      try {
+        await inventoryCommand.handleSalvageSelect(interaction);
+      } catch (error) {
+        console.error('Error handling inventory salvage select:', error);
+        
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: 'There was an error salvaging those items. Please try again.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+      }
+    }
+    
     // Prestige shop buy select
     if (interaction.customId === 'prestige_buy_select') {
       try {
@@ -361,6 +473,70 @@ client.on(Events.InteractionCreate, async (interaction) => {
       }
     }
     
+    // Grind button
+    if (interaction.customId.startsWith('grind_click:')) {
+      try {
+        await grindCommand.handleGrindClick(interaction);
+      } catch (error) {
+        console.error('Error handling grind click:', error);
+        
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: 'There was an error counting that click. Please try again.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+      }
+    }
+    
+    // Grind anti-cheat challenge buttons
+    if (interaction.customId.startsWith('grind_verify:')) {
+      try {
+        await grindCommand.handleGrindVerify(interaction);
+      } catch (error) {
+        console.error('Error handling grind challenge:', error);
+        
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: 'There was an error checking your answer. Please try again.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+      }
+    }
+    
+    // Trade offer accept button
+    if (interaction.customId.startsWith('trade_accept:')) {
+      try {
+        await tradeCommand.handleTradeAccept(interaction);
+      } catch (error) {
+        console.error('Error handling trade accept:', error);
+        
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: 'There was an error accepting the offer. Please try again.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+      }
+    }
+    
+    // Trade offer decline/cancel button
+    if (interaction.customId.startsWith('trade_decline:')) {
+      try {
+        await tradeCommand.handleTradeDecline(interaction);
+      } catch (error) {
+        console.error('Error handling trade decline:', error);
+        
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: 'There was an error declining the offer.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+      }
+    }
+    
     // Watch stop button
     if (interaction.customId.startsWith('watch_stop:')) {
       try {
@@ -519,6 +695,21 @@ client.on(Events.InteractionCreate, async (interaction) => {
       }
     }
     
+    // Achievements page buttons
+    if (interaction.customId.startsWith('achievements:')) {
+      try {
+        await achievementsCommand.handleAchievementsButton(interaction);
+      } catch (error) {
+        console.error('Error handling achievements button:', error);
+        if (!interaction.replied && !interaction.deferred) {
+          await interaction.reply({
+            content: 'There was an error. Please try /achievements again.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+      }
+    }
+    
     // Prestige buttons
     if (interaction.customId === 'prestige_now') {
       try {
@@ -586,6 +777,37 @@ client.once(Events.ClientReady, async (readyClient) => {
   // Start the reminder checker
   startReminderChecker(client);
   
+  // Start resolving finished quests
+  startQuestResolver(client);
+  
+  // Start opening and closing alliance wars
+  startWarScheduler(client);
+  
+  // Start expiring unsold market listings
+  startMarketExpiry();
+  
+  // Start spawning and resolving world bosses
+  startRaidScheduler(client);
+  
+  // Start closing seasons and opening the next one
+  startSeasonScheduler(client);
+  
+  // Start playing tournament rounds and cancelling tournaments nobody started
+  startTournamentScheduler(client);
+  
+  // Start refunding bounties nobody claimed in time
+  startBountyExpiry();
+  
+  // Return gold held by trade offers whose expiry timer was lost when the bot stopped
+  try {
+    const expiredTrades = await repos.trades.expireStaleTrades();
+    if (expiredTrades > 0) {
+      console.log(`Expired ${expiredTrades} stale trade offer(s)`);
+    }
+  } catch (error) {
+    console.error('Error expiring stale trade offers:', error.message);
+  }
+  
   console.log('\nZanathor is ready for adventurers!\n');
 });
 
@@ -596,6 +818,28 @@ process.on('SIGINT', async () => {
   // Stop the reminder checker
   stopReminderChecker();
   
+  // Stop the quest resolver
+  stopQuestResolver();
+  
+  // Stop the war scheduler
+  stopWarScheduler();
+  
+  // Stop the market expiry
+  stopMarketExpiry();
+  
+  // Stop the raid scheduler and any live boss embeds
+  stopRaidScheduler();
+  raidCommand.stopAllRaidTrackers();
+  
+  // Stop the season scheduler
+  stopSeasonScheduler();
+  
+  // Stop the tournament scheduler
+  stopTournamentScheduler();
+  
+  // Stop the bounty expiry
+  stopBountyExpiry();
+  
   // Stop all active watchers
   watchCommand.stopAllWatchers();
   
@@ -631,6 +875,31 @@ async function main() {
   // Login to Discord
   console.log('\nConnecting to Discord...');
   await client.login(BOT_TOKEN);
+
+  // Refund consent challenges that ran out while the bot was down and re-arm the rest
+  try {
+    const { restored, expired } = await battleCommand.restorePendingChallenges(client);
+    if (restored > 0 || expired > 0) {
+      console.log(`Battle challenges: ${restored} restored, ${expired} expired and refunded`);
+    }
+
+    const staleTokens = await repos.challenges.expireStaleRevengeTokens();
+    if (staleTokens > 0) {
+      console.log(`Closed ${staleTokens} expired free revenge window(s)`);
+    }
+  } catch (error) {
+    console.error('Error restoring battle challenges:', error.message);
+  }
+
+  // Apply clicks a crash left unflushed and pick grind sessions back up
+  try {
+    const { flushed, closed, resumed } = await grindCommand.recoverSessions();
+    if (flushed > 0 || closed > 0 || resumed > 0) {
+      console.log(`Grind sessions: ${flushed} flushed, ${closed} closed, ${resumed} resumed`);
+    }
+  } catch (error) {
+    console.error('Error recovering grind sessions:', error.message);
+  }
 }
 
 main().catch((error) => {
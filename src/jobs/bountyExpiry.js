@@ -0,0 +1,71 @@
+import { repos } from '../database/repositories/index.js';
+import { closeBounty } from '../game/bounties.js';
+
+// Check interval in milliseconds (5 minutes - bounties run for two days)
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+let intervalId = null;
+
+/**
+ * Expire every bounty nobody claimed in time and refund its poster
+ * @returns {Promise<number>} Number of bounties expired
+ */
+export async function runBountyExpiryCheck() {
+  let expiredCount = 0;
+
+  try {
+    const bounties = await repos.bounties.getExpiredBounties();
+
+    for (const bounty of bounties) {
+      try {
+        const closed = await closeBounty(bounty, 'expired');
+
+        // Claimed or cancelled in the meantime
+        if (!closed) continue;
+
+        expiredCount++;
+      } catch (error) {
+        console.error(`Error expiring bounty ${bounty.id}:`, error.message);
+      }
+    }
+
+    if (expiredCount > 0) {
+      console.log(`Expired ${expiredCount} bount${expiredCount !== 1 ? 'ies' : 'y'}`);
+    }
+
+  } catch (error) {
+    console.error('Error running bounty expiry check:', error.message);
+  }
+
+  return expiredCount;
+}
+
+/**
+ * Start the bounty expiry interval
+ */
+export function startBountyExpiry() {
+  if (intervalId) {
+    console.warn('Bounty expiry is already running');
+    return;
+  }
+
+  console.log(`Starting bounty expiry (every ${CHECK_INTERVAL_MS / 60000} minutes)`);
+
+  // Run immediately on start (catches bounties that ran out while offline), then every interval
+  runBountyExpiryCheck();
+
+  intervalId = setInterval(() => {
+    runBountyExpiryCheck();
+  }, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the bounty expiry interval
+ */
+export function stopBountyExpiry() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+    console.log('Bounty expiry stopped');
+  }
+}
@@ -0,0 +1,71 @@
+import { repos } from '../database/repositories/index.js';
+import { closeListing } from '../game/market.js';
+
+// Check interval in milliseconds (5 minutes - listings run for a day)
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+let intervalId = null;
+
+/**
+ * Expire every listing past its end time and send the adventurers home
+ * @returns {Promise<number>} Number of listings expired
+ */
+export async function runMarketExpiryCheck() {
+  let expiredCount = 0;
+
+  try {
+    const listings = await repos.market.getExpiredListings();
+
+    for (const listing of listings) {
+      try {
+        const closed = await closeListing(listing, 'expired');
+
+        // Sold or cancelled in the meantime
+        if (!closed) continue;
+
+        expiredCount++;
+      } catch (error) {
+        console.error(`Error expiring listing ${listing.id}:`, error.message);
+      }
+    }
+
+    if (expiredCount > 0) {
+      console.log(`Expired ${expiredCount} market listing(s)`);
+    }
+
+  } catch (error) {
+    console.error('Error running market expiry check:', error.message);
+  }
+
+  return expiredCount;
+}
+
+/**
+ * Start the market expiry interval
+ */
+export function startMarketExpiry() {
+  if (intervalId) {
+    console.warn('Market expiry is already running');
+    return;
+  }
+
+  console.log(`Starting market expiry (every ${CHECK_INTERVAL_MS / 60000} minutes)`);
+
+  // Run immediately on start (catches listings that ended while offline), then every interval
+  runMarketExpiryCheck();
+
+  intervalId = setInterval(() => {
+    runMarketExpiryCheck();
+  }, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the market expiry interval
+ */
+export function stopMarketExpiry() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+    console.log('Market expiry stopped');
+  }
+}
@@ -0,0 +1,101 @@
+import { repos } from '../database/repositories/index.js';
+import { resolveQuest } from '../game/quests.js';
+import { createQuestResultEmbed, addAchievementUnlocks } from '../utils/embeds.js';
+
+// Check interval in milliseconds (1 minute - quests are at least an hour long)
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let intervalId = null;
+
+/**
+ * DM the quest results to the player (if quest notifications are on)
+ * @param {Object} client - Discord client
+ * @param {Object} quest - Due quest (includes discord_id and guild_name)
+ * @param {Object} result - Result from resolveQuest()
+ */
+async function notifyQuestResult(client, quest, result) {
+  try {
+    const settings = await repos.notifications.getNotificationSettings(quest.guild_id);
+
+    // Missing settings or column default - quest DMs are on unless turned off
+    if (settings?.quest_notifications_enabled === false) {
+      return;
+    }
+
+    const user = await client.users.fetch(quest.discord_id);
+    const embed = createQuestResultEmbed(result.quest, result.outcome);
+    addAchievementUnlocks(embed, result.unlocked);
+    embed.setFooter({ text: 'Use /notify type:quest action:off to disable these messages' });
+
+    await user.send({ embeds: [embed] });
+  } catch (error) {
+    console.log(`Could not DM quest results to ${quest.discord_id}:`, error.message);
+  }
+}
+
+/**
+ * Resolve every quest whose party is due back
+ * @param {Object} client - Discord client
+ * @returns {Promise<number>} Number of quests resolved
+ */
+export async function runQuestCheck(client) {
+  let resolvedCount = 0;
+
+  try {
+    const dueQuests = await repos.quests.getDueQuests();
+
+    for (const quest of dueQuests) {
+      try {
+        const result = await resolveQuest(quest);
+
+        // Already resolved elsewhere (e.g. /quest status)
+        if (!result) continue;
+
+        resolvedCount++;
+        await notifyQuestResult(client, quest, result);
+      } catch (error) {
+        console.error(`Error resolving quest ${quest.id}:`, error.message);
+      }
+    }
+
+    if (resolvedCount > 0) {
+      console.log(`Resolved ${resolvedCount} quest(s)`);
+    }
+
+  } catch (error) {
+    console.error('Error running quest check:', error.message);
+  }
+
+  return resolvedCount;
+}
+
+/**
+ * Start the quest resolver interval
+ * @param {Object} client - Discord client
+ */
+export function startQuestResolver(client) {
+  if (intervalId) {
+    console.warn('Quest resolver is already running');
+    return;
+  }
+
+  console.log(`Starting quest resolver (every ${CHECK_INTERVAL_MS / 1000} seconds)`);
+
+  // Run immediately on start (catches quests that finished while offline), then every interval
+  runQuestCheck(client);
+
+  intervalId = setInterval(() => {
+    runQuestCheck(client);
+  }, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the quest resolver interval
+ */
+export function stopQuestResolver() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+    console.log('Quest resolver stopped');
+  }
+}
@@ -0,0 +1,150 @@
+import { repos } from '../database/repositories/index.js';
+import { resolveWorldBoss, spawnWorldBoss, getNextSpawnTime, getBossDefinition } from '../game/raids.js';
+import { createBossRewardEmbed, addItemDrops } from '../utils/embeds.js';
+
+// Check interval in milliseconds (1 minute - bosses appear and escape within a minute of schedule)
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let intervalId = null;
+
+/**
+ * DM a contributor what they earned from a boss (if battle notifications are on)
+ * @param {Object} client - Discord client
+ * @param {Object} resolution - Result from resolveWorldBoss()
+ * @param {number} index - Contributor's position in resolution.standings
+ */
+async function notifyContributor(client, { boss, standings, drops }, index) {
+  const standing = standings[index];
+  try {
+    const settings = await repos.notifications.getNotificationSettings(standing.guild_id);
+
+    // Raid DMs follow the battle notification setting
+    if (settings?.battle_notifications_enabled === false) {
+      return;
+    }
+
+    const embed = createBossRewardEmbed(boss, standing, index + 1);
+    if (index === 0) {
+      addItemDrops(embed, drops);
+    }
+    embed.setFooter({ text: 'Use /notify type:battle action:off to disable these messages' });
+
+    const user = await client.users.fetch(standing.discord_id);
+    await user.send({ embeds: [embed] });
+  } catch (error) {
+    console.log(`Could not DM raid rewards to ${standing.discord_id}:`, error.message);
+  }
+}
+
+/**
+ * DM every rewarded contributor of a resolved boss
+ * @param {Object} client - Discord client
+ * @param {Object} resolution - Result from resolveWorldBoss()
+ */
+export async function notifyBossRewards(client, resolution) {
+  for (let i = 0; i < resolution.standings.length; i++) {
+    if (resolution.standings[i].reward) {
+      await notifyContributor(client, resolution, i);
+    }
+  }
+}
+
+/**
+ * Resolve every boss that was killed or ran out of time
+ * Killing blows resolve their boss straight away - this catches escapes and anything that slipped through
+ * @param {Object} client - Discord client
+ * @returns {Promise<number>} Number of bosses resolved
+ */
+async function closeFinishedBosses(client) {
+  let closedCount = 0;
+  const finished = await repos.raids.getBossesToClose();
+
+  for (const boss of finished) {
+    try {
+      const resolution = await resolveWorldBoss(boss);
+
+      // Already resolved elsewhere
+      if (!resolution) continue;
+
+      closedCount++;
+      await notifyBossRewards(client, resolution);
+    } catch (error) {
+      console.error(`Error resolving world boss ${boss.id}:`, error.message);
+    }
+  }
+
+  return closedCount;
+}
+
+/**
+ * Spawn a new boss if none is out and the quiet time since the last one is over
+ * @returns {Promise<Object|null>} The new boss, or null
+ */
+async function spawnDueBoss() {
+  if (await repos.raids.getActiveBoss()) return null;
+
+  const lastBoss = await repos.raids.getLastBoss();
+  if (getNextSpawnTime(lastBoss) > new Date()) return null;
+
+  const boss = await spawnWorldBoss();
+  if (boss) {
+    console.log(`World boss appeared: ${getBossDefinition(boss).name} (${boss.max_hp} HP)`);
+  }
+  return boss;
+}
+
+/**
+ * Resolve finished world bosses and spawn the next one when it's due
+ * Rewards go out before a new boss appears, so killing blows and escapes never overlap the next spawn
+ * @param {Object} client - Discord client
+ * @returns {Promise<{closed: number, spawned: Object|null}>}
+ */
+export async function runRaidCheck(client) {
+  let closed = 0;
+  let spawned = null;
+
+  try {
+    closed = await closeFinishedBosses(client);
+    spawned = await spawnDueBoss();
+
+    if (closed > 0) {
+      console.log(`Resolved ${closed} world boss(es)`);
+    }
+
+  } catch (error) {
+    console.error('Error running raid check:', error.message);
+  }
+
+  return { closed, spawned };
+}
+
+/**
+ * Start the raid scheduler interval
+ * @param {Object} client - Discord client
+ */
+export function startRaidScheduler(client) {
+  if (intervalId) {
+    console.warn('Raid scheduler is already running');
+    return;
+  }
+
+  console.log(`Starting raid scheduler (every ${CHECK_INTERVAL_MS / 1000} seconds)`);
+
+  // Run immediately on start (catches bosses that escaped while offline), then every interval
+  runRaidCheck(client);
+
+  intervalId = setInterval(() => {
+    runRaidCheck(client);
+  }, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the raid scheduler interval
+ */
+export function stopRaidScheduler() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+    console.log('Raid scheduler stopped');
+  }
+}
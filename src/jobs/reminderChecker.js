@@ -1,5 +1,5 @@
 import { EmbedBuilder } from 'discord.js';
-import { getGuildsEligibleForReminder, updateLastReminderTime, recordDmFailure } from '../database/notifications.js';
+import { repos } from '../database/repositories/index.js';
 import { calculateIdleEarningsWithData } from '../game/idle.js';
 import { formatNumber } from '../utils/format.js';
 import { COLORS } from '../utils/embeds.js';
@@ -38,7 +38,7 @@ function buildReminderEmbed(guild, pendingGold, pendingXp) {
 /**
  * Check a single guild and send reminder if needed
  * @param {Object} client - Discord client
- * @param {Object} guild - Guild data from database (includes upgrades and prestige_upgrades)
+ * @param {Object} guild - Guild data from database (includes upgrades, prestige_upgrades, achievements, alliance_buffs and equipment)
  * @returns {Promise<boolean>} Whether a reminder was sent
  */
 async function checkAndRemindGuild(client, guild) {
@@ -52,7 +52,10 @@ async function checkAndRemindGuild(client, guild) {
     const earnings = calculateIdleEarningsWithData(
       guild, 
       guild.upgrades || [], 
-      guild.prestige_upgrades || []
+      guild.prestige_upgrades || [],
+      guild.achievements || [],
+      guild.alliance_buffs || [],
+      guild.equipment || []
     );
     
     // Check if pending gold meets threshold (50% of current balance)
@@ -69,7 +72,7 @@ async function checkAndRemindGuild(client, guild) {
       await user.send({ embeds: [embed] });
       
       // Update last reminder time
-      await updateLastReminderTime(guild.id);
+      await repos.notifications.updateLastReminderTime(guild.id);
       
       console.log(`Sent reminder to ${guild.name} (${guild.discord_id})`);
       return true;
@@ -77,7 +80,7 @@ async function checkAndRemindGuild(client, guild) {
     } catch (dmError) {
       // DM failed - user probably has DMs disabled
       if (dmError.code === 50007) { // Cannot send messages to this user
-        const result = await recordDmFailure(guild.id);
+        const result = await repos.notifications.recordDmFailure(guild.id);
         
         if (result.wasDisabled) {
           console.log(`Auto-disabled reminders for ${guild.name} after 3 DM failures`);
@@ -102,7 +105,7 @@ async function checkAndRemindGuild(client, guild) {
  */
 async function runReminderCheck(client) {
   try {
-    const guilds = await getGuildsEligibleForReminder();
+    const guilds = await repos.notifications.getGuildsEligibleForReminder();
     
     if (guilds.length === 0) {
       return;
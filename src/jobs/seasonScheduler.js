@@ -0,0 +1,126 @@
+import { repos } from '../database/repositories/index.js';
+import { resolveSeason, startNewSeason } from '../game/seasons.js';
+import { createSeasonRewardEmbed } from '../utils/embeds.js';
+
+// Check interval in milliseconds (5 minutes - a season only ends once a month)
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+let intervalId = null;
+
+/**
+ * DM a guild what it earned when a season closed (if battle notifications are on)
+ * @param {Object} client - Discord client
+ * @param {Object} season - Closed season row
+ * @param {Object} reward - Entry from calculateSeasonRewards()
+ * @param {string} discordId - Owner's Discord user ID
+ */
+async function notifyRewardedGuild(client, season, reward, discordId) {
+  try {
+    const settings = await repos.notifications.getNotificationSettings(reward.guildId);
+
+    // Season DMs follow the battle notification setting
+    if (settings?.battle_notifications_enabled === false) {
+      return;
+    }
+
+    const embed = createSeasonRewardEmbed(season, reward);
+    embed.setFooter({ text: 'Use /notify type:battle action:off to disable these messages' });
+
+    const user = await client.users.fetch(discordId);
+    await user.send({ embeds: [embed] });
+  } catch (error) {
+    console.log(`Could not DM season rewards to ${discordId}:`, error.message);
+  }
+}
+
+/**
+ * Close every season whose time is up and DM its rewarded guilds
+ * @param {Object} client - Discord client
+ * @returns {Promise<number>} Number of seasons closed
+ */
+async function closeFinishedSeasons(client) {
+  let closedCount = 0;
+  const finished = await repos.seasons.getSeasonsToClose();
+
+  for (const season of finished) {
+    try {
+      const resolution = await resolveSeason(season);
+
+      // Already closed elsewhere
+      if (!resolution) continue;
+
+      closedCount++;
+      const entries = Object.values(resolution.standings).flat();
+      for (const reward of resolution.rewards) {
+        const { discord_id } = entries.find(e => e.guild_id === reward.guildId);
+        await notifyRewardedGuild(client, resolution.season, reward, discord_id);
+      }
+    } catch (error) {
+      console.error(`Error closing season ${season.id}:`, error.message);
+    }
+  }
+
+  return closedCount;
+}
+
+/**
+ * Close finished seasons and start the next one
+ * Rewards are paid before the new season opens, so they never count toward it
+ * @param {Object} client - Discord client
+ * @returns {Promise<{closed: number, started: Object|null}>}
+ */
+export async function runSeasonCheck(client) {
+  let closed = 0;
+  let started = null;
+
+  try {
+    closed = await closeFinishedSeasons(client);
+
+    if (!(await repos.seasons.getActiveSeason())) {
+      started = await startNewSeason();
+      if (started) {
+        console.log(`Season ${started.id} started (ends ${new Date(started.ends_at).toISOString()})`);
+      }
+    }
+
+    if (closed > 0) {
+      console.log(`Closed ${closed} season(s)`);
+    }
+
+  } catch (error) {
+    console.error('Error running season check:', error.message);
+  }
+
+  return { closed, started };
+}
+
+/**
+ * Start the season scheduler interval
+ * @param {Object} client - Discord client
+ */
+export function startSeasonScheduler(client) {
+  if (intervalId) {
+    console.warn('Season scheduler is already running');
+    return;
+  }
+
+  console.log(`Starting season scheduler (every ${CHECK_INTERVAL_MS / 1000} seconds)`);
+
+  // Run immediately on start (closes a season that ended while offline), then every interval
+  runSeasonCheck(client);
+
+  intervalId = setInterval(() => {
+    runSeasonCheck(client);
+  }, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the season scheduler interval
+ */
+export function stopSeasonScheduler() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+    console.log('Season scheduler stopped');
+  }
+}
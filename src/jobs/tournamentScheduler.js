@@ -0,0 +1,181 @@
+import { TOURNAMENT } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { playNextRound } from '../game/tournaments.js';
+import { createTournamentEmbed, createTournamentPrizeEmbed } from '../utils/embeds.js';
+
+// Check interval in milliseconds (1 minute - rounds are ROUND_INTERVAL_MINUTES apart)
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let intervalId = null;
+
+/**
+ * Post a message to the channel a tournament was created in
+ * @param {Object} client - Discord client
+ * @param {Object} tournament - Tournament row
+ * @param {Object} payload - Message payload
+ */
+async function postToChannel(client, tournament, payload) {
+  if (!tournament.channel_id) return;
+
+  try {
+    const channel = await client.channels.fetch(tournament.channel_id);
+    await channel.send(payload);
+  } catch (error) {
+    console.log(`Could not post tournament ${tournament.id} update to ${tournament.channel_id}:`, error.message);
+  }
+}
+
+/**
+ * DM a guild its tournament prize (if battle notifications are on)
+ * @param {Object} client - Discord client
+ * @param {Object} tournament - Completed tournament row
+ * @param {Object} placement - Entry from calculatePrizes()
+ * @param {string} discordId - Owner's Discord user ID
+ */
+async function notifyPrizeWinner(client, tournament, placement, discordId) {
+  try {
+    const settings = await repos.notifications.getNotificationSettings(placement.guildId);
+
+    // Tournament DMs follow the battle notification setting
+    if (settings?.battle_notifications_enabled === false) {
+      return;
+    }
+
+    const embed = createTournamentPrizeEmbed(tournament, placement);
+    embed.setFooter({ text: 'Use /notify type:battle action:off to disable these messages' });
+
+    const user = await client.users.fetch(discordId);
+    await user.send({ embeds: [embed] });
+  } catch (error) {
+    console.log(`Could not DM tournament prize to ${discordId}:`, error.message);
+  }
+}
+
+/**
+ * Cancel open tournaments that were never started and refund their entrants
+ * @param {Object} client - Discord client
+ * @returns {Promise<number>} Number of tournaments cancelled
+ */
+async function cancelExpiredTournaments(client) {
+  let cancelledCount = 0;
+  const expired = await repos.tournaments.getExpiredTournaments(TOURNAMENT.OPEN_HOURS);
+
+  for (const tournament of expired) {
+    try {
+      const result = await repos.tournaments.cancelTournament(tournament.id);
+
+      // Started (or cancelled) elsewhere
+      if (!result) continue;
+
+      cancelledCount++;
+      await postToChannel(client, tournament, {
+        content: `🚫 **${tournament.name}** wasn't started within ${TOURNAMENT.OPEN_HOURS} hours and has been cancelled. ` +
+          `${result.refunded.length} entr${result.refunded.length !== 1 ? 'ies were' : 'y was'} refunded.`,
+      });
+    } catch (error) {
+      console.error(`Error cancelling tournament ${tournament.id}:`, error.message);
+    }
+  }
+
+  return cancelledCount;
+}
+
+/**
+ * Play every round that is due, post the bracket and pay out tournaments that finish
+ * @param {Object} client - Discord client
+ * @returns {Promise<{played: number, completed: number}>}
+ */
+async function playDueRounds(client) {
+  let played = 0;
+  let completed = 0;
+  const due = await repos.tournaments.getTournamentsDue();
+
+  for (const tournament of due) {
+    try {
+      const progress = await playNextRound(tournament);
+
+      // Round already played elsewhere
+      if (!progress) continue;
+
+      played++;
+      const embed = createTournamentEmbed(progress.tournament, progress.entrants, progress.matches, progress.standings);
+
+      if (!progress.placements) {
+        await postToChannel(client, progress.tournament, { embeds: [embed] });
+        continue;
+      }
+
+      completed++;
+      await postToChannel(client, progress.tournament, {
+        content: `🏆 **${progress.standings[0].name}** won **${progress.tournament.name}**!`,
+        embeds: [embed],
+      });
+
+      for (const placement of progress.placements) {
+        if (placement.prize <= 0) continue;
+        const { discord_id } = progress.entrants.find(e => e.guild_id === placement.guildId);
+        await notifyPrizeWinner(client, progress.tournament, placement, discord_id);
+      }
+    } catch (error) {
+      console.error(`Error playing tournament ${tournament.id}:`, error.message);
+    }
+  }
+
+  return { played, completed };
+}
+
+/**
+ * Cancel stale tournaments and play due rounds
+ * @param {Object} client - Discord client
+ * @returns {Promise<{cancelled: number, played: number, completed: number}>}
+ */
+export async function runTournamentCheck(client) {
+  let cancelled = 0;
+  let played = 0;
+  let completed = 0;
+
+  try {
+    cancelled = await cancelExpiredTournaments(client);
+    ({ played, completed } = await playDueRounds(client));
+
+    if (cancelled > 0 || played > 0) {
+      console.log(`Tournaments: ${played} round(s) played, ${completed} completed, ${cancelled} cancelled`);
+    }
+
+  } catch (error) {
+    console.error('Error running tournament check:', error.message);
+  }
+
+  return { cancelled, played, completed };
+}
+
+/**
+ * Start the tournament scheduler interval
+ * @param {Object} client - Discord client
+ */
+export function startTournamentScheduler(client) {
+  if (intervalId) {
+    console.warn('Tournament scheduler is already running');
+    return;
+  }
+
+  console.log(`Starting tournament scheduler (every ${CHECK_INTERVAL_MS / 1000} seconds)`);
+
+  // Run immediately on start (catches rounds that fell due while offline), then every interval
+  runTournamentCheck(client);
+
+  intervalId = setInterval(() => {
+    runTournamentCheck(client);
+  }, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the tournament scheduler interval
+ */
+export function stopTournamentScheduler() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+    console.log('Tournament scheduler stopped');
+  }
+}
@@ -0,0 +1,202 @@
+import { EmbedBuilder } from 'discord.js';
+import { WAR } from '../config.js';
+import { repos } from '../database/repositories/index.js';
+import { resolveWar, getWarSides } from '../game/wars.js';
+import { formatNumber } from '../utils/format.js';
+import { COLORS } from '../utils/embeds.js';
+
+// Check interval in milliseconds (1 minute - wars open and close within a minute of schedule)
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let intervalId = null;
+
+/**
+ * DM a war participant (if battle notifications are on)
+ * @param {Object} client - Discord client
+ * @param {Object} participant - Participant with guild_id and discord_id
+ * @param {EmbedBuilder} embed - Message to send
+ */
+async function notifyParticipant(client, participant, embed) {
+  try {
+    const settings = await repos.notifications.getNotificationSettings(participant.guild_id);
+
+    // War DMs follow the battle notification setting
+    if (settings?.battle_notifications_enabled === false) {
+      return;
+    }
+
+    const user = await client.users.fetch(participant.discord_id);
+    await user.send({ embeds: [embed] });
+  } catch (error) {
+    console.log(`Could not DM war update to ${participant.discord_id}:`, error.message);
+  }
+}
+
+/**
+ * Build the "war has begun" DM for one side
+ * @param {Object} war - War row with alliance names
+ * @param {number} allianceId - Recipient's alliance
+ * @returns {EmbedBuilder}
+ */
+function buildWarOpenedEmbed(war, allianceId) {
+  const sides = getWarSides(war, allianceId);
+  return new EmbedBuilder()
+    .setColor(COLORS.ERROR)
+    .setTitle('⚔️ The War Has Begun!')
+    .setDescription(
+      `**${sides.ownName}** is at war with **${sides.enemyName}**!\n\n` +
+      `You have **${WAR.ATTACKS_PER_MEMBER}** attacks over the next ${WAR.DURATION_HOURS} hours. ` +
+      'Use `/war attack` to fight and `/war status` to follow the score.'
+    )
+    .setFooter({ text: 'Use /notify type:battle action:off to disable these messages' })
+    .setTimestamp();
+}
+
+/**
+ * Build the war result DM for one side
+ * @param {Object} result - Result from resolveWar()
+ * @param {number} allianceId - Recipient's alliance
+ * @returns {EmbedBuilder}
+ */
+function buildWarResultEmbed({ war, winnerAllianceId, payout }, allianceId) {
+  const sides = getWarSides(war, allianceId);
+  const score = `**${sides.ownName}** ${sides.ownScore} - ${sides.enemyScore} **${sides.enemyName}**`;
+
+  let title;
+  let color;
+  let outcome;
+  if (!winnerAllianceId) {
+    title = '🤝 The War Ended in a Draw';
+    color = COLORS.INFO;
+    outcome = 'Neither alliance claimed victory.';
+  } else if (winnerAllianceId === allianceId) {
+    title = '🏆 Victory!';
+    color = COLORS.SUCCESS;
+    outcome = `**${formatNumber(payout)}** gold was taken from **${sides.enemyName}** and paid into your alliance treasury.`;
+  } else {
+    title = '💀 Defeat';
+    color = COLORS.ERROR;
+    outcome = `**${sides.enemyName}** won the war` +
+      (payout > 0 ? ` and took **${formatNumber(payout)}** gold from your alliance treasury.` : '.');
+  }
+
+  return new EmbedBuilder()
+    .setColor(color)
+    .setTitle(title)
+    .setDescription(`${score}\n\n${outcome}`)
+    .setFooter({ text: 'Use /notify type:battle action:off to disable these messages' })
+    .setTimestamp();
+}
+
+/**
+ * Open every scheduled war whose preparation time is over
+ * @param {Object} client - Discord client
+ * @returns {Promise<number>} Number of wars opened
+ */
+async function openDueWars(client) {
+  let openedCount = 0;
+  const dueWars = await repos.wars.getWarsToOpen();
+
+  for (const war of dueWars) {
+    try {
+      const opened = await repos.wars.openWar(war.id);
+
+      // Already opened elsewhere
+      if (!opened) continue;
+
+      openedCount++;
+      const participants = await repos.wars.getWarParticipants(war.id);
+      for (const participant of participants) {
+        await notifyParticipant(client, participant, buildWarOpenedEmbed(war, participant.alliance_id));
+      }
+    } catch (error) {
+      console.error(`Error opening war ${war.id}:`, error.message);
+    }
+  }
+
+  return openedCount;
+}
+
+/**
+ * Close every active war whose attack window has ended
+ * @param {Object} client - Discord client
+ * @returns {Promise<number>} Number of wars closed
+ */
+async function closeFinishedWars(client) {
+  let closedCount = 0;
+  const finishedWars = await repos.wars.getWarsToClose();
+
+  for (const war of finishedWars) {
+    try {
+      const result = await resolveWar(war);
+
+      // Already closed elsewhere
+      if (!result) continue;
+
+      closedCount++;
+      const participants = await repos.wars.getWarParticipants(war.id);
+      for (const participant of participants) {
+        await notifyParticipant(client, participant, buildWarResultEmbed(result, participant.alliance_id));
+      }
+    } catch (error) {
+      console.error(`Error closing war ${war.id}:`, error.message);
+    }
+  }
+
+  return closedCount;
+}
+
+/**
+ * Open and close any wars that are due
+ * @param {Object} client - Discord client
+ * @returns {Promise<{opened: number, closed: number}>}
+ */
+export async function runWarCheck(client) {
+  let opened = 0;
+  let closed = 0;
+
+  try {
+    opened = await openDueWars(client);
+    closed = await closeFinishedWars(client);
+
+    if (opened > 0 || closed > 0) {
+      console.log(`Wars: opened ${opened}, closed ${closed}`);
+    }
+
+  } catch (error) {
+    console.error('Error running war check:', error.message);
+  }
+
+  return { opened, closed };
+}
+
+/**
+ * Start the war scheduler interval
+ * @param {Object} client - Discord client
+ */
+export function startWarScheduler(client) {
+  if (intervalId) {
+    console.warn('War scheduler is already running');
+    return;
+  }
+
+  console.log(`Starting war scheduler (every ${CHECK_INTERVAL_MS / 1000} seconds)`);
+
+  // Run immediately on start (catches wars that came due while offline), then every interval
+  runWarCheck(client);
+
+  intervalId = setInterval(() => {
+    runWarCheck(client);
+  }, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the war scheduler interval
+ */
+export function stopWarScheduler() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+    console.log('War scheduler stopped');
+  }
+}
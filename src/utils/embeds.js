@@ -1,6 +1,11 @@
 import { EmbedBuilder } from 'discord.js';
-import { formatNumber, progressBar } from './format.js';
-import { getRankForLevel, getNextRank, getXpForLevel, getTotalXpForLevel } from '../config.js';
+import { formatNumber, formatDuration, progressBar } from './format.js';
+import { getAwayAdventurers } from '../game/idle.js';
+import { formatAchievementReward } from '../game/achievements.js';
+import { formatItemName } from '../game/items.js';
+import { formatMaterials } from '../game/crafting.js';
+import { formatMorale, getMoraleMultiplier } from '../game/morale.js';
+import { getRankForLevel, getNextRank, getXpForLevel, getTotalXpForLevel, QUEST, ITEMS, RAID, SEASON, TOURNAMENT } from '../config.js';
 
 // Color palette for embeds
 export const COLORS = {
@@ -31,6 +36,32 @@ function getRankBonusText(level, currentRank) {
   return text;
 }
 
+/**
+ * Adventurer count with anyone away on a quest, listed on the market, standing guard or recovering from injuries
+ */
+function getAdventurersText(guild) {
+  const { onQuest, listed, guarding, injured } = getAwayAdventurers(guild);
+  let text = `**${guild.adventurer_count}** / ${guild.adventurer_capacity}`;
+  
+  if (onQuest > 0) {
+    text += `\n🗺️ ${onQuest} on a quest`;
+  }
+  
+  if (listed > 0) {
+    text += `\n🏪 ${listed} listed on the market`;
+  }
+  
+  if (guarding > 0) {
+    text += `\n🛡️ ${guarding} on guard`;
+  }
+  
+  if (injured > 0) {
+    text += `\n🤕 ${injured} recovering`;
+  }
+  
+  return text;
+}
+
 /**
  * Format prestige stars for display
  * @param {number} prestigeLevel - The prestige level
@@ -59,6 +90,9 @@ export function createGuildEmbed(guild, stats = {}, pendingEarnings = null, pres
   
   // Build description with prestige info
   let description = `*${rank.name} Rank Adventurer's Guild*`;
+  if (guild.title) {
+    description += `\n🏅 *${guild.name}, ${guild.title}*`;
+  }
   if (guild.prestige_level > 0) {
     description += `\n${formatPrestigeStars(guild.prestige_level)} **Prestige ${guild.prestige_level}**`;
     if (guild.prestige_points > 0) {
@@ -83,7 +117,7 @@ export function createGuildEmbed(guild, stats = {}, pendingEarnings = null, pres
       },
       {
         name: 'Adventurers',
-        value: `**${guild.adventurer_count}** / ${guild.adventurer_capacity}`,
+        value: getAdventurersText(guild),
         inline: true,
       },
       {
@@ -108,6 +142,19 @@ export function createGuildEmbed(guild, stats = {}, pendingEarnings = null, pres
     );
   }
   
+  // Morale scales what those rates actually pay out
+  if (pendingEarnings && stats.goldPerHour !== undefined) {
+    const multiplier = getMoraleMultiplier(pendingEarnings.morale);
+    embed.addFields({
+      name: 'Morale',
+      value: `${formatMorale(pendingEarnings.morale)} - producing at **${Math.round(multiplier * 100)}%**
+` +
+        `+${formatNumber(Math.floor(stats.goldPerHour * multiplier))} gold, ` +
+        `+${formatNumber(Math.floor(stats.xpPerHour * multiplier))} XP per hour right now`,
+      inline: true,
+    });
+  }
+  
   // Add pending earnings field
   if (pendingEarnings) {
     const hoursText = pendingEarnings.hoursElapsed < 1 
@@ -187,6 +234,438 @@ export function createCollectEmbed(guild, goldEarned, xpEarned, hoursElapsed, le
   return embed;
 }
 
+/**
+ * Add an "ACHIEVEMENT UNLOCKED!" field listing newly unlocked achievements
+ * Does nothing if the list is empty, so callers can pass checkAchievements() output straight in
+ * @param {EmbedBuilder} embed - Embed to add the field to
+ * @param {Array} unlocked - Newly unlocked achievements
+ * @returns {EmbedBuilder}
+ */
+export function addAchievementUnlocks(embed, unlocked = []) {
+  if (unlocked.length === 0) return embed;
+
+  embed.addFields({
+    name: unlocked.length === 1 ? 'ACHIEVEMENT UNLOCKED!' : `${unlocked.length} ACHIEVEMENTS UNLOCKED!`,
+    value: unlocked
+      .map(a => `🏆 **${a.name}** - ${formatAchievementReward(a)}`)
+      .join('\n'),
+    inline: false,
+  });
+
+  return embed;
+}
+
+/**
+ * Add an "ITEM FOUND!" field listing item drops
+ * Does nothing if the list is empty, so callers can pass rollItemDrops() output straight in
+ * @param {EmbedBuilder} embed - Embed to add the field to
+ * @param {Array} drops - Drops as { item, salvaged }
+ * @param {string|null} finderName - Guild that found them, when the embed is about more than one guild
+ * @returns {EmbedBuilder}
+ */
+export function addItemDrops(embed, drops = [], finderName = null) {
+  if (drops.length === 0) return embed;
+
+  embed.addFields({
+    name: drops.length === 1 ? 'ITEM FOUND!' : `${drops.length} ITEMS FOUND!`,
+    value: (finderName ? `**${finderName}** found:\n` : '') + drops
+      .map(({ item, salvaged }) => {
+        const line = `${formatItemName(item)} (${ITEMS.RARITIES[item.rarity].label}) - ${item.description}`;
+        return salvaged > 0 ? `${line}\n   Inventory full - salvaged for **${formatNumber(salvaged)}** gold` : line;
+      })
+      .join('\n'),
+    inline: false,
+  });
+
+  return embed;
+}
+
+/**
+ * Add a "Materials Gathered" field
+ * Does nothing if nothing was gathered, so callers can pass gatherMaterials() output straight in
+ * @param {EmbedBuilder} embed - Embed to add the field to
+ * @param {Object} gathered - Amount per material key
+ * @returns {EmbedBuilder}
+ */
+export function addMaterialsGathered(embed, gathered = {}) {
+  const value = formatMaterials(gathered);
+  if (!value) return embed;
+
+  embed.addFields({ name: 'Materials Gathered', value, inline: false });
+  return embed;
+}
+
+/**
+ * Create an embed for a claimed daily reward
+ * @param {Object} guild - Updated guild data
+ * @param {Object} reward - Reward from calculateDailyReward ({ gold, xp, multiplier, isMilestone })
+ * @param {number} streak - Streak day just claimed
+ * @param {boolean} streakReset - Whether a previous streak was lost before this claim
+ * @returns {EmbedBuilder}
+ */
+export function createDailyEmbed(guild, reward, streak, streakReset = false) {
+  const bonusPercent = Math.round((reward.multiplier - 1) * 100);
+  
+  let description = `Day **${streak}** of your streak!`;
+  if (reward.isMilestone) {
+    description += ` **Milestone day** - rewards doubled!`;
+  }
+  if (streakReset) {
+    description += `\n*Your previous streak expired - claim every day to keep it going.*`;
+  }
+  
+  return new EmbedBuilder()
+    .setColor(reward.isMilestone ? COLORS.SUCCESS : COLORS.GOLD)
+    .setTitle('Daily Reward Claimed!')
+    .setDescription(description)
+    .addFields(
+      {
+        name: 'Gold Earned',
+        value: `+${formatNumber(reward.gold)}`,
+        inline: true,
+      },
+      {
+        name: 'XP Earned',
+        value: `+${formatNumber(reward.xp)}`,
+        inline: true,
+      },
+      {
+        name: 'Streak Bonus',
+        value: `+${bonusPercent}%`,
+        inline: true,
+      },
+      {
+        name: 'Total Gold',
+        value: formatNumber(guild.gold),
+        inline: true,
+      }
+    )
+    .setTimestamp();
+}
+
+/**
+ * Create an embed for a returned quest party
+ * @param {Object} quest - Completed quest row
+ * @param {Object} outcome - { gold, xp, injured }
+ * @returns {EmbedBuilder}
+ */
+export function createQuestResultEmbed(quest, outcome) {
+  const risk = QUEST.RISKS[quest.risk_key];
+  const duration = QUEST.DURATIONS[quest.duration_key];
+  const returned = quest.adventurers_sent - outcome.injured;
+  
+  let description = `Your party of **${quest.adventurers_sent}** returned from a ${risk.emoji} **${risk.label}** ${duration.label} expedition.`;
+  if (outcome.injured > 0) {
+    const recoveryHours = quest.hours * QUEST.INJURY_RECOVERY_PER_HOUR;
+    description += `\n\n**${outcome.injured}** came back injured and will rest for **${recoveryHours}h** before working again.`;
+  } else {
+    description += `\n\nEveryone came back unharmed!`;
+  }
+  
+  return new EmbedBuilder()
+    .setColor(outcome.injured > 0 ? COLORS.WARNING : COLORS.SUCCESS)
+    .setTitle('Quest Complete!')
+    .setDescription(description)
+    .addFields(
+      {
+        name: 'Gold Looted',
+        value: `+${formatNumber(outcome.gold)}`,
+        inline: true,
+      },
+      {
+        name: 'XP Earned',
+        value: `+${formatNumber(outcome.xp)}`,
+        inline: true,
+      },
+      {
+        name: 'Back to Work',
+        value: `${returned} / ${quest.adventurers_sent}`,
+        inline: true,
+      }
+    )
+    .setTimestamp();
+}
+
+/**
+ * Create the world boss embed - HP, time left and the top damage dealers
+ * Resolved bosses show each contributor's reward instead of their share so far
+ * @param {Object} boss - World boss row
+ * @param {Array} standings - Contributions with name and damage, biggest first (resolved ones carry a reward)
+ * @param {number} shown - How many contributors to list
+ * @returns {EmbedBuilder}
+ */
+export function createBossEmbed(boss, standings = [], shown = 10) {
+  const definition = RAID.BOSSES[boss.boss_key];
+  const hp = Math.max(0, Number(boss.hp));
+  const maxHp = Number(boss.max_hp);
+  const percent = Math.ceil((hp / maxHp) * 100);
+  const totalDamage = standings.reduce((sum, s) => sum + Number(s.damage), 0);
+
+  let color = COLORS.ERROR;
+  let status;
+  if (boss.status === 'defeated') {
+    color = COLORS.SUCCESS;
+    status = '🏆 **Defeated!** Rewards have been paid to everyone who fought.';
+  } else if (boss.status === 'escaped') {
+    color = COLORS.WARNING;
+    status = `💨 **Escaped!** Contributors still earn ${Math.round(RAID.ESCAPED_REWARD_MULTIPLIER * 100)}% rewards.`;
+  } else {
+    const escapesIn = Math.max(0, (new Date(boss.ends_at).getTime() - Date.now()) / 1000);
+    status = `⏳ Escapes in **${formatDuration(escapesIn)}** - attack with \`/raid attack\``;
+  }
+
+  const lines = standings.slice(0, shown).map((s, i) => {
+    if (s.reward) {
+      const tier = RAID.REWARD_TIERS.find(t => t.key === s.reward.tier);
+      return `${tier.emoji} **${s.name}** - ${formatNumber(Number(s.damage))} dmg, +${formatNumber(s.reward.gold)} gold, +${formatNumber(s.reward.xp)} XP`;
+    }
+    const share = totalDamage > 0 ? (Number(s.damage) / totalDamage) * 100 : 0;
+    return `**${i + 1}.** ${s.name} - ${formatNumber(Number(s.damage))} dmg (${share.toFixed(1)}%)`;
+  });
+
+  return new EmbedBuilder()
+    .setColor(color)
+    .setTitle(`${definition.emoji} World Boss: ${definition.name}`)
+    .setDescription(
+      `${progressBar(hp, maxHp, 20)}\n` +
+      `**${formatNumber(hp)}** / ${formatNumber(maxHp)} HP (${percent}%)\n\n${status}`
+    )
+    .addFields({
+      name: `Raiders (${standings.length})`,
+      value: lines.join('\n') || '*Nobody has struck yet - be the first!*',
+      inline: false,
+    })
+    .setFooter({ text: `Each guild can attack every ${RAID.ATTACK_COOLDOWN_MINUTES} minutes · rewards scale with your share of the damage` })
+    .setTimestamp();
+}
+
+/**
+ * Create the embed telling one contributor what they earned from a world boss
+ * @param {Object} boss - Resolved world boss row
+ * @param {Object} standing - The contributor's standing (with damage and reward)
+ * @param {number} rank - The contributor's place by damage (1-based)
+ * @returns {EmbedBuilder}
+ */
+export function createBossRewardEmbed(boss, standing, rank) {
+  const definition = RAID.BOSSES[boss.boss_key];
+  const tier = RAID.REWARD_TIERS.find(t => t.key === standing.reward.tier);
+  const defeated = boss.status === 'defeated';
+
+  return new EmbedBuilder()
+    .setColor(defeated ? COLORS.SUCCESS : COLORS.WARNING)
+    .setTitle(defeated ? `${definition.emoji} ${definition.name} Has Fallen!` : `${definition.emoji} ${definition.name} Escaped`)
+    .setDescription(
+      `Your guild dealt **${formatNumber(Number(standing.damage))}** damage over ${standing.attacks} attack${standing.attacks !== 1 ? 's' : ''}, ` +
+      `placing **#${rank}**.\n\nYou earned the ${tier.emoji} **${tier.label}** reward` +
+      (defeated ? '.' : ` (cut to ${Math.round(RAID.ESCAPED_REWARD_MULTIPLIER * 100)}% since the boss got away).`)
+    )
+    .addFields(
+      { name: 'Gold', value: `+${formatNumber(standing.reward.gold)}`, inline: true },
+      { name: 'XP', value: `+${formatNumber(standing.reward.xp)}`, inline: true }
+    )
+    .setTimestamp();
+}
+
+/**
+ * Format a guild's score on a season ladder
+ * @param {string} category - Key into SEASON.CATEGORIES
+ * @param {Object} stats - Season stats row
+ * @returns {string}
+ */
+export function formatSeasonValue(category, stats) {
+  if (category === 'battles') {
+    const wins = Number(stats.battles_won);
+    return `${formatNumber(wins)} win${wins !== 1 ? 's' : ''}`;
+  }
+  return `${formatNumber(Number(stats.gold_earned))} gold`;
+}
+
+/**
+ * Create the embed for one season ladder - live with time remaining, or archived once the season has closed
+ * @param {Object} season - Season row
+ * @param {string} category - Key into SEASON.CATEGORIES
+ * @param {Array} standings - Ranked season stats (rank, name, counters)
+ * @param {number} entries - Guilds on this ladder
+ * @returns {EmbedBuilder}
+ */
+export function createSeasonEmbed(season, category, standings, entries) {
+  const ladder = SEASON.CATEGORIES[category];
+  const active = season.status === 'active';
+
+  let status;
+  if (active) {
+    const endsIn = Math.max(0, (new Date(season.ends_at).getTime() - Date.now()) / 1000);
+    const days = Math.floor(endsIn / 86400);
+    const remaining = days > 0 ? `${days}d ${Math.floor((endsIn % 86400) / 3600)}h` : formatDuration(endsIn);
+    status = endsIn > 0
+      ? `⏳ Ends in **${remaining}** - the top ${Math.max(...SEASON.REWARD_TIERS.map(t => t.maxRank))} on each ladder are paid when it does`
+      : '🏁 **Time\'s up!** Final rewards are being paid out.';
+  } else {
+    status = `🏁 Ended ${new Date(season.resolved_at || season.ends_at).toDateString()} - final standings`;
+  }
+
+  const lines = standings.map((s) => {
+    const tier = SEASON.REWARD_TIERS.find(t => s.rank <= t.maxRank);
+    return `\`${`${s.rank}.`.padStart(3, ' ')}\` ${tier ? `${tier.emoji} ` : ''}**${s.name}** — ${formatSeasonValue(category, s)}`;
+  });
+
+  const rewards = SEASON.REWARD_TIERS.map((tier, i) => {
+    const from = i === 0 ? 1 : SEASON.REWARD_TIERS[i - 1].maxRank + 1;
+    const ranks = from === tier.maxRank ? `#${from}` : `#${from}-${tier.maxRank}`;
+    return `${tier.emoji} **${tier.label}** (${ranks}): ${formatNumber(tier.gold)} gold, ${formatNumber(tier.xp)} XP`;
+  });
+
+  return new EmbedBuilder()
+    .setColor(active ? COLORS.GOLD : COLORS.INFO)
+    .setTitle(`🏆 Season ${season.id} · ${ladder.emoji} ${ladder.label}`)
+    .setDescription(status)
+    .addFields(
+      {
+        name: `Standings (${entries} guild${entries !== 1 ? 's' : ''})`,
+        value: lines.join('\n') || (active ? '*Nobody is on this ladder yet - get out there!*' : '*Nobody made this ladder.*'),
+        inline: false,
+      },
+      { name: 'Rewards per Ladder', value: rewards.join('\n'), inline: false }
+    )
+    .setFooter({ text: 'Every season starts from zero · placing on both ladders pays both rewards' })
+    .setTimestamp();
+}
+
+/**
+ * Create the embed telling a guild what it earned when a season closed
+ * @param {Object} season - Closed season row
+ * @param {Object} reward - { gold, xp, placements } from calculateSeasonRewards()
+ * @returns {EmbedBuilder}
+ */
+export function createSeasonRewardEmbed(season, reward) {
+  const placements = reward.placements.map(({ category, rank, tier }) => {
+    const ladder = SEASON.CATEGORIES[category];
+    const { emoji, label } = SEASON.REWARD_TIERS.find(t => t.key === tier);
+    return `${ladder.emoji} ${ladder.label}: **#${rank}** - ${emoji} ${label}`;
+  });
+
+  return new EmbedBuilder()
+    .setColor(COLORS.GOLD)
+    .setTitle(`🏆 Season ${season.id} Is Over!`)
+    .setDescription(`Your guild finished in the rewards:\n\n${placements.join('\n')}\n\nA new season starts now - everyone is back to zero.`)
+    .addFields(
+      { name: 'Gold', value: `+${formatNumber(reward.gold)}`, inline: true },
+      { name: 'XP', value: `+${formatNumber(reward.xp)}`, inline: true }
+    )
+    .setTimestamp();
+}
+
+const PLACEMENT_EMOJIS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Describe one tournament match, e.g. "**Iron Wolves** def. Night Owls (58%)"
+ * @param {Object} match - Match row with guild_a_name and guild_b_name
+ * @returns {string}
+ */
+function formatTournamentMatch(match) {
+  if (match.guild_b_id === null) {
+    return `**${match.guild_a_name}** · bye`;
+  }
+
+  const aWon = match.winner_id === match.guild_a_id;
+  const [winner, loser] = aWon ? [match.guild_a_name, match.guild_b_name] : [match.guild_b_name, match.guild_a_name];
+  const chance = aWon ? Number(match.win_chance) : 100 - Number(match.win_chance);
+  return `**${winner}** def. ${loser} *(${chance.toFixed(0)}%)*`;
+}
+
+/**
+ * Create the tournament bracket embed - entrants, the latest round's results and the prize split
+ * @param {Object} tournament - Tournament row
+ * @param {Array} entrants - Entrants with name, seed, points and eliminated_round (from getTournamentEntrants)
+ * @param {Array} matches - Matches played so far (from getTournamentMatches)
+ * @param {Array|null} standings - Final standings from calculateStandings(), once it's over
+ * @returns {EmbedBuilder}
+ */
+export function createTournamentEmbed(tournament, entrants, matches = [], standings = null) {
+  const format = TOURNAMENT.FORMATS[tournament.format];
+  const prizePool = Number(tournament.prize_pool);
+  const fee = Number(tournament.entry_fee);
+
+  let status;
+  let color = COLORS.INFO;
+  if (tournament.status === 'open') {
+    status = `📝 **Open for entries** · ${fee > 0 ? `${formatNumber(fee)} gold to enter` : 'free to enter'}\n` +
+      'Join with `/tournament join` - the host starts it with `/tournament start`.';
+  } else if (tournament.status === 'running') {
+    const nextIn = Math.max(0, (new Date(tournament.next_round_at).getTime() - Date.now()) / 1000);
+    status = `⚔️ **Round ${tournament.current_round} of ${tournament.total_rounds}** played · next round in **${formatDuration(nextIn)}**`;
+    color = COLORS.GOLD;
+  } else if (tournament.status === 'completed') {
+    const winner = entrants.find(e => e.guild_id === tournament.winner_guild_id);
+    status = `🏁 **${winner?.name ?? 'Unknown'}** won the tournament!`;
+    color = COLORS.SUCCESS;
+  } else {
+    status = '🚫 Cancelled - every entry fee was refunded.';
+  }
+
+  let entrantLines;
+  if (standings) {
+    entrantLines = standings.map(e =>
+      `\`${`${e.placement}.`.padStart(3, ' ')}\` ${PLACEMENT_EMOJIS[e.placement - 1] || ''} **${e.name}**` +
+      (tournament.format === 'swiss' ? ` · ${e.points} pt${e.points !== 1 ? 's' : ''}` : '')
+    );
+  } else if (tournament.format === 'swiss' && tournament.current_round > 0) {
+    entrantLines = [...entrants]
+      .sort((a, b) => b.points - a.points || a.seed - b.seed)
+      .map(e => `**${e.name}** · ${e.points} pt${e.points !== 1 ? 's' : ''}`);
+  } else {
+    entrantLines = entrants.map(e => {
+      const seed = e.seed ? `\`#${e.seed}\` ` : '';
+      return e.eliminated_round ? `${seed}~~${e.name}~~` : `${seed}**${e.name}**`;
+    });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(color)
+    .setTitle(`${format.emoji} ${tournament.name}`)
+    .setDescription(`${format.label} · 💰 Prize pool: **${formatNumber(prizePool)}** gold\n\n${status}`)
+    .addFields({
+      name: standings ? 'Final Standings' : `Entrants (${entrants.length}/${tournament.max_entrants})`,
+      value: entrantLines.join('\n') || '*Nobody yet.*',
+      inline: false,
+    });
+
+  const latestRound = matches.filter(m => m.round === tournament.current_round);
+  if (latestRound.length > 0) {
+    embed.addFields({
+      name: `Round ${tournament.current_round} Results`,
+      value: latestRound.map(formatTournamentMatch).join('\n'),
+      inline: false,
+    });
+  }
+
+  const prizes = TOURNAMENT.PRIZE_SPLIT.map((share, i) =>
+    `${PLACEMENT_EMOJIS[i]} ${Math.round(share * 100)}%${prizePool > 0 ? ` · ${formatNumber(Math.floor(prizePool * share))} gold` : ''}`
+  );
+  embed.addFields({ name: 'Prizes', value: prizes.join('\n'), inline: false });
+
+  return embed
+    .setFooter({ text: `Tournament #${tournament.id} · matches use /battle odds with no gold at stake` })
+    .setTimestamp();
+}
+
+/**
+ * Create the embed telling a guild it placed in a tournament's prizes
+ * @param {Object} tournament - Completed tournament row
+ * @param {Object} placement - { placement, prize } from calculatePrizes()
+ * @returns {EmbedBuilder}
+ */
+export function createTournamentPrizeEmbed(tournament, placement) {
+  const emoji = PLACEMENT_EMOJIS[placement.placement - 1] || '🏅';
+
+  return new EmbedBuilder()
+    .setColor(COLORS.GOLD)
+    .setTitle(`${emoji} ${placement.placement === 1 ? 'Tournament Champions!' : 'Tournament Prize'}`)
+    .setDescription(`Your guild finished **#${placement.placement}** in **${tournament.name}**.`)
+    .addFields({ name: 'Prize', value: `+${formatNumber(placement.prize)} gold`, inline: true })
+    .setTimestamp();
+}
+
 /**
  * Create an embed for the upgrade shop
  * @param {Array} upgrades - Available upgrades
@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { execute, handleAchievementsButton } from '../../src/commands/achievements.js';
+import { execute as collect } from '../../src/commands/collect.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+import { hoursAgo } from '../helpers/fixtures.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+describe('/achievements', () => {
+  test('rejects players without a guild', async () => {
+    const interaction = createFakeInteraction({ userId: '42' });
+    await execute(interaction);
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('/start');
+  });
+
+  test('lists the first page with progress and page buttons', async () => {
+    memory.insertGuild({ discord_id: '42', lifetime_battles_won: 10 });
+    const interaction = createFakeInteraction({ userId: '42' });
+    await execute(interaction);
+
+    const embed = lastEmbed(interaction);
+    expect(embed.fields.filter(f => f.name.startsWith('✅') || f.name.startsWith('🔒'))).toHaveLength(8);
+    expect(embed.footer.text).toBe(`Page 1 of ${Math.ceil(memory.store.achievements.length / 8)}`);
+
+    const firstBlood = embed.fields.find(f => f.name.endsWith('First Blood'));
+    expect(firstBlood.name).toStartWith('✅');
+    const veteran = embed.fields.find(f => f.name.endsWith('Veteran Warband'));
+    expect(veteran.name).toStartWith('🔒');
+    expect(veteran.value).toContain('10/25');
+
+    // Catching up unlocks what was already earned
+    expect(embed.fields.find(f => f.name === 'ACHIEVEMENT UNLOCKED!').value).toContain('First Blood');
+
+    const [prev, next] = lastResponse(interaction).components[0].components.map(c => c.data);
+    expect(prev.disabled).toBe(true);
+    expect(next.custom_id).toBe('achievements:42:1');
+  });
+
+  test('page buttons flip pages for the owner only', async () => {
+    memory.insertGuild({ discord_id: '42' });
+
+    const owner = createFakeInteraction({ userId: '42', customId: 'achievements:42:1' });
+    await handleAchievementsButton(owner);
+    expect(owner.responses[0].type).toBe('update');
+    expect(lastEmbed(owner).footer.text).toStartWith('Page 2');
+
+    const stranger = createFakeInteraction({ userId: '7', customId: 'achievements:42:1' });
+    await handleAchievementsButton(stranger);
+    expect(lastResponse(stranger).flags).toBe(MessageFlags.Ephemeral);
+  });
+
+  test('collecting past a threshold unlocks the achievement and its bonus', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', gold: 9990, last_collected_at: hoursAgo(2, NOW) });
+    const interaction = createFakeInteraction({ userId: '42' });
+    await collect(interaction);
+
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'ACHIEVEMENT UNLOCKED!').value).toContain('Pocket Change');
+
+    const { achievements } = await memory.guilds.getGuildWithDataById(guild.id);
+    expect(achievements.map(a => a.name)).toContain('Pocket Change');
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { ALLIANCE } from '../../src/config.js';
+import { execute } from '../../src/commands/alliance.js';
+import { execute as collect } from '../../src/commands/collect.js';
+import { handleLeaderboardButton } from '../../src/commands/leaderboard.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { getBuffCost } from '../../src/game/alliances.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+import { hoursAgo } from '../helpers/fixtures.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+/**
+ * Run an /alliance subcommand
+ * @param {string} userId - Discord ID
+ * @param {string} subcommand - Subcommand name
+ * @param {Object} options - Option values (users as { id, username })
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function alliance(userId, subcommand, options = {}) {
+  const interaction = createFakeInteraction({ userId, subcommand, options });
+  await execute(interaction);
+  return interaction;
+}
+
+const user = (id) => ({ id, username: `user${id}` });
+
+/**
+ * Found "Iron Pact" with guild 1 as leader and guild 2 as a member
+ */
+async function setupAlliance() {
+  const leader = memory.insertGuild({ discord_id: '1', name: 'Leader Guild', gold: ALLIANCE.CREATE_COST + 100000 });
+  const member = memory.insertGuild({ discord_id: '2', name: 'Member Guild', gold: 5000 });
+  await alliance('1', 'create', { name: 'Iron Pact' });
+  await alliance('1', 'invite', { user: user('2') });
+  await alliance('2', 'join');
+  return { leader, member };
+}
+
+describe('/alliance create', () => {
+  test('founding costs gold and makes the founder leader', async () => {
+    const guild = memory.insertGuild({ discord_id: '1', gold: ALLIANCE.CREATE_COST + 10 });
+
+    const interaction = await alliance('1', 'create', { name: 'Iron Pact' });
+
+    expect(lastEmbed(interaction).title).toContain('Alliance Founded');
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.gold).toBe(10);
+    expect(updated.alliance_role).toBe('leader');
+    expect((await memory.alliances.getAllianceById(updated.alliance_id)).name).toBe('Iron Pact');
+  });
+
+  test('rejects duplicate names regardless of case', async () => {
+    memory.insertGuild({ discord_id: '1', gold: ALLIANCE.CREATE_COST });
+    memory.insertGuild({ discord_id: '2', gold: ALLIANCE.CREATE_COST });
+    await alliance('1', 'create', { name: 'Iron Pact' });
+
+    const interaction = await alliance('2', 'create', { name: 'iron pact' });
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('already exists');
+  });
+
+  test('requires enough gold', async () => {
+    memory.insertGuild({ discord_id: '1', gold: 10 });
+    const interaction = await alliance('1', 'create', { name: 'Iron Pact' });
+    expect(lastEmbed(interaction).description).toContain('costs');
+  });
+});
+
+describe('/alliance invite and join', () => {
+  test('invited players can join and get a DM', async () => {
+    const { leader, member } = await setupAlliance();
+
+    const updated = await memory.guilds.getGuildById(member.id);
+    expect(updated.alliance_id).toBe((await memory.guilds.getGuildById(leader.id)).alliance_id);
+    expect(updated.alliance_role).toBe('member');
+  });
+
+  test('members cannot invite', async () => {
+    await setupAlliance();
+    memory.insertGuild({ discord_id: '3' });
+
+    const interaction = await alliance('2', 'invite', { user: user('3') });
+    expect(lastEmbed(interaction).description).toContain('leader and officers');
+  });
+
+  test('joining without an invite fails', async () => {
+    await setupAlliance();
+    memory.insertGuild({ discord_id: '3' });
+
+    const interaction = await alliance('3', 'join', { name: 'Iron Pact' });
+    expect(lastEmbed(interaction).description).toContain('open invite');
+  });
+
+  test('invites expire', async () => {
+    memory.insertGuild({ discord_id: '1', gold: ALLIANCE.CREATE_COST });
+    memory.insertGuild({ discord_id: '2' });
+    await alliance('1', 'create', { name: 'Iron Pact' });
+    await alliance('1', 'invite', { user: user('2') });
+
+    setSystemTime(new Date(NOW.getTime() + (ALLIANCE.INVITE_EXPIRY_HOURS + 1) * 60 * 60 * 1000));
+    const interaction = await alliance('2', 'join');
+    expect(lastEmbed(interaction).description).toContain('any open alliance invites');
+  });
+});
+
+describe('/alliance roles', () => {
+  test('leader promotes, kicks and hands over leadership', async () => {
+    const { leader, member } = await setupAlliance();
+    memory.insertGuild({ discord_id: '3', name: 'Third Guild' });
+    await alliance('1', 'invite', { user: user('3') });
+    await alliance('3', 'join');
+
+    await alliance('1', 'promote', { user: user('2') });
+    expect((await memory.guilds.getGuildById(member.id)).alliance_role).toBe('officer');
+
+    // Officers can kick members but not other officers
+    const kick = await alliance('2', 'kick', { user: user('3') });
+    expect(lastEmbed(kick).description).toContain('removed');
+
+    await alliance('1', 'promote', { user: user('2') });
+    expect((await memory.guilds.getGuildById(member.id)).alliance_role).toBe('leader');
+    expect((await memory.guilds.getGuildById(leader.id)).alliance_role).toBe('officer');
+  });
+
+  test('officers cannot kick the leader', async () => {
+    await setupAlliance();
+    await alliance('1', 'promote', { user: user('2') });
+
+    const interaction = await alliance('2', 'kick', { user: user('1') });
+    expect(lastEmbed(interaction).description).toContain('ranked below you');
+  });
+
+  test('a departing leader hands over, and the last member disbands', async () => {
+    const { leader, member } = await setupAlliance();
+    const allianceId = (await memory.guilds.getGuildById(leader.id)).alliance_id;
+
+    const leave = await alliance('1', 'leave');
+    expect(lastEmbed(leave).description).toContain('Member Guild** is the new leader');
+    expect((await memory.guilds.getGuildById(member.id)).alliance_role).toBe('leader');
+
+    const disband = await alliance('2', 'leave');
+    expect(lastEmbed(disband).description).toContain('disbanded');
+    expect(await memory.alliances.getAllianceById(allianceId)).toBeNull();
+  });
+});
+
+describe('/alliance treasury', () => {
+  test('donations move gold into the treasury', async () => {
+    const { member } = await setupAlliance();
+
+    const interaction = await alliance('2', 'donate', { amount: 2000 });
+
+    expect(lastEmbed(interaction).title).toContain('Donation');
+    const updated = await memory.guilds.getGuildById(member.id);
+    expect(updated.gold).toBe(3000);
+    expect(updated.lifetime_alliance_donations).toBe(2000);
+    expect((await memory.alliances.getAllianceById(updated.alliance_id)).treasury).toBe(2000);
+  });
+
+  test('buying a buff spends the treasury and boosts members\' idle income', async () => {
+    const { leader, member } = await setupAlliance();
+    const cost = getBuffCost('gilded_banners', 0);
+    await alliance('1', 'donate', { amount: cost });
+
+    const denied = await alliance('2', 'upgrade', { buff: 'gilded_banners' });
+    expect(lastEmbed(denied).description).toContain('leader and officers');
+
+    const bought = await alliance('1', 'upgrade', { buff: 'gilded_banners' });
+    expect(lastEmbed(bought).title).toContain('Upgraded');
+
+    const allianceId = (await memory.guilds.getGuildById(leader.id)).alliance_id;
+    expect((await memory.alliances.getAllianceById(allianceId)).treasury).toBe(0);
+    expect(await memory.alliances.getAllianceBuffs(allianceId)).toEqual([{ buff_key: 'gilded_banners', level: 1 }]);
+
+    // Member's collection is 2% higher than a lone guild's with the same stats
+    const loner = memory.insertGuild({ discord_id: '9', gold: 0, last_collected_at: hoursAgo(2, NOW) });
+    Object.assign(memory.store.guilds.find(g => g.id === member.id), { gold: 0, last_collected_at: hoursAgo(2, NOW) });
+
+    await collect(createFakeInteraction({ userId: '2' }));
+    await collect(createFakeInteraction({ userId: '9' }));
+
+    const memberGold = (await memory.guilds.getGuildById(member.id)).gold;
+    const lonerGold = (await memory.guilds.getGuildById(loner.id)).gold;
+    expect(memberGold).toBeGreaterThan(lonerGold);
+    expect(memberGold).toBeLessThanOrEqual(Math.ceil(lonerGold * 1.02) + 1);
+  });
+
+  test('cannot buy with an empty treasury', async () => {
+    await setupAlliance();
+    const interaction = await alliance('1', 'upgrade', { buff: 'war_college' });
+    expect(lastEmbed(interaction).description).toContain('treasury has');
+  });
+});
+
+describe('alliance leaderboard', () => {
+  test('ranks alliances by combined member lifetime gold', async () => {
+    const { leader, member } = await setupAlliance();
+    memory.store.guilds.find(g => g.id === leader.id).lifetime_gold_earned = 1000;
+    memory.store.guilds.find(g => g.id === member.id).lifetime_gold_earned = 2000;
+
+    memory.insertGuild({ discord_id: '3', gold: ALLIANCE.CREATE_COST, lifetime_gold_earned: 2500 });
+    await alliance('3', 'create', { name: 'Solo Act' });
+
+    const interaction = createFakeInteraction({ userId: '2', customId: 'leaderboard:alliance:global' });
+    await handleLeaderboardButton(interaction);
+
+    const { description } = lastEmbed(interaction);
+    expect(description).toContain('Mightiest Alliances');
+    expect(description).toContain('Your Alliance: **#1** of 2');
+    expect(description.indexOf('Iron Pact')).toBeLessThan(description.indexOf('Solo Act'));
+    expect(description).toContain('3.00K (2 members)');
+  });
+
+  test('shows an empty message with no alliances', async () => {
+    memory.insertGuild({ discord_id: '1' });
+    const interaction = createFakeInteraction({ userId: '1', customId: 'leaderboard:alliance:global' });
+    await handleLeaderboardButton(interaction);
+    expect(lastEmbed(interaction).description).toContain('No alliances founded yet!');
+  });
+});
@@ -0,0 +1,524 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { execute, handleBattleAccept, handleBattleDecline, handleFreeRevenge, restorePendingChallenges } from '../../src/commands/battle.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+// A roll of 0 always wins for the attacker, 0.99 always loses (win chance is clamped to 35-65%)
+const ATTACKER_WINS = [0];
+const ATTACKER_LOSES = [0.99];
+
+let memory;
+
+beforeEach(() => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+});
+
+/**
+ * Run /battle as the given user
+ * @param {string} userId - Attacker's Discord ID
+ * @param {Object} options - Slash command options
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function battle(userId, options) {
+  const interaction = createFakeInteraction({ userId, options });
+  await execute(interaction);
+  return interaction;
+}
+
+describe('/battle validation', () => {
+  test('requires a target or random', async () => {
+    const interaction = await battle('1', { bet: 10 });
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('specify a user');
+  });
+
+  test('rejects bets larger than the attacker\'s gold', async () => {
+    memory.insertGuild({ discord_id: '1', gold: 50 });
+    memory.insertGuild({ discord_id: '2' });
+
+    const interaction = await battle('1', { bet: 100, user: { id: '2', username: 'defender' } });
+    expect(lastEmbed(interaction).description).toContain('enough gold');
+  });
+
+  test('rejects battling yourself', async () => {
+    memory.insertGuild({ discord_id: '1', gold: 500 });
+
+    const interaction = await battle('1', { bet: 10, user: { id: '1', username: 'tester' } });
+    expect(lastEmbed(interaction).description).toContain('battle yourself');
+  });
+
+  test('random battle needs another guild', async () => {
+    memory.insertGuild({ discord_id: '1', gold: 500 });
+
+    const interaction = await battle('1', { bet: 10, random: true });
+    expect(lastEmbed(interaction).description).toContain('No other guilds');
+  });
+
+  test('server-only matchmaking needs a server', async () => {
+    memory.insertGuild({ discord_id: '1', gold: 500 });
+
+    const interaction = await battle('1', { bet: 10, random: true, server_only: true });
+    expect(lastEmbed(interaction).description).toContain('only available inside a server');
+  });
+});
+
+describe('/battle server-only random', () => {
+  test('only matches guilds seen in the same server', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_WINS));
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500 });
+    const outsider = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const neighbour = memory.insertGuild({ discord_id: '3', gold: 300 });
+    await memory.servers.recordServerMembership('1', 'server-a');
+    await memory.servers.recordServerMembership('2', 'server-b');
+    await memory.servers.recordServerMembership('3', 'server-a');
+
+    const interaction = createFakeInteraction({
+      userId: '1',
+      guildId: 'server-a',
+      options: { bet: 100, random: true, server_only: true },
+    });
+    await execute(interaction);
+
+    expect((await memory.guilds.getGuildById(neighbour.id)).gold).toBe(200);
+    expect((await memory.guilds.getGuildById(outsider.id)).gold).toBe(300);
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(600);
+  });
+
+  test('reports when nobody else in the server has a guild', async () => {
+    memory.insertGuild({ discord_id: '1', gold: 500 });
+    memory.insertGuild({ discord_id: '2', gold: 300 });
+    await memory.servers.recordServerMembership('1', 'server-a');
+    await memory.servers.recordServerMembership('2', 'server-b');
+
+    const interaction = createFakeInteraction({
+      userId: '1',
+      guildId: 'server-a',
+      options: { bet: 100, random: true, server_only: true },
+    });
+    await execute(interaction);
+
+    expect(lastEmbed(interaction).description).toContain('No other guilds in this server');
+  });
+});
+
+describe('/battle auto-resolved', () => {
+  test('attacker win transfers the bet and records the battle', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_WINS));
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300, xp: 1000 });
+
+    const interaction = await battle('1', { bet: 100, user: { id: '2', username: 'defender' } });
+
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(600);
+    expect((await memory.guilds.getGuildById(defender.id)).gold).toBe(200);
+
+    const updatedAttacker = await memory.guilds.getGuildById(attacker.id);
+    expect(updatedAttacker.lifetime_battles_won).toBe(1);
+    expect(updatedAttacker.battles_today).toBe(1);
+    // XP bonus is 1% of the loser's XP when the roll is 0
+    expect(updatedAttacker.xp).toBe(10);
+
+    const [record] = await memory.battles.getBattleHistory(attacker.id);
+    expect(record.winner_id).toBe(attacker.id);
+    expect(record.gold_transferred).toBe(100);
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toBe('BATTLE RESULTS');
+    expect(embed.fields[0].value).toContain('<@1>');
+    expect(embed.fields.find(f => f.name === 'Combat Log').value).toContain('line breaks in round');
+    expect(record.combat_log.at(-1).defenderHp).toBe(0);
+  });
+
+  test('the winner can find an item', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_WINS));
+    const attacker = memory.insertGuild({ discord_id: '1', name: 'Winners', gold: 500 });
+    memory.insertGuild({ discord_id: '2', gold: 300 });
+
+    const interaction = await battle('1', { bet: 100, user: { id: '2', username: 'defender' } });
+
+    const [item] = await memory.items.getInventory(attacker.id);
+    expect(item.source).toBe('battle');
+    const field = lastEmbed(interaction).fields.find(f => f.name === 'ITEM FOUND!');
+    expect(field.value).toContain('**Winners** found:');
+    expect(field.value).toContain(item.name);
+  });
+
+  test('attacker loss hands the bet to the defender', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_LOSES));
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+
+    await battle('1', { bet: 100, random: true });
+
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(400);
+    const updatedDefender = await memory.guilds.getGuildById(defender.id);
+    expect(updatedDefender.gold).toBe(400);
+    expect(updatedDefender.lifetime_battles_won).toBe(1);
+  });
+
+  test('DMs the defender when battle notifications are enabled', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_WINS));
+    memory.insertGuild({ discord_id: '1', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    await memory.notifications.enableBattleNotifications(defender.id);
+
+    const interaction = await battle('1', { bet: 100, user: { id: '2', username: 'defender' } });
+
+    expect(interaction.dms).toHaveLength(1);
+    expect(interaction.dms[0].userId).toBe('2');
+    expect(interaction.dms[0].payload.embeds[0].toJSON().title).toBe('Your Guild Was Attacked!');
+  });
+});
+
+describe('/battle bounties', () => {
+  test('beating a wanted guild claims its bounties', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_WINS));
+    const attacker = memory.insertGuild({ discord_id: '1', name: 'Hunters', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const poster = memory.insertGuild({ discord_id: '3', gold: 5000 });
+    await memory.bounties.createBounty({
+      posterGuildId: poster.id, targetGuildId: defender.id, amount: 2000, fee: 100, durationHours: 48, maxPerTarget: 5, maxPerPoster: 3,
+    });
+
+    const interaction = await battle('1', { bet: 100, user: { id: '2', username: 'defender' } });
+
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(2600);
+    const [record] = await memory.battles.getBattleHistory(attacker.id);
+    expect((await memory.bounties.getBountyById(1)).battle_id).toBe(record.id);
+    const field = lastEmbed(interaction).fields.find(f => f.name === '🎯 Bounty Claimed');
+    expect(field.value).toContain('**Hunters** collects **2.00K** gold from 1 bounty');
+  });
+
+  test('losing to a wanted guild leaves its bounties up', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_LOSES));
+    memory.insertGuild({ discord_id: '1', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const poster = memory.insertGuild({ discord_id: '3', gold: 5000 });
+    await memory.bounties.createBounty({
+      posterGuildId: poster.id, targetGuildId: defender.id, amount: 2000, fee: 100, durationHours: 48, maxPerTarget: 5, maxPerPoster: 3,
+    });
+
+    await battle('1', { bet: 100, user: { id: '2', username: 'defender' } });
+
+    expect((await memory.bounties.getBountyById(1)).status).toBe('active');
+  });
+});
+
+describe('/battle rating', () => {
+  test('rated battles move both ratings and show the change', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_WINS));
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+
+    const interaction = await battle('1', { bet: 100, user: { id: '2', username: 'defender' } });
+
+    expect((await memory.guilds.getGuildById(attacker.id)).rating).toBe(1016);
+    expect((await memory.guilds.getGuildById(defender.id)).rating).toBe(984);
+    const field = lastEmbed(interaction).fields.find(f => f.name === 'Battle Rating');
+    expect(field.value).toContain('1000 → 1016 (+16)');
+    expect(field.value).toContain('1000 → 984 (-16)');
+  });
+
+  test('ranked random battles pick an opponent near the attacker\'s rating', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_WINS));
+    memory.insertGuild({ discord_id: '1', gold: 500, rating: 1000 });
+    const far = memory.insertGuild({ discord_id: '2', gold: 300, rating: 1600 });
+    const close = memory.insertGuild({ discord_id: '3', gold: 300, rating: 1050 });
+
+    await battle('1', { bet: 100, random: true, ranked: true });
+
+    expect((await memory.guilds.getGuildById(close.id)).gold).toBe(200);
+    expect((await memory.guilds.getGuildById(far.id)).gold).toBe(300);
+  });
+
+  test('ranked random battles report when nobody is close enough', async () => {
+    memory.insertGuild({ discord_id: '1', gold: 500, rating: 1000 });
+    memory.insertGuild({ discord_id: '2', gold: 300, rating: 1800 });
+
+    const interaction = await battle('1', { bet: 100, random: true, ranked: true });
+
+    expect(lastEmbed(interaction).description).toContain('No guilds close to your rating');
+  });
+});
+
+describe('/battle defense', () => {
+  test('the defender\'s defense lowers the attacker\'s win chance', async () => {
+    // 0.47 beats an even battle, but not one against a Palisade (-1%) and 2 of 5 adventurers on guard (-4%)
+    setRandomSource(createSequenceRandom([0.47]));
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500 });
+    memory.insertGuild({ discord_id: '2', gold: 300, fortification_level: 1, adventurers_guarding: 2 });
+
+    const interaction = await battle('1', { bet: 100, user: { id: '2', username: 'defender' } });
+
+    const stats = lastEmbed(interaction).fields.find(f => f.name === 'Battle Stats').value;
+    expect(stats).toContain('Defender Defense: **-5.0%**');
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(400);
+  });
+});
+
+const CONSENT_TIMEOUT_MS = 30 * 1000;
+const FREE_REVENGE_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Lock a bet and save a consent challenge between two guilds, as /battle does
+ * @param {Object} attacker - Challenger's guild
+ * @param {Object} defender - Challenged guild
+ * @param {number} bet - Bet to lock
+ * @returns {Promise<Object>} The pending challenge
+ */
+async function openChallenge(attacker, defender, bet = 100) {
+  return memory.challenges.createChallenge({
+    attackerGuildId: attacker.id,
+    defenderGuildId: defender.id,
+    attackerDiscordId: attacker.discord_id,
+    defenderDiscordId: defender.discord_id,
+    betAmount: bet,
+    timeoutMs: CONSENT_TIMEOUT_MS,
+  });
+}
+
+describe('/battle consent challenges', () => {
+  afterEach(() => {
+    setSystemTime();
+  });
+
+  test('challenging a much weaker guild holds the bet and saves the challenge', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500, adventurer_count: 200 });
+    memory.insertGuild({ discord_id: '2', gold: 300 });
+
+    const interaction = createFakeInteraction({ userId: '1', options: { bet: 100, user: { id: '2', username: 'defender' } }, channelId: 'channel-1' });
+    await execute(interaction);
+
+    expect(lastEmbed(interaction).title).toBe('Battle Challenge!');
+    const buttons = lastResponse(interaction).components[0].toJSON().components;
+    expect(buttons.map(b => b.custom_id)).toEqual(['battle_accept:1', 'battle_decline:1']);
+
+    const challenge = await memory.challenges.getChallengeById(1);
+    expect(challenge.status).toBe('pending');
+    expect(challenge.defender_discord_id).toBe('2');
+    expect(challenge.channel_id).toBe('channel-1');
+    expect(challenge.message_id).toMatch(/^message-/);
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(400);
+  });
+
+  test('the bet is locked together with the saved challenge', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500, adventurer_count: 200 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+
+    // Can't cover the bet - nothing is taken and nothing is saved
+    expect(await openChallenge(attacker, defender, 600)).toBeNull();
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(500);
+    expect(memory.store.battleChallenges).toHaveLength(0);
+
+    const challenge = await openChallenge(attacker, defender, 200);
+    expect(challenge.bet_amount).toBe(200);
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(300);
+  });
+
+  test('accepting resolves the battle using the locked bet', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_LOSES));
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500, adventurer_count: 200 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const challenge = await openChallenge(attacker, defender);
+
+    const interaction = createFakeInteraction({ userId: '2', customId: `battle_accept:${challenge.id}` });
+    await handleBattleAccept(interaction);
+
+    expect(interaction.responses[0].type).toBe('update');
+    expect(lastEmbed(interaction).title).toBe('BATTLE RESULTS');
+    // Bet was locked up front, then the loss is taken from what remains
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(300);
+    expect((await memory.guilds.getGuildById(defender.id)).gold).toBe(400);
+    expect((await memory.challenges.getChallengeById(challenge.id)).status).toBe('accepted');
+
+    // A second press can't replay it
+    const again = createFakeInteraction({ userId: '2', customId: `battle_accept:${challenge.id}` });
+    await handleBattleAccept(again);
+    expect(lastEmbed(again).description).toContain('already been answered');
+    expect((await memory.guilds.getGuildById(defender.id)).gold).toBe(400);
+  });
+
+  test('only the challenged player can accept', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const challenge = await openChallenge(attacker, defender);
+
+    const interaction = createFakeInteraction({ userId: '3', customId: `battle_accept:${challenge.id}` });
+    await handleBattleAccept(interaction);
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('Only the challenged player');
+  });
+
+  test('ignores a forged button payload', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+
+    const interaction = createFakeInteraction({ userId: '2', customId: `battle_accept:1:2:100:${attacker.id}:${defender.id}` });
+    await handleBattleAccept(interaction);
+
+    expect(lastEmbed(interaction).description).toContain('already been answered');
+    expect(memory.store.battles).toHaveLength(0);
+  });
+
+  test('accepting after the timer was lost expires the challenge and refunds it', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500, adventurer_count: 200 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const challenge = await openChallenge(attacker, defender);
+    setSystemTime(new Date(Date.now() + CONSENT_TIMEOUT_MS));
+
+    const interaction = createFakeInteraction({ userId: '2', customId: `battle_accept:${challenge.id}` });
+    await handleBattleAccept(interaction);
+
+    expect(lastEmbed(interaction).title).toBe('Challenge Expired');
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(500);
+    expect(memory.store.battles).toHaveLength(0);
+  });
+
+  test('declining refunds the locked bet once', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const challenge = await openChallenge(attacker, defender);
+
+    const interaction = createFakeInteraction({ userId: '2', customId: `battle_decline:${challenge.id}` });
+    await handleBattleDecline(interaction);
+
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(500);
+    expect(lastEmbed(interaction).title).toBe('Challenge Declined');
+
+    const again = createFakeInteraction({ userId: '2', customId: `battle_decline:${challenge.id}` });
+    await handleBattleDecline(again);
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(500);
+  });
+
+  test('the challenger can withdraw, but nobody else can decline', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const challenge = await openChallenge(attacker, defender);
+
+    const stranger = createFakeInteraction({ userId: '3', customId: `battle_decline:${challenge.id}` });
+    await handleBattleDecline(stranger);
+    expect(lastEmbed(stranger).description).toContain('isn\'t yours to decline');
+
+    const withdrawn = createFakeInteraction({ userId: '1', customId: `battle_decline:${challenge.id}` });
+    await handleBattleDecline(withdrawn);
+    expect(lastEmbed(withdrawn).title).toBe('Challenge Withdrawn');
+    expect((await memory.challenges.getChallengeById(challenge.id)).status).toBe('cancelled');
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(500);
+  });
+
+  test('restoring refunds challenges that expired while offline and edits their message', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const stale = await openChallenge(attacker, defender);
+    await memory.challenges.setChallengeMessage(stale.id, 'channel-1', 'message-1');
+    setSystemTime(new Date(Date.now() + CONSENT_TIMEOUT_MS));
+    const live = await openChallenge(attacker, defender, 50);
+
+    const edits = [];
+    const client = {
+      channels: {
+        async fetch(channelId) {
+          return {
+            messages: {
+              async fetch(messageId) {
+                return { async edit(payload) { edits.push({ channelId, messageId, payload }); } };
+              },
+            },
+          };
+        },
+      },
+    };
+
+    expect(await restorePendingChallenges(client)).toEqual({ restored: 1, expired: 1 });
+
+    expect((await memory.challenges.getChallengeById(stale.id)).status).toBe('expired');
+    expect((await memory.challenges.getChallengeById(live.id)).status).toBe('pending');
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(450);
+    expect(edits).toHaveLength(1);
+    expect(edits[0].messageId).toBe('message-1');
+    expect(edits[0].payload.embeds[0].toJSON().title).toBe('Challenge Expired');
+  });
+});
+
+describe('/battle free revenge', () => {
+  afterEach(() => {
+    setSystemTime();
+  });
+
+  test('a lopsided battle opens a saved revenge window for the defender', async () => {
+    setRandomSource(createSequenceRandom(ATTACKER_WINS));
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 500, adventurer_count: 200 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const challenge = await openChallenge(attacker, defender);
+
+    const interaction = createFakeInteraction({ userId: '2', customId: `battle_accept:${challenge.id}` });
+    await handleBattleAccept(interaction);
+
+    const buttons = lastResponse(interaction).components[0].toJSON().components;
+    expect(buttons[0].custom_id).toBe('battle_free_revenge:1');
+
+    const token = await memory.challenges.getRevengeTokenById(1);
+    const [record] = await memory.battles.getBattleHistory(attacker.id);
+    expect(token.battle_id).toBe(record.id);
+    expect(token.defender_discord_id).toBe('2');
+    expect(token.attacker_discord_id).toBe('1');
+  });
+
+  test('the defender can use it once', async () => {
+    setRandomSource(createSequenceRandom([0.5]));
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 5000, adventurer_count: 200 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const token = await memory.challenges.createRevengeToken({
+      battleId: null,
+      attackerGuildId: attacker.id,
+      defenderGuildId: defender.id,
+      attackerDiscordId: '1',
+      defenderDiscordId: '2',
+      timeoutMs: FREE_REVENGE_TIMEOUT_MS,
+    });
+
+    const stranger = createFakeInteraction({ userId: '3', customId: `battle_free_revenge:${token.id}` });
+    await handleFreeRevenge(stranger);
+    expect(lastEmbed(stranger).description).toContain('Only the original defender');
+
+    const interaction = createFakeInteraction({ userId: '2', customId: `battle_free_revenge:${token.id}` });
+    await handleFreeRevenge(interaction);
+    expect(lastEmbed(interaction).title).toBe('FREE REVENGE RESULTS');
+    expect((await memory.challenges.getRevengeTokenById(token.id)).status).toBe('used');
+
+    const again = createFakeInteraction({ userId: '2', customId: `battle_free_revenge:${token.id}` });
+    await handleFreeRevenge(again);
+    expect(lastEmbed(again).description).toContain('already took your Free Revenge');
+    expect(memory.store.battles).toHaveLength(1);
+  });
+
+  test('the window closes after five minutes', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', gold: 5000, adventurer_count: 200 });
+    const defender = memory.insertGuild({ discord_id: '2', gold: 300 });
+    const token = await memory.challenges.createRevengeToken({
+      battleId: null,
+      attackerGuildId: attacker.id,
+      defenderGuildId: defender.id,
+      attackerDiscordId: '1',
+      defenderDiscordId: '2',
+      timeoutMs: FREE_REVENGE_TIMEOUT_MS,
+    });
+    setSystemTime(new Date(Date.now() + FREE_REVENGE_TIMEOUT_MS));
+
+    const interaction = createFakeInteraction({ userId: '2', customId: `battle_free_revenge:${token.id}` });
+    await handleFreeRevenge(interaction);
+
+    expect(lastEmbed(interaction).description).toContain('Free Revenge has expired');
+    expect(memory.store.battles).toHaveLength(0);
+  });
+});
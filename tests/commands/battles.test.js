@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { execute } from '../../src/commands/battles.js';
+import { execute as executeBattle } from '../../src/commands/battle.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+let memory;
+
+beforeEach(() => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  // Every roll is 0: the attacker wins
+  setRandomSource(createSequenceRandom([0]));
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+});
+
+/**
+ * Fight a battle between two fresh guilds and return its record
+ */
+async function fightBattle() {
+  const attacker = memory.insertGuild({ discord_id: '1', name: 'Raiders', gold: 500 });
+  memory.insertGuild({ discord_id: '2', name: 'Keep', gold: 300 });
+  await executeBattle(createFakeInteraction({ userId: '1', options: { bet: 100, user: { id: '2', username: 'keep' } } }));
+  const [battle] = await memory.battles.getBattleHistory(attacker.id);
+  return battle;
+}
+
+describe('/battles', () => {
+  test('lists each battle with its ID', async () => {
+    const battle = await fightBattle();
+
+    const interaction = createFakeInteraction({ userId: '1' });
+    await execute(interaction);
+
+    expect(lastEmbed(interaction).description).toContain(`\`#${battle.id}\``);
+    expect(lastEmbed(interaction).footer.text).toContain('/battles replay:<id>');
+  });
+});
+
+describe('/battles replay', () => {
+  test('replays a battle\'s stored combat log', async () => {
+    const battle = await fightBattle();
+    expect(battle.combat_log).toHaveLength(3);
+
+    const interaction = createFakeInteraction({ userId: '2', options: { replay: battle.id } });
+    await execute(interaction);
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toBe(`⚔️ Battle #${battle.id} Replay`);
+    const log = embed.fields.find(f => f.name === 'Combat Log').value;
+    expect(log).toContain('⚔️ Raiders vs 🛡️ Keep');
+    expect(log).toContain('**Keep**\'s line breaks in round 3!');
+    expect(embed.fields.find(f => f.name === 'Result').value).toContain('Winner: **Raiders** (attacker)');
+  });
+
+  test('says so when a battle has no combat log', async () => {
+    const battle = await fightBattle();
+    memory.store.battles[0].combat_log = null;
+
+    const interaction = createFakeInteraction({ userId: '1', options: { replay: battle.id } });
+    await execute(interaction);
+
+    expect(lastEmbed(interaction).fields[0].value).toContain('before combat logs were kept');
+  });
+
+  test('rejects unknown battle IDs', async () => {
+    const interaction = createFakeInteraction({ userId: '1', options: { replay: 99 } });
+    await execute(interaction);
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('There is no battle **#99**');
+  });
+});
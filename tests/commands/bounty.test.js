@@ -0,0 +1,140 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { BOUNTY, TRADE } from '../../src/config.js';
+import { execute } from '../../src/commands/bounty.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { calculateBountyFee } from '../../src/game/bounties.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  memory.insertGuild({ discord_id: '1', name: 'Posters', level: 10, gold: 10000 });
+  memory.insertGuild({ discord_id: '2', name: 'Wanted', level: 10, gold: 1000 });
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+/**
+ * Run a /bounty subcommand
+ * @param {string} userId - Discord ID
+ * @param {string} subcommand - Subcommand name
+ * @param {Object} options - Option values
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function bounty(userId, subcommand, options = {}) {
+  const interaction = createFakeInteraction({ userId, subcommand, options });
+  await execute(interaction);
+  return interaction;
+}
+
+const WANTED = { id: '2', username: 'wanted' };
+
+describe('/bounty', () => {
+  test('needs a guild', async () => {
+    const interaction = await bounty('42', 'list');
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('/start');
+  });
+
+  test('placing escrows the gold and tells the target', async () => {
+    await memory.notifications.enableBattleNotifications(memory.store.guilds[1].id);
+
+    const interaction = await bounty('1', 'place', { user: WANTED, amount: 2000 });
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toBe('🎯 Bounty Posted');
+    expect(embed.description).toContain('**2.00K** gold on **Wanted**');
+    expect(embed.footer.text).toContain('Bounty #1');
+    expect(embed.description).toContain('**100** posting fee isn\'t refunded');
+    expect(memory.store.guilds[0].gold).toBe(10000 - 2000 - calculateBountyFee(2000));
+
+    expect(interaction.dms).toHaveLength(1);
+    expect(interaction.dms[0].userId).toBe('2');
+    expect(interaction.dms[0].payload.embeds[0].toJSON().title).toBe('🎯 A Bounty Is On Your Head');
+  });
+
+  test('rejects yourself, guildless targets and amounts you can\'t cover', async () => {
+    const self = await bounty('1', 'place', { user: { id: '1', username: 'me' }, amount: 1000 });
+    expect(lastEmbed(self).description).toContain('your own guild');
+
+    const nobody = await bounty('1', 'place', { user: { id: '9', username: 'nobody' }, amount: 1000 });
+    expect(lastEmbed(nobody).description).toContain('doesn\'t have a guild');
+
+    const broke = await bounty('2', 'place', { user: { id: '1', username: 'posters' }, amount: 1000 });
+    expect(lastEmbed(broke).description).toContain('including the **50** posting fee');
+
+    expect(memory.store.bounties).toHaveLength(0);
+  });
+
+  test('needs the trading level and stays inside the daily sending limit', async () => {
+    memory.insertGuild({ discord_id: '3', name: 'Alt', level: TRADE.MIN_LEVEL - 1, gold: 100000 });
+    const alt = await bounty('3', 'place', { user: WANTED, amount: 1000 });
+    expect(lastEmbed(alt).description).toContain(`level **${TRADE.MIN_LEVEL}**`);
+
+    // Level 10 can send 15,000 a day - 9,000 of it already went out as a trade offer
+    memory.store.guilds[0].gold = 100000;
+    await memory.trades.createTradeOffer(memory.store.guilds[0].id, memory.store.guilds[1].id, 9000);
+    const over = await bounty('1', 'place', { user: WANTED, amount: 7000 });
+    expect(lastEmbed(over).description).toContain('over your daily trading limit');
+    expect(lastEmbed(over).description).toContain('**6.00K** more gold');
+
+    expect(memory.store.bounties).toHaveLength(0);
+  });
+
+  test('enforces the per-poster limit', async () => {
+    for (let i = 0; i < BOUNTY.MAX_PER_POSTER; i++) {
+      memory.insertGuild({ discord_id: `t${i}`, name: `Target ${i}` });
+      await bounty('1', 'place', { user: { id: `t${i}`, username: 'target' }, amount: 500 });
+    }
+
+    const interaction = await bounty('1', 'place', { user: WANTED, amount: 500 });
+    expect(lastEmbed(interaction).description).toContain(`already have ${BOUNTY.MAX_PER_POSTER} bounties`);
+    expect(memory.store.guilds[0].gold).toBe(10000 - BOUNTY.MAX_PER_POSTER * (500 + calculateBountyFee(500)));
+  });
+
+  test('list shows the board, one target\'s bounties and your own', async () => {
+    await bounty('1', 'place', { user: WANTED, amount: 2000 });
+    await bounty('1', 'place', { user: WANTED, amount: 500 });
+
+    const board = lastEmbed(await bounty('1', 'list'));
+    expect(board.title).toBe('🎯 Most Wanted');
+    expect(board.description).toContain('**Wanted** — **2.50K** gold (2 bounties, next expires in 48h)');
+    expect(board.fields[0].name).toBe(`Your Bounties (2/${BOUNTY.MAX_PER_POSTER})`);
+
+    const single = lastEmbed(await bounty('2', 'list', { user: WANTED }));
+    expect(single.title).toBe('🎯 Bounties on Wanted');
+    expect(single.description).toContain('Total: **2.50K** gold');
+    expect(single.description).toContain('`#1` **2.00K** gold from Posters');
+    expect(single.fields ?? []).toHaveLength(0);
+  });
+
+  test('the board explains itself when it\'s empty', async () => {
+    const interaction = await bounty('2', 'list');
+    expect(lastEmbed(interaction).description).toContain('bounty board is empty');
+  });
+
+  test('cancelling refunds your own bounty only', async () => {
+    await bounty('1', 'place', { user: WANTED, amount: 2000 });
+
+    const stranger = await bounty('2', 'cancel', { id: 1 });
+    expect(lastEmbed(stranger).description).toContain('haven\'t posted a bounty #1');
+
+    const cancelled = await bounty('1', 'cancel', { id: 1 });
+    expect(lastEmbed(cancelled).title).toBe('🎯 Bounty Cancelled');
+    expect(lastEmbed(cancelled).description).toContain('posting fee isn\'t refunded');
+    expect(memory.store.guilds[0].gold).toBe(10000 - calculateBountyFee(2000));
+
+    const again = await bounty('1', 'cancel', { id: 1 });
+    expect(lastEmbed(again).description).toContain('already been cancelled');
+  });
+});
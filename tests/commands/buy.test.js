@@ -0,0 +1,125 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from 'bun:test';
+import { handleModal, handleSelectMenu } from '../../src/commands/buy.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { initializeCache } from '../../src/database/cache.js';
+import { MORALE } from '../../src/config.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+let memory;
+let jobBoard;
+let guildScouts;
+
+/**
+ * Submit the quantity modal for the given upgrades
+ * @param {string[]} names - Upgrade names in modal order
+ * @param {string[]} quantities - Quantity inputs in the same order
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function submitModal(names, quantities) {
+  const fields = Object.fromEntries(quantities.map((qty, i) => [`qty_${i}`, qty]));
+  const interaction = createFakeInteraction({
+    userId: '42',
+    customId: `buy_modal:${names.join(',')}`,
+    fields,
+  });
+  await handleModal(interaction);
+  return interaction;
+}
+
+// Every memory store seeds the same catalogue, so the upgrade cache only needs loading once
+beforeAll(async () => {
+  setRepositories(createMemoryRepositories());
+  await initializeCache();
+});
+
+beforeEach(async () => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  jobBoard = await memory.upgrades.getUpgradeByName('Job Board');
+  guildScouts = await memory.upgrades.getUpgradeByName('Guild Scouts');
+});
+
+afterEach(() => {
+  resetRepositories();
+});
+
+describe('/buy modal', () => {
+  test('buys the requested number of levels and charges the bulk cost', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', gold: 1000 });
+    const interaction = await submitModal(['Job Board'], ['2']);
+
+    // 50 + floor(50 * 1.25)
+    const expectedCost = 50 + 62;
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.gold).toBe(1000 - expectedCost);
+    expect(updated.lifetime_gold_spent).toBe(expectedCost);
+    expect(updated.lifetime_upgrades_purchased).toBe(2);
+    expect(await memory.upgrades.getGuildUpgradeLevel(guild.id, jobBoard.id)).toBe(2);
+
+    expect(interaction.deferred).toBe(true);
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toBe('Purchases Complete!');
+    expect(embed.description).toContain('(0 -> 2)');
+  });
+
+  test('"max" buys as many levels as the guild can afford', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', gold: 200 });
+    await submitModal(['Job Board'], ['max']);
+
+    // 50 + 62 + 78 = 190, the next level (97) is unaffordable
+    expect(await memory.upgrades.getGuildUpgradeLevel(guild.id, jobBoard.id)).toBe(3);
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(10);
+  });
+
+  test('falls back to the affordable amount when the request is too expensive', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', gold: 120 });
+    await submitModal(['Job Board'], ['10']);
+
+    expect(await memory.upgrades.getGuildUpgradeLevel(guild.id, jobBoard.id)).toBe(2);
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(8);
+  });
+
+  test('skips upgrades the guild cannot afford or has maxed', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', gold: 10 });
+    await memory.upgrades.purchaseUpgradeMultiple(guild.id, guildScouts.id, guildScouts.max_level, 0);
+
+    const interaction = await submitModal(['Job Board', 'Guild Scouts'], ['1', '1']);
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toBe('No Purchases Made');
+    const skipped = embed.fields.find(f => f.name === 'Skipped').value;
+    expect(skipped).toContain('Job Board: Cannot afford');
+    expect(skipped).toContain('Guild Scouts: Already at max level');
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(10);
+  });
+
+  test('new facilities lift morale', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', gold: 1000, morale: 50, morale_updated_at: new Date() });
+    const interaction = await submitModal(['Training Grounds'], ['2']);
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(Number(updated.morale)).toBe(50 + 2 * MORALE.FACILITIES_RESTORE_PER_LEVEL);
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Morale').value).toContain('70%');
+  });
+
+  test('reports invalid quantities without purchasing', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', gold: 1000 });
+    const interaction = await submitModal(['Job Board'], ['lots']);
+
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Skipped').value).toContain('Invalid quantity');
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(1000);
+  });
+});
+
+describe('/buy select menu', () => {
+  test('opens a quantity modal for the selected upgrades', async () => {
+    memory.insertGuild({ discord_id: '42' });
+    const interaction = createFakeInteraction({ userId: '42', values: ['Job Board', 'Guild Scouts'] });
+    await handleSelectMenu(interaction);
+
+    const modal = lastResponse(interaction).toJSON();
+    expect(modal.custom_id).toBe('buy_modal:Job Board,Guild Scouts');
+    expect(modal.components).toHaveLength(2);
+  });
+});
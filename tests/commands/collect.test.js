@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { execute } from '../../src/commands/collect.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { calculateRates, calculateUpgradeBonuses, calculatePrestigeBonuses } from '../../src/game/idle.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+import { hoursAgo } from '../helpers/fixtures.js';
+import { MORALE } from '../../src/config.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+describe('/collect', () => {
+  test('rejects players without a guild', async () => {
+    const interaction = createFakeInteraction({ userId: '42' });
+    await execute(interaction);
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('/start');
+  });
+
+  test('rejects collecting again within a minute', async () => {
+    memory.insertGuild({ discord_id: '42', last_collected_at: new Date(NOW.getTime() - 30 * 1000) });
+    const interaction = createFakeInteraction({ userId: '42' });
+    await execute(interaction);
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('just returned');
+  });
+
+  test('credits idle gold and XP and updates lifetime stats', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', gold: 100, last_collected_at: hoursAgo(2, NOW) });
+    const rates = calculateRates(guild, calculateUpgradeBonuses([]), calculatePrestigeBonuses(guild, []));
+    const expectedGold = Math.floor(rates.goldPerHour * 2);
+    const expectedXp = Math.floor(rates.xpPerHour * 2);
+
+    const interaction = createFakeInteraction({ userId: '42' });
+    await execute(interaction);
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.gold).toBe(100 + expectedGold);
+    expect(updated.lifetime_gold_earned).toBe(expectedGold);
+    expect(updated.lifetime_xp_earned).toBe(expectedXp);
+    expect(updated.last_collected_at.getTime()).toBe(NOW.getTime());
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toBe('Resources Collected!');
+    expect(embed.fields.find(f => f.name === 'Gold Earned').value).toBe(`+${expectedGold}`);
+  });
+
+  test('applies level-ups from collected XP', async () => {
+    memory.insertGuild({ discord_id: '42', xp: 1_000_000, last_collected_at: hoursAgo(1, NOW) });
+    const interaction = createFakeInteraction({ userId: '42' });
+    await execute(interaction);
+
+    const updated = await memory.guilds.getGuildByDiscordId('42');
+    expect(updated.level).toBeGreaterThan(1);
+  });
+
+  test('gathers crafting materials while the guild was idle', async () => {
+    setRandomSource(() => 0.99);
+    const guild = memory.insertGuild({ discord_id: '42', last_collected_at: hoursAgo(2, NOW) });
+    const interaction = createFakeInteraction({ userId: '42' });
+    await execute(interaction);
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.herbs).toBe(6);
+    expect(updated.ore).toBe(4);
+    expect(updated.arcane_dust).toBe(2);
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Materials Gathered').value).toContain('6 Herbs');
+  });
+
+  test('pays less when morale slipped and restores it to full', async () => {
+    const guild = memory.insertGuild({
+      discord_id: '42',
+      last_collected_at: hoursAgo(12, NOW),
+      morale: 100,
+      morale_updated_at: hoursAgo(12, NOW),
+    });
+    const rates = calculateRates(guild, calculateUpgradeBonuses([]), calculatePrestigeBonuses(guild, []));
+    const expectedGold = Math.floor(rates.goldPerHour * 12 * (11 / 12));
+
+    const interaction = createFakeInteraction({ userId: '42' });
+    await execute(interaction);
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.lifetime_gold_earned).toBeCloseTo(expectedGold, -1);
+    expect(Number(updated.morale)).toBe(MORALE.MAX);
+    expect(Number(updated.morale_penalty_hours)).toBe(0);
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Morale').value).toContain('50%');
+  });
+
+  test('names new adventurers and trains the roster', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', adventurer_count: 3, last_collected_at: hoursAgo(2, NOW) });
+    const interaction = createFakeInteraction({ userId: '42' });
+    await execute(interaction);
+
+    // Named after the idle time is paid, so they didn't train for it yet
+    const roster = await memory.roster.getRoster(guild.id);
+    expect(roster).toHaveLength(3);
+    expect(roster.every(a => a.xp === 0)).toBe(true);
+
+    memory.store.guilds[0].last_collected_at = hoursAgo(1, NOW);
+    await execute(createFakeInteraction({ userId: '42' }));
+    expect((await memory.roster.getRoster(guild.id)).every(a => a.xp > 0)).toBe(true);
+  });
+});
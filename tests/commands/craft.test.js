@@ -0,0 +1,83 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { execute } from '../../src/commands/craft.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+const make = (recipe) => createFakeInteraction({ userId: '1', subcommand: 'make', options: { recipe } });
+
+describe('/craft', () => {
+  test('rejects players without a guild', async () => {
+    const interaction = createFakeInteraction({ userId: '42', subcommand: 'list' });
+    await execute(interaction);
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('/start');
+  });
+
+  test('list marks what can be crafted and what is locked', async () => {
+    memory.insertGuild({ discord_id: '1', herbs: 12, ore: 4 });
+    const interaction = createFakeInteraction({ userId: '1', subcommand: 'list' });
+    await execute(interaction);
+
+    const embed = lastEmbed(interaction);
+    expect(embed.description).toContain('✅ **Minor Gold Tonic**');
+    expect(embed.description).toContain('⚗️ **Minor Focus Draught**');
+    expect(embed.description).toContain('🔒 **War Horn**');
+    expect(embed.fields.find(f => f.name === 'Your Materials').value).toContain('12 Herbs');
+    expect(embed.fields.find(f => f.name === 'Active Boosts').value).toContain('No potions active');
+  });
+
+  test('make spends materials and shows the running boost', async () => {
+    const guild = memory.insertGuild({ discord_id: '1', herbs: 15, ore: 4, last_collected_at: NOW });
+    const interaction = make('Minor Gold Tonic');
+    await execute(interaction);
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toBe('Crafted Minor Gold Tonic');
+    expect(embed.description).toContain('+25% gold');
+    expect(embed.fields.find(f => f.name === 'Materials Left').value).toContain('3 Herbs');
+    expect((await memory.guilds.getGuildById(guild.id)).gold_boost).toBe(0.25);
+  });
+
+  test('make says which materials are missing', async () => {
+    memory.insertGuild({ discord_id: '1', herbs: 5 });
+    const interaction = make('Minor Gold Tonic');
+    await execute(interaction);
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('7 Herbs, ⛏️ 4 Ore');
+  });
+
+  test('make refuses a weaker potion while a stronger one runs', async () => {
+    memory.insertGuild({
+      discord_id: '1',
+      herbs: 50,
+      ore: 50,
+      gold_boost: 0.5,
+      gold_boost_until: new Date(NOW.getTime() + 60 * 60 * 1000),
+      last_collected_at: NOW,
+    });
+    const interaction = make('Minor Gold Tonic');
+    await execute(interaction);
+
+    expect(lastEmbed(interaction).description).toContain('stronger gold boost');
+    expect((await memory.guilds.getGuildByDiscordId('1')).herbs).toBe(50);
+  });
+});
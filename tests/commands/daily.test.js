@@ -0,0 +1,109 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { DAILY } from '../../src/config.js';
+import { execute } from '../../src/commands/daily.js';
+import { execute as nerdstats } from '../../src/commands/nerdstats.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+import { hoursAgo } from '../helpers/fixtures.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+/**
+ * Run /daily as the given user
+ * @param {string} userId - Discord ID
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function claim(userId = '1') {
+  const interaction = createFakeInteraction({ userId });
+  await execute(interaction);
+  return interaction;
+}
+
+describe('/daily', () => {
+  test('rejects players without a guild', async () => {
+    const interaction = await claim('42');
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('/start');
+  });
+
+  test('first claim pays out and starts a streak', async () => {
+    const guild = memory.insertGuild({ discord_id: '1', gold: 0 });
+
+    const interaction = await claim();
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.gold).toBeGreaterThan(0);
+    expect(updated.daily_streak).toBe(1);
+    expect(updated.best_daily_streak).toBe(1);
+    expect(updated.lifetime_daily_claims).toBe(1);
+    expect(updated.lifetime_daily_gold).toBe(updated.gold);
+    expect(lastEmbed(interaction).title).toBe('Daily Reward Claimed!');
+  });
+
+  test('cannot claim twice inside the cooldown', async () => {
+    memory.insertGuild({ discord_id: '1' });
+    await claim();
+
+    const interaction = await claim();
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('already claimed');
+  });
+
+  test('claiming inside the grace window extends the streak', async () => {
+    const guild = memory.insertGuild({
+      discord_id: '1',
+      daily_streak: 4,
+      best_daily_streak: 4,
+      last_daily_at: hoursAgo(DAILY.COOLDOWN_HOURS + 10, NOW),
+    });
+
+    await claim();
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.daily_streak).toBe(5);
+    expect(updated.best_daily_streak).toBe(5);
+  });
+
+  test('a missed day resets the streak but keeps the best', async () => {
+    const guild = memory.insertGuild({
+      discord_id: '1',
+      daily_streak: 6,
+      best_daily_streak: 6,
+      last_daily_at: hoursAgo(DAILY.STREAK_GRACE_HOURS + 1, NOW),
+    });
+
+    const interaction = await claim();
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.daily_streak).toBe(1);
+    expect(updated.best_daily_streak).toBe(6);
+    expect(lastEmbed(interaction).description).toContain('streak expired');
+  });
+
+  test('streak stats show in /nerdstats', async () => {
+    memory.insertGuild({ discord_id: '1' });
+    await claim();
+
+    const interaction = createFakeInteraction({ userId: '1' });
+    await nerdstats(interaction);
+
+    const field = lastEmbed(interaction).fields.find(f => f.name === 'DAILY REWARDS');
+    expect(field.value).toContain('Current Streak: **1** day');
+    expect(field.value).toContain('Days Claimed: **1**');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { DEFENSE } from '../../src/config.js';
+import { execute } from '../../src/commands/defense.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+let memory;
+
+beforeEach(() => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+});
+
+/**
+ * Run /defense as the given user
+ * @param {string} userId - Discord ID
+ * @param {string} subcommand - Subcommand name
+ * @param {Object} options - Slash command options
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function defense(userId, subcommand, options = {}) {
+  const interaction = createFakeInteraction({ userId, subcommand, options });
+  await execute(interaction);
+  return interaction;
+}
+
+describe('/defense', () => {
+  test('rejects players without a guild', async () => {
+    const interaction = await defense('42', 'view');
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('/start');
+  });
+
+  test('view shows an undefended guild', async () => {
+    memory.insertGuild({ discord_id: '1', name: 'Keep' });
+
+    const interaction = await defense('1', 'view');
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toContain('Keep');
+    expect(embed.description).toContain('-0.0%');
+    expect(embed.fields[0].value).toContain(DEFENSE.FORTIFICATIONS[0].name);
+  });
+});
+
+describe('/defense guards', () => {
+  test('posts guards, who stop working', async () => {
+    const guild = memory.insertGuild({ discord_id: '1', adventurer_count: 10, last_collected_at: new Date() });
+
+    const interaction = await defense('1', 'guards', { count: 5 });
+
+    expect((await memory.guilds.getGuildById(guild.id)).adventurers_guarding).toBe(5);
+    expect(lastEmbed(interaction).title).toContain('5 Guards Posted');
+  });
+
+  test('caps guards at half the guild', async () => {
+    const guild = memory.insertGuild({ discord_id: '1', adventurer_count: 10 });
+
+    const interaction = await defense('1', 'guards', { count: 6 });
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('at most **5** guards');
+    expect((await memory.guilds.getGuildById(guild.id)).adventurers_guarding).toBe(0);
+  });
+
+  test('adventurers away on a quest can\'t stand guard', async () => {
+    memory.insertGuild({ discord_id: '1', adventurer_count: 10, adventurers_on_quest: 8 });
+
+    const interaction = await defense('1', 'guards', { count: 3 });
+
+    expect(lastEmbed(interaction).description).toContain('Only 2 adventurers are home');
+  });
+
+  test('guards can\'t be sent on a quest', async () => {
+    const guild = memory.insertGuild({ discord_id: '1', adventurer_count: 10, adventurers_guarding: 5 });
+
+    const result = await memory.quests.startQuest(guild.id, { durationKey: '1h', riskKey: 'safe', hours: 1, adventurers: 6 });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Only 5 adventurers are available');
+  });
+});
+
+describe('/defense fortify', () => {
+  test('builds the next fortification', async () => {
+    const [palisade] = DEFENSE.FORTIFICATIONS;
+    const guild = memory.insertGuild({ discord_id: '1', level: palisade.requiredLevel, gold: palisade.cost + 100 });
+
+    const interaction = await defense('1', 'fortify');
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.gold).toBe(100);
+    expect(updated.fortification_level).toBe(1);
+    expect(lastEmbed(interaction).title).toBe(`${palisade.emoji} ${palisade.name} Built!`);
+  });
+
+  test('needs the level and the gold', async () => {
+    const [palisade] = DEFENSE.FORTIFICATIONS;
+    memory.insertGuild({ discord_id: '1', level: 1, gold: palisade.cost });
+    memory.insertGuild({ discord_id: '2', level: palisade.requiredLevel, gold: palisade.cost - 1 });
+
+    const lowLevel = await defense('1', 'fortify');
+    const broke = await defense('2', 'fortify');
+
+    expect(lastEmbed(lowLevel).description).toContain(`level **${palisade.requiredLevel}**`);
+    expect(lastEmbed(broke).description).toContain('costs');
+  });
+
+  test('stops once every fortification is built', async () => {
+    memory.insertGuild({ discord_id: '1', level: 100, gold: 1e9, fortification_level: DEFENSE.FORTIFICATIONS.length });
+
+    const interaction = await defense('1', 'fortify');
+
+    expect(lastEmbed(interaction).description).toContain('fully fortified');
+  });
+});
@@ -0,0 +1,294 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { GRIND } from '../../src/config.js';
+import { execute, handleGrindClick, handleGrindVerify, flushSession, flushAllSessions, recoverSessions, hasActiveSession } from '../../src/commands/grind.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setSessionStore, resetSessionStore } from '../../src/game/grindSessions.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  setRandomSource(() => 0.99);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  setSessionStore(memory.grindSessions);
+});
+
+afterEach(async () => {
+  await flushAllSessions();
+  resetSessionStore();
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+/**
+ * Start a /grind session
+ * @param {string} userId - Discord ID
+ * @returns {Promise<Object>} The stored session
+ */
+async function startGrind(userId = '1') {
+  await execute(createFakeInteraction({ userId }));
+  return memory.grindSessions.getGrindSession(userId);
+}
+
+/**
+ * Press the grind button
+ * @param {number} sessionId - Session the button belongs to
+ * @param {string} userId - Discord ID
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function click(sessionId, userId = '1') {
+  const interaction = createFakeInteraction({ userId, customId: `grind_click:${sessionId}` });
+  await handleGrindClick(interaction);
+  return interaction;
+}
+
+/**
+ * Press the grind button once per gap, moving the clock on by each gap first
+ * @param {number} sessionId - Session the button belongs to
+ * @param {number[]} gaps - Milliseconds before each press
+ * @returns {Promise<Object>} The last press's fake interaction
+ */
+async function clickAt(sessionId, gaps) {
+  let interaction;
+  for (const gap of gaps) {
+    setSystemTime(new Date(Date.now() + gap));
+    interaction = await click(sessionId);
+  }
+  return interaction;
+}
+
+/**
+ * Press one of the challenge buttons
+ * @param {number} sessionId - Session the challenge belongs to
+ * @param {number} choice - Index into GRIND.CHALLENGE_CHOICES
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function answer(sessionId, choice) {
+  const interaction = createFakeInteraction({ userId: '1', customId: `grind_verify:${sessionId}:${choice}` });
+  await handleGrindVerify(interaction);
+  return interaction;
+}
+
+/**
+ * Read a field off an embed
+ * @param {Object} embed - Embed JSON
+ * @param {string} name - Field name
+ * @returns {string}
+ */
+function field(embed, name) {
+  return embed.fields.find(f => f.name === name)?.value;
+}
+
+describe('/grind', () => {
+  test('starts a stored session with a button tied to it', async () => {
+    const guild = memory.insertGuild({ discord_id: '1', gold: 100 });
+    const interaction = createFakeInteraction({ userId: '1' });
+    await execute(interaction);
+
+    const session = await memory.grindSessions.getGrindSession('1');
+    expect(session.guild_id).toBe(guild.id);
+    expect(session.expires_at.getTime()).toBe(NOW.getTime() + GRIND.SESSION_MINUTES * MINUTE_MS);
+
+    const button = lastResponse(interaction).components[0].toJSON().components[0];
+    expect(button.custom_id).toBe(`grind_click:${session.id}`);
+    expect(hasActiveSession('1')).toBe(true);
+    expect(memory.store.guilds[0].lifetime_grind_sessions).toBe(1);
+  });
+
+  test('counts clicks in the store and flushes them to the guild', async () => {
+    memory.insertGuild({ discord_id: '1', gold: 100 });
+    const session = await startGrind();
+
+    await click(session.id);
+    const interaction = await click(session.id);
+    expect(field(lastEmbed(interaction), 'Clicks')).toBe('2');
+
+    await flushSession('1');
+    const guild = memory.store.guilds[0];
+    expect(guild.gold).toBe(100 + 2 * session.gold_per_click);
+    expect(guild.lifetime_grind_clicks).toBe(2);
+
+    // Flushing again has nothing left to apply
+    await flushSession('1');
+    expect(memory.store.guilds[0].lifetime_grind_clicks).toBe(2);
+  });
+
+  test('throttles clicks past the rate limit', async () => {
+    memory.insertGuild({ discord_id: '1' });
+    const session = await startGrind();
+
+    let interaction;
+    for (let i = 0; i <= GRIND.MAX_CLICKS_PER_WINDOW; i++) {
+      interaction = await click(session.id);
+    }
+
+    expect(field(lastEmbed(interaction), 'Clicks')).toBe(String(GRIND.MAX_CLICKS_PER_WINDOW));
+    expect(lastEmbed(interaction).footer.text).toContain('Slow down');
+
+    const stored = await memory.grindSessions.getGrindSession('1');
+    expect(stored.throttled_clicks).toBe(1);
+
+    setSystemTime(new Date(NOW.getTime() + GRIND.RATE_WINDOW_MS));
+    const next = await click(session.id);
+    expect(field(lastEmbed(next), 'Clicks')).toBe(String(GRIND.MAX_CLICKS_PER_WINDOW + 1));
+  });
+
+  test('a new /grind flushes the old session and retires its button', async () => {
+    memory.insertGuild({ discord_id: '1', gold: 0 });
+    const first = await startGrind();
+    await click(first.id);
+
+    const second = await startGrind();
+    expect(second.id).not.toBe(first.id);
+    expect(memory.store.guilds[0].lifetime_grind_clicks).toBe(1);
+
+    const stale = await click(first.id);
+    expect(stale.responses.at(-1).type).toBe('update');
+    expect(lastEmbed(stale).description).toContain('Session expired');
+  });
+
+  test('another player can\'t click someone else\'s session', async () => {
+    memory.insertGuild({ discord_id: '1' });
+    memory.insertGuild({ discord_id: '2' });
+    const session = await startGrind('1');
+
+    const interaction = await click(session.id, '2');
+    expect(lastEmbed(interaction).description).toContain('Session expired');
+    expect((await memory.grindSessions.getGrindSession('1')).total_clicks).toBe(0);
+  });
+});
+
+describe('grind anti-cheat', () => {
+  // Machine-even clicking at 4 a second - under the rate limit, but far too steady
+  const STEADY = Array(GRIND.MIN_CADENCE_SAMPLES + 1).fill(250);
+
+  test('challenges clicking that is too even and stops counting until answered', async () => {
+    memory.insertGuild({ discord_id: '1' });
+    const session = await startGrind();
+
+    const interaction = await clickAt(session.id, STEADY);
+    expect(lastEmbed(interaction).title).toBe('Still There?');
+    // The random source (0.99) asks for the last choice and leaves the row in order
+    expect(lastEmbed(interaction).description).toContain(GRIND.CHALLENGE_CHOICES[3]);
+    const row = lastResponse(interaction).components[0].toJSON().components;
+    expect(row.map(b => b.custom_id)).toEqual(GRIND.CHALLENGE_CHOICES.map((_, i) => `grind_verify:${session.id}:${i}`));
+
+    expect(memory.store.grindFlags).toHaveLength(1);
+    expect(memory.store.grindFlags[0].reason).toBe('regular');
+
+    const blocked = await clickAt(session.id, [250]);
+    expect(lastEmbed(blocked).title).toBe('Still There?');
+    expect((await memory.grindSessions.getGrindSession('1')).total_clicks).toBe(STEADY.length);
+  });
+
+  test('a wrong answer is flagged and reshuffled, the right one unlocks the session', async () => {
+    memory.insertGuild({ discord_id: '1' });
+    const session = await startGrind();
+    await clickAt(session.id, STEADY);
+
+    const wrong = await answer(session.id, 0);
+    expect(lastEmbed(wrong).description).toContain('That wasn\'t it');
+    expect(memory.store.grindFlags.map(f => f.reason)).toEqual(['regular', 'failed_challenge']);
+
+    const right = await answer(session.id, 3);
+    expect(lastEmbed(right).title).toBe('Grind Session');
+    expect(lastEmbed(right).footer.text).toContain('Back to work');
+
+    // Clicks count again, and the cooldown keeps the next challenge away for a while
+    const next = await clickAt(session.id, STEADY);
+    expect(lastEmbed(next).title).toBe('Grind Session');
+    expect((await memory.grindSessions.getGrindSession('1')).total_clicks).toBe(STEADY.length * 2);
+  });
+
+  test('clicks past a human-plausible rate pay diminishing returns', async () => {
+    memory.insertGuild({ discord_id: '1', gold: 0 });
+    const session = await startGrind();
+
+    // Jittery enough to pass as a person, but about 5.7 clicks a second
+    const gaps = Array.from({ length: GRIND.MIN_CADENCE_SAMPLES + 2 }, (_, i) => (i % 2 ? 150 : 200));
+    const interaction = await clickAt(session.id, gaps);
+    expect(lastEmbed(interaction).footer.text).toContain('each click is worth 49%');
+
+    await flushSession('1');
+    const stored = await memory.grindSessions.getGrindSession('1');
+    expect(stored.total_clicks).toBe(gaps.length);
+    expect(memory.store.guilds[0].lifetime_grind_clicks).toBeLessThan(gaps.length);
+    expect(memory.store.guilds[0].gold).toBe(memory.store.guilds[0].lifetime_grind_clicks * session.gold_per_click);
+  });
+
+  test('the report lists flagged guilds, most failed challenges first', async () => {
+    const cheater = memory.insertGuild({ discord_id: '1', name: 'Macro Guild' });
+    const other = memory.insertGuild({ discord_id: '2', name: 'Fast Fingers' });
+    const flag = (guild, reason) => memory.grindFlags.recordGrindFlag({
+      guildId: guild.id, discordId: guild.discord_id, reason, clicksPerSecond: 12, intervalVariation: 0.01,
+    });
+
+    await flag(other, 'fast');
+    await flag(other, 'fast');
+    await flag(cheater, 'regular');
+    await flag(cheater, 'failed_challenge');
+
+    const report = await memory.grindFlags.getFlaggedGuilds(GRIND.REPORT_DAYS);
+    expect(report.map(r => [r.name, r.flags, r.failed_challenges])).toEqual([
+      ['Macro Guild', 2, 1],
+      ['Fast Fingers', 2, 0],
+    ]);
+
+    // Old flags fall out of the report window
+    setSystemTime(new Date(NOW.getTime() + (GRIND.REPORT_DAYS + 1) * 24 * 60 * MINUTE_MS));
+    expect(await memory.grindFlags.getFlaggedGuilds(GRIND.REPORT_DAYS)).toEqual([]);
+  });
+});
+
+describe('recoverSessions', () => {
+  /**
+   * Leave a session in the store as if the process that owned it had crashed
+   * @param {Object} guild - Guild row
+   * @param {number} clicks - Clicks counted but never flushed
+   * @param {number} durationMs - Session lifetime
+   * @returns {Promise<Object>} The stored session
+   */
+  async function orphanSession(guild, clicks, durationMs) {
+    const session = await memory.grindSessions.createGrindSession({
+      discordId: guild.discord_id,
+      guildId: guild.id,
+      goldPerClick: 10,
+      xpPerClick: 1,
+      baseGold: 0,
+      baseXp: 0,
+      materialMultipliers: {},
+      durationMs,
+    });
+    for (let i = 0; i < clicks; i++) {
+      await memory.grindSessions.recordGrindClick(session.id, { windowMs: GRIND.RATE_WINDOW_MS, maxClicks: GRIND.MAX_CLICKS_PER_WINDOW, maxSamples: GRIND.CADENCE_SAMPLES });
+    }
+    return session;
+  }
+
+  test('applies unflushed clicks, closes finished sessions and resumes the rest', async () => {
+    const live = memory.insertGuild({ discord_id: '1', gold: 0 });
+    const done = memory.insertGuild({ discord_id: '2', gold: 0 });
+    const liveSession = await orphanSession(live, 3, 15 * MINUTE_MS);
+    await orphanSession(done, 2, MINUTE_MS);
+
+    setSystemTime(new Date(NOW.getTime() + 2 * MINUTE_MS));
+    const result = await recoverSessions();
+
+    expect(result).toEqual({ flushed: 2, closed: 1, resumed: 1 });
+    expect(memory.store.guilds[0].gold).toBe(30);
+    expect(memory.store.guilds[1].gold).toBe(20);
+    expect(await memory.grindSessions.getGrindSession('2')).toBeNull();
+
+    // The resumed session's button still works
+    const interaction = await click(liveSession.id);
+    expect(field(lastEmbed(interaction), 'Clicks')).toBe('4');
+  });
+});
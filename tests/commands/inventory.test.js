@@ -0,0 +1,131 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { ITEMS } from '../../src/config.js';
+import { execute as inventory, handleSalvageSelect } from '../../src/commands/inventory.js';
+import { execute as equip, handleSelectMenu } from '../../src/commands/equip.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+let memory;
+let guild;
+
+beforeEach(() => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  guild = memory.insertGuild({ discord_id: '1', gold: 1000 });
+});
+
+afterEach(() => {
+  resetRepositories();
+});
+
+/**
+ * Give the guild an item by name
+ * @returns {Promise<Object>} The inventory entry
+ */
+async function give(name) {
+  const item = memory.store.items.find(i => i.name === name);
+  const { guildItem } = await memory.items.addItem(guild.id, item.id, 'collect', ITEMS.INVENTORY_LIMIT, 0);
+  return guildItem;
+}
+
+const selectMenu = (interaction) => lastResponse(interaction).components?.[0]?.toJSON().components[0];
+
+describe('/inventory', () => {
+  test('rejects players without a guild', async () => {
+    const interaction = createFakeInteraction({ userId: '42' });
+    await inventory(interaction);
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('/start');
+  });
+
+  test('lists equipped gear and the backpack with a salvage menu', async () => {
+    const sword = await give('Iron Longsword');
+    await give('Padded Vest');
+    await memory.items.equipItem(guild.id, sword.id);
+
+    const interaction = createFakeInteraction({ userId: '1' });
+    await inventory(interaction);
+
+    const embed = lastEmbed(interaction);
+    expect(embed.description).toContain(`**2** / ${ITEMS.INVENTORY_LIMIT}`);
+    expect(embed.fields.find(f => f.name === 'Equipped').value).toContain('Iron Longsword');
+    expect(embed.fields.find(f => f.name === 'Backpack (1)').value).toContain('Padded Vest');
+    expect(embed.footer.text).toContain('Item power: +5');
+
+    // Equipped items can't be salvaged
+    const menu = selectMenu(interaction);
+    expect(menu.custom_id).toBe('inventory_salvage');
+    expect(menu.options.map(o => o.label)).toEqual(['Padded Vest']);
+  });
+
+  test('salvaging pays gold and refreshes the inventory', async () => {
+    const vest = await give('Padded Vest');
+    const mail = await give('Wyrmscale Mail');
+
+    const interaction = createFakeInteraction({
+      userId: '1',
+      customId: 'inventory_salvage',
+      values: [String(vest.id), String(mail.id)],
+    });
+    await handleSalvageSelect(interaction);
+
+    const expectedGold = ITEMS.RARITIES.common.salvageGold + ITEMS.RARITIES.epic.salvageGold;
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(1000 + expectedGold);
+    expect(await memory.items.getInventory(guild.id)).toHaveLength(0);
+
+    expect(interaction.responses[0].type).toBe('update');
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Salvaged').value).toContain('**2** items');
+    expect(lastResponse(interaction).components).toEqual([]);
+  });
+});
+
+describe('/equip', () => {
+  test('offers unequipped items for the chosen slot', async () => {
+    await give('Iron Longsword');
+    await give('Lucky Copper');
+
+    const interaction = createFakeInteraction({ userId: '1', options: { slot: 'trinket' } });
+    await equip(interaction);
+
+    const menu = selectMenu(interaction);
+    expect(menu.custom_id).toBe('equip_select:trinket');
+    expect(menu.options.map(o => o.label)).toEqual(['Lucky Copper (Common)']);
+  });
+
+  test('says so when there is nothing to equip', async () => {
+    const interaction = createFakeInteraction({ userId: '1' });
+    await equip(interaction);
+
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Nothing to Equip')).toBeDefined();
+    expect(lastResponse(interaction).components).toEqual([]);
+  });
+
+  test('equipping swaps out the item in the same slot', async () => {
+    const oldSword = await give('Rusty Shortsword');
+    const newSword = await give('Runed Warblade');
+    await memory.items.equipItem(guild.id, oldSword.id);
+
+    const interaction = createFakeInteraction({ userId: '1', customId: 'equip_select:all', values: [String(newSword.id)] });
+    await handleSelectMenu(interaction);
+
+    const { equipment } = await memory.guilds.getGuildWithDataById(guild.id);
+    expect(equipment.map(e => e.name)).toEqual(['Runed Warblade']);
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Equipped!').value)
+      .toContain('**Rusty Shortsword** went back to your inventory');
+  });
+
+  test('refuses items the guild doesn\'t own', async () => {
+    const other = memory.insertGuild({ discord_id: '2' });
+    const item = memory.store.items[0];
+    const { guildItem } = await memory.items.addItem(other.id, item.id, 'collect', ITEMS.INVENTORY_LIMIT, 0);
+
+    const interaction = createFakeInteraction({ userId: '1', customId: 'equip_select:all', values: [String(guildItem.id)] });
+    await handleSelectMenu(interaction);
+
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Could Not Equip').value).toContain('don\'t own');
+    expect((await memory.guilds.getGuildWithDataById(other.id)).equipment).toEqual([]);
+  });
+});
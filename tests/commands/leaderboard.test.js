@@ -0,0 +1,116 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { execute, handleLeaderboardButton } from '../../src/commands/leaderboard.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+let memory;
+
+beforeEach(async () => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+
+  memory.insertGuild({ discord_id: '1', name: 'Home Guild', gold: 500 });
+  memory.insertGuild({ discord_id: '2', name: 'Far Away Guild', gold: 9000 });
+  memory.insertGuild({ discord_id: '3', name: 'Neighbour Guild', gold: 1000 });
+  await memory.servers.recordServerMembership('1', 'server-a');
+  await memory.servers.recordServerMembership('2', 'server-b');
+  await memory.servers.recordServerMembership('3', 'server-a');
+});
+
+afterEach(() => {
+  resetRepositories();
+});
+
+/**
+ * Collect every button custom ID from a leaderboard response
+ * @param {Object} interaction - Fake interaction
+ * @returns {string[]} Custom IDs
+ */
+function buttonIds(interaction) {
+  return lastResponse(interaction).components
+    .flatMap(row => row.toJSON().components)
+    .map(button => button.custom_id);
+}
+
+describe('/leaderboard scope', () => {
+  test('defaults to the global board', async () => {
+    const interaction = createFakeInteraction({ userId: '1', guildId: 'server-a' });
+    await execute(interaction);
+
+    const { description } = lastEmbed(interaction);
+    expect(description).toContain('Global');
+    expect(description).toContain('Far Away Guild');
+    expect(description).toContain('Your Rank: **#3** of 3');
+  });
+
+  test('server scope only ranks guilds seen in this server', async () => {
+    const interaction = createFakeInteraction({
+      userId: '1',
+      guildId: 'server-a',
+      guildName: 'Tavern',
+      options: { scope: 'server' },
+    });
+    await execute(interaction);
+
+    const { description } = lastEmbed(interaction);
+    expect(description).toContain('Tavern');
+    expect(description).toContain('Neighbour Guild');
+    expect(description).not.toContain('Far Away Guild');
+    expect(description).toContain('Your Rank: **#2** of 2');
+  });
+
+  test('server scope is rejected in DMs', async () => {
+    const interaction = createFakeInteraction({ userId: '1', options: { scope: 'server' } });
+    await execute(interaction);
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('only available inside a server');
+  });
+
+  test('buttons keep the scope and offer a toggle inside a server', async () => {
+    const interaction = createFakeInteraction({
+      userId: '1',
+      guildId: 'server-a',
+      options: { scope: 'server' },
+    });
+    await execute(interaction);
+
+    const ids = buttonIds(interaction);
+    expect(ids).toContain('leaderboard:level:server');
+    expect(ids).toContain('leaderboard:gold:global');
+  });
+
+  test('DM boards have no scope toggle', async () => {
+    const interaction = createFakeInteraction({ userId: '1' });
+    await execute(interaction);
+
+    expect(buttonIds(interaction).every(id => id.endsWith(':global'))).toBe(true);
+  });
+});
+
+describe('leaderboard buttons', () => {
+  test('switching category keeps the server scope', async () => {
+    const interaction = createFakeInteraction({
+      userId: '1',
+      guildId: 'server-a',
+      customId: 'leaderboard:gold:server',
+    });
+    await handleLeaderboardButton(interaction);
+
+    expect(interaction.responses[0].type).toBe('update');
+    expect(lastEmbed(interaction).description).not.toContain('Far Away Guild');
+  });
+
+  test('buttons without a scope fall back to global', async () => {
+    const interaction = createFakeInteraction({
+      userId: '1',
+      guildId: 'server-a',
+      customId: 'leaderboard:gold',
+    });
+    await handleLeaderboardButton(interaction);
+
+    expect(lastEmbed(interaction).description).toContain('Far Away Guild');
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { MARKET } from '../../src/config.js';
+import { execute } from '../../src/commands/market.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { calculateListingFee, calculateSaleTax } from '../../src/game/market.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+let seller;
+let buyer;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+
+  seller = memory.insertGuild({ discord_id: '1', name: 'Seller Guild', level: 10, gold: 10000, adventurer_count: 10 });
+  buyer = memory.insertGuild({ discord_id: '2', name: 'Buyer Guild', level: 10, gold: 10000, adventurer_count: 5 });
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+/**
+ * Run a /market subcommand
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function market(userId, subcommand, options = {}) {
+  const interaction = createFakeInteraction({ userId, subcommand, options });
+  await execute(interaction);
+  return interaction;
+}
+
+const getGuild = (guild) => memory.guilds.getGuildById(guild.id);
+
+describe('/market list', () => {
+  test('stops the listed adventurers working and takes the listing fee', async () => {
+    const interaction = await market('1', 'list', { quantity: 4, price: 2000 });
+
+    expect(lastEmbed(interaction).title).toContain('Adventurers Listed');
+    const updated = await getGuild(seller);
+    expect(updated.adventurer_count).toBe(10);
+    expect(updated.adventurers_listed).toBe(4);
+    expect(updated.gold).toBe(10000 - calculateListingFee(2000));
+  });
+
+  test('rejects prices outside the per-adventurer range', async () => {
+    const tooHigh = 2 * MARKET.MAX_PRICE_PER_ADVENTURER + 1;
+    const interaction = await market('1', 'list', { quantity: 2, price: tooHigh });
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('must be between');
+    expect((await getGuild(seller)).adventurer_count).toBe(10);
+  });
+
+  test('adventurers away on a quest can\'t be sold', async () => {
+    await memory.quests.startQuest(seller.id, { durationKey: '4h', riskKey: 'safe', hours: 4, adventurers: 8 });
+
+    const interaction = await market('1', 'list', { quantity: 3, price: 1000 });
+
+    expect(lastEmbed(interaction).description).toContain('only have **2** adventurers available');
+  });
+
+  test('caps the number of active listings', async () => {
+    for (let i = 0; i < MARKET.MAX_ACTIVE_LISTINGS; i++) {
+      await market('1', 'list', { quantity: 1, price: 500 });
+    }
+
+    const interaction = await market('1', 'list', { quantity: 1, price: 500 });
+    expect(lastEmbed(interaction).description).toContain(`${MARKET.MAX_ACTIVE_LISTINGS} listings at a time`);
+  });
+});
+
+describe('/market buy', () => {
+  test('moves the adventurers and pays the seller minus the sale tax', async () => {
+    await market('1', 'list', { quantity: 4, price: 2000 });
+
+    const interaction = await market('2', 'buy', { listing: 1 });
+
+    expect(lastEmbed(interaction).title).toContain('Adventurers Hired');
+    const updatedBuyer = await getGuild(buyer);
+    expect(updatedBuyer.adventurer_count).toBe(9);
+    expect(updatedBuyer.gold).toBe(8000);
+    const updatedSeller = await getGuild(seller);
+    expect(updatedSeller.adventurer_count).toBe(6);
+    expect(updatedSeller.adventurers_listed).toBe(0);
+    expect(updatedSeller.gold).toBe(10000 - calculateListingFee(2000) + 2000 - calculateSaleTax(2000));
+    expect((await memory.market.getListingById(1)).status).toBe('sold');
+  });
+
+  test('only the first buyer gets the listing', async () => {
+    memory.insertGuild({ discord_id: '3', level: 10, gold: 10000, adventurer_count: 0 });
+    await market('1', 'list', { quantity: 2, price: 1000 });
+
+    await market('2', 'buy', { listing: 1 });
+    const interaction = await market('3', 'buy', { listing: 1 });
+
+    expect(lastEmbed(interaction).description).toContain('isn\'t for sale');
+  });
+
+  test('the settlement itself refuses a second buyer', async () => {
+    const third = memory.insertGuild({ discord_id: '3', level: 10, gold: 10000, adventurer_count: 0 });
+    await market('1', 'list', { quantity: 2, price: 1000 });
+
+    const first = await memory.market.purchaseListing(1, buyer.id, 100);
+    const second = await memory.market.purchaseListing(1, third.id, 100);
+
+    expect(first.success).toBe(true);
+    expect(second).toEqual({ success: false, error: 'This listing is no longer available' });
+    expect((await getGuild(third)).gold).toBe(10000);
+  });
+
+  test('the settlement itself refuses a buyer who can\'t pay', async () => {
+    await market('1', 'list', { quantity: 2, price: 5000 });
+    memory.store.guilds.find(g => g.id === buyer.id).gold = 4999;
+
+    const result = await memory.market.purchaseListing(1, buyer.id, 100);
+
+    expect(result).toEqual({ success: false, error: 'Not enough gold' });
+    expect((await getGuild(buyer)).gold).toBe(4999);
+    expect((await getGuild(buyer)).adventurer_count).toBe(5);
+    expect((await memory.market.getListingById(1)).status).toBe('active');
+  });
+
+  test('purchases count against the buyer\'s daily trade allowance', async () => {
+    // Level 10 can move 15,000 a day - 10,000 already went out as a trade offer
+    memory.store.guilds.find(g => g.id === buyer.id).gold = 50000;
+    await memory.trades.createTradeOffer(buyer.id, seller.id, 10000);
+    await market('1', 'list', { quantity: 1, price: 6000 });
+
+    const interaction = await market('2', 'buy', { listing: 1 });
+
+    expect(lastEmbed(interaction).description).toContain('over your daily trading limit');
+    expect(lastEmbed(interaction).description).toContain('**5.00K** more gold');
+    expect((await memory.market.getListingById(1)).status).toBe('active');
+  });
+
+  test('the settlement refuses sales past either side\'s allowance', async () => {
+    memory.store.guilds.find(g => g.id === buyer.id).gold = 50000;
+    await market('1', 'list', { quantity: 1, price: 10000 });
+    await market('1', 'list', { quantity: 1, price: 10000 });
+
+    expect((await memory.market.purchaseListing(1, buyer.id, 100)).success).toBe(true);
+    expect(await memory.market.purchaseListing(2, buyer.id, 100))
+      .toEqual({ success: false, error: 'That would put you over your daily sending limit' });
+
+    // A fresh buyer still can't push the seller past their receiving limit
+    const third = memory.insertGuild({ discord_id: '3', level: 10, gold: 50000, adventurer_count: 0 });
+    expect(await memory.market.purchaseListing(2, third.id, 100))
+      .toEqual({ success: false, error: 'The seller can\'t receive that much gold today' });
+    expect((await getGuild(third)).gold).toBe(50000);
+  });
+
+  test('sales show up in both sides\' trade totals', async () => {
+    await market('1', 'list', { quantity: 2, price: 2000 });
+    await market('2', 'buy', { listing: 1 });
+
+    expect((await memory.trades.getTradeTotals(buyer.id)).sent).toBe(2000);
+    expect((await memory.trades.getTradeTotals(seller.id)).received).toBe(2000 - calculateSaleTax(2000));
+  });
+
+  test('buyers need room for the whole batch', async () => {
+    await market('1', 'list', { quantity: 6, price: 1000 });
+
+    const interaction = await market('2', 'buy', { listing: 1 });
+
+    expect(lastEmbed(interaction).description).toContain('room for **5** more adventurers');
+    expect((await getGuild(buyer)).gold).toBe(10000);
+  });
+
+  test('sellers can\'t buy their own listing', async () => {
+    await market('1', 'list', { quantity: 2, price: 1000 });
+
+    const interaction = await market('1', 'buy', { listing: 1 });
+    expect(lastEmbed(interaction).description).toContain('your own listing');
+  });
+});
+
+describe('/market cancel', () => {
+  test('returns the adventurers but keeps the fee', async () => {
+    await market('1', 'list', { quantity: 4, price: 2000 });
+
+    const interaction = await market('1', 'cancel', { listing: 1 });
+
+    expect(lastEmbed(interaction).title).toBe('Listing Cancelled');
+    const updated = await getGuild(seller);
+    expect(updated.adventurers_listed).toBe(0);
+    expect(updated.gold).toBe(10000 - calculateListingFee(2000));
+  });
+
+  test('only the seller can cancel', async () => {
+    await market('1', 'list', { quantity: 4, price: 2000 });
+
+    const interaction = await market('2', 'cancel', { listing: 1 });
+    expect(lastEmbed(interaction).description).toContain('don\'t have a listing **#1**');
+  });
+});
+
+describe('/market browse', () => {
+  test('lists the cheapest adventurers first and shows your own listings', async () => {
+    await market('1', 'list', { quantity: 2, price: 2000 });
+    await market('1', 'list', { quantity: 2, price: 600 });
+
+    const interaction = await market('2', 'browse');
+
+    const embed = lastEmbed(interaction);
+    expect(embed.description.indexOf('#2')).toBeLessThan(embed.description.indexOf('#1'));
+    expect(embed.fields).toBeUndefined();
+
+    const own = lastEmbed(await market('1', 'browse'));
+    expect(own.fields.find(f => f.name === 'Your Listings').value).toContain('#1');
+  });
+});
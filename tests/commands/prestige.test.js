@@ -0,0 +1,225 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import {
+  execute,
+  handlePrestigeNow,
+  handlePrestigeConfirmModal,
+  handlePrestigeBuySelect,
+} from '../../src/commands/prestige.js';
+import { execute as executeBounty } from '../../src/commands/bounty.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { GAME, PRESTIGE } from '../../src/config.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+let memory;
+
+beforeEach(() => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+});
+
+describe('/prestige status', () => {
+  test('rejects players without a guild', async () => {
+    const interaction = createFakeInteraction({ userId: '42', subcommand: 'status' });
+    await execute(interaction);
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+  });
+
+  test('shows a locked button below the level requirement', async () => {
+    memory.insertGuild({ discord_id: '42', level: 10 });
+    const interaction = createFakeInteraction({ userId: '42', subcommand: 'status' });
+    await execute(interaction);
+
+    expect(lastEmbed(interaction).title).toBe('PRESTIGE STATUS');
+    const [button] = lastResponse(interaction).components[0].toJSON().components;
+    expect(button.custom_id).toBe('prestige_disabled');
+    expect(button.label).toBe(`Need Level ${PRESTIGE.MIN_LEVEL}`);
+  });
+
+  test('offers the prestige button once eligible', async () => {
+    memory.insertGuild({ discord_id: '42', level: PRESTIGE.MIN_LEVEL });
+    const interaction = createFakeInteraction({ userId: '42', subcommand: 'status' });
+    await execute(interaction);
+
+    const [button] = lastResponse(interaction).components[0].toJSON().components;
+    expect(button.custom_id).toBe('prestige_now');
+  });
+});
+
+describe('/prestige confirmation', () => {
+  test('prestige now opens the confirmation modal for eligible guilds', async () => {
+    memory.insertGuild({ discord_id: '42', name: 'Iron Wolves', level: PRESTIGE.MIN_LEVEL });
+    const interaction = createFakeInteraction({ userId: '42' });
+    await handlePrestigeNow(interaction);
+
+    expect(interaction.responses[0].type).toBe('showModal');
+    expect(lastResponse(interaction).toJSON().custom_id).toBe('prestige_confirm_modal');
+  });
+
+  test('cancels when the typed name does not match', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', name: 'Iron Wolves', level: PRESTIGE.MIN_LEVEL });
+    const interaction = createFakeInteraction({ userId: '42', fields: { confirm_name: 'Wrong' } });
+    await handlePrestigeConfirmModal(interaction);
+
+    expect(lastResponse(interaction).content).toContain('cancelled');
+    expect((await memory.guilds.getGuildById(guild.id)).prestige_level).toBe(0);
+  });
+
+  test('resets the guild, clears upgrades and awards points', async () => {
+    const guild = memory.insertGuild({
+      discord_id: '42',
+      name: 'Iron Wolves',
+      level: 70,
+      gold: 1_000_000,
+      adventurer_count: 80,
+    });
+    const jobBoard = await memory.upgrades.getUpgradeByName('Job Board');
+    await memory.upgrades.purchaseUpgradeMultiple(guild.id, jobBoard.id, 3, 0);
+
+    const interaction = createFakeInteraction({ userId: '42', fields: { confirm_name: 'iron wolves' } });
+    await handlePrestigeConfirmModal(interaction);
+
+    expect(lastEmbed(interaction).title).toContain('PRESTIGE SUCCESSFUL');
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.level).toBe(1);
+    expect(updated.gold).toBe(GAME.STARTING_GOLD);
+    expect(updated.adventurer_count).toBe(GAME.STARTING_ADVENTURERS);
+    expect(updated.prestige_level).toBe(1);
+    // 1 base point + 2 bonus points for level 70
+    expect(updated.prestige_points).toBe(3);
+    expect(await memory.upgrades.getGuildUpgrades(guild.id)).toEqual([]);
+  });
+
+  test('takes the guild\'s market listings down with the old roster', async () => {
+    const guild = memory.insertGuild({
+      discord_id: '42',
+      name: 'Iron Wolves',
+      level: 70,
+      gold: 1_000_000,
+      adventurer_count: 80,
+    });
+    const { listing } = await memory.market.createListing(guild.id, 20, 50000, 500, 24);
+
+    const interaction = createFakeInteraction({ userId: '42', fields: { confirm_name: 'iron wolves' } });
+    await handlePrestigeConfirmModal(interaction);
+
+    expect((await memory.market.getListingById(listing.id)).status).toBe('cancelled');
+    expect(await memory.market.getSellerListings(guild.id)).toEqual([]);
+    expect(await memory.market.getActiveListings()).toEqual([]);
+    expect((await memory.guilds.getGuildById(guild.id)).adventurers_listed).toBe(0);
+  });
+
+  test('forfeits posted bounties so the escrow can\'t be cancelled back after the reset', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', name: 'Iron Wolves', level: 70, gold: 1_000_000 });
+    const target = memory.insertGuild({ discord_id: '7', name: 'Rivals' });
+    const { bounty } = await memory.bounties.createBounty({
+      posterGuildId: guild.id,
+      targetGuildId: target.id,
+      amount: 50000,
+      fee: 2500,
+      durationHours: 48,
+      maxPerTarget: 5,
+      maxPerPoster: 3,
+    });
+
+    const interaction = createFakeInteraction({ userId: '42', fields: { confirm_name: 'iron wolves' } });
+    await handlePrestigeConfirmModal(interaction);
+
+    expect((await memory.bounties.getBountyById(bounty.id)).status).toBe('forfeited');
+    expect(await memory.bounties.getBountiesOnTarget(target.id)).toEqual([]);
+
+    const cancel = createFakeInteraction({ userId: '42', subcommand: 'cancel', options: { id: bounty.id } });
+    await executeBounty(cancel);
+    expect(lastEmbed(cancel).description).toContain('already been forfeited');
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(GAME.STARTING_GOLD);
+  });
+
+  test('forfeits a pending trade offer so declining it can\'t refund the old run\'s gold', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', name: 'Iron Wolves', level: 70, gold: 1_000_000 });
+    const friend = memory.insertGuild({ discord_id: '7', name: 'Friends', level: 10 });
+    const { trade } = await memory.trades.createTradeOffer(guild.id, friend.id, 20000);
+
+    const interaction = createFakeInteraction({ userId: '42', fields: { confirm_name: 'iron wolves' } });
+    await handlePrestigeConfirmModal(interaction);
+
+    expect((await memory.trades.getTradeById(trade.id)).status).toBe('forfeited');
+    expect(await memory.trades.closeTrade(trade.id, 'declined')).toBeNull();
+    expect(await memory.trades.expireStaleTrades()).toBe(0);
+    expect((await memory.trades.acceptTrade(trade.id, friend.id)).success).toBe(false);
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(GAME.STARTING_GOLD);
+  });
+
+  test('forfeits the bet on a pending battle challenge', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', name: 'Iron Wolves', level: 70, gold: 1_000_000 });
+    const rival = memory.insertGuild({ discord_id: '7', name: 'Rivals', level: 10 });
+    const challenge = await memory.challenges.createChallenge({
+      attackerGuildId: guild.id,
+      defenderGuildId: rival.id,
+      attackerDiscordId: '42',
+      defenderDiscordId: '7',
+      betAmount: 50000,
+      timeoutMs: 30000,
+    });
+
+    const interaction = createFakeInteraction({ userId: '42', fields: { confirm_name: 'iron wolves' } });
+    await handlePrestigeConfirmModal(interaction);
+
+    expect((await memory.challenges.getChallengeById(challenge.id)).status).toBe('forfeited');
+    expect(await memory.challenges.closeChallenge(challenge.id, 'expired')).toBeNull();
+    expect(await memory.challenges.acceptChallenge(challenge.id, rival.id)).toBeNull();
+    expect(await memory.challenges.getPendingChallenges()).toHaveLength(0);
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(GAME.STARTING_GOLD);
+  });
+
+  test('withdraws from tournaments still taking signups and forfeits the entry fee', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', name: 'Iron Wolves', level: 70, gold: 1_000_000 });
+    const host = memory.insertGuild({ discord_id: '7', name: 'Rivals', level: 10, gold: 10000 });
+    const { tournament } = await memory.tournaments.createTournament({
+      serverId: 'server', channelId: 'channel', name: 'Spring Cup', format: 'single', entryFee: 5000, maxEntrants: 16, hostGuildId: host.id,
+    });
+    await memory.tournaments.joinTournament(tournament.id, guild.id);
+
+    const interaction = createFakeInteraction({ userId: '42', fields: { confirm_name: 'iron wolves' } });
+    await handlePrestigeConfirmModal(interaction);
+
+    const entrants = await memory.tournaments.getTournamentEntrants(tournament.id);
+    expect(entrants.map(e => e.guild_id)).toEqual([host.id]);
+    expect((await memory.tournaments.getTournamentById(tournament.id)).prize_pool).toBe(5000);
+
+    // Cancelling refunds the host only - the fee isn't carried into the new run
+    const { refunded } = await memory.tournaments.cancelTournament(tournament.id);
+    expect(refunded.map(r => r.guild_id)).toEqual([host.id]);
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(GAME.STARTING_GOLD);
+    expect((await memory.guilds.getGuildById(host.id)).gold).toBe(10000);
+  });
+});
+
+describe('/prestige shop', () => {
+  test('buying an upgrade spends points and refreshes the shop', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', prestige_points: 5 });
+    const headStart = (await memory.prestige.getAllPrestigeUpgrades()).find(u => u.name === 'Head Start');
+
+    const interaction = createFakeInteraction({ userId: '42', values: [`${headStart.id}`] });
+    await handlePrestigeBuySelect(interaction);
+
+    expect(lastResponse(interaction).content).toContain('Purchased **Head Start** level 1');
+    expect((await memory.guilds.getGuildById(guild.id)).prestige_points).toBe(4);
+    expect(await memory.prestige.getGuildPrestigeUpgradeLevel(guild.id, headStart.id)).toBe(1);
+    expect(interaction.message.edits[0].embeds[0].toJSON().title).toBe('PRESTIGE SHOP');
+  });
+
+  test('reports missing points without buying', async () => {
+    const guild = memory.insertGuild({ discord_id: '42', prestige_points: 0 });
+    const interaction = createFakeInteraction({ userId: '42', values: ['1'] });
+    await handlePrestigeBuySelect(interaction);
+
+    expect(lastResponse(interaction).content).toContain('Not enough prestige points');
+    expect(await memory.prestige.getGuildPrestigeUpgradeLevel(guild.id, 1)).toBe(0);
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { execute } from '../../src/commands/quest.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+import { hoursAgo } from '../helpers/fixtures.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+/**
+ * Run /quest as user 1
+ * @param {string} subcommand - start or status
+ * @param {Object} options - Slash command options
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function quest(subcommand, options = {}) {
+  const interaction = createFakeInteraction({ userId: '1', subcommand, options });
+  await execute(interaction);
+  return interaction;
+}
+
+describe('/quest start', () => {
+  test('sends the party and takes them off idle production', async () => {
+    const guild = memory.insertGuild({ discord_id: '1', adventurer_count: 10 });
+
+    const interaction = await quest('start', { duration: '4h', risk: 'safe', adventurers: 6 });
+
+    expect(lastEmbed(interaction).title).toBe('Quest Started!');
+    expect((await memory.guilds.getGuildById(guild.id)).adventurers_on_quest).toBe(6);
+
+    const active = await memory.quests.getActiveQuest(guild.id);
+    expect(active.adventurers_sent).toBe(6);
+    expect(active.ends_at.getTime() - NOW.getTime()).toBe(4 * 60 * 60 * 1000);
+  });
+
+  test('collects pending idle earnings before the party leaves', async () => {
+    const guild = memory.insertGuild({ discord_id: '1', gold: 0, last_collected_at: hoursAgo(2, NOW) });
+
+    await quest('start', { duration: '1h', risk: 'safe', adventurers: 1 });
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.gold).toBeGreaterThan(0);
+    expect(updated.last_collected_at.getTime()).toBe(NOW.getTime());
+  });
+
+  test('cannot send more adventurers than are available', async () => {
+    memory.insertGuild({ discord_id: '1', adventurer_count: 5 });
+
+    const interaction = await quest('start', { duration: '1h', risk: 'safe', adventurers: 6 });
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('only have **5**');
+  });
+
+  test('injured adventurers are not available', async () => {
+    memory.insertGuild({
+      discord_id: '1',
+      adventurer_count: 5,
+      injured_adventurers: 3,
+      injured_until: new Date(NOW.getTime() + 60 * 60 * 1000),
+    });
+
+    const interaction = await quest('start', { duration: '1h', risk: 'safe', adventurers: 3 });
+    expect(lastEmbed(interaction).description).toContain('only have **2**');
+  });
+
+  test('only one quest at a time', async () => {
+    memory.insertGuild({ discord_id: '1', adventurer_count: 10 });
+    await quest('start', { duration: '1h', risk: 'safe', adventurers: 2 });
+
+    const interaction = await quest('start', { duration: '1h', risk: 'safe', adventurers: 2 });
+    expect(lastEmbed(interaction).description).toContain('already on a quest');
+  });
+});
+
+describe('/quest status', () => {
+  test('shows the party while it is away', async () => {
+    memory.insertGuild({ discord_id: '1', adventurer_count: 10 });
+    await quest('start', { duration: '4h', risk: 'risky', adventurers: 4 });
+
+    setSystemTime(new Date(NOW.getTime() + 60 * 60 * 1000));
+    const interaction = await quest('status');
+
+    expect(lastEmbed(interaction).title).toBe('Quest In Progress');
+    expect(lastEmbed(interaction).description).toContain('**3h** left');
+  });
+
+  test('resolves a party that is due back', async () => {
+    setRandomSource(createSequenceRandom([0.5]));
+    const guild = memory.insertGuild({ discord_id: '1', adventurer_count: 20, gold: 0 });
+    await quest('start', { duration: '1h', risk: 'perilous', adventurers: 10 });
+
+    setSystemTime(new Date(NOW.getTime() + 2 * 60 * 60 * 1000));
+    const interaction = await quest('status');
+
+    expect(lastEmbed(interaction).title).toBe('Quest Complete!');
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.adventurers_on_quest).toBe(0);
+    expect(updated.injured_adventurers).toBe(3); // 10 * 30% * (0.5 + 0.5)
+    expect(updated.lifetime_quests_completed).toBe(1);
+    expect(updated.lifetime_quest_gold).toBeGreaterThan(0);
+    expect(await memory.quests.getActiveQuest(guild.id)).toBeNull();
+  });
+
+  test('reports when no quest is active', async () => {
+    memory.insertGuild({ discord_id: '1' });
+
+    const interaction = await quest('status');
+    expect(lastEmbed(interaction).title).toBe('No Active Quest');
+  });
+});
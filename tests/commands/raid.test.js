@@ -0,0 +1,98 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { RAID } from '../../src/config.js';
+import { execute, stopAllRaidTrackers } from '../../src/commands/raid.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  setRandomSource(() => 0.5);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  memory.insertGuild({ discord_id: '1', name: 'Raiders' });
+});
+
+afterEach(() => {
+  stopAllRaidTrackers();
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+/**
+ * Run a /raid subcommand
+ * @param {string} userId - Discord ID
+ * @param {string} subcommand - Subcommand name
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function raid(userId, subcommand) {
+  const interaction = createFakeInteraction({ userId, subcommand });
+  await execute(interaction);
+  return interaction;
+}
+
+describe('/raid status', () => {
+  test('rejects players without a guild', async () => {
+    const interaction = await raid('42', 'status');
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('/start');
+  });
+
+  test('says when the next boss appears if none is out', async () => {
+    const interaction = await raid('1', 'status');
+    expect(lastEmbed(interaction).description).toContain('No world boss is out');
+  });
+
+  test('posts the boss with its HP and the damage leaderboard', async () => {
+    const boss = await memory.raids.spawnBoss('dragon', 10000, RAID.DURATION_HOURS);
+    await memory.raids.recordBossAttack(boss.id, 1, 2500, RAID.ATTACK_COOLDOWN_MINUTES);
+
+    const interaction = await raid('1', 'status');
+
+    const embed = lastEmbed(interaction);
+    expect(lastResponse(interaction).flags).toBeUndefined();
+    expect(embed.title).toContain('Ashmaw the Elder Dragon');
+    expect(embed.description).toContain('7.50K');
+    expect(embed.fields.find(f => f.name === 'Raiders (1)').value).toContain('Raiders');
+    expect(embed.fields.find(f => f.name === 'Your Guild').value).toContain('next attack in');
+  });
+});
+
+describe('/raid attack', () => {
+  test('reports when there is no boss to fight', async () => {
+    const interaction = await raid('1', 'attack');
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('no world boss');
+  });
+
+  test('hits the boss and shows the damage', async () => {
+    const boss = await memory.raids.spawnBoss('kraken', 10000, RAID.DURATION_HOURS);
+
+    const interaction = await raid('1', 'attack');
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toContain('Attack Landed');
+    const { hp } = await memory.raids.getBossById(boss.id);
+    expect(hp).toBeLessThan(10000);
+    expect(embed.description).toContain(`for **${10000 - hp}** damage`);
+  });
+
+  test('a killing blow announces the victory and DMs the rewards', async () => {
+    await memory.raids.spawnBoss('kraken', 5, RAID.DURATION_HOURS);
+
+    const interaction = await raid('1', 'attack');
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toContain('Killing Blow');
+    expect(embed.fields.find(f => f.name === 'Victory!').value).toContain('Champion');
+    expect(interaction.dms).toHaveLength(1);
+    expect(interaction.dms[0].payload.embeds[0].toJSON().title).toContain('Has Fallen');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { ROSTER } from '../../src/config.js';
+import { execute, handleSelectMenu } from '../../src/commands/roster.js';
+import { getPromotionRequirements } from '../../src/game/roster.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+let memory;
+let guild;
+
+beforeEach(() => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  guild = memory.insertGuild({ discord_id: '1', gold: 10000, adventurer_count: 3, last_collected_at: new Date() });
+});
+
+afterEach(() => {
+  resetRepositories();
+});
+
+const selectMenu = (interaction) => lastResponse(interaction).components?.[0]?.toJSON().components[0];
+
+describe('/roster', () => {
+  test('rejects players without a guild', async () => {
+    const interaction = createFakeInteraction({ userId: '42', subcommand: 'view' });
+    await execute(interaction);
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('/start');
+  });
+
+  test('view names the guild\'s adventurers and shows the composition', async () => {
+    const interaction = createFakeInteraction({ userId: '1', subcommand: 'view' });
+    await execute(interaction);
+
+    const embed = lastEmbed(interaction);
+    expect(embed.description.split('\n').filter(line => line.includes('Lv 1'))).toHaveLength(3);
+    expect(embed.fields.find(f => f.name === 'Composition').value).toContain('battle power');
+    expect(embed.footer.text).toContain('Page 1/1');
+  });
+
+  test('view counts the unnamed recruits past the roster limit', async () => {
+    memory.store.guilds[0].adventurer_count = ROSTER.MAX_NAMED + 4;
+    const interaction = createFakeInteraction({ userId: '1', subcommand: 'view', options: { page: 3 } });
+    await execute(interaction);
+
+    expect(lastEmbed(interaction).footer.text).toContain('Page 3/3 · 4 more unnamed recruits');
+  });
+
+  test('promote only offers adventurers with enough XP', async () => {
+    await memory.roster.syncRoster(guild.id, 3, [
+      { name: 'Ready Rita', class: 'rogue', trait: 'lucky' },
+      { name: 'Green Gil', class: 'mage', trait: 'lazy' },
+      { name: 'Green Gus', class: 'cleric', trait: 'brave' },
+    ]);
+    memory.store.adventurers[0].xp = getPromotionRequirements(1).xp;
+
+    const interaction = createFakeInteraction({ userId: '1', subcommand: 'promote' });
+    await execute(interaction);
+
+    const menu = selectMenu(interaction);
+    expect(menu.custom_id).toBe('roster_select:promote');
+    expect(menu.options.map(o => o.label)).toEqual(['Ready Rita']);
+  });
+
+  test('selecting an adventurer promotes them', async () => {
+    const [rita] = await memory.roster.syncRoster(guild.id, 1, [{ name: 'Ready Rita', class: 'rogue', trait: 'lucky' }]);
+    memory.store.adventurers[0].xp = getPromotionRequirements(1).xp;
+
+    const interaction = createFakeInteraction({ userId: '1', customId: 'roster_select:promote', values: [String(rita.id)] });
+    await handleSelectMenu(interaction);
+
+    expect(interaction.responses[0].type).toBe('update');
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Promoted!').value).toContain('Lv 2 Rogue');
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(10000 - getPromotionRequirements(1).gold);
+  });
+
+  test('selecting an adventurer to dismiss sends them away', async () => {
+    const [first] = await memory.roster.syncRoster(guild.id, 1, [{ name: 'Idle Ida', class: 'warrior', trait: 'lazy' }]);
+
+    const interaction = createFakeInteraction({ userId: '1', customId: 'roster_select:dismiss', values: [String(first.id)] });
+    await handleSelectMenu(interaction);
+
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Dismissed').value).toContain('**Idle Ida**');
+    expect((await memory.guilds.getGuildById(guild.id)).adventurer_count).toBe(2);
+    expect((await memory.roster.getRoster(guild.id)).map(a => a.name)).not.toContain('Idle Ida');
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { SEASON } from '../../src/config.js';
+import { execute } from '../../src/commands/season.js';
+import { resolveSeason } from '../../src/game/seasons.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let memory;
+let guild;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  guild = memory.insertGuild({ discord_id: '1', name: 'Climbers' });
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+/**
+ * Run a /season subcommand
+ * @param {string} subcommand - Subcommand name
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function season(subcommand, options = {}) {
+  const interaction = createFakeInteraction({ userId: '1', subcommand, options });
+  await execute(interaction);
+  return interaction;
+}
+
+describe('/season standings', () => {
+  test('explains seasons before the first one starts', async () => {
+    const interaction = await season('standings');
+    expect(lastEmbed(interaction).description).toContain('hasn\'t started yet');
+  });
+
+  test('shows the ladder, time remaining and your placing', async () => {
+    await memory.seasons.startSeason(SEASON.LENGTH_DAYS);
+    await memory.guilds.collectResourcesFull(guild.id, 2500, 0, 5);
+    setSystemTime(new Date(NOW.getTime() + 2 * DAY_MS));
+
+    const embed = lastEmbed(await season('standings'));
+    expect(embed.title).toBe('🏆 Season 1 · 💰 Gold Earned');
+    expect(embed.description).toContain('Ends in **26d 0h**');
+    expect(embed.fields[0].value).toContain('**Climbers** — 2.50K gold');
+    expect(embed.fields.find(f => f.name === 'Your Guild').value).toContain('Gold Earned: **#1**');
+  });
+
+  test('switches to the battles ladder', async () => {
+    await memory.seasons.startSeason(SEASON.LENGTH_DAYS);
+    await memory.guilds.collectResourcesFull(guild.id, 2500, 0, 5);
+
+    const embed = lastEmbed(await season('standings', { ladder: 'battles' }));
+    expect(embed.title).toContain('Battles Won');
+    expect(embed.fields[0].value).toContain('Nobody is on this ladder yet');
+  });
+});
+
+describe('/season history', () => {
+  test('shows a finished season with the rewards paid', async () => {
+    const first = await memory.seasons.startSeason(SEASON.LENGTH_DAYS);
+    await memory.guilds.collectResourcesFull(guild.id, 2500, 0, 5);
+    setSystemTime(new Date(NOW.getTime() + SEASON.LENGTH_DAYS * DAY_MS));
+    await resolveSeason(first);
+    await memory.seasons.startSeason(SEASON.LENGTH_DAYS);
+
+    const embed = lastEmbed(await season('history', { season: 1 }));
+    expect(embed.title).toContain('Season 1');
+    expect(embed.description).toContain('final standings');
+    expect(embed.fields.find(f => f.name === 'Your Guild').value).toContain('Reward: **+100.00K** gold');
+  });
+
+  test('rejects unknown and running seasons', async () => {
+    await memory.seasons.startSeason(SEASON.LENGTH_DAYS);
+
+    const unknown = await season('history', { season: 7 });
+    expect(lastResponse(unknown).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(unknown).description).toContain('There is no Season 7');
+
+    const running = await season('history', { season: 1 });
+    expect(lastEmbed(running).description).toContain('still running');
+  });
+});
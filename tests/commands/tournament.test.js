@@ -0,0 +1,183 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { TOURNAMENT, TRADE } from '../../src/config.js';
+import { execute } from '../../src/commands/tournament.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+import { playNextRound } from '../../src/game/tournaments.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const SERVER_ID = 'server-1';
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  setRandomSource(() => 0.5);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  for (let i = 1; i <= 5; i++) {
+    memory.insertGuild({ discord_id: String(i), name: `Guild ${i}`, level: 10, adventurer_count: i * 10, gold: 1000 });
+  }
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+/**
+ * Run a /tournament subcommand in the test server
+ * @param {string} userId - Discord ID
+ * @param {string} subcommand - Subcommand name
+ * @param {Object} options - Option values
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function tournament(userId, subcommand, options = {}) {
+  const interaction = createFakeInteraction({ userId, subcommand, options, guildId: SERVER_ID, channelId: 'channel-1' });
+  await execute(interaction);
+  return interaction;
+}
+
+describe('/tournament', () => {
+  test('only works inside a server', async () => {
+    const interaction = createFakeInteraction({ userId: '1', subcommand: 'status' });
+    await execute(interaction);
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('inside a server');
+  });
+
+  test('creating enters the host and takes their entry fee', async () => {
+    const interaction = await tournament('1', 'create', { name: 'Spring Cup', format: 'swiss', entry_fee: 200 });
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toBe(`${TOURNAMENT.FORMATS.swiss.emoji} Spring Cup`);
+    expect(embed.description).toContain('Prize pool: **200** gold');
+    expect(embed.fields[0].value).toContain('Guild 1');
+    expect(memory.store.guilds[0].gold).toBe(800);
+
+    const [saved] = memory.store.tournaments;
+    expect(saved.channel_id).toBe('channel-1');
+    expect(saved.max_entrants).toBe(TOURNAMENT.MAX_ENTRANTS);
+  });
+
+  test('allows one tournament per server at a time', async () => {
+    await tournament('1', 'create', { name: 'Spring Cup' });
+    const interaction = await tournament('2', 'create', { name: 'Rival Cup' });
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(lastEmbed(interaction).description).toContain('already has a tournament');
+  });
+
+  test('joining pays into the pool, and a guild can only join once', async () => {
+    await tournament('1', 'create', { name: 'Spring Cup', entry_fee: 200 });
+    const joined = await tournament('2', 'join');
+
+    expect(lastResponse(joined).content).toContain('Guild 2');
+    expect(lastEmbed(joined).description).toContain('Prize pool: **400** gold');
+    expect(memory.store.guilds[1].gold).toBe(800);
+
+    const again = await tournament('2', 'join');
+    expect(lastEmbed(again).description).toContain('already entered');
+    expect(memory.store.guilds[1].gold).toBe(800);
+  });
+
+  test('rejects guilds that can\'t afford the entry fee', async () => {
+    await tournament('1', 'create', { name: 'Spring Cup', entry_fee: 500 });
+    memory.store.guilds[1].gold = 100;
+
+    const interaction = await tournament('2', 'join');
+    expect(lastEmbed(interaction).description).toContain('entry fee is **500** gold');
+    expect(await memory.tournaments.getTournamentEntrants(1)).toHaveLength(1);
+  });
+
+  test('hosting and joining need the trading level', async () => {
+    memory.store.guilds[0].level = TRADE.MIN_LEVEL - 1;
+    const host = await tournament('1', 'create', { name: 'Spring Cup' });
+    expect(lastEmbed(host).description).toContain(`level **${TRADE.MIN_LEVEL}**`);
+    expect(memory.store.tournaments).toHaveLength(0);
+
+    await tournament('2', 'create', { name: 'Spring Cup' });
+    const joiner = await tournament('1', 'join');
+    expect(lastEmbed(joiner).description).toContain(`level **${TRADE.MIN_LEVEL}**`);
+
+    // The settlement checks it too
+    const result = await memory.tournaments.joinTournament(1, memory.store.guilds[0].id);
+    expect(result).toEqual({ success: false, error: `You need to reach level ${TRADE.MIN_LEVEL} to enter tournaments` });
+    expect(await memory.tournaments.getTournamentEntrants(1)).toHaveLength(1);
+  });
+
+  test('entry fees count against the daily sending limit', async () => {
+    // Level 10 can send 15,000 a day - 14,900 of it already went out as a trade offer
+    memory.store.guilds[1].gold = 20000;
+    await memory.trades.createTradeOffer(memory.store.guilds[1].id, memory.store.guilds[0].id, 14900);
+    await tournament('1', 'create', { name: 'Spring Cup', entry_fee: 200 });
+
+    const interaction = await tournament('2', 'join');
+    expect(lastEmbed(interaction).description).toContain('over your daily trading limit');
+
+    const result = await memory.tournaments.joinTournament(1, memory.store.guilds[1].id);
+    expect(result).toEqual({ success: false, error: 'That entry fee would put you over your daily sending limit' });
+    expect(memory.store.guilds[1].gold).toBe(20000 - 14900);
+
+    // The host's fee counts as sent until the tournament is cancelled and refunded
+    expect((await memory.trades.getTradeTotals(memory.store.guilds[0].id)).sent).toBe(200);
+    await memory.tournaments.cancelTournament(1);
+    expect((await memory.trades.getTradeTotals(memory.store.guilds[0].id)).sent).toBe(0);
+  });
+
+  test('only the host can start it, and only with enough entrants', async () => {
+    await tournament('1', 'create', { name: 'Spring Cup' });
+    await tournament('2', 'join');
+
+    expect(lastEmbed(await tournament('2', 'start')).description).toContain('Only the host');
+    expect(lastEmbed(await tournament('1', 'start')).description).toContain(`at least **${TOURNAMENT.MIN_ENTRANTS}**`);
+  });
+
+  test('starting seeds the bracket and plays the first round', async () => {
+    await tournament('1', 'create', { name: 'Spring Cup', entry_fee: 100 });
+    for (const userId of ['2', '3', '4']) {
+      await tournament(userId, 'join');
+    }
+
+    const interaction = await tournament('1', 'start');
+    const embed = lastEmbed(interaction);
+
+    expect(lastResponse(interaction).content).toContain('has begun');
+    expect(embed.description).toContain('Round 1 of 2');
+    const results = embed.fields.find(f => f.name === 'Round 1 Results');
+    // Seed 1 (Guild 4) v seed 4 (Guild 1), seed 2 (Guild 3) v seed 3 (Guild 2) - the stronger guild wins on a 50 roll
+    expect(results.value).toContain('**Guild 4** def. Guild 1');
+    expect(results.value).toContain('**Guild 3** def. Guild 2');
+
+    const late = await tournament('5', 'join');
+    expect(lastEmbed(late).description).toContain('already started');
+  });
+
+  test('status and history show a finished tournament\'s winner', async () => {
+    await tournament('1', 'create', { name: 'Spring Cup', entry_fee: 100 });
+    for (const userId of ['2', '3', '4']) {
+      await tournament(userId, 'join');
+    }
+    await tournament('1', 'start');
+
+    await playNextRound(await memory.tournaments.getTournamentById(1));
+
+    const status = lastEmbed(await tournament('1', 'status'));
+    expect(status.description).toContain('**Guild 4** won the tournament!');
+    expect(status.fields[0].name).toBe('Final Standings');
+    expect(status.fields[0].value).toContain('🥇 **Guild 4**');
+
+    const history = lastEmbed(await tournament('5', 'history'));
+    expect(history.description).toContain('**Spring Cup** · 🏆 **Guild 4**');
+    expect(history.description).toContain('4 guilds · 400 gold pool');
+  });
+
+  test('explains tournaments when the server hasn\'t had one', async () => {
+    const interaction = await tournament('42', 'status');
+    expect(lastEmbed(interaction).description).toContain('No tournament has been run');
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { TRADE } from '../../src/config.js';
+import { execute, handleTradeAccept, handleTradeDecline } from '../../src/commands/trade.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { getDailyTradeLimit } from '../../src/game/trades.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+let sender;
+let recipient;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+
+  sender = memory.insertGuild({ discord_id: '1', name: 'Sender Guild', level: 10, gold: 50000 });
+  recipient = memory.insertGuild({ discord_id: '2', name: 'Recipient Guild', level: 10, gold: 0 });
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+const user = (id) => ({ id, username: `user${id}` });
+
+/**
+ * Send a /trade offer
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function offer(userId, targetId, amount, note = null) {
+  const interaction = createFakeInteraction({
+    userId,
+    subcommand: 'offer',
+    options: { user: user(targetId), amount, note },
+  });
+  await execute(interaction);
+  return interaction;
+}
+
+/**
+ * Press a button on an offer
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function press(handler, userId, customId) {
+  const interaction = createFakeInteraction({ userId, customId });
+  await handler(interaction);
+  return interaction;
+}
+
+const gold = async (guild) => (await memory.guilds.getGuildById(guild.id)).gold;
+
+describe('/trade offer', () => {
+  test('holds the gold and posts accept/decline buttons', async () => {
+    const interaction = await offer('1', '2', 1000, 'for the cause');
+
+    const response = lastResponse(interaction);
+    const buttons = response.components[0].toJSON().components.map(c => c.custom_id);
+    expect(buttons).toEqual(['trade_accept:1', 'trade_decline:1']);
+    expect(lastEmbed(interaction).fields.find(f => f.name === 'Note').value).toBe('for the cause');
+    expect(await gold(sender)).toBe(49000);
+  });
+
+  test('accepting moves the gold and records lifetime stats', async () => {
+    await offer('1', '2', 1000);
+
+    const interaction = await press(handleTradeAccept, '2', 'trade_accept:1');
+
+    expect(lastEmbed(interaction).title).toContain('Trade Complete');
+    const updatedRecipient = await memory.guilds.getGuildById(recipient.id);
+    expect(updatedRecipient.gold).toBe(1000);
+    expect(updatedRecipient.lifetime_trade_gold_received).toBe(1000);
+    expect(updatedRecipient.lifetime_gold_earned).toBe(0);
+    expect((await memory.guilds.getGuildById(sender.id)).lifetime_trade_gold_sent).toBe(1000);
+  });
+
+  test('only the recipient can accept', async () => {
+    await offer('1', '2', 1000);
+
+    const interaction = await press(handleTradeAccept, '1', 'trade_accept:1');
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(await gold(recipient)).toBe(0);
+  });
+
+  test('declining returns the gold to the sender', async () => {
+    await offer('1', '2', 1000);
+
+    const interaction = await press(handleTradeDecline, '2', 'trade_decline:1');
+
+    expect(lastEmbed(interaction).title).toBe('Offer Declined');
+    expect(await gold(sender)).toBe(50000);
+    expect((await memory.trades.getTradeById(1)).status).toBe('declined');
+  });
+
+  test('the sender can cancel their own offer', async () => {
+    await offer('1', '2', 1000);
+
+    const interaction = await press(handleTradeDecline, '1', 'trade_decline:1');
+
+    expect(lastEmbed(interaction).title).toBe('Offer Cancelled');
+    expect(await gold(sender)).toBe(50000);
+  });
+
+  test('expired offers can no longer be accepted', async () => {
+    await offer('1', '2', 1000);
+    setSystemTime(new Date(NOW.getTime() + TRADE.OFFER_TIMEOUT_MS));
+
+    const interaction = await press(handleTradeAccept, '2', 'trade_accept:1');
+
+    expect(lastEmbed(interaction).title).toBe('Offer Expired');
+    expect(await gold(recipient)).toBe(0);
+    expect(await gold(sender)).toBe(50000);
+  });
+
+  test('low-level guilds cannot send gold', async () => {
+    memory.insertGuild({ discord_id: '3', level: TRADE.MIN_LEVEL - 1, gold: 50000 });
+
+    const interaction = await offer('3', '2', 1000);
+
+    expect(lastEmbed(interaction).description).toContain(`level **${TRADE.MIN_LEVEL}**`);
+  });
+
+  test('only one offer can be open at a time', async () => {
+    await offer('1', '2', 1000);
+
+    const interaction = await offer('1', '2', 1000);
+    expect(lastEmbed(interaction).description).toContain('already have an offer');
+  });
+});
+
+describe('daily limits', () => {
+  test('sending is capped by the sender\'s level over 24 hours', async () => {
+    const limit = getDailyTradeLimit(10);
+    await offer('1', '2', limit);
+    await press(handleTradeAccept, '2', 'trade_accept:1');
+
+    const interaction = await offer('1', '2', TRADE.MIN_AMOUNT);
+    expect(lastEmbed(interaction).description).toContain('daily sending limit');
+
+    // A day later the allowance is back
+    setSystemTime(new Date(NOW.getTime() + 24 * 60 * 60 * 1000));
+    await offer('1', '2', TRADE.MIN_AMOUNT);
+    expect((await memory.trades.getTradeById(2)).status).toBe('pending');
+  });
+
+  test('receiving is capped by the recipient\'s level', async () => {
+    const alt = memory.insertGuild({ discord_id: '3', level: 1, gold: 0 });
+
+    const interaction = await offer('1', '3', getDailyTradeLimit(alt.level) + 1);
+
+    expect(lastEmbed(interaction).description).toContain('can only receive');
+    expect(await gold(sender)).toBe(50000);
+  });
+});
+
+describe('/trade history', () => {
+  test('lists sent and received trades with today\'s totals', async () => {
+    await offer('1', '2', 1000);
+    await press(handleTradeAccept, '2', 'trade_accept:1');
+    await offer('1', '2', 500);
+    await press(handleTradeDecline, '2', 'trade_decline:2');
+
+    const interaction = createFakeInteraction({ userId: '2', subcommand: 'history' });
+    await execute(interaction);
+
+    const embed = lastEmbed(interaction);
+    expect(embed.description).toContain('Received **1.00K** gold from **Sender Guild** - Accepted');
+    expect(embed.description).toContain('Received **500** gold from **Sender Guild** - Declined');
+    expect(embed.fields.find(f => f.name === 'Last 24 Hours').value).toContain('Received: **1.00K**');
+  });
+});
+
+test('expireStaleTrades returns gold from offers whose timer was lost', async () => {
+  await memory.trades.createTradeOffer(sender.id, recipient.id, 1000);
+  setSystemTime(new Date(NOW.getTime() + TRADE.OFFER_TIMEOUT_MS));
+
+  expect(await memory.trades.expireStaleTrades()).toBe(1);
+  expect(await gold(sender)).toBe(50000);
+  expect(await memory.trades.expireStaleTrades()).toBe(0);
+});
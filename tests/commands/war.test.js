@@ -0,0 +1,137 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MessageFlags } from 'discord.js';
+import { WAR } from '../../src/config.js';
+import { execute } from '../../src/commands/war.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import { createFakeInteraction, lastResponse, lastEmbed } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+let memory;
+let ironPact;
+let silverHand;
+
+beforeEach(async () => {
+  setSystemTime(NOW);
+  setRandomSource(createSequenceRandom([0]));
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+
+  // Guild 1 leads Iron Pact (with guild 3 as a member), guild 2 leads Silver Hand
+  const leader = memory.insertGuild({ discord_id: '1', name: 'Leader Guild' });
+  const rival = memory.insertGuild({ discord_id: '2', name: 'Rival Guild' });
+  const member = memory.insertGuild({ discord_id: '3', name: 'Member Guild' });
+  ({ alliance: ironPact } = await memory.alliances.createAlliance(leader.id, 'Iron Pact', 0));
+  ({ alliance: silverHand } = await memory.alliances.createAlliance(rival.id, 'Silver Hand', 0));
+  await memory.alliances.createInvite(ironPact.id, member.id, leader.id);
+  await memory.alliances.acceptInvite(ironPact.id, member.id);
+  memory.store.alliances.find(a => a.id === ironPact.id).treasury = WAR.DECLARE_COST + 500;
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+/**
+ * Run a /war subcommand
+ * @param {string} userId - Discord ID
+ * @param {string} subcommand - Subcommand name
+ * @param {Object} options - Option values (users as { id, username })
+ * @returns {Promise<Object>} The fake interaction
+ */
+async function war(userId, subcommand, options = {}) {
+  const interaction = createFakeInteraction({ userId, subcommand, options });
+  await execute(interaction);
+  return interaction;
+}
+
+describe('/war declare', () => {
+  test('schedules a war and charges the treasury', async () => {
+    const interaction = await war('1', 'declare', { alliance: 'silver hand' });
+
+    expect(lastEmbed(interaction).title).toContain('War Declared');
+    expect((await memory.alliances.getAllianceById(ironPact.id)).treasury).toBe(500);
+
+    const open = await memory.wars.getOpenWar(silverHand.id);
+    expect(open.status).toBe('scheduled');
+    expect(open.alliance_a_id).toBe(ironPact.id);
+  });
+
+  test('only leaders and officers can declare', async () => {
+    const interaction = await war('3', 'declare', { alliance: 'Silver Hand' });
+
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+    expect(await memory.wars.getOpenWar(ironPact.id)).toBeNull();
+  });
+
+  test('an alliance can only fight one war at a time', async () => {
+    await war('1', 'declare', { alliance: 'Silver Hand' });
+    memory.store.alliances.find(a => a.id === ironPact.id).treasury = WAR.DECLARE_COST;
+
+    const interaction = await war('1', 'declare', { alliance: 'Silver Hand' });
+    expect(lastEmbed(interaction).description).toContain('already at war');
+  });
+
+  test('requires enough treasury gold', async () => {
+    memory.store.alliances.find(a => a.id === ironPact.id).treasury = 0;
+
+    const interaction = await war('1', 'declare', { alliance: 'Silver Hand' });
+    expect(lastEmbed(interaction).description).toContain('Declaring war costs');
+  });
+});
+
+describe('/war attack', () => {
+  test('attacks a chosen enemy and reports the new score', async () => {
+    await war('1', 'declare', { alliance: 'Silver Hand' });
+    await memory.wars.openWar((await memory.wars.getOpenWar(ironPact.id)).id);
+
+    const interaction = await war('3', 'attack', { target: { id: '2', username: 'rival' } });
+
+    const embed = lastEmbed(interaction);
+    expect(embed.title).toContain('Victory');
+    expect(embed.description).toContain('Rival Guild');
+    expect(embed.fields.find(f => f.name === 'Attacks Left').value).toContain(`**${WAR.ATTACKS_PER_MEMBER - 1}**`);
+  });
+
+  test('cannot target a guild outside the enemy roster', async () => {
+    await war('1', 'declare', { alliance: 'Silver Hand' });
+    await memory.wars.openWar((await memory.wars.getOpenWar(ironPact.id)).id);
+
+    const interaction = await war('3', 'attack', { target: { id: '1', username: 'ally' } });
+    expect(lastEmbed(interaction).description).toContain('enemy roster');
+  });
+});
+
+describe('/war status', () => {
+  test('shows peace and the alliance record when not at war', async () => {
+    const interaction = await war('1', 'status');
+
+    expect(lastEmbed(interaction).title).toContain('At Peace');
+    expect(lastEmbed(interaction).description).toContain('0** won');
+  });
+
+  test('shows the score, top fighters and recent attacks during a war', async () => {
+    await war('1', 'declare', { alliance: 'Silver Hand' });
+    await memory.wars.openWar((await memory.wars.getOpenWar(ironPact.id)).id);
+    await war('1', 'attack');
+
+    const interaction = await war('2', 'status');
+    const embed = lastEmbed(interaction);
+
+    expect(embed.title).toBe('⚔️ Silver Hand vs Iron Pact');
+    expect(embed.fields.find(f => f.name === 'Iron Pact').value).not.toBe('**0** points');
+    expect(embed.fields.find(f => f.name === 'Top Fighters').value).toContain('Leader Guild');
+    expect(embed.fields.find(f => f.name === 'Recent Attacks').value).toContain('**Leader Guild** → **Rival Guild**');
+  });
+
+  test('requires an alliance', async () => {
+    memory.insertGuild({ discord_id: '9' });
+
+    const interaction = await war('9', 'status');
+    expect(lastResponse(interaction).flags).toBe(MessageFlags.Ephemeral);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, test, expect, afterEach } from 'bun:test';
+import {
+  calculatePower,
+  calculateWinChance,
+  rollBattle,
+  calculatePowerRatio,
+  getBattleType,
+  calculateBattleRewards,
+  calculateFreeRevengeRewards,
+} from '../../src/database/battles.js';
+import { DEFENSE } from '../../src/config.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import { makeGuild } from '../helpers/fixtures.js';
+
+afterEach(() => {
+  resetRandomSource();
+});
+
+describe('calculatePower', () => {
+  test('combines adventurers, gold rate and XP', async () => {
+    const guild = makeGuild({ xp: 10000 });
+    // 5 adventurers + 300 gold/hr / 500 + 10000 XP / 5000
+    expect(await calculatePower(guild, [], [])).toBeCloseTo(5 + 0.6 + 2);
+  });
+
+  test('equipped items add their power and boost the gold rate', async () => {
+    const guild = makeGuild({ xp: 0 });
+    const sword = { effect_type: 'gold_multiplier', effect_value: '0.5', power: 20 };
+    // 5 adventurers + 450 gold/hr / 500 + 20 item power
+    expect(await calculatePower(guild, [], [], [], [sword])).toBeCloseTo(5 + 0.9 + 20);
+  });
+
+  test('named adventurers add roster power and their gold bonus', async () => {
+    const guild = makeGuild({ xp: 0, roster_gold_bonus: '0.5000', roster_power: '12.50' });
+    // 5 adventurers + 450 gold/hr / 500 + 12.5 roster power
+    expect(await calculatePower(guild, [], [])).toBeCloseTo(5 + 0.9 + 12.5);
+  });
+});
+
+describe('calculateWinChance', () => {
+  test('equal power is a coin flip', () => {
+    expect(calculateWinChance(10, 10)).toBe(50);
+  });
+
+  test('zero total power is a coin flip', () => {
+    expect(calculateWinChance(0, 0)).toBe(50);
+  });
+
+  test('shifts by up to 15% based on relative power difference', () => {
+    expect(calculateWinChance(30, 10)).toBe(57.5);
+    expect(calculateWinChance(10, 30)).toBe(42.5);
+  });
+
+  test('stays within 35%-65%', () => {
+    expect(calculateWinChance(10, 0)).toBe(65);
+    expect(calculateWinChance(0, 10)).toBe(35);
+    expect(calculateWinChance(1e9, 1)).toBeLessThanOrEqual(65);
+    expect(calculateWinChance(1, 1e9)).toBeGreaterThanOrEqual(35);
+  });
+  test('takes the defender\'s defense off after the clamp', () => {
+    expect(calculateWinChance(10, 10, 5)).toBe(45);
+    expect(calculateWinChance(0, 10, 5)).toBe(30);
+  });
+
+  test('defense never pushes the attacker below the floor', () => {
+    expect(calculateWinChance(0, 10, 50)).toBe(DEFENSE.MIN_WIN_CHANCE);
+  });
+});
+
+describe('rollBattle', () => {
+  test('attacker wins when the roll is under the win chance', () => {
+    setRandomSource(() => 0.499);
+    expect(rollBattle(50)).toBe(true);
+  });
+
+  test('attacker loses when the roll meets the win chance', () => {
+    setRandomSource(() => 0.5);
+    expect(rollBattle(50)).toBe(false);
+  });
+});
+
+describe('calculatePowerRatio and getBattleType', () => {
+  test('ratio is always stronger / weaker', () => {
+    expect(calculatePowerRatio(10, 40)).toBe(4);
+    expect(calculatePowerRatio(40, 10)).toBe(4);
+  });
+
+  test('zero power opponent is an infinite ratio', () => {
+    expect(calculatePowerRatio(10, 0)).toBe(Infinity);
+  });
+
+  test('classifies battles by ratio thresholds', () => {
+    expect(getBattleType(2.99).type).toBe('normal');
+    expect(getBattleType(3).type).toBe('capped');
+    expect(getBattleType(4.99).type).toBe('capped');
+    expect(getBattleType(5)).toEqual({ type: 'consent', requiresConsent: true, isCapped: true, freeRevenge: true });
+  });
+});
+
+describe('calculateBattleRewards', () => {
+  test('winner takes the bet and a 1-5% XP bonus', () => {
+    setRandomSource(() => 0.5); // 3% XP
+    const rewards = calculateBattleRewards({
+      betAmount: 500,
+      loserGuild: makeGuild({ gold: 10000, xp: 1000 }),
+      strongerWon: true,
+      isCapped: false,
+      attackerLost: false,
+    });
+    expect(rewards).toEqual({ goldTransfer: 500, xpBonus: 30, wasCapped: false });
+  });
+
+  test('XP bonus spans 1% to 5% of the loser XP', () => {
+    const loserGuild = makeGuild({ gold: 0, xp: 10000 });
+    const params = { betAmount: 0, loserGuild, strongerWon: false, isCapped: false, attackerLost: false };
+
+    setRandomSource(() => 0);
+    expect(calculateBattleRewards(params).xpBonus).toBe(100);
+
+    setRandomSource(() => 0.9999);
+    expect(calculateBattleRewards(params).xpBonus).toBe(499);
+  });
+
+  test('caps winnings of a stronger attacker to 1-5% of the defender gold', () => {
+    setRandomSource(createSequenceRandom([0.5, 0])); // XP roll, then 1% gold cap roll
+    const rewards = calculateBattleRewards({
+      betAmount: 500,
+      loserGuild: makeGuild({ gold: 10000, xp: 1000 }),
+      strongerWon: true,
+      isCapped: true,
+      attackerLost: false,
+    });
+    expect(rewards).toEqual({ goldTransfer: 100, xpBonus: 30, wasCapped: true });
+  });
+
+  test('does not flag a cap when the capped amount exceeds the bet', () => {
+    setRandomSource(createSequenceRandom([0.5, 0.5])); // 3% of 100000 = 3000 > bet
+    const rewards = calculateBattleRewards({
+      betAmount: 500,
+      loserGuild: makeGuild({ gold: 100000, xp: 1000 }),
+      strongerWon: true,
+      isCapped: true,
+      attackerLost: false,
+    });
+    expect(rewards.goldTransfer).toBe(500);
+    expect(rewards.wasCapped).toBe(false);
+  });
+
+  test('losing attacker always forfeits the full bet', () => {
+    setRandomSource(() => 0);
+    const rewards = calculateBattleRewards({
+      betAmount: 500,
+      loserGuild: makeGuild({ gold: 10000, xp: 0 }),
+      strongerWon: true,
+      isCapped: true,
+      attackerLost: true,
+    });
+    expect(rewards.goldTransfer).toBe(500);
+    expect(rewards.wasCapped).toBe(false);
+  });
+
+  test('cannot take more gold than the loser has', () => {
+    setRandomSource(() => 0);
+    const rewards = calculateBattleRewards({
+      betAmount: 500,
+      loserGuild: makeGuild({ gold: 120, xp: 0 }),
+      strongerWon: false,
+      isCapped: false,
+      attackerLost: false,
+    });
+    expect(rewards.goldTransfer).toBe(120);
+  });
+
+  test('handles BIGINT columns returned as strings', () => {
+    setRandomSource(() => 0);
+    const rewards = calculateBattleRewards({
+      betAmount: 500,
+      loserGuild: makeGuild({ gold: '300', xp: '1000' }),
+      strongerWon: false,
+      isCapped: false,
+      attackerLost: false,
+    });
+    expect(rewards).toEqual({ goldTransfer: 300, xpBonus: 10, wasCapped: false });
+  });
+});
+
+describe('calculateFreeRevengeRewards', () => {
+  test('rewards 1-2% of the original attacker gold and XP', () => {
+    setRandomSource(createSequenceRandom([0, 0.5]));
+    const rewards = calculateFreeRevengeRewards(makeGuild({ gold: 10000, xp: 5000 }));
+    expect(rewards).toEqual({ goldReward: 100, xpBonus: 75 });
+  });
+});
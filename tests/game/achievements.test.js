@@ -0,0 +1,123 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import {
+  findNewAchievements,
+  getAchievementProgress,
+  formatAchievementReward,
+  checkAchievements,
+} from '../../src/game/achievements.js';
+import { calculateUpgradeBonuses } from '../../src/game/idle.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { makeGuild, makeUpgrade } from '../helpers/fixtures.js';
+
+/**
+ * Build an achievement definition
+ * threshold and effect_value are strings, matching how Postgres returns BIGINT and DECIMAL columns
+ */
+function makeAchievement(id, statField, threshold, overrides = {}) {
+  return {
+    id,
+    name: `Achievement ${id}`,
+    stat_field: statField,
+    threshold: String(threshold),
+    effect_type: 'gold_multiplier',
+    effect_value: '0.0100',
+    title: null,
+    ...overrides,
+  };
+}
+
+describe('findNewAchievements', () => {
+  const catalogue = [
+    makeAchievement(1, 'lifetime_battles_won', 1),
+    makeAchievement(2, 'lifetime_battles_won', 25),
+    makeAchievement(3, 'peak_gold_balance', 10000),
+  ];
+
+  test('unlocks anything whose stat has reached the threshold', () => {
+    const guild = makeGuild({ lifetime_battles_won: 25, peak_gold_balance: 500 });
+    expect(findNewAchievements(guild, catalogue).map(a => a.id)).toEqual([1, 2]);
+  });
+
+  test('skips achievements the guild already has', () => {
+    const guild = makeGuild({ lifetime_battles_won: 25, peak_gold_balance: '20000' });
+    expect(findNewAchievements(guild, catalogue, [1, 2]).map(a => a.id)).toEqual([3]);
+  });
+
+  test('treats missing stats as zero', () => {
+    expect(findNewAchievements(makeGuild(), catalogue)).toEqual([]);
+  });
+});
+
+describe('getAchievementProgress', () => {
+  test('reports progress capped at the threshold', () => {
+    const achievement = makeAchievement(1, 'lifetime_grind_clicks', 1000);
+    expect(getAchievementProgress(makeGuild({ lifetime_grind_clicks: 250 }), achievement))
+      .toEqual({ current: 250, threshold: 1000, percent: 25 });
+    expect(getAchievementProgress(makeGuild({ lifetime_grind_clicks: 5000 }), achievement).current).toBe(1000);
+  });
+});
+
+describe('formatAchievementReward', () => {
+  test('describes the bonus and title', () => {
+    expect(formatAchievementReward(makeAchievement(1, 'level', 1, { effect_value: '0.0200', title: 'the Wealthy' })))
+      .toBe('+2% gold, title: the Wealthy');
+    expect(formatAchievementReward(makeAchievement(1, 'level', 1, { effect_type: 'adventurer_capacity', effect_value: '2.0000' })))
+      .toBe('+2 capacity');
+  });
+
+  test('falls back to bragging rights when there is no reward', () => {
+    expect(formatAchievementReward(makeAchievement(1, 'level', 1, { effect_type: null, effect_value: '0' })))
+      .toBe('Bragging rights');
+  });
+});
+
+describe('achievement bonuses', () => {
+  test('stack with upgrades and count once each', () => {
+    const bonuses = calculateUpgradeBonuses(
+      [makeUpgrade('gold_multiplier', 0.1, 2)],
+      [
+        makeAchievement(1, 'level', 1, { effect_value: '0.0200' }),
+        makeAchievement(2, 'level', 1, { effect_type: 'adventurer_capacity', effect_value: '2.0000' }),
+      ]
+    );
+    expect(bonuses.goldMultiplier).toBeCloseTo(1.22);
+    expect(bonuses.adventurerCapacityBonus).toBe(2);
+  });
+});
+
+describe('checkAchievements', () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = createMemoryRepositories();
+    setRepositories(memory);
+  });
+
+  afterEach(() => {
+    resetRepositories();
+  });
+
+  test('unlocks earned achievements once and sets the latest title', async () => {
+    const guild = memory.insertGuild({ lifetime_battles_won: 100 });
+
+    const unlocked = await checkAchievements(guild.id);
+    expect(unlocked.map(a => a.name)).toEqual(['First Blood', 'Veteran Warband', 'Warlord']);
+    expect((await memory.guilds.getGuildById(guild.id)).title).toBe('Warlord');
+
+    expect(await checkAchievements(guild.id)).toEqual([]);
+    expect(await memory.achievements.getGuildAchievements(guild.id)).toHaveLength(3);
+  });
+
+  test('unlocked achievements are loaded with the guild', async () => {
+    const guild = memory.insertGuild({ discord_id: '7', lifetime_prestiges: 1 });
+    await checkAchievements(guild.id);
+
+    const { achievements } = await memory.guilds.getGuildWithData('7');
+    expect(achievements.map(a => a.name)).toEqual(['Reborn']);
+  });
+
+  test('returns nothing for a missing guild', async () => {
+    expect(await checkAchievements(999)).toEqual([]);
+  });
+});
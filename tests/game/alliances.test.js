@@ -0,0 +1,91 @@
+import { describe, test, expect } from 'bun:test';
+import { ALLIANCE } from '../../src/config.js';
+import {
+  calculateAllianceBonuses,
+  getBuffCost,
+  formatBuffEffect,
+  canManageAlliance,
+  canKick,
+  validateAllianceName,
+} from '../../src/game/alliances.js';
+import { calculateRates, calculateUpgradeBonuses, calculatePrestigeBonuses } from '../../src/game/idle.js';
+import { makeGuild } from '../helpers/fixtures.js';
+
+describe('calculateAllianceBonuses', () => {
+  test('returns neutral multipliers with no buffs', () => {
+    expect(calculateAllianceBonuses()).toEqual({ goldMultiplier: 1.0, xpMultiplier: 1.0 });
+  });
+
+  test('scales each buff by level', () => {
+    const bonuses = calculateAllianceBonuses([
+      { buff_key: 'gilded_banners', level: 3 },
+      { buff_key: 'grand_charter', level: 2 },
+    ]);
+    expect(bonuses.goldMultiplier).toBeCloseTo(1.08);
+    expect(bonuses.xpMultiplier).toBeCloseTo(1.02);
+  });
+
+  test('ignores unknown buffs', () => {
+    expect(calculateAllianceBonuses([{ buff_key: 'retired_buff', level: 5 }]).goldMultiplier).toBe(1.0);
+  });
+
+  test('multiplies calculateRates output', () => {
+    const guild = makeGuild({ adventurer_count: 10 });
+    const bonuses = calculateUpgradeBonuses([]);
+    const prestigeBonuses = calculatePrestigeBonuses(guild, []);
+    const base = calculateRates(guild, bonuses, prestigeBonuses);
+    const buffed = calculateRates(guild, bonuses, prestigeBonuses, calculateAllianceBonuses([{ buff_key: 'gilded_banners', level: 5 }]));
+
+    expect(buffed.goldPerHour).toBe(Math.floor(base.goldPerHour * 1.1));
+    expect(buffed.xpPerHour).toBe(base.xpPerHour);
+  });
+});
+
+describe('getBuffCost', () => {
+  test('grows geometrically per level', () => {
+    const buff = ALLIANCE.BUFFS.gilded_banners;
+    expect(getBuffCost('gilded_banners', 0)).toBe(buff.baseCost);
+    expect(getBuffCost('gilded_banners', 2)).toBe(Math.floor(buff.baseCost * buff.costMultiplier ** 2));
+  });
+
+  test('is null at max level or for unknown buffs', () => {
+    expect(getBuffCost('gilded_banners', ALLIANCE.BUFFS.gilded_banners.maxLevel)).toBeNull();
+    expect(getBuffCost('nope', 0)).toBeNull();
+  });
+});
+
+describe('formatBuffEffect', () => {
+  test('describes the total bonus at a level', () => {
+    expect(formatBuffEffect('war_college', 3)).toBe('+6% XP');
+    expect(formatBuffEffect('grand_charter', 2)).toBe('+2% gold & XP');
+  });
+});
+
+describe('alliance roles', () => {
+  test('leaders and officers manage the alliance', () => {
+    expect(canManageAlliance('leader')).toBe(true);
+    expect(canManageAlliance('officer')).toBe(true);
+    expect(canManageAlliance('member')).toBe(false);
+    expect(canManageAlliance(null)).toBe(false);
+  });
+
+  test('can only kick lower ranks', () => {
+    expect(canKick('leader', 'officer')).toBe(true);
+    expect(canKick('officer', 'member')).toBe(true);
+    expect(canKick('officer', 'officer')).toBe(false);
+    expect(canKick('member', 'member')).toBe(false);
+  });
+});
+
+describe('validateAllianceName', () => {
+  test('accepts reasonable names', () => {
+    expect(validateAllianceName("Knights of the Dawn")).toBeNull();
+    expect(validateAllianceName("Dragon's-Bane")).toBeNull();
+  });
+
+  test('rejects names that are too short, too long or use odd characters', () => {
+    expect(validateAllianceName('ab')).toContain('at least');
+    expect(validateAllianceName('x'.repeat(ALLIANCE.NAME_MAX_LENGTH + 1))).toContain('at most');
+    expect(validateAllianceName('<@everyone>')).toContain('only use');
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { BOUNTY, TRADE } from '../../src/config.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { placeBounty, closeBounty, claimBounties, calculateBountyFee, getBountyTimeRemaining } from '../../src/game/bounties.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+let memory;
+let poster;
+let target;
+let hunter;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  poster = memory.insertGuild({ discord_id: '1', name: 'Posters', level: 10, gold: 10000 });
+  target = memory.insertGuild({ discord_id: '2', name: 'Wanted', level: 10, gold: 1000 });
+  hunter = memory.insertGuild({ discord_id: '3', name: 'Hunters', gold: 1000 });
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+describe('calculateBountyFee', () => {
+  test('charges a share of the amount, never below the minimum', () => {
+    expect(calculateBountyFee(2000)).toBe(2000 * BOUNTY.POSTING_FEE_RATE);
+    expect(calculateBountyFee(BOUNTY.MIN_AMOUNT)).toBe(BOUNTY.MIN_POSTING_FEE);
+  });
+});
+
+describe('placeBounty', () => {
+  test('escrows the gold, spends the fee and puts the bounty on the board', async () => {
+    const result = await placeBounty(poster, target, 2000);
+
+    expect(result.success).toBe(true);
+    expect(result.bounty.amount).toBe(2000);
+    expect(getBountyTimeRemaining(result.bounty)).toBe(BOUNTY.DURATION_HOURS * HOUR_MS);
+    expect((await memory.guilds.getGuildById(poster.id)).gold).toBe(10000 - 2000 - calculateBountyFee(2000));
+  });
+
+  test('needs the trading level', async () => {
+    const alt = memory.insertGuild({ discord_id: '9', level: TRADE.MIN_LEVEL - 1, gold: 10000 });
+
+    const result = await placeBounty(alt, target, 2000);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain(`level **${TRADE.MIN_LEVEL}**`);
+    expect((await memory.guilds.getGuildById(alt.id)).gold).toBe(10000);
+  });
+
+  test('counts against the poster\'s daily sending allowance', async () => {
+    // Level 10 can send 15,000 a day
+    memory.store.guilds.find(g => g.id === poster.id).gold = 50000;
+    await placeBounty(poster, target, 10000);
+
+    const result = await placeBounty(poster, target, 6000);
+
+    expect(result).toEqual({ success: false, error: 'That would put you over your daily sending limit' });
+    expect((await memory.guilds.getGuildById(poster.id)).gold).toBe(50000 - 10000 - calculateBountyFee(10000));
+    expect((await memory.trades.getTradeTotals(poster.id)).sent).toBe(10000);
+  });
+
+  test('rejects bounties on your own guild and amounts you can\'t cover', async () => {
+    expect((await placeBounty(poster, poster, 1000)).success).toBe(false);
+    expect((await placeBounty(target, poster, 5000)).success).toBe(false);
+    expect(memory.store.bounties).toHaveLength(0);
+    expect((await memory.guilds.getGuildById(target.id)).gold).toBe(1000);
+  });
+
+  test('refunds the escrow when the target is already full', async () => {
+    for (let i = 0; i < BOUNTY.MAX_PER_TARGET; i++) {
+      const other = memory.insertGuild({ discord_id: `other-${i}`, level: 10, gold: 1000 });
+      await placeBounty(other, target, 500);
+    }
+
+    const result = await placeBounty(poster, target, 2000);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('gold was returned');
+    expect((await memory.guilds.getGuildById(poster.id)).gold).toBe(10000);
+  });
+});
+
+describe('claimBounties', () => {
+  test('pays the winner every open bounty on the beaten guild', async () => {
+    await placeBounty(poster, target, 2000);
+    const other = memory.insertGuild({ discord_id: '4', level: 10, gold: 1000 });
+    await placeBounty(other, target, 500);
+
+    const claim = await claimBounties(hunter, target, 7);
+
+    expect(claim.total).toBe(2500);
+    expect(claim.bounties).toHaveLength(2);
+    const updated = await memory.guilds.getGuildById(hunter.id);
+    expect(updated.gold).toBe(3500);
+    expect(updated.lifetime_bounties_claimed).toBe(2);
+    expect(updated.lifetime_bounty_gold).toBe(2500);
+    expect(memory.store.bounties.every(b => b.status === 'claimed' && b.battle_id === 7)).toBe(true);
+
+    // Nothing left to claim
+    expect(await claimBounties(hunter, target, 8)).toBeNull();
+  });
+
+  test('posters can\'t claim their own bounties', async () => {
+    await placeBounty(poster, target, 2000);
+
+    expect(await claimBounties(poster, target, 1)).toBeNull();
+    expect((await memory.bounties.getBountyById(1)).status).toBe('active');
+  });
+
+  test('stops at the winner\'s daily receiving allowance, biggest bounties first', async () => {
+    // Level 1 can receive 6,000 a day
+    const other = memory.insertGuild({ discord_id: '4', level: 10, gold: 10000 });
+    const third = memory.insertGuild({ discord_id: '5', level: 10, gold: 10000 });
+    await placeBounty(poster, target, 5000);
+    await placeBounty(other, target, 2000);
+    await placeBounty(third, target, 1000);
+
+    const claim = await claimBounties(hunter, target, 7);
+
+    expect(claim.total).toBe(6000);
+    expect(claim.bounties.map(b => b.amount)).toEqual([5000, 1000]);
+    expect((await memory.guilds.getGuildById(hunter.id)).gold).toBe(7000);
+    expect((await memory.bounties.getBountyById(2)).status).toBe('active');
+    expect((await memory.trades.getTradeTotals(hunter.id)).received).toBe(6000);
+
+    // Nothing more fits today
+    expect(await claimBounties(hunter, target, 8)).toBeNull();
+  });
+
+  test('expired bounties can\'t be claimed', async () => {
+    await placeBounty(poster, target, 2000);
+    setSystemTime(new Date(NOW.getTime() + BOUNTY.DURATION_HOURS * HOUR_MS));
+
+    expect(await claimBounties(hunter, target, 1)).toBeNull();
+  });
+});
+
+describe('closeBounty', () => {
+  test('refunds the poster exactly once', async () => {
+    const { bounty } = await placeBounty(poster, target, 2000);
+
+    expect((await closeBounty(bounty, 'cancelled', poster.id)).status).toBe('cancelled');
+    expect(await closeBounty(bounty, 'expired')).toBeNull();
+    // The posting fee stays spent
+    expect((await memory.guilds.getGuildById(poster.id)).gold).toBe(10000 - calculateBountyFee(2000));
+  });
+
+  test('only closes a bounty for the guild that posted it', async () => {
+    const { bounty } = await placeBounty(poster, target, 2000);
+
+    expect(await closeBounty(bounty, 'cancelled', hunter.id)).toBeNull();
+    expect((await memory.guilds.getGuildById(poster.id)).gold).toBe(10000 - 2000 - calculateBountyFee(2000));
+  });
+
+  test('a claimed bounty isn\'t refunded', async () => {
+    const { bounty } = await placeBounty(poster, target, 2000);
+    await claimBounties(hunter, target, 1);
+
+    expect(await closeBounty(bounty, 'cancelled', poster.id)).toBeNull();
+    expect((await memory.guilds.getGuildById(poster.id)).gold).toBe(10000 - 2000 - calculateBountyFee(2000));
+  });
+});
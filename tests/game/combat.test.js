@@ -0,0 +1,68 @@
+import { describe, test, expect, afterEach } from 'bun:test';
+import { COMBAT } from '../../src/config.js';
+import { resolveCombat, formatCombatLog } from '../../src/game/combat.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import { makeGuild } from '../helpers/fixtures.js';
+
+const attacker = makeGuild({ id: 1, name: 'Raiders', adventurer_count: 20 });
+const defender = makeGuild({ id: 2, name: 'Keep', adventurer_count: 10 });
+
+afterEach(() => {
+  resetRandomSource();
+});
+
+const sum = (rounds, key) => rounds.reduce((total, round) => total + round[key], 0);
+
+describe('resolveCombat', () => {
+  test('the winner breaks the loser\'s line in the last round', () => {
+    setRandomSource(createSequenceRandom([0.3, 0.6, 0.1, 0.9, 0.45]));
+    const { attackerWon, rounds } = resolveCombat(50, attacker, defender);
+
+    expect(attackerWon).toBe(true);
+    expect(rounds.length).toBeGreaterThanOrEqual(COMBAT.MIN_ROUNDS);
+    expect(rounds.length).toBeLessThanOrEqual(COMBAT.MAX_ROUNDS);
+    expect(sum(rounds, 'attackerDamage')).toBe(COMBAT.LINE_HP);
+    expect(rounds.at(-1).defenderHp).toBe(0);
+    expect(rounds.at(-1).attackerHp).toBeGreaterThan(0);
+    expect(rounds.slice(0, -1).every(round => round.defenderHp > 0)).toBe(true);
+  });
+
+  test('the loser never breaks the winner\'s line', () => {
+    setRandomSource(createSequenceRandom([0.99]));
+    const { attackerWon, rounds } = resolveCombat(50, attacker, defender);
+
+    expect(attackerWon).toBe(false);
+    expect(rounds.at(-1).attackerHp).toBe(0);
+    expect(rounds.at(-1).defenderHp).toBeGreaterThan(0);
+  });
+
+  test('keeps the win chance of a single roll', () => {
+    setRandomSource(createSequenceRandom([0.34]));
+    expect(resolveCombat(35, attacker, defender).attackerWon).toBe(true);
+    setRandomSource(createSequenceRandom([0.36]));
+    expect(resolveCombat(35, attacker, defender).attackerWon).toBe(false);
+  });
+
+  test('knockouts follow the damage each side takes', () => {
+    // Every roll is 0: the defender's line takes all 100 damage, the attacker's takes 30
+    setRandomSource(createSequenceRandom([0]));
+    const { rounds } = resolveCombat(50, attacker, defender);
+
+    expect(sum(rounds, 'defenderKnockouts')).toBe(defender.adventurer_count * COMBAT.KNOCKOUT_SHARE);
+    expect(sum(rounds, 'attackerKnockouts')).toBe(3);
+  });
+});
+
+describe('formatCombatLog', () => {
+  test('writes one line per round and names the broken line', () => {
+    // Every roll is 0: the attacker wins over 3 rounds, landing a critical hit each round
+    setRandomSource(createSequenceRandom([0]));
+    const { rounds } = resolveCombat(50, attacker, defender);
+
+    const log = formatCombatLog(rounds, 'Raiders', 'Keep');
+    expect(log).toContain('⚔️ Raiders vs 🛡️ Keep');
+    expect(log).toContain('`R1` ⚔️ **33** 💥 · 🛡️ **10** 💥 → ❤️ 90 / 67');
+    expect(log).toContain('`R3`');
+    expect(log).toContain('**Keep**\'s line breaks in round 3!');
+  });
+});
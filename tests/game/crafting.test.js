@@ -0,0 +1,165 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { CRAFTING } from '../../src/config.js';
+import {
+  calculateMaterialMultipliers,
+  rollMaterialYield,
+  gatherMaterials,
+  getMissingMaterials,
+  stackBoost,
+  craftRecipe,
+} from '../../src/game/crafting.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+import { hoursAgo } from '../helpers/fixtures.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+const findRecipe = (name) => memory.store.recipes.find(r => r.name === name);
+
+describe('calculateMaterialMultipliers', () => {
+  test('starts every material at the base rate', () => {
+    expect(calculateMaterialMultipliers([])).toEqual({ herbs: 1, ore: 1, arcane_dust: 1 });
+  });
+
+  test('missions levels speed up herbs and ore, magic levels arcane dust', () => {
+    const multipliers = calculateMaterialMultipliers([
+      { category: 'missions', level: 5 },
+      { category: 'missions', level: 5 },
+      { category: 'magic', level: 3 },
+      { category: 'trade', level: 50 },
+    ]);
+    expect(multipliers.herbs).toBeCloseTo(1 + 10 * CRAFTING.YIELD_PER_UPGRADE_LEVEL);
+    expect(multipliers.ore).toBeCloseTo(1 + 10 * CRAFTING.YIELD_PER_UPGRADE_LEVEL);
+    expect(multipliers.arcane_dust).toBeCloseTo(1 + 3 * CRAFTING.YIELD_PER_UPGRADE_LEVEL);
+  });
+});
+
+describe('rollMaterialYield', () => {
+  test('pays whole amounts for the time gathered', () => {
+    setRandomSource(() => 0.99);
+    expect(rollMaterialYield({ herbs: 1, ore: 1, arcane_dust: 1 }, 2)).toEqual({ herbs: 6, ore: 4, arcane_dust: 2 });
+  });
+
+  test('fractions round up by chance', () => {
+    const multipliers = { herbs: 1, ore: 1, arcane_dust: 1 };
+    // Half an hour: 1.5 herbs, 1 ore, 0.5 dust
+    setRandomSource(() => 0.4);
+    expect(rollMaterialYield(multipliers, 0.5)).toEqual({ herbs: 2, ore: 1, arcane_dust: 1 });
+    setRandomSource(() => 0.6);
+    expect(rollMaterialYield(multipliers, 0.5)).toEqual({ herbs: 1, ore: 1, arcane_dust: 0 });
+  });
+});
+
+describe('gatherMaterials', () => {
+  test('adds the haul to the guild and its lifetime stats', async () => {
+    setRandomSource(() => 0.99);
+    const guild = memory.insertGuild({ herbs: 1 });
+
+    const gathered = await gatherMaterials(guild.id, calculateMaterialMultipliers([]), 1);
+
+    expect(gathered).toEqual({ herbs: 3, ore: 2, arcane_dust: 1 });
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.herbs).toBe(4);
+    expect(updated.lifetime_materials_gathered).toBe(6);
+  });
+});
+
+describe('getMissingMaterials', () => {
+  test('lists only what the guild is short of', () => {
+    const recipe = { herbs: 10, ore: 4, arcane_dust: 0 };
+    expect(getMissingMaterials({ herbs: 3, ore: 9, arcane_dust: 0 }, recipe)).toEqual({ herbs: 7 });
+    expect(getMissingMaterials({ herbs: 10, ore: 4, arcane_dust: 0 }, recipe)).toEqual({});
+  });
+});
+
+describe('stackBoost', () => {
+  test('starts a fresh boost when none is running', () => {
+    expect(stackBoost(0, null, 0.25, 60, NOW)).toEqual({ value: 0.25, until: new Date(NOW.getTime() + HOUR_MS) });
+  });
+
+  test('the same potion adds to the time left', () => {
+    const until = new Date(NOW.getTime() + HOUR_MS / 2);
+    expect(stackBoost(0.25, until, 0.25, 60, NOW).until).toEqual(new Date(NOW.getTime() + 1.5 * HOUR_MS));
+  });
+
+  test('a stronger potion replaces a weaker one', () => {
+    const until = new Date(NOW.getTime() + HOUR_MS / 2);
+    expect(stackBoost(0.25, until, 0.5, 240, NOW)).toEqual({ value: 0.5, until: new Date(NOW.getTime() + 4 * HOUR_MS) });
+  });
+
+  test('a weaker potion can\'t replace a running stronger one', () => {
+    const until = new Date(NOW.getTime() + HOUR_MS);
+    expect(stackBoost(0.5, until, 0.25, 60, NOW)).toBeNull();
+    // ...but can once it has run out
+    expect(stackBoost(0.5, hoursAgo(1, NOW), 0.25, 60, NOW)).not.toBeNull();
+  });
+});
+
+describe('craftRecipe', () => {
+  test('spends the materials and starts the boost', async () => {
+    const guild = memory.insertGuild({ herbs: 20, ore: 10, last_collected_at: NOW });
+    const tonic = findRecipe('Minor Gold Tonic');
+
+    const result = await craftRecipe(guild.id, tonic);
+
+    expect(result.success).toBe(true);
+    expect(result.guild.herbs).toBe(20 - tonic.herbs);
+    expect(result.guild.ore).toBe(10 - tonic.ore);
+    expect(result.guild.gold_boost).toBe(0.25);
+    expect(result.guild.gold_boost_until).toEqual(new Date(NOW.getTime() + HOUR_MS));
+    expect(result.guild.lifetime_potions_crafted).toBe(1);
+  });
+
+  test('settles idle earnings before the boost starts', async () => {
+    const guild = memory.insertGuild({ herbs: 20, ore: 10, gold: 0, last_collected_at: hoursAgo(2, NOW) });
+
+    await craftRecipe(guild.id, findRecipe('Minor Gold Tonic'));
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.gold).toBeGreaterThan(0);
+    expect(updated.last_collected_at).toEqual(NOW);
+  });
+
+  test('recruitment stops at capacity', async () => {
+    const guild = memory.insertGuild({ level: 5, herbs: 50, ore: 50, arcane_dust: 50, adventurer_count: 8, adventurer_capacity: 10 });
+
+    const result = await craftRecipe(guild.id, findRecipe('Recruiter\'s Banner'));
+
+    expect(result.recruited).toBe(2);
+    expect(result.guild.adventurer_count).toBe(10);
+    expect(result.guild.lifetime_adventurers_recruited).toBe(2);
+  });
+
+  test('a full roster keeps its materials', async () => {
+    const guild = memory.insertGuild({ level: 5, herbs: 50, ore: 50, arcane_dust: 50, adventurer_count: 10, adventurer_capacity: 10 });
+
+    const result = await craftRecipe(guild.id, findRecipe('Recruiter\'s Banner'));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('room');
+    expect((await memory.guilds.getGuildById(guild.id)).ore).toBe(50);
+  });
+
+  test('enforces the recipe level', async () => {
+    const guild = memory.insertGuild({ level: 1, herbs: 500, ore: 500, arcane_dust: 500 });
+    const result = await craftRecipe(guild.id, findRecipe('Philosopher\'s Brew'));
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('level 40');
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, test, expect } from 'bun:test';
+import { DAILY } from '../../src/config.js';
+import { getDailyStatus, getStreakMultiplier, isStreakMilestone, calculateDailyReward } from '../../src/game/daily.js';
+import { makeGuild, hoursAgo } from '../helpers/fixtures.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+describe('getDailyStatus', () => {
+  test('first claim is always available and starts a streak of 1', () => {
+    const status = getDailyStatus(makeGuild({ last_daily_at: null }), NOW);
+    expect(status.canClaim).toBe(true);
+    expect(status.nextStreak).toBe(1);
+    expect(status.currentStreak).toBe(0);
+  });
+
+  test('blocks claims inside the cooldown', () => {
+    const guild = makeGuild({ last_daily_at: hoursAgo(DAILY.COOLDOWN_HOURS - 1, NOW), daily_streak: 3 });
+    const status = getDailyStatus(guild, NOW);
+    expect(status.canClaim).toBe(false);
+    expect(status.nextClaimAt.getTime() - NOW.getTime()).toBe(60 * 60 * 1000);
+    expect(status.currentStreak).toBe(3);
+  });
+
+  test('continues the streak inside the grace window', () => {
+    const guild = makeGuild({ last_daily_at: hoursAgo(DAILY.STREAK_GRACE_HOURS - 1, NOW), daily_streak: 3 });
+    const status = getDailyStatus(guild, NOW);
+    expect(status.canClaim).toBe(true);
+    expect(status.streakActive).toBe(true);
+    expect(status.nextStreak).toBe(4);
+  });
+
+  test('resets the streak once the grace window has passed', () => {
+    const guild = makeGuild({ last_daily_at: hoursAgo(DAILY.STREAK_GRACE_HOURS + 1, NOW), daily_streak: 9 });
+    const status = getDailyStatus(guild, NOW);
+    expect(status.canClaim).toBe(true);
+    expect(status.streakActive).toBe(false);
+    expect(status.currentStreak).toBe(0);
+    expect(status.nextStreak).toBe(1);
+  });
+});
+
+describe('getStreakMultiplier', () => {
+  test('grows per day and caps', () => {
+    expect(getStreakMultiplier(1)).toBe(1);
+    expect(getStreakMultiplier(3)).toBeCloseTo(1.2);
+    expect(getStreakMultiplier(50)).toBe(1 + DAILY.MAX_STREAK_BONUS);
+  });
+
+  test('milestone days pay double', () => {
+    expect(isStreakMilestone(DAILY.MILESTONE_DAYS)).toBe(true);
+    expect(isStreakMilestone(DAILY.MILESTONE_DAYS + 1)).toBe(false);
+    const base = 1 + (DAILY.MILESTONE_DAYS - 1) * DAILY.STREAK_BONUS_PER_DAY;
+    expect(getStreakMultiplier(DAILY.MILESTONE_DAYS)).toBeCloseTo(base * DAILY.MILESTONE_MULTIPLIER);
+  });
+});
+
+describe('calculateDailyReward', () => {
+  test('scales with idle income and rank multiplier', () => {
+    const rates = { goldPerHour: 300, xpPerHour: 150 };
+    // Level 1 = Bronze (1.0x)
+    const bronze = calculateDailyReward(makeGuild({ level: 1 }), rates, 1);
+    expect(bronze.gold).toBe(300 * DAILY.REWARD_HOURS + DAILY.BASE_GOLD);
+    expect(bronze.xp).toBe(150 * DAILY.REWARD_HOURS + DAILY.BASE_XP);
+
+    // Level 5 = Iron (1.5x) on the flat part
+    const iron = calculateDailyReward(makeGuild({ level: 5 }), rates, 1);
+    expect(iron.gold).toBe(300 * DAILY.REWARD_HOURS + DAILY.BASE_GOLD * 1.5);
+  });
+
+  test('applies the streak multiplier', () => {
+    const rates = { goldPerHour: 100, xpPerHour: 50 };
+    const dayOne = calculateDailyReward(makeGuild(), rates, 1);
+    const dayThree = calculateDailyReward(makeGuild(), rates, 3);
+    expect(dayThree.gold).toBe(Math.floor(dayOne.gold * 1.2));
+    expect(dayThree.multiplier).toBeCloseTo(1.2);
+  });
+});
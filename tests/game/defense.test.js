@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'bun:test';
+import { DEFENSE } from '../../src/config.js';
+import {
+  getGuards,
+  getMaxGuards,
+  getGuardDefense,
+  getNextFortification,
+  getFortificationDefense,
+  calculateDefense,
+} from '../../src/game/defense.js';
+import { getWorkingAdventurers } from '../../src/game/idle.js';
+import { makeGuild } from '../helpers/fixtures.js';
+
+describe('guards', () => {
+  test('up to half the guild can stand guard', () => {
+    expect(getMaxGuards(makeGuild({ adventurer_count: 21 }))).toBe(10);
+  });
+
+  test('guard defense grows with the share of the guild on guard', () => {
+    expect(getGuardDefense(makeGuild({ adventurer_count: 20, adventurers_guarding: 0 }))).toBe(0);
+    expect(getGuardDefense(makeGuild({ adventurer_count: 20, adventurers_guarding: 5 }))).toBe(DEFENSE.MAX_GUARD_DEFENSE / 2);
+    expect(getGuardDefense(makeGuild({ adventurer_count: 20, adventurers_guarding: 10 }))).toBe(DEFENSE.MAX_GUARD_DEFENSE);
+  });
+
+  test('never counts more guards than adventurers', () => {
+    expect(getGuards(makeGuild({ adventurer_count: 3, adventurers_guarding: 10 }))).toBe(3);
+    expect(getGuardDefense(makeGuild({ adventurer_count: 0, adventurers_guarding: 2 }))).toBe(0);
+  });
+
+  test('guards stop producing idle income', () => {
+    expect(getWorkingAdventurers(makeGuild({ adventurer_count: 10, adventurers_guarding: 4 }))).toBe(6);
+  });
+});
+
+describe('fortifications', () => {
+  test('are built in order', () => {
+    expect(getNextFortification(makeGuild()).name).toBe(DEFENSE.FORTIFICATIONS[0].name);
+    expect(getNextFortification(makeGuild({ fortification_level: 2 })).name).toBe(DEFENSE.FORTIFICATIONS[2].name);
+    expect(getNextFortification(makeGuild({ fortification_level: DEFENSE.FORTIFICATIONS.length }))).toBeNull();
+  });
+
+  test('add up every fortification built so far', () => {
+    const [first, second] = DEFENSE.FORTIFICATIONS;
+    expect(getFortificationDefense(makeGuild({ fortification_level: 2 }))).toBe(first.defense + second.defense);
+  });
+});
+
+describe('calculateDefense', () => {
+  test('combines guards and fortifications', () => {
+    const guild = makeGuild({ adventurer_count: 20, adventurers_guarding: 10, fortification_level: 1 });
+    expect(calculateDefense(guild)).toBe(DEFENSE.MAX_GUARD_DEFENSE + DEFENSE.FORTIFICATIONS[0].defense);
+  });
+
+  test('an undefended guild has none', () => {
+    expect(calculateDefense(makeGuild())).toBe(0);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { GRIND } from '../../src/config.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import {
+  analyzeCadence,
+  getCadenceFlag,
+  getClickWeight,
+  canChallenge,
+  shuffleChallengeChoices,
+  rollChallengeAnswer,
+} from '../../src/game/grindAntiCheat.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+/**
+ * Build a run of click intervals
+ * @param {number[]} pattern - Intervals to repeat
+ * @param {number} count - Number of intervals
+ * @returns {number[]}
+ */
+function intervals(pattern, count = GRIND.CADENCE_SAMPLES) {
+  return Array.from({ length: count }, (_, i) => pattern[i % pattern.length]);
+}
+
+describe('analyzeCadence', () => {
+  test('measures the rate and how much the gaps vary', () => {
+    const cadence = analyzeCadence([200, 300]);
+    expect(cadence.samples).toBe(2);
+    expect(cadence.meanMs).toBe(250);
+    expect(cadence.clicksPerSecond).toBe(4);
+    expect(cadence.variation).toBeCloseTo(0.2);
+  });
+
+  test('handles no samples and presses in the same millisecond', () => {
+    expect(analyzeCadence([]).samples).toBe(0);
+    expect(analyzeCadence([0, 0]).clicksPerSecond).toBe(1000);
+  });
+});
+
+describe('getCadenceFlag', () => {
+  test('waits for enough samples before judging', () => {
+    expect(getCadenceFlag(analyzeCadence(intervals([100], GRIND.MIN_CADENCE_SAMPLES - 1)))).toBeNull();
+  });
+
+  test('flags clicking that is too even or too fast', () => {
+    expect(getCadenceFlag(analyzeCadence(intervals([250])))).toBe('regular');
+    expect(getCadenceFlag(analyzeCadence(intervals([60, 100])))).toBe('fast');
+  });
+
+  test('lets jittery human clicking through', () => {
+    expect(getCadenceFlag(analyzeCadence(intervals([180, 260, 340, 220])))).toBeNull();
+  });
+});
+
+describe('getClickWeight', () => {
+  test('pays full value up to a human-plausible rate', () => {
+    expect(getClickWeight(analyzeCadence(intervals([200, 300])))).toBe(1);
+    expect(getClickWeight(analyzeCadence(intervals([100], 3)))).toBe(1);
+  });
+
+  test('falls off with the square of the excess rate, down to a floor', () => {
+    // 8 clicks a second is twice the human rate
+    expect(getClickWeight(analyzeCadence(intervals([100, 150])))).toBeCloseTo(0.25);
+    expect(getClickWeight(analyzeCadence(intervals([150, 183])))).toBeCloseTo((GRIND.HUMAN_CLICKS_PER_SECOND / 6) ** 2, 2);
+    expect(getClickWeight(analyzeCadence(intervals([10, 20])))).toBe(GRIND.MIN_CLICK_WEIGHT);
+  });
+});
+
+describe('challenges', () => {
+  beforeEach(() => {
+    setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    resetRandomSource();
+    setSystemTime();
+  });
+
+  test('only challenge again once the cooldown has passed', () => {
+    const cooldownMs = GRIND.CHALLENGE_COOLDOWN_MINUTES * 60 * 1000;
+    expect(canChallenge({ challenge_answer: null, last_challenge_at: null })).toBe(true);
+    expect(canChallenge({ challenge_answer: 2, last_challenge_at: null })).toBe(false);
+    expect(canChallenge({ challenge_answer: null, last_challenge_at: new Date(NOW.getTime() - cooldownMs + 1) })).toBe(false);
+    expect(canChallenge({ challenge_answer: null, last_challenge_at: new Date(NOW.getTime() - cooldownMs) })).toBe(true);
+  });
+
+  test('shuffles every choice into the row and picks one to press', () => {
+    setRandomSource(createSequenceRandom([0, 0, 0, 0.6]));
+    const order = shuffleChallengeChoices();
+    expect([...order].sort()).toEqual(GRIND.CHALLENGE_CHOICES.map((_, i) => i));
+    expect(order).toEqual([1, 2, 3, 0]);
+    expect(rollChallengeAnswer()).toBe(2);
+  });
+});
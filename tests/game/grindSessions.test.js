@@ -0,0 +1,170 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { createMemorySessionStore, getSessionEarnings } from '../../src/game/grindSessions.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+describe('memory session store', () => {
+  let store;
+  let flushes;
+
+  beforeEach(() => {
+    setSystemTime(NOW);
+    flushes = [];
+    store = createMemorySessionStore(async (guildId, gold, xp, clicks) => {
+      flushes.push({ guildId, gold, xp, clicks });
+      return { id: guildId };
+    });
+  });
+
+  afterEach(() => {
+    setSystemTime();
+  });
+
+  /**
+   * Start a session paying 5 gold and 2 XP a click
+   * @returns {Promise<Object>} The new session
+   */
+  function startSession() {
+    return store.createGrindSession({
+      discordId: '1',
+      guildId: 7,
+      goldPerClick: 5,
+      xpPerClick: 2,
+      baseGold: 100,
+      baseXp: 10,
+      materialMultipliers: {},
+      durationMs: 15 * MINUTE_MS,
+    });
+  }
+
+  test('a new session replaces the player\'s old one', async () => {
+    const first = await startSession();
+    const second = await startSession();
+
+    expect(second.id).not.toBe(first.id);
+    expect((await store.getGrindSession('1')).id).toBe(second.id);
+    expect(await store.getGrindSessions()).toHaveLength(1);
+  });
+
+  test('counts clicks up to the limit in each window and throttles the rest', async () => {
+    const session = await startSession();
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 3, maxSamples: 20 }));
+    }
+    expect(results.map(r => r.throttled)).toEqual([false, false, false, true]);
+    expect(results[3].session.total_clicks).toBe(3);
+    expect(results[3].session.throttled_clicks).toBe(1);
+
+    // A new window counts again
+    setSystemTime(new Date(NOW.getTime() + 1000));
+    const next = await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 3, maxSamples: 20 });
+    expect(next.throttled).toBe(false);
+    expect(next.session.total_clicks).toBe(4);
+    expect(getSessionEarnings(next.session)).toEqual({ gold: 20, xp: 8 });
+  });
+
+  test('won\'t count clicks on a session that has run out', async () => {
+    const session = await startSession();
+    setSystemTime(new Date(NOW.getTime() + 15 * MINUTE_MS));
+
+    expect(await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 3, maxSamples: 20 })).toBeNull();
+  });
+
+  test('flushes each click to the guild exactly once', async () => {
+    const session = await startSession();
+    await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 6, maxSamples: 20 });
+    await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 6, maxSamples: 20 });
+
+    const [first, second] = await Promise.all([
+      store.flushGrindSession(session.id),
+      store.flushGrindSession(session.id),
+    ]);
+
+    expect(first.clicks).toBe(2);
+    expect(first.previousClicks).toBe(0);
+    expect(second).toBeNull();
+    expect(flushes).toEqual([{ guildId: 7, gold: 10, xp: 4, clicks: 2 }]);
+
+    await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 6, maxSamples: 20 });
+    const third = await store.flushGrindSession(session.id);
+    expect(third.clicks).toBe(1);
+    expect(third.previousClicks).toBe(2);
+  });
+
+  test('keeps the clicks unflushed if the write fails', async () => {
+    store = createMemorySessionStore(async () => {
+      throw new Error('database unavailable');
+    });
+    const session = await startSession();
+    await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 6, maxSamples: 20 });
+
+    await expect(store.flushGrindSession(session.id)).rejects.toThrow('database unavailable');
+    expect((await store.getGrindSession('1')).flushed_clicks).toBe(0);
+  });
+
+  test('pays weighted clicks once they add up to whole clicks', async () => {
+    const session = await startSession();
+    for (let i = 0; i < 3; i++) {
+      await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 6, weight: 0.5, maxSamples: 20 });
+    }
+
+    const first = await store.flushGrindSession(session.id);
+    expect(first.clicks).toBe(1);
+    expect(getSessionEarnings(first.session)).toEqual({ gold: 5, xp: 2 });
+
+    // The leftover half click is paid once another half joins it
+    await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 6, weight: 0.5, maxSamples: 20 });
+    expect((await store.flushGrindSession(session.id)).clicks).toBe(1);
+    expect(flushes.map(f => f.clicks)).toEqual([1, 1]);
+  });
+
+  test('keeps the most recent gaps between presses', async () => {
+    const session = await startSession();
+    for (const gap of [0, 100, 200, 300]) {
+      setSystemTime(new Date(Date.now() + gap));
+      await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 1, maxSamples: 2 });
+    }
+
+    const stored = await store.getGrindSession('1');
+    // Throttled presses are timed too
+    expect(stored.throttled_clicks).toBeGreaterThan(0);
+    expect(stored.click_intervals).toEqual([200, 300]);
+  });
+
+  test('locks a session behind a challenge until the right button is pressed', async () => {
+    const session = await startSession();
+    await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 6, maxSamples: 20 });
+    setSystemTime(new Date(NOW.getTime() + 100));
+    await store.recordGrindClick(session.id, { windowMs: 1000, maxClicks: 6, maxSamples: 20 });
+
+    expect(await store.answerGrindChallenge(session.id, 1)).toBeNull();
+
+    const challenged = await store.startGrindChallenge(session.id, 2);
+    expect(challenged.challenge_answer).toBe(2);
+    expect(challenged.last_challenge_at.getTime()).toBe(NOW.getTime() + 100);
+
+    const wrong = await store.answerGrindChallenge(session.id, 1);
+    expect(wrong.passed).toBe(false);
+    expect(wrong.session.challenge_answer).toBe(2);
+    expect(wrong.session.challenges_failed).toBe(1);
+
+    const right = await store.answerGrindChallenge(session.id, 2);
+    expect(right.passed).toBe(true);
+    expect(right.session.challenge_answer).toBeNull();
+    expect(right.session.challenges_passed).toBe(1);
+    expect(right.session.click_intervals).toEqual([]);
+  });
+
+  test('adds up gathered materials and deletes sessions', async () => {
+    const session = await startSession();
+    await store.addGrindMaterials(session.id, { herbs: 2 });
+    const updated = await store.addGrindMaterials(session.id, { herbs: 1, ore: 3 });
+    expect(updated.materials).toEqual({ herbs: 3, ore: 3 });
+
+    await store.deleteGrindSession(session.id);
+    expect(await store.getGrindSession('1')).toBeNull();
+  });
+});
@@ -0,0 +1,340 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import {
+  calculateUpgradeBonuses,
+  calculatePrestigeBonuses,
+  calculateRates,
+  calculateIdleEarningsWithData,
+  getEffectiveCapacity,
+  getWorkingAdventurers,
+  getActiveBoosts,
+} from '../../src/game/idle.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+import { GAME, PRESTIGE } from '../../src/config.js';
+import { makeGuild, makeUpgrade, makePrestigeUpgrade, hoursAgo } from '../helpers/fixtures.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+describe('calculateUpgradeBonuses', () => {
+  test('returns neutral bonuses with no upgrades', () => {
+    expect(calculateUpgradeBonuses([])).toEqual({
+      goldMultiplier: 1.0,
+      xpMultiplier: 1.0,
+      adventurerCapacityBonus: 0,
+      adventurerPerHour: 0,
+      baseGoldPerHour: 0,
+      baseXpPerHour: 0,
+    });
+  });
+
+  test('scales effect value by owned level', () => {
+    const bonuses = calculateUpgradeBonuses([makeUpgrade('gold_multiplier', 0.1, 3)]);
+    expect(bonuses.goldMultiplier).toBeCloseTo(1.3);
+    expect(bonuses.xpMultiplier).toBe(1.0);
+  });
+
+  test('treats a missing level as level 1', () => {
+    const upgrade = makeUpgrade('adventurer_capacity', 3);
+    delete upgrade.level;
+    expect(calculateUpgradeBonuses([upgrade]).adventurerCapacityBonus).toBe(3);
+  });
+
+  test('all_multiplier boosts gold and XP', () => {
+    const bonuses = calculateUpgradeBonuses([makeUpgrade('all_multiplier', 0.05, 2)]);
+    expect(bonuses.goldMultiplier).toBeCloseTo(1.1);
+    expect(bonuses.xpMultiplier).toBeCloseTo(1.1);
+  });
+
+  test('base_gold_and_xp grants half as much XP as gold', () => {
+    const bonuses = calculateUpgradeBonuses([makeUpgrade('base_gold_and_xp', 20, 2)]);
+    expect(bonuses.baseGoldPerHour).toBe(40);
+    expect(bonuses.baseXpPerHour).toBe(20);
+  });
+
+  test('capacity_and_gold adds capacity plus 8% gold per level', () => {
+    const bonuses = calculateUpgradeBonuses([makeUpgrade('capacity_and_gold', 5, 2)]);
+    expect(bonuses.adventurerCapacityBonus).toBe(10);
+    expect(bonuses.goldMultiplier).toBeCloseTo(1.16);
+  });
+
+  test('stacks multiple upgrades additively', () => {
+    const bonuses = calculateUpgradeBonuses([
+      makeUpgrade('gold_multiplier', 0.1, 2),
+      makeUpgrade('gold_multiplier', 0.25, 1),
+      makeUpgrade('adventurer_per_hour', 2, 3),
+      makeUpgrade('base_gold_per_hour', 15, 4),
+      makeUpgrade('xp_multiplier', 0.1, 1),
+    ]);
+    expect(bonuses.goldMultiplier).toBeCloseTo(1.45);
+    expect(bonuses.xpMultiplier).toBeCloseTo(1.1);
+    expect(bonuses.adventurerPerHour).toBe(6);
+    expect(bonuses.baseGoldPerHour).toBe(60);
+  });
+
+  test('equipped items count once alongside upgrades', () => {
+    const bonuses = calculateUpgradeBonuses(
+      [makeUpgrade('gold_multiplier', 0.1, 2)],
+      [],
+      [{ effect_type: 'gold_multiplier', effect_value: '0.07' }, { effect_type: 'adventurer_capacity', effect_value: '5' }]
+    );
+    expect(bonuses.goldMultiplier).toBeCloseTo(1.27);
+    expect(bonuses.adventurerCapacityBonus).toBe(5);
+  });
+
+  test('ignores unknown effect types', () => {
+    const bonuses = calculateUpgradeBonuses([makeUpgrade('not_a_real_effect', 100, 5)]);
+    expect(bonuses).toEqual(calculateUpgradeBonuses([]));
+  });
+});
+
+describe('calculatePrestigeBonuses', () => {
+  test('returns neutral bonuses before the first prestige', () => {
+    const bonuses = calculatePrestigeBonuses(makeGuild());
+    expect(bonuses).toEqual({
+      goldMultiplier: 1.0,
+      xpMultiplier: 1.0,
+      recruitmentMultiplier: 1.0,
+      maxIdleHoursBonus: 0,
+      doubleGoldChance: 0,
+    });
+  });
+
+  test('compounds base bonuses per prestige level', () => {
+    const bonuses = calculatePrestigeBonuses(makeGuild({ prestige_level: 3 }));
+    expect(bonuses.goldMultiplier).toBeCloseTo(Math.pow(1 + PRESTIGE.GOLD_BONUS_PER_LEVEL, 3));
+    expect(bonuses.xpMultiplier).toBeCloseTo(Math.pow(1 + PRESTIGE.XP_BONUS_PER_LEVEL, 3));
+    expect(bonuses.recruitmentMultiplier).toBeCloseTo(Math.pow(1 + PRESTIGE.RECRUIT_BONUS_PER_LEVEL, 3));
+  });
+
+  test('permanent multipliers compound on top of prestige level', () => {
+    const bonuses = calculatePrestigeBonuses(makeGuild({ prestige_level: 1 }), [
+      makePrestigeUpgrade('permanent_gold_multiplier', 0.08, 2),
+      makePrestigeUpgrade('permanent_xp_multiplier', 0.08, 1),
+    ]);
+    expect(bonuses.goldMultiplier).toBeCloseTo(1.05 * 1.08 * 1.08);
+    expect(bonuses.xpMultiplier).toBeCloseTo(1.05 * 1.08);
+  });
+
+  test('Time Warp grants +2/+4/+8 idle hours', () => {
+    const hoursForLevel = (level) => calculatePrestigeBonuses(makeGuild(), [
+      makePrestigeUpgrade('max_idle_hours', 2, level),
+    ]).maxIdleHoursBonus;
+    expect(hoursForLevel(1)).toBe(2);
+    expect(hoursForLevel(2)).toBe(4);
+    expect(hoursForLevel(3)).toBe(8);
+  });
+
+  test('Lucky Coin adds 2% double gold chance per level', () => {
+    const bonuses = calculatePrestigeBonuses(makeGuild(), [
+      makePrestigeUpgrade('double_gold_chance', 0.02, 3),
+    ]);
+    expect(bonuses.doubleGoldChance).toBeCloseTo(0.06);
+  });
+
+  test('per-prestige upgrades scale with prestige level', () => {
+    const bonuses = calculatePrestigeBonuses(makeGuild({ prestige_level: 5 }), [
+      makePrestigeUpgrade('gold_per_prestige', 0.02, 1),
+      makePrestigeUpgrade('xp_per_prestige', 0.02, 1),
+    ]);
+    expect(bonuses.goldMultiplier).toBeCloseTo(Math.pow(1.05, 5) * 1.1);
+    expect(bonuses.xpMultiplier).toBeCloseTo(Math.pow(1.05, 5) * 1.1);
+  });
+
+  test('skips upgrades at level 0', () => {
+    const bonuses = calculatePrestigeBonuses(makeGuild(), [
+      makePrestigeUpgrade('permanent_gold_multiplier', 0.08, 0),
+    ]);
+    expect(bonuses.goldMultiplier).toBe(1.0);
+  });
+});
+
+describe('calculateRates', () => {
+  const noBonuses = calculateUpgradeBonuses([]);
+
+  test('starting guild earns base rates', () => {
+    const rates = calculateRates(makeGuild(), noBonuses);
+    expect(rates.goldPerHour).toBe(GAME.STARTING_ADVENTURERS * GAME.BASE_GOLD_PER_HOUR);
+    expect(rates.xpPerHour).toBe(GAME.STARTING_ADVENTURERS * GAME.BASE_XP_PER_HOUR);
+  });
+
+  test('rank multiplier applies to gold only', () => {
+    const rates = calculateRates(makeGuild({ level: 5 }), noBonuses);
+    expect(rates.goldPerHour).toBe(450); // Iron rank x1.5
+    expect(rates.xpPerHour).toBe(150);
+  });
+
+  test('flat bonuses are added before multipliers', () => {
+    const bonuses = { ...noBonuses, baseGoldPerHour: 100, baseXpPerHour: 50, goldMultiplier: 1.5, xpMultiplier: 2 };
+    const rates = calculateRates(makeGuild(), bonuses);
+    expect(rates.goldPerHour).toBe(600);
+    expect(rates.xpPerHour).toBe(400);
+  });
+
+  test('applies prestige multipliers and floors the result', () => {
+    const prestigeBonuses = calculatePrestigeBonuses(makeGuild({ prestige_level: 2 }));
+    const rates = calculateRates(makeGuild(), noBonuses, prestigeBonuses);
+    expect(rates.goldPerHour).toBe(330); // 300 * 1.1025 = 330.75
+    expect(rates.xpPerHour).toBe(165);   // 150 * 1.1025 = 165.375
+  });
+
+  test('guild with no adventurers only earns flat bonuses', () => {
+    const bonuses = { ...noBonuses, baseGoldPerHour: 25 };
+    const rates = calculateRates(makeGuild({ adventurer_count: 0 }), bonuses);
+    expect(rates.goldPerHour).toBe(25);
+    expect(rates.xpPerHour).toBe(0);
+  });
+
+  test('adventurers away on a quest do not produce', () => {
+    const rates = calculateRates(makeGuild({ adventurer_count: 5, adventurers_on_quest: 2 }), noBonuses);
+    expect(rates.goldPerHour).toBe(3 * GAME.BASE_GOLD_PER_HOUR);
+    expect(rates.xpPerHour).toBe(3 * GAME.BASE_XP_PER_HOUR);
+  });
+
+  test('the roster gold bonus multiplies gold only', () => {
+    const rates = calculateRates(makeGuild({ roster_gold_bonus: '0.1000' }), noBonuses);
+    expect(rates.goldPerHour).toBe(330);
+    expect(rates.xpPerHour).toBe(150);
+  });
+
+  test('potion boosts multiply the final rates', () => {
+    const rates = calculateRates(makeGuild(), noBonuses, null, null, { gold: 0.5, xp: 0.25 });
+    expect(rates.goldPerHour).toBe(450);
+    expect(rates.xpPerHour).toBe(187); // 150 * 1.25 = 187.5
+  });
+});
+
+describe('getActiveBoosts', () => {
+  const inHours = (hours) => new Date(NOW.getTime() + hours * 60 * 60 * 1000);
+
+  test('only counts boosts that are still running', () => {
+    const guild = makeGuild({ gold_boost: 0.5, gold_boost_until: inHours(1), xp_boost: 0.25, xp_boost_until: hoursAgo(1, NOW) });
+    expect(getActiveBoosts(guild, NOW)).toEqual({ gold: 0.5, xp: 0 });
+  });
+
+  test('averages a boost over the part of an idle stretch it covered', () => {
+    // Boost ran out 1 hour into a 4 hour stretch
+    const guild = makeGuild({ gold_boost: 0.5, gold_boost_until: hoursAgo(3, NOW) });
+    expect(getActiveBoosts(guild, NOW, hoursAgo(4, NOW)).gold).toBeCloseTo(0.125);
+  });
+});
+
+describe('getWorkingAdventurers', () => {
+  test('excludes adventurers on a quest and those still recovering', () => {
+    const guild = makeGuild({
+      adventurer_count: 10,
+      adventurers_on_quest: 3,
+      injured_adventurers: 2,
+      injured_until: new Date(NOW.getTime() + 60 * 60 * 1000),
+    });
+    expect(getWorkingAdventurers(guild, NOW)).toBe(5);
+  });
+
+  test('excludes adventurers listed on the market', () => {
+    expect(getWorkingAdventurers(makeGuild({ adventurer_count: 10, adventurers_listed: 4 }), NOW)).toBe(6);
+  });
+
+  test('recovered adventurers are back at work', () => {
+    const guild = makeGuild({ adventurer_count: 10, injured_adventurers: 2, injured_until: hoursAgo(1, NOW) });
+    expect(getWorkingAdventurers(guild, NOW)).toBe(10);
+  });
+
+  test('never goes below zero', () => {
+    expect(getWorkingAdventurers(makeGuild({ adventurer_count: 2, adventurers_on_quest: 5 }), NOW)).toBe(0);
+  });
+});
+
+describe('calculateIdleEarningsWithData', () => {
+  beforeEach(() => {
+    setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    setSystemTime();
+    resetRandomSource();
+  });
+
+  test('earns rate * hours elapsed', () => {
+    const guild = makeGuild({ last_collected_at: hoursAgo(2, NOW) });
+    const earnings = calculateIdleEarningsWithData(guild, [], []);
+    expect(earnings.hoursElapsed).toBe(2);
+    expect(earnings.goldEarned).toBe(600);
+    expect(earnings.xpEarned).toBe(300);
+    expect(earnings.adventurersGained).toBe(0);
+    expect(earnings.wasCapped).toBe(false);
+    expect(earnings.doubledGold).toBe(false);
+  });
+
+  test('low morale scales gold and XP', () => {
+    // Morale slips from 100 to 50 over the last 10 hours, averaging 11/12 efficiency
+    const guild = makeGuild({
+      last_collected_at: hoursAgo(12, NOW),
+      morale: 100,
+      morale_updated_at: hoursAgo(12, NOW),
+    });
+    const earnings = calculateIdleEarningsWithData(guild, [], []);
+    expect(earnings.morale).toBe(50);
+    expect(earnings.moraleMultiplier).toBeCloseTo(11 / 12);
+    expect(earnings.goldEarned).toBe(3300);
+    expect(earnings.xpEarned).toBe(1650);
+  });
+
+  test('caps earnings at MAX_IDLE_HOURS', () => {
+    const guild = makeGuild({ last_collected_at: hoursAgo(30, NOW) });
+    const earnings = calculateIdleEarningsWithData(guild, [], []);
+    expect(earnings.hoursElapsed).toBe(GAME.MAX_IDLE_HOURS);
+    expect(earnings.goldEarned).toBe(300 * GAME.MAX_IDLE_HOURS);
+    expect(earnings.wasCapped).toBe(true);
+    expect(earnings.maxIdleHours).toBe(GAME.MAX_IDLE_HOURS);
+  });
+
+  test('Time Warp extends the idle cap', () => {
+    const guild = makeGuild({ last_collected_at: hoursAgo(30, NOW) });
+    const earnings = calculateIdleEarningsWithData(guild, [], [
+      makePrestigeUpgrade('max_idle_hours', 2, 2),
+    ]);
+    expect(earnings.maxIdleHours).toBe(GAME.MAX_IDLE_HOURS + 4);
+    expect(earnings.hoursElapsed).toBe(GAME.MAX_IDLE_HOURS + 4);
+    expect(earnings.wasCapped).toBe(true);
+  });
+
+  test('recruits adventurers using the prestige recruitment multiplier', () => {
+    const guild = makeGuild({ prestige_level: 1, last_collected_at: hoursAgo(5, NOW) });
+    const earnings = calculateIdleEarningsWithData(guild, [makeUpgrade('adventurer_per_hour', 2, 1)], []);
+    expect(earnings.adventurersGained).toBe(10); // floor(2 * 5 * 1.08)
+  });
+
+  test('Lucky Coin doubles gold when the roll is under the chance', () => {
+    setRandomSource(() => 0.01);
+    const guild = makeGuild({ last_collected_at: hoursAgo(1, NOW) });
+    const earnings = calculateIdleEarningsWithData(guild, [], [
+      makePrestigeUpgrade('double_gold_chance', 0.02, 1),
+    ]);
+    expect(earnings.doubledGold).toBe(true);
+    expect(earnings.goldEarned).toBe(600);
+    expect(earnings.xpEarned).toBe(150);
+  });
+
+  test('Lucky Coin does nothing when the roll misses', () => {
+    setRandomSource(() => 0.5);
+    const guild = makeGuild({ last_collected_at: hoursAgo(1, NOW) });
+    const earnings = calculateIdleEarningsWithData(guild, [], [
+      makePrestigeUpgrade('double_gold_chance', 0.02, 1),
+    ]);
+    expect(earnings.doubledGold).toBe(false);
+    expect(earnings.goldEarned).toBe(300);
+  });
+
+  test('does not roll for Lucky Coin without the upgrade', () => {
+    setRandomSource(() => {
+      throw new Error('random should not be called');
+    });
+    const guild = makeGuild({ last_collected_at: hoursAgo(1, NOW) });
+    expect(() => calculateIdleEarningsWithData(guild, [], [])).not.toThrow();
+  });
+});
+
+describe('getEffectiveCapacity', () => {
+  test('adds upgrade capacity to base capacity', () => {
+    const bonuses = calculateUpgradeBonuses([makeUpgrade('adventurer_capacity', 3, 4)]);
+    expect(getEffectiveCapacity(makeGuild(), bonuses)).toBe(GAME.STARTING_ADVENTURER_CAPACITY + 12);
+  });
+});
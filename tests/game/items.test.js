@@ -0,0 +1,116 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { ITEMS } from '../../src/config.js';
+import {
+  getItemSalvageValue,
+  calculateEquipmentPower,
+  pickDropItem,
+  rollItemDrops,
+  salvageItems,
+} from '../../src/game/items.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+
+let memory;
+let guild;
+
+beforeEach(() => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  guild = memory.insertGuild({ discord_id: '1', gold: 1000 });
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+});
+
+const findItem = (name) => memory.store.items.find(i => i.name === name);
+
+describe('getItemSalvageValue', () => {
+  test('pays by rarity', () => {
+    expect(getItemSalvageValue({ rarity: 'common' })).toBe(ITEMS.RARITIES.common.salvageGold);
+    expect(getItemSalvageValue({ rarity: 'legendary' })).toBe(ITEMS.RARITIES.legendary.salvageGold);
+  });
+});
+
+describe('calculateEquipmentPower', () => {
+  test('adds up the power of equipped items', () => {
+    expect(calculateEquipmentPower([{ power: 2 }, { power: 10 }, { power: 5 }])).toBe(17);
+    expect(calculateEquipmentPower([])).toBe(0);
+  });
+});
+
+describe('pickDropItem', () => {
+  test('low rolls land on the most common rarity', () => {
+    setRandomSource(() => 0);
+    expect(pickDropItem(memory.store.items).rarity).toBe('common');
+  });
+
+  test('the top of the roll is legendary', () => {
+    setRandomSource(() => 0.999);
+    expect(pickDropItem(memory.store.items).rarity).toBe('legendary');
+  });
+
+  test('only rolls rarities the catalogue has', () => {
+    setRandomSource(() => 0);
+    const rares = memory.store.items.filter(i => i.rarity === 'rare');
+    expect(pickDropItem(rares).rarity).toBe('rare');
+    expect(pickDropItem([])).toBeNull();
+  });
+});
+
+describe('rollItemDrops', () => {
+  test('adds a drop to the inventory when the chance hits', async () => {
+    setRandomSource(() => 0);
+    const drops = await rollItemDrops(guild.id, 'battle');
+
+    expect(drops).toHaveLength(1);
+    expect(drops[0].salvaged).toBe(0);
+    const inventory = await memory.items.getInventory(guild.id);
+    expect(inventory).toHaveLength(1);
+    expect(inventory[0].source).toBe('battle');
+    expect((await memory.guilds.getGuildById(guild.id)).lifetime_items_found).toBe(1);
+  });
+
+  test('nothing drops when the chance misses', async () => {
+    setRandomSource(() => ITEMS.DROP_CHANCES.collect);
+    expect(await rollItemDrops(guild.id, 'collect')).toEqual([]);
+    expect(await memory.items.getInventory(guild.id)).toHaveLength(0);
+  });
+
+  test('each roll is a separate chance', async () => {
+    // Hit, miss, hit - then rarity and item picks for the two drops
+    setRandomSource(createSequenceRandom([0, 0.99, 0, 0, 0, 0, 0]));
+    expect(await rollItemDrops(guild.id, 'grind', 3)).toHaveLength(2);
+  });
+
+  test('a full inventory salvages the drop for gold', async () => {
+    const shortsword = findItem('Rusty Shortsword');
+    for (let i = 0; i < ITEMS.INVENTORY_LIMIT; i++) {
+      await memory.items.addItem(guild.id, shortsword.id, 'collect', ITEMS.INVENTORY_LIMIT, 0);
+    }
+
+    setRandomSource(() => 0);
+    const [drop] = await rollItemDrops(guild.id, 'battle');
+
+    expect(drop.salvaged).toBe(ITEMS.RARITIES.common.salvageGold);
+    expect(await memory.items.getInventory(guild.id)).toHaveLength(ITEMS.INVENTORY_LIMIT);
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(1000 + ITEMS.RARITIES.common.salvageGold);
+  });
+});
+
+describe('salvageItems', () => {
+  test('scraps unequipped items for their salvage value and skips equipped ones', async () => {
+    const { guildItem: sword } = await memory.items.addItem(guild.id, findItem('Runed Warblade').id, 'battle', 50, 0);
+    const { guildItem: quill } = await memory.items.addItem(guild.id, findItem('Scholar\'s Quill').id, 'grind', 50, 0);
+    await memory.items.equipItem(guild.id, quill.id);
+
+    const result = await salvageItems(guild.id, [sword.id, quill.id]);
+
+    expect(result.salvaged.map(i => i.name)).toEqual(['Runed Warblade']);
+    expect(result.gold).toBe(ITEMS.RARITIES.rare.salvageGold);
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(1000 + ITEMS.RARITIES.rare.salvageGold);
+    expect((await memory.items.getInventory(guild.id)).map(i => i.id)).toEqual([quill.id]);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, test, expect } from 'bun:test';
+import { MARKET } from '../../src/config.js';
+import { calculateListingFee, calculateSaleTax, getPriceRange } from '../../src/game/market.js';
+
+describe('calculateListingFee', () => {
+  test('charges a share of the asking price', () => {
+    expect(calculateListingFee(100000)).toBe(100000 * MARKET.LISTING_FEE_RATE);
+  });
+
+  test('never drops below the minimum fee', () => {
+    expect(calculateListingFee(100)).toBe(MARKET.MIN_LISTING_FEE);
+  });
+});
+
+describe('calculateSaleTax', () => {
+  test('takes a share of the sale price, rounded down', () => {
+    expect(calculateSaleTax(1005)).toBe(Math.floor(1005 * MARKET.SALE_TAX_RATE));
+  });
+});
+
+describe('getPriceRange', () => {
+  test('scales with the number of adventurers', () => {
+    expect(getPriceRange(3)).toEqual({
+      min: 3 * MARKET.MIN_PRICE_PER_ADVENTURER,
+      max: 3 * MARKET.MAX_PRICE_PER_ADVENTURER,
+    });
+  });
+});
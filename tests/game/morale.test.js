@@ -0,0 +1,161 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import {
+  getMoraleAt,
+  getMoraleMultiplier,
+  getMoralePenaltyHours,
+  getAverageMoraleMultiplier,
+  formatMorale,
+  restoreMorale,
+} from '../../src/game/morale.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { MORALE } from '../../src/config.js';
+import { makeGuild, hoursAgo } from '../helpers/fixtures.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+
+describe('getMoraleAt', () => {
+  test('holds steady during the grace period', () => {
+    const guild = makeGuild({ morale: 80, morale_updated_at: hoursAgo(MORALE.GRACE_HOURS, NOW) });
+    expect(getMoraleAt(guild, NOW)).toBe(80);
+  });
+
+  test('decays after the grace period', () => {
+    const guild = makeGuild({ morale: 100, morale_updated_at: hoursAgo(12, NOW) });
+    expect(getMoraleAt(guild, NOW)).toBe(100 - 10 * MORALE.DECAY_PER_HOUR);
+  });
+
+  test('stops at the floor', () => {
+    const guild = makeGuild({ morale: 100, morale_updated_at: hoursAgo(48, NOW) });
+    expect(getMoraleAt(guild, NOW)).toBe(MORALE.MIN);
+  });
+
+  test('never pushes morale that is already below the floor back up', () => {
+    const guild = makeGuild({ morale: 10, morale_updated_at: hoursAgo(48, NOW) });
+    expect(getMoraleAt(guild, NOW)).toBe(10);
+  });
+
+  test('treats guilds without morale columns as full morale', () => {
+    expect(getMoraleAt(makeGuild(), NOW)).toBe(MORALE.MAX);
+  });
+});
+
+describe('getMoraleMultiplier', () => {
+  test('scales linearly from MIN_EFFICIENCY to 1', () => {
+    expect(getMoraleMultiplier(MORALE.MAX)).toBe(1);
+    expect(getMoraleMultiplier(0)).toBeCloseTo(MORALE.MIN_EFFICIENCY);
+    expect(getMoraleMultiplier(50)).toBeCloseTo(0.8);
+  });
+});
+
+describe('getMoralePenaltyHours', () => {
+  test('is zero while morale is full', () => {
+    const guild = makeGuild({ morale: 100, morale_updated_at: hoursAgo(2, NOW) });
+    expect(getMoralePenaltyHours(guild, hoursAgo(2, NOW), NOW)).toBe(0);
+  });
+
+  test('integrates the decay exactly across the grace period bend', () => {
+    // 2 flat hours, then 10 hours sliding from 0% to 20% lost
+    const guild = makeGuild({ morale: 100, morale_updated_at: hoursAgo(12, NOW) });
+    expect(getMoralePenaltyHours(guild, hoursAgo(12, NOW), NOW)).toBeCloseTo(1);
+  });
+
+  test('includes time spent at the floor', () => {
+    // 2 flat hours, 15 hours sliding to the floor (0% to 30% lost), then 3 hours at 30% lost
+    const guild = makeGuild({ morale: 100, morale_updated_at: hoursAgo(20, NOW) });
+    expect(getMoralePenaltyHours(guild, hoursAgo(20, NOW), NOW)).toBeCloseTo(15 * 0.15 + 3 * 0.3);
+  });
+});
+
+describe('getAverageMoraleMultiplier', () => {
+  test('averages the multiplier over the idle stretch', () => {
+    const guild = makeGuild({ morale: 100, morale_updated_at: hoursAgo(12, NOW) });
+    expect(getAverageMoraleMultiplier(guild, hoursAgo(12, NOW), NOW)).toBeCloseTo(11 / 12);
+  });
+
+  test('counts production already lost before morale was last lifted', () => {
+    const guild = makeGuild({
+      morale: 100,
+      morale_updated_at: hoursAgo(1, NOW),
+      morale_penalty_hours: 0.3,
+    });
+    expect(getAverageMoraleMultiplier(guild, hoursAgo(3, NOW), NOW)).toBeCloseTo(0.9);
+  });
+
+  test('ignores a banked penalty from before the last collection', () => {
+    const guild = makeGuild({
+      morale: 100,
+      morale_updated_at: hoursAgo(2, NOW),
+      morale_penalty_hours: 0.3,
+    });
+    expect(getAverageMoraleMultiplier(guild, hoursAgo(1, NOW), NOW)).toBe(1);
+  });
+
+  test('never drops below MIN_EFFICIENCY', () => {
+    const guild = makeGuild({ morale: 0, morale_updated_at: hoursAgo(1, NOW), morale_penalty_hours: 50 });
+    expect(getAverageMoraleMultiplier(guild, hoursAgo(2, NOW), NOW)).toBe(MORALE.MIN_EFFICIENCY);
+  });
+});
+
+describe('formatMorale', () => {
+  test('picks a face for the morale level', () => {
+    expect(formatMorale(100)).toBe('😄 100%');
+    expect(formatMorale(70)).toBe('🙂 70%');
+    expect(formatMorale(50)).toBe('😟 50%');
+    expect(formatMorale(25)).toBe('😫 25%');
+  });
+});
+
+describe('restoreMorale', () => {
+  let memory;
+
+  beforeEach(() => {
+    setSystemTime(NOW);
+    memory = createMemoryRepositories();
+    setRepositories(memory);
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    setSystemTime();
+  });
+
+  test('lifts morale and banks the production lost so far', async () => {
+    const guild = memory.insertGuild({
+      morale: 100,
+      morale_updated_at: hoursAgo(12, NOW),
+      last_collected_at: hoursAgo(12, NOW),
+    });
+
+    const updated = await restoreMorale(guild.id, 10);
+
+    expect(Number(updated.morale)).toBe(60);
+    expect(Number(updated.morale_penalty_hours)).toBeCloseTo(1);
+    expect(new Date(updated.morale_updated_at).getTime()).toBe(NOW.getTime());
+  });
+
+  test('keeps the idle average the same at the moment of the lift', async () => {
+    const guild = memory.insertGuild({
+      morale: 100,
+      morale_updated_at: hoursAgo(12, NOW),
+      last_collected_at: hoursAgo(12, NOW),
+    });
+    const before = getAverageMoraleMultiplier(guild, hoursAgo(12, NOW), NOW);
+
+    const updated = await restoreMorale(guild.id, 30);
+
+    expect(getAverageMoraleMultiplier(updated, hoursAgo(12, NOW), NOW)).toBeCloseTo(before);
+  });
+
+  test('caps morale at the maximum', async () => {
+    const guild = memory.insertGuild({ morale: 90, morale_updated_at: NOW });
+    const updated = await restoreMorale(guild.id, 50);
+    expect(Number(updated.morale)).toBe(MORALE.MAX);
+  });
+
+  test('leaves a guild at full morale alone', async () => {
+    const guild = memory.insertGuild({ morale: MORALE.MAX, morale_updated_at: hoursAgo(1, NOW) });
+    const updated = await restoreMorale(guild.id, 50);
+    expect(updated.morale_updated_at.getTime()).toBe(hoursAgo(1, NOW).getTime());
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, test, expect, afterEach } from 'bun:test';
+import { GAME, QUEST } from '../../src/config.js';
+import { calculateUpgradeBonuses, calculatePrestigeBonuses } from '../../src/game/idle.js';
+import { estimateQuestLoot, rollQuestOutcome } from '../../src/game/quests.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import { makeGuild, makeUpgrade } from '../helpers/fixtures.js';
+
+const noBonuses = calculateUpgradeBonuses([]);
+const noPrestige = calculatePrestigeBonuses(makeGuild());
+
+afterEach(() => {
+  resetRandomSource();
+});
+
+describe('estimateQuestLoot', () => {
+  test('pays the risk multiplier on top of what the party would earn idling', () => {
+    const loot = estimateQuestLoot(makeGuild(), noBonuses, noPrestige, 4, 2, 'risky');
+    expect(loot.gold).toBe(Math.floor(4 * 2 * GAME.BASE_GOLD_PER_HOUR * QUEST.RISKS.risky.rewardMultiplier));
+    expect(loot.xp).toBe(Math.floor(4 * 2 * GAME.BASE_XP_PER_HOUR * QUEST.RISKS.risky.rewardMultiplier));
+  });
+
+  test('scales with rank and upgrade multipliers', () => {
+    const bonuses = calculateUpgradeBonuses([makeUpgrade('gold_multiplier', 0.5)]);
+    const base = estimateQuestLoot(makeGuild(), noBonuses, noPrestige, 1, 1, 'safe');
+    const boosted = estimateQuestLoot(makeGuild({ level: 5 }), bonuses, noPrestige, 1, 1, 'safe');
+    // Iron rank (1.5x) and +50% gold
+    expect(boosted.gold).toBe(Math.floor(base.gold * 1.5 * 1.5));
+  });
+});
+
+describe('rollQuestOutcome', () => {
+  const quest = { adventurers_sent: 20, hours: 4, risk_key: 'perilous' };
+
+  test('lowest rolls give minimum loot and fewest injuries', () => {
+    setRandomSource(createSequenceRandom([0]));
+    const expected = estimateQuestLoot(makeGuild(), noBonuses, noPrestige, 20, 4, 'perilous');
+    const outcome = rollQuestOutcome(quest, makeGuild(), noBonuses, noPrestige);
+
+    expect(outcome.gold).toBe(Math.floor(expected.gold * (1 - QUEST.REWARD_VARIANCE)));
+    expect(outcome.injured).toBe(Math.round(20 * QUEST.RISKS.perilous.injuryRate * 0.5));
+  });
+
+  test('highest rolls give maximum loot and most injuries', () => {
+    setRandomSource(createSequenceRandom([0.999999]));
+    const outcome = rollQuestOutcome(quest, makeGuild(), noBonuses, noPrestige);
+    expect(outcome.injured).toBe(Math.round(20 * QUEST.RISKS.perilous.injuryRate * 1.5));
+  });
+
+  test('never injures more adventurers than were sent', () => {
+    setRandomSource(createSequenceRandom([0.999999]));
+    const outcome = rollQuestOutcome({ ...quest, adventurers_sent: 1 }, makeGuild(), noBonuses, noPrestige);
+    expect(outcome.injured).toBeLessThanOrEqual(1);
+  });
+});
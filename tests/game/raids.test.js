@@ -0,0 +1,192 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { RAID } from '../../src/config.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { calculatePower } from '../../src/database/battles.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+import {
+  calculateBossHp,
+  rollBossDamage,
+  getRewardTier,
+  calculateBossRewards,
+  getNextSpawnTime,
+  spawnWorldBoss,
+  attackWorldBoss,
+  resolveWorldBoss,
+} from '../../src/game/raids.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+describe('calculateBossHp', () => {
+  test('never drops below the minimum', () => {
+    expect(calculateBossHp('kraken', 1)).toBe(RAID.MIN_HP);
+  });
+
+  test('scales with active guilds and the boss multiplier', () => {
+    expect(calculateBossHp('kraken', 10)).toBe(10 * RAID.HP_PER_ACTIVE_GUILD);
+    expect(calculateBossHp('dragon', 10)).toBe(10 * RAID.HP_PER_ACTIVE_GUILD * RAID.BOSSES.dragon.hpMultiplier);
+  });
+});
+
+describe('rollBossDamage', () => {
+  afterEach(() => {
+    resetRandomSource();
+  });
+
+  test('deals power times DAMAGE_PER_POWER on an average roll', () => {
+    setRandomSource(() => 0.5);
+    expect(rollBossDamage(20)).toBe(20 * RAID.DAMAGE_PER_POWER);
+  });
+
+  test('varies by DAMAGE_VARIANCE either way', () => {
+    setRandomSource(() => 0);
+    expect(rollBossDamage(20)).toBe(Math.round(20 * RAID.DAMAGE_PER_POWER * (1 - RAID.DAMAGE_VARIANCE)));
+  });
+
+  test('always deals at least 1 damage', () => {
+    setRandomSource(() => 0);
+    expect(rollBossDamage(0)).toBe(1);
+  });
+});
+
+describe('getRewardTier', () => {
+  test('picks the best tier the share reaches', () => {
+    expect(getRewardTier(0.5).key).toBe('champion');
+    expect(getRewardTier(0.1).key).toBe('champion');
+    expect(getRewardTier(0.05).key).toBe('veteran');
+    expect(getRewardTier(0.001).key).toBe('raider');
+  });
+});
+
+describe('calculateBossRewards', () => {
+  const boss = { boss_key: 'kraken' };
+  const contributions = [
+    { guild_id: 1, damage: 900 },
+    { guild_id: 2, damage: 80 },
+    { guild_id: 3, damage: 20 },
+    { guild_id: 4, damage: 0 },
+  ];
+
+  test('tiers contributors by their share of the damage dealt', () => {
+    const rewards = calculateBossRewards(boss, contributions, 'defeated');
+    expect(rewards.map(r => r.tier)).toEqual(['champion', 'veteran', 'raider']);
+    expect(rewards[0]).toEqual({ guildId: 1, tier: 'champion', gold: 20000, xp: 5000 });
+  });
+
+  test('escaped bosses pay a fraction of the rewards', () => {
+    const [champion] = calculateBossRewards(boss, contributions, 'escaped');
+    expect(champion.gold).toBe(Math.floor(20000 * RAID.ESCAPED_REWARD_MULTIPLIER));
+  });
+
+  test('tougher bosses pay more', () => {
+    const [champion] = calculateBossRewards({ boss_key: 'dragon' }, contributions, 'defeated');
+    expect(champion.gold).toBe(Math.floor(20000 * RAID.BOSSES.dragon.rewardMultiplier));
+  });
+
+  test('pays nothing when nobody attacked', () => {
+    expect(calculateBossRewards(boss, [], 'escaped')).toEqual([]);
+  });
+});
+
+test('getNextSpawnTime waits SPAWN_INTERVAL_HOURS after the last boss', () => {
+  expect(getNextSpawnTime(null).getTime()).toBeLessThanOrEqual(Date.now());
+  expect(getNextSpawnTime({ resolved_at: NOW }).getTime()).toBe(NOW.getTime() + RAID.SPAWN_INTERVAL_HOURS * HOUR_MS);
+});
+
+describe('world boss flow', () => {
+  let memory;
+
+  beforeEach(() => {
+    setSystemTime(NOW);
+    setRandomSource(() => 0.5);
+    memory = createMemoryRepositories();
+    setRepositories(memory);
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    resetRandomSource();
+    setSystemTime();
+  });
+
+  test('spawnWorldBoss sizes the boss to active guilds and only spawns one at a time', async () => {
+    memory.insertGuild({});
+    memory.insertGuild({ last_collected_at: new Date(NOW.getTime() - 48 * HOUR_MS) });
+
+    const boss = await spawnWorldBoss();
+    expect(boss.hp).toBe(calculateBossHp(boss.boss_key, 1));
+    expect(boss.ends_at.getTime()).toBe(NOW.getTime() + RAID.DURATION_HOURS * HOUR_MS);
+    expect(await spawnWorldBoss()).toBeNull();
+  });
+
+  test('attackWorldBoss fails when no boss is out', async () => {
+    const guild = memory.insertGuild({});
+    const result = await attackWorldBoss(guild.id);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('no world boss');
+  });
+
+  test('attacks deal power-based damage and respect the cooldown', async () => {
+    const guild = memory.insertGuild({});
+    const boss = await memory.raids.spawnBoss('kraken', 10000, RAID.DURATION_HOURS);
+    const expected = Math.round(await calculatePower(guild, [], [], [], []) * RAID.DAMAGE_PER_POWER);
+
+    const result = await attackWorldBoss(guild.id);
+    expect(result.success).toBe(true);
+    expect(result.damage).toBe(expected);
+    expect(result.resolution).toBeNull();
+    expect((await memory.raids.getBossById(boss.id)).hp).toBe(10000 - expected);
+    expect((await memory.guilds.getGuildById(guild.id)).lifetime_boss_damage).toBe(expected);
+
+    const again = await attackWorldBoss(guild.id);
+    expect(again.success).toBe(false);
+    expect(again.error).toContain('30 min');
+
+    setSystemTime(new Date(NOW.getTime() + RAID.ATTACK_COOLDOWN_MINUTES * MINUTE_MS));
+    expect((await attackWorldBoss(guild.id)).success).toBe(true);
+    expect((await memory.raids.getBossContribution(boss.id, guild.id)).attacks).toBe(2);
+  });
+
+  test('the killing blow resolves the boss and pays every contributor', async () => {
+    const mvp = memory.insertGuild({ name: 'Dragonslayers', adventurer_count: 50 });
+    const helper = memory.insertGuild({ name: 'Helpers' });
+    const boss = await memory.raids.spawnBoss('kraken', 100000, RAID.DURATION_HOURS);
+    await memory.raids.recordBossAttack(boss.id, mvp.id, 99990, RAID.ATTACK_COOLDOWN_MINUTES);
+
+    const result = await attackWorldBoss(helper.id);
+    expect(result.damage).toBe(10);
+    expect(result.boss.status).toBe('defeated');
+    expect(result.resolution.status).toBe('defeated');
+
+    const [first, second] = result.resolution.standings;
+    expect(first.guild_id).toBe(mvp.id);
+    expect(first.reward.tier).toBe('champion');
+    expect(second.reward.tier).toBe('raider');
+
+    const paidMvp = await memory.guilds.getGuildById(mvp.id);
+    expect(paidMvp.lifetime_bosses_defeated).toBe(1);
+    expect(paidMvp.lifetime_gold_earned).toBe(first.reward.gold + (result.resolution.drops[0]?.salvaged || 0));
+
+    // The top damage dealer always finds an item
+    expect(result.resolution.drops).toHaveLength(1);
+    expect(await memory.items.getInventory(mvp.id)).toHaveLength(1);
+  });
+
+  test('resolveWorldBoss pays escaped bosses at the reduced rate, once', async () => {
+    const guild = memory.insertGuild({ gold: 0 });
+    const boss = await memory.raids.spawnBoss('kraken', 100000, RAID.DURATION_HOURS);
+    await memory.raids.recordBossAttack(boss.id, guild.id, 500, RAID.ATTACK_COOLDOWN_MINUTES);
+
+    const resolution = await resolveWorldBoss(await memory.raids.getBossById(boss.id));
+    expect(resolution.status).toBe('escaped');
+    expect(resolution.drops).toEqual([]);
+
+    const paid = await memory.guilds.getGuildById(guild.id);
+    expect(paid.gold).toBe(Math.floor(20000 * RAID.ESCAPED_REWARD_MULTIPLIER));
+    expect(paid.lifetime_bosses_defeated).toBe(0);
+
+    expect(await resolveWorldBoss(boss)).toBeNull();
+  });
+});
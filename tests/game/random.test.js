@@ -0,0 +1,67 @@
+import { describe, test, expect, afterEach } from 'bun:test';
+import {
+  random,
+  setRandomSource,
+  resetRandomSource,
+  createSeededRandom,
+  createSequenceRandom,
+} from '../../src/game/random.js';
+
+afterEach(() => {
+  resetRandomSource();
+});
+
+describe('random source', () => {
+  test('uses the injected source', () => {
+    setRandomSource(() => 0.42);
+    expect(random()).toBe(0.42);
+  });
+
+  test('resetRandomSource restores Math.random', () => {
+    setRandomSource(() => 0.42);
+    resetRandomSource();
+    const value = random();
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+
+  test('rejects non-function sources', () => {
+    expect(() => setRandomSource(0.5)).toThrow('Random source must be a function');
+  });
+});
+
+describe('createSeededRandom', () => {
+  test('same seed produces the same sequence', () => {
+    const a = createSeededRandom(1234);
+    const b = createSeededRandom(1234);
+    for (let i = 0; i < 20; i++) {
+      expect(a()).toBe(b());
+    }
+  });
+
+  test('different seeds diverge', () => {
+    const a = createSeededRandom(1);
+    const b = createSeededRandom(2);
+    expect(a()).not.toBe(b());
+  });
+
+  test('stays within [0, 1)', () => {
+    const rng = createSeededRandom(99);
+    for (let i = 0; i < 1000; i++) {
+      const value = rng();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe('createSequenceRandom', () => {
+  test('replays values and wraps around', () => {
+    const rng = createSequenceRandom([0.1, 0.9]);
+    expect([rng(), rng(), rng()]).toEqual([0.1, 0.9, 0.1]);
+  });
+
+  test('rejects an empty sequence', () => {
+    expect(() => createSequenceRandom([])).toThrow();
+  });
+});
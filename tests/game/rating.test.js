@@ -0,0 +1,154 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { RATING } from '../../src/config.js';
+import {
+  getRating,
+  calculateRatingChanges,
+  getRatingTier,
+  formatRating,
+  formatRatingChange,
+  findRankedOpponent,
+} from '../../src/game/rating.js';
+import { calculatePower } from '../../src/database/battles.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+
+let memory;
+
+beforeEach(() => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+  setRandomSource(createSequenceRandom([0]));
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+});
+
+describe('calculateRatingChanges', () => {
+  test('an even match moves both ratings by half the K-factor', () => {
+    expect(calculateRatingChanges(1000, 1000)).toEqual({ winnerChange: 16, loserChange: -16 });
+  });
+
+  test('upsets are worth more than expected wins', () => {
+    const upset = calculateRatingChanges(1000, 1400);
+    const expected = calculateRatingChanges(1400, 1000);
+    expect(upset.winnerChange).toBeGreaterThan(expected.winnerChange);
+    expect(expected.winnerChange).toBeGreaterThanOrEqual(1);
+  });
+
+  test('never drops the loser below the floor', () => {
+    const rating = RATING.FLOOR + 5;
+    expect(calculateRatingChanges(rating, rating)).toEqual({ winnerChange: 16, loserChange: -5 });
+    expect(calculateRatingChanges(1000, RATING.FLOOR).loserChange).toBe(0);
+  });
+});
+
+describe('rating tiers', () => {
+  test('new guilds start as recruits', () => {
+    expect(getRating({})).toBe(RATING.STARTING);
+    expect(getRatingTier(RATING.STARTING).name).toBe('Recruit');
+  });
+
+  test('formats a rating with its badge', () => {
+    expect(formatRating(1142)).toBe('🎖️ Duelist (1142)');
+    expect(formatRating(1700)).toBe('🏆 Legend (1700)');
+  });
+
+  test('formats a rating change', () => {
+    expect(formatRatingChange(1000, 16)).toBe('1000 → 1016 (+16)');
+    expect(formatRatingChange(1000, -16)).toBe('1000 → 984 (-16)');
+  });
+});
+
+describe('findRankedOpponent', () => {
+  async function powerOf(guild) {
+    return calculatePower(guild, [], [], [], []);
+  }
+
+  test('picks a guild inside the tightest rating band', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', rating: 1000 });
+    memory.insertGuild({ discord_id: '2', rating: 1400 });
+    const close = memory.insertGuild({ discord_id: '3', rating: 1050 });
+
+    const opponent = await findRankedOpponent(attacker, await powerOf(attacker));
+    expect(opponent.guild.id).toBe(close.id);
+    expect(opponent.power).toBeGreaterThan(0);
+  });
+
+  test('widens the band when nobody is close', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', rating: 1000 });
+    const far = memory.insertGuild({ discord_id: '2', rating: 1400 });
+
+    const opponent = await findRankedOpponent(attacker, await powerOf(attacker));
+    expect(opponent.guild.id).toBe(far.id);
+  });
+
+  test('skips guilds far outside the attacker\'s power', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', rating: 1000 });
+    memory.insertGuild({ discord_id: '2', rating: 1000, adventurer_count: 500 });
+    const even = memory.insertGuild({ discord_id: '3', rating: 1200 });
+
+    const opponent = await findRankedOpponent(attacker, await powerOf(attacker));
+    expect(opponent.guild.id).toBe(even.id);
+  });
+
+  test('returns null when nobody fits', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1', rating: 1000 });
+    memory.insertGuild({ discord_id: '2', rating: 2000 });
+    memory.insertGuild({ discord_id: '3', rating: 1000, adventurer_count: 500 });
+
+    expect(await findRankedOpponent(attacker, await powerOf(attacker))).toBeNull();
+  });
+});
+
+describe('recordBattle ratings', () => {
+  test('moves both ratings and tracks the peak', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1' });
+    const defender = memory.insertGuild({ discord_id: '2' });
+
+    const battle = await memory.battles.recordBattle({
+      attackerGuild: attacker,
+      defenderGuild: defender,
+      betAmount: 10,
+      winnerId: attacker.id,
+      goldTransferred: 10,
+      xpTransferred: 0,
+      attackerPower: 1,
+      defenderPower: 1,
+      winChance: 50,
+    });
+
+    expect(battle.attacker_rating_change).toBe(16);
+    expect(battle.defender_rating_change).toBe(-16);
+    const updatedAttacker = await memory.guilds.getGuildById(attacker.id);
+    const updatedDefender = await memory.guilds.getGuildById(defender.id);
+    expect(updatedAttacker.rating).toBe(1016);
+    expect(updatedAttacker.peak_rating).toBe(1016);
+    expect(updatedDefender.rating).toBe(984);
+    expect(updatedDefender.peak_rating).toBe(1000);
+  });
+
+  test('unrated battles leave ratings alone', async () => {
+    const attacker = memory.insertGuild({ discord_id: '1' });
+    const defender = memory.insertGuild({ discord_id: '2' });
+
+    const battle = await memory.battles.recordBattle({
+      attackerGuild: attacker,
+      defenderGuild: defender,
+      betAmount: 10,
+      winnerId: defender.id,
+      goldTransferred: 10,
+      xpTransferred: 0,
+      attackerPower: 1,
+      defenderPower: 1,
+      winChance: 50,
+      rated: false,
+    });
+
+    expect(battle.attacker_rating_change).toBe(0);
+    expect((await memory.guilds.getGuildById(attacker.id)).rating).toBe(1000);
+    expect((await memory.guilds.getGuildById(defender.id)).rating).toBe(1000);
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { ROSTER } from '../../src/config.js';
+import {
+  generateAdventurer,
+  calculateRosterBonuses,
+  getPromotionRequirements,
+  syncRoster,
+  trainRoster,
+  promoteAdventurer,
+  dismissAdventurer,
+} from '../../src/game/roster.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+
+let memory;
+
+beforeEach(() => {
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+});
+
+/**
+ * Put a named adventurer straight into the store
+ * @returns {Object} The stored adventurer
+ */
+function addAdventurer(guildId, overrides = {}) {
+  const adventurer = {
+    id: memory.store.nextAdventurerId++,
+    guild_id: guildId,
+    name: `Hero ${memory.store.nextAdventurerId}`,
+    class: 'warrior',
+    trait: 'brave',
+    level: 1,
+    xp: 0,
+    recruited_at: new Date(),
+    ...overrides,
+  };
+  memory.store.adventurers.push(adventurer);
+  return adventurer;
+}
+
+describe('generateAdventurer', () => {
+  test('rolls a name, class and trait', () => {
+    setRandomSource(() => 0);
+    expect(generateAdventurer()).toEqual({ name: 'Aldric Ashford', class: 'warrior', trait: 'brave' });
+  });
+
+  test('rerolls names already on the roster', () => {
+    let calls = 0;
+    // First name roll repeats the taken name, the second moves on
+    setRandomSource(() => (calls++ < 2 ? 0 : 0.99));
+    expect(generateAdventurer(new Set(['Aldric Ashford'])).name).toBe('Yrsa Thorne');
+  });
+});
+
+describe('calculateRosterBonuses', () => {
+  test('adds class bonuses per level, scaled by trait', () => {
+    const bonuses = calculateRosterBonuses([
+      { class: 'warrior', trait: 'brave', level: 4 },
+      { class: 'rogue', trait: 'greedy', level: 10 },
+    ]);
+    expect(bonuses.power).toBeCloseTo(4 * 0.5 * 1.5 + 10 * 0.1 * 0.75);
+    expect(bonuses.goldBonus).toBeCloseTo(10 * 0.003 * 1.5);
+    expect(bonuses.classCounts).toEqual({ warrior: 1, mage: 0, rogue: 1, cleric: 0 });
+    expect(bonuses.balanced).toBe(false);
+  });
+
+  test('a party with every class earns the balanced bonus', () => {
+    const roster = Object.keys(ROSTER.CLASSES).map(key => ({ class: key, trait: 'lazy', level: 1 }));
+    const bonuses = calculateRosterBonuses(roster);
+    expect(bonuses.balanced).toBe(true);
+    expect(bonuses.goldBonus).toBeCloseTo(0.006 + ROSTER.BALANCED_PARTY_GOLD_BONUS);
+  });
+
+  test('an empty roster adds nothing', () => {
+    expect(calculateRosterBonuses([])).toMatchObject({ goldBonus: 0, power: 0, balanced: false });
+  });
+});
+
+describe('syncRoster', () => {
+  test('names new recruits up to the roster limit', async () => {
+    const guild = memory.insertGuild({ adventurer_count: ROSTER.MAX_NAMED + 10 });
+
+    const roster = await syncRoster(guild.id);
+
+    expect(roster).toHaveLength(ROSTER.MAX_NAMED);
+    expect(new Set(roster.map(a => a.name)).size).toBeGreaterThan(1);
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.roster_power).toBeGreaterThan(0);
+  });
+
+  test('the weakest adventurers leave when the count drops', async () => {
+    const guild = memory.insertGuild({ adventurer_count: 2 });
+    addAdventurer(guild.id, { name: 'Veteran', level: 5 });
+    addAdventurer(guild.id, { name: 'Rookie', level: 1 });
+    addAdventurer(guild.id, { name: 'Regular', level: 3 });
+
+    const roster = await syncRoster(guild.id);
+
+    expect(roster.map(a => a.name)).toEqual(['Veteran', 'Regular']);
+    expect((await memory.guilds.getGuildById(guild.id)).roster_power).toBeCloseTo((5 + 3) * 0.5 * 1.5);
+  });
+});
+
+describe('trainRoster', () => {
+  test('gives XP per idle hour, scaled by trait', async () => {
+    const guild = memory.insertGuild();
+    const studious = addAdventurer(guild.id, { trait: 'studious' });
+    const lazy = addAdventurer(guild.id, { trait: 'lazy' });
+    const capped = addAdventurer(guild.id, { level: ROSTER.MAX_LEVEL });
+
+    await trainRoster(guild.id, 2);
+
+    expect(studious.xp).toBe(2 * ROSTER.XP_PER_HOUR * 1.5);
+    expect(lazy.xp).toBe(2 * ROSTER.XP_PER_HOUR * 0.5);
+    expect(capped.xp).toBe(0);
+  });
+});
+
+describe('promoteAdventurer', () => {
+  test('spends XP and gold for a level', async () => {
+    const guild = memory.insertGuild({ gold: 10000, adventurer_count: 1, last_collected_at: new Date() });
+    const { xp, gold } = getPromotionRequirements(2);
+    const hero = addAdventurer(guild.id, { level: 2, xp: xp + 5 });
+
+    const result = await promoteAdventurer(guild.id, hero.id);
+
+    expect(result.success).toBe(true);
+    expect(result.adventurer.level).toBe(3);
+    expect(result.adventurer.xp).toBe(5);
+    expect(result.cost).toBe(gold);
+    expect(result.guild.gold).toBe(10000 - gold);
+    expect(result.guild.lifetime_promotions).toBe(1);
+    expect(result.guild.roster_power).toBeCloseTo(3 * 0.5 * 1.5);
+  });
+
+  test('needs enough XP and gold', async () => {
+    const guild = memory.insertGuild({ gold: 0, last_collected_at: new Date() });
+    const green = addAdventurer(guild.id, { name: 'Green', xp: 10 });
+    const ready = addAdventurer(guild.id, { name: 'Ready', xp: 100 });
+
+    expect((await promoteAdventurer(guild.id, green.id)).error).toBe('Green needs 40 more XP');
+    expect((await promoteAdventurer(guild.id, ready.id)).error).toContain('costs 500 gold');
+  });
+
+  test('can\'t promote another guild\'s adventurer', async () => {
+    const guild = memory.insertGuild({ gold: 10000 });
+    const other = memory.insertGuild();
+    const hero = addAdventurer(other.id, { xp: 1000 });
+
+    expect((await promoteAdventurer(guild.id, hero.id)).error).toContain('isn\'t in your guild');
+  });
+});
+
+describe('dismissAdventurer', () => {
+  test('lowers the count and a recruit takes the empty spot', async () => {
+    const guild = memory.insertGuild({ adventurer_count: ROSTER.MAX_NAMED + 1 });
+    const roster = await syncRoster(guild.id);
+
+    const result = await dismissAdventurer(guild.id, roster[0].id);
+
+    expect(result.success).toBe(true);
+    expect(result.guild.adventurer_count).toBe(ROSTER.MAX_NAMED);
+    const after = await memory.roster.getRoster(guild.id);
+    expect(after).toHaveLength(ROSTER.MAX_NAMED);
+    expect(after.map(a => a.id)).not.toContain(roster[0].id);
+  });
+
+  test('someone has to be home', async () => {
+    const guild = memory.insertGuild({ adventurer_count: 2, adventurers_on_quest: 2 });
+    const hero = addAdventurer(guild.id);
+
+    const result = await dismissAdventurer(guild.id, hero.id);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('busy');
+    expect((await memory.guilds.getGuildById(guild.id)).adventurer_count).toBe(2);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { SEASON } from '../../src/config.js';
+import {
+  getSeasonRewardTier,
+  getRewardedRanks,
+  calculateSeasonRewards,
+  getSeasonTimeRemaining,
+  startNewSeason,
+  resolveSeason,
+} from '../../src/game/seasons.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+/**
+ * Move the clock forward
+ * @param {number} days - Days past NOW
+ */
+function advance(days) {
+  setSystemTime(new Date(NOW.getTime() + days * DAY_MS));
+}
+
+describe('getSeasonRewardTier', () => {
+  test('maps ranks to the best tier they reach', () => {
+    expect(getSeasonRewardTier(1).key).toBe('champion');
+    expect(getSeasonRewardTier(2).key).toBe('podium');
+    expect(getSeasonRewardTier(3).key).toBe('podium');
+    expect(getSeasonRewardTier(4).key).toBe('top10');
+    expect(getSeasonRewardTier(10).key).toBe('top10');
+  });
+
+  test('pays nothing outside the rewarded ranks', () => {
+    expect(getSeasonRewardTier(11)).toBeNull();
+    expect(getSeasonRewardTier(null)).toBeNull();
+    expect(getRewardedRanks()).toBe(10);
+  });
+});
+
+describe('calculateSeasonRewards', () => {
+  test('adds up rewards for guilds placing on both ladders', () => {
+    const rewards = calculateSeasonRewards({
+      gold: [{ guild_id: 1, rank: 1 }, { guild_id: 2, rank: 2 }],
+      battles: [{ guild_id: 2, rank: 1 }, { guild_id: 3, rank: 11 }],
+    });
+
+    const [champion, podium] = SEASON.REWARD_TIERS;
+    expect(rewards).toHaveLength(2);
+    expect(rewards[0]).toEqual({
+      guildId: 1,
+      gold: champion.gold,
+      xp: champion.xp,
+      placements: [{ category: 'gold', rank: 1, tier: 'champion' }],
+    });
+    expect(rewards[1].gold).toBe(podium.gold + champion.gold);
+    expect(rewards[1].placements.map(p => p.category)).toEqual(['gold', 'battles']);
+  });
+});
+
+describe('season counters', () => {
+  test('count collections, daily rewards and battle wins while a season runs', async () => {
+    const a = memory.insertGuild({ discord_id: '1' });
+    const b = memory.insertGuild({ discord_id: '2' });
+    const season = await startNewSeason();
+
+    await memory.guilds.collectResourcesFull(a.id, 500, 50, 5);
+    await memory.guilds.claimDailyReward(a.id, 200, 20, 1);
+    await memory.battles.applyBattleResults(b.id, a.id, 100, 10);
+    await memory.battles.applyFreeRevengeResults(a.id, b.id, false, 0, 0);
+
+    const standing = await memory.seasons.getSeasonStanding(season.id, a.id);
+    expect(standing.gold_earned).toBe(700);
+    expect(standing.battles_won).toBe(0);
+    expect(standing.gold_rank).toBe(1);
+    expect(standing.battles_rank).toBeNull();
+
+    expect((await memory.seasons.getSeasonStanding(season.id, b.id)).battles_won).toBe(2);
+  });
+
+  test('stop counting once the season time is up', async () => {
+    const guild = memory.insertGuild({ discord_id: '1' });
+    await memory.guilds.collectResourcesFull(guild.id, 500, 50, 5);
+    const season = await startNewSeason();
+
+    advance(SEASON.LENGTH_DAYS);
+    await memory.guilds.collectResourcesFull(guild.id, 500, 50, 5);
+
+    expect(await memory.seasons.getSeasonStanding(season.id, guild.id)).toBeNull();
+    expect(getSeasonTimeRemaining(season)).toBe(0);
+  });
+});
+
+describe('resolveSeason', () => {
+  test('pays the top guilds, keeps the standings and starts the next season from zero', async () => {
+    const guilds = [1, 2, 3].map(n => memory.insertGuild({ discord_id: String(n), name: `Guild ${n}` }));
+    const season = await startNewSeason();
+    await memory.guilds.collectResourcesFull(guilds[0].id, 300, 0, 5);
+    await memory.guilds.collectResourcesFull(guilds[1].id, 900, 0, 5);
+    await memory.battles.applyBattleResults(guilds[2].id, guilds[0].id, 0, 0);
+
+    advance(SEASON.LENGTH_DAYS);
+    const resolution = await resolveSeason(season);
+
+    expect(resolution.season.status).toBe('completed');
+    expect(resolution.standings.gold.map(s => s.guild_id)).toEqual([guilds[1].id, guilds[0].id]);
+    expect(resolution.standings.battles.map(s => s.guild_id)).toEqual([guilds[2].id]);
+
+    const [champion, podium] = SEASON.REWARD_TIERS;
+    expect(resolution.rewards.find(r => r.guildId === guilds[1].id).gold).toBe(champion.gold);
+    const winner = await memory.guilds.getGuildById(guilds[1].id);
+    expect(winner.gold).toBeGreaterThanOrEqual(900 + champion.gold);
+    expect(winner.lifetime_season_rewards).toBe(1);
+    expect((await memory.seasons.getSeasonStanding(season.id, guilds[0].id)).reward_gold).toBe(podium.gold);
+
+    expect(await resolveSeason(season)).toBeNull();
+
+    const next = await startNewSeason();
+    expect(next.id).toBe(season.id + 1);
+    expect(await memory.seasons.countSeasonEntries(next.id, 'gold')).toBe(0);
+  });
+});
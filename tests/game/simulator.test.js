@@ -0,0 +1,89 @@
+import { describe, test, expect, afterEach } from 'bun:test';
+import { simulate, DEFAULT_STRATEGY } from '../../src/game/simulator.js';
+import { setRandomSource, resetRandomSource, createSeededRandom } from '../../src/game/random.js';
+import { PRESTIGE, GAME } from '../../src/config.js';
+
+afterEach(() => {
+  resetRandomSource();
+});
+
+describe('simulate', () => {
+  test('plays the first run up to the prestige requirement', () => {
+    const result = simulate();
+    const [run] = result.runs;
+
+    expect(result.strategy).toEqual(DEFAULT_STRATEGY);
+    expect(run.finalLevel).toBeGreaterThanOrEqual(PRESTIGE.MIN_LEVEL);
+    expect(run.pointsEarned).toBeGreaterThanOrEqual(1);
+    expect(run.durationHours).toBe(run.endHours - run.startHours);
+    expect(run.levelTimes[PRESTIGE.MIN_LEVEL]).toBeLessThanOrEqual(run.durationHours);
+  });
+
+  test('level times never go backwards', () => {
+    const { runs } = simulate({ maxDays: 30, prestiges: 0 });
+    const times = Object.entries(runs[0].levelTimes)
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([, hours]) => hours);
+
+    for (let i = 1; i < times.length; i++) {
+      expect(times[i]).toBeGreaterThanOrEqual(times[i - 1]);
+    }
+  });
+
+  test('prestiges: 0 never prestiges and stops at maxDays', () => {
+    const result = simulate({ maxDays: 10, prestiges: 0 });
+
+    expect(result.runs).toHaveLength(1);
+    expect(result.runs[0].endHours).toBeNull();
+    expect(result.totalHours).toBe(10 * 24);
+  });
+
+  test('multiple prestiges reset the guild and spend points', () => {
+    const result = simulate({ collectIntervalHours: 2, grindMinutesPerDay: 30, prestiges: 2, maxDays: 1000 });
+
+    expect(result.runs.length).toBeGreaterThanOrEqual(2);
+    expect(result.runs[0].prestigeUpgradesBought.length).toBeGreaterThan(0);
+    expect(result.runs[1].prestige).toBe(1);
+
+    const firstSampleOfRun2 = result.samples.find(s => s.prestige === 1);
+    expect(firstSampleOfRun2.level).toBeLessThan(PRESTIGE.MIN_LEVEL);
+  });
+
+  test('grinding shortens the time to prestige', () => {
+    const idle = simulate({ grindMinutesPerDay: 0 });
+    const grinder = simulate({ grindMinutesPerDay: 15 });
+
+    expect(grinder.runs[0].durationHours).toBeLessThan(idle.runs[0].durationHours);
+  });
+
+  test('samples the gold curve at the requested resolution', () => {
+    const { samples } = simulate({ maxDays: 2, prestiges: 0, sampleEveryHours: 12, collectIntervalHours: 4 });
+
+    expect(samples[0]).toMatchObject({ hours: 0, level: 1, gold: GAME.STARTING_GOLD });
+    expect(samples.slice(0, -1).map(s => s.hours)).toEqual([0, 12, 24, 36]);
+  });
+
+  test('is reproducible with a seeded random source', () => {
+    const strategy = { prestiges: 2, maxDays: 400, collectIntervalHours: 8 };
+
+    setRandomSource(createSeededRandom(7));
+    const first = simulate(strategy);
+    setRandomSource(createSeededRandom(7));
+    const second = simulate(strategy);
+
+    expect(second).toEqual(first);
+  });
+
+  test('without upgrades gold only grows', () => {
+    const { samples } = simulate({ maxDays: 5, prestiges: 0 }, { upgrades: [] });
+
+    for (let i = 1; i < samples.length; i++) {
+      expect(samples[i].gold).toBeGreaterThanOrEqual(samples[i - 1].gold);
+    }
+    expect(samples.at(-1).upgradeLevels).toBe(0);
+  });
+
+  test('rejects a non-positive collect interval', () => {
+    expect(() => simulate({ collectIntervalHours: 0 })).toThrow('Collect interval');
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { TOURNAMENT } from '../../src/config.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+import {
+  getBracketSize,
+  getTotalRounds,
+  getBracketOrder,
+  calculateStandings,
+  calculatePrizes,
+  beginTournament,
+  playNextRound,
+} from '../../src/game/tournaments.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+describe('bracket shape', () => {
+  test('rounds the bracket up to a power of two', () => {
+    expect(getBracketSize(4)).toBe(4);
+    expect(getBracketSize(5)).toBe(8);
+    expect(getBracketSize(16)).toBe(16);
+  });
+
+  test('plays until one guild is left (single) or log2 of the field (Swiss)', () => {
+    expect(getTotalRounds('single', 5)).toBe(3);
+    expect(getTotalRounds('single', 16)).toBe(4);
+    expect(getTotalRounds('swiss', 5)).toBe(3);
+    expect(getTotalRounds('swiss', 8)).toBe(3);
+  });
+
+  test('keeps the top seeds apart until the late rounds', () => {
+    expect(getBracketOrder(4)).toEqual([1, 4, 2, 3]);
+    expect(getBracketOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+});
+
+describe('calculateStandings', () => {
+  test('ranks single elimination by how long each guild lasted, then seed', () => {
+    const entrants = [
+      { guild_id: 1, seed: 1, eliminated_round: 2 },
+      { guild_id: 2, seed: 2, eliminated_round: null },
+      { guild_id: 3, seed: 3, eliminated_round: 1 },
+      { guild_id: 4, seed: 4, eliminated_round: 2 },
+    ];
+
+    const standings = calculateStandings({ format: 'single' }, entrants, []);
+    expect(standings.map(e => [e.guild_id, e.placement])).toEqual([[2, 1], [1, 2], [4, 3], [3, 4]]);
+  });
+
+  test('breaks Swiss ties on opponents\' points', () => {
+    const entrants = [
+      { guild_id: 1, seed: 1, points: 1 },
+      { guild_id: 2, seed: 2, points: 1 },
+      { guild_id: 3, seed: 3, points: 2 },
+      { guild_id: 4, seed: 4, points: 0 },
+    ];
+    const matches = [
+      { guild_a_id: 1, guild_b_id: 4, winner_id: 1 },
+      { guild_a_id: 2, guild_b_id: 3, winner_id: 3 },
+      { guild_a_id: 1, guild_b_id: 3, winner_id: 3 },
+      { guild_a_id: 2, guild_b_id: 4, winner_id: 2 },
+    ];
+
+    const standings = calculateStandings({ format: 'swiss' }, entrants, matches);
+    // Guild 1 and 2 both beat guild 4 and lost to guild 3 - seed decides it
+    expect(standings.map(e => e.guild_id)).toEqual([3, 1, 2, 4]);
+    expect(standings[0].buchholz).toBe(2);
+  });
+});
+
+describe('calculatePrizes', () => {
+  test('splits the pool over the podium and gives the rounding to the winner', () => {
+    const standings = [1, 2, 3, 4].map(id => ({ guild_id: id, placement: id }));
+    const prizes = calculatePrizes(1001, standings);
+
+    expect(prizes.map(p => p.prize)).toEqual([601, 300, 100, 0]);
+    expect(prizes.reduce((sum, p) => sum + p.prize, 0)).toBe(1001);
+  });
+});
+
+describe('running a tournament', () => {
+  let memory;
+
+  beforeEach(() => {
+    setSystemTime(NOW);
+    // Every roll lands on 50, so the stronger guild always wins
+    setRandomSource(() => 0.5);
+    memory = createMemoryRepositories();
+    setRepositories(memory);
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    resetRandomSource();
+    setSystemTime();
+  });
+
+  /**
+   * Open a tournament and enter guilds whose power rises with their ID
+   * @param {string} format - 'single' or 'swiss'
+   * @param {number} count - Number of entrants
+   * @returns {Promise<Object>} The open tournament
+   */
+  async function openTournament(format, count) {
+    const guilds = [];
+    for (let i = 1; i <= count; i++) {
+      guilds.push(memory.insertGuild({ discord_id: String(i), name: `Guild ${i}`, level: 10, adventurer_count: i * 10, gold: 1000 }));
+    }
+
+    const { tournament } = await memory.tournaments.createTournament({
+      serverId: 'server',
+      channelId: 'channel',
+      name: 'Spring Cup',
+      format,
+      entryFee: 100,
+      maxEntrants: 16,
+      hostGuildId: guilds[0].id,
+    });
+    for (const guild of guilds.slice(1)) {
+      await memory.tournaments.joinTournament(tournament.id, guild.id);
+    }
+    return memory.tournaments.getTournamentById(tournament.id);
+  }
+
+  /**
+   * Play every remaining round of a running tournament
+   * @param {Object} tournament - Running tournament row
+   * @returns {Promise<Object>} The last round's progress
+   */
+  async function playOut(tournament) {
+    let progress = { tournament };
+    while (progress.tournament.status === 'running') {
+      setSystemTime(new Date(Date.now() + TOURNAMENT.ROUND_INTERVAL_MINUTES * MINUTE_MS));
+      progress = await playNextRound(progress.tournament);
+    }
+    return progress;
+  }
+
+  test('won\'t start with too few entrants', async () => {
+    const tournament = await openTournament('single', TOURNAMENT.MIN_ENTRANTS - 1);
+    const result = await beginTournament(tournament);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain(`${TOURNAMENT.MIN_ENTRANTS}`);
+  });
+
+  test('seeds by power and gives the top seeds the byes', async () => {
+    const tournament = await openTournament('single', 5);
+    const result = await beginTournament(tournament);
+
+    expect(result.success).toBe(true);
+    expect(result.round).toBe(1);
+    expect(result.entrants.map(e => [e.name, e.seed])).toEqual([
+      ['Guild 5', 1], ['Guild 4', 2], ['Guild 3', 3], ['Guild 2', 4], ['Guild 1', 5],
+    ]);
+
+    const byes = result.matches.filter(m => m.guild_b_id === null).map(m => m.guild_a_name);
+    expect(byes.sort()).toEqual(['Guild 3', 'Guild 4', 'Guild 5']);
+    expect(result.tournament.next_round_at.getTime()).toBe(NOW.getTime() + TOURNAMENT.ROUND_INTERVAL_MINUTES * MINUTE_MS);
+  });
+
+  test('plays single elimination out and pays the prize pool without any battles', async () => {
+    const tournament = await openTournament('single', 5);
+    const { tournament: running } = await beginTournament(tournament);
+    const final = await playOut(running);
+
+    expect(final.tournament.status).toBe('completed');
+    expect(final.round).toBe(3);
+    expect(final.standings.map(e => e.name).slice(0, 3)).toEqual(['Guild 5', 'Guild 4', 'Guild 3']);
+    expect(final.placements.map(p => p.prize)).toEqual([300, 150, 50, 0, 0]);
+
+    const champion = memory.store.guilds.find(g => g.name === 'Guild 5');
+    expect(champion.gold).toBe(1000 - 100 + 300);
+    expect(champion.lifetime_tournaments_won).toBe(1);
+    expect(champion.lifetime_tournament_gold).toBe(300);
+    expect(memory.store.guilds.find(g => g.name === 'Guild 1').gold).toBe(900);
+    expect(memory.store.battles).toHaveLength(0);
+
+    // Fees and prizes share the daily trade allowance
+    expect(await memory.trades.getTradeTotals(champion.id)).toEqual({ sent: 100, received: 300 });
+
+    // A stale copy of the tournament can't replay a round
+    expect(await playNextRound(running)).toBeNull();
+  });
+
+  test('pairs Swiss rounds without rematches and hands the bye around', async () => {
+    const tournament = await openTournament('swiss', 5);
+    const { tournament: running } = await beginTournament(tournament);
+    const final = await playOut(running);
+
+    expect(final.round).toBe(3);
+    const matches = await memory.tournaments.getTournamentMatches(tournament.id);
+
+    const pairings = matches.filter(m => m.guild_b_id !== null).map(m => [m.guild_a_id, m.guild_b_id].sort().join('-'));
+    expect(new Set(pairings).size).toBe(pairings.length);
+
+    const byes = matches.filter(m => m.guild_b_id === null).map(m => m.guild_a_id);
+    expect(byes).toHaveLength(3);
+    expect(new Set(byes).size).toBe(3);
+
+    // Strongest guild wins every match
+    expect(final.standings[0].name).toBe('Guild 5');
+    expect(final.standings[0].points).toBe(3);
+  });
+});
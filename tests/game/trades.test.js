@@ -0,0 +1,20 @@
+import { describe, test, expect } from 'bun:test';
+import { TRADE } from '../../src/config.js';
+import { getDailyTradeLimit, getRemainingTradeAllowance } from '../../src/game/trades.js';
+
+describe('getDailyTradeLimit', () => {
+  test('grows with guild level', () => {
+    expect(getDailyTradeLimit(0)).toBe(TRADE.DAILY_LIMIT_BASE);
+    expect(getDailyTradeLimit(10)).toBe(TRADE.DAILY_LIMIT_BASE + 10 * TRADE.DAILY_LIMIT_PER_LEVEL);
+  });
+});
+
+describe('getRemainingTradeAllowance', () => {
+  test('subtracts gold already moved today', () => {
+    expect(getRemainingTradeAllowance(10, 1000)).toBe(getDailyTradeLimit(10) - 1000);
+  });
+
+  test('never goes negative', () => {
+    expect(getRemainingTradeAllowance(1, 1_000_000)).toBe(0);
+  });
+});
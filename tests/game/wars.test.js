@@ -0,0 +1,210 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { WAR } from '../../src/config.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import {
+  calculateWarPoints,
+  getWarWinner,
+  calculateWarPayout,
+  getWarSides,
+  performWarAttack,
+  resolveWar,
+} from '../../src/game/wars.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('calculateWarPoints', () => {
+  test('losing attacks score nothing', () => {
+    expect(calculateWarPoints(false, 10, 20)).toBe(0);
+  });
+
+  test('beating a weaker opponent scores the base points', () => {
+    expect(calculateWarPoints(true, 20, 10)).toBe(WAR.WIN_POINTS);
+  });
+
+  test('beating a stronger opponent adds the upset bonus', () => {
+    expect(calculateWarPoints(true, 10, 20)).toBe(WAR.WIN_POINTS + WAR.UPSET_BONUS_POINTS);
+  });
+});
+
+describe('getWarWinner', () => {
+  test('the higher score wins', () => {
+    expect(getWarWinner({ alliance_a_id: 1, alliance_b_id: 2, alliance_a_score: 5, alliance_b_score: 3 })).toBe(1);
+    expect(getWarWinner({ alliance_a_id: 1, alliance_b_id: 2, alliance_a_score: 0, alliance_b_score: 2 })).toBe(2);
+  });
+
+  test('a tied score is a draw', () => {
+    expect(getWarWinner({ alliance_a_id: 1, alliance_b_id: 2, alliance_a_score: 4, alliance_b_score: 4 })).toBeNull();
+  });
+});
+
+test('calculateWarPayout adds a bonus per point', () => {
+  expect(calculateWarPayout(0)).toBe(WAR.PAYOUT_BASE);
+  expect(calculateWarPayout(10)).toBe(WAR.PAYOUT_BASE + 10 * WAR.PAYOUT_PER_POINT);
+});
+
+test('getWarSides returns each alliance its own view', () => {
+  const war = {
+    alliance_a_id: 1, alliance_a_name: 'Iron Pact', alliance_a_score: 6,
+    alliance_b_id: 2, alliance_b_name: 'Silver Hand', alliance_b_score: 2,
+  };
+
+  expect(getWarSides(war, 2)).toEqual({
+    ownName: 'Silver Hand', ownScore: 2, enemyId: 1, enemyName: 'Iron Pact', enemyScore: 6,
+  });
+});
+
+describe('war attacks and results', () => {
+  let memory;
+  let war;
+  let attacker;
+  let defender;
+
+  beforeEach(async () => {
+    setSystemTime(NOW);
+    memory = createMemoryRepositories();
+    setRepositories(memory);
+
+    attacker = memory.insertGuild({ discord_id: '1', gold: 100000, adventurer_count: 5 });
+    defender = memory.insertGuild({ discord_id: '2', gold: 100000, adventurer_count: 50 });
+    const { alliance: a } = await memory.alliances.createAlliance(attacker.id, 'Iron Pact', 0);
+    const { alliance: b } = await memory.alliances.createAlliance(defender.id, 'Silver Hand', 0);
+    memory.store.alliances.find(x => x.id === a.id).treasury = WAR.DECLARE_COST;
+
+    ({ war } = await memory.wars.declareWar(a.id, b.id, attacker.id, WAR.DECLARE_COST));
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    resetRandomSource();
+    setSystemTime();
+  });
+
+  test('attacks are refused while the war is still preparing', async () => {
+    const result = await performWarAttack(attacker.id);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('hasn\'t started');
+  });
+
+  test('a winning upset scores bonus points for the attacker\'s alliance', async () => {
+    await memory.wars.openWar(war.id);
+    setRandomSource(createSequenceRandom([0]));
+
+    const result = await performWarAttack(attacker.id);
+
+    expect(result.success).toBe(true);
+    expect(result.won).toBe(true);
+    expect(result.defender.id).toBe(defender.id);
+    expect(result.points).toBe(WAR.WIN_POINTS + WAR.UPSET_BONUS_POINTS);
+    expect(result.war.alliance_a_score).toBe(result.points);
+    expect(result.participant.attacks_used).toBe(1);
+  });
+
+  test('no gold changes hands', async () => {
+    await memory.wars.openWar(war.id);
+    setRandomSource(createSequenceRandom([0.99]));
+
+    const result = await performWarAttack(attacker.id);
+
+    expect(result.won).toBe(false);
+    expect(result.points).toBe(0);
+    expect((await memory.guilds.getGuildById(attacker.id)).gold).toBe(100000);
+    expect((await memory.guilds.getGuildById(defender.id)).gold).toBe(100000);
+  });
+
+  test('each member only gets their allotted attacks', async () => {
+    await memory.wars.openWar(war.id);
+    for (let i = 0; i < WAR.ATTACKS_PER_MEMBER; i++) {
+      expect((await performWarAttack(attacker.id)).success).toBe(true);
+    }
+
+    const result = await performWarAttack(attacker.id);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('used all');
+  });
+
+  test('guilds that join after the war opens are not on the roster', async () => {
+    await memory.wars.openWar(war.id);
+    const latecomer = memory.insertGuild({ discord_id: '3' });
+    Object.assign(memory.store.guilds.find(g => g.id === latecomer.id), {
+      alliance_id: war.alliance_a_id,
+      alliance_role: 'member',
+      alliance_joined_at: new Date(),
+    });
+
+    const result = await performWarAttack(latecomer.id);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('roster');
+  });
+
+  test('attacks are refused once the window has closed', async () => {
+    await memory.wars.openWar(war.id);
+    setSystemTime(new Date(NOW.getTime() + (WAR.PREP_HOURS + WAR.DURATION_HOURS) * HOUR_MS));
+
+    const result = await performWarAttack(attacker.id);
+    expect(result.success).toBe(false);
+  });
+
+  test('resolveWar moves the spoils from the loser\'s treasury and records the result', async () => {
+    memory.store.alliances.find(x => x.id === war.alliance_b_id).treasury = 100000;
+    await memory.wars.openWar(war.id);
+    setRandomSource(createSequenceRandom([0]));
+    await performWarAttack(attacker.id);
+
+    const finished = await memory.wars.getWarById(war.id);
+    const result = await resolveWar(finished);
+
+    expect(result.winnerAllianceId).toBe(war.alliance_a_id);
+    expect(result.payout).toBe(calculateWarPayout(finished.alliance_a_score));
+
+    const winner = await memory.alliances.getAllianceById(war.alliance_a_id);
+    const loser = await memory.alliances.getAllianceById(war.alliance_b_id);
+    expect(winner.treasury).toBe(result.payout);
+    expect(loser.treasury).toBe(100000 - result.payout);
+    expect(winner.wars_won).toBe(1);
+    expect(loser.wars_lost).toBe(1);
+
+    // Closing twice pays nothing more
+    expect(await resolveWar(finished)).toBeNull();
+    expect((await memory.alliances.getAllianceById(war.alliance_a_id)).treasury).toBe(result.payout);
+  });
+
+  test('the spoils are capped at what the loser\'s treasury holds', async () => {
+    memory.store.alliances.find(x => x.id === war.alliance_b_id).treasury = 5000;
+    await memory.wars.openWar(war.id);
+    setRandomSource(createSequenceRandom([0]));
+    await performWarAttack(attacker.id);
+
+    const result = await resolveWar(await memory.wars.getWarById(war.id));
+
+    expect(result.payout).toBe(5000);
+    expect((await memory.wars.getWarById(war.id)).payout).toBe(5000);
+    expect((await memory.alliances.getAllianceById(war.alliance_a_id)).treasury).toBe(5000);
+    expect((await memory.alliances.getAllianceById(war.alliance_b_id)).treasury).toBe(0);
+  });
+
+  test('an empty loser treasury means no spoils - wars never create gold', async () => {
+    await memory.wars.openWar(war.id);
+    setRandomSource(createSequenceRandom([0]));
+    await performWarAttack(attacker.id);
+
+    const result = await resolveWar(await memory.wars.getWarById(war.id));
+
+    expect(result.winnerAllianceId).toBe(war.alliance_a_id);
+    expect(result.payout).toBe(0);
+    expect((await memory.alliances.getAllianceById(war.alliance_a_id)).treasury).toBe(0);
+    expect((await memory.alliances.getAllianceById(war.alliance_a_id)).wars_won).toBe(1);
+  });
+
+  test('a draw pays nobody', async () => {
+    await memory.wars.openWar(war.id);
+
+    const result = await resolveWar(await memory.wars.getWarById(war.id));
+
+    expect(result.winnerAllianceId).toBeNull();
+    expect(result.payout).toBe(0);
+    expect((await memory.alliances.getAllianceById(war.alliance_b_id)).treasury).toBe(0);
+  });
+});
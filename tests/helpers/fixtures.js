@@ -0,0 +1,66 @@
+import { GAME } from '../../src/config.js';
+
+/**
+ * Build a guild row with sensible defaults (mirrors a freshly created guild)
+ * @param {Object} overrides - Columns to override
+ * @returns {Object} Guild row
+ */
+export function makeGuild(overrides = {}) {
+  return {
+    id: 1,
+    discord_id: '100000000000000001',
+    name: 'Test Guild',
+    level: 1,
+    xp: GAME.STARTING_XP,
+    gold: GAME.STARTING_GOLD,
+    adventurer_count: GAME.STARTING_ADVENTURERS,
+    adventurer_capacity: GAME.STARTING_ADVENTURER_CAPACITY,
+    last_collected_at: new Date(),
+    prestige_level: 0,
+    prestige_points: 0,
+    ...overrides,
+  };
+}
+
+/**
+ * Build an owned upgrade row as returned by getGuildUpgrades()
+ * effect_value is a string, matching how Postgres returns DECIMAL columns
+ * @param {string} effectType - Upgrade effect type
+ * @param {number} effectValue - Effect value per level
+ * @param {number} level - Owned level
+ * @returns {Object} Upgrade row
+ */
+export function makeUpgrade(effectType, effectValue, level = 1) {
+  return {
+    name: `${effectType} upgrade`,
+    effect_type: effectType,
+    effect_value: String(effectValue),
+    level,
+  };
+}
+
+/**
+ * Build an owned prestige upgrade row as returned by getOwnedPrestigeUpgrades()
+ * @param {string} effectType - Prestige effect type
+ * @param {number} effectValue - Effect value
+ * @param {number} level - Owned level
+ * @returns {Object} Prestige upgrade row
+ */
+export function makePrestigeUpgrade(effectType, effectValue, level = 1) {
+  return {
+    name: `${effectType} prestige upgrade`,
+    effect_type: effectType,
+    effect_value: String(effectValue),
+    level,
+  };
+}
+
+/**
+ * Get a timestamp a number of hours before the given time
+ * @param {number} hours - Hours ago
+ * @param {Date} now - Reference time
+ * @returns {Date}
+ */
+export function hoursAgo(hours, now = new Date()) {
+  return new Date(now.getTime() - hours * 60 * 60 * 1000);
+}
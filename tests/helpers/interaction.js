@@ -0,0 +1,167 @@
+/**
+ * Minimal stand-in for a discord.js interaction
+ * Records every response so tests can assert on what the command sent
+ *
+ * Usage:
+ *   const interaction = createFakeInteraction({ userId: '1', options: { bet: 100, random: true } });
+ *   await execute(interaction);
+ *   interaction.responses[0] // { type: 'reply', payload: { embeds: [...] } }
+ */
+
+let nextMessageId = 1;
+
+/**
+ * Build a message stub returned by reply({ fetchReply: true }) and interaction.message
+ * @param {Object} payload - The message payload
+ * @returns {Object} Message stub
+ */
+function createFakeMessage(payload = {}) {
+  const message = {
+    id: `message-${nextMessageId++}`,
+    embeds: payload.embeds || [],
+    components: payload.components || [],
+    edits: [],
+    async edit(newPayload) {
+      message.edits.push(newPayload);
+      Object.assign(message, newPayload);
+      return message;
+    },
+    async fetch() {
+      return message;
+    },
+    createMessageComponentCollector() {
+      return { on() {}, stop() {} };
+    },
+  };
+  return message;
+}
+
+/**
+ * Create a fake interaction
+ * @param {Object} params - Interaction parameters
+ * @param {string} params.userId - Discord ID of the user invoking the interaction
+ * @param {string} params.username - Username of the invoking user
+ * @param {Object} params.options - Slash command option values keyed by name (users as { id, username })
+ * @param {string} params.subcommand - Subcommand name
+ * @param {string} params.customId - Component/modal custom ID
+ * @param {Object} params.fields - Modal text input values keyed by custom ID
+ * @param {string[]} params.values - Select menu values
+ * @param {Object} params.message - Message the component is attached to
+ * @param {string} params.guildId - Discord server ID (null for DMs)
+ * @param {string} params.guildName - Discord server name
+ * @param {string} params.channelId - Channel the command was used in
+ * @returns {Object} Fake interaction with `responses`, `dms` and `posts` (channel messages) arrays
+ */
+export function createFakeInteraction({
+  userId = '1',
+  username = 'tester',
+  options = {},
+  subcommand = null,
+  customId = '',
+  fields = {},
+  values = [],
+  message = null,
+  guildId = null,
+  guildName = 'Test Server',
+  channelId = null,
+} = {}) {
+  const responses = [];
+  const dms = [];
+  const posts = [];
+
+  const record = (type) => async (payload) => {
+    responses.push({ type, payload });
+    return createFakeMessage(payload);
+  };
+
+  const getOption = (name) => (name in options ? options[name] : null);
+
+  const interaction = {
+    user: { id: userId, username },
+    guildId,
+    guild: guildId ? { id: guildId, name: guildName } : null,
+    channelId,
+    customId,
+    values,
+    message: message || createFakeMessage(),
+    replied: false,
+    deferred: false,
+    responses,
+    dms,
+    posts,
+    options: {
+      getString: getOption,
+      getInteger: getOption,
+      getNumber: getOption,
+      getBoolean: getOption,
+      getUser: getOption,
+      getSubcommand: () => subcommand,
+    },
+    fields: {
+      getTextInputValue: (id) => fields[id] ?? '',
+    },
+    client: {
+      users: {
+        async fetch(id) {
+          return {
+            id,
+            async send(payload) {
+              dms.push({ userId: id, payload });
+            },
+          };
+        },
+      },
+      channels: {
+        async fetch(id) {
+          return {
+            id,
+            async send(payload) {
+              posts.push({ channelId: id, payload });
+            },
+          };
+        },
+      },
+    },
+    async reply(payload) {
+      interaction.replied = true;
+      return record('reply')(payload);
+    },
+    async deferReply(payload) {
+      interaction.deferred = true;
+      return record('deferReply')(payload);
+    },
+    async editReply(payload) {
+      return record('editReply')(payload);
+    },
+    async update(payload) {
+      return record('update')(payload);
+    },
+    async followUp(payload) {
+      return record('followUp')(payload);
+    },
+    async showModal(modal) {
+      return record('showModal')(modal);
+    },
+  };
+
+  return interaction;
+}
+
+/**
+ * Get the last response payload sent by a fake interaction
+ * @param {Object} interaction - Fake interaction
+ * @returns {Object|undefined} Last payload
+ */
+export function lastResponse(interaction) {
+  return interaction.responses.at(-1)?.payload;
+}
+
+/**
+ * Get the first embed of the last response as plain JSON
+ * @param {Object} interaction - Fake interaction
+ * @returns {Object|undefined} Embed data (title, description, fields, ...)
+ */
+export function lastEmbed(interaction) {
+  const embed = lastResponse(interaction)?.embeds?.[0];
+  return embed?.toJSON ? embed.toJSON() : embed;
+}
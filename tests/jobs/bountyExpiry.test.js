@@ -0,0 +1,46 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { BOUNTY } from '../../src/config.js';
+import { runBountyExpiryCheck } from '../../src/jobs/bountyExpiry.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { placeBounty, calculateBountyFee } from '../../src/game/bounties.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const EXPIRED = new Date(NOW.getTime() + BOUNTY.DURATION_HOURS * 60 * 60 * 1000);
+
+let memory;
+let poster;
+
+beforeEach(async () => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+
+  poster = memory.insertGuild({ discord_id: '1', level: 10, gold: 5000 });
+  const target = memory.insertGuild({ discord_id: '2', gold: 1000 });
+  await placeBounty(poster, target, 2000);
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+describe('runBountyExpiryCheck', () => {
+  test('leaves bounties that are still running', async () => {
+    expect(await runBountyExpiryCheck()).toBe(0);
+    expect((await memory.bounties.getBountyById(1)).status).toBe('active');
+  });
+
+  test('expires unclaimed bounties and refunds the poster', async () => {
+    setSystemTime(EXPIRED);
+    const refunded = 5000 - calculateBountyFee(2000);
+
+    expect(await runBountyExpiryCheck()).toBe(1);
+
+    expect((await memory.bounties.getBountyById(1)).status).toBe('expired');
+    expect((await memory.guilds.getGuildById(poster.id)).gold).toBe(refunded);
+    expect(await runBountyExpiryCheck()).toBe(0);
+    expect((await memory.guilds.getGuildById(poster.id)).gold).toBe(refunded);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { MARKET } from '../../src/config.js';
+import { runMarketExpiryCheck } from '../../src/jobs/marketExpiry.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const EXPIRED = new Date(NOW.getTime() + MARKET.LISTING_HOURS * 60 * 60 * 1000);
+
+let memory;
+let seller;
+
+beforeEach(async () => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+
+  seller = memory.insertGuild({ discord_id: '1', level: 10, gold: 10000, adventurer_count: 10 });
+  await memory.market.createListing(seller.id, 4, 2000, 50, MARKET.LISTING_HOURS);
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+describe('runMarketExpiryCheck', () => {
+  test('leaves listings that are still running', async () => {
+    expect(await runMarketExpiryCheck()).toBe(0);
+    expect((await memory.market.getListingById(1)).status).toBe('active');
+  });
+
+  test('expires finished listings and puts the adventurers back to work', async () => {
+    setSystemTime(EXPIRED);
+
+    expect(await runMarketExpiryCheck()).toBe(1);
+
+    expect((await memory.market.getListingById(1)).status).toBe('expired');
+    const updated = await memory.guilds.getGuildById(seller.id);
+    expect(updated.adventurers_listed).toBe(0);
+    expect(updated.adventurer_count).toBe(10);
+    expect(await runMarketExpiryCheck()).toBe(0);
+  });
+
+  test('expired listings can no longer be bought', async () => {
+    const buyer = memory.insertGuild({ discord_id: '2', level: 10, gold: 10000, adventurer_count: 0 });
+    setSystemTime(EXPIRED);
+
+    const result = await memory.market.purchaseListing(1, buyer.id, 100);
+    expect(result.success).toBe(false);
+  });
+});
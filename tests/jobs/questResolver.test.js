@@ -0,0 +1,71 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { runQuestCheck } from '../../src/jobs/questResolver.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import { createFakeInteraction } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const LATER = new Date(NOW.getTime() + 5 * 60 * 60 * 1000);
+
+let memory;
+let guild;
+
+beforeEach(async () => {
+  setSystemTime(NOW);
+  setRandomSource(createSequenceRandom([0]));
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+
+  guild = memory.insertGuild({ discord_id: '1', adventurer_count: 10 });
+  await memory.quests.startQuest(guild.id, { durationKey: '4h', riskKey: 'safe', hours: 4, adventurers: 5 });
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+describe('runQuestCheck', () => {
+  test('leaves quests that are still running', async () => {
+    const { client, dms } = createFakeInteraction();
+
+    expect(await runQuestCheck(client)).toBe(0);
+    expect(dms).toHaveLength(0);
+  });
+
+  test('resolves finished quests and DMs the player', async () => {
+    setSystemTime(LATER);
+    const { client, dms } = createFakeInteraction();
+
+    expect(await runQuestCheck(client)).toBe(1);
+
+    const updated = await memory.guilds.getGuildById(guild.id);
+    expect(updated.adventurers_on_quest).toBe(0);
+    expect(updated.lifetime_quests_completed).toBe(1);
+    expect(dms).toHaveLength(1);
+    expect(dms[0].userId).toBe('1');
+    expect(dms[0].payload.embeds[0].toJSON().title).toBe('Quest Complete!');
+  });
+
+  test('a quest is only paid out once', async () => {
+    setSystemTime(LATER);
+    const { client } = createFakeInteraction();
+
+    await runQuestCheck(client);
+    const goldAfterFirst = (await memory.guilds.getGuildById(guild.id)).gold;
+
+    expect(await runQuestCheck(client)).toBe(0);
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBe(goldAfterFirst);
+  });
+
+  test('respects disabled quest notifications', async () => {
+    await memory.notifications.disableQuestNotifications(guild.id);
+    setSystemTime(LATER);
+    const { client, dms } = createFakeInteraction();
+
+    expect(await runQuestCheck(client)).toBe(1);
+    expect(dms).toHaveLength(0);
+  });
+});
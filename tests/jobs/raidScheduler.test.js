@@ -0,0 +1,74 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { RAID } from '../../src/config.js';
+import { runRaidCheck } from '../../src/jobs/raidScheduler.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+import { createFakeInteraction } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  setRandomSource(() => 0.5);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+/**
+ * Move the clock forward
+ * @param {number} hours - Hours past NOW
+ */
+function advance(hours) {
+  setSystemTime(new Date(NOW.getTime() + hours * HOUR_MS));
+}
+
+describe('runRaidCheck', () => {
+  test('spawns the first boss straight away and leaves it alone while it is active', async () => {
+    const { client } = createFakeInteraction();
+
+    const { spawned } = await runRaidCheck(client);
+    expect(spawned.status).toBe('active');
+    expect(await runRaidCheck(client)).toEqual({ closed: 0, spawned: null });
+  });
+
+  test('resolves escaped bosses, DMs contributors and waits before the next spawn', async () => {
+    const guild = memory.insertGuild({ discord_id: '1' });
+    const boss = await memory.raids.spawnBoss('kraken', 100000, RAID.DURATION_HOURS);
+    await memory.raids.recordBossAttack(boss.id, guild.id, 100, RAID.ATTACK_COOLDOWN_MINUTES);
+    const { client, dms } = createFakeInteraction();
+
+    advance(RAID.DURATION_HOURS);
+    expect(await runRaidCheck(client)).toEqual({ closed: 1, spawned: null });
+    expect((await memory.raids.getBossById(boss.id)).status).toBe('escaped');
+    expect(dms).toHaveLength(1);
+    expect(dms[0].userId).toBe('1');
+    expect(dms[0].payload.embeds[0].toJSON().title).toContain('Escaped');
+
+    advance(RAID.DURATION_HOURS + RAID.SPAWN_INTERVAL_HOURS);
+    const { spawned } = await runRaidCheck(client);
+    expect(spawned.id).not.toBe(boss.id);
+  });
+
+  test('respects disabled battle notifications', async () => {
+    const guild = memory.insertGuild({ discord_id: '1' });
+    await memory.notifications.disableBattleNotifications(guild.id);
+    const boss = await memory.raids.spawnBoss('kraken', 100000, RAID.DURATION_HOURS);
+    await memory.raids.recordBossAttack(boss.id, guild.id, 100, RAID.ATTACK_COOLDOWN_MINUTES);
+    const { client, dms } = createFakeInteraction();
+
+    advance(RAID.DURATION_HOURS);
+    await runRaidCheck(client);
+    expect(dms).toHaveLength(0);
+    expect((await memory.guilds.getGuildById(guild.id)).gold).toBeGreaterThan(0);
+  });
+});
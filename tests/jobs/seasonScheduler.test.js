@@ -0,0 +1,62 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { SEASON } from '../../src/config.js';
+import { runSeasonCheck } from '../../src/jobs/seasonScheduler.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { createFakeInteraction } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  setSystemTime();
+});
+
+describe('runSeasonCheck', () => {
+  test('starts the first season straight away and leaves it alone while it runs', async () => {
+    const { client } = createFakeInteraction();
+
+    const { started } = await runSeasonCheck(client);
+    expect(started.id).toBe(1);
+    expect(started.ends_at.getTime() - NOW.getTime()).toBe(SEASON.LENGTH_DAYS * DAY_MS);
+    expect(await runSeasonCheck(client)).toEqual({ closed: 0, started: null });
+  });
+
+  test('closes a finished season, DMs its winners and opens the next one', async () => {
+    const guild = memory.insertGuild({ discord_id: '1' });
+    const { client, dms } = createFakeInteraction();
+    await runSeasonCheck(client);
+    await memory.guilds.collectResourcesFull(guild.id, 1000, 0, 5);
+
+    setSystemTime(new Date(NOW.getTime() + SEASON.LENGTH_DAYS * DAY_MS));
+    const { closed, started } = await runSeasonCheck(client);
+
+    expect(closed).toBe(1);
+    expect(started.id).toBe(2);
+    expect((await memory.seasons.getSeasonById(1)).status).toBe('completed');
+    expect(dms).toHaveLength(1);
+    expect(dms[0].userId).toBe('1');
+    expect(dms[0].payload.embeds[0].toJSON().title).toBe('🏆 Season 1 Is Over!');
+  });
+
+  test('skips the DM when battle notifications are off', async () => {
+    const guild = memory.insertGuild({ discord_id: '1' });
+    await memory.notifications.disableBattleNotifications(guild.id);
+    const { client, dms } = createFakeInteraction();
+    await runSeasonCheck(client);
+    await memory.guilds.collectResourcesFull(guild.id, 1000, 0, 5);
+
+    setSystemTime(new Date(NOW.getTime() + SEASON.LENGTH_DAYS * DAY_MS));
+    expect((await runSeasonCheck(client)).closed).toBe(1);
+    expect(dms).toHaveLength(0);
+  });
+});
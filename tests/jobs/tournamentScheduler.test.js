@@ -0,0 +1,103 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { TOURNAMENT } from '../../src/config.js';
+import { runTournamentCheck } from '../../src/jobs/tournamentScheduler.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource } from '../../src/game/random.js';
+import { beginTournament } from '../../src/game/tournaments.js';
+import { createFakeInteraction } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+let memory;
+
+beforeEach(() => {
+  setSystemTime(NOW);
+  setRandomSource(() => 0.5);
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+/**
+ * Open a 4-guild tournament with a 100 gold entry fee
+ * @returns {Promise<Object>} The open tournament
+ */
+async function openTournament() {
+  const guilds = [1, 2, 3, 4].map(i =>
+    memory.insertGuild({ discord_id: String(i), name: `Guild ${i}`, level: 10, adventurer_count: i * 10, gold: 1000 })
+  );
+  const { tournament } = await memory.tournaments.createTournament({
+    serverId: 'server',
+    channelId: 'channel',
+    name: 'Spring Cup',
+    format: 'single',
+    entryFee: 100,
+    maxEntrants: 8,
+    hostGuildId: guilds[0].id,
+  });
+  for (const guild of guilds.slice(1)) {
+    await memory.tournaments.joinTournament(tournament.id, guild.id);
+  }
+  return memory.tournaments.getTournamentById(tournament.id);
+}
+
+describe('runTournamentCheck', () => {
+  test('waits for the round interval before playing the next round', async () => {
+    await beginTournament(await openTournament());
+    const { client, posts } = createFakeInteraction();
+
+    expect(await runTournamentCheck(client)).toEqual({ cancelled: 0, played: 0, completed: 0 });
+    expect(posts).toHaveLength(0);
+  });
+
+  test('plays the final, posts the result and DMs the prize winners', async () => {
+    await beginTournament(await openTournament());
+    const { client, posts, dms } = createFakeInteraction();
+
+    setSystemTime(new Date(NOW.getTime() + TOURNAMENT.ROUND_INTERVAL_MINUTES * MINUTE_MS));
+    expect(await runTournamentCheck(client)).toEqual({ cancelled: 0, played: 1, completed: 1 });
+
+    expect(posts).toHaveLength(1);
+    expect(posts[0].channelId).toBe('channel');
+    expect(posts[0].payload.content).toContain('**Guild 4** won **Spring Cup**');
+    expect(posts[0].payload.embeds[0].toJSON().fields[0].name).toBe('Final Standings');
+
+    // 400 gold pool - 240 / 120 / 40
+    expect(dms.map(dm => dm.userId)).toEqual(['4', '3', '2']);
+    expect(dms[0].payload.embeds[0].toJSON().title).toBe('🥇 Tournament Champions!');
+    expect(memory.store.guilds[3].gold).toBe(1000 - 100 + 240);
+    expect(memory.store.guilds[0].gold).toBe(900);
+  });
+
+  test('skips the prize DM when battle notifications are off', async () => {
+    await beginTournament(await openTournament());
+    await memory.notifications.disableBattleNotifications(4);
+    const { client, dms } = createFakeInteraction();
+
+    setSystemTime(new Date(NOW.getTime() + TOURNAMENT.ROUND_INTERVAL_MINUTES * MINUTE_MS));
+    await runTournamentCheck(client);
+
+    expect(dms.map(dm => dm.userId)).toEqual(['3', '2']);
+  });
+
+  test('cancels a tournament nobody started and refunds every entrant', async () => {
+    const tournament = await openTournament();
+    const { client, posts } = createFakeInteraction();
+
+    setSystemTime(new Date(NOW.getTime() + TOURNAMENT.OPEN_HOURS * HOUR_MS));
+    expect((await runTournamentCheck(client)).cancelled).toBe(1);
+
+    expect((await memory.tournaments.getTournamentById(tournament.id)).status).toBe('cancelled');
+    expect(memory.store.guilds.every(g => g.gold === 1000)).toBe(true);
+    expect(posts[0].payload.content).toContain('4 entries were refunded');
+    expect(await memory.tournaments.getActiveTournament('server')).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { WAR } from '../../src/config.js';
+import { runWarCheck } from '../../src/jobs/warScheduler.js';
+import { setRepositories, resetRepositories } from '../../src/database/repositories/index.js';
+import { createMemoryRepositories } from '../../src/database/repositories/memory.js';
+import { setRandomSource, resetRandomSource, createSequenceRandom } from '../../src/game/random.js';
+import { performWarAttack, calculateWarPayout } from '../../src/game/wars.js';
+import { createFakeInteraction } from '../helpers/interaction.js';
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+const OPENED = new Date(NOW.getTime() + WAR.PREP_HOURS * HOUR_MS);
+const ENDED = new Date(NOW.getTime() + (WAR.PREP_HOURS + WAR.DURATION_HOURS) * HOUR_MS);
+
+let memory;
+let war;
+let attacker;
+
+beforeEach(async () => {
+  setSystemTime(NOW);
+  setRandomSource(createSequenceRandom([0]));
+  memory = createMemoryRepositories();
+  setRepositories(memory);
+
+  attacker = memory.insertGuild({ discord_id: '1' });
+  const defender = memory.insertGuild({ discord_id: '2' });
+  const { alliance: a } = await memory.alliances.createAlliance(attacker.id, 'Iron Pact', 0);
+  const { alliance: b } = await memory.alliances.createAlliance(defender.id, 'Silver Hand', 0);
+
+  ({ war } = await memory.wars.declareWar(a.id, b.id, attacker.id, 0));
+});
+
+afterEach(() => {
+  resetRepositories();
+  resetRandomSource();
+  setSystemTime();
+});
+
+describe('runWarCheck', () => {
+  test('leaves wars that are still preparing', async () => {
+    const { client, dms } = createFakeInteraction();
+
+    expect(await runWarCheck(client)).toEqual({ opened: 0, closed: 0 });
+    expect((await memory.wars.getWarById(war.id)).status).toBe('scheduled');
+    expect(dms).toHaveLength(0);
+  });
+
+  test('opens due wars, snapshots the rosters and DMs both sides', async () => {
+    setSystemTime(OPENED);
+    const { client, dms } = createFakeInteraction();
+
+    expect(await runWarCheck(client)).toEqual({ opened: 1, closed: 0 });
+    expect((await memory.wars.getWarById(war.id)).status).toBe('active');
+    expect(await memory.wars.getWarParticipants(war.id)).toHaveLength(2);
+    expect(dms.map(dm => dm.userId).sort()).toEqual(['1', '2']);
+    expect(dms[0].payload.embeds[0].toJSON().title).toContain('War Has Begun');
+  });
+
+  test('closes finished wars and pays the winner once', async () => {
+    memory.store.alliances.find(x => x.id === war.alliance_b_id).treasury = 100000;
+    setSystemTime(OPENED);
+    const { client, dms } = createFakeInteraction();
+    await runWarCheck(client);
+    const attack = await performWarAttack(attacker.id);
+
+    setSystemTime(ENDED);
+    expect(await runWarCheck(client)).toEqual({ opened: 0, closed: 1 });
+    expect(await runWarCheck(client)).toEqual({ opened: 0, closed: 0 });
+
+    const alliance = await memory.alliances.getAllianceById(war.alliance_a_id);
+    expect(alliance.treasury).toBe(calculateWarPayout(attack.points));
+    expect((await memory.alliances.getAllianceById(war.alliance_b_id)).treasury)
+      .toBe(100000 - calculateWarPayout(attack.points));
+
+    const resultTitle = (userId) => dms.slice(2).find(dm => dm.userId === userId).payload.embeds[0].toJSON().title;
+    expect(resultTitle('1')).toBe('🏆 Victory!');
+    expect(resultTitle('2')).toBe('💀 Defeat');
+  });
+
+  test('respects disabled battle notifications', async () => {
+    await memory.notifications.disableBattleNotifications(attacker.id);
+    setSystemTime(OPENED);
+    const { client, dms } = createFakeInteraction();
+
+    await runWarCheck(client);
+    expect(dms.map(dm => dm.userId)).toEqual(['2']);
+  });
+});